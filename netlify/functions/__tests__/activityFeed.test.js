@@ -0,0 +1,90 @@
+/**
+ * Tests for activityFeed cursor pagination and filters
+ */
+
+import { describe, test, expect } from 'vitest'
+import { encodeCursor, decodeCursor, listActivityEvents } from '../_lib/activityFeed'
+import { mockSupabase, callsTo } from './helpers/mockSupabase'
+
+const row = (n) => ({
+  id: `00000000-0000-4000-8000-00000000000${n}`,
+  team_id: 'team-a',
+  team_name: 'Team A',
+  event_type: 'stop_completed',
+  location_id: `stop-${n}`,
+  message: `Completed Stop ${n}`,
+  metadata: {},
+  created_at: `2025-01-01T10:0${n}:00+00:00`
+})
+
+const feed = (rows) => mockSupabase({ activity_events: { data: rows, error: null } })
+
+describe('activityFeed cursors', () => {
+  test('round-trips a feed position', () => {
+    const cursor = encodeCursor(row(1))
+    expect(decodeCursor(cursor)).toEqual({ t: row(1).created_at, id: row(1).id })
+  })
+
+  test('rejects malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull()
+    expect(decodeCursor(Buffer.from(JSON.stringify({ t: 'x', id: 'y' })).toString('base64url'))).toBeNull()
+  })
+})
+
+describe('listActivityEvents', () => {
+  test('returns a page and a next cursor when more rows exist', async () => {
+    const supabase = feed([row(3), row(2), row(1)])
+
+    const result = await listActivityEvents(supabase, { orgId: 'org', huntId: 'hunt', limit: 2 })
+
+    expect(callsTo(supabase, 'limit')).toEqual([[3]])
+    expect(result.events).toHaveLength(2)
+    expect(result.events[0]).toMatchObject({ type: 'stop_completed', teamName: 'Team A', locationId: 'stop-3' })
+    expect(decodeCursor(result.nextCursor).id).toBe(row(2).id)
+  })
+
+  test('returns no cursor on the last page', async () => {
+    const supabase = feed([row(1)])
+    const result = await listActivityEvents(supabase, { orgId: 'org', huntId: 'hunt' })
+    expect(result.nextCursor).toBeNull()
+  })
+
+  test('filters to the requesting team', async () => {
+    const supabase = feed([])
+    await listActivityEvents(supabase, { orgId: 'org', huntId: 'hunt', teamId: 'Team_A', filter: 'team' })
+    // eq, not ilike: '_' in a team ID must not act as a wildcard
+    expect(callsTo(supabase, 'or')).toContainEqual(['team_id.eq.team_a,target_team_ids.cs.{team_a}'])
+  })
+
+  test('includes hunt-wide events for other teams', async () => {
+    const supabase = feed([])
+    await listActivityEvents(supabase, { orgId: 'org', huntId: 'hunt', teamId: 'team-a', filter: 'others' })
+    expect(callsTo(supabase, 'or')).toContainEqual(['team_id.is.null,team_id.neq.team-a'])
+  })
+
+  test('hides targeted events from the unfiltered anonymous feed', async () => {
+    const supabase = feed([])
+    await listActivityEvents(supabase, { orgId: 'org', huntId: 'hunt' })
+    expect(callsTo(supabase, 'is')).toContainEqual(['target_team_ids', null])
+    expect(callsTo(supabase, 'lte')).toContainEqual(['created_at', expect.any(String)])
+  })
+
+  test('shows targeted events only to the verified team', async () => {
+    const claimed = feed([])
+    await listActivityEvents(claimed, { orgId: 'org', huntId: 'hunt', teamId: 'team-a', filter: 'team' })
+    expect(callsTo(claimed, 'is')).toContainEqual(['target_team_ids', null])
+
+    const verified = feed([])
+    await listActivityEvents(verified, { orgId: 'org', huntId: 'hunt', teamId: 'team-a', viewerTeamId: 'Team-A' })
+    expect(callsTo(verified, 'or')).toContainEqual(['target_team_ids.is.null,target_team_ids.cs.{team-a}'])
+    expect(callsTo(verified, 'is')).toHaveLength(0)
+  })
+
+  test('requires a valid teamId for team filters', async () => {
+    const supabase = feed([])
+    await expect(listActivityEvents(supabase, { orgId: 'org', huntId: 'hunt', filter: 'team' }))
+      .rejects.toThrow('Validation')
+    await expect(listActivityEvents(supabase, { orgId: 'org', huntId: 'hunt', teamId: 'a,b', filter: 'others' }))
+      .rejects.toThrow('Validation')
+  })
+})
@@ -0,0 +1,68 @@
+/**
+ * Tests for announcement validation, status and organizer auth
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { getAnnouncementStatus, validateAnnouncementInput } from '../_lib/announcementsService'
+import { authenticateOrganizer, requireOrganizer } from '../_lib/organizerAuth'
+
+describe('announcementsService', () => {
+  const now = new Date('2025-01-01T12:00:00Z')
+
+  test('derives status from the schedule', () => {
+    expect(getAnnouncementStatus({ publish_at: '2025-01-01T13:00:00Z' }, now)).toBe('scheduled')
+    expect(getAnnouncementStatus({ publish_at: '2025-01-01T11:00:00Z' }, now)).toBe('active')
+    expect(getAnnouncementStatus({ publish_at: '2025-01-01T10:00:00Z', expires_at: '2025-01-01T11:00:00Z' }, now)).toBe('expired')
+  })
+
+  test('requires a message on create', () => {
+    expect(() => validateAnnouncementInput({ title: 'Hi' })).toThrow('Validation failed')
+    expect(() => validateAnnouncementInput({ message: '   ' })).toThrow('Validation failed')
+  })
+
+  test('allows partial edits', () => {
+    expect(validateAnnouncementInput({ title: 'Updated' }, { partial: true })).toEqual({ title: 'Updated' })
+  })
+
+  test('normalizes team targeting', () => {
+    const values = validateAnnouncementInput({ message: 'Regroup', targetTeamIds: ['Team-A', 'team-a', 'team-b'] })
+    expect(values.target_team_ids).toEqual(['team-a', 'team-b'])
+
+    expect(validateAnnouncementInput({ message: 'All', targetTeamIds: [] }).target_team_ids).toBeNull()
+    expect(() => validateAnnouncementInput({ message: 'x', targetTeamIds: ['a,b'] })).toThrow('Validation failed')
+  })
+
+  test('validates schedule timestamps', () => {
+    const values = validateAnnouncementInput({ message: 'Later', publishAt: '2025-01-01T13:00:00Z', expiresAt: null })
+    expect(values.publish_at).toBe('2025-01-01T13:00:00.000Z')
+    expect(values.expires_at).toBeNull()
+    expect(() => validateAnnouncementInput({ message: 'x', publishAt: 'tomorrow' })).toThrow('Validation failed')
+  })
+})
+
+describe('organizerAuth', () => {
+  const original = process.env.ORGANIZER_API_KEY
+
+  beforeEach(() => {
+    process.env.ORGANIZER_API_KEY = 'organizer-secret'
+  })
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.ORGANIZER_API_KEY
+    else process.env.ORGANIZER_API_KEY = original
+  })
+
+  test('accepts the configured bearer key', () => {
+    expect(authenticateOrganizer({ headers: { authorization: 'Bearer organizer-secret' } })).toBeTruthy()
+  })
+
+  test('rejects missing or wrong keys with 401', async () => {
+    expect(authenticateOrganizer({ headers: {} })).toBeNull()
+    expect((await requireOrganizer({ headers: { authorization: 'Bearer nope' } })).response.statusCode).toBe(401)
+  })
+
+  test('returns 503 when organizer access is not configured', async () => {
+    delete process.env.ORGANIZER_API_KEY
+    expect((await requireOrganizer({ headers: { authorization: 'Bearer organizer-secret' } })).response.statusCode).toBe(503)
+  })
+})
@@ -0,0 +1,184 @@
+/**
+ * Tests for chunked upload sessions, stop media types and the circuit breaker
+ */
+
+import { describe, test, expect, vi, afterEach } from 'vitest'
+import {
+  getUploadLimits,
+  validateInitRequest,
+  checkUploadLimits,
+  chunkCount,
+  expectedChunkBytes,
+  chunkPath,
+  receivedChunkIndexes,
+  missingChunkIndexes,
+  canResumeSession,
+  toSessionResponse
+} from '../_lib/chunkedUploads'
+import { mediaKindForContentType, isMediaAllowed, checkMediaAllowed } from '../_lib/stopMedia'
+import {
+  BREAKER_THRESHOLD,
+  BREAKER_TIMEOUT,
+  checkBreaker,
+  recordBreakerFailure,
+  recordBreakerSuccess,
+  isBreakerOpenError,
+  resetBreakers
+} from '../_lib/circuitBreaker'
+import { mockSupabase } from './helpers/mockSupabase'
+
+const MiB = 1024 * 1024
+
+const initBody = {
+  orgId: 'bhhs',
+  huntId: 'fall-2025',
+  teamId: 'powder-pioneers',
+  locationId: 'covered-bridge',
+  locationTitle: 'Covered Bridge',
+  sessionId: 'session-1',
+  idempotencyKey: 'ABCDEF0123456789',
+  contentType: 'video/mp4',
+  totalBytes: 7 * MiB,
+  durationSeconds: 12.5
+}
+
+const limits = getUploadLimits({})
+
+function session(overrides = {}) {
+  return {
+    id: 'upload-1',
+    status: 'pending',
+    media_type: 'video',
+    content_type: 'video/mp4',
+    location_id: 'covered-bridge',
+    total_bytes: 7 * MiB,
+    chunk_size: 3 * MiB,
+    total_chunks: 3,
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    ...overrides
+  }
+}
+
+describe('chunkedUploads', () => {
+  test('reads limits from the environment and clamps the chunk size', () => {
+    expect(limits).toMatchObject({ chunkBytes: 3 * MiB, maxVideoBytes: 50 * MiB, maxVideoSeconds: 30 })
+    expect(getUploadLimits({ UPLOAD_CHUNK_BYTES: String(64 * MiB) }).chunkBytes).toBe(4 * MiB)
+    expect(getUploadLimits({ UPLOAD_CHUNK_BYTES: '1024' }).chunkBytes).toBe(256 * 1024)
+  })
+
+  test('validates and normalizes init requests', () => {
+    const upload = validateInitRequest(initBody)
+    expect(upload).toMatchObject({ idempotencyKey: 'abcdef0123456789', mediaKind: 'video', durationSeconds: 12.5 })
+
+    expect(() => validateInitRequest({ ...initBody, locationId: '' })).toThrow('Validation failed: missing locationId')
+    expect(() => validateInitRequest({ ...initBody, idempotencyKey: 'nope' })).toThrow('idempotencyKey')
+    expect(() => validateInitRequest({ ...initBody, totalBytes: 1.5 })).toThrow('totalBytes')
+    expect(() => validateInitRequest({ ...initBody, contentType: 'application/pdf' })).toThrow('unsupported content type')
+  })
+
+  test('enforces size and duration limits per media kind', () => {
+    expect(checkUploadLimits(validateInitRequest(initBody), limits)).toEqual({ ok: true })
+
+    const tooBig = validateInitRequest({ ...initBody, totalBytes: 51 * MiB })
+    expect(checkUploadLimits(tooBig, limits)).toMatchObject({ ok: false, statusCode: 413, code: 'FILE_TOO_LARGE' })
+
+    const tooLong = validateInitRequest({ ...initBody, durationSeconds: 45 })
+    expect(checkUploadLimits(tooLong, limits)).toMatchObject({ ok: false, statusCode: 422, code: 'VIDEO_TOO_LONG' })
+
+    const bigPhoto = validateInitRequest({ ...initBody, contentType: 'image/jpeg', totalBytes: 11 * MiB })
+    expect(checkUploadLimits(bigPhoto, limits)).toMatchObject({ ok: false, code: 'FILE_TOO_LARGE' })
+    expect(checkUploadLimits(bigPhoto, { ...limits, allowLargePhotos: true })).toEqual({ ok: true })
+  })
+
+  test('sizes chunks, with a short last chunk', () => {
+    expect(chunkCount(7 * MiB, 3 * MiB)).toBe(3)
+    expect(chunkCount(6 * MiB, 3 * MiB)).toBe(2)
+    expect(expectedChunkBytes(session(), 0)).toBe(3 * MiB)
+    expect(expectedChunkBytes(session(), 2)).toBe(1 * MiB)
+    expect(chunkPath('upload-1', 7)).toBe('upload-1/00007')
+  })
+
+  test('works out received and missing chunks from the storage listing', () => {
+    const received = receivedChunkIndexes([{ name: '00002' }, { name: '00000' }, { name: '00009' }, { name: '.keep' }], 3)
+    expect(received).toEqual([0, 2])
+    expect(missingChunkIndexes(3, received)).toEqual([1])
+  })
+
+  test('resumes only the same file in a live session', () => {
+    const upload = validateInitRequest(initBody)
+    expect(canResumeSession(session(), upload, 3 * MiB)).toBe(true)
+    expect(canResumeSession(session({ total_bytes: 8 * MiB }), upload, 3 * MiB)).toBe(false)
+    expect(canResumeSession(session({ status: 'failed' }), upload, 3 * MiB)).toBe(false)
+    expect(canResumeSession(session({ expires_at: new Date(Date.now() - 1000).toISOString() }), upload, 3 * MiB)).toBe(false)
+    expect(canResumeSession(session(), upload, 4 * MiB)).toBe(false)
+  })
+
+  test('describes sessions for the client', () => {
+    expect(toSessionResponse(session(), [0])).toMatchObject({
+      uploadId: 'upload-1',
+      totalChunks: 3,
+      receivedChunks: [0],
+      missingChunks: [1, 2]
+    })
+
+    const done = toSessionResponse(session({ status: 'completed', result: { photoUrl: 'https://x/video/upload/a.mp4' } }), [])
+    expect(done.missingChunks).toEqual([])
+    expect(done.result.photoUrl).toContain('/video/upload/')
+  })
+})
+
+describe('stopMedia', () => {
+  test('classifies uploads by content type', () => {
+    expect(mediaKindForContentType('image/webp')).toBe('photo')
+    expect(mediaKindForContentType('video/quicktime')).toBe('video')
+    expect(mediaKindForContentType('video/x-msvideo')).toBeNull()
+  })
+
+  test('matches uploads against the stop media type', () => {
+    expect(isMediaAllowed('photo', 'photo')).toBe(true)
+    expect(isMediaAllowed('photo', 'video')).toBe(false)
+    expect(isMediaAllowed('video', 'photo')).toBe(false)
+    expect(isMediaAllowed('photo_or_video', 'video')).toBe(true)
+    expect(isMediaAllowed(null, 'photo')).toBe(true)
+  })
+
+  test('rejects photos for video stops', async () => {
+    const supabase = mockSupabase({ hunt_stops: { data: { media_type: 'video' }, error: null } })
+
+    expect(await checkMediaAllowed(supabase, 'covered-bridge', 'photo')).toMatchObject({
+      allowed: false,
+      code: 'MEDIA_TYPE_NOT_ALLOWED',
+      mediaType: 'video'
+    })
+    expect(await checkMediaAllowed(supabase, 'covered-bridge', 'video')).toEqual({ allowed: true, mediaType: 'video' })
+  })
+})
+
+describe('circuitBreaker', () => {
+  afterEach(() => {
+    resetBreakers()
+    vi.useRealTimers()
+  })
+
+  test('opens after repeated failures, then half-opens and closes on success', () => {
+    vi.useFakeTimers()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+
+    for (let i = 0; i < BREAKER_THRESHOLD; i++) {
+      recordBreakerFailure('cloudinary')
+    }
+
+    let error
+    try { checkBreaker('cloudinary') } catch (e) { error = e }
+    expect(isBreakerOpenError(error)).toBe(true)
+
+    // Other services are unaffected
+    expect(checkBreaker('supabase')).toBe('CLOSED')
+
+    vi.advanceTimersByTime(BREAKER_TIMEOUT + 1)
+    expect(checkBreaker('cloudinary')).toBe('HALF_OPEN')
+
+    recordBreakerSuccess('cloudinary')
+    expect(checkBreaker('cloudinary')).toBe('CLOSED')
+  })
+})
@@ -0,0 +1,75 @@
+/**
+ * Tests for geofenced stop check-ins
+ */
+
+import { describe, test, expect } from 'vitest'
+import {
+  haversineDistanceMeters,
+  validateCoordinates,
+  evaluateCheckIn,
+  normalizeGeofenceConfig,
+  checkCompletionAllowed
+} from '../_lib/geofence'
+import { mockSupabase } from './helpers/mockSupabase'
+
+const TEAM_UUID = '11111111-2222-3333-4444-555555555555'
+
+/**
+ * Mock supabase returning a fixed row per table
+ */
+const geofenceDb = ({ hunt = null, stop = null, checkins = [] } = {}) => mockSupabase({
+  hunts: { data: hunt, error: null },
+  hunt_stops: { data: stop, error: null },
+  stop_checkins: { data: checkins, error: null }
+})
+
+const stopRow = { stop_id: 'covered-bridge', position_lat: '39.6403', position_lng: '-106.3742', geofence_radius_m: null }
+
+describe('geofence', () => {
+  test('computes haversine distance in meters', () => {
+    // 0.001 degrees of latitude is roughly 111 meters
+    const d = haversineDistanceMeters({ lat: 39.64, lng: -106.37 }, { lat: 39.641, lng: -106.37 })
+    expect(d).toBeGreaterThan(110)
+    expect(d).toBeLessThan(112)
+    expect(haversineDistanceMeters({ lat: 1, lng: 1 }, { lat: 1, lng: 1 })).toBe(0)
+  })
+
+  test('validates coordinates', () => {
+    expect(validateCoordinates({ lat: '39.6', lng: -106.3 })).toEqual({ lat: 39.6, lng: -106.3, accuracy: null })
+    expect(() => validateCoordinates({ lat: 91, lng: 0 })).toThrow('Validation failed')
+    expect(() => validateCoordinates({ lat: 0, lng: 'west' })).toThrow('Validation failed')
+    expect(() => validateCoordinates({ lat: 0, lng: 0, accuracy: -1 })).toThrow('Validation failed')
+  })
+
+  test('widens the radius by a capped accuracy allowance', () => {
+    const stop = { lat: 39.64, lng: -106.37 }
+    const here = { lat: 39.641, lng: -106.37 } // ~111 m away
+
+    expect(evaluateCheckIn(stop, 75, { ...here, accuracy: null }).withinRadius).toBe(false)
+    expect(evaluateCheckIn(stop, 75, { ...here, accuracy: 40 }).withinRadius).toBe(true)
+    expect(evaluateCheckIn(stop, 50, { ...here, accuracy: 500 }).withinRadius).toBe(false)
+  })
+
+  test('normalizes hunt geofence config', () => {
+    expect(normalizeGeofenceConfig(null)).toEqual({ mode: 'off', defaultRadiusMeters: 75 })
+    expect(normalizeGeofenceConfig({ geofence_mode: 'bogus' }).mode).toBe('off')
+    expect(normalizeGeofenceConfig({ geofence_mode: 'required', geofence_default_radius_m: 120 }))
+      .toEqual({ mode: 'required', defaultRadiusMeters: 120 })
+  })
+
+  test('only blocks completion in required mode without a verified check-in', async () => {
+    const params = { orgId: 'bhhs', huntId: 'fall-2025', teamId: TEAM_UUID, stopId: 'covered-bridge' }
+
+    const advisory = geofenceDb({ hunt: { geofence_mode: 'advisory' }, stop: stopRow })
+    expect(await checkCompletionAllowed(advisory, params)).toMatchObject({ allowed: true })
+
+    const blocked = geofenceDb({ hunt: { geofence_mode: 'required' }, stop: stopRow })
+    expect(await checkCompletionAllowed(blocked, params)).toMatchObject({ allowed: false, code: 'CHECKIN_REQUIRED' })
+
+    const checkedIn = geofenceDb({ hunt: { geofence_mode: 'required' }, stop: stopRow, checkins: [{ id: 'c1' }] })
+    expect(await checkCompletionAllowed(checkedIn, params)).toMatchObject({ allowed: true })
+
+    const noPosition = geofenceDb({ hunt: { geofence_mode: 'required' }, stop: { stop_id: 'x', position_lat: null, position_lng: null } })
+    expect(await checkCompletionAllowed(noPosition, params)).toMatchObject({ allowed: true })
+  })
+})
@@ -0,0 +1,66 @@
+/**
+ * Chainable Supabase client mock shared by the function tests
+ *
+ * Every query builder method returns the builder and is recorded in `calls`
+ * as [table, method, ...args]. Awaiting the builder resolves with the table's
+ * canned result, which may be:
+ *   - { data, error }: returned for every query on the table
+ *   - an array of results: one per query on the table, in order
+ *   - a function (query) => result: query holds the latest args of each
+ *     method called, e.g. query.insert[0]
+ * Tables without a result resolve with { data: null, error: null }.
+ */
+
+import { vi } from 'vitest'
+
+const QUERY_METHODS = [
+  'select', 'insert', 'upsert', 'update', 'delete',
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'ilike', 'is', 'in', 'not', 'or', 'contains',
+  'order', 'range', 'limit', 'single', 'maybeSingle'
+]
+
+const EMPTY = { data: null, error: null }
+
+/**
+ * @param {Object} results - Canned result per table name
+ * @param {Object} [options]
+ * @param {Object} [options.rpc] - Result of every supabase.rpc() call
+ * @returns {{ from: Function, rpc: Function, calls: Array }} plus any other options (e.g. storage)
+ */
+export function mockSupabase(results = {}, { rpc = EMPTY, ...extra } = {}) {
+  const calls = []
+
+  const from = vi.fn((table) => {
+    const entry = Array.isArray(results[table]) ? results[table].shift() : results[table]
+    const query = { table }
+    const resolve = () => Promise.resolve((typeof entry === 'function' ? entry(query) : entry) || EMPTY)
+
+    const builder = {}
+    for (const method of QUERY_METHODS) {
+      builder[method] = (...args) => {
+        calls.push([table, method, ...args])
+        query[method] = args
+        return builder
+      }
+    }
+    builder.then = (onFulfilled, onRejected) => resolve().then(onFulfilled, onRejected)
+    return builder
+  })
+
+  const rpcFn = vi.fn(async (name, args) => {
+    calls.push(['rpc', name, args])
+    return rpc
+  })
+
+  return { from, rpc: rpcFn, calls, ...extra }
+}
+
+/**
+ * Recorded calls of one method, optionally on one table
+ * @returns {Array} The arguments of each matching call
+ */
+export function callsTo(supabase, method, table = null) {
+  return supabase.calls
+    .filter(([callTable, callMethod]) => callMethod === method && (!table || callTable === table))
+    .map(([, , ...args]) => args)
+}
@@ -0,0 +1,176 @@
+/**
+ * Tests for organizer hunt, stop and sponsor management
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import { validateHuntInput, validateStopInput, reorderHuntStops } from '../_lib/huntAdmin'
+import { validateSponsorInput, decodeImage, slugify } from '../_lib/sponsorAdmin'
+import { handler } from '../hunt-admin'
+import { LockUtils } from '../_lib/lockUtils'
+import { mockSupabase, callsTo } from './helpers/mockSupabase'
+
+const PNG_DATA_URL = `data:image/png;base64,${Buffer.from('fake-png-bytes').toString('base64')}`
+
+/**
+ * Stop configurations resolve with rows; updates with { error: null }
+ */
+const configDb = (rows) => mockSupabase({
+  hunt_configurations: query => (query.update ? { error: null } : { data: rows, error: null })
+})
+const updatesOf = (supabase) => callsTo(supabase, 'update').map(([values]) => values)
+
+const configRow = (stopId, order) => ({
+  stop_id: stopId,
+  default_order: order,
+  is_active: true,
+  hunt_stops: { stop_id: stopId, title: stopId, clue: `Find ${stopId}`, hints: [] }
+})
+
+describe('validateHuntInput', () => {
+  test('normalizes a new hunt', () => {
+    const { values, orderingStrategy } = validateHuntInput({
+      id: 'fall-2025',
+      name: '  Fall Hunt ',
+      startsAt: '2025-10-01T16:00:00Z',
+      endsAt: '2025-10-01T19:00:00Z',
+      orderingStrategy: 'sequential'
+    })
+
+    expect(values).toEqual({
+      id: 'fall-2025',
+      name: 'Fall Hunt',
+      starts_at: '2025-10-01T16:00:00.000Z',
+      ends_at: '2025-10-01T19:00:00.000Z'
+    })
+    expect(orderingStrategy).toBe('sequential')
+  })
+
+  test('rejects bad ids, schedules and ordering strategies', () => {
+    expect(() => validateHuntInput({ id: 'Fall 2025', name: 'Fall' })).toThrow('Validation failed')
+    expect(() => validateHuntInput({ id: 'fall', name: 'Fall', startsAt: '2025-10-02T00:00:00Z', endsAt: '2025-10-01T00:00:00Z' })).toThrow('endsAt must be after startsAt')
+    expect(() => validateHuntInput({ orderingStrategy: 'alphabetical' }, { partial: true })).toThrow('orderingStrategy')
+  })
+
+  test('edits only include the fields sent and never the id', () => {
+    expect(validateHuntInput({ id: 'renamed', isActive: true, endsAt: null }, { partial: true }).values)
+      .toEqual({ is_active: true, ends_at: null })
+  })
+})
+
+describe('validateStopInput', () => {
+  test('requires title and clue for new stops and trims hints', () => {
+    expect(() => validateStopInput({ stopId: 'town-clock', title: 'Town Clock' })).toThrow('clue is required')
+
+    expect(validateStopInput({
+      stopId: 'town-clock',
+      title: 'Town Clock',
+      clue: 'Tick tock',
+      hints: [' Look up ', 'Main Street'],
+      position: { lat: 40.7, lng: -111.9 }
+    })).toEqual({
+      stop_id: 'town-clock',
+      title: 'Town Clock',
+      clue: 'Tick tock',
+      hints: ['Look up', 'Main Street'],
+      position_lat: 40.7,
+      position_lng: -111.9
+    })
+  })
+
+  test('rejects too many or empty hints and invalid positions', () => {
+    expect(() => validateStopInput({ hints: ['1', '2', '3', '4', '5', '6'] }, { partial: true })).toThrow('hints')
+    expect(() => validateStopInput({ hints: ['  '] }, { partial: true })).toThrow('hints[0]')
+    expect(() => validateStopInput({ position: { lat: 120, lng: 0 } }, { partial: true })).toThrow('position')
+    expect(validateStopInput({ position: null }, { partial: true })).toEqual({ position_lat: null, position_lng: null })
+  })
+})
+
+describe('reorderHuntStops', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  test('writes 1-based default order for every stop', async () => {
+    const supabase = configDb([configRow('a', 1), configRow('b', 2), configRow('c', 3)])
+
+    await reorderHuntStops(supabase, { orgId: 'bhhs', huntId: 'fall-2025', stopIds: ['c', 'a', 'b'] })
+
+    expect(updatesOf(supabase)).toEqual([{ default_order: 1 }, { default_order: 2 }, { default_order: 3 }])
+  })
+
+  test('only accepts a permutation of the hunt stops', async () => {
+    const rows = [configRow('a', 1), configRow('b', 2)]
+
+    for (const stopIds of [['a'], ['a', 'a'], ['a', 'x'], ['a', 'b', 'c'], 'a,b']) {
+      const supabase = configDb(rows)
+      await expect(reorderHuntStops(supabase, { orgId: 'bhhs', huntId: 'fall-2025', stopIds })).rejects.toThrow('Validation failed')
+      expect(updatesOf(supabase)).toHaveLength(0)
+    }
+  })
+})
+
+describe('sponsor input', () => {
+  test('derives the company id and defaults alt text to the name', () => {
+    const { values, image } = validateSponsorInput({ companyName: 'Alpine Coffee Co.', svg: '<svg viewBox="0 0 10 10"></svg>' })
+
+    expect(values).toMatchObject({
+      company_name: 'Alpine Coffee Co.',
+      company_id: 'alpine-coffee-co',
+      image_alt: 'Alpine Coffee Co.',
+      image_type: 'svg',
+      storage_path: null
+    })
+    expect(image).toBeNull()
+    expect(slugify('  Ski & Snow!  ')).toBe('ski-snow')
+  })
+
+  test('decodes PNG and JPEG data URLs only', () => {
+    const { values, image } = validateSponsorInput({ companyName: 'Alpine', image: PNG_DATA_URL })
+
+    expect(values.image_type).toBe('png')
+    expect(image.buffer.toString()).toBe('fake-png-bytes')
+    expect(decodeImage('data:image/jpg;base64,AAAA').type).toBe('jpeg')
+    expect(() => decodeImage('data:image/gif;base64,AAAA')).toThrow('PNG or JPEG')
+    expect(() => decodeImage(`data:image/png;base64,${Buffer.alloc(1024 * 1024 + 1).toString('base64')}`)).toThrow('exceeds')
+  })
+
+  test('requires exactly one logo for new sponsors', () => {
+    expect(() => validateSponsorInput({ companyName: 'Alpine' })).toThrow('logo')
+    expect(() => validateSponsorInput({ companyName: 'Alpine', svg: '<svg/>', image: PNG_DATA_URL })).toThrow('not both')
+    expect(() => validateSponsorInput({ svg: '<script>alert(1)</script>' }, { partial: true })).toThrow('SVG markup')
+    expect(validateSponsorInput({ isActive: false }, { partial: true }).values).toEqual({ is_active: false })
+  })
+})
+
+describe('hunt-admin handler', () => {
+  const viewerToken = LockUtils.generateOrganizerToken({ id: 'organizer-1', email: 'host@example.com', roles: { bhhs: 'viewer' } }).token
+
+  const request = (httpMethod, path, body) => handler({
+    httpMethod,
+    path,
+    headers: { authorization: `Bearer ${viewerToken}` },
+    body: body ? JSON.stringify(body) : null
+  })
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  test('viewers cannot edit hunts', async () => {
+    for (const [method, path] of [
+      ['POST', '/api/hunt-admin/bhhs/hunts'],
+      ['PATCH', '/api/hunt-admin/bhhs/hunts/fall-2025/stops/town-clock'],
+      ['PUT', '/api/hunt-admin/bhhs/hunts/fall-2025/sponsors/order']
+    ]) {
+      const response = await request(method, path, {})
+      expect(response.statusCode).toBe(403)
+      expect(JSON.parse(response.body).code).toBe('ORGANIZER_FORBIDDEN')
+    }
+  })
+
+  test('rejects paths outside /:orgId/hunts', async () => {
+    const response = await request('GET', '/api/hunt-admin/bhhs/teams')
+    expect(response.statusCode).toBe(400)
+  })
+})
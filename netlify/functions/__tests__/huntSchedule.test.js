@@ -0,0 +1,51 @@
+/**
+ * Tests for hunt schedule windows
+ */
+
+import { describe, test, expect } from 'vitest'
+import { normalizeHuntSchedule, getScheduleStatus, checkHuntWindow } from '../_lib/huntSchedule'
+import { mockSupabase } from './helpers/mockSupabase'
+
+const schedule = normalizeHuntSchedule({
+  starts_at: '2025-01-01T10:00:00Z',
+  ends_at: '2025-01-01T14:00:00Z',
+  grace_period_minutes: 15
+})
+
+const huntDb = (row, error = null) => mockSupabase({ hunts: { data: row, error } })
+
+describe('huntSchedule', () => {
+  test('computes when submissions close', () => {
+    expect(schedule.submissionsCloseAt).toBe('2025-01-01T14:15:00.000Z')
+    expect(normalizeHuntSchedule({ ends_at: '2025-01-01T14:00:00Z', grace_period_minutes: -5 }).gracePeriodMinutes).toBe(0)
+  })
+
+  test('derives status across the window', () => {
+    expect(getScheduleStatus(schedule, new Date('2025-01-01T09:59:59Z'))).toBe('upcoming')
+    expect(getScheduleStatus(schedule, new Date('2025-01-01T10:00:00Z'))).toBe('active')
+    expect(getScheduleStatus(schedule, new Date('2025-01-01T14:05:00Z'))).toBe('grace')
+    expect(getScheduleStatus(schedule, new Date('2025-01-01T14:15:00Z'))).toBe('ended')
+  })
+
+  test('treats hunts without a window as unscheduled', () => {
+    expect(getScheduleStatus(normalizeHuntSchedule(null))).toBe('unscheduled')
+  })
+
+  test('rejects writes after the grace period', async () => {
+    const supabase = huntDb({ starts_at: '2025-01-01T10:00:00Z', ends_at: '2025-01-01T14:00:00Z', grace_period_minutes: 15 })
+
+    const late = await checkHuntWindow(supabase, 'bhhs', 'fall-2025', new Date('2025-01-02T00:00:00Z'))
+    expect(late).toMatchObject({ open: false, status: 'ended', code: 'HUNT_ENDED' })
+
+    const early = await checkHuntWindow(supabase, 'bhhs', 'fall-2025', new Date('2025-01-01T09:00:00Z'))
+    expect(early).toMatchObject({ open: false, code: 'HUNT_NOT_STARTED' })
+
+    const grace = await checkHuntWindow(supabase, 'bhhs', 'fall-2025', new Date('2025-01-01T14:10:00Z'))
+    expect(grace).toMatchObject({ open: true, status: 'grace' })
+  })
+
+  test('stays open when the schedule cannot be loaded', async () => {
+    const check = await checkHuntWindow(huntDb(null, { message: 'column does not exist' }), 'bhhs', 'fall-2025')
+    expect(check).toMatchObject({ open: true, status: 'unscheduled' })
+  })
+})
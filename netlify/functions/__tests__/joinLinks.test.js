@@ -0,0 +1,232 @@
+/**
+ * Tests for signed team join links
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import { validateJoinLinkInput, buildJoinUrl, createJoinLink, redeemJoinToken, consumeJoinLink, revokeJoinLink } from '../_lib/joinLinks'
+import { renderTeamCards } from '../_lib/teamCodeCards'
+import { LockUtils } from '../_lib/lockUtils'
+import { mockSupabase, callsTo } from './helpers/mockSupabase'
+
+const HOUR = 60 * 60 * 1000
+const scope = { orgId: 'bhhs', huntId: 'fall-2025' }
+
+/**
+ * Supabase mock where join link inserts echo their row back with an id
+ */
+const linkDb = (tables, rpc) => mockSupabase({
+  team_join_links: query => (query.insert ? { data: { id: 'link-1', usage_count: 0, ...query.insert[0] }, error: null } : null),
+  ...tables
+}, { rpc })
+
+const team = { id: 'uuid-1', team_id: 'tea-cup', display_name: 'Tea Cup' }
+const joinToken = (overrides = {}) =>
+  LockUtils.generateJoinToken({ linkId: 'link-1', teamId: 'tea-cup', ...scope, ...overrides }).token
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+describe('join tokens', () => {
+  test('round trip and never accept other token kinds', () => {
+    const token = joinToken()
+    expect(LockUtils.verifyJoinToken(token)).toMatchObject({ linkId: 'link-1', teamId: 'tea-cup', ...scope })
+    expect(LockUtils.verifyLockToken(token)).toBeNull()
+
+    const lockToken = LockUtils.generateLockToken('tea-cup', scope).token
+    expect(LockUtils.verifyJoinToken(lockToken)).toBeNull()
+    expect(LockUtils.verifyJoinToken(`${token}x`)).toBeNull()
+  })
+
+  test('expired tokens are rejected', () => {
+    const { token } = LockUtils.generateJoinToken({ linkId: 'link-1', teamId: 'tea-cup', ...scope }, Math.floor(Date.now() / 1000) - 60)
+    expect(LockUtils.verifyJoinToken(token)).toBeNull()
+  })
+})
+
+describe('validateJoinLinkInput', () => {
+  test('single use means one device', () => {
+    expect(validateJoinLinkInput({ singleUse: true })).toEqual({ maxUses: 1, expiresAt: null })
+    expect(validateJoinLinkInput({ maxUses: 4 })).toEqual({ maxUses: 4, expiresAt: null })
+    expect(validateJoinLinkInput()).toEqual({ maxUses: null, expiresAt: null })
+  })
+
+  test('rejects bad options', () => {
+    expect(() => validateJoinLinkInput({ singleUse: true, maxUses: 3 })).toThrow('Validation failed')
+    expect(() => validateJoinLinkInput({ maxUses: 0 })).toThrow('maxUses')
+    expect(() => validateJoinLinkInput({ expiresAt: new Date(Date.now() - HOUR).toISOString() })).toThrow('expiresAt')
+  })
+})
+
+describe('buildJoinUrl', () => {
+  test('replaces any query string with the token', () => {
+    expect(buildJoinUrl('https://hunt.example.com/bhhs?x=1#top', 'abc')).toBe('https://hunt.example.com/bhhs?join=abc')
+  })
+
+  test('requires an http(s) app URL', () => {
+    expect(() => buildJoinUrl('javascript:alert(1)', 'abc')).toThrow('appUrl')
+    expect(() => buildJoinUrl('not a url', 'abc')).toThrow('appUrl')
+  })
+})
+
+describe('createJoinLink', () => {
+  test('issues a link for the active code that expires with it', async () => {
+    const codeExpiry = new Date(Date.now() + HOUR).toISOString()
+    const supabase = linkDb({
+      teams: { data: team, error: null },
+      team_codes: { data: [{ code: 'K7MQXP', is_active: true, expires_at: codeExpiry, usage_count: 0 }], error: null }
+    })
+
+    const link = await createJoinLink(supabase, {
+      ...scope,
+      teamId: 'tea-cup',
+      appUrl: 'https://hunt.example.com',
+      input: { singleUse: true, expiresAt: new Date(Date.now() + 2 * HOUR).toISOString() }
+    })
+
+    const [[insert]] = callsTo(supabase, 'insert', 'team_join_links')
+    expect(insert).toMatchObject({ team_code: 'K7MQXP', max_uses: 1, expires_at: codeExpiry })
+    expect(link).toMatchObject({ id: 'link-1', teamId: 'tea-cup', teamName: 'Tea Cup', maxUses: 1 })
+    expect(link.url).not.toContain('K7MQXP')
+
+    const token = new URL(link.url).searchParams.get('join')
+    expect(LockUtils.verifyJoinToken(token)).toMatchObject({ linkId: 'link-1', teamId: 'tea-cup', ...scope })
+  })
+
+  test('refuses teams without a usable code', async () => {
+    const supabase = linkDb({
+      teams: { data: team, error: null },
+      team_codes: { data: [{ code: 'K7MQXP', is_active: true, max_uses: 2, usage_count: 2 }], error: null }
+    })
+
+    await expect(createJoinLink(supabase, { ...scope, teamId: 'tea-cup', appUrl: 'https://hunt.example.com' }))
+      .rejects.toThrow('rotate it first')
+    expect(callsTo(supabase, 'insert')).toHaveLength(0)
+  })
+})
+
+describe('redeemJoinToken', () => {
+  test('rejects tokens that fail verification', async () => {
+    const supabase = linkDb({})
+    const lockToken = LockUtils.generateLockToken('tea-cup', scope).token
+
+    expect(await redeemJoinToken(supabase, { joinToken: lockToken })).toEqual({
+      success: false,
+      error: 'This join link is invalid or has expired'
+    })
+    expect(supabase.rpc).not.toHaveBeenCalled()
+  })
+
+  test('hands back the code without using up the link', async () => {
+    const supabase = linkDb({ team_join_links: { data: { team_code: 'K7MQXP', max_uses: 1, usage_count: 0 }, error: null } })
+
+    const result = await redeemJoinToken(supabase, { joinToken: joinToken() })
+
+    expect(result).toEqual({ success: true, ...scope, code: 'K7MQXP', linkId: 'link-1' })
+    expect(supabase.rpc).not.toHaveBeenCalled()
+  })
+
+  test('explains used-up and revoked links', async () => {
+    const usedUp = linkDb({ team_join_links: { data: { team_code: 'K7MQXP', max_uses: 1, usage_count: 1 }, error: null } })
+    const revoked = linkDb({ team_join_links: { data: { team_code: 'K7MQXP', revoked_at: new Date().toISOString() }, error: null } })
+
+    expect(await redeemJoinToken(usedUp, { joinToken: joinToken() })).toMatchObject({ success: false, error: 'This join link has already been used' })
+    expect(await redeemJoinToken(revoked, { joinToken: joinToken() })).toMatchObject({ success: false, error: 'This join link is invalid or has expired' })
+  })
+
+  test('a device already on the team does not use up the link', async () => {
+    const supabase = linkDb({ teams: { data: team, error: null } })
+    const lockToken = LockUtils.generateLockToken('tea-cup', scope).token
+
+    const result = await redeemJoinToken(supabase, { joinToken: joinToken(), lockToken })
+
+    expect(result).toEqual({ success: true, ...scope, currentTeam: { teamId: 'tea-cup', teamName: 'Tea Cup' } })
+    expect(callsTo(supabase, 'select', 'team_join_links')).toHaveLength(0)
+  })
+
+  test('a device whose team code was revoked gets the code from the link', async () => {
+    const supabase = linkDb({
+      teams: { data: team, error: null },
+      sessions: { data: { is_active: false }, error: null },
+      team_join_links: { data: { team_code: 'K7MQXP', max_uses: 1, usage_count: 0 }, error: null }
+    })
+    const lockToken = LockUtils.generateLockToken('tea-cup', { ...scope, sessionId: 'session-revoked' }).token
+
+    const result = await redeemJoinToken(supabase, { joinToken: joinToken(), lockToken })
+
+    expect(result).toEqual({ success: true, ...scope, code: 'K7MQXP', linkId: 'link-1' })
+    expect(callsTo(supabase, 'eq', 'sessions')).toEqual([['id', 'session-revoked']])
+  })
+
+  test('a device on another team still gets the code', async () => {
+    const supabase = linkDb({ team_join_links: { data: { team_code: 'K7MQXP', max_uses: null, usage_count: 3 }, error: null } })
+    const lockToken = LockUtils.generateLockToken('other-team', scope).token
+
+    const result = await redeemJoinToken(supabase, { joinToken: joinToken(), lockToken })
+
+    expect(result).toMatchObject({ success: true, code: 'K7MQXP' })
+  })
+})
+
+describe('consumeJoinLink', () => {
+  test('uses up one join', async () => {
+    const supabase = linkDb({}, { data: 'K7MQXP', error: null })
+
+    expect(await consumeJoinLink(supabase, 'link-1')).toEqual({ success: true })
+    expect(supabase.rpc).toHaveBeenCalledWith('consume_team_join_link', { p_id: 'link-1' })
+  })
+
+  test('explains a link used up since it was redeemed', async () => {
+    const supabase = linkDb({ team_join_links: { data: { max_uses: 1, usage_count: 1 }, error: null } })
+
+    expect(await consumeJoinLink(supabase, 'link-1')).toEqual({ success: false, error: 'This join link has already been used' })
+  })
+})
+
+describe('revokeJoinLink', () => {
+  const LINK_ID = '00000000-0000-4000-8000-000000000001'
+
+  test('revokes a link of one of the team codes', async () => {
+    const revokedAt = new Date().toISOString()
+    const supabase = linkDb({
+      teams: { data: team, error: null },
+      team_codes: { data: [{ code: 'K7MQXP' }, { code: 'HNPR29' }], error: null },
+      team_join_links: { data: [{ id: LINK_ID, revoked_at: revokedAt }], error: null }
+    })
+
+    const result = await revokeJoinLink(supabase, { ...scope, teamId: 'tea-cup', linkId: LINK_ID })
+
+    expect(result).toEqual({ teamId: 'tea-cup', linkId: LINK_ID, revokedAt })
+    expect(callsTo(supabase, 'update', 'team_join_links')[0][0]).toHaveProperty('revoked_at')
+    expect(callsTo(supabase, 'in', 'team_join_links')).toEqual([['team_code', ['K7MQXP', 'HNPR29']]])
+    expect(callsTo(supabase, 'is', 'team_join_links')).toEqual([['revoked_at', null]])
+  })
+
+  test('returns null for links of other teams or already revoked', async () => {
+    const supabase = linkDb({
+      teams: { data: team, error: null },
+      team_codes: { data: [{ code: 'K7MQXP' }], error: null },
+      team_join_links: { data: [], error: null }
+    })
+
+    expect(await revokeJoinLink(supabase, { ...scope, teamId: 'tea-cup', linkId: LINK_ID })).toBeNull()
+  })
+
+  test('requires a link id', async () => {
+    await expect(revokeJoinLink(linkDb({}), { ...scope, teamId: 'tea-cup', linkId: 'link-1' })).rejects.toThrow('Validation failed')
+  })
+})
+
+describe('join link cards', () => {
+  test('the QR code carries the join link', async () => {
+    const html = await renderTeamCards({
+      huntName: 'Fall Hunt',
+      appUrl: 'https://hunt.example.com',
+      teams: [{ teamName: 'Tea Cup', code: 'K7MQXP', joinUrl: 'https://hunt.example.com/?join=abc' }]
+    })
+
+    expect(html).toContain('Scan to join, or open https://hunt.example.com and enter your team code')
+    expect(html).toContain('K7M QXP')
+  })
+})
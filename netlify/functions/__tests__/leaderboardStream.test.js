@@ -0,0 +1,114 @@
+/**
+ * Tests for leaderboard rank-change deltas and SSE framing
+ */
+
+import { describe, test, expect, vi } from 'vitest'
+import { computeRankChanges } from '../_lib/rankingService'
+import { formatSseEvent, loadLeaderboard, markLeaderboardStale, streamLeaderboard } from '../_lib/leaderboardStream'
+import { mockSupabase, callsTo } from './helpers/mockSupabase'
+
+const team = (teamId, rank, completedStops, score) => ({ teamId, rank, completedStops, score })
+
+describe('computeRankChanges', () => {
+  test('returns nothing when the board is unchanged', () => {
+    const board = [team('a', 1, 3), team('b', 2, 1)]
+    expect(computeRankChanges(board, board.map(t => ({ ...t })))).toEqual([])
+  })
+
+  test('reports movement for teams that swap places', () => {
+    const previous = [team('a', 1, 3), team('b', 2, 2)]
+    const current = [team('b', 1, 4), team('a', 2, 3)]
+
+    const changes = computeRankChanges(previous, current)
+
+    expect(changes).toHaveLength(2)
+    expect(changes[0]).toMatchObject({ teamId: 'b', rank: 1, previousRank: 2, movement: 1, completedStops: 4, previousCompletedStops: 2 })
+    expect(changes[1]).toMatchObject({ teamId: 'a', rank: 2, previousRank: 1, movement: -1 })
+  })
+
+  test('reports progress without a rank change', () => {
+    const changes = computeRankChanges([team('a', 1, 1, 100)], [team('a', 1, 2, 200)])
+    expect(changes).toEqual([expect.objectContaining({ teamId: 'a', movement: 0, score: 200, previousScore: 100 })])
+  })
+
+  test('marks newly listed teams with a null movement', () => {
+    const changes = computeRankChanges([], [team('a', 1, 0)])
+    expect(changes[0]).toMatchObject({ teamId: 'a', previousRank: null, movement: null })
+  })
+})
+
+describe('formatSseEvent', () => {
+  test('formats a named event with JSON data', () => {
+    expect(formatSseEvent('rank-change', { changes: [] })).toBe('event: rank-change\ndata: {"changes":[]}\n\n')
+  })
+
+  test('includes the event id when provided', () => {
+    expect(formatSseEvent('leaderboard', { teams: [] }, '2025-01-01T00:00:00.000Z'))
+      .toBe('id: 2025-01-01T00:00:00.000Z\nevent: leaderboard\ndata: {"teams":[]}\n\n')
+  })
+})
+
+describe('shared leaderboard snapshot', () => {
+  const board = { orgId: 'bhhs', huntId: 'fall-2025', teams: [team('a', 1, 2)], lastUpdated: '2025-10-01T12:00:00.000Z' }
+  const snapshotDb = (builtAt) => mockSupabase({
+    key_value_store: query => (query.select && !query.upsert ? { data: builtAt ? { value: { leaderboard: board, builtAt } } : null, error: null } : null),
+    teams: { data: [], error: null }
+  })
+
+  test('reuses a fresh snapshot instead of rebuilding', async () => {
+    const supabase = snapshotDb(new Date().toISOString())
+
+    expect(await loadLeaderboard(supabase, 'bhhs', 'fall-2025')).toEqual(board)
+    expect(supabase.from).not.toHaveBeenCalledWith('teams')
+  })
+
+  test('rebuilds and stores a missing or expired snapshot', async () => {
+    for (const builtAt of [null, new Date(Date.now() - 120000).toISOString()]) {
+      const supabase = snapshotDb(builtAt)
+
+      const leaderboard = await loadLeaderboard(supabase, 'bhhs', 'fall-2025')
+
+      expect(leaderboard.teams).toEqual([])
+      expect(callsTo(supabase, 'upsert', 'key_value_store')).toEqual([[{
+        key: 'leaderboard-snapshot/bhhs/fall-2025',
+        value: { leaderboard, builtAt: expect.any(String) }
+      }]])
+    }
+  })
+
+  test('progress writes drop the snapshot', async () => {
+    const supabase = mockSupabase({})
+    await markLeaderboardStale(supabase, 'bhhs', 'fall-2025')
+    expect(callsTo(supabase, 'eq', 'key_value_store')).toEqual([['key', 'leaderboard-snapshot/bhhs/fall-2025']])
+    expect(callsTo(supabase, 'delete')).toHaveLength(1)
+  })
+
+  test('connections to the same hunt share one poller', async () => {
+    const supabase = snapshotDb(new Date().toISOString())
+    const frames = [[], []]
+
+    await Promise.all(frames.map(written => streamLeaderboard({
+      supabase,
+      orgId: 'bhhs',
+      huntId: 'fall-2025',
+      maxDurationMs: 50,
+      write: chunk => written.push(chunk)
+    })))
+
+    expect(callsTo(supabase, 'select', 'key_value_store')).toHaveLength(1)
+    for (const written of frames) {
+      expect(written.filter(chunk => chunk.startsWith('id:'))).toHaveLength(1)
+    }
+  })
+
+  test('reports build failures to every connection', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const supabase = mockSupabase({ teams: { data: null, error: { message: 'boom' } } })
+    const written = []
+
+    await streamLeaderboard({ supabase, orgId: 'bhhs', huntId: 'spring-2026', maxDurationMs: 50, write: chunk => written.push(chunk) })
+
+    expect(written).toContain(formatSseEvent('error', { message: 'Failed to fetch leaderboard' }))
+  })
+})
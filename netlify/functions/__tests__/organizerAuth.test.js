@@ -0,0 +1,230 @@
+/**
+ * Tests for organizer accounts, session tokens and role permissions
+ */
+
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest'
+import jwt from 'jsonwebtoken'
+import crypto from 'crypto'
+import { hasPermission, getOrganizerRole, requireOrganizer } from '../_lib/organizerAuth'
+import { hashPassword, verifyPassword, loginOrganizer, grantOrganizerRole } from '../_lib/organizerAccounts'
+import { LockUtils } from '../_lib/lockUtils'
+import { mockSupabase, callsTo } from './helpers/mockSupabase'
+
+const ORGANIZER = { id: 'organizer-1', email: 'host@example.com', roles: { bhhs: 'moderator', other: 'viewer' } }
+
+const sessionToken = (organizer = ORGANIZER) => LockUtils.generateOrganizerToken(organizer).token
+
+const eventWith = (token) => ({ headers: token ? { authorization: `Bearer ${token}` } : {} })
+
+const bodyOf = (response) => JSON.parse(response.body)
+
+/**
+ * Account lookups resolve with the row; updates with { error: null }
+ */
+const accountDb = (row) => mockSupabase({
+  organizer_accounts: query => (query.update ? { error: null } : { data: row, error: null })
+})
+
+/**
+ * Account row matching an organizer's token
+ */
+const accountRow = ({ id, email, roles }, overrides = {}) => ({
+  id,
+  email,
+  is_active: true,
+  organizer_memberships: Object.entries(roles).map(([orgId, role]) => ({ organization_id: orgId, role })),
+  ...overrides
+})
+
+describe('organizer permissions', () => {
+  test('higher roles include the permissions of lower ones', () => {
+    const organizer = { roles: { bhhs: 'organizer' } }
+
+    expect(hasPermission(organizer, 'bhhs', 'hunt:view')).toBe(true)
+    expect(hasPermission(organizer, 'bhhs', 'photos:moderate')).toBe(true)
+    expect(hasPermission(organizer, 'bhhs', 'photos:export')).toBe(true)
+    expect(hasPermission(organizer, 'bhhs', 'organizers:manage')).toBe(false)
+  })
+
+  test('roles only apply to their own organization unless granted for all', () => {
+    expect(hasPermission({ roles: { bhhs: 'owner' } }, 'other', 'hunt:view')).toBe(false)
+    expect(getOrganizerRole({ roles: { '*': 'owner' } }, 'other')).toBe('owner')
+    expect(getOrganizerRole({ roles: { bhhs: 'superuser' } }, 'bhhs')).toBeNull()
+  })
+
+  test('rejects unknown permissions', () => {
+    expect(() => hasPermission({ roles: { bhhs: 'owner' } }, 'bhhs', 'hunt:delete')).toThrow('Unknown organizer permission')
+  })
+})
+
+describe('requireOrganizer with session tokens', () => {
+  const original = process.env.ORGANIZER_API_KEY
+
+  beforeEach(() => {
+    delete process.env.ORGANIZER_API_KEY
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.ORGANIZER_API_KEY
+    else process.env.ORGANIZER_API_KEY = original
+  })
+
+  const supabase = accountDb(accountRow(ORGANIZER))
+
+  test('accepts a session token without an API key configured', async () => {
+    const { organizer, response } = await requireOrganizer(eventWith(sessionToken()), 'req-1', { orgId: 'bhhs', permission: 'photos:moderate' }, supabase)
+
+    expect(response).toBeUndefined()
+    expect(organizer).toMatchObject({ organizerId: 'organizer-1', email: 'host@example.com' })
+  })
+
+  test('forbids actions above the role with ORGANIZER_FORBIDDEN', async () => {
+    const event = eventWith(sessionToken())
+
+    for (const access of [
+      { orgId: 'bhhs', permission: 'photos:export' },
+      { orgId: 'other', permission: 'photos:moderate' },
+      { orgId: 'unrelated' }
+    ]) {
+      const { response } = await requireOrganizer(event, 'req-1', access, supabase)
+      expect(response.statusCode).toBe(403)
+      expect(bodyOf(response).code).toBe('ORGANIZER_FORBIDDEN')
+    }
+  })
+
+  test('rejects missing, forged, expired and team lock tokens with 401', async () => {
+    const forged = jwt.sign({ organizerId: 'x', roles: { bhhs: 'owner' }, sub: 'organizer', exp: Math.floor(Date.now() / 1000) + 60 }, 'not-the-secret')
+    const expired = jwt.sign({ organizerId: 'x', roles: { bhhs: 'owner' }, sub: 'organizer', exp: Math.floor(Date.now() / 1000) - 60 }, LockUtils.JWT_SECRET)
+    const teamLock = LockUtils.generateLockToken('powder-pioneers', { orgId: 'bhhs', huntId: 'fall-2025' }).token
+
+    for (const token of [null, forged, expired, teamLock]) {
+      expect((await requireOrganizer(eventWith(token), null, { orgId: 'bhhs' }, supabase)).response.statusCode).toBe(401)
+    }
+  })
+
+  test('refuses session tokens outside local development without a configured secret', async () => {
+    const token = sessionToken()
+    vi.stubEnv('NODE_ENV', 'production')
+    vi.stubEnv('NETLIFY_DEV', '')
+    vi.stubEnv('TEAM_LOCK_JWT_SECRET', '')
+
+    try {
+      expect(() => sessionToken()).toThrow('TEAM_LOCK_JWT_SECRET is not set')
+      expect((await requireOrganizer(eventWith(token), null, { orgId: 'bhhs' }, supabase)).response.statusCode).toBe(401)
+
+      vi.stubEnv('TEAM_LOCK_JWT_SECRET', 'configured-secret')
+      expect(LockUtils.verifyOrganizerToken(sessionToken())).toMatchObject({ organizerId: 'organizer-1' })
+    } finally {
+      vi.unstubAllEnvs()
+    }
+  })
+
+  test('rejects tokens of deactivated and deleted accounts', async () => {
+    const deactivated = { ...ORGANIZER, id: 'organizer-deactivated' }
+    const deleted = { ...ORGANIZER, id: 'organizer-deleted' }
+
+    const first = await requireOrganizer(eventWith(sessionToken(deactivated)), null, { orgId: 'bhhs' }, accountDb(accountRow(deactivated, { is_active: false })))
+    const second = await requireOrganizer(eventWith(sessionToken(deleted)), null, { orgId: 'bhhs' }, accountDb(null))
+
+    expect(first.response.statusCode).toBe(401)
+    expect(second.response.statusCode).toBe(401)
+  })
+
+  test('uses the current roles and caches the account check', async () => {
+    const demoted = { ...ORGANIZER, id: 'organizer-demoted' }
+    const db = accountDb(accountRow(demoted, { organizer_memberships: [{ organization_id: 'bhhs', role: 'viewer' }] }))
+    const event = eventWith(sessionToken(demoted))
+
+    const { response } = await requireOrganizer(event, null, { orgId: 'bhhs', permission: 'photos:moderate' }, db)
+    const { organizer } = await requireOrganizer(event, null, { orgId: 'bhhs', permission: 'hunt:view' }, db)
+
+    expect(response.statusCode).toBe(403)
+    expect(organizer.roles).toEqual({ bhhs: 'viewer' })
+    expect(callsTo(db, 'select', 'organizer_accounts')).toHaveLength(1)
+  })
+
+  test('falls back to the token roles when the account lookup fails', async () => {
+    const organizer = { ...ORGANIZER, id: 'organizer-unreachable' }
+    const db = mockSupabase({ organizer_accounts: { data: null, error: { message: 'connection reset' } } })
+
+    const result = await requireOrganizer(eventWith(sessionToken(organizer)), null, { orgId: 'bhhs', permission: 'photos:moderate' }, db)
+
+    expect(result.response).toBeUndefined()
+    expect(result.organizer.roles).toEqual(ORGANIZER.roles)
+  })
+
+  test('treats the API key as owner of every organization', async () => {
+    process.env.ORGANIZER_API_KEY = 'organizer-secret'
+    const db = mockSupabase()
+    const { organizer } = await requireOrganizer(eventWith('organizer-secret'), null, { orgId: 'any-org', permission: 'organizers:manage' }, db)
+    expect(organizer.organizerId).toBe('organizer-api-key')
+    expect(db.calls).toHaveLength(0)
+  })
+})
+
+describe('organizerAccounts', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  test('hashes passwords with a random salt', async () => {
+    const first = await hashPassword('correct horse battery')
+    const second = await hashPassword('correct horse battery')
+
+    expect(first).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/)
+    expect(first).not.toBe(second)
+    expect(await verifyPassword('correct horse battery', first)).toBe(true)
+    expect(await verifyPassword('wrong horse battery', first)).toBe(false)
+    expect(await verifyPassword('correct horse battery', 'plaintext')).toBe(false)
+  })
+
+  test('signs in with a token carrying roles per organization', async () => {
+    const supabase = accountDb({
+      id: 'organizer-1',
+      email: 'host@example.com',
+      display_name: 'Event Host',
+      is_active: true,
+      password_hash: await hashPassword('correct horse battery'),
+      organizer_memberships: [{ organization_id: 'bhhs', role: 'owner' }]
+    })
+
+    const session = await loginOrganizer(supabase, { email: ' Host@Example.com ', password: 'correct horse battery' })
+
+    expect(session.organizer).toEqual({
+      id: 'organizer-1',
+      email: 'host@example.com',
+      displayName: 'Event Host',
+      memberships: [{ orgId: 'bhhs', role: 'owner' }]
+    })
+    expect(LockUtils.verifyOrganizerToken(session.token)).toMatchObject({ organizerId: 'organizer-1', roles: { bhhs: 'owner' } })
+    expect(callsTo(supabase, 'update', 'organizer_accounts')).toHaveLength(1)
+  })
+
+  test('returns null for wrong passwords, inactive and unknown accounts', async () => {
+    const row = {
+      id: 'organizer-1',
+      email: 'host@example.com',
+      is_active: true,
+      password_hash: await hashPassword('correct horse battery'),
+      organizer_memberships: []
+    }
+
+    expect(await loginOrganizer(accountDb(row), { email: row.email, password: 'guess-guess-guess' })).toBeNull()
+    expect(await loginOrganizer(accountDb({ ...row, is_active: false }), { email: row.email, password: 'correct horse battery' })).toBeNull()
+    expect(await loginOrganizer(accountDb(null), { email: row.email, password: 'correct horse battery' })).toBeNull()
+  })
+
+  test('unknown emails cost the same scrypt as a real account', async () => {
+    const scrypt = vi.spyOn(crypto, 'scrypt')
+
+    expect(await loginOrganizer(accountDb(null), { email: 'nobody@example.com', password: 'correct horse battery' })).toBeNull()
+
+    expect(scrypt).toHaveBeenCalledTimes(1)
+    scrypt.mockRestore()
+  })
+
+  test('only grants known roles', async () => {
+    await expect(grantOrganizerRole({}, { organizerId: 'organizer-1', orgId: 'bhhs', role: 'admin' })).rejects.toThrow('Validation failed')
+  })
+})
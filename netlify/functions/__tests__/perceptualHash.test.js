@@ -0,0 +1,59 @@
+/**
+ * Tests for server-side perceptual hashing of uploaded photo bytes
+ */
+
+import { describe, test, expect, vi } from 'vitest'
+import jpeg from 'jpeg-js'
+import { PNG } from 'pngjs'
+import { differenceHash, downsampleLuma, hashPhotoBuffer } from '../_lib/perceptualHash'
+
+// Horizontal gradient, brightest on the left: every cell beats its right neighbour
+const gradient = (width, height) => {
+  const data = Buffer.alloc(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = Math.round(255 - (x * 255) / (width - 1))
+      data.set([value, value, value, 255], (y * width + x) * 4)
+    }
+  }
+  return { width, height, data }
+}
+
+describe('differenceHash', () => {
+  test('sets a bit for each cell brighter than its right neighbour', () => {
+    const row = [9, 8, 7, 6, 5, 5, 5, 5, 5]
+    expect(differenceHash(Array.from({ length: 72 }, (_, i) => row[i % 9]))).toBe('f0f0f0f0f0f0f0f0')
+  })
+})
+
+describe('downsampleLuma', () => {
+  test('averages any image size into 9x8 cells', () => {
+    const image = gradient(90, 40)
+    const cells = downsampleLuma(image.data, image.width, image.height)
+    expect(cells).toHaveLength(72)
+    expect(cells[0]).toBeGreaterThan(cells[1])
+    expect(cells[0]).toBeCloseTo(cells[9])
+  })
+})
+
+describe('hashPhotoBuffer', () => {
+  test('hashes JPEG and PNG bytes alike', () => {
+    const image = gradient(180, 160)
+    const png = new PNG({ width: image.width, height: image.height })
+    image.data.copy(png.data)
+
+    expect(hashPhotoBuffer(PNG.sync.write(png))).toBe('ffffffffffffffff')
+    expect(hashPhotoBuffer(jpeg.encode(image, 90).data)).toBe('ffffffffffffffff')
+  })
+
+  test('returns null for formats it cannot decode', () => {
+    expect(hashPhotoBuffer(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1'))).toBeNull()
+    expect(hashPhotoBuffer(Buffer.alloc(0))).toBeNull()
+    expect(hashPhotoBuffer(undefined)).toBeNull()
+  })
+
+  test('returns null for corrupt images', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    expect(hashPhotoBuffer(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10, 0x4A, 0x46, 0x49, 0x46, 0, 1, 1, 0]))).toBeNull()
+  })
+})
@@ -0,0 +1,177 @@
+/**
+ * Tests for the hunt photo archive: ZIP writer, manifest and archive layout
+ * with the local storage driver
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { crc32, createZipStream, buildManifestCsv, createPhotoArchive, archiveFileName } from '../_lib/photoArchive'
+import { mockSupabase } from './helpers/mockSupabase'
+
+// Smallest valid JPEG header is enough for format sniffing
+const JPEG_BYTES = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10, 0x4A, 0x46, 0x49, 0x46, 0, 1, 1, 0])
+
+async function collect(iterable) {
+  const chunks = []
+  for await (const chunk of iterable) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Read entries back through the central directory
+ */
+function readZip(zip) {
+  const end = zip.length - 22
+  expect(zip.readUInt32LE(end)).toBe(0x06054B50)
+  const count = zip.readUInt16LE(end + 10)
+  let cursor = zip.readUInt32LE(end + 16)
+
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    expect(zip.readUInt32LE(cursor)).toBe(0x02014B50)
+    const size = zip.readUInt32LE(cursor + 20)
+    const nameLength = zip.readUInt16LE(cursor + 28)
+    const offset = zip.readUInt32LE(cursor + 42)
+    const name = zip.toString('utf8', cursor + 46, cursor + 46 + nameLength)
+
+    expect(zip.readUInt32LE(offset)).toBe(0x04034B50)
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26)
+    const data = zip.subarray(dataStart, dataStart + size)
+    expect(zip.readUInt32LE(cursor + 16)).toBe(crc32(data))
+
+    entries.push({ name, data })
+    cursor += 46 + nameLength
+  }
+  return entries
+}
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926)
+    expect(crc32(Buffer.alloc(0))).toBe(0)
+  })
+})
+
+describe('createZipStream', () => {
+  test('writes entries that read back through the central directory', async () => {
+    async function* entries() {
+      yield { name: 'team/stop.jpg', data: JPEG_BYTES, date: new Date(2025, 9, 4, 12, 30) }
+      yield { name: 'équipe/notes.txt', data: Buffer.from('hello') }
+    }
+
+    const entriesRead = readZip(await collect(createZipStream(entries())))
+
+    expect(entriesRead.map(entry => entry.name)).toEqual(['team/stop.jpg', 'équipe/notes.txt'])
+    expect(entriesRead[0].data.equals(JPEG_BYTES)).toBe(true)
+    expect(entriesRead[1].data.toString()).toBe('hello')
+  })
+
+  test('writes a valid empty archive', async () => {
+    const zip = await collect(createZipStream([]))
+    expect(zip).toHaveLength(22)
+    expect(readZip(zip)).toEqual([])
+  })
+})
+
+describe('buildManifestCsv', () => {
+  test('quotes cells and neutralizes spreadsheet formulas', () => {
+    const csv = buildManifestCsv([{
+      teamId: 'alpha', teamName: 'Alpha, "A" Team', stopId: 'bridge', stopTitle: 'Bridge',
+      done: true, completedAt: '2025-10-04T12:00:00Z', notes: '=HYPERLINK("x")', hintsUsed: 2,
+      photoUrl: null, file: null
+    }])
+
+    const [header, row] = csv.trimEnd().split('\r\n')
+    expect(header).toBe('team_id,team_name,stop_id,stop_title,done,completed_at,notes,hints_used,photo_url,file')
+    expect(row).toBe('alpha,"Alpha, ""A"" Team",bridge,Bridge,true,2025-10-04T12:00:00Z,"\'=HYPERLINK(""x"")",2,,')
+  })
+})
+
+describe('createPhotoArchive', () => {
+  let storageDir
+  const originalEnv = { ...process.env }
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'))
+    process.env.PHOTO_STORAGE_DRIVER = 'local'
+    process.env.PHOTO_STORAGE_LOCAL_DIR = storageDir
+    fs.mkdirSync(path.join(storageDir, 'entries'))
+    fs.writeFileSync(path.join(storageDir, 'entries', 'a.jpg'), JPEG_BYTES)
+    fs.writeFileSync(path.join(storageDir, 'entries', 'b.jpg'), JPEG_BYTES)
+  })
+
+  afterEach(() => {
+    process.env = { ...originalEnv }
+    fs.rmSync(storageDir, { recursive: true, force: true })
+  })
+
+  test('lays photos out as team/stop and appends the manifest', async () => {
+    const supabase = mockSupabase({
+      teams: {
+        data: [
+          { id: 'uuid-b', team_id: 'bravo', display_name: 'Bravo' },
+          { id: 'uuid-a', team_id: 'alpha', display_name: 'Alpha' }
+        ],
+        error: null
+      },
+      hunt_progress: {
+        data: [
+          { team_id: 'uuid-b', location_id: 'gondola', done: true, completed_at: '2025-10-04T11:00:00Z', revealed_hints: 1, photo_url: '/media/entries/b.jpg' },
+          { team_id: 'uuid-a', location_id: 'summit', done: false, completed_at: null, revealed_hints: 0, photo_url: null },
+          { team_id: 'uuid-a', location_id: 'bridge', done: true, completed_at: '2025-10-04T10:00:00Z', notes: 'Cold', revealed_hints: 2, photo_url: '/media/entries/a.jpg' },
+          { team_id: 'uuid-a', location_id: 'lift', done: true, completed_at: '2025-10-04T10:30:00Z', photo_url: '/media/entries/missing.jpg' }
+        ],
+        error: null
+      },
+      hunt_stops: { data: [{ stop_id: 'bridge', title: 'Covered Bridge' }], error: null }
+    })
+    const progress = []
+
+    const archive = await createPhotoArchive(supabase, {
+      orgId: 'bhhs',
+      huntId: 'fall-2025',
+      onProgress: ({ row, included }) => progress.push([row.stopId, included])
+    })
+    expect(archive).toMatchObject({ teamCount: 2, photoCount: 3 })
+    expect(supabase.calls).toContainEqual(['hunt_progress', 'in', 'team_id', ['uuid-b', 'uuid-a']])
+
+    const entries = readZip(await collect(archive.stream))
+    expect(entries.map(entry => entry.name)).toEqual(['alpha/bridge.jpg', 'bravo/gondola.jpg', 'manifest.csv'])
+    expect(entries[0].data.equals(JPEG_BYTES)).toBe(true)
+    expect(progress).toEqual([['bridge', true], ['lift', false], ['gondola', true]])
+
+    // Sorted by team, then completion; unreadable and missing photos have no file
+    const rows = entries[2].data.toString().trimEnd().split('\r\n').slice(1)
+    expect(rows).toEqual([
+      'alpha,Alpha,bridge,Covered Bridge,true,2025-10-04T10:00:00Z,Cold,2,/media/entries/a.jpg,alpha/bridge.jpg',
+      'alpha,Alpha,lift,lift,true,2025-10-04T10:30:00Z,,0,/media/entries/missing.jpg,',
+      'alpha,Alpha,summit,summit,false,,,0,,',
+      'bravo,Bravo,gondola,gondola,true,2025-10-04T11:00:00Z,,1,/media/entries/b.jpg,bravo/gondola.jpg'
+    ])
+  })
+
+  test('reports hunts without teams', async () => {
+    const supabase = mockSupabase({ teams: { data: [], error: null } })
+    const archive = await createPhotoArchive(supabase, { orgId: 'bhhs', huntId: 'nope' })
+
+    expect(archive.teamCount).toBe(0)
+    expect(supabase.from).toHaveBeenCalledTimes(1)
+  })
+
+  test('surfaces database errors before streaming', async () => {
+    const supabase = mockSupabase({
+      teams: { data: [{ id: 'uuid-a', team_id: 'alpha' }], error: null },
+      hunt_progress: { data: null, error: { message: 'boom' } }
+    })
+    await expect(createPhotoArchive(supabase, { orgId: 'bhhs', huntId: 'fall-2025' })).rejects.toThrow('Supabase progress query failed')
+  })
+})
+
+describe('archiveFileName', () => {
+  test('keeps the name safe for Content-Disposition', () => {
+    expect(archiveFileName('bhhs', 'fall-2025')).toBe('bhhs-fall-2025-photos.zip')
+    expect(archiveFileName('a"b', '../x')).toBe('a-b-x-photos.zip')
+  })
+})
@@ -0,0 +1,196 @@
+/**
+ * Tests for perceptual near-duplicate detection of stop photos
+ */
+
+import { describe, test, expect, vi } from 'vitest'
+import {
+  normalizePerceptualHash,
+  hammingDistance,
+  findNearDuplicate,
+  checkDuplicatePhoto
+} from '../_lib/photoDuplicates'
+import { mockSupabase } from './helpers/mockSupabase'
+import { PNG } from 'pngjs'
+
+const TEAM_A = '00000000-0000-4000-8000-0000000000aa'
+const TEAM_B = '00000000-0000-4000-8000-0000000000bb'
+const HASH = 'f0f0f0f0f0f0f0f0'
+
+// 9x8 PNG whose rows step down then flatten, so every row hashes to 0xf0 (= HASH)
+const hashedPng = () => {
+  const png = new PNG({ width: 9, height: 8 })
+  const row = [250, 200, 150, 100, 50, 50, 50, 50, 50]
+  for (let i = 0; i < 72; i++) {
+    png.data.set([row[i % 9], row[i % 9], row[i % 9], 255], i * 4)
+  }
+  return PNG.sync.write(png)
+}
+
+const hashRow = (overrides = {}) => ({
+  id: 'submission-1',
+  team_id: TEAM_B,
+  team_slug: 'snow-seekers',
+  location_id: 'covered-bridge',
+  location_title: 'Covered Bridge',
+  photo_url: 'https://example.com/b.jpg',
+  perceptual_hash: HASH,
+  ...overrides
+})
+
+describe('normalizePerceptualHash', () => {
+  test('accepts 16 hex characters in any case', () => {
+    expect(normalizePerceptualHash(' F0F0f0f0F0F0F0F0 ')).toBe(HASH)
+  })
+
+  test('drops anything else', () => {
+    expect(normalizePerceptualHash('f0f0')).toBeNull()
+    expect(normalizePerceptualHash('zzzzzzzzzzzzzzzz')).toBeNull()
+    expect(normalizePerceptualHash(undefined)).toBeNull()
+  })
+})
+
+describe('hammingDistance', () => {
+  test('counts differing bits across all 64', () => {
+    expect(hammingDistance(HASH, HASH)).toBe(0)
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64)
+    expect(hammingDistance('8000000000000001', '0000000000000000')).toBe(2)
+  })
+})
+
+describe('findNearDuplicate', () => {
+  const params = { orgId: 'bhhs', huntId: 'fall-2025', teamUuid: TEAM_A, stopId: 'gondola', perceptualHash: HASH }
+
+  test('picks the closest match and skips retakes of the same stop', async () => {
+    const supabase = mockSupabase({
+      photo_submissions: {
+        data: [
+          hashRow({ id: 'retake', team_id: TEAM_A, location_id: 'gondola' }),
+          hashRow({ id: 'far', perceptual_hash: '0f0f0f0f0f0f0f0f' }),
+          hashRow({ id: 'near', perceptual_hash: 'f0f0f0f0f0f0f0f3' }),
+          hashRow({ id: 'own', team_id: TEAM_A, team_slug: 'powder-pioneers', location_id: 'summit', perceptual_hash: 'f0f0f0f0f0f0f0f1' })
+        ],
+        error: null
+      }
+    })
+
+    const duplicate = await findNearDuplicate(supabase, params)
+
+    expect(duplicate).toEqual({
+      submissionId: 'own',
+      teamId: 'powder-pioneers',
+      locationId: 'summit',
+      locationTitle: 'Covered Bridge',
+      photoUrl: 'https://example.com/b.jpg',
+      distance: 1,
+      scope: 'team'
+    })
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'neq', 'status', 'rejected'])
+  })
+
+  test('flags another team’s photo as cross_team', async () => {
+    const supabase = mockSupabase({ photo_submissions: { data: [hashRow()], error: null } })
+    const duplicate = await findNearDuplicate(supabase, params)
+
+    expect(duplicate).toMatchObject({ submissionId: 'submission-1', distance: 0, scope: 'cross_team' })
+  })
+
+  test('returns null when nothing is within the threshold or the lookup fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const distant = mockSupabase({ photo_submissions: { data: [hashRow({ perceptual_hash: '0f0f0f0f0f0f0f0f' })], error: null } })
+    const failing = mockSupabase({ photo_submissions: { data: null, error: { message: 'boom' } } })
+
+    expect(await findNearDuplicate(distant, params)).toBeNull()
+    expect(await findNearDuplicate(failing, params)).toBeNull()
+  })
+})
+
+describe('checkDuplicatePhoto', () => {
+  const params = { orgId: 'bhhs', huntId: 'fall-2025', teamId: TEAM_A, stopId: 'gondola', perceptualHash: HASH }
+
+  test('lets photos without a hash through unless the hunt blocks duplicates', async () => {
+    const supabase = mockSupabase({ hunts: { data: { duplicate_photo_mode: 'flag' }, error: null } })
+    const result = await checkDuplicatePhoto(supabase, { ...params, perceptualHash: 'not-a-hash' })
+
+    expect(result).toEqual({ allowed: true, mode: 'flag', duplicate: null, perceptualHash: null, verified: false })
+    expect(supabase.from).toHaveBeenCalledTimes(1)
+  })
+
+  test('refuses photos without a hash when the hunt blocks duplicates', async () => {
+    const supabase = mockSupabase({ hunts: { data: { duplicate_photo_mode: 'block' }, error: null } })
+    const result = await checkDuplicatePhoto(supabase, { ...params, perceptualHash: undefined })
+
+    expect(result).toMatchObject({ allowed: false, mode: 'block', code: 'PHOTO_UNVERIFIED', duplicate: null })
+    expect(supabase.from).toHaveBeenCalledTimes(1)
+  })
+
+  test('refuses client-only hashes when the hunt blocks duplicates', async () => {
+    const supabase = mockSupabase({ hunts: { data: { duplicate_photo_mode: 'block' }, error: null } })
+    const webp = Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1')
+
+    expect(await checkDuplicatePhoto(supabase, params)).toMatchObject({ allowed: false, code: 'PHOTO_UNVERIFIED', verified: false })
+    expect(await checkDuplicatePhoto(supabase, { ...params, photoBuffer: webp })).toMatchObject({ allowed: false, code: 'PHOTO_UNVERIFIED' })
+  })
+
+  test('pre-checks the client hash before the bytes arrive', async () => {
+    const supabase = mockSupabase({
+      hunts: { data: { duplicate_photo_mode: 'block' }, error: null },
+      photo_submissions: { data: [], error: null }
+    })
+
+    expect(await checkDuplicatePhoto(supabase, { ...params, preliminary: true }))
+      .toEqual({ allowed: true, mode: 'block', duplicate: null, perceptualHash: HASH, verified: false })
+  })
+
+  test('hashes the uploaded bytes instead of trusting the client', async () => {
+    const supabase = mockSupabase({
+      hunts: { data: { duplicate_photo_mode: 'flag' }, error: null },
+      photo_submissions: { data: [hashRow()], error: null }
+    })
+    const result = await checkDuplicatePhoto(supabase, { ...params, perceptualHash: '0000000000000000', photoBuffer: hashedPng() })
+
+    expect(result).toMatchObject({ perceptualHash: HASH, verified: true })
+    expect(result.duplicate).toMatchObject({ submissionId: 'submission-1', distance: 0 })
+  })
+
+  test('does not compare when the hunt turned detection off', async () => {
+    const supabase = mockSupabase({ hunts: { data: { duplicate_photo_mode: 'off' }, error: null } })
+    const result = await checkDuplicatePhoto(supabase, params)
+
+    expect(result).toEqual({ allowed: true, mode: 'off', duplicate: null, perceptualHash: HASH, verified: false })
+    expect(supabase.from).toHaveBeenCalledTimes(1)
+  })
+
+  test('flags by default', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const supabase = mockSupabase({
+      hunts: { data: null, error: { message: 'column hunts.duplicate_photo_mode does not exist' } },
+      photo_submissions: { data: [hashRow()], error: null }
+    })
+    const result = await checkDuplicatePhoto(supabase, params)
+
+    expect(result.allowed).toBe(true)
+    expect(result.mode).toBe('flag')
+    expect(result.duplicate).toMatchObject({ submissionId: 'submission-1', scope: 'cross_team' })
+  })
+
+  test('blocks when the hunt refuses duplicates', async () => {
+    const supabase = mockSupabase({
+      hunts: { data: { duplicate_photo_mode: 'block' }, error: null },
+      photo_submissions: { data: [hashRow()], error: null }
+    })
+    const result = await checkDuplicatePhoto(supabase, { ...params, photoBuffer: hashedPng() })
+
+    expect(result).toMatchObject({ allowed: false, mode: 'block', code: 'DUPLICATE_PHOTO' })
+    expect(result.error).toContain('another team')
+  })
+
+  test('allows the upload when nothing matches in block mode', async () => {
+    const supabase = mockSupabase({
+      hunts: { data: { duplicate_photo_mode: 'block' }, error: null },
+      photo_submissions: { data: [], error: null }
+    })
+
+    expect(await checkDuplicatePhoto(supabase, { ...params, photoBuffer: hashedPng() }))
+      .toEqual({ allowed: true, mode: 'block', duplicate: null, perceptualHash: HASH, verified: true })
+  })
+})
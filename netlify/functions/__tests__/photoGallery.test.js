@@ -0,0 +1,122 @@
+/**
+ * Tests for the hunt-wide photo gallery
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'vitest'
+import { buildResponsiveUrls, listGalleryPhotos, getGalleryFilters } from '../_lib/photoGallery'
+import { encodeCursor } from '../_lib/activityFeed'
+import { mockSupabase } from './helpers/mockSupabase'
+
+const row = (overrides = {}) => ({
+  id: '00000000-0000-4000-8000-000000000001',
+  team_id: 'team-uuid-1',
+  team_slug: 'powder-pioneers',
+  location_id: 'covered-bridge',
+  location_title: 'Covered Bridge',
+  photo_url: 'https://res.cloudinary.com/demo/image/upload/v1/entries/a.jpg',
+  created_at: '2025-01-01T10:00:00Z',
+  ...overrides
+})
+
+describe('buildResponsiveUrls', () => {
+  const originalDriver = process.env.PHOTO_STORAGE_DRIVER
+
+  afterEach(() => {
+    if (originalDriver === undefined) delete process.env.PHOTO_STORAGE_DRIVER
+    else process.env.PHOTO_STORAGE_DRIVER = originalDriver
+  })
+
+  test('uses transformed sizes on Cloudinary', () => {
+    process.env.PHOTO_STORAGE_DRIVER = 'cloudinary'
+    const urls = buildResponsiveUrls(row().photo_url)
+
+    expect(urls.thumbnailUrl).toContain('/upload/w_480,h_480,c_fill,q_auto,f_auto/')
+    expect(urls.displayUrl).toContain('/upload/w_1920,c_limit,q_auto,f_auto/')
+    expect(urls.srcSet.split(', ')).toHaveLength(3)
+    expect(urls.srcSet).toMatch(/ 640w, .* 1280w, .* 1920w$/)
+  })
+
+  test('falls back to the stored URL without transformations', () => {
+    process.env.PHOTO_STORAGE_DRIVER = 'local'
+    expect(buildResponsiveUrls('/media/entries/a.jpg')).toEqual({
+      thumbnailUrl: '/media/entries/a.jpg',
+      displayUrl: '/media/entries/a.jpg',
+      srcSet: null
+    })
+  })
+})
+
+describe('listGalleryPhotos', () => {
+  beforeEach(() => {
+    process.env.PHOTO_STORAGE_DRIVER = 'cloudinary'
+  })
+
+  afterEach(() => {
+    delete process.env.PHOTO_STORAGE_DRIVER
+  })
+
+  test('lists approved photos with team names and a next cursor', async () => {
+    const rows = [
+      row(),
+      row({ id: '00000000-0000-4000-8000-000000000002', photo_url: 'https://example.com/clip.mp4' }),
+      row({ id: '00000000-0000-4000-8000-000000000003' })
+    ]
+    const supabase = mockSupabase({
+      photo_submissions: { data: rows, error: null },
+      teams: { data: [{ id: 'team-uuid-1', display_name: 'Powder Pioneers' }], error: null }
+    })
+
+    const { photos, nextCursor } = await listGalleryPhotos(supabase, { orgId: 'bhhs', huntId: 'fall-2025', limit: 2 })
+
+    expect(photos).toHaveLength(2)
+    expect(photos[0]).toMatchObject({ teamId: 'powder-pioneers', teamName: 'Powder Pioneers', mediaType: 'photo' })
+    expect(photos[1]).toMatchObject({ mediaType: 'video', thumbnailUrl: 'https://example.com/clip.mp4', srcSet: null })
+    expect(nextCursor).toBe(encodeCursor(rows[1]))
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'eq', 'status', 'approved'])
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'limit', 3])
+  })
+
+  test('applies stop, team and cursor filters', async () => {
+    const supabase = mockSupabase({ photo_submissions: { data: [], error: null } })
+    const cursor = encodeCursor(row())
+
+    await listGalleryPhotos(supabase, { orgId: 'bhhs', huntId: 'fall-2025', stopId: 'covered-bridge', teamId: 'Powder-Pioneers', cursor })
+
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'eq', 'location_id', 'covered-bridge'])
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'ilike', 'team_slug', 'Powder-Pioneers'])
+    expect(supabase.calls.some(([table, method]) => table === 'photo_submissions' && method === 'or')).toBe(true)
+  })
+
+  test('rejects invalid teams and cursors', async () => {
+    const supabase = mockSupabase({})
+    await expect(listGalleryPhotos(supabase, { orgId: 'o', huntId: 'h', teamId: 'a,b' })).rejects.toThrow('Validation failed')
+    await expect(listGalleryPhotos(supabase, { orgId: 'o', huntId: 'h', cursor: 'nope' })).rejects.toThrow('Validation failed')
+  })
+})
+
+describe('getGalleryFilters', () => {
+  test('counts approved photos per stop and team', async () => {
+    const supabase = mockSupabase({
+      photo_submissions: {
+        data: [
+          row(),
+          row({ location_id: 'gondola', location_title: 'Gondola' }),
+          row({ team_id: 'team-uuid-2', team_slug: 'ski-bums' })
+        ],
+        error: null
+      },
+      teams: { data: [{ id: 'team-uuid-1', display_name: 'Powder Pioneers' }], error: null }
+    })
+
+    const filters = await getGalleryFilters(supabase, { orgId: 'bhhs', huntId: 'fall-2025' })
+
+    expect(filters.stops).toEqual([
+      { id: 'covered-bridge', title: 'Covered Bridge', count: 2 },
+      { id: 'gondola', title: 'Gondola', count: 1 }
+    ])
+    expect(filters.teams).toEqual([
+      { id: 'powder-pioneers', name: 'Powder Pioneers', count: 2 },
+      { id: 'ski-bums', name: 'ski-bums', count: 1 }
+    ])
+  })
+})
@@ -0,0 +1,280 @@
+/**
+ * Tests for photo moderation: validation and the reject flow
+ */
+
+import { describe, test, expect } from 'vitest'
+import { validateModerationInput, recordPhotoSubmission, listPhotoSubmissions, moderatePhotoSubmission, getRejectedStopIds, filterSubmittedPhotos } from '../_lib/photoModeration'
+import { mockSupabase, callsTo } from './helpers/mockSupabase'
+
+const submissionRow = (overrides = {}) => ({
+  id: '00000000-0000-4000-8000-000000000001',
+  organization_id: 'bhhs',
+  hunt_id: 'fall-2025',
+  team_id: '00000000-0000-4000-8000-0000000000aa',
+  team_slug: 'powder-pioneers',
+  location_id: 'covered-bridge',
+  location_title: 'Covered Bridge',
+  photo_url: 'https://example.com/photo.jpg',
+  photo_key: 'abcdef0123456789',
+  status: 'pending',
+  reason: null,
+  created_at: '2025-01-01T10:00:00Z',
+  ...overrides
+})
+
+describe('validateModerationInput', () => {
+  test('maps actions to statuses', () => {
+    expect(validateModerationInput('approve', {})).toEqual({ status: 'approved', reason: null })
+    expect(validateModerationInput('reject', { reason: ' Blurry ' })).toEqual({ status: 'rejected', reason: 'Blurry' })
+  })
+
+  test('requires a reason to reject', () => {
+    expect(() => validateModerationInput('reject', {})).toThrow('Validation failed')
+    expect(() => validateModerationInput('reject', { reason: '   ' })).toThrow('Validation failed')
+  })
+
+  test('rejects unknown actions and oversized reasons', () => {
+    expect(() => validateModerationInput('delete', {})).toThrow('Validation failed')
+    expect(() => validateModerationInput('reject', { reason: 'x'.repeat(501) })).toThrow('Validation failed')
+    expect(() => validateModerationInput('approve', { reason: 42 })).toThrow('Validation failed')
+  })
+})
+
+describe('listPhotoSubmissions', () => {
+  test('lists pending submissions oldest first', async () => {
+    const supabase = mockSupabase({ photo_submissions: { data: [submissionRow()], error: null } })
+
+    const submissions = await listPhotoSubmissions(supabase, { orgId: 'bhhs', huntId: 'fall-2025' })
+
+    expect(submissions[0]).toMatchObject({ teamId: 'powder-pioneers', locationTitle: 'Covered Bridge', status: 'pending' })
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'eq', 'status', 'pending'])
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'order', 'created_at', { ascending: true }])
+  })
+
+  test('lists flagged near-duplicates with the photo they match', async () => {
+    const original = submissionRow({ id: 'original-id', team_slug: 'snow-seekers', photo_url: 'https://example.com/original.jpg' })
+    const flagged = submissionRow({ duplicate_of: 'original-id', duplicate_distance: 3, duplicate_scope: 'cross_team' })
+    const supabase = mockSupabase({ photo_submissions: [{ data: [flagged], error: null }, { data: [original], error: null }] })
+
+    const [submission] = await listPhotoSubmissions(supabase, { orgId: 'bhhs', huntId: 'fall-2025', flagged: true })
+
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'not', 'duplicate_of', 'is', null])
+    expect(supabase.calls).toContainEqual(['photo_submissions', 'in', 'id', ['original-id']])
+    expect(submission.duplicate).toEqual({
+      submissionId: 'original-id',
+      distance: 3,
+      scope: 'cross_team',
+      teamId: 'snow-seekers',
+      locationId: 'covered-bridge',
+      locationTitle: 'Covered Bridge',
+      photoUrl: 'https://example.com/original.jpg'
+    })
+  })
+
+  test('rejects unknown statuses', async () => {
+    await expect(listPhotoSubmissions(mockSupabase({}), { orgId: 'o', huntId: 'h', status: 'deleted' }))
+      .rejects.toThrow('Validation failed')
+  })
+})
+
+describe('recordPhotoSubmission', () => {
+  const params = {
+    orgId: 'bhhs',
+    huntId: 'fall-2025',
+    teamId: 'powder-pioneers',
+    teamUuid: '00000000-0000-4000-8000-0000000000aa',
+    locationId: 'covered-bridge',
+    photoUrl: 'https://example.com/photo.jpg'
+  }
+
+  // New photo: the lookup finds nothing, then the upsert returns the row
+  const newSubmission = () => mockSupabase({ photo_submissions: [{ data: null, error: null }, { data: [submissionRow()], error: null }] })
+
+  test('queues new photos for review', async () => {
+    const supabase = newSubmission()
+
+    const submission = await recordPhotoSubmission(supabase, params)
+
+    const [[[row]]] = callsTo(supabase, 'upsert', 'photo_submissions')
+    expect(row).toMatchObject({ status: 'pending', reason: null })
+    expect(submission).toMatchObject({ status: 'pending' })
+  })
+
+  test('stores the perceptual hash and duplicate flag', async () => {
+    const supabase = newSubmission()
+
+    await recordPhotoSubmission(supabase, {
+      ...params,
+      perceptualHash: '0f0f0f0f0f0f0f0f',
+      duplicate: { submissionId: 'original-id', distance: 2, scope: 'team' }
+    })
+
+    const [, , [row]] = supabase.calls.find(([, method]) => method === 'upsert')
+    expect(row).toMatchObject({
+      perceptual_hash: '0f0f0f0f0f0f0f0f',
+      duplicate_of: 'original-id',
+      duplicate_distance: 2,
+      duplicate_scope: 'team'
+    })
+  })
+
+  test('leaves hash columns out for unhashed uploads', async () => {
+    const supabase = newSubmission()
+
+    await recordPhotoSubmission(supabase, params)
+
+    const [, , [row]] = supabase.calls.find(([, method]) => method === 'upsert')
+    expect(row).not.toHaveProperty('perceptual_hash')
+    expect(row).not.toHaveProperty('duplicate_of')
+  })
+
+  test('a retried upload keeps its review', async () => {
+    const approved = submissionRow({ status: 'approved' })
+    const supabase = mockSupabase({ photo_submissions: [{ data: approved, error: null }, { data: [approved], error: null }] })
+
+    await recordPhotoSubmission(supabase, params)
+
+    const [[[row]]] = callsTo(supabase, 'upsert', 'photo_submissions')
+    expect(row).not.toHaveProperty('status')
+    expect(row).not.toHaveProperty('moderated_at')
+  })
+
+  test('re-sending a rejected photo keeps it rejected and reopens the stop', async () => {
+    const rejected = submissionRow({ status: 'rejected', reason: 'Wrong place' })
+    const supabase = mockSupabase({
+      photo_submissions: { data: rejected, error: null },
+      hunt_progress: { data: [{ id: 'progress-1' }], error: null }
+    })
+
+    const submission = await recordPhotoSubmission(supabase, params)
+
+    expect(submission).toMatchObject({ status: 'rejected', reason: 'Wrong place' })
+    expect(callsTo(supabase, 'upsert', 'photo_submissions')).toHaveLength(0)
+    expect(callsTo(supabase, 'update', 'hunt_progress')).toEqual([[expect.objectContaining({ done: false, photo_url: null })]])
+  })
+})
+
+describe('getRejectedStopIds', () => {
+  test('only counts stops whose latest submission was rejected', async () => {
+    const supabase = mockSupabase({
+      photo_submissions: {
+        data: [
+          { location_id: 'covered-bridge', status: 'pending', created_at: '2025-10-01T12:05:00Z' },
+          { location_id: 'ski-lift', status: 'rejected', created_at: '2025-10-01T12:04:00Z' },
+          { location_id: 'covered-bridge', status: 'rejected', created_at: '2025-10-01T12:00:00Z' }
+        ],
+        error: null
+      }
+    })
+
+    const rejected = await getRejectedStopIds(supabase, 'team-uuid', ['covered-bridge', 'ski-lift', 'gondola'])
+
+    expect([...rejected]).toEqual(['ski-lift'])
+    expect(callsTo(supabase, 'order', 'photo_submissions')).toEqual([['created_at', { ascending: false }]])
+  })
+
+  test('skips the lookup when there are no stops', async () => {
+    const supabase = mockSupabase({})
+    expect((await getRejectedStopIds(supabase, 'team-uuid', [])).size).toBe(0)
+    expect(supabase.from).not.toHaveBeenCalled()
+  })
+
+  test('treats a failed lookup as no rejected stops', async () => {
+    const supabase = mockSupabase({ photo_submissions: { data: null, error: { message: 'timeout' } } })
+    expect((await getRejectedStopIds(supabase, 'team-uuid', ['covered-bridge'])).size).toBe(0)
+  })
+})
+
+describe('filterSubmittedPhotos', () => {
+  test('keeps submitted photos and drops the rest', async () => {
+    const supabase = mockSupabase({
+      photo_submissions: {
+        data: [{ location_id: 'covered-bridge', photo_url: 'https://example.com/photo.jpg' }],
+        error: null
+      }
+    })
+
+    const { stops, droppedStopIds } = await filterSubmittedPhotos(supabase, 'team-uuid', {
+      'covered-bridge': { done: true, photo: 'https://example.com/photo.jpg' },
+      'ski-lift': { done: true, photo: 'http://169.254.169.254/latest/meta-data' },
+      gondola: { done: true, photo: null }
+    })
+
+    expect(droppedStopIds).toEqual(['ski-lift'])
+    expect(stops['covered-bridge'].photo).toBe('https://example.com/photo.jpg')
+    expect(stops['ski-lift']).toEqual({ done: true, photo: null })
+    expect(callsTo(supabase, 'in', 'photo_submissions')).toEqual([
+      ['location_id', ['covered-bridge', 'ski-lift']],
+      ['status', ['pending', 'approved']]
+    ])
+  })
+
+  test('skips the lookup when no stop carries a photo', async () => {
+    const supabase = mockSupabase({})
+    const stops = { 'covered-bridge': { done: true } }
+    expect(await filterSubmittedPhotos(supabase, 'team-uuid', stops)).toEqual({ stops, droppedStopIds: [] })
+    expect(supabase.from).not.toHaveBeenCalled()
+  })
+
+  test('throws when submissions cannot be checked', async () => {
+    const supabase = mockSupabase({ photo_submissions: { data: null, error: { message: 'timeout' } } })
+    await expect(filterSubmittedPhotos(supabase, 'team-uuid', { 'covered-bridge': { photo: 'https://example.com/photo.jpg' } }))
+      .rejects.toThrow('Supabase photo submission lookup failed')
+  })
+})
+
+describe('moderatePhotoSubmission', () => {
+  const params = { orgId: 'bhhs', huntId: 'fall-2025', id: submissionRow().id, moderatedBy: 'organizer-api-key' }
+
+  test('rejecting reverts the stop, hides the upload event and notifies the team', async () => {
+    const rejected = submissionRow({ status: 'rejected', reason: 'Wrong place' })
+    const supabase = mockSupabase({
+      photo_submissions: [
+        { data: submissionRow(), error: null },
+        { data: rejected, error: null }
+      ],
+      hunt_progress: { data: [{ id: 'progress-1' }], error: null },
+      activity_events: { data: [], error: null },
+      teams: { data: { display_name: 'Powder Pioneers' }, error: null }
+    })
+
+    const result = await moderatePhotoSubmission(supabase, { ...params, action: 'reject', input: { reason: 'Wrong place' } })
+
+    expect(result.submission).toMatchObject({ status: 'rejected', reason: 'Wrong place' })
+    expect(result.progressReverted).toBe(true)
+
+    // Only the progress row still holding the rejected photo is reverted
+    expect(supabase.calls).toContainEqual(['hunt_progress', 'update', expect.objectContaining({ done: false, photo_url: null })])
+    expect(supabase.calls).toContainEqual(['hunt_progress', 'eq', 'photo_url', rejected.photo_url])
+
+    expect(supabase.calls).toContainEqual(['activity_events', 'eq', 'dedupe_key',
+      `photo_uploaded:${rejected.team_id}:covered-bridge:${rejected.photo_key}`])
+    const notice = supabase.calls.find(([table, method]) => table === 'activity_events' && method === 'upsert')
+    expect(notice[2][0]).toMatchObject({
+      event_type: 'photo_rejected',
+      team_id: 'powder-pioneers',
+      team_name: 'Powder Pioneers',
+      target_team_ids: ['powder-pioneers']
+    })
+  })
+
+  test('approving leaves progress alone', async () => {
+    const supabase = mockSupabase({ photo_submissions: { data: submissionRow({ status: 'approved' }), error: null } })
+
+    const result = await moderatePhotoSubmission(supabase, { ...params, action: 'approve', input: {} })
+
+    expect(result).toEqual({ submission: expect.objectContaining({ status: 'approved' }), progressReverted: false })
+    expect(supabase.from).not.toHaveBeenCalledWith('hunt_progress')
+  })
+
+  test('returns null for unknown submissions', async () => {
+    const supabase = mockSupabase({ photo_submissions: { data: null, error: null } })
+    expect(await moderatePhotoSubmission(supabase, { ...params, action: 'approve', input: {} })).toBeNull()
+  })
+
+  test('refuses to re-moderate a rejected photo', async () => {
+    const supabase = mockSupabase({ photo_submissions: { data: submissionRow({ status: 'rejected' }), error: null } })
+    await expect(moderatePhotoSubmission(supabase, { ...params, action: 'approve', input: {} }))
+      .rejects.toThrow('already rejected')
+  })
+})
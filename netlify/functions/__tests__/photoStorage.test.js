@@ -0,0 +1,192 @@
+/**
+ * Tests for the photo storage provider and its local, Cloudinary and S3 drivers
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  getStorageDriverName,
+  isPhotoStorageConfigured,
+  storageNotConfiguredBody,
+  getUploadFolder,
+  uploadMedia,
+  verifyMedia,
+  deleteMedia,
+  transformMediaUrl,
+  readMedia
+} from '../_lib/photoStorage'
+import { toStorageKey, readLocalMedia } from '../_lib/localPhotoStorage'
+import { transformUrl as cloudinaryTransformUrl, ownsUrl as cloudinaryOwnsUrl } from '../_lib/cloudinaryPhotoStorage'
+import { getS3Config, signRequest, ownsUrl as s3OwnsUrl } from '../_lib/s3PhotoStorage'
+import { sniffMediaFormat } from '../_lib/stopMedia'
+import { resetBreakers } from '../_lib/circuitBreaker'
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01])
+const MP4 = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypisom0000', 'latin1')])
+
+describe('driver selection', () => {
+  test('defaults to cloudinary', () => {
+    expect(getStorageDriverName({})).toBe('cloudinary')
+  })
+
+  test('is case-insensitive', () => {
+    expect(getStorageDriverName({ PHOTO_STORAGE_DRIVER: ' Local ' })).toBe('local')
+  })
+
+  test('rejects unknown drivers', () => {
+    expect(() => getStorageDriverName({ PHOTO_STORAGE_DRIVER: 'ftp' })).toThrow('Unknown PHOTO_STORAGE_DRIVER')
+  })
+
+  test('reports missing credentials per driver', () => {
+    expect(isPhotoStorageConfigured({})).toBe(false)
+    expect(isPhotoStorageConfigured({ CLOUDINARY_CLOUD_NAME: 'c', CLOUDINARY_API_KEY: 'k', CLOUDINARY_API_SECRET: 's' })).toBe(true)
+    expect(isPhotoStorageConfigured({ PHOTO_STORAGE_DRIVER: 'local' })).toBe(true)
+    expect(isPhotoStorageConfigured({ PHOTO_STORAGE_DRIVER: 's3', PHOTO_STORAGE_S3_BUCKET: 'b' })).toBe(false)
+    expect(storageNotConfiguredBody('req-1', { PHOTO_STORAGE_DRIVER: 's3' }).details).toMatch(/PHOTO_STORAGE_S3_BUCKET/)
+  })
+
+  test('keeps honouring CLOUDINARY_UPLOAD_FOLDER', () => {
+    expect(getUploadFolder({})).toBe('scavenger/entries')
+    expect(getUploadFolder({ CLOUDINARY_UPLOAD_FOLDER: 'legacy' })).toBe('legacy')
+    expect(getUploadFolder({ PHOTO_STORAGE_FOLDER: 'new', CLOUDINARY_UPLOAD_FOLDER: 'legacy' })).toBe('new')
+  })
+})
+
+describe('sniffMediaFormat', () => {
+  test('identifies files by their leading bytes', () => {
+    expect(sniffMediaFormat(JPEG)).toEqual({ format: 'jpg', contentType: 'image/jpeg', resourceType: 'image' })
+    expect(sniffMediaFormat(MP4)).toEqual({ format: 'mp4', contentType: 'video/mp4', resourceType: 'video' })
+  })
+
+  test('falls back to the declared content type', () => {
+    expect(sniffMediaFormat(Buffer.from('not really a webm'), 'video/webm; codecs=vp9').format).toBe('webm')
+    expect(sniffMediaFormat(Buffer.from('???'), 'text/plain')).toEqual({
+      format: 'bin', contentType: 'application/octet-stream', resourceType: 'raw'
+    })
+  })
+})
+
+describe('local driver', () => {
+  const originalEnv = { ...process.env }
+  let storageDir
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-storage-'))
+    process.env.PHOTO_STORAGE_DRIVER = 'local'
+    process.env.PHOTO_STORAGE_LOCAL_DIR = storageDir
+    delete process.env.PHOTO_STORAGE_FOLDER
+    delete process.env.PHOTO_STORAGE_PUBLIC_URL
+    resetBreakers()
+  })
+
+  afterEach(() => {
+    process.env = { ...originalEnv }
+    fs.rmSync(storageDir, { recursive: true, force: true })
+  })
+
+  test('uploads, verifies, reads back and deletes a file', async () => {
+    const stored = await uploadMedia(JPEG, { publicId: 'bridge_s1_abc', tags: ['scavenger-hunt'] })
+
+    expect(stored).toMatchObject({
+      publicId: 'scavenger/entries/bridge_s1_abc.jpg',
+      secureUrl: '/media/scavenger/entries/bridge_s1_abc.jpg',
+      resourceType: 'image',
+      format: 'jpg',
+      bytes: JPEG.length
+    })
+    expect(await verifyMedia(stored.publicId)).toBe(true)
+
+    const media = await readLocalMedia('scavenger/entries/bridge_s1_abc.jpg')
+    expect(media.contentType).toBe('image/jpeg')
+    expect(media.buffer.equals(JPEG)).toBe(true)
+
+    await deleteMedia(stored.publicId)
+    expect(fs.existsSync(path.join(storageDir, 'scavenger', 'entries', 'bridge_s1_abc.jpg'))).toBe(false)
+    expect(await readLocalMedia('scavenger/entries/bridge_s1_abc.jpg')).toBeNull()
+  })
+
+  test('leaves delivery URLs untransformed', () => {
+    expect(transformMediaUrl('/media/a.jpg', { width: 300 })).toBe('/media/a.jpg')
+  })
+
+  test('never serves upload sidecars', async () => {
+    await uploadMedia(JPEG, { publicId: 'x' })
+    expect(await readLocalMedia('scavenger/entries/x.jpg.json')).toBeNull()
+  })
+
+  test('rejects path traversal', async () => {
+    expect(() => toStorageKey('../etc/passwd')).toThrow('Invalid path')
+    expect(() => toStorageKey('')).toThrow('Invalid path')
+    await expect(readLocalMedia('a/%2e%2e/%2e%2e/secret')).rejects.toThrow('Invalid path')
+  })
+
+  test('reads stored files back by delivery URL', async () => {
+    const stored = await uploadMedia(JPEG, { publicId: 'bridge' })
+    const media = await readMedia(stored.secureUrl)
+    expect(media.buffer.equals(JPEG)).toBe(true)
+  })
+
+  test('never fetches URLs outside the storage', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch')
+    try {
+      expect(await readMedia('http://169.254.169.254/latest/meta-data/')).toBeNull()
+      expect(await readMedia('https://res.cloudinary.com/demo/image/upload/a.jpg')).toBeNull()
+      expect(fetchSpy).not.toHaveBeenCalled()
+    } finally {
+      fetchSpy.mockRestore()
+    }
+  })
+})
+
+describe('cloudinary transformUrl', () => {
+  test('inserts transformation segments after /upload/', () => {
+    expect(cloudinaryTransformUrl('https://res.cloudinary.com/demo/image/upload/v1/a.jpg', { width: 300, height: 300, crop: 'fill' }))
+      .toBe('https://res.cloudinary.com/demo/image/upload/w_300,h_300,c_fill/v1/a.jpg')
+  })
+
+  test('leaves URLs from other drivers alone', () => {
+    expect(cloudinaryTransformUrl('/media/scavenger/entries/a.jpg', { width: 300 })).toBe('/media/scavenger/entries/a.jpg')
+  })
+
+  test('owns only delivery URLs of the configured cloud', () => {
+    const env = { CLOUDINARY_CLOUD_NAME: 'demo' }
+    expect(cloudinaryOwnsUrl('https://res.cloudinary.com/demo/image/upload/v1/a.jpg', env)).toBe(true)
+    expect(cloudinaryOwnsUrl('https://res.cloudinary.com/other/image/upload/v1/a.jpg', env)).toBe(false)
+    expect(cloudinaryOwnsUrl('https://res.cloudinary.com.evil.test/demo/a.jpg', env)).toBe(false)
+    expect(cloudinaryOwnsUrl('https://res.cloudinary.com//a.jpg', {})).toBe(false)
+  })
+})
+
+describe('s3 driver', () => {
+  test('defaults the endpoint and public URL from the region and bucket', () => {
+    expect(getS3Config({ PHOTO_STORAGE_S3_BUCKET: 'photos', PHOTO_STORAGE_S3_REGION: 'eu-west-1' })).toMatchObject({
+      endpoint: 'https://s3.eu-west-1.amazonaws.com',
+      publicBaseUrl: 'https://s3.eu-west-1.amazonaws.com/photos'
+    })
+  })
+
+  test('signs requests with SigV4', () => {
+    const config = getS3Config({
+      PHOTO_STORAGE_S3_BUCKET: 'photos',
+      PHOTO_STORAGE_S3_ACCESS_KEY_ID: 'AKID',
+      PHOTO_STORAGE_S3_SECRET_ACCESS_KEY: 'secret'
+    })
+    const url = new URL('https://s3.us-east-1.amazonaws.com/photos/a.jpg')
+    const headers = signRequest(config, { method: 'PUT', url, headers: { 'Content-Type': 'image/jpeg' }, body: JPEG }, new Date('2025-01-02T03:04:05Z'))
+
+    expect(headers['x-amz-date']).toBe('20250102T030405Z')
+    expect(headers.authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKID\/20250102\/us-east-1\/s3\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+    )
+    expect(headers.host).toBeUndefined()
+  })
+
+  test('owns only URLs under the public base URL', () => {
+    const env = { PHOTO_STORAGE_S3_BUCKET: 'photos' }
+    expect(s3OwnsUrl('https://s3.us-east-1.amazonaws.com/photos/a.jpg', env)).toBe(true)
+    expect(s3OwnsUrl('https://s3.us-east-1.amazonaws.com/photos-other/a.jpg', env)).toBe(false)
+    expect(s3OwnsUrl('http://169.254.169.254/latest/meta-data/', env)).toBe(false)
+  })
+})
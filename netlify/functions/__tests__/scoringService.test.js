@@ -0,0 +1,113 @@
+/**
+ * Tests for scoringService and score-aware ranking
+ */
+
+import { describe, test, expect } from 'vitest'
+import {
+  normalizeScoringConfig,
+  applyScore,
+  calculateTimeBonus,
+  registerScoringModel
+} from '../_lib/scoringService'
+import { rankTeams } from '../_lib/rankingService'
+
+const progress = [
+  { location_id: 'a', done: true, completed_at: '2025-01-01T10:00:00Z', revealed_hints: 0 },
+  { location_id: 'b', done: true, completed_at: '2025-01-01T10:30:00Z', revealed_hints: 2 },
+  { location_id: 'c', done: false, completed_at: null, revealed_hints: 1 }
+]
+
+describe('scoringService', () => {
+  test('defaults to the completion model', () => {
+    const config = normalizeScoringConfig(null)
+    expect(config.model).toBe('completion')
+
+    const team = applyScore({ teamId: 't1', totalStops: 3 }, progress, config)
+    expect(team.score).toBe(2)
+    expect(team.scoreBreakdown.hintPenalty).toBe(0)
+  })
+
+  test('falls back to completion for unknown models', () => {
+    expect(normalizeScoringConfig({ model: 'nope' }).model).toBe('completion')
+  })
+
+  test('applies stop weights and hint penalties', () => {
+    const config = normalizeScoringConfig({
+      model: 'points',
+      pointsPerStop: 100,
+      stopPoints: { b: 200 },
+      hintPenalty: 15
+    })
+
+    const team = applyScore({ teamId: 't1', totalStops: 3 }, progress, config)
+    expect(team.scoreBreakdown.stopPoints).toBe(300)
+    expect(team.scoreBreakdown.hintPenalty).toBe(30)
+    expect(team.score).toBe(270)
+  })
+
+  test('caps hint penalty per stop', () => {
+    const config = normalizeScoringConfig({
+      model: 'points',
+      pointsPerStop: 100,
+      hintPenalty: 80,
+      maxHintPenaltyRatio: 0.5
+    })
+
+    const team = applyScore({ teamId: 't1', totalStops: 3 }, progress, config)
+    expect(team.scoreBreakdown.stops.find(s => s.stopId === 'b').hintPenalty).toBe(50)
+  })
+
+  test('awards completion and time bonuses only to finished teams', () => {
+    const config = normalizeScoringConfig({
+      model: 'points',
+      completionBonus: 50,
+      timeBonus: { targetMinutes: 60, maxPoints: 100 }
+    })
+    const finished = applyScore(
+      { teamId: 't1', totalStops: 2, totalTimeMs: 30 * 60 * 1000, isComplete: true },
+      progress,
+      config
+    )
+    expect(finished.scoreBreakdown.completionBonus).toBe(50)
+    expect(finished.scoreBreakdown.timeBonus).toBe(50)
+
+    const unfinished = applyScore(
+      { teamId: 't2', totalStops: 3, totalTimeMs: 30 * 60 * 1000, isComplete: false },
+      progress,
+      config
+    )
+    expect(unfinished.scoreBreakdown.completionBonus).toBe(0)
+    expect(unfinished.scoreBreakdown.timeBonus).toBe(0)
+  })
+
+  test('time bonus is zero past the target', () => {
+    expect(calculateTimeBonus({ targetMinutes: 10, maxPoints: 100 }, 20 * 60 * 1000, true)).toBe(0)
+  })
+
+  test('supports custom scoring models', () => {
+    registerScoringModel('flat', {
+      score: (records) => ({ model: 'flat', stops: [], stopPoints: 0, hintPenalty: 0, completionBonus: 0, timeBonus: 0, total: records.length })
+    })
+
+    const config = normalizeScoringConfig({ model: 'flat' })
+    expect(applyScore({ teamId: 't1' }, progress, config).score).toBe(3)
+  })
+})
+
+describe('rankTeams with scoring', () => {
+  const teams = () => [
+    { teamId: 'many-stops', completedStops: 3, totalTimeMs: 1000, score: 150 },
+    { teamId: 'high-score', completedStops: 2, totalTimeMs: 1000, score: 300 }
+  ]
+
+  test('keeps completion ranking without a score-ranked model', () => {
+    const ranked = rankTeams(teams(), normalizeScoringConfig(null))
+    expect(ranked[0].teamId).toBe('many-stops')
+  })
+
+  test('ranks by score for the points model', () => {
+    const ranked = rankTeams(teams(), normalizeScoringConfig({ model: 'points' }))
+    expect(ranked[0].teamId).toBe('high-score')
+    expect(ranked[0].rank).toBe(1)
+  })
+})
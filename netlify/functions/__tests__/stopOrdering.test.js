@@ -0,0 +1,96 @@
+/**
+ * Tests for sequential stop ordering and unlock rules
+ */
+
+import { describe, test, expect } from 'vitest'
+import { applySequentialLocks, findLockedCompletions, checkProgressAllowed, lockStopsForTeam } from '../_lib/stopOrdering'
+import { mockSupabase } from './helpers/mockSupabase'
+
+const TEAM_UUID = '11111111-2222-3333-4444-555555555555'
+
+const locations = ['one', 'two', 'three'].map((id, i) => ({
+  id,
+  title: `Stop ${id}`,
+  clue: `Clue ${id}`,
+  hints: ['hint'],
+  position: { lat: 39.64, lng: -106.37 },
+  originalNumber: i + 1
+}))
+
+/**
+ * Mock supabase with the hunt's ordering strategy, stop configurations and
+ * the team's completed stops
+ */
+function orderingDb({ strategy = 'sequential', stopIds = ['one', 'two', 'three'], configs, completed = [] } = {}) {
+  return mockSupabase({
+    hunt_ordering_config: { data: { ordering_strategy: strategy }, error: null },
+    hunt_configurations: { data: configs || stopIds.map(stop_id => ({ stop_id })), error: null },
+    hunt_progress: { data: completed.map(location_id => ({ location_id })), error: null }
+  })
+}
+
+describe('stopOrdering', () => {
+  test('locks and redacts every stop after the first incomplete one', () => {
+    const result = applySequentialLocks(locations, new Set(['one']))
+
+    expect(result[0]).toMatchObject({ id: 'one', isCompleted: true, isLocked: false, clue: 'Clue one' })
+    expect(result[1]).toMatchObject({ id: 'two', isLocked: false, clue: 'Clue two' })
+    expect(result[2]).toMatchObject({ id: 'three', isLocked: true, clue: '', hints: [], position: undefined })
+    expect(result[2].title).not.toContain('three')
+  })
+
+  test('only flags newly completed stops that skip an open one', () => {
+    const order = ['one', 'two', 'three']
+    expect(findLockedCompletions(order, new Set(), { one: true })).toEqual([])
+    expect(findLockedCompletions(order, new Set(), { two: true })).toEqual(['two'])
+    expect(findLockedCompletions(order, new Set(), { one: true, two: true })).toEqual([])
+    // Un-completing an earlier stop is never blocked
+    expect(findLockedCompletions(order, new Set(['one', 'two']), { one: false })).toEqual([])
+  })
+
+  test('blocks completing a locked stop in sequential hunts', async () => {
+    const params = { orgId: 'bhhs', huntId: 'fall-2025', teamId: TEAM_UUID }
+
+    const locked = await checkProgressAllowed(orderingDb(), { ...params, changes: { three: true } })
+    expect(locked).toMatchObject({ allowed: false, code: 'STOP_LOCKED', lockedStopIds: ['three'] })
+
+    const next = await checkProgressAllowed(orderingDb({ completed: ['one', 'two'] }), { ...params, changes: { three: true } })
+    expect(next).toMatchObject({ allowed: true })
+  })
+
+  test('leaves fixed hunts alone', async () => {
+    const supabase = orderingDb({ strategy: 'fixed' })
+    const result = await checkProgressAllowed(supabase, { orgId: 'bhhs', huntId: 'fall-2025', teamId: TEAM_UUID, changes: { three: true } })
+    expect(result).toEqual({ allowed: true })
+    expect(supabase.from).not.toHaveBeenCalledWith('hunt_progress')
+  })
+
+  test('hides a bonus stop until its unlock rule holds', async () => {
+    const configs = [
+      { stop_id: 'one' },
+      { stop_id: 'two' },
+      { stop_id: 'three', stop_type: 'bonus', unlock_rule: { type: 'count', min: 2 } }
+    ]
+    const params = { orgId: 'bhhs', huntId: 'fall-2025', teamId: TEAM_UUID }
+
+    const early = await lockStopsForTeam(orderingDb({ strategy: 'fixed', configs, completed: ['one'] }), 'bhhs', 'fall-2025', TEAM_UUID, locations)
+    expect(early.map(l => l.id)).toEqual(['one', 'two'])
+
+    const blocked = await checkProgressAllowed(orderingDb({ strategy: 'fixed', configs, completed: ['one'] }), { ...params, changes: { three: true } })
+    expect(blocked).toMatchObject({ allowed: false, lockedStopIds: ['three'] })
+
+    const later = await lockStopsForTeam(orderingDb({ strategy: 'fixed', configs, completed: ['one', 'two'] }), 'bhhs', 'fall-2025', TEAM_UUID, locations)
+    expect(later.find(l => l.id === 'three')).toMatchObject({ stopType: 'bonus', clue: 'Clue three' })
+  })
+
+  test('bonus stops never lock or block the sequence', async () => {
+    const configs = [
+      { stop_id: 'one' },
+      { stop_id: 'two', stop_type: 'bonus' },
+      { stop_id: 'three' }
+    ]
+    const result = await lockStopsForTeam(orderingDb({ configs, completed: ['one'] }), 'bhhs', 'fall-2025', TEAM_UUID, locations)
+
+    expect(result.map(l => [l.id, l.isLocked])).toEqual([['one', false], ['two', false], ['three', false]])
+  })
+})
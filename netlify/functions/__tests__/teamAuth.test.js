@@ -0,0 +1,138 @@
+/**
+ * Tests for team lock authorization of write endpoints
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import jwt from 'jsonwebtoken'
+import { getLockToken, findScopeMismatch, isSessionActive, requireTeamLock, getTeamClaims } from '../_lib/teamAuth'
+import { LockUtils } from '../_lib/lockUtils'
+import { mockSupabase } from './helpers/mockSupabase'
+
+const SCOPE = { orgId: 'bhhs', huntId: 'fall-2025', teamId: 'powder-pioneers' }
+
+const tokenFor = (teamId = SCOPE.teamId, claims = { orgId: SCOPE.orgId, huntId: SCOPE.huntId }) =>
+  LockUtils.generateLockToken(teamId, claims).token
+
+const eventWith = (token) => ({ headers: token ? { 'x-team-lock': token } : {} })
+
+const bodyOf = (response) => JSON.parse(response.body)
+
+describe('teamAuth', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  test('reads the token from any header casing', () => {
+    expect(getLockToken({ 'X-Team-Lock': ' abc ' })).toBe('abc')
+    expect(getLockToken({ 'x-team-lock': ['abc'] })).toBe('abc')
+    expect(getLockToken({ authorization: 'Bearer abc' })).toBeNull()
+  })
+
+  test('accepts a write inside the token scope', async () => {
+    const result = await requireTeamLock(eventWith(tokenFor()), SCOPE)
+
+    expect(result.response).toBeUndefined()
+    expect(result.team).toMatchObject(SCOPE)
+  })
+
+  test('matches team IDs case-insensitively and skips omitted scope fields', async () => {
+    const result = await requireTeamLock(eventWith(tokenFor()), { teamId: 'Powder-Pioneers' })
+    expect(result.team).toBeDefined()
+  })
+
+  test('requires a token', async () => {
+    const { response } = await requireTeamLock(eventWith(null), SCOPE, 'req-1')
+
+    expect(response.statusCode).toBe(401)
+    expect(bodyOf(response)).toMatchObject({ code: 'INVALID_TOKEN', requestId: 'req-1' })
+  })
+
+  test('rejects forged, expired and pre-scope tokens', async () => {
+    const forged = jwt.sign({ teamId: SCOPE.teamId, ...SCOPE, sub: 'team-lock', exp: Math.floor(Date.now() / 1000) + 60 }, 'not-the-secret')
+    const expired = jwt.sign({ ...SCOPE, sub: 'team-lock', exp: Math.floor(Date.now() / 1000) - 60 }, LockUtils.JWT_SECRET)
+    const legacy = tokenFor(SCOPE.teamId, {})
+
+    for (const token of [forged, expired, legacy]) {
+      const { response } = await requireTeamLock(eventWith(token), SCOPE)
+      expect(response.statusCode).toBe(401)
+      expect(bodyOf(response).code).toBe('INVALID_TOKEN')
+    }
+  })
+
+  test('refuses lock tokens outside local development without a configured secret', async () => {
+    const token = tokenFor()
+    vi.stubEnv('NODE_ENV', 'production')
+    vi.stubEnv('NETLIFY_DEV', '')
+    vi.stubEnv('TEAM_LOCK_JWT_SECRET', '')
+
+    try {
+      expect(() => tokenFor()).toThrow('TEAM_LOCK_JWT_SECRET is not set')
+      expect((await requireTeamLock(eventWith(token), SCOPE)).response.statusCode).toBe(401)
+
+      vi.stubEnv('TEAM_LOCK_JWT_SECRET', 'configured-secret')
+      expect(LockUtils.verifyLockToken(tokenFor())).toMatchObject({ teamId: SCOPE.teamId })
+    } finally {
+      vi.unstubAllEnvs()
+    }
+  })
+
+  test('forbids writes for another team, hunt or org', async () => {
+    const event = eventWith(tokenFor())
+
+    for (const scope of [
+      { ...SCOPE, teamId: 'snow-seekers' },
+      { ...SCOPE, huntId: 'winter-2026' },
+      { ...SCOPE, orgId: 'other-org' }
+    ]) {
+      const { response } = await requireTeamLock(event, scope)
+      expect(response.statusCode).toBe(403)
+      expect(bodyOf(response).code).toBe('TEAM_MISMATCH')
+    }
+  })
+
+  test('refuses tokens whose session was deactivated by a code revocation', async () => {
+    const token = tokenFor(SCOPE.teamId, { orgId: SCOPE.orgId, huntId: SCOPE.huntId, sessionId: 'session-revoked' })
+    const supabase = mockSupabase({ sessions: { data: { is_active: false }, error: null } })
+
+    const { response } = await requireTeamLock(eventWith(token), SCOPE, 'req-1', supabase)
+
+    expect(response.statusCode).toBe(401)
+    expect(bodyOf(response)).toMatchObject({ code: 'INVALID_TOKEN', requestId: 'req-1' })
+  })
+
+  test('accepts active, unrecorded and unreadable sessions', async () => {
+    for (const [sessionId, result] of [
+      ['session-active', { data: { is_active: true }, error: null }],
+      ['session-unrecorded', { data: null, error: null }],
+      ['session-unreadable', { data: null, error: { message: 'relation "sessions" does not exist' } }]
+    ]) {
+      const token = tokenFor(SCOPE.teamId, { orgId: SCOPE.orgId, huntId: SCOPE.huntId, sessionId })
+      const { team } = await requireTeamLock(eventWith(token), SCOPE, null, mockSupabase({ sessions: result }))
+      expect(team).toMatchObject({ ...SCOPE, sessionId })
+    }
+  })
+
+  test('caches session checks briefly', async () => {
+    const supabase = mockSupabase({ sessions: { data: { is_active: true }, error: null } })
+
+    expect(await isSessionActive(supabase, 'session-cached')).toBe(true)
+    expect(await isSessionActive(supabase, 'session-cached')).toBe(true)
+    expect(supabase.from).toHaveBeenCalledTimes(1)
+  })
+
+  test('names the first field outside the scope', () => {
+    const claims = { ...SCOPE }
+    expect(findScopeMismatch(claims, SCOPE)).toBeNull()
+    expect(findScopeMismatch(claims, { ...SCOPE, huntId: 'x', teamId: 'y' })).toBe('huntId')
+    expect(findScopeMismatch(claims, { orgId: '' })).toBe('orgId')
+  })
+
+  test('reads claims for optional-auth reads only when the token covers the scope', () => {
+    const scope = { orgId: SCOPE.orgId, huntId: SCOPE.huntId }
+
+    expect(getTeamClaims(eventWith(tokenFor()), scope)).toMatchObject(SCOPE)
+    expect(getTeamClaims(eventWith(null), scope)).toBeNull()
+    expect(getTeamClaims(eventWith(tokenFor()), { ...scope, huntId: 'spring-2026' })).toBeNull()
+    expect(getTeamClaims(eventWith('forged'), scope)).toBeNull()
+  })
+})
@@ -0,0 +1,164 @@
+/**
+ * Tests for team code generation, rotation, revocation and join cards
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest'
+import {
+  CODE_ALPHABET,
+  normalizeTeamCode,
+  generateTeamCode,
+  getCodeStatus,
+  validateBatchInput,
+  rotateTeamCode,
+  revokeTeamCodes
+} from '../_lib/teamCodes'
+import { renderTeamCards, formatCodeForPrint } from '../_lib/teamCodeCards'
+import { handler } from '../hunt-admin'
+import { LockUtils } from '../_lib/lockUtils'
+import { mockSupabase, callsTo } from './helpers/mockSupabase'
+
+const HOUR = 60 * 60 * 1000
+
+/**
+ * Supabase mock where team code inserts echo their row back
+ */
+const codeDb = ({ team_codes: codes, ...tables }) => mockSupabase({
+  team_codes: query => (query.insert ? { data: { ...query.insert[0], created_at: new Date().toISOString() }, error: null } : codes),
+  ...tables
+})
+
+const team = { id: 'uuid-1', team_id: 'tea-cup', display_name: 'Tea Cup' }
+
+describe('team code format', () => {
+  test('codes use only unambiguous characters', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = generateTeamCode()
+      expect(code).toHaveLength(6)
+      expect([...code].every(char => CODE_ALPHABET.includes(char))).toBe(true)
+    }
+    expect(CODE_ALPHABET).not.toMatch(/[01OIL]/)
+  })
+
+  test('prefix and length are applied', () => {
+    const code = generateTeamCode({ length: 8, prefix: 'fall' })
+    expect(code).toMatch(/^FALL[A-Z2-9]{8}$/)
+  })
+
+  test('typed codes are case- and space-insensitive', () => {
+    expect(normalizeTeamCode(' k7m qxp ')).toBe('K7MQXP')
+    expect(formatCodeForPrint('K7MQXPA')).toBe('K7M QXP A')
+  })
+})
+
+describe('getCodeStatus', () => {
+  const now = Date.parse('2025-10-01T12:00:00Z')
+
+  test('checks revocation, expiry and device limit in that order', () => {
+    expect(getCodeStatus({ is_active: true }, now)).toBe('active')
+    expect(getCodeStatus({ is_active: false, expires_at: '2025-09-01T00:00:00Z' }, now)).toBe('revoked')
+    expect(getCodeStatus({ is_active: true, revoked_at: '2025-09-30T00:00:00Z' }, now)).toBe('revoked')
+    expect(getCodeStatus({ is_active: true, expires_at: '2025-10-01T11:59:59Z' }, now)).toBe('expired')
+    expect(getCodeStatus({ is_active: true, max_uses: 2, usage_count: 2 }, now)).toBe('exhausted')
+    expect(getCodeStatus({ is_active: true, max_uses: 2, usage_count: 1 }, now)).toBe('active')
+  })
+})
+
+describe('validateBatchInput', () => {
+  test('numbers generated teams', () => {
+    const { names, expiresAt, maxUses, length, prefix } = validateBatchInput({ count: 3 })
+    expect(names).toEqual(['Team 1', 'Team 2', 'Team 3'])
+    expect(validateBatchInput({ count: 12 }).names.slice(0, 2)).toEqual(['Team 01', 'Team 02'])
+    expect({ expiresAt, maxUses, length, prefix }).toEqual({ expiresAt: null, maxUses: null, length: 6, prefix: '' })
+  })
+
+  test('rejects bad batches', () => {
+    expect(() => validateBatchInput({ count: 0 })).toThrow('Validation failed')
+    expect(() => validateBatchInput({ count: 201 })).toThrow('Validation failed')
+    expect(() => validateBatchInput({ names: ['Red', '  '] })).toThrow('names[1]')
+    expect(() => validateBatchInput({ count: 2, expiresAt: new Date(Date.now() - HOUR).toISOString() })).toThrow('expiresAt')
+    expect(() => validateBatchInput({ count: 2, maxUses: 0 })).toThrow('maxUses')
+    expect(() => validateBatchInput({ count: 2, prefix: 'TOO-LONG!' })).toThrow('prefix')
+  })
+})
+
+describe('rotation and revocation', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  test('rotating keeps the expiry and device limit and revokes the old code', async () => {
+    const expiresAt = new Date(Date.now() + HOUR).toISOString()
+    const supabase = codeDb({
+      teams: { data: team, error: null },
+      team_codes: { data: [{ code: 'OLDCDE', is_active: true, expires_at: expiresAt, max_uses: 4 }], error: null }
+    })
+
+    const rotation = await rotateTeamCode(supabase, { orgId: 'bhhs', huntId: 'fall-2025', teamId: 'Tea-Cup' })
+
+    const [[insert]] = callsTo(supabase, 'insert', 'team_codes')
+    expect(insert).toMatchObject({ team_id: 'uuid-1', expires_at: expiresAt, max_uses: 4, is_active: true })
+    expect(rotation).toMatchObject({ teamId: 'tea-cup', teamName: 'Tea Cup' })
+    expect(rotation.code.code).toBe(insert.code)
+
+    const [[revoke]] = callsTo(supabase, 'update', 'team_codes')
+    expect(revoke).toMatchObject({ is_active: false, replaced_by: insert.code })
+  })
+
+  test('unknown teams are not found', async () => {
+    const supabase = codeDb({ teams: { data: null, error: null } })
+
+    expect(await rotateTeamCode(supabase, { orgId: 'bhhs', huntId: 'fall-2025', teamId: 'nope' })).toBeNull()
+    expect(await revokeTeamCodes(supabase, { orgId: 'bhhs', huntId: 'fall-2025', teamId: 'nope' })).toBeNull()
+    expect(callsTo(supabase, 'insert')).toHaveLength(0)
+    expect(callsTo(supabase, 'update')).toHaveLength(0)
+  })
+})
+
+describe('renderTeamCards', () => {
+  test('renders a QR code per team and escapes names', async () => {
+    const html = await renderTeamCards({
+      huntName: 'Fall <Hunt>',
+      appUrl: 'https://hunt.example.com',
+      teams: [
+        { teamName: 'Red & Blue', code: 'K7MQXP' },
+        { teamName: '<script>', code: 'ABCDEF', expiresAt: '2025-10-02T06:00:00Z' }
+      ]
+    })
+
+    expect(html.match(/<svg/g)).toHaveLength(2)
+    expect(html).toContain('K7M QXP')
+    expect(html).toContain('Red &amp; Blue')
+    expect(html).toContain('Fall &lt;Hunt&gt;')
+    expect(html).not.toContain('<script>')
+    expect(html).toContain('Valid until')
+  })
+})
+
+describe('hunt-admin team routes', () => {
+  const tokenFor = role => LockUtils.generateOrganizerToken({ id: 'organizer-1', email: 'host@example.com', roles: { bhhs: role } }).token
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  test('team codes require the organizer role, even to read', async () => {
+    for (const role of ['viewer', 'moderator']) {
+      for (const [method, path] of [
+        ['GET', '/api/hunt-admin/bhhs/hunts/fall-2025/teams'],
+        ['POST', '/api/hunt-admin/bhhs/hunts/fall-2025/teams/tea-cup/rotate'],
+        ['GET', '/api/hunt-admin/bhhs/hunts/fall-2025/teams/tea-cup/sessions'],
+        ['POST', '/api/hunt-admin/bhhs/hunts/fall-2025/teams/tea-cup/revoke-link'],
+        ['GET', '/api/hunt-admin/bhhs/hunts/fall-2025/team-cards']
+      ]) {
+        const response = await handler({
+          httpMethod: method,
+          path,
+          headers: { authorization: `Bearer ${tokenFor(role)}` },
+          body: method === 'POST' ? '{}' : null
+        })
+        expect(response.statusCode).toBe(403)
+      }
+    }
+  })
+})
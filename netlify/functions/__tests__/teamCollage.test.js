@@ -0,0 +1,239 @@
+/**
+ * Tests for server-side team collages: layout, rendering and generation
+ * with the local storage driver
+ */
+
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+  resolveCollageLayout,
+  renderCollageSvg,
+  generateTeamCollage,
+  startCollageOnHuntCompletion,
+  ensureTeamCollage
+} from '../_lib/teamCollage'
+import { mockSupabase, callsTo } from './helpers/mockSupabase'
+import { handler } from '../team-collage'
+import { LockUtils } from '../_lib/lockUtils'
+
+// Smallest valid JPEG header is enough for format sniffing
+const JPEG_BYTES = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10, 0x4A, 0x46, 0x49, 0x46, 0, 1, 1, 0])
+
+describe('resolveCollageLayout', () => {
+  test('auto picks the smallest near-square grid', () => {
+    expect(resolveCollageLayout('auto', 1)).toEqual({ layout: '1x1', columns: 1, rows: 1 })
+    expect(resolveCollageLayout(undefined, 5)).toEqual({ layout: '3x2', columns: 3, rows: 2 })
+    expect(resolveCollageLayout('auto', 9)).toEqual({ layout: '3x3', columns: 3, rows: 3 })
+    expect(resolveCollageLayout('auto', 40)).toEqual({ layout: '5x5', columns: 5, rows: 5 })
+  })
+
+  test('accepts explicit grids and rejects malformed ones', () => {
+    expect(resolveCollageLayout('2x3', 9)).toEqual({ layout: '2x3', columns: 2, rows: 3 })
+    expect(() => resolveCollageLayout('6x1', 1)).toThrow('Validation failed')
+    expect(() => resolveCollageLayout('grid', 1)).toThrow('Validation failed')
+  })
+})
+
+describe('renderCollageSvg', () => {
+  const tiles = [
+    { href: 'data:image/jpeg;base64,AAA', caption: 'Covered <Bridge>' },
+    { href: 'data:image/jpeg;base64,BBB', caption: 'Gondola' },
+    { href: 'data:image/jpeg;base64,CCC', caption: 'Left out' }
+  ]
+
+  test('draws the header, one image per grid cell and escaped captions', () => {
+    const svg = renderCollageSvg({ title: 'Fall Hunt', subtitle: 'Team & Co', tiles, grid: { columns: 2, rows: 1 } })
+
+    expect(svg).toContain('Fall Hunt')
+    expect(svg).toContain('Team &amp; Co')
+    expect(svg.match(/<image /g)).toHaveLength(2)
+    expect(svg).toContain('Covered &lt;Bridge&gt;')
+    expect(svg).not.toContain('Left out')
+    expect(svg).not.toContain('Sponsored by')
+  })
+
+  test('omits captions when disabled and adds the sponsor footer', () => {
+    const svg = renderCollageSvg({
+      title: 'Fall Hunt',
+      subtitle: 'Team',
+      tiles,
+      grid: { columns: 3, rows: 1 },
+      captions: false,
+      sponsors: [{ name: 'Acme', href: 'data:image/png;base64,LOGO' }]
+    })
+
+    expect(svg).not.toContain('Gondola')
+    expect(svg).toContain('Sponsored by')
+    expect(svg).toContain('data:image/png;base64,LOGO')
+  })
+})
+
+describe('generateTeamCollage', () => {
+  let storageDir
+  const originalEnv = { ...process.env }
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collage-test-'))
+    process.env.PHOTO_STORAGE_DRIVER = 'local'
+    process.env.PHOTO_STORAGE_LOCAL_DIR = storageDir
+    fs.mkdirSync(path.join(storageDir, 'entries'))
+    fs.writeFileSync(path.join(storageDir, 'entries', 'a.jpg'), JPEG_BYTES)
+    fs.writeFileSync(path.join(storageDir, 'entries', 'b.jpg'), JPEG_BYTES)
+  })
+
+  afterEach(() => {
+    process.env = { ...originalEnv }
+    fs.rmSync(storageDir, { recursive: true, force: true })
+  })
+
+  const params = { orgId: 'bhhs', huntId: 'fall-2025', teamId: 'powder-pioneers', teamUuid: 'team-uuid', teamName: 'Powder Pioneers' }
+
+  test('builds the collage from stored progress photos and records it', async () => {
+    const supabase = mockSupabase({
+      hunt_progress: {
+        data: [
+          { location_id: 'bridge', photo_url: '/media/entries/a.jpg' },
+          { location_id: 'clip', photo_url: '/media/entries/clip.mp4' },
+          { location_id: 'gondola', photo_url: '/media/entries/b.jpg' }
+        ],
+        error: null
+      },
+      hunt_stops: { data: [{ stop_id: 'bridge', title: 'Covered Bridge' }], error: null },
+      hunts: { data: { name: 'Fall Hunt' }, error: null },
+      sponsor_assets: { data: [{ company_name: 'Acme', image_type: 'svg', svg_text: '<svg/>' }], error: null },
+      team_collages: {
+        data: {
+          organization_id: 'bhhs', hunt_id: 'fall-2025', team_slug: 'powder-pioneers',
+          collage_url: '/media/collages/x.svg', layout: '2x1', captions: true, photo_count: 2, created_at: 'now'
+        },
+        error: null
+      }
+    })
+
+    const collage = await generateTeamCollage(supabase, params)
+    expect(collage).toMatchObject({ teamId: 'powder-pioneers', layout: '2x1', photoCount: 2 })
+
+    // Videos are left out; stops without a title fall back to their ID
+    expect(supabase.calls).toContainEqual(['hunt_stops', 'in', 'stop_id', ['bridge', 'gondola']])
+
+    const [, , [record]] = supabase.calls.find(([table, method]) => table === 'team_collages' && method === 'upsert')
+    expect(record).toMatchObject({ team_id: 'team-uuid', layout: '2x1', captions: true, photo_count: 2 })
+    expect(record.collage_url).toMatch(/^\/media\/collages\/bhhs\/fall-2025\/powder-pioneers\.svg\?v=\d+$/)
+
+    const svg = fs.readFileSync(path.join(storageDir, record.public_id), 'utf8')
+    expect(svg).toContain('Fall Hunt')
+    expect(svg).toContain('Covered Bridge')
+    expect(svg).toContain('gondola')
+    expect(svg).toContain('Sponsored by')
+    expect(svg).toContain(`data:image/jpeg;base64,${JPEG_BYTES.toString('base64')}`)
+  })
+
+  test('regenerating overwrites the team\'s collage file', async () => {
+    const supabase = mockSupabase({
+      hunt_progress: { data: [{ location_id: 'bridge', photo_url: '/media/entries/a.jpg' }], error: null },
+      team_collages: { data: { layout: '1x1', captions: true, photo_count: 1, created_at: 'now' }, error: null }
+    })
+
+    await generateTeamCollage(supabase, params)
+    await generateTeamCollage(supabase, { ...params, captions: false })
+
+    const records = supabase.calls.filter(([table, method]) => table === 'team_collages' && method === 'upsert').map(([, , [record]]) => record)
+    expect(records).toHaveLength(2)
+    expect(records[1].public_id).toBe(records[0].public_id)
+    expect(fs.readdirSync(path.join(storageDir, 'collages', 'bhhs', 'fall-2025')).filter(name => name.endsWith('.svg'))).toEqual(['powder-pioneers.svg'])
+  })
+
+    test('refuses to build an empty collage', async () => {
+    const supabase = mockSupabase({ hunt_progress: { data: [{ location_id: 'bridge', photo_url: null }], error: null } })
+    await expect(generateTeamCollage(supabase, params)).rejects.toThrow('no completed stop photos')
+  })
+
+  test('a missing collage is built once for a team that finished the hunt', async () => {
+    const supabase = mockSupabase({
+      hunt_progress: { data: [{ location_id: 'bridge', photo_url: '/media/entries/a.jpg' }], error: null },
+      activity_events: { data: { team_name: 'Powder Pioneers' }, error: null },
+      team_collages: query => ({
+        data: query.upsert ? { team_slug: 'powder-pioneers', layout: '1x1', photo_count: 1 } : null,
+        error: null
+      })
+    })
+    const { teamName, ...target } = params
+
+    // The upload's background generation is still running when the GET arrives
+    const started = startCollageOnHuntCompletion(supabase, target, [{ type: 'hunt_completed', teamName }])
+    const collage = await ensureTeamCollage(supabase, target)
+
+    expect(collage).toMatchObject({ teamId: 'powder-pioneers', photoCount: 1 })
+    expect(await started).toBe(collage)
+    expect(callsTo(supabase, 'upsert', 'team_collages')).toHaveLength(1)
+    expect(callsTo(supabase, 'eq', 'activity_events')).toEqual([['dedupe_key', 'hunt_completed:team-uuid']])
+  })
+
+  test('validates layout and captions before touching the database', async () => {
+    const supabase = mockSupabase({})
+    await expect(generateTeamCollage(supabase, { ...params, layout: '9x9' })).rejects.toThrow('Validation failed')
+    await expect(generateTeamCollage(supabase, { ...params, captions: 'yes' })).rejects.toThrow('Validation failed')
+    expect(supabase.from).not.toHaveBeenCalled()
+  })
+})
+
+describe('startCollageOnHuntCompletion', () => {
+  test('only runs when the hunt was just completed', () => {
+    const supabase = mockSupabase({})
+    const result = startCollageOnHuntCompletion(supabase, { teamUuid: 'team-uuid' }, [{ type: 'stop_completed' }])
+
+    expect(result).toBeNull()
+    expect(supabase.from).not.toHaveBeenCalled()
+  })
+
+  test('never rejects', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const supabase = mockSupabase({ hunt_progress: { data: null, error: { message: 'boom' } } })
+    const result = startCollageOnHuntCompletion(supabase, { teamUuid: 'team-uuid' }, [{ type: 'hunt_completed', teamName: 'Team' }])
+
+    expect(await result).toBeNull()
+  })
+})
+
+describe('ensureTeamCollage', () => {
+  const target = { orgId: 'bhhs', huntId: 'fall-2025', teamId: 'powder-pioneers', teamUuid: 'team-uuid' }
+
+  test('returns the stored collage without checking completion', async () => {
+    const supabase = mockSupabase({ team_collages: { data: { team_slug: 'powder-pioneers', layout: '2x1' }, error: null } })
+
+    expect(await ensureTeamCollage(supabase, target)).toMatchObject({ teamId: 'powder-pioneers', layout: '2x1' })
+    expect(supabase.from).not.toHaveBeenCalledWith('activity_events')
+  })
+
+  test('returns null for teams that have not finished', async () => {
+    const supabase = mockSupabase({})
+
+    expect(await ensureTeamCollage(supabase, target)).toBeNull()
+    expect(supabase.from).not.toHaveBeenCalledWith('hunt_progress')
+  })
+})
+
+describe('team-collage POST', () => {
+  const event = (headers = {}) => ({
+    httpMethod: 'POST',
+    path: '/api/team-collage/bhhs/powder-pioneers/fall-2025',
+    headers,
+    body: '{}'
+  })
+
+  test('requires the team lock before touching the database', async () => {
+    const response = await handler(event())
+
+    expect(response.statusCode).toBe(401)
+    expect(JSON.parse(response.body).code).toBe('INVALID_TOKEN')
+  })
+
+  test("refuses another team's lock", async () => {
+    const { token } = LockUtils.generateLockToken('snow-seekers', { orgId: 'bhhs', huntId: 'fall-2025' })
+    const response = await handler(event({ 'x-team-lock': token }))
+
+    expect(response.statusCode).toBe(403)
+  })
+})
@@ -0,0 +1,49 @@
+/**
+ * Tests for branching / conditional stop unlock rules
+ */
+
+import { describe, test, expect } from 'vitest'
+import { validateUnlockRule, resolveStopAvailability, normalizeStopConfig } from '../_lib/unlockRules'
+import { countTeamStops } from '../_lib/leaderboardService'
+
+const fork = [
+  { stopId: 'start', stopType: 'required', unlockRule: null },
+  { stopId: 'path-a', stopType: 'required', unlockRule: { type: 'choice', group: 'fork', option: 'A' } },
+  { stopId: 'path-b', stopType: 'required', unlockRule: { type: 'choice', group: 'fork', option: 'B' } },
+  { stopId: 'bonus', stopType: 'bonus', unlockRule: { type: 'count', min: 2 } },
+  { stopId: 'side', stopType: 'optional', unlockRule: { type: 'notAfter', stops: ['path-a'] } }
+]
+
+describe('unlockRules', () => {
+  test('rejects malformed rules', () => {
+    expect(() => validateUnlockRule({ type: 'count', min: 0 })).toThrow('Validation failed')
+    expect(() => validateUnlockRule({ type: 'all', rules: [{ type: 'after' }] })).toThrow('unlock_rule.rules[0].stops')
+    expect(validateUnlockRule({ type: 'after', stops: ['a'], match: 'any' })).toBeTruthy()
+  })
+
+  test('treats invalid stored rules as never available', () => {
+    const config = normalizeStopConfig({ stop_id: 'x', stop_type: 'weird', unlock_rule: { type: 'nope' } })
+    expect(config.stopType).toBe('required')
+    expect(resolveStopAvailability([config], new Set()).get('x')).toMatchObject({ visible: false, reachable: false })
+  })
+
+  test('choosing a path hides the other option for good', () => {
+    const before = resolveStopAvailability(fork, new Set(['start']))
+    expect(before.get('path-a').visible).toBe(true)
+    expect(before.get('path-b').visible).toBe(true)
+    expect(before.get('bonus')).toMatchObject({ visible: false, reachable: true })
+
+    const after = resolveStopAvailability(fork, new Set(['start', 'path-a']))
+    expect(after.get('path-b')).toMatchObject({ visible: false, reachable: false })
+    expect(after.get('bonus').visible).toBe(true)
+    expect(after.get('side').visible).toBe(false)
+  })
+
+  test('rankings count reachable required stops and report bonus stops separately', () => {
+    const progress = ['start', 'path-a', 'bonus', 'side'].map(location_id => ({ location_id, done: true }))
+    const counts = countTeamStops(fork, progress, 5)
+
+    expect(counts).toMatchObject({ completedStops: 2, totalStops: 2, bonusStops: 1 })
+    expect(counts.rankedRecords.map(r => r.location_id)).toEqual(['start', 'path-a', 'bonus'])
+  })
+})
@@ -0,0 +1,401 @@
+/**
+ * ActivityFeed - Hunt activity events (activity_events table)
+ *
+ * Events are recorded as a side effect of progress writes and photo uploads.
+ * Recording is best-effort: failures are logged and never break the caller.
+ *
+ * Event types:
+ * - stop_completed: a team marked a stop done
+ * - photo_uploaded: a team uploaded a photo for a stop
+ * - hunt_completed: a team completed every stop in the hunt
+ * - announcement: organizer message (team_id is NULL)
+ * - photo_rejected: an organizer rejected a team's stop photo (visible to that team only)
+ *
+ * Pagination uses an opaque cursor over (created_at, id), newest first.
+ * Rows dated in the future (scheduled announcements), expired rows and rows
+ * targeted at other teams are hidden from the feed.
+ */
+
+const { getHuntLocations } = require('./locationsHelper')
+const { getHuntStopConfigs } = require('./unlockRules')
+const { countTeamStops } = require('./leaderboardService')
+
+const EVENT_TYPES = ['stop_completed', 'photo_uploaded', 'hunt_completed', 'announcement', 'photo_rejected']
+const FEED_FILTERS = ['all', 'team', 'others']
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 50
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const TEAM_ID_REGEX = /^[A-Za-z0-9_-]+$/
+
+/**
+ * Encode a feed position as an opaque cursor
+ * @param {Object} event - Row with created_at and id
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(event) {
+  return Buffer.from(JSON.stringify({ t: event.created_at, id: event.id })).toString('base64url')
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @returns {{ t: string, id: string }|null} Position or null if invalid
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    if (!parsed || typeof parsed.t !== 'string' || !UUID_REGEX.test(parsed.id || '')) return null
+    if (Number.isNaN(Date.parse(parsed.t))) return null
+    return parsed
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Map a database row to the API shape
+ * @param {Object} row - activity_events row
+ * @returns {Object} Feed event
+ */
+function toFeedEvent(row) {
+  return {
+    id: row.id,
+    type: row.event_type,
+    teamId: row.team_id,
+    teamName: row.team_name || row.team_id || 'System',
+    locationId: row.location_id,
+    message: row.message,
+    metadata: row.metadata || {},
+    createdAt: row.created_at
+  }
+}
+
+/**
+ * Insert an activity event (best-effort)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} event - { orgId, huntId, teamId, teamName, type, locationId, message, metadata, dedupeKey, targetTeamIds }
+ * @returns {Promise<Object|null>} Inserted feed event, or null if skipped/failed
+ */
+async function recordActivityEvent(supabase, event) {
+  if (!EVENT_TYPES.includes(event.type)) {
+    console.warn(`[activityFeed] Ignoring unknown event type: ${event.type}`)
+    return null
+  }
+
+  const row = {
+    organization_id: event.orgId,
+    hunt_id: event.huntId,
+    // Stored lowercase so feed filters can match teams with eq
+    team_id: event.teamId ? event.teamId.toLowerCase() : null,
+    team_name: event.teamName || null,
+    event_type: event.type,
+    location_id: event.locationId || null,
+    message: event.message,
+    metadata: event.metadata || {},
+    dedupe_key: event.dedupeKey || null
+  }
+  if (event.targetTeamIds) {
+    row.target_team_ids = event.targetTeamIds.map(id => id.toLowerCase())
+  }
+
+  try {
+    const query = event.dedupeKey
+      ? supabase.from('activity_events').upsert([row], { onConflict: 'dedupe_key', ignoreDuplicates: true })
+      : supabase.from('activity_events').insert([row])
+
+    const { data, error } = await query.select()
+    if (error) {
+      console.warn('[activityFeed] Failed to record event:', error.message)
+      return null
+    }
+
+    return data && data[0] ? toFeedEvent(data[0]) : null
+  } catch (error) {
+    console.warn('[activityFeed] Failed to record event:', error.message)
+    return null
+  }
+}
+
+/**
+ * Hide an event from the feed from now on (best-effort)
+ * @param {Object} supabase - Supabase client
+ * @param {string} dedupeKey - dedupe_key of the event
+ * @returns {Promise<boolean>} Whether the update went through
+ */
+async function expireActivityEvent(supabase, dedupeKey) {
+  try {
+    const { error } = await supabase
+      .from('activity_events')
+      .update({ expires_at: new Date().toISOString() })
+      .eq('dedupe_key', dedupeKey)
+
+    if (error) {
+      console.warn('[activityFeed] Failed to expire event:', error.message)
+      return false
+    }
+    return true
+  } catch (error) {
+    console.warn('[activityFeed] Failed to expire event:', error.message)
+    return false
+  }
+}
+
+/**
+ * Look up the display name for a team
+ */
+async function resolveTeamName(supabase, teamUuid, fallback) {
+  try {
+    const { data } = await supabase
+      .from('teams')
+      .select('display_name, name')
+      .eq('id', teamUuid)
+      .single()
+    return data?.display_name || data?.name || fallback
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * Look up a stop title for event messages
+ */
+async function resolveStopTitle(supabase, stopId) {
+  try {
+    const { data } = await supabase
+      .from('hunt_stops')
+      .select('title')
+      .eq('stop_id', stopId)
+      .single()
+    return data?.title || stopId
+  } catch {
+    return stopId
+  }
+}
+
+/**
+ * Record the events produced by a stop progress write.
+ * Emits photo_uploaded (if a photo is attached), stop_completed (if done)
+ * and hunt_completed once the team has finished every stop.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params
+ * @param {string} params.orgId - Organization ID
+ * @param {string} params.huntId - Hunt ID
+ * @param {string} params.teamId - Team slug (teams.team_id)
+ * @param {string} params.teamUuid - Team UUID (teams.id)
+ * @param {string} params.locationId - Stop ID
+ * @param {string} [params.locationTitle] - Stop title (looked up if omitted)
+ * @param {boolean} params.done - Whether the stop is now complete
+ * @param {string|null} [params.photoUrl] - Uploaded photo URL
+ * @param {string|null} [params.photoKey] - Idempotency key of the upload
+ * @returns {Promise<Array>} Recorded feed events
+ */
+async function recordStopProgressEvents(supabase, params) {
+  const { orgId, huntId, teamId, teamUuid, locationId, done, photoUrl, photoKey } = params
+  const recorded = []
+
+  try {
+    if (!done && !photoUrl) return recorded
+
+    const [teamName, locationTitle] = await Promise.all([
+      resolveTeamName(supabase, teamUuid, teamId),
+      params.locationTitle ? Promise.resolve(params.locationTitle) : resolveStopTitle(supabase, locationId)
+    ])
+    const base = { orgId, huntId, teamId, teamName, locationId }
+
+    if (photoUrl) {
+      recorded.push(await recordActivityEvent(supabase, {
+        ...base,
+        type: 'photo_uploaded',
+        message: `Uploaded a photo at ${locationTitle}`,
+        metadata: { stopName: locationTitle, photoUrl },
+        dedupeKey: `photo_uploaded:${teamUuid}:${locationId}:${photoKey || photoUrl}`
+      }))
+    }
+
+    if (done) {
+      recorded.push(await recordActivityEvent(supabase, {
+        ...base,
+        type: 'stop_completed',
+        message: `Completed ${locationTitle}`,
+        metadata: { stopName: locationTitle },
+        dedupeKey: `stop_completed:${teamUuid}:${locationId}`
+      }))
+
+      recorded.push(await recordHuntCompletionIfFinished(supabase, { orgId, huntId, teamId, teamUuid, teamName }))
+    }
+  } catch (error) {
+    console.warn('[activityFeed] Failed to record progress events:', error.message)
+  }
+
+  return recorded.filter(Boolean)
+}
+
+/**
+ * Emit hunt_completed once the team has completed every required stop
+ * (branching hunts: every required stop still reachable on its path)
+ * @returns {Promise<Object|null>} Recorded event or null
+ */
+async function recordHuntCompletionIfFinished(supabase, { orgId, huntId, teamId, teamUuid, teamName }) {
+  const [{ data: progressRecords, error }, huntLocations, stopConfigs] = await Promise.all([
+    supabase
+      .from('hunt_progress')
+      .select('location_id, done')
+      .eq('team_id', teamUuid)
+      .eq('done', true),
+    getHuntLocations(supabase, orgId, huntId),
+    getHuntStopConfigs(supabase, orgId, huntId).catch(() => [])
+  ])
+
+  const { completedStops: count, totalStops } = countTeamStops(
+    stopConfigs,
+    progressRecords || [],
+    huntLocations?.locations?.length || 0
+  )
+  if (error || totalStops === 0 || count < totalStops) {
+    return null
+  }
+
+  return recordActivityEvent(supabase, {
+    orgId,
+    huntId,
+    teamId,
+    teamName,
+    type: 'hunt_completed',
+    message: `Finished all ${totalStops} stops!`,
+    metadata: { completedStops: count, totalStops },
+    dedupeKey: `hunt_completed:${teamUuid}`
+  })
+}
+
+/**
+ * Create or update the feed row mirroring an announcement.
+ * The row is dated at publish_at so scheduled announcements stay hidden until due.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} announcement - announcements row
+ * @returns {Promise<Object|null>} Feed event or null on failure
+ */
+async function publishAnnouncementEvent(supabase, announcement) {
+  const row = {
+    organization_id: announcement.organization_id,
+    hunt_id: announcement.hunt_id,
+    team_id: null,
+    team_name: 'Organizers',
+    event_type: 'announcement',
+    location_id: null,
+    message: announcement.message,
+    metadata: { announcementId: announcement.id, title: announcement.title || null },
+    dedupe_key: `announcement:${announcement.id}`,
+    created_at: announcement.publish_at,
+    expires_at: announcement.expires_at || null,
+    target_team_ids: announcement.target_team_ids || null
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('activity_events')
+      .upsert([row], { onConflict: 'dedupe_key', ignoreDuplicates: false })
+      .select()
+
+    if (error) {
+      console.warn('[activityFeed] Failed to publish announcement:', error.message)
+      return null
+    }
+
+    return data && data[0] ? toFeedEvent(data[0]) : null
+  } catch (error) {
+    console.warn('[activityFeed] Failed to publish announcement:', error.message)
+    return null
+  }
+}
+
+/**
+ * List feed events newest-first
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params
+ * @param {string} params.orgId - Organization ID
+ * @param {string} params.huntId - Hunt ID
+ * @param {string} [params.teamId] - Requesting team (required for team/others filters)
+ * @param {string} [params.viewerTeamId] - Team verified by its lock token; only it sees events targeted at it
+ * @param {string} [params.filter] - 'all' | 'team' | 'others'
+ * @param {string} [params.cursor] - Cursor from a previous page
+ * @param {number} [params.limit] - Page size (max 50)
+ * @returns {Promise<{ events: Array, nextCursor: string|null }>}
+ */
+async function listActivityEvents(supabase, { orgId, huntId, teamId, viewerTeamId = null, filter = 'all', cursor, limit }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+  if (!FEED_FILTERS.includes(filter)) {
+    throw new Error(`Validation failed: unknown filter "${filter}"`)
+  }
+  if (filter !== 'all' && !teamId) {
+    throw new Error(`Validation failed: teamId is required for the "${filter}" filter`)
+  }
+  if (teamId && !TEAM_ID_REGEX.test(teamId)) {
+    throw new Error('Validation failed: invalid teamId')
+  }
+
+  let query = supabase
+    .from('activity_events')
+    .select('id, team_id, team_name, event_type, location_id, message, metadata, created_at')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+
+  // Visibility: published, not expired, and targeted at everyone or the verified team
+  const now = new Date().toISOString()
+  query = query
+    .lte('created_at', now)
+    .or(`expires_at.is.null,expires_at.gt."${now}"`)
+  query = viewerTeamId && TEAM_ID_REGEX.test(viewerTeamId)
+    ? query.or(`target_team_ids.is.null,target_team_ids.cs.{${viewerTeamId.toLowerCase()}}`)
+    : query.is('target_team_ids', null)
+
+  if (filter === 'team') {
+    // The team's own activity plus announcements addressed to it
+    query = query.or(`team_id.eq.${teamId.toLowerCase()},target_team_ids.cs.{${teamId.toLowerCase()}}`)
+  } else if (filter === 'others') {
+    // Hunt-wide events (no team) are shown alongside other teams' activity
+    query = query.or(`team_id.is.null,team_id.neq.${teamId.toLowerCase()}`)
+  }
+
+  const position = decodeCursor(cursor)
+  if (cursor && !position) {
+    throw new Error('Validation failed: invalid cursor')
+  }
+  if (position) {
+    query = query.or(`created_at.lt."${position.t}",and(created_at.eq."${position.t}",id.lt.${position.id})`)
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(pageSize + 1)
+
+  if (error) {
+    throw new Error(`Supabase activity query failed: ${error.message}`)
+  }
+
+  const rows = data || []
+  const hasMore = rows.length > pageSize
+  const page = hasMore ? rows.slice(0, pageSize) : rows
+
+  return {
+    events: page.map(toFeedEvent),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  FEED_FILTERS,
+  encodeCursor,
+  decodeCursor,
+  recordActivityEvent,
+  expireActivityEvent,
+  recordStopProgressEvents,
+  publishAnnouncementEvent,
+  listActivityEvents,
+  resolveTeamName
+}
@@ -0,0 +1,279 @@
+/**
+ * AnnouncementsService - Organizer announcements (announcements table)
+ *
+ * Announcements are scoped to an organization/hunt and may target specific
+ * teams. Each one is mirrored into the activity feed (see activityFeed.js)
+ * so scheduling, edits and expiry are reflected there as well.
+ *
+ * Status is derived from the schedule:
+ * - scheduled: publish_at in the future
+ * - active:    published and not expired
+ * - expired:   expires_at in the past
+ */
+
+const { publishAnnouncementEvent } = require('./activityFeed')
+
+const MAX_MESSAGE_LENGTH = 1000
+const MAX_TITLE_LENGTH = 120
+const TEAM_ID_REGEX = /^[A-Za-z0-9_-]+$/
+
+/**
+ * Derive announcement status from its schedule
+ * @param {Object} row - announcements row
+ * @param {Date} now - Reference time
+ * @returns {'scheduled'|'active'|'expired'}
+ */
+function getAnnouncementStatus(row, now = new Date()) {
+  if (row.expires_at && new Date(row.expires_at) <= now) return 'expired'
+  if (new Date(row.publish_at) > now) return 'scheduled'
+  return 'active'
+}
+
+/**
+ * Map a database row to the API shape
+ */
+function toAnnouncement(row, now = new Date()) {
+  return {
+    id: row.id,
+    orgId: row.organization_id,
+    huntId: row.hunt_id,
+    title: row.title || null,
+    message: row.message,
+    targetTeamIds: row.target_team_ids || null,
+    publishAt: row.publish_at,
+    expiresAt: row.expires_at || null,
+    status: getAnnouncementStatus(row, now),
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
+
+function parseTimestamp(value, field) {
+  if (value === null) return null
+  const date = new Date(value)
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new Error(`Validation failed: ${field} must be an ISO timestamp`)
+  }
+  return date.toISOString()
+}
+
+/**
+ * Validate and normalize announcement input
+ * @param {Object} input - { title, message, targetTeamIds, publishAt, expiresAt }
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow omitted fields (edits)
+ * @returns {Object} Column values to write
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validateAnnouncementInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Validation failed: announcement body required')
+  }
+
+  const values = {}
+
+  if (input.message !== undefined || !partial) {
+    if (typeof input.message !== 'string' || !input.message.trim()) {
+      throw new Error('Validation failed: message is required')
+    }
+    if (input.message.length > MAX_MESSAGE_LENGTH) {
+      throw new Error(`Validation failed: message exceeds ${MAX_MESSAGE_LENGTH} characters`)
+    }
+    values.message = input.message.trim()
+  }
+
+  if (input.title !== undefined) {
+    if (input.title !== null && (typeof input.title !== 'string' || input.title.length > MAX_TITLE_LENGTH)) {
+      throw new Error(`Validation failed: title must be a string up to ${MAX_TITLE_LENGTH} characters`)
+    }
+    values.title = input.title ? input.title.trim() : null
+  }
+
+  if (input.targetTeamIds !== undefined) {
+    if (input.targetTeamIds === null || (Array.isArray(input.targetTeamIds) && input.targetTeamIds.length === 0)) {
+      values.target_team_ids = null
+    } else if (Array.isArray(input.targetTeamIds) && input.targetTeamIds.every(id => typeof id === 'string' && TEAM_ID_REGEX.test(id))) {
+      values.target_team_ids = [...new Set(input.targetTeamIds.map(id => id.toLowerCase()))]
+    } else {
+      throw new Error('Validation failed: targetTeamIds must be an array of team IDs')
+    }
+  }
+
+  if (input.publishAt !== undefined) {
+    values.publish_at = input.publishAt === null ? new Date().toISOString() : parseTimestamp(input.publishAt, 'publishAt')
+  }
+
+  if (input.expiresAt !== undefined) {
+    values.expires_at = parseTimestamp(input.expiresAt, 'expiresAt')
+  }
+
+  return values
+}
+
+function assertWindow(publishAt, expiresAt) {
+  if (expiresAt && new Date(expiresAt) <= new Date(publishAt)) {
+    throw new Error('Validation failed: expiresAt must be after publishAt')
+  }
+}
+
+/**
+ * Create an announcement
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, input, createdBy }
+ * @returns {Promise<Object>} Created announcement
+ */
+async function createAnnouncement(supabase, { orgId, huntId, input, createdBy }) {
+  const values = validateAnnouncementInput(input)
+  const publishAt = values.publish_at || new Date().toISOString()
+  assertWindow(publishAt, values.expires_at)
+
+  const { data, error } = await supabase
+    .from('announcements')
+    .insert([{
+      organization_id: orgId,
+      hunt_id: huntId,
+      ...values,
+      publish_at: publishAt,
+      created_by: createdBy || null
+    }])
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase announcement insert failed: ${error.message}`)
+  }
+
+  await publishAnnouncementEvent(supabase, data)
+  return toAnnouncement(data)
+}
+
+/**
+ * Fetch a single announcement within an org/hunt scope
+ * @returns {Promise<Object|null>} announcements row or null
+ */
+async function getAnnouncementRow(supabase, { orgId, huntId, id }) {
+  const { data, error } = await supabase
+    .from('announcements')
+    .select('*')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase announcement lookup failed: ${error.message}`)
+  }
+  return data
+}
+
+/**
+ * Edit an announcement (message, title, targeting or schedule)
+ * @returns {Promise<Object|null>} Updated announcement or null if not found
+ */
+async function updateAnnouncement(supabase, { orgId, huntId, id, input }) {
+  const existing = await getAnnouncementRow(supabase, { orgId, huntId, id })
+  if (!existing) return null
+
+  const values = validateAnnouncementInput(input, { partial: true })
+  assertWindow(
+    values.publish_at || existing.publish_at,
+    values.expires_at !== undefined ? values.expires_at : existing.expires_at
+  )
+
+  const { data, error } = await supabase
+    .from('announcements')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase announcement update failed: ${error.message}`)
+  }
+
+  await publishAnnouncementEvent(supabase, data)
+  return toAnnouncement(data)
+}
+
+/**
+ * Expire an announcement immediately (hides it from the feed and toasts)
+ * @returns {Promise<Object|null>} Updated announcement or null if not found
+ */
+async function expireAnnouncement(supabase, { orgId, huntId, id }) {
+  const existing = await getAnnouncementRow(supabase, { orgId, huntId, id })
+  if (!existing) return null
+
+  const now = new Date()
+  if (getAnnouncementStatus(existing, now) === 'expired') {
+    return toAnnouncement(existing, now)
+  }
+
+  // Scheduled announcements are pulled back entirely; keep expires_at > publish_at
+  const values = getAnnouncementStatus(existing, now) === 'scheduled'
+    ? { publish_at: new Date(now.getTime() - 1000).toISOString(), expires_at: now.toISOString() }
+    : { expires_at: now.toISOString() }
+
+  const { data, error } = await supabase
+    .from('announcements')
+    .update({ ...values, updated_at: now.toISOString() })
+    .eq('id', id)
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase announcement update failed: ${error.message}`)
+  }
+
+  await publishAnnouncementEvent(supabase, data)
+  return toAnnouncement(data, now)
+}
+
+/**
+ * List announcements for a hunt
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params
+ * @param {string} params.orgId - Organization ID
+ * @param {string} params.huntId - Hunt ID
+ * @param {string} [params.teamId] - Only announcements visible to this team
+ * @param {boolean} [params.includeInactive] - Include scheduled/expired (organizers)
+ * @returns {Promise<Array>} Announcements, newest first
+ */
+async function listAnnouncements(supabase, { orgId, huntId, teamId, includeInactive = false }) {
+  if (teamId && !TEAM_ID_REGEX.test(teamId)) {
+    throw new Error('Validation failed: invalid teamId')
+  }
+
+  const now = new Date()
+  let query = supabase
+    .from('announcements')
+    .select('*')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+
+  if (!includeInactive) {
+    query = query
+      .lte('publish_at', now.toISOString())
+      .or(`expires_at.is.null,expires_at.gt."${now.toISOString()}"`)
+    query = teamId
+      ? query.or(`target_team_ids.is.null,target_team_ids.cs.{${teamId.toLowerCase()}}`)
+      : query.is('target_team_ids', null)
+  }
+
+  const { data, error } = await query.order('publish_at', { ascending: false }).limit(100)
+
+  if (error) {
+    throw new Error(`Supabase announcement query failed: ${error.message}`)
+  }
+
+  return (data || []).map(row => toAnnouncement(row, now))
+}
+
+module.exports = {
+  getAnnouncementStatus,
+  validateAnnouncementInput,
+  createAnnouncement,
+  updateAnnouncement,
+  expireAnnouncement,
+  listAnnouncements
+}
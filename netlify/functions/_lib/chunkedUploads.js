@@ -0,0 +1,291 @@
+/**
+ * Chunked, resumable uploads - session and chunk bookkeeping
+ *
+ * An upload session (upload_sessions row) is keyed by team + the client's
+ * idempotency key, so a client that lost its connection calls init again
+ * with the same key and gets back the chunks the server already holds.
+ * Chunks are stored in the private Supabase Storage bucket CHUNK_BUCKET as
+ * <uploadId>/<index>; the bucket listing is the source of truth for which
+ * chunks arrived.
+ *
+ * Chunk size stays well under Netlify's 6 MB request limit once the body is
+ * base64 encoded.
+ *
+ * @ai-related-files: /netlify/functions/chunked-upload.js, /scripts/sql/chunked-uploads-video.sql, /src/client/ChunkedUploadService.ts
+ */
+
+const { mediaKindForContentType } = require('./stopMedia')
+const { normalizePerceptualHash } = require('./photoDuplicates')
+const { checkBreaker, recordBreakerFailure, recordBreakerSuccess } = require('./circuitBreaker')
+
+const CHUNK_BUCKET = 'upload-chunks'
+
+const DEFAULT_CHUNK_BYTES = 3 * 1024 * 1024
+const MIN_CHUNK_BYTES = 256 * 1024
+const MAX_CHUNK_BYTES = 4 * 1024 * 1024
+
+// Client keys are the first 16 hex chars of a SHA-256 (see PhotoUploadService)
+const IDEMPOTENCY_KEY_PATTERN = /^[a-f0-9]{16}$/
+
+const REQUIRED_FIELDS = ['orgId', 'huntId', 'teamId', 'locationId', 'locationTitle', 'sessionId', 'idempotencyKey', 'contentType', 'totalBytes']
+
+/**
+ * Upload limits from the environment (also served to the client via login-initialize)
+ */
+function getUploadLimits(env = process.env) {
+  const chunkBytes = Number(env.UPLOAD_CHUNK_BYTES || DEFAULT_CHUNK_BYTES)
+  return {
+    chunkBytes: Math.min(MAX_CHUNK_BYTES, Math.max(MIN_CHUNK_BYTES, chunkBytes || DEFAULT_CHUNK_BYTES)),
+    maxPhotoBytes: Number(env.MAX_UPLOAD_BYTES || '10485760'),
+    allowLargePhotos: env.ALLOW_LARGE_UPLOADS === 'true',
+    maxVideoBytes: Number(env.MAX_VIDEO_BYTES || '52428800'),
+    maxVideoSeconds: Number(env.MAX_VIDEO_SECONDS || '30'),
+    sessionTtlHours: Number(env.UPLOAD_SESSION_TTL_HOURS || '24')
+  }
+}
+
+/**
+ * Validate an init request body
+ * @returns {Object} Normalized upload request with mediaKind
+ * @throws {Error} 'Validation failed: ...'
+ */
+function validateInitRequest(body) {
+  if (!body || typeof body !== 'object') {
+    throw new Error('Validation failed: body must be a JSON object')
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => body[field] === undefined || body[field] === null || body[field] === '')
+  if (missing.length > 0) {
+    throw new Error(`Validation failed: missing ${missing.join(', ')}`)
+  }
+
+  const idempotencyKey = String(body.idempotencyKey).toLowerCase()
+  if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    throw new Error('Validation failed: idempotencyKey must be 16 hex characters')
+  }
+
+  const totalBytes = Number(body.totalBytes)
+  if (!Number.isInteger(totalBytes) || totalBytes <= 0) {
+    throw new Error('Validation failed: totalBytes must be a positive integer')
+  }
+
+  const mediaKind = mediaKindForContentType(body.contentType)
+  if (!mediaKind) {
+    throw new Error(`Validation failed: unsupported content type ${body.contentType}`)
+  }
+
+  let durationSeconds = null
+  if (body.durationSeconds !== undefined && body.durationSeconds !== null) {
+    durationSeconds = Number(body.durationSeconds)
+    if (!Number.isFinite(durationSeconds) || durationSeconds < 0) {
+      throw new Error('Validation failed: durationSeconds must be a non-negative number')
+    }
+  }
+
+  return {
+    orgId: String(body.orgId),
+    huntId: String(body.huntId),
+    teamId: String(body.teamId),
+    locationId: String(body.locationId),
+    locationTitle: String(body.locationTitle),
+    sessionId: String(body.sessionId),
+    idempotencyKey,
+    contentType: String(body.contentType).toLowerCase(),
+    totalBytes,
+    mediaKind,
+    durationSeconds,
+    fileName: body.fileName ? String(body.fileName) : null,
+    teamName: body.teamName ? String(body.teamName) : '',
+    locationName: body.locationName ? String(body.locationName) : '',
+    eventName: body.eventName ? String(body.eventName) : '',
+    notes: body.notes ? String(body.notes) : null,
+    revealedHints: Number.isInteger(body.revealedHints) ? body.revealedHints : 0,
+    perceptualHash: mediaKind === 'photo' ? normalizePerceptualHash(body.perceptualHash) : null
+  }
+}
+
+/**
+ * Check size and duration limits for a validated init request
+ * @returns {{ ok: true } | { ok: false, statusCode: number, code: string, error: string }}
+ */
+function checkUploadLimits(upload, limits) {
+  if (upload.mediaKind === 'video') {
+    if (upload.totalBytes > limits.maxVideoBytes) {
+      const maxMB = (limits.maxVideoBytes / 1024 / 1024).toFixed(0)
+      return { ok: false, statusCode: 413, code: 'FILE_TOO_LARGE', error: `Video is too large (max ${maxMB}MB)` }
+    }
+    if (upload.durationSeconds !== null && upload.durationSeconds > limits.maxVideoSeconds) {
+      return { ok: false, statusCode: 422, code: 'VIDEO_TOO_LONG', error: `Video is too long (max ${limits.maxVideoSeconds} seconds)` }
+    }
+    return { ok: true }
+  }
+
+  if (!limits.allowLargePhotos && upload.totalBytes > limits.maxPhotoBytes) {
+    const maxMB = (limits.maxPhotoBytes / 1024 / 1024).toFixed(0)
+    return { ok: false, statusCode: 413, code: 'FILE_TOO_LARGE', error: `Photo is too large (max ${maxMB}MB)` }
+  }
+  return { ok: true }
+}
+
+function chunkCount(totalBytes, chunkBytes) {
+  return Math.ceil(totalBytes / chunkBytes)
+}
+
+/**
+ * Size a chunk must have: chunk_size, except the last one
+ */
+function expectedChunkBytes(session, index) {
+  const isLast = index === session.total_chunks - 1
+  return isLast ? session.total_bytes - session.chunk_size * (session.total_chunks - 1) : session.chunk_size
+}
+
+function chunkPath(uploadId, index) {
+  return `${uploadId}/${String(index).padStart(5, '0')}`
+}
+
+/**
+ * Indexes present in a storage listing of <uploadId>/
+ */
+function receivedChunkIndexes(objects, totalChunks) {
+  const indexes = new Set()
+  for (const object of objects || []) {
+    const index = Number.parseInt(object.name, 10)
+    if (Number.isInteger(index) && index >= 0 && index < totalChunks) {
+      indexes.add(index)
+    }
+  }
+  return [...indexes].sort((a, b) => a - b)
+}
+
+function missingChunkIndexes(totalChunks, received) {
+  const have = new Set(received)
+  const missing = []
+  for (let index = 0; index < totalChunks; index++) {
+    if (!have.has(index)) missing.push(index)
+  }
+  return missing
+}
+
+function isSessionExpired(session, now = Date.now()) {
+  return Boolean(session.expires_at) && new Date(session.expires_at).getTime() <= now
+}
+
+/**
+ * Whether an init request can resume an existing session
+ * (same file: size and type match, and the session hasn't expired or failed)
+ */
+function canResumeSession(session, upload, chunkBytes, now = Date.now()) {
+  return session.status !== 'failed' &&
+    !isSessionExpired(session, now) &&
+    Number(session.total_bytes) === upload.totalBytes &&
+    session.content_type === upload.contentType &&
+    session.location_id === upload.locationId &&
+    session.chunk_size === chunkBytes
+}
+
+// ---------------------------------------------------------------------------
+// Storage (behind the 'supabase' circuit breaker)
+// ---------------------------------------------------------------------------
+
+async function withStorageBreaker(operation) {
+  checkBreaker('supabase')
+  const { data, error } = await operation()
+  if (error) {
+    recordBreakerFailure('supabase')
+    throw new Error(`Supabase storage error: ${error.message}`)
+  }
+  recordBreakerSuccess('supabase')
+  return data
+}
+
+async function listReceivedChunks(supabase, session) {
+  const objects = await withStorageBreaker(() =>
+    supabase.storage.from(CHUNK_BUCKET).list(session.id, { limit: session.total_chunks + 10 })
+  )
+  return receivedChunkIndexes(objects, session.total_chunks)
+}
+
+async function storeChunk(supabase, session, index, buffer) {
+  await withStorageBreaker(() =>
+    supabase.storage.from(CHUNK_BUCKET).upload(chunkPath(session.id, index), buffer, {
+      contentType: 'application/octet-stream',
+      upsert: true
+    })
+  )
+}
+
+/**
+ * Download and concatenate all chunks in order
+ * @throws {Error} When the assembled size doesn't match the session
+ */
+async function assembleChunks(supabase, session) {
+  const buffers = []
+  for (let index = 0; index < session.total_chunks; index++) {
+    const blob = await withStorageBreaker(() =>
+      supabase.storage.from(CHUNK_BUCKET).download(chunkPath(session.id, index))
+    )
+    buffers.push(Buffer.from(await blob.arrayBuffer()))
+  }
+
+  const file = Buffer.concat(buffers)
+  if (file.length !== Number(session.total_bytes)) {
+    throw new Error(`Validation failed: assembled ${file.length} bytes, expected ${session.total_bytes}`)
+  }
+  return file
+}
+
+/**
+ * Remove a session's chunks (best effort)
+ */
+async function deleteChunks(supabase, session) {
+  const paths = []
+  for (let index = 0; index < session.total_chunks; index++) {
+    paths.push(chunkPath(session.id, index))
+  }
+  try {
+    const { error } = await supabase.storage.from(CHUNK_BUCKET).remove(paths)
+    if (error) console.warn(`[chunkedUploads] Failed to delete chunks for ${session.id}:`, error.message)
+  } catch (error) {
+    console.warn(`[chunkedUploads] Failed to delete chunks for ${session.id}:`, error.message)
+  }
+}
+
+/**
+ * Session state for the client
+ */
+function toSessionResponse(session, receivedChunks) {
+  const completed = session.status === 'completed'
+  return {
+    uploadId: session.id,
+    status: session.status,
+    mediaType: session.media_type,
+    chunkSize: session.chunk_size,
+    totalBytes: Number(session.total_bytes),
+    totalChunks: session.total_chunks,
+    receivedChunks,
+    // Chunks are deleted once the upload completes
+    missingChunks: completed ? [] : missingChunkIndexes(session.total_chunks, receivedChunks),
+    expiresAt: session.expires_at,
+    ...(completed && session.result ? { result: session.result } : {})
+  }
+}
+
+module.exports = {
+  CHUNK_BUCKET,
+  IDEMPOTENCY_KEY_PATTERN,
+  getUploadLimits,
+  validateInitRequest,
+  checkUploadLimits,
+  chunkCount,
+  expectedChunkBytes,
+  chunkPath,
+  receivedChunkIndexes,
+  missingChunkIndexes,
+  isSessionExpired,
+  canResumeSession,
+  listReceivedChunks,
+  storeChunk,
+  assembleChunks,
+  deleteChunks,
+  toSessionResponse
+}
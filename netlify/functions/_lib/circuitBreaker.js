@@ -0,0 +1,98 @@
+/**
+ * In-memory circuit breakers for upload dependencies (Cloudinary, Supabase)
+ *
+ * State lives in the module, so it is shared by every request a warm
+ * function instance handles. After BREAKER_THRESHOLD failures inside
+ * BREAKER_WINDOW the breaker opens and calls fail fast with
+ * "Circuit breaker OPEN for <service>" until BREAKER_TIMEOUT has passed;
+ * the next call is then let through (HALF_OPEN) and a success closes it.
+ *
+ * @ai-related-files: /netlify/functions/photo-upload-orchestrated.js, /netlify/functions/chunked-upload.js
+ */
+
+const BREAKER_THRESHOLD = 5
+const BREAKER_TIMEOUT = 30000 // 30 seconds
+const BREAKER_WINDOW = 60000 // 60 seconds
+
+const breakers = {}
+
+function getBreaker(service) {
+  if (!breakers[service]) {
+    breakers[service] = { failures: 0, lastFailure: null, state: 'CLOSED' }
+  }
+  return breakers[service]
+}
+
+/**
+ * Check the breaker before calling a service
+ * @returns {string} Current state ('CLOSED' | 'HALF_OPEN')
+ * @throws {Error} When the breaker is open
+ */
+function checkBreaker(service) {
+  const breaker = getBreaker(service)
+  const now = Date.now()
+
+  // Reset failures if outside window
+  if (breaker.lastFailure && (now - breaker.lastFailure) > BREAKER_WINDOW) {
+    breaker.failures = 0
+    breaker.state = 'CLOSED'
+  }
+
+  // Check if circuit is open
+  if (breaker.state === 'OPEN') {
+    if ((now - breaker.lastFailure) > BREAKER_TIMEOUT) {
+      breaker.state = 'HALF_OPEN'
+      console.log(`[CircuitBreaker] ${service} entering HALF_OPEN state`)
+    } else {
+      throw new Error(`Circuit breaker OPEN for ${service}`)
+    }
+  }
+
+  return breaker.state
+}
+
+function recordBreakerFailure(service) {
+  const breaker = getBreaker(service)
+  breaker.failures++
+  breaker.lastFailure = Date.now()
+
+  if (breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.state = 'OPEN'
+    console.log(`[CircuitBreaker] ${service} entering OPEN state after ${breaker.failures} failures`)
+  }
+}
+
+function recordBreakerSuccess(service) {
+  const breaker = getBreaker(service)
+  if (breaker.state === 'HALF_OPEN') {
+    breaker.state = 'CLOSED'
+    breaker.failures = 0
+    console.log(`[CircuitBreaker] ${service} entering CLOSED state`)
+  }
+}
+
+/**
+ * Whether an error came from an open breaker (callers answer 503 + Retry-After)
+ */
+function isBreakerOpenError(error) {
+  return Boolean(error?.message?.includes('Circuit breaker OPEN'))
+}
+
+/**
+ * Clear all breaker state (tests)
+ */
+function resetBreakers() {
+  for (const service of Object.keys(breakers)) {
+    delete breakers[service]
+  }
+}
+
+module.exports = {
+  BREAKER_THRESHOLD,
+  BREAKER_TIMEOUT,
+  checkBreaker,
+  recordBreakerFailure,
+  recordBreakerSuccess,
+  isBreakerOpenError,
+  resetBreakers
+}
@@ -0,0 +1,126 @@
+/**
+ * Cloudinary photo storage driver (PHOTO_STORAGE_DRIVER=cloudinary, the default)
+ * Incoming transforms are applied by Cloudinary on upload; delivery transforms
+ * are URL segments, so transformUrl works on any stored Cloudinary URL.
+ *
+ * @ai-related-files: /netlify/functions/_lib/photoStorage.js
+ */
+
+const cloudinary = require('cloudinary').v2
+
+const name = 'cloudinary'
+const missingConfigMessage = 'Cloudinary credentials not configured. Please set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET environment variables.'
+
+function configureCloudinary(env = process.env) {
+  cloudinary.config({
+    cloud_name: env.CLOUDINARY_CLOUD_NAME,
+    api_key: env.CLOUDINARY_API_KEY,
+    api_secret: env.CLOUDINARY_API_SECRET,
+  })
+}
+
+function isConfigured(env = process.env) {
+  return Boolean(env.CLOUDINARY_CLOUD_NAME && env.CLOUDINARY_API_KEY && env.CLOUDINARY_API_SECRET)
+}
+
+/**
+ * Map a storage transform onto Cloudinary transformation parameters
+ */
+function toCloudinaryTransformation(transform) {
+  const params = {
+    quality: transform.quality,
+    fetch_format: transform.format,
+    width: transform.width,
+    height: transform.height,
+    crop: transform.crop
+  }
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined && value !== null))
+}
+
+async function upload(fileBuffer, options) {
+  configureCloudinary()
+
+  const uploadOptions = {
+    folder: options.folder,
+    public_id: options.publicId,
+    resource_type: options.resourceType || 'auto',
+    context: options.context,
+    tags: options.tags ? options.tags.slice(0, 20) : undefined, // Cloudinary tag limit
+    overwrite: options.overwrite !== false
+  }
+  if (options.transform) uploadOptions.transformation = [toCloudinaryTransformation(options.transform)]
+  if (options.format) uploadOptions.format = options.format
+
+  const result = await new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      uploadOptions,
+      (error, result) => {
+        if (error) reject(error)
+        else resolve(result)
+      }
+    )
+    uploadStream.end(fileBuffer)
+  })
+
+  return {
+    publicId: result.public_id,
+    secureUrl: result.secure_url,
+    resourceType: result.resource_type,
+    format: result.format,
+    bytes: result.bytes,
+    width: result.width,
+    height: result.height,
+    duration: result.duration
+  }
+}
+
+async function verify(publicId, resourceType = 'image') {
+  configureCloudinary()
+  const result = await cloudinary.api.resource(publicId, { resource_type: resourceType })
+  return Boolean(result && result.public_id === publicId)
+}
+
+async function deleteAsset(publicId, resourceType = 'image') {
+  configureCloudinary()
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType })
+}
+
+/**
+ * Insert a delivery transformation into a Cloudinary URL
+ * e.g. .../image/upload/v1/x.jpg -> .../image/upload/w_300,h_300,c_fill/v1/x.jpg
+ * Non-Cloudinary URLs (uploads made under another driver) are returned unchanged.
+ */
+function transformUrl(url, transform = {}) {
+  if (!/^https?:\/\/res\.cloudinary\.com\//.test(url) || !url.includes('/upload/')) return url
+
+  const segments = [
+    transform.width && `w_${transform.width}`,
+    transform.height && `h_${transform.height}`,
+    transform.crop && `c_${transform.crop}`,
+    transform.quality && `q_${transform.quality}`,
+    transform.format && `f_${transform.format}`
+  ].filter(Boolean)
+
+  if (segments.length === 0) return url
+  return url.replace('/upload/', `/upload/${segments.join(',')}/`)
+}
+
+/**
+ * Whether a URL is a delivery URL of the configured cloud
+ */
+function ownsUrl(url, env = process.env) {
+  return Boolean(env.CLOUDINARY_CLOUD_NAME) && url.startsWith(`https://res.cloudinary.com/${env.CLOUDINARY_CLOUD_NAME}/`)
+}
+
+module.exports = {
+  name,
+  missingConfigMessage,
+  isConfigured,
+  upload,
+  verify,
+  delete: deleteAsset,
+  transformUrl,
+  ownsUrl,
+  configureCloudinary,
+  toCloudinaryTransformation
+}
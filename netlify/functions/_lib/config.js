@@ -66,6 +66,9 @@ export function getServerConfig() {
     // Lock Secret
     LOCK_SECRET: process.env.LOCK_SECRET || 'default-secret-change-me',
 
+    // Organizer API key (announcements and other hunt management endpoints)
+    ORGANIZER_API_KEY: process.env.ORGANIZER_API_KEY || '',
+
     // Rate Limiting
     RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10),
     RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
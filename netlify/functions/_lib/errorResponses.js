@@ -19,15 +19,20 @@ const STANDARD_HEADERS = {
  * @param {string} error - Main error message
  * @param {string|object|null} details - Additional error details (optional)
  * @param {string|null} requestId - Request correlation ID (optional)
+ * @param {string|null} code - Machine-readable error code (optional)
  * @returns {object} Netlify function response object
  */
-export function errorResponse(statusCode, error, details = null, requestId = null) {
+export function errorResponse(statusCode, error, details = null, requestId = null, code = null) {
   const body = {
     error,
     statusCode,
     timestamp: new Date().toISOString()
   }
 
+  if (code) {
+    body.code = code
+  }
+
   if (details) {
     body.details = typeof details === 'string' ? details : JSON.stringify(details)
   }
@@ -56,15 +61,15 @@ export function badRequestResponse(message = 'Invalid request', details = null,
 /**
  * 401 Unauthorized - Authentication required
  */
-export function unauthorizedResponse(message = 'Unauthorized', details = null, requestId = null) {
-  return errorResponse(401, message, details, requestId)
+export function unauthorizedResponse(message = 'Unauthorized', details = null, requestId = null, code = null) {
+  return errorResponse(401, message, details, requestId, code)
 }
 
 /**
  * 403 Forbidden - Insufficient permissions
  */
-export function forbiddenResponse(message = 'Forbidden', details = null, requestId = null) {
-  return errorResponse(403, message, details, requestId)
+export function forbiddenResponse(message = 'Forbidden', details = null, requestId = null, code = null) {
+  return errorResponse(403, message, details, requestId, code)
 }
 
 /**
@@ -226,7 +231,7 @@ export function getCorsHeaders(origin = null) {
   return {
     'Access-Control-Allow-Origin': isAllowed ? origin : allowedOrigins[0],
     'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-ID',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-ID, X-Team-Lock',
     'Access-Control-Max-Age': '86400'
   }
 }
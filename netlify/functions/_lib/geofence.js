@@ -0,0 +1,276 @@
+/**
+ * Geofence - Stop check-ins validated against hunt_stops coordinates
+ *
+ * Each hunt chooses a geofence mode (hunts.geofence_mode):
+ *   off      - check-ins are not used
+ *   advisory - check-ins are recorded but never block completion
+ *   required - a stop with coordinates can only be marked done after a
+ *              check-in within its radius
+ *
+ * Distances are computed server-side (haversine); the client only supplies
+ * the raw browser position.
+ */
+
+const GEOFENCE_MODES = ['off', 'advisory', 'required']
+const DEFAULT_RADIUS_METERS = 75
+// Cap on how much reported GPS inaccuracy can extend the radius
+const MAX_ACCURACY_ALLOWANCE_METERS = 50
+const EARTH_RADIUS_METERS = 6371000
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} Distance in meters
+ */
+function haversineDistanceMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180
+  const dLat = toRad(b.lat - a.lat)
+  const dLng = toRad(b.lng - a.lng)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+/**
+ * Validate a raw browser position
+ * @param {Object} input - { lat, lng, accuracy }
+ * @returns {Object} { lat, lng, accuracy }
+ * @throws {Error} 'Validation failed: ...' for bad coordinates
+ */
+function validateCoordinates(input) {
+  const lat = Number(input?.lat)
+  const lng = Number(input?.lng)
+  const accuracy = input?.accuracy == null ? null : Number(input.accuracy)
+
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw new Error('Validation failed: lat must be between -90 and 90')
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new Error('Validation failed: lng must be between -180 and 180')
+  }
+  if (accuracy !== null && (!Number.isFinite(accuracy) || accuracy < 0)) {
+    throw new Error('Validation failed: accuracy must be a positive number of meters')
+  }
+
+  return { lat, lng, accuracy }
+}
+
+/**
+ * Decide whether a position is inside a stop's geofence
+ * Reported accuracy widens the radius, up to MAX_ACCURACY_ALLOWANCE_METERS.
+ * @param {{lat: number, lng: number}} stopPosition
+ * @param {number} radiusMeters
+ * @param {{lat: number, lng: number, accuracy: number|null}} coords
+ * @returns {Object} { distanceMeters, radiusMeters, withinRadius }
+ */
+function evaluateCheckIn(stopPosition, radiusMeters, coords) {
+  const distanceMeters = Math.round(haversineDistanceMeters(stopPosition, coords))
+  const allowance = Math.min(coords.accuracy || 0, MAX_ACCURACY_ALLOWANCE_METERS)
+  return {
+    distanceMeters,
+    radiusMeters,
+    withinRadius: distanceMeters <= radiusMeters + allowance
+  }
+}
+
+/**
+ * Normalize geofence settings from a hunts row
+ * @param {Object|null} hunt - Row with geofence_mode, geofence_default_radius_m
+ * @returns {Object} { mode, defaultRadiusMeters }
+ */
+function normalizeGeofenceConfig(hunt) {
+  return {
+    mode: GEOFENCE_MODES.includes(hunt?.geofence_mode) ? hunt.geofence_mode : 'off',
+    defaultRadiusMeters: hunt?.geofence_default_radius_m > 0 ? hunt.geofence_default_radius_m : DEFAULT_RADIUS_METERS
+  }
+}
+
+/**
+ * Load the hunt's geofence settings
+ * Missing columns or rows fall back to mode 'off'.
+ * @returns {Promise<Object>} { mode, defaultRadiusMeters }
+ */
+async function getHuntGeofenceConfig(supabase, orgId, huntId) {
+  try {
+    const { data, error } = await supabase
+      .from('hunts')
+      .select('geofence_mode, geofence_default_radius_m')
+      .eq('organization_id', orgId)
+      .eq('id', huntId)
+      .single()
+
+    if (error) {
+      console.warn('[geofence] Could not load geofence config:', error.message)
+    }
+
+    return normalizeGeofenceConfig(data)
+  } catch (error) {
+    console.warn('[geofence] Could not load geofence config:', error.message)
+    return normalizeGeofenceConfig(null)
+  }
+}
+
+/**
+ * Load a stop's coordinates and radius
+ * @returns {Promise<Object|null>} { position: {lat, lng}|null, radiusMeters } or null if the stop is unknown
+ */
+async function getStopGeofence(supabase, stopId, defaultRadiusMeters = DEFAULT_RADIUS_METERS) {
+  const { data, error } = await supabase
+    .from('hunt_stops')
+    .select('stop_id, position_lat, position_lng, geofence_radius_m')
+    .eq('stop_id', stopId)
+    .single()
+
+  if (error || !data) {
+    return null
+  }
+
+  const hasPosition = data.position_lat != null && data.position_lng != null
+  return {
+    position: hasPosition
+      ? { lat: parseFloat(data.position_lat), lng: parseFloat(data.position_lng) }
+      : null,
+    radiusMeters: data.geofence_radius_m > 0 ? data.geofence_radius_m : defaultRadiusMeters
+  }
+}
+
+/**
+ * Resolve a team slug (teams.team_id) or UUID to the teams.id UUID
+ * @returns {Promise<string|null>}
+ */
+async function resolveTeamUuid(supabase, orgId, huntId, teamId) {
+  if (UUID_REGEX.test(teamId)) return teamId
+
+  const { data, error } = await supabase
+    .from('teams')
+    .select('id')
+    .ilike('team_id', teamId)
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .single()
+
+  return error || !data ? null : data.id
+}
+
+/**
+ * Validate and record a check-in
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, teamUuid, stopId, coords: {lat, lng, accuracy} }
+ * @returns {Promise<Object>} Check-in result for the client
+ * @throws {Error} 'Validation failed: ...' or 'Stop not found'
+ */
+async function recordCheckIn(supabase, { orgId, huntId, teamUuid, stopId, coords }) {
+  const position = validateCoordinates(coords)
+  const config = await getHuntGeofenceConfig(supabase, orgId, huntId)
+  const stop = await getStopGeofence(supabase, stopId, config.defaultRadiusMeters)
+
+  if (!stop) {
+    throw new Error('Stop not found')
+  }
+
+  // Stops without coordinates cannot be geofenced; treat the check-in as verified
+  if (!stop.position) {
+    return {
+      stopId,
+      mode: config.mode,
+      verified: true,
+      withinRadius: true,
+      distanceMeters: null,
+      radiusMeters: null,
+      checkedInAt: new Date().toISOString()
+    }
+  }
+
+  const result = evaluateCheckIn(stop.position, stop.radiusMeters, position)
+
+  const { data, error } = await supabase
+    .from('stop_checkins')
+    .insert({
+      organization_id: orgId,
+      hunt_id: huntId,
+      team_id: teamUuid,
+      location_id: stopId,
+      latitude: position.lat,
+      longitude: position.lng,
+      accuracy_m: position.accuracy,
+      distance_m: result.distanceMeters,
+      radius_m: result.radiusMeters,
+      within_radius: result.withinRadius
+    })
+    .select('created_at')
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase error recording check-in: ${error.message}`)
+  }
+
+  return {
+    stopId,
+    mode: config.mode,
+    verified: result.withinRadius,
+    withinRadius: result.withinRadius,
+    distanceMeters: result.distanceMeters,
+    radiusMeters: result.radiusMeters,
+    checkedInAt: data?.created_at || new Date().toISOString()
+  }
+}
+
+/**
+ * Gate for marking a stop done
+ * Only blocks in 'required' mode, for stops with coordinates and no verified check-in.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, teamId (slug or UUID), stopId }
+ * @returns {Promise<Object>} { allowed, mode, code?, error? }
+ */
+async function checkCompletionAllowed(supabase, { orgId, huntId, teamId, stopId }) {
+  const config = await getHuntGeofenceConfig(supabase, orgId, huntId)
+  if (config.mode !== 'required') {
+    return { allowed: true, mode: config.mode }
+  }
+
+  const stop = await getStopGeofence(supabase, stopId, config.defaultRadiusMeters)
+  if (!stop || !stop.position) {
+    return { allowed: true, mode: config.mode }
+  }
+
+  const teamUuid = await resolveTeamUuid(supabase, orgId, huntId, teamId)
+  if (teamUuid) {
+    const { data, error } = await supabase
+      .from('stop_checkins')
+      .select('id')
+      .eq('team_id', teamUuid)
+      .eq('location_id', stopId)
+      .eq('within_radius', true)
+      .limit(1)
+
+    if (error) {
+      console.warn('[geofence] Check-in lookup failed:', error.message)
+    } else if (data && data.length > 0) {
+      return { allowed: true, mode: config.mode }
+    }
+  }
+
+  return {
+    allowed: false,
+    mode: config.mode,
+    code: 'CHECKIN_REQUIRED',
+    error: 'Check in at this stop before completing it'
+  }
+}
+
+module.exports = {
+  GEOFENCE_MODES,
+  DEFAULT_RADIUS_METERS,
+  haversineDistanceMeters,
+  validateCoordinates,
+  evaluateCheckIn,
+  normalizeGeofenceConfig,
+  getHuntGeofenceConfig,
+  getStopGeofence,
+  resolveTeamUuid,
+  recordCheckIn,
+  checkCompletionAllowed
+}
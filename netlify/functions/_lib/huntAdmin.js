@@ -0,0 +1,479 @@
+/**
+ * HuntAdmin - Organizer management of hunts and their stops
+ *
+ * Server-side counterpart of HuntConfigService for the admin console
+ * (/admin): writes need the service-role client, so they go through the
+ * hunt-admin function instead of the browser's Supabase client.
+ *
+ * Stops live in hunt_stops (content, shared by stop_id) and are attached to a
+ * hunt through hunt_configurations (default_order, is_active). Deactivating
+ * a stop hides it from teams without deleting progress or photos.
+ */
+
+const { getHuntLocations } = require('./locationsHelper')
+const { lockStopsForTeam, ORDERING_STRATEGIES } = require('./stopOrdering')
+const { getSponsors } = require('./sponsorsService')
+const { invalidatePattern, CacheKeys } = require('./cache')
+
+const ID_REGEX = /^[a-z0-9-]{2,50}$/
+const MAX_TITLE_LENGTH = 120
+const MAX_TEXT_LENGTH = 2000
+const MAX_HINTS = 5
+
+const HUNT_COLUMNS = 'id, organization_id, name, is_active, starts_at, ends_at'
+const STOP_COLUMNS = 'stop_id, title, description, clue, hints, position_lat, position_lng'
+
+function requireId(value, field) {
+  if (typeof value !== 'string' || !ID_REGEX.test(value)) {
+    throw new Error(`Validation failed: ${field} must be 2-50 lowercase letters, numbers or dashes`)
+  }
+  return value
+}
+
+function requireText(value, field, maxLength, { required = false } = {}) {
+  if (value === null && !required) return null
+  if (typeof value !== 'string' || (required && !value.trim())) {
+    throw new Error(`Validation failed: ${field} is required`)
+  }
+  if (value.length > maxLength) {
+    throw new Error(`Validation failed: ${field} exceeds ${maxLength} characters`)
+  }
+  return value.trim()
+}
+
+function parseTimestamp(value, field) {
+  if (value === null) return null
+  const date = new Date(value)
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new Error(`Validation failed: ${field} must be an ISO timestamp`)
+  }
+  return date.toISOString()
+}
+
+/**
+ * Validate and normalize hunt input
+ * @param {Object} input - { id, name, isActive, startsAt, endsAt, orderingStrategy }
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow omitted fields (edits; id can't change)
+ * @returns {{ values: Object, orderingStrategy?: string }} hunts columns and ordering strategy
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validateHuntInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Validation failed: hunt body required')
+  }
+
+  const values = {}
+  if (!partial) values.id = requireId(input.id, 'id')
+
+  if (input.name !== undefined || !partial) {
+    values.name = requireText(input.name, 'name', MAX_TITLE_LENGTH, { required: true })
+  }
+  if (input.isActive !== undefined) {
+    if (typeof input.isActive !== 'boolean') throw new Error('Validation failed: isActive must be a boolean')
+    values.is_active = input.isActive
+  }
+  if (input.startsAt !== undefined) values.starts_at = parseTimestamp(input.startsAt, 'startsAt')
+  if (input.endsAt !== undefined) values.ends_at = parseTimestamp(input.endsAt, 'endsAt')
+
+  if (values.starts_at && values.ends_at && values.ends_at <= values.starts_at) {
+    throw new Error('Validation failed: endsAt must be after startsAt')
+  }
+
+  if (input.orderingStrategy !== undefined && !ORDERING_STRATEGIES.includes(input.orderingStrategy)) {
+    throw new Error(`Validation failed: orderingStrategy must be one of ${ORDERING_STRATEGIES.join(', ')}`)
+  }
+
+  return { values, orderingStrategy: input.orderingStrategy }
+}
+
+/**
+ * Validate and normalize stop content
+ * @param {Object} input - { stopId, title, description, clue, hints, position }
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow omitted fields (edits; stopId can't change)
+ * @returns {Object} hunt_stops columns
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validateStopInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Validation failed: stop body required')
+  }
+
+  const values = {}
+  if (!partial) values.stop_id = requireId(input.stopId, 'stopId')
+
+  if (input.title !== undefined || !partial) {
+    values.title = requireText(input.title, 'title', MAX_TITLE_LENGTH, { required: true })
+  }
+  if (input.clue !== undefined || !partial) {
+    values.clue = requireText(input.clue, 'clue', MAX_TEXT_LENGTH, { required: true })
+  }
+  if (input.description !== undefined) {
+    values.description = requireText(input.description, 'description', MAX_TEXT_LENGTH)
+  }
+
+  if (input.hints !== undefined) {
+    if (!Array.isArray(input.hints) || input.hints.length > MAX_HINTS) {
+      throw new Error(`Validation failed: hints must be an array of up to ${MAX_HINTS} strings`)
+    }
+    values.hints = input.hints
+      .map((hint, index) => requireText(hint, `hints[${index}]`, MAX_TEXT_LENGTH, { required: true }))
+  }
+
+  if (input.position !== undefined) {
+    const { lat, lng } = input.position || {}
+    if (input.position === null) {
+      values.position_lat = null
+      values.position_lng = null
+    } else if (Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      values.position_lat = lat
+      values.position_lng = lng
+    } else {
+      throw new Error('Validation failed: position must be { lat, lng } or null')
+    }
+  }
+
+  return values
+}
+
+/**
+ * Map a hunts row (plus ordering strategy) to the API shape
+ */
+function toHunt(row, orderingStrategy = 'fixed') {
+  return {
+    id: row.id,
+    orgId: row.organization_id,
+    name: row.name,
+    isActive: row.is_active !== false,
+    startsAt: row.starts_at || null,
+    endsAt: row.ends_at || null,
+    orderingStrategy
+  }
+}
+
+/**
+ * Map a hunt_configurations row with embedded hunt_stops to the API shape
+ */
+function toAdminStop(row) {
+  const stop = row.hunt_stops || {}
+  return {
+    stopId: row.stop_id,
+    title: stop.title || '',
+    description: stop.description || '',
+    clue: stop.clue || '',
+    hints: Array.isArray(stop.hints) ? stop.hints : [],
+    position: stop.position_lat != null && stop.position_lng != null
+      ? { lat: parseFloat(stop.position_lat), lng: parseFloat(stop.position_lng) }
+      : null,
+    order: row.default_order,
+    isActive: row.is_active !== false
+  }
+}
+
+/**
+ * Drop cached team-facing data so edits show up on the next fetch
+ */
+function invalidateHuntCaches(orgId, huntId) {
+  invalidatePattern(CacheKeys.locations(orgId, huntId))
+  invalidatePattern(CacheKeys.sponsors(orgId, huntId))
+}
+
+async function getOrderingStrategies(supabase, orgId) {
+  const { data, error } = await supabase
+    .from('hunt_ordering_config')
+    .select('hunt_id, ordering_strategy')
+    .eq('organization_id', orgId)
+
+  if (error) {
+    throw new Error(`Supabase ordering config query failed: ${error.message}`)
+  }
+
+  return new Map((data || []).map(row => [row.hunt_id, row.ordering_strategy]))
+}
+
+/**
+ * Hunts of an organization, newest schedule first
+ */
+async function listHunts(supabase, orgId) {
+  const [{ data, error }, strategies] = await Promise.all([
+    supabase
+      .from('hunts')
+      .select(HUNT_COLUMNS)
+      .eq('organization_id', orgId)
+      .order('starts_at', { ascending: false, nullsFirst: false }),
+    getOrderingStrategies(supabase, orgId)
+  ])
+
+  if (error) {
+    throw new Error(`Supabase hunts query failed: ${error.message}`)
+  }
+
+  return (data || []).map(row => toHunt(row, strategies.get(row.id) || 'fixed'))
+}
+
+/**
+ * Set a hunt's ordering strategy
+ * Switching to randomized regenerates every team's stop order.
+ */
+async function setOrderingStrategy(supabase, orgId, huntId, orderingStrategy) {
+  const { error } = await supabase
+    .from('hunt_ordering_config')
+    .upsert(
+      { organization_id: orgId, hunt_id: huntId, ordering_strategy: orderingStrategy },
+      { onConflict: 'organization_id,hunt_id' }
+    )
+
+  if (error) {
+    throw new Error(`Supabase ordering config upsert failed: ${error.message}`)
+  }
+
+  if (orderingStrategy === 'randomized') {
+    const { data: teams, error: teamsError } = await supabase
+      .from('teams')
+      .select('id')
+      .eq('organization_id', orgId)
+      .eq('hunt_id', huntId)
+
+    if (teamsError) {
+      throw new Error(`Supabase teams query failed: ${teamsError.message}`)
+    }
+
+    for (const team of teams || []) {
+      const { error: rpcError } = await supabase.rpc('generate_team_stop_order', {
+        p_team_id: team.id,
+        p_organization_id: orgId,
+        p_hunt_id: huntId
+      })
+      if (rpcError) {
+        throw new Error(`Supabase team order regeneration failed: ${rpcError.message}`)
+      }
+    }
+  }
+}
+
+/**
+ * Create a hunt (inactive until the organizer turns it on, unless isActive is given)
+ */
+async function createHunt(supabase, { orgId, input }) {
+  const { values, orderingStrategy = 'fixed' } = validateHuntInput(input)
+
+  const { data, error } = await supabase
+    .from('hunts')
+    .insert({ is_active: false, ...values, organization_id: orgId })
+    .select(HUNT_COLUMNS)
+    .single()
+
+  if (error) {
+    if (error.code === '23505') throw new Error(`Validation failed: hunt ${values.id} already exists`)
+    throw new Error(`Supabase hunt insert failed: ${error.message}`)
+  }
+
+  await setOrderingStrategy(supabase, orgId, values.id, orderingStrategy)
+  return toHunt(data, orderingStrategy)
+}
+
+/**
+ * Edit a hunt's name, schedule, active flag or ordering strategy
+ * @returns {Promise<Object|null>} Updated hunt, or null when it doesn't exist
+ */
+async function updateHunt(supabase, { orgId, huntId, input }) {
+  const { values, orderingStrategy } = validateHuntInput(input, { partial: true })
+
+  const query = Object.keys(values).length > 0
+    ? supabase.from('hunts').update(values).eq('organization_id', orgId).eq('id', huntId).select(HUNT_COLUMNS)
+    : supabase.from('hunts').select(HUNT_COLUMNS).eq('organization_id', orgId).eq('id', huntId)
+
+  const { data, error } = await query.maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase hunt update failed: ${error.message}`)
+  }
+  if (!data) return null
+
+  if (orderingStrategy) {
+    await setOrderingStrategy(supabase, orgId, huntId, orderingStrategy)
+  }
+
+  invalidateHuntCaches(orgId, huntId)
+  const strategies = await getOrderingStrategies(supabase, orgId)
+  return toHunt(data, strategies.get(huntId) || 'fixed')
+}
+
+async function getHuntConfigurations(supabase, orgId, huntId) {
+  const { data, error } = await supabase
+    .from('hunt_configurations')
+    .select(`stop_id, default_order, is_active, hunt_stops (${STOP_COLUMNS})`)
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .order('default_order', { ascending: true })
+
+  if (error) {
+    throw new Error(`Supabase hunt configuration query failed: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * Every stop attached to a hunt, including inactive ones, in default order
+ */
+async function listHuntStops(supabase, { orgId, huntId }) {
+  const rows = await getHuntConfigurations(supabase, orgId, huntId)
+  return rows.map(toAdminStop)
+}
+
+/**
+ * Create a stop and append it to the hunt
+ */
+async function createHuntStop(supabase, { orgId, huntId, input }) {
+  const values = validateStopInput(input)
+
+  const { error } = await supabase.from('hunt_stops').insert(values)
+  if (error) {
+    if (error.code === '23505') throw new Error(`Validation failed: stop ID ${values.stop_id} is already in use`)
+    throw new Error(`Supabase stop insert failed: ${error.message}`)
+  }
+
+  const rows = await getHuntConfigurations(supabase, orgId, huntId)
+  const nextOrder = rows.reduce((max, row) => Math.max(max, row.default_order || 0), 0) + 1
+
+  const { data, error: configError } = await supabase
+    .from('hunt_configurations')
+    .insert({
+      organization_id: orgId,
+      hunt_id: huntId,
+      stop_id: values.stop_id,
+      default_order: nextOrder,
+      is_active: true
+    })
+    .select(`stop_id, default_order, is_active, hunt_stops (${STOP_COLUMNS})`)
+    .single()
+
+  if (configError) {
+    throw new Error(`Supabase hunt configuration insert failed: ${configError.message}`)
+  }
+
+  invalidateHuntCaches(orgId, huntId)
+  return toAdminStop(data)
+}
+
+/**
+ * Edit a stop's content and/or its active flag in this hunt
+ * Content is shared by every hunt that uses the same stop ID.
+ * @returns {Promise<Object|null>} Updated stop, or null when it isn't part of the hunt
+ */
+async function updateHuntStop(supabase, { orgId, huntId, stopId, input }) {
+  const { isActive, ...content } = input || {}
+  const values = validateStopInput(content, { partial: true })
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    throw new Error('Validation failed: isActive must be a boolean')
+  }
+
+  const rows = await getHuntConfigurations(supabase, orgId, huntId)
+  if (!rows.some(row => row.stop_id === stopId)) return null
+
+  if (Object.keys(values).length > 0) {
+    const { error } = await supabase.from('hunt_stops').update(values).eq('stop_id', stopId)
+    if (error) {
+      throw new Error(`Supabase stop update failed: ${error.message}`)
+    }
+  }
+
+  if (isActive !== undefined) {
+    const { error } = await supabase
+      .from('hunt_configurations')
+      .update({ is_active: isActive })
+      .eq('organization_id', orgId)
+      .eq('hunt_id', huntId)
+      .eq('stop_id', stopId)
+    if (error) {
+      throw new Error(`Supabase hunt configuration update failed: ${error.message}`)
+    }
+  }
+
+  invalidateHuntCaches(orgId, huntId)
+  const updated = await getHuntConfigurations(supabase, orgId, huntId)
+  return toAdminStop(updated.find(row => row.stop_id === stopId))
+}
+
+/**
+ * Set the hunt's default stop order
+ * @param {string[]} stopIds - Every stop of the hunt (active or not), first to last
+ * @returns {Promise<Object[]>} Stops in their new order
+ */
+async function reorderHuntStops(supabase, { orgId, huntId, stopIds }) {
+  const rows = await getHuntConfigurations(supabase, orgId, huntId)
+  const configured = new Set(rows.map(row => row.stop_id))
+
+  if (
+    !Array.isArray(stopIds) ||
+    stopIds.length !== configured.size ||
+    new Set(stopIds).size !== stopIds.length ||
+    !stopIds.every(stopId => configured.has(stopId))
+  ) {
+    throw new Error('Validation failed: stopIds must list every stop of the hunt exactly once')
+  }
+
+  const results = await Promise.all(stopIds.map((stopId, index) =>
+    supabase
+      .from('hunt_configurations')
+      .update({ default_order: index + 1 })
+      .eq('organization_id', orgId)
+      .eq('hunt_id', huntId)
+      .eq('stop_id', stopId)
+  ))
+
+  const failed = results.find(result => result.error)
+  if (failed) {
+    throw new Error(`Supabase stop reorder failed: ${failed.error.message}`)
+  }
+
+  invalidateHuntCaches(orgId, huntId)
+  return listHuntStops(supabase, { orgId, huntId })
+}
+
+/**
+ * What a team that hasn't started sees in ActiveView
+ * Same locations and sponsors as /api/consolidated/active, with unlock rules
+ * and sequential locks applied for empty progress.
+ */
+async function getHuntPreview(supabase, { orgId, huntId }) {
+  const { data: hunt } = await supabase
+    .from('hunts')
+    .select('photo_mode')
+    .eq('organization_id', orgId)
+    .eq('id', huntId)
+    .maybeSingle()
+
+  const [huntLocations, sponsors] = await Promise.all([
+    getHuntLocations(supabase, orgId, huntId),
+    getSponsors(supabase, orgId, huntId)
+  ])
+
+  return {
+    orgId,
+    huntId,
+    photoMode: hunt?.photo_mode || 'upload',
+    sponsors,
+    locations: {
+      ...huntLocations,
+      locations: await lockStopsForTeam(supabase, orgId, huntId, null, huntLocations?.locations || [])
+    }
+  }
+}
+
+module.exports = {
+  validateHuntInput,
+  validateStopInput,
+  toAdminStop,
+  invalidateHuntCaches,
+  listHunts,
+  createHunt,
+  updateHunt,
+  listHuntStops,
+  createHuntStop,
+  updateHuntStop,
+  reorderHuntStops,
+  getHuntPreview
+}
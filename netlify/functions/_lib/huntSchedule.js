@@ -0,0 +1,178 @@
+/**
+ * HuntSchedule - Hunt-level start/end windows
+ *
+ * A hunt may define `starts_at`, `ends_at` and `grace_period_minutes` on the
+ * hunts table. Writes (photo uploads, progress updates) are only accepted from
+ * starts_at until ends_at + grace period. Hunts without these columns set are
+ * unscheduled and always open.
+ *
+ * Statuses:
+ *   unscheduled - no window configured
+ *   upcoming    - before starts_at
+ *   active      - between starts_at and ends_at
+ *   grace       - after ends_at, still accepting submissions
+ *   ended       - submissions closed
+ */
+
+const MINUTE_MS = 60 * 1000
+
+const SCHEDULE_ERROR_CODES = {
+  upcoming: 'HUNT_NOT_STARTED',
+  ended: 'HUNT_ENDED'
+}
+
+function toDate(value) {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Normalize a hunts row into a schedule
+ * @param {Object|null} hunt - Row with starts_at, ends_at, grace_period_minutes
+ * @returns {Object} { startsAt, endsAt, gracePeriodMinutes, submissionsCloseAt } (ISO strings or null)
+ */
+function normalizeHuntSchedule(hunt) {
+  const startsAt = toDate(hunt?.starts_at)
+  const endsAt = toDate(hunt?.ends_at)
+  const grace = Number(hunt?.grace_period_minutes)
+  const gracePeriodMinutes = Number.isFinite(grace) && grace > 0 ? Math.floor(grace) : 0
+  const submissionsCloseAt = endsAt ? new Date(endsAt.getTime() + gracePeriodMinutes * MINUTE_MS) : null
+
+  return {
+    startsAt: startsAt ? startsAt.toISOString() : null,
+    endsAt: endsAt ? endsAt.toISOString() : null,
+    gracePeriodMinutes,
+    submissionsCloseAt: submissionsCloseAt ? submissionsCloseAt.toISOString() : null
+  }
+}
+
+/**
+ * Derive the schedule status at a point in time
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} [now] - Defaults to current time
+ * @returns {string} unscheduled | upcoming | active | grace | ended
+ */
+function getScheduleStatus(schedule, now = new Date()) {
+  if (!schedule || (!schedule.startsAt && !schedule.endsAt)) {
+    return 'unscheduled'
+  }
+
+  const time = now.getTime()
+
+  if (schedule.startsAt && time < new Date(schedule.startsAt).getTime()) {
+    return 'upcoming'
+  }
+
+  if (schedule.endsAt && time >= new Date(schedule.endsAt).getTime()) {
+    return time < new Date(schedule.submissionsCloseAt).getTime() ? 'grace' : 'ended'
+  }
+
+  return 'active'
+}
+
+/**
+ * Whether writes are accepted for a status
+ * @param {string} status - Schedule status
+ * @returns {boolean}
+ */
+function isAcceptingSubmissions(status) {
+  return status !== 'upcoming' && status !== 'ended'
+}
+
+/**
+ * Client-facing schedule payload (login-initialize `hunt.schedule`)
+ * serverTime lets the client correct for device clock skew in countdowns.
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} [now] - Defaults to current time
+ * @returns {Object}
+ */
+function describeSchedule(schedule, now = new Date()) {
+  const status = getScheduleStatus(schedule, now)
+  return {
+    ...schedule,
+    status,
+    acceptingSubmissions: isAcceptingSubmissions(status),
+    serverTime: now.toISOString()
+  }
+}
+
+/**
+ * Load the schedule for a hunt
+ * Falls back to an unscheduled window if the hunt or columns are missing.
+ * @param {Object} supabase - Supabase client
+ * @param {string} orgId - Organization ID
+ * @param {string} huntId - Hunt ID
+ * @returns {Promise<Object>} Normalized schedule
+ */
+async function getHuntSchedule(supabase, orgId, huntId) {
+  try {
+    const { data, error } = await supabase
+      .from('hunts')
+      .select('starts_at, ends_at, grace_period_minutes')
+      .eq('organization_id', orgId)
+      .eq('id', huntId)
+      .single()
+
+    if (error) {
+      console.warn('[huntSchedule] Could not load hunt schedule:', error.message)
+      return normalizeHuntSchedule(null)
+    }
+
+    return normalizeHuntSchedule(data)
+  } catch (error) {
+    console.warn('[huntSchedule] Could not load hunt schedule:', error.message)
+    return normalizeHuntSchedule(null)
+  }
+}
+
+/**
+ * Check whether a hunt currently accepts writes
+ * @param {Object} supabase - Supabase client
+ * @param {string} orgId - Organization ID
+ * @param {string} huntId - Hunt ID
+ * @param {Date} [now] - Defaults to current time
+ * @returns {Promise<Object>} { open, status, schedule, code?, error? }
+ */
+async function checkHuntWindow(supabase, orgId, huntId, now = new Date()) {
+  const schedule = await getHuntSchedule(supabase, orgId, huntId)
+  const status = getScheduleStatus(schedule, now)
+
+  if (isAcceptingSubmissions(status)) {
+    return { open: true, status, schedule }
+  }
+
+  return {
+    open: false,
+    status,
+    schedule,
+    code: SCHEDULE_ERROR_CODES[status],
+    error: status === 'upcoming' ? 'Hunt has not started yet' : 'Hunt has ended'
+  }
+}
+
+/**
+ * JSON body for a rejected write
+ * @param {Object} check - Result of checkHuntWindow with open === false
+ * @param {string} [requestId] - Optional correlation ID
+ * @returns {Object}
+ */
+function huntClosedBody(check, requestId) {
+  return {
+    error: check.error,
+    code: check.code,
+    schedule: describeSchedule(check.schedule),
+    ...(requestId && { requestId })
+  }
+}
+
+module.exports = {
+  SCHEDULE_ERROR_CODES,
+  normalizeHuntSchedule,
+  getScheduleStatus,
+  isAcceptingSubmissions,
+  describeSchedule,
+  getHuntSchedule,
+  checkHuntWindow,
+  huntClosedBody
+}
@@ -0,0 +1,282 @@
+/**
+ * JoinLinks - Signed team join links (and the QR codes printed on team cards)
+ *
+ * A link is <app url>/?join=<token>. The token is a JWT (LockUtils, sub
+ * 'team-join') naming a team_join_links row; it never contains the team code.
+ * login-initialize.js redeems it in place of a typed team code, and only
+ * uses it up once that code has verified. Each link belongs to the team's
+ * code at the time it was issued, so rotating or revoking the code retires
+ * its links; organizers can also revoke a single link. max_uses limits the
+ * devices that can join through one link (1 = single use).
+ * Requires scripts/sql/team-join-links.sql.
+ */
+
+const { LockUtils } = require('./lockUtils')
+const { findTeam, getCodeStatus } = require('./teamCodes')
+const { verifyTeamClaims, isSessionActive } = require('./teamAuth')
+
+const INVALID_LINK = 'This join link is invalid or has expired'
+const USED_LINK = 'This join link has already been used'
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const LINK_COLUMNS = 'team_code, max_uses, usage_count, expires_at, revoked_at'
+
+/**
+ * Validate join link options
+ * @param {Object} input - { singleUse?, maxUses?, expiresAt? }
+ * @returns {{ maxUses: number|null, expiresAt: string|null }}
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validateJoinLinkInput(input = {}) {
+  let maxUses = input.maxUses === undefined ? null : input.maxUses
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    throw new Error('Validation failed: maxUses must be a positive integer or null')
+  }
+  if (input.singleUse === true) {
+    if (maxUses !== null && maxUses !== 1) {
+      throw new Error('Validation failed: send singleUse or maxUses, not both')
+    }
+    maxUses = 1
+  }
+
+  let expiresAt = null
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const date = new Date(input.expiresAt)
+    if (typeof input.expiresAt !== 'string' || Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+      throw new Error('Validation failed: expiresAt must be a future ISO timestamp')
+    }
+    expiresAt = date.toISOString()
+  }
+
+  return { maxUses, expiresAt }
+}
+
+/**
+ * Parse the app URL join links point at
+ * @throws {Error} Validation error when appUrl isn't an http(s) URL
+ */
+function parseAppUrl(appUrl) {
+  let url = null
+  try {
+    url = new URL(appUrl)
+  } catch {
+    // Reported below
+  }
+  if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) {
+    throw new Error('Validation failed: appUrl must be the http(s) URL of the app')
+  }
+  return url
+}
+
+/**
+ * Build the URL a team opens (or scans) to join
+ */
+function buildJoinUrl(appUrl, token) {
+  const url = parseAppUrl(appUrl)
+  url.search = ''
+  url.hash = ''
+  url.searchParams.set('join', token)
+  return url.toString()
+}
+
+/**
+ * Issue a join link for a team's active code
+ * The link expires with the code unless an earlier expiresAt is given.
+ * @param {Object} options
+ * @param {string} options.appUrl - Where the app is served (e.g. https://hunt.example.com)
+ * @param {Object} options.input - { singleUse?, maxUses?, expiresAt? }
+ * @returns {Promise<Object|null>} { id, teamId, teamName, url, maxUses, usageCount, expiresAt }, or null when the team isn't in the hunt
+ */
+async function createJoinLink(supabase, { orgId, huntId, teamId, appUrl, input = {} }) {
+  const { maxUses, expiresAt: requestedExpiry } = validateJoinLinkInput(input)
+  parseAppUrl(appUrl)
+
+  const team = await findTeam(supabase, { orgId, huntId, teamId })
+  if (!team) return null
+
+  const { data: codes, error: codeError } = await supabase
+    .from('team_codes')
+    .select('code, is_active, expires_at, usage_count, max_uses, revoked_at')
+    .eq('team_id', team.id)
+    .eq('is_active', true)
+    .order('created_at', { ascending: false })
+    .limit(1)
+
+  if (codeError) {
+    throw new Error(`Supabase team code query failed: ${codeError.message}`)
+  }
+
+  const code = (codes || [])[0]
+  if (!code || getCodeStatus(code) !== 'active') {
+    throw new Error(`Validation failed: ${team.team_id} has no usable code; rotate it first`)
+  }
+
+  const expiresAt = [requestedExpiry, code.expires_at]
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a) - Date.parse(b))[0] || null
+
+  const { data: link, error } = await supabase
+    .from('team_join_links')
+    .insert({
+      team_code: code.code,
+      organization_id: orgId,
+      hunt_id: huntId,
+      max_uses: maxUses,
+      expires_at: expiresAt
+    })
+    .select('id, max_uses, usage_count, expires_at')
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase join link insert failed: ${error.message}`)
+  }
+
+  const { token, expiresAt: tokenExpiresAt } = LockUtils.generateJoinToken(
+    { linkId: link.id, teamId: team.team_id, orgId, huntId },
+    expiresAt ? Math.floor(Date.parse(expiresAt) / 1000) : undefined
+  )
+
+  return {
+    id: link.id,
+    teamId: team.team_id,
+    teamName: team.display_name,
+    url: buildJoinUrl(appUrl, token),
+    maxUses: link.max_uses ?? null,
+    usageCount: link.usage_count || 0,
+    expiresAt: new Date(tokenExpiresAt * 1000).toISOString()
+  }
+}
+
+/**
+ * Why a team_join_links row can't be used
+ * @returns {string|null} Error for the user, or null when the link is usable
+ */
+function getLinkError(row) {
+  if (!row || row.revoked_at || (row.expires_at && Date.parse(row.expires_at) <= Date.now())) return INVALID_LINK
+  if (row.max_uses != null && row.usage_count >= row.max_uses) return USED_LINK
+  return null
+}
+
+/**
+ * Redeem a join link token for the team code it stands in for
+ * The link is only checked here; once the code has verified, the caller uses
+ * it up with consumeJoinLink, so a failed join never spends a single-use link.
+ * A device whose lock token is already for the link's team doesn't use up
+ * the link (e.g. someone scans the card again), as long as the token's session
+ * passes the same check as requireTeamLock.
+ * @param {Object} options
+ * @param {string} options.joinToken - The ?join= token
+ * @param {string} [options.lockToken] - The device's current lock token, if any
+ * @returns {Promise<Object>} { success, orgId, huntId } plus { code, linkId } to join,
+ *   { currentTeam } when already joined, or { error } on failure
+ */
+async function redeemJoinToken(supabase, { joinToken, lockToken = null }) {
+  const link = LockUtils.verifyJoinToken(joinToken)
+  if (!link) return { success: false, error: INVALID_LINK }
+
+  const scope = { orgId: link.orgId, huntId: link.huntId }
+
+  const lock = verifyTeamClaims(lockToken)
+  if (lock && lock.teamId === link.teamId && lock.orgId === link.orgId && lock.huntId === link.huntId &&
+      (!lock.sessionId || await isSessionActive(supabase, lock.sessionId))) {
+    const team = await findTeam(supabase, { orgId: link.orgId, huntId: link.huntId, teamId: link.teamId })
+    if (team) {
+      return { success: true, ...scope, currentTeam: { teamId: team.team_id, teamName: team.display_name } }
+    }
+  }
+
+  const { data: row, error } = await supabase
+    .from('team_join_links')
+    .select(LINK_COLUMNS)
+    .eq('id', link.linkId)
+    .maybeSingle()
+
+  if (error) {
+    console.error('[joinLinks] Failed to look up join link:', error.message)
+    return { success: false, ...scope, error: 'Verification failed' }
+  }
+
+  const linkError = getLinkError(row)
+  if (linkError) return { success: false, ...scope, error: linkError }
+
+  return { success: true, ...scope, code: row.team_code, linkId: link.linkId }
+}
+
+/**
+ * Use up one join of a redeemed link, after its code verified
+ * Atomic, so concurrent scans of a single-use link can't both join.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function consumeJoinLink(supabase, linkId) {
+  const { data: code, error } = await supabase.rpc('consume_team_join_link', { p_id: linkId })
+  if (error) {
+    console.error('[joinLinks] Failed to use join link:', error.message)
+    return { success: false, error: 'Verification failed' }
+  }
+
+  if (!code) {
+    // Used up, revoked or expired since it was redeemed
+    const { data: row } = await supabase
+      .from('team_join_links')
+      .select(LINK_COLUMNS)
+      .eq('id', linkId)
+      .maybeSingle()
+
+    return { success: false, error: getLinkError(row) || INVALID_LINK }
+  }
+
+  return { success: true }
+}
+
+/**
+ * Revoke one of a team's join links (e.g. a card QR code that leaked)
+ * The team code and devices that already joined are untouched.
+ * @param {Object} options
+ * @param {string} options.linkId - team_join_links.id
+ * @returns {Promise<Object|null>} { teamId, linkId, revokedAt }, or null when the team or
+ *   an unrevoked link of the team isn't found
+ * @throws {Error} Validation error when linkId isn't a link id
+ */
+async function revokeJoinLink(supabase, { orgId, huntId, teamId, linkId }) {
+  if (typeof linkId !== 'string' || !UUID_PATTERN.test(linkId)) {
+    throw new Error('Validation failed: linkId must be a join link id')
+  }
+
+  const team = await findTeam(supabase, { orgId, huntId, teamId })
+  if (!team) return null
+
+  const { data: codes, error: codeError } = await supabase
+    .from('team_codes')
+    .select('code')
+    .eq('team_id', team.id)
+
+  if (codeError) {
+    throw new Error(`Supabase team code query failed: ${codeError.message}`)
+  }
+  if (!codes || codes.length === 0) return null
+
+  const { data, error } = await supabase
+    .from('team_join_links')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', linkId)
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .in('team_code', codes.map(row => row.code))
+    .is('revoked_at', null)
+    .select('id, revoked_at')
+
+  if (error) {
+    throw new Error(`Supabase join link revoke failed: ${error.message}`)
+  }
+
+  const revoked = (data || [])[0]
+  return revoked ? { teamId: team.team_id, linkId: revoked.id, revokedAt: revoked.revoked_at } : null
+}
+
+module.exports = {
+  validateJoinLinkInput,
+  buildJoinUrl,
+  createJoinLink,
+  redeemJoinToken,
+  consumeJoinLink,
+  revokeJoinLink
+}
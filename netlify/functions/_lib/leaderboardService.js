@@ -0,0 +1,142 @@
+/**
+ * LeaderboardService - Builds the ranked leaderboard for a hunt
+ *
+ * Shared by the leaderboard GET endpoint and the live leaderboard stream so
+ * both always return the same payload shape.
+ *
+ * Branching hunts (see unlockRules.js): completion counts only required
+ * stops the team can still reach, bonus stops are reported separately and
+ * break ties, and optional stops never affect rankings.
+ */
+
+const { rankTeams, enrichTeamWithTimeData } = require('./rankingService')
+const { getHuntScoringConfig, applyScore } = require('./scoringService')
+const { getHuntLocations } = require('./locationsHelper')
+const { getHuntStopConfigs, resolveStopAvailability } = require('./unlockRules')
+
+/**
+ * Completion counts for one team
+ * @param {Array} stopConfigs - From getHuntStopConfigs (may be empty)
+ * @param {Array} progressRecords - hunt_progress rows for the team
+ * @param {number} locationCount - Fallback total when no configs exist
+ * @returns {Object} { completedStops, totalStops, bonusStops, rankedRecords }
+ *   rankedRecords excludes optional stops so they never score or time
+ */
+function countTeamStops(stopConfigs, progressRecords, locationCount) {
+  if (stopConfigs.length === 0) {
+    return {
+      completedStops: progressRecords.filter(p => p.done).length,
+      totalStops: locationCount,
+      bonusStops: 0,
+      rankedRecords: progressRecords
+    }
+  }
+
+  const completedIds = new Set(progressRecords.filter(p => p.done).map(p => p.location_id))
+  const availability = resolveStopAvailability(stopConfigs, completedIds)
+  const stopTypeOf = (stopId) => availability.get(stopId)?.stopType || 'required'
+
+  let totalStops = 0
+  for (const { stopType, reachable } of availability.values()) {
+    if (stopType === 'required' && reachable) totalStops++
+  }
+
+  const completedOfType = (type) => [...completedIds].filter(id => stopTypeOf(id) === type).length
+
+  return {
+    completedStops: completedOfType('required'),
+    totalStops,
+    bonusStops: completedOfType('bonus'),
+    rankedRecords: progressRecords.filter(p => stopTypeOf(p.location_id) !== 'optional')
+  }
+}
+
+/**
+ * Build the ranked leaderboard for an org/hunt
+ * @param {Object} supabase - Supabase client
+ * @param {string} orgId - Organization ID
+ * @param {string} huntId - Hunt ID
+ * @returns {Promise<Object>} { huntId, orgId, teams, scoringModel, lastUpdated }
+ */
+async function buildLeaderboard(supabase, orgId, huntId) {
+  // Get all teams for this org/hunt
+  const { data: teamsData, error: teamsError } = await supabase
+    .from('teams')
+    .select('id, team_id')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+
+  if (teamsError) {
+    console.error('[leaderboard] Error fetching teams:', teamsError)
+    throw teamsError
+  }
+
+  if (!teamsData || teamsData.length === 0) {
+    return {
+      huntId,
+      orgId,
+      teams: [],
+      lastUpdated: new Date().toISOString()
+    }
+  }
+
+  // Get hunt locations to determine total stops
+  const huntLocations = await getHuntLocations(supabase, orgId, huntId)
+  const locationCount = huntLocations?.locations?.length || 0
+
+  // Stop types and unlock rules (empty for hunts without configurations)
+  const stopConfigs = await getHuntStopConfigs(supabase, orgId, huntId).catch(error => {
+    console.warn('[leaderboard] Could not load stop rules:', error.message)
+    return []
+  })
+
+  // Per-hunt scoring model (defaults to completion-based ranking)
+  const scoringConfig = await getHuntScoringConfig(supabase, orgId, huntId)
+
+  // Build leaderboard for each team
+  const teams = []
+
+  for (const teamData of teamsData) {
+    // Get progress for this team from hunt_progress table
+    const { data: progressRecords, error: progressError } = await supabase
+      .from('hunt_progress')
+      .select('location_id, done, completed_at, revealed_hints, notes')
+      .eq('team_id', teamData.id)
+
+    if (progressError) {
+      console.error(`[leaderboard] Error fetching progress for team ${teamData.team_id}:`, progressError)
+      continue
+    }
+
+    // Count completed stops
+    const { completedStops, totalStops, bonusStops, rankedRecords } =
+      countTeamStops(stopConfigs, progressRecords || [], locationCount)
+    const percentComplete = totalStops > 0 ? Math.round((completedStops / totalStops) * 100) : 0
+
+    // Build base team object
+    const team = {
+      teamId: teamData.team_id,
+      completedStops,
+      totalStops,
+      bonusStops,
+      percentComplete
+    }
+
+    // Enrich with time data using ranking service
+    const enrichedTeam = enrichTeamWithTimeData(team, rankedRecords)
+    teams.push(applyScore(enrichedTeam, rankedRecords, scoringConfig))
+  }
+
+  return {
+    huntId,
+    orgId,
+    teams: rankTeams(teams, scoringConfig),
+    scoringModel: scoringConfig.model,
+    lastUpdated: new Date().toISOString()
+  }
+}
+
+module.exports = {
+  buildLeaderboard,
+  countTeamStops
+}
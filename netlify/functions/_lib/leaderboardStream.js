@@ -0,0 +1,255 @@
+/**
+ * Live leaderboard stream (Server-Sent Events)
+ *
+ * Pushes the ranked leaderboard to the client only when it changes.
+ * Transport-agnostic: callers supply a `write` callback, so the same loop
+ * backs the Netlify streaming function and the Express dev route.
+ *
+ * Connections don't each rebuild the board (one query per team):
+ *   - all connections to a hunt in one process share a single poller
+ *   - pollers in different function instances share a snapshot in
+ *     key_value_store, rebuilt when a progress write marks it stale
+ *     (markLeaderboardStale) or after SNAPSHOT_MAX_AGE_MS
+ * A poll is therefore one key_value_store read until something changes.
+ *
+ * Events:
+ *   leaderboard  - full ranked payload (same shape as GET /api/leaderboard)
+ *   rank-change  - { changes, lastUpdated } deltas from rankingService
+ */
+
+const { buildLeaderboard } = require('./leaderboardService')
+const { computeRankChanges } = require('./rankingService')
+
+const DEFAULT_POLL_INTERVAL_MS = 5000
+// Rebuild at least this often, for writes that don't mark the snapshot stale
+const SNAPSHOT_MAX_AGE_MS = 60000
+// Tells EventSource how long to wait before reconnecting after the stream ends
+const DEFAULT_RETRY_MS = 3000
+
+// One poller per org/hunt in this process: key -> { listeners, latest, timer, polling }
+const hubs = new Map()
+
+const snapshotKey = (orgId, huntId) => `leaderboard-snapshot/${orgId}/${huntId}`
+
+/**
+ * Format a single SSE frame
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ * @param {string} [id] - Optional event id
+ * @returns {string} SSE frame terminated by a blank line
+ */
+function formatSseEvent(event, data, id) {
+  let frame = ''
+  if (id) frame += `id: ${id}\n`
+  frame += `event: ${event}\n`
+  frame += `data: ${JSON.stringify(data)}\n\n`
+  return frame
+}
+
+// Fields that affect what the leaderboard shows; lastUpdated is excluded so
+// an unchanged board is not re-sent on every poll
+function leaderboardSignature(leaderboard) {
+  return JSON.stringify(
+    (leaderboard.teams || []).map(team => [
+      team.teamId,
+      team.rank,
+      team.completedStops,
+      team.totalStops,
+      team.score ?? null,
+      team.lastCompletedAt ?? null
+    ])
+  )
+}
+
+/**
+ * Read the shared leaderboard snapshot, rebuilding it when missing or too old
+ * @returns {Promise<Object>} Leaderboard (same shape as buildLeaderboard)
+ */
+async function loadLeaderboard(supabase, orgId, huntId, maxAgeMs = SNAPSHOT_MAX_AGE_MS) {
+  const key = snapshotKey(orgId, huntId)
+
+  const { data, error } = await supabase
+    .from('key_value_store')
+    .select('value')
+    .eq('key', key)
+    .maybeSingle()
+
+  if (error) {
+    console.warn('[leaderboard-stream] Snapshot read failed:', error.message)
+  }
+  const snapshot = data && data.value
+  if (snapshot && snapshot.leaderboard && Date.now() - Date.parse(snapshot.builtAt) < maxAgeMs) {
+    return snapshot.leaderboard
+  }
+
+  const leaderboard = await buildLeaderboard(supabase, orgId, huntId)
+  const { error: writeError } = await supabase
+    .from('key_value_store')
+    .upsert({ key, value: { leaderboard, builtAt: new Date().toISOString() } })
+
+  if (writeError) {
+    console.warn('[leaderboard-stream] Snapshot write failed:', writeError.message)
+  }
+  return leaderboard
+}
+
+async function pollHub(hub) {
+  if (hub.polling) return
+  hub.polling = true
+  clearTimeout(hub.timer)
+
+  let leaderboard = null
+  let failure = null
+  try {
+    leaderboard = await loadLeaderboard(hub.supabase, hub.orgId, hub.huntId, hub.maxAgeMs)
+    hub.latest = leaderboard
+  } catch (error) {
+    console.error('[leaderboard-stream] Error building leaderboard:', error)
+    failure = error
+  } finally {
+    hub.polling = false
+  }
+
+  for (const listener of hub.listeners) {
+    listener(leaderboard, failure)
+  }
+
+  if (hub.listeners.size > 0) {
+    hub.timer = setTimeout(() => pollHub(hub), hub.pollIntervalMs)
+  } else if (hubs.get(hub.key) === hub) {
+    hubs.delete(hub.key)
+  }
+}
+
+/**
+ * Receive the hunt's leaderboard from the process-wide poller
+ * The listener gets (leaderboard, null) after every poll, or (null, error).
+ * @returns {Function} Unsubscribe
+ */
+function subscribeLeaderboard({ supabase, orgId, huntId, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, maxAgeMs = SNAPSHOT_MAX_AGE_MS }, listener) {
+  const key = `${orgId}/${huntId}`
+  let hub = hubs.get(key)
+  if (!hub) {
+    hub = { key, supabase, orgId, huntId, pollIntervalMs, maxAgeMs, listeners: new Set(), latest: null, timer: null, polling: false }
+    hubs.set(key, hub)
+  }
+
+  hub.listeners.add(listener)
+  if (hub.latest) {
+    listener(hub.latest, null)
+  } else if (!hub.polling) {
+    pollHub(hub)
+  }
+
+  return () => {
+    hub.listeners.delete(listener)
+    if (hub.listeners.size === 0 && !hub.polling) {
+      clearTimeout(hub.timer)
+      if (hubs.get(key) === hub) hubs.delete(key)
+    }
+  }
+}
+
+/**
+ * Mark a hunt's leaderboard as changed after a progress write (best-effort)
+ * Streams in other instances rebuild on their next poll; pollers in this
+ * process rebuild right away.
+ */
+async function markLeaderboardStale(supabase, orgId, huntId) {
+  try {
+    const { error } = await supabase
+      .from('key_value_store')
+      .delete()
+      .eq('key', snapshotKey(orgId, huntId))
+
+    if (error) {
+      console.warn('[leaderboard-stream] Failed to mark leaderboard stale:', error.message)
+    }
+  } catch (error) {
+    console.warn('[leaderboard-stream] Failed to mark leaderboard stale:', error.message)
+  }
+
+  const hub = hubs.get(`${orgId}/${huntId}`)
+  if (hub && !hub.polling) pollHub(hub)
+}
+
+/**
+ * Stream leaderboard updates until aborted or maxDurationMs elapses
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client
+ * @param {string} options.orgId - Organization ID
+ * @param {string} options.huntId - Hunt ID
+ * @param {Function} options.write - Receives each SSE frame as a string
+ * @param {AbortSignal} [options.signal] - Stops the stream when aborted
+ * @param {number} [options.pollIntervalMs] - Delay between snapshot reads (and keep-alives)
+ * @param {number} [options.maxDurationMs] - Close after this long (serverless time limits)
+ * @param {number} [options.retryMs] - Reconnect delay sent to EventSource
+ */
+function streamLeaderboard({
+  supabase,
+  orgId,
+  huntId,
+  write,
+  signal,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  maxDurationMs = Infinity,
+  retryMs = DEFAULT_RETRY_MS
+}) {
+  let previous = null
+  let previousSignature = null
+
+  write(`retry: ${retryMs}\n\n`)
+
+  return new Promise(resolve => {
+    let closed = false
+    let unsubscribe = null
+    let deadline = null
+
+    // Comment frame keeps proxies from closing an idle connection
+    const keepAlive = setInterval(() => write(': keep-alive\n\n'), pollIntervalMs)
+
+    const close = () => {
+      if (closed) return
+      closed = true
+      clearInterval(keepAlive)
+      clearTimeout(deadline)
+      if (unsubscribe) unsubscribe()
+      resolve()
+    }
+
+    if (signal?.aborted) return close()
+    signal?.addEventListener?.('abort', close, { once: true })
+    if (Number.isFinite(maxDurationMs)) deadline = setTimeout(close, maxDurationMs)
+
+    unsubscribe = subscribeLeaderboard({ supabase, orgId, huntId, pollIntervalMs }, (leaderboard, error) => {
+      if (closed) return
+      if (error) {
+        write(formatSseEvent('error', { message: 'Failed to fetch leaderboard' }))
+        return
+      }
+
+      const signature = leaderboardSignature(leaderboard)
+      if (signature === previousSignature) return
+
+      // Deltas only make sense against a board this client has already seen
+      if (previous) {
+        const changes = computeRankChanges(previous.teams, leaderboard.teams)
+        if (changes.length > 0) {
+          write(formatSseEvent('rank-change', { changes, lastUpdated: leaderboard.lastUpdated }))
+        }
+      }
+
+      write(formatSseEvent('leaderboard', leaderboard, leaderboard.lastUpdated))
+      previous = leaderboard
+      previousSignature = signature
+    })
+  })
+}
+
+module.exports = {
+  DEFAULT_POLL_INTERVAL_MS,
+  formatSseEvent,
+  loadLeaderboard,
+  markLeaderboardStale,
+  streamLeaderboard
+}
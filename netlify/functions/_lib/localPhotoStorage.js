@@ -0,0 +1,169 @@
+/**
+ * Local filesystem photo storage driver (PHOTO_STORAGE_DRIVER=local)
+ *
+ * Stores uploads under PHOTO_STORAGE_LOCAL_DIR (default .data/photo-storage)
+ * and serves them from PHOTO_STORAGE_PUBLIC_URL (default /media) through the
+ * media function / Express route. Meant for development and e2e runs without
+ * Cloudinary credentials: files are kept as uploaded, so transforms are no-ops.
+ *
+ * Each file gets a <file>.json sidecar with its tags and context.
+ *
+ * @ai-related-files: /netlify/functions/_lib/photoStorage.js, /netlify/functions/media.js, /src/server/mediaRoute.ts
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { sniffMediaFormat } = require('./stopMedia')
+
+const name = 'local'
+const missingConfigMessage = 'Local photo storage is not available. Set PHOTO_STORAGE_LOCAL_DIR to a writable directory.'
+
+function getLocalStorageDir(env = process.env) {
+  return path.resolve(env.PHOTO_STORAGE_LOCAL_DIR || path.join(process.cwd(), '.data', 'photo-storage'))
+}
+
+function getPublicBaseUrl(env = process.env) {
+  return (env.PHOTO_STORAGE_PUBLIC_URL || '/media').replace(/\/+$/, '')
+}
+
+function isConfigured() {
+  // The directory is created on first upload
+  return true
+}
+
+/**
+ * Validate a public id / request path and turn it into a relative file key
+ * @throws {Error} "Invalid path" for traversal, absolute or empty keys
+ */
+function toStorageKey(publicId) {
+  const segments = String(publicId || '').split('/').filter(Boolean)
+  const valid = segments.length > 0 && segments.every(segment =>
+    segment !== '.' && segment !== '..' && /^[A-Za-z0-9._:@-]+$/.test(segment)
+  )
+  if (!valid) {
+    throw new Error(`Invalid path: ${publicId}`)
+  }
+  return segments.join('/')
+}
+
+function filePathFor(key, env = process.env) {
+  return path.join(getLocalStorageDir(env), ...key.split('/'))
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.promises.access(filePath)
+    return true
+  } catch {
+    return false
+  }
+}
+
+async function upload(fileBuffer, options) {
+  const { format, contentType, resourceType } = sniffMediaFormat(fileBuffer, options.contentType)
+  const baseId = options.publicId || `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+  // Ids carry the extension so delivery URLs keep it (the client tells videos apart by it)
+  const publicId = toStorageKey(`${options.folder ? `${options.folder}/` : ''}${baseId}.${format}`)
+  const filePath = filePathFor(publicId)
+
+  const stored = {
+    publicId,
+    secureUrl: `${getPublicBaseUrl()}/${publicId}`,
+    resourceType,
+    format,
+    bytes: fileBuffer.length,
+    width: null,
+    height: null,
+    duration: null
+  }
+
+  if (options.overwrite === false && await fileExists(filePath)) {
+    return stored
+  }
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.promises.writeFile(filePath, fileBuffer)
+  await fs.promises.writeFile(`${filePath}.json`, JSON.stringify({
+    publicId,
+    contentType,
+    resourceType,
+    bytes: fileBuffer.length,
+    tags: options.tags || [],
+    context: options.context || {},
+    createdAt: new Date().toISOString()
+  }, null, 2))
+
+  return stored
+}
+
+async function verify(publicId) {
+  return fileExists(filePathFor(toStorageKey(publicId)))
+}
+
+async function deleteAsset(publicId) {
+  const filePath = filePathFor(toStorageKey(publicId))
+  await fs.promises.rm(filePath, { force: true })
+  await fs.promises.rm(`${filePath}.json`, { force: true })
+}
+
+function transformUrl(url) {
+  return url
+}
+
+function ownsUrl(url, env = process.env) {
+  return url.startsWith(`${getPublicBaseUrl(env)}/`)
+}
+
+/**
+ * Read a stored file for delivery
+ * @param {string} requestPath - Path below the public base URL, e.g. scavenger/entries/x.jpg
+ * @returns {Promise<{ buffer: Buffer, contentType: string } | null>} null when missing
+ * @throws {Error} "Invalid path" for traversal attempts
+ */
+async function readLocalMedia(requestPath, env = process.env) {
+  const key = toStorageKey(decodeURIComponent(requestPath))
+  // Sidecars hold upload context; never serve them
+  if (key.endsWith('.json')) return null
+
+  const filePath = filePathFor(key, env)
+  let buffer
+  try {
+    buffer = await fs.promises.readFile(filePath)
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') return null
+    throw error
+  }
+
+  let contentType = null
+  try {
+    contentType = JSON.parse(await fs.promises.readFile(`${filePath}.json`, 'utf8')).contentType
+  } catch {
+    // Sidecar missing; fall through to sniffing
+  }
+
+  return { buffer, contentType: contentType || sniffMediaFormat(buffer).contentType }
+}
+
+// Stored files are user content served from the app origin: never let one
+// (e.g. an SVG) run script or load other resources
+const MEDIA_SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox",
+  'X-Content-Type-Options': 'nosniff'
+}
+
+module.exports = {
+  name,
+  missingConfigMessage,
+  isConfigured,
+  upload,
+  verify,
+  delete: deleteAsset,
+  transformUrl,
+  ownsUrl,
+  getLocalStorageDir,
+  getPublicBaseUrl,
+  toStorageKey,
+  readLocalMedia,
+  MEDIA_SECURITY_HEADERS
+}
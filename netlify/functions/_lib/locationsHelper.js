@@ -4,9 +4,16 @@
  * NO HARDCODED DATA - ALL DATA MUST COME FROM DATABASE
  */
 
+const { lockStopsForTeam } = require('./stopOrdering');
+
 /**
  * Get locations for a specific organization and hunt from hunt_stops table
  * Uses the get_hunt_stops() function which handles ordering strategies
+ *
+ * With a teamId (teams.id UUID), stops are filtered for that team: unlock
+ * rules hide branching/bonus stops and sequential hunts lock (redact) required
+ * stops after the first incomplete one. Without one, every stop is returned
+ * in full (server-side/admin view).
  */
 async function getHuntLocations(supabase, orgId, huntId, teamId = null) {
   try {
@@ -81,6 +88,7 @@ async function getHuntLocations(supabase, orgId, huntId, teamId = null) {
             description: stop.description || '',
             address: stop.address || '',
             originalNumber: config.default_order || (index + 1),
+            mediaType: stop.media_type || 'photo',
             pre_populated_image_url: stop.pre_populated_image_url || null
           };
         })
@@ -88,7 +96,7 @@ async function getHuntLocations(supabase, orgId, huntId, teamId = null) {
 
       return {
         name: `${orgId} - ${huntId}`,
-        locations: locations
+        locations: teamId ? await lockStopsForTeam(supabase, orgId, huntId, teamId, locations) : locations
       };
     }
 
@@ -122,13 +130,16 @@ async function getHuntLocations(supabase, orgId, huntId, teamId = null) {
         address: stop.address || '',
         originalNumber: stop.step_order || (index + 1),
         isCompleted: stop.is_completed || false,
+        isLocked: stop.is_locked || false,
+        stopType: stop.stop_type || 'required',
+        mediaType: stop.media_type || 'photo',
         pre_populated_image_url: stop.pre_populated_image_url || null
       };
     }).filter(loc => loc !== null);
 
     return {
       name: `${orgId} - ${huntId}`,
-      locations: locations
+      locations: teamId ? await lockStopsForTeam(supabase, orgId, huntId, teamId, locations) : locations
     };
 
   } catch (error) {
@@ -1,28 +1,56 @@
 /**
  * Lock token utilities for team authentication
- * Provides JWT-based lock token generation and validation
+ * Provides JWT-based lock token generation and validation,
+ * plus organizer session tokens (sub: 'organizer') and team join link
+ * tokens (sub: 'team-join'). All three are signed with TEAM_LOCK_JWT_SECRET,
+ * which must be set outside local development and tests.
  */
 const jwt = require('jsonwebtoken')
 const crypto = require('crypto')
 
 class LockUtils {
+  /**
+   * Secret for every token
+   * Tokens grant a team's writes, organizer access or a team's code, so only
+   * local development (and tests) may fall back to the default secret.
+   * @throws {Error} When TEAM_LOCK_JWT_SECRET is unset anywhere else
+   */
   static get JWT_SECRET() {
-    return process.env.TEAM_LOCK_JWT_SECRET || 'default-dev-secret'
+    const env = process.env
+    const local = env.NODE_ENV === 'development' || env.NODE_ENV === 'test' || env.NETLIFY_DEV === 'true'
+    if (!env.TEAM_LOCK_JWT_SECRET && !local) {
+      throw new Error('TEAM_LOCK_JWT_SECRET is not set')
+    }
+    return env.TEAM_LOCK_JWT_SECRET || 'default-dev-secret'
   }
 
   static get TTL_SECONDS() {
     return parseInt(process.env.TEAM_LOCK_TTL_SECONDS || '86400') // 24h
   }
 
+  static get ORGANIZER_TTL_SECONDS() {
+    return parseInt(process.env.ORGANIZER_TOKEN_TTL_SECONDS || '43200') // 12h
+  }
+
+  static get JOIN_LINK_TTL_SECONDS() {
+    return parseInt(process.env.TEAM_JOIN_LINK_TTL_SECONDS || '2592000') // 30d
+  }
+
   /**
    * Generate a secure lock token for a team
+   * The org and hunt claims scope the token's writes; sessionId is the
+   * sessions audit row, checked on each write so revoked codes stop working
+   * (see teamAuth.js)
    */
-  static generateLockToken(teamId) {
+  static generateLockToken(teamId, { orgId, huntId, sessionId } = {}) {
     const now = Math.floor(Date.now() / 1000)
     const expiresAt = now + this.TTL_SECONDS
 
     const payload = {
       teamId,
+      orgId,
+      huntId,
+      ...(sessionId && { sid: sessionId }),
       exp: expiresAt,
       iat: now,
       sub: 'team-lock'
@@ -47,6 +75,9 @@ class LockUtils {
 
       return {
         teamId: decoded.teamId,
+        orgId: decoded.orgId || null,
+        huntId: decoded.huntId || null,
+        sessionId: decoded.sid || null,
         exp: decoded.exp
       }
     } catch (error) {
@@ -55,6 +86,104 @@ class LockUtils {
     }
   }
 
+  /**
+   * Generate an organizer session token
+   * Roles are copied into the token; organizerAuth re-checks them against the account on each request.
+   * @param {{ id: string, email: string, roles: Object<string, string> }} organizer - roles maps orgId to role
+   */
+  static generateOrganizerToken({ id, email, roles }) {
+    const now = Math.floor(Date.now() / 1000)
+    const expiresAt = now + this.ORGANIZER_TTL_SECONDS
+
+    const payload = {
+      organizerId: id,
+      email,
+      roles,
+      exp: expiresAt,
+      iat: now,
+      sub: 'organizer'
+    }
+
+    const token = jwt.sign(payload, this.JWT_SECRET, { algorithm: 'HS256' })
+
+    return { token, expiresAt }
+  }
+
+  /**
+   * Verify and decode an organizer session token
+   * Team lock tokens are never accepted here (and vice versa).
+   */
+  static verifyOrganizerToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.JWT_SECRET, { algorithms: ['HS256'] })
+
+      if (!decoded.organizerId || !decoded.exp || decoded.sub !== 'organizer' || typeof decoded.roles !== 'object' || !decoded.roles) {
+        return null
+      }
+
+      return {
+        organizerId: decoded.organizerId,
+        email: decoded.email || null,
+        roles: decoded.roles,
+        exp: decoded.exp
+      }
+    } catch (error) {
+      console.warn('[LockUtils] Organizer token verification failed:', error.message)
+      return null
+    }
+  }
+
+  /**
+   * Generate a team join link token
+   * Carries the team_join_links id, never the team code; use limits are
+   * enforced on the row (see joinLinks.js).
+   * @param {{ linkId: string, teamId: string, orgId: string, huntId: string }} link
+   * @param {number} [expiresAt] - Unix seconds (default: JOIN_LINK_TTL_SECONDS from now)
+   */
+  static generateJoinToken({ linkId, teamId, orgId, huntId }, expiresAt) {
+    const now = Math.floor(Date.now() / 1000)
+    const exp = expiresAt || now + this.JOIN_LINK_TTL_SECONDS
+
+    const payload = {
+      lid: linkId,
+      teamId,
+      orgId,
+      huntId,
+      exp,
+      iat: now,
+      sub: 'team-join'
+    }
+
+    const token = jwt.sign(payload, this.JWT_SECRET, { algorithm: 'HS256' })
+
+    return { token, expiresAt: exp }
+  }
+
+  /**
+   * Verify and decode a team join link token
+   * Lock and organizer tokens are never accepted here.
+   */
+  static verifyJoinToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.JWT_SECRET, { algorithms: ['HS256'] })
+
+      if (!decoded.lid || !decoded.teamId || !decoded.orgId || !decoded.huntId || decoded.sub !== 'team-join') {
+        return null
+      }
+
+      return {
+        linkId: decoded.lid,
+        teamId: decoded.teamId,
+        orgId: decoded.orgId,
+        huntId: decoded.huntId,
+        exp: decoded.exp
+      }
+    } catch (error) {
+      console.warn('[LockUtils] Join token verification failed:', error.message)
+      return null
+    }
+  }
+
   /**
    * Check if token is expired
    */
@@ -0,0 +1,252 @@
+/**
+ * OrganizerAccounts - Organizer staff logins (organizer_accounts / organizer_memberships)
+ *
+ * Organizers sign in with email + password and receive a session token
+ * (LockUtils.generateOrganizerToken) carrying their role per organization.
+ * Team codes are never involved; see organizerAuth.js for permission checks.
+ *
+ * Passwords are stored as `scrypt$<salt hex>$<key hex>`.
+ */
+
+const crypto = require('crypto')
+const { LockUtils } = require('./lockUtils')
+
+const ORGANIZER_ROLES = ['owner', 'organizer', 'moderator', 'viewer']
+const MIN_PASSWORD_LENGTH = 10
+const SCRYPT_KEY_LENGTH = 64
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+// Salt for the scrypt run on unknown emails (see loginOrganizer)
+const DUMMY_SALT = crypto.randomBytes(16)
+
+/**
+ * Normalize an email address for lookup (trimmed, lowercase)
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : ''
+}
+
+/**
+ * Validate a new password
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Validation failed: password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+  }
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)))
+  })
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} scrypt$<salt>$<key>
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const key = await scrypt(password, salt)
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Stored password_hash
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$')
+  if (scheme !== 'scrypt' || !saltHex || !keyHex || typeof password !== 'string') return false
+
+  const expected = Buffer.from(keyHex, 'hex')
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'))
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+}
+
+/**
+ * Map a database row (with embedded memberships) to the API shape
+ */
+function toOrganizer(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    displayName: row.display_name || null,
+    memberships: (row.organizer_memberships || []).map(membership => ({
+      orgId: membership.organization_id,
+      role: membership.role
+    }))
+  }
+}
+
+/**
+ * Role per organization, as carried in organizer tokens
+ * @returns {Object<string, string>} orgId -> role
+ */
+function rolesByOrg(organizer) {
+  return Object.fromEntries(organizer.memberships.map(({ orgId, role }) => [orgId, role]))
+}
+
+/**
+ * Sign an organizer in
+ * Unknown emails, inactive accounts and wrong passwords all return null so
+ * callers can't tell which one failed.
+ * @param {Object} supabase - Supabase client
+ * @param {{ email: string, password: string }} credentials
+ * @returns {Promise<{ token: string, expiresAt: number, organizer: Object }|null>}
+ */
+async function loginOrganizer(supabase, { email, password }) {
+  const normalized = normalizeEmail(email)
+  if (!normalized || typeof password !== 'string' || !password) return null
+
+  const { data, error } = await supabase
+    .from('organizer_accounts')
+    .select('id, email, display_name, password_hash, is_active, organizer_memberships(organization_id, role)')
+    .eq('email', normalized)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase organizer lookup failed: ${error.message}`)
+  }
+
+  if (!data) {
+    // Same scrypt cost as a real account, so response times don't reveal which emails exist
+    await scrypt(password, DUMMY_SALT)
+    return null
+  }
+
+  if (!(await verifyPassword(password, data.password_hash)) || !data.is_active) {
+    return null
+  }
+
+  const { error: updateError } = await supabase
+    .from('organizer_accounts')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', data.id)
+
+  if (updateError) {
+    console.warn('[organizerAccounts] Failed to record last login:', updateError.message)
+  }
+
+  const organizer = toOrganizer(data)
+  const { token, expiresAt } = LockUtils.generateOrganizerToken({
+    id: organizer.id,
+    email: organizer.email,
+    roles: rolesByOrg(organizer)
+  })
+
+  return { token, expiresAt, organizer }
+}
+
+/**
+ * Look up an organizer (with memberships) by email
+ * @returns {Promise<Object|null>} Organizer or null
+ */
+async function findOrganizerByEmail(supabase, email) {
+  const { data, error } = await supabase
+    .from('organizer_accounts')
+    .select('id, email, display_name, organizer_memberships(organization_id, role)')
+    .eq('email', normalizeEmail(email))
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase organizer lookup failed: ${error.message}`)
+  }
+
+  return data ? toOrganizer(data) : null
+}
+
+/**
+ * Current standing of an organizer, for re-checking session tokens
+ * @param {Object} supabase - Supabase client
+ * @param {string} organizerId - organizer_accounts.id from the token
+ * @returns {Promise<{ isActive: boolean, roles: Object<string, string> }|null>} null when the account no longer exists
+ */
+async function getOrganizerAccess(supabase, organizerId) {
+  const { data, error } = await supabase
+    .from('organizer_accounts')
+    .select('id, email, is_active, organizer_memberships(organization_id, role)')
+    .eq('id', organizerId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase organizer lookup failed: ${error.message}`)
+  }
+
+  return data ? { isActive: data.is_active !== false, roles: rolesByOrg(toOrganizer(data)) } : null
+}
+
+/**
+ * Create an organizer account
+ * @param {Object} supabase - Supabase client
+ * @param {{ email: string, password: string, displayName?: string }} input
+ * @returns {Promise<Object>} Created organizer (no memberships yet)
+ */
+async function createOrganizerAccount(supabase, { email, password, displayName = null }) {
+  const normalized = normalizeEmail(email)
+  if (!EMAIL_REGEX.test(normalized)) {
+    throw new Error('Validation failed: a valid email is required')
+  }
+  validatePassword(password)
+
+  const { data, error } = await supabase
+    .from('organizer_accounts')
+    .insert({
+      email: normalized,
+      display_name: displayName,
+      password_hash: await hashPassword(password)
+    })
+    .select('id, email, display_name')
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase organizer insert failed: ${error.message}`)
+  }
+
+  return toOrganizer(data)
+}
+
+/**
+ * Give an organizer a role in an organization (replaces any existing role there)
+ * @param {Object} supabase - Supabase client
+ * @param {{ organizerId: string, orgId: string, role: string }} input
+ */
+async function grantOrganizerRole(supabase, { organizerId, orgId, role }) {
+  if (!ORGANIZER_ROLES.includes(role)) {
+    throw new Error(`Validation failed: role must be one of ${ORGANIZER_ROLES.join(', ')}`)
+  }
+  if (!organizerId || !orgId) {
+    throw new Error('Validation failed: organizerId and orgId are required')
+  }
+
+  const { error } = await supabase
+    .from('organizer_memberships')
+    .upsert(
+      { organizer_id: organizerId, organization_id: orgId, role },
+      { onConflict: 'organizer_id,organization_id' }
+    )
+
+  if (error) {
+    throw new Error(`Supabase organizer membership upsert failed: ${error.message}`)
+  }
+
+  return { orgId, role }
+}
+
+module.exports = {
+  ORGANIZER_ROLES,
+  normalizeEmail,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  toOrganizer,
+  rolesByOrg,
+  loginOrganizer,
+  findOrganizerByEmail,
+  getOrganizerAccess,
+  createOrganizerAccount,
+  grantOrganizerRole
+}
@@ -0,0 +1,208 @@
+/**
+ * Organizer authentication for hunt management endpoints
+ *
+ * Organizer requests carry `Authorization: Bearer <credential>`, either:
+ *   - an organizer session token from /api/organizer/login, carrying the
+ *     organizer's role per organization (see organizerAccounts.js), or
+ *   - the shared ORGANIZER_API_KEY, which acts as owner of every organization.
+ * Neither is ever sent to team devices.
+ *
+ * Roles, each including the permissions of the ones below it:
+ *   owner > organizer > moderator > viewer
+ *
+ *   401 - missing, invalid or expired credentials, or a deactivated or deleted account
+ *   403 ORGANIZER_FORBIDDEN - authenticated, but the role doesn't allow the action
+ *   503 - an API key was sent but ORGANIZER_API_KEY is not configured
+ *
+ * Session tokens are re-checked against organizer_accounts and
+ * organizer_memberships, and the current roles replace the ones in the token.
+ * The check is cached briefly per instance, so deactivating an account or
+ * changing a role takes up to ACCOUNT_CHECK_TTL_MS. Lookup errors fall back to
+ * the token's roles, like teamAuth's session check.
+ */
+const crypto = require('crypto')
+const { LockUtils } = require('./lockUtils')
+const { ORGANIZER_ROLES, getOrganizerAccess } = require('./organizerAccounts')
+const { unauthorizedResponse, forbiddenResponse, serviceUnavailableResponse } = require('./errorResponses')
+const { getSupabaseClient } = require('./supabaseClient')
+
+const ORGANIZER_FORBIDDEN = 'ORGANIZER_FORBIDDEN'
+const API_KEY_ORGANIZER_ID = 'organizer-api-key'
+const ACCOUNT_CHECK_TTL_MS = 60 * 1000
+const MAX_CACHED_ACCOUNTS = 1000
+
+// organizerId -> { access, checkedAt }
+const accountChecks = new Map()
+
+/**
+ * Minimum role for each permission
+ * Add entries here for new admin endpoints rather than checking roles directly.
+ */
+const ORGANIZER_PERMISSIONS = {
+  'hunt:view': 'viewer',
+  'photos:moderate': 'moderator',
+  'announcements:manage': 'organizer',
+  'hunt:manage': 'organizer',
+  'teams:manage': 'organizer',
+  'photos:export': 'organizer',
+  'organizers:manage': 'owner'
+}
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {object} headers - Request headers
+ * @returns {string|null} Token or null
+ */
+function getBearerToken(headers = {}) {
+  const header = headers.authorization || headers.Authorization || ''
+  const match = /^Bearer\s+(.+)$/i.exec(header)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a))
+  const right = Buffer.from(String(b))
+  return left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+/**
+ * Whether a bearer credential is shaped like a JWT (vs. the shared API key)
+ */
+function isSessionToken(token) {
+  return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token)
+}
+
+/**
+ * Authenticate an organizer request
+ * @param {object} event - Netlify function event
+ * @returns {{ organizerId: string, email: string|null, roles: Object<string, string> }|null} Organizer identity or null
+ */
+function authenticateOrganizer(event) {
+  const token = getBearerToken(event.headers)
+  if (!token) return null
+
+  if (isSessionToken(token)) {
+    const claims = LockUtils.verifyOrganizerToken(token)
+    return claims && !LockUtils.isTokenExpired(claims.exp)
+      ? { organizerId: claims.organizerId, email: claims.email, roles: claims.roles }
+      : null
+  }
+
+  const apiKey = process.env.ORGANIZER_API_KEY
+  if (!apiKey || !safeEqual(token, apiKey)) {
+    return null
+  }
+
+  return { organizerId: API_KEY_ORGANIZER_ID, email: null, roles: { '*': 'owner' } }
+}
+
+/**
+ * Current standing of a session token's account
+ * @param {object|null} supabase - Supabase client (default: the shared service client)
+ * @param {string} organizerId - organizer_accounts.id from the token
+ * @returns {Promise<{ isActive: boolean, roles: Object<string, string> }|null|undefined>} null when the account is gone, undefined when the lookup failed
+ */
+async function checkOrganizerAccount(supabase, organizerId) {
+  const cached = accountChecks.get(organizerId)
+  if (cached && Date.now() - cached.checkedAt < ACCOUNT_CHECK_TTL_MS) {
+    return cached.access
+  }
+
+  try {
+    const access = await getOrganizerAccess(supabase || getSupabaseClient(), organizerId)
+    if (accountChecks.size >= MAX_CACHED_ACCOUNTS) accountChecks.clear()
+    accountChecks.set(organizerId, { access, checkedAt: Date.now() })
+    return access
+  } catch (error) {
+    console.warn('[organizerAuth] Account lookup failed:', error.message)
+    return undefined
+  }
+}
+
+/**
+ * Organizer's role in an organization ('*' applies to every organization)
+ * @returns {string|null} Role or null without a membership
+ */
+function getOrganizerRole(organizer, orgId) {
+  const roles = (organizer && organizer.roles) || {}
+  const role = (orgId && roles[orgId]) || roles['*'] || null
+  return ORGANIZER_ROLES.includes(role) ? role : null
+}
+
+/**
+ * Whether the organizer's role in an organization grants a permission
+ * @param {object} organizer - Authenticated organizer
+ * @param {string} orgId - Organization the action targets
+ * @param {string} permission - Key of ORGANIZER_PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(organizer, orgId, permission) {
+  const required = ORGANIZER_PERMISSIONS[permission]
+  if (!required) {
+    throw new Error(`Unknown organizer permission: ${permission}`)
+  }
+
+  const role = getOrganizerRole(organizer, orgId)
+  // ORGANIZER_ROLES is ordered from most to least privileged
+  return !!role && ORGANIZER_ROLES.indexOf(role) <= ORGANIZER_ROLES.indexOf(required)
+}
+
+/**
+ * Require organizer authentication, optionally with a permission in an organization
+ * Without a permission, any role in orgId (when given) is enough.
+ * @param {object} event - Netlify function event
+ * @param {string|null} requestId - Request correlation ID
+ * @param {{ orgId?: string, permission?: string }} access - What the request does
+ * @param {object|null} [supabase] - Client for the account check (default: the shared service client)
+ * @returns {Promise<{ organizer: object }|{ response: object }>} Organizer or an error response to return
+ */
+async function requireOrganizer(event, requestId = null, { orgId, permission } = {}, supabase = null) {
+  const token = getBearerToken(event.headers)
+
+  if (token && !isSessionToken(token) && !process.env.ORGANIZER_API_KEY) {
+    console.error('[organizerAuth] ORGANIZER_API_KEY is not configured')
+    return { response: serviceUnavailableResponse('Organizer access is not configured', null, requestId) }
+  }
+
+  let organizer = authenticateOrganizer(event)
+  if (!organizer) {
+    return { response: unauthorizedResponse('Organizer authentication required', 'Sign in again as an organizer', requestId) }
+  }
+
+  if (organizer.organizerId !== API_KEY_ORGANIZER_ID) {
+    const account = await checkOrganizerAccount(supabase, organizer.organizerId)
+    if (account === null || (account && !account.isActive)) {
+      console.warn(`[organizerAuth] Rejected token of ${account ? 'deactivated' : 'deleted'} organizer ${organizer.organizerId}`)
+      return { response: unauthorizedResponse('Organizer account is no longer active', 'Contact an owner of your organization', requestId) }
+    }
+    if (account) {
+      organizer = { ...organizer, roles: account.roles }
+    }
+  }
+
+  const allowed = permission
+    ? hasPermission(organizer, orgId, permission)
+    : !orgId || !!getOrganizerRole(organizer, orgId)
+
+  if (!allowed) {
+    console.warn(`[organizerAuth] ${organizer.organizerId} denied ${permission || 'access'} for org ${orgId || '(none)'}`)
+    return {
+      response: forbiddenResponse("You don't have permission to do that", `Requires ${ORGANIZER_PERMISSIONS[permission] || 'a role'} in ${orgId || 'this organization'}`, requestId, ORGANIZER_FORBIDDEN)
+    }
+  }
+
+  return { organizer }
+}
+
+module.exports = {
+  ORGANIZER_PERMISSIONS,
+  ORGANIZER_FORBIDDEN,
+  getBearerToken,
+  authenticateOrganizer,
+  getOrganizerRole,
+  hasPermission,
+  requireOrganizer
+}
@@ -0,0 +1,98 @@
+/**
+ * PerceptualHash - dHash of uploaded photo bytes, computed on the server
+ *
+ * Same hash as the client's (src/utils/perceptualHash.ts): the image is
+ * averaged into 9x8 luma cells and each bit records whether a cell is brighter
+ * than its right neighbour. Re-encoded or resized copies land within a few
+ * bits of the client's hash of the same picture, so both kinds compare.
+ *
+ * Only JPEG and PNG can be decoded here (pure JS decoders); WebP, HEIC and
+ * GIF return null and the caller falls back to the client's hash. Upload
+ * preprocessing sends JPEG to hunts that block duplicates (see
+ * login-initialize UPLOAD_IMAGE_FORMAT), so their photos are always hashed here.
+ * EXIF orientation isn't applied: preprocessing bakes it into the pixels.
+ */
+
+const jpeg = require('jpeg-js')
+const { PNG } = require('pngjs')
+const { sniffMediaFormat } = require('./stopMedia')
+
+const HASH_WIDTH = 9
+const HASH_HEIGHT = 8
+// Decoder limits for a single photo (a 50MP RGBA frame is 200MB)
+const MAX_RESOLUTION_MP = 50
+const MAX_MEMORY_MB = 256
+
+/**
+ * dHash of a 9x8 grayscale image (row-major, 72 values)
+ */
+function differenceHash(gray) {
+  let hex = ''
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let byte = 0
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x
+      byte = (byte << 1) | (gray[index] > gray[index + 1] ? 1 : 0)
+    }
+    hex += byte.toString(16).padStart(2, '0')
+  }
+  return hex
+}
+
+/**
+ * Average an RGBA image of any size into 9x8 luma cells
+ */
+function downsampleLuma(rgba, width, height) {
+  const totals = new Array(HASH_WIDTH * HASH_HEIGHT).fill(0)
+  const counts = new Array(HASH_WIDTH * HASH_HEIGHT).fill(0)
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y * HASH_HEIGHT / height) * HASH_WIDTH
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4
+      const cell = row + Math.floor(x * HASH_WIDTH / width)
+      totals[cell] += 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2]
+      counts[cell]++
+    }
+  }
+
+  return totals.map((total, cell) => counts[cell] ? total / counts[cell] : 0)
+}
+
+/**
+ * Decode JPEG or PNG bytes to RGBA
+ * @returns {{ width: number, height: number, data: Uint8Array }|null} null for other formats
+ * @throws {Error} Corrupt or oversized images
+ */
+function decodeImage(buffer) {
+  const { format } = sniffMediaFormat(buffer)
+  if (format === 'jpg') {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_RESOLUTION_MP, maxMemoryUsageInMB: MAX_MEMORY_MB })
+  }
+  if (format === 'png') {
+    return PNG.sync.read(buffer)
+  }
+  return null
+}
+
+/**
+ * Hash uploaded photo bytes
+ * @param {Buffer} buffer - Photo as uploaded
+ * @returns {string|null} 16 hex characters, or null when the format can't be decoded here or the image is unreadable
+ */
+function hashPhotoBuffer(buffer) {
+  try {
+    const image = Buffer.isBuffer(buffer) && buffer.length > 0 ? decodeImage(buffer) : null
+    if (!image || !image.width || !image.height) return null
+    return differenceHash(downsampleLuma(image.data, image.width, image.height))
+  } catch (error) {
+    console.warn('[perceptualHash] Could not hash photo:', error.message)
+    return null
+  }
+}
+
+module.exports = {
+  differenceHash,
+  downsampleLuma,
+  hashPhotoBuffer
+}
@@ -0,0 +1,304 @@
+/**
+ * PhotoArchive - ZIP export of every team's stop photos for a hunt
+ *
+ * Layout inside the archive:
+ *   <team>/<stop>.<ext>   - one file per hunt_progress row with a photo
+ *   manifest.csv          - every progress row (with or without a photo):
+ *                           team, stop, done, completed_at, notes, hints used, file
+ *
+ * The archive is produced as a stream, one photo in memory at a time, so the
+ * CLI (scripts/photo-archive.ts) and the organizer endpoint (photo-archive.js)
+ * can write it straight to a file or response. Entries are stored uncompressed:
+ * photos are already compressed and storing keeps the writer dependency-free.
+ * Classic ZIP limits apply (65,535 entries, 4 GB).
+ *
+ * @ai-related-files: /netlify/functions/photo-archive.js, /scripts/photo-archive.ts, /netlify/functions/_lib/photoStorage.js
+ */
+
+const { Readable } = require('stream')
+const { readMedia } = require('./photoStorage')
+const { sniffMediaFormat } = require('./stopMedia')
+
+const MAX_ZIP_ENTRIES = 0xFFFF
+const MAX_ZIP_OFFSET = 0xFFFFFFFF
+const UTF8_FLAG = 0x0800
+const PROGRESS_PAGE_SIZE = 1000
+const MANIFEST_NAME = 'manifest.csv'
+const MANIFEST_COLUMNS = [
+  'team_id', 'team_name', 'stop_id', 'stop_title', 'done',
+  'completed_at', 'notes', 'hints_used', 'photo_url', 'file'
+]
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * MS-DOS date/time fields used by ZIP headers (local time, 2 s resolution)
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980)
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Write a stored (uncompressed) ZIP archive
+ * @param {AsyncIterable<{ name: string, data: Buffer, date?: Date }>} entries
+ * @returns {AsyncGenerator<Buffer>} Archive bytes
+ * @throws {Error} When the archive exceeds classic ZIP limits
+ */
+async function* createZipStream(entries) {
+  const central = []
+  let offset = 0
+
+  for await (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8')
+    const { time, date } = toDosDateTime(entry.date || new Date())
+    const crc = crc32(entry.data)
+    const size = entry.data.length
+
+    if (central.length >= MAX_ZIP_ENTRIES || offset + 30 + name.length + size > MAX_ZIP_OFFSET) {
+      throw new Error('Archive too large: more than 65,535 files or 4 GB')
+    }
+
+    const header = Buffer.alloc(30)
+    header.writeUInt32LE(0x04034B50, 0)
+    header.writeUInt16LE(20, 4)
+    header.writeUInt16LE(UTF8_FLAG, 6)
+    header.writeUInt16LE(0, 8) // stored
+    header.writeUInt16LE(time, 10)
+    header.writeUInt16LE(date, 12)
+    header.writeUInt32LE(crc, 14)
+    header.writeUInt32LE(size, 18)
+    header.writeUInt32LE(size, 22)
+    header.writeUInt16LE(name.length, 26)
+    header.writeUInt16LE(0, 28)
+
+    central.push({ name, time, date, crc, size, offset })
+    offset += header.length + name.length + size
+    yield Buffer.concat([header, name])
+    yield entry.data
+  }
+
+  const directory = central.map(file => {
+    const record = Buffer.alloc(46)
+    record.writeUInt32LE(0x02014B50, 0)
+    record.writeUInt16LE(20, 4)
+    record.writeUInt16LE(20, 6)
+    record.writeUInt16LE(UTF8_FLAG, 8)
+    record.writeUInt16LE(0, 10)
+    record.writeUInt16LE(file.time, 12)
+    record.writeUInt16LE(file.date, 14)
+    record.writeUInt32LE(file.crc, 16)
+    record.writeUInt32LE(file.size, 20)
+    record.writeUInt32LE(file.size, 24)
+    record.writeUInt16LE(file.name.length, 28)
+    record.writeUInt32LE(file.offset, 42)
+    return Buffer.concat([record, file.name])
+  })
+  const directorySize = directory.reduce((sum, record) => sum + record.length, 0)
+
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054B50, 0)
+  end.writeUInt16LE(central.length, 8)
+  end.writeUInt16LE(central.length, 10)
+  end.writeUInt32LE(directorySize, 12)
+  end.writeUInt32LE(offset, 16)
+
+  yield Buffer.concat([...directory, end])
+}
+
+/**
+ * Make a team/stop identifier safe as a path segment
+ */
+function toPathSegment(value) {
+  const segment = String(value || '').trim().replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[.-]+|-+$/g, '')
+  return segment || 'unknown'
+}
+
+/**
+ * Quote a CSV cell; cells that a spreadsheet would run as a formula are
+ * prefixed with an apostrophe (notes are free text typed by teams)
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return ''
+  let text = String(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Render the manifest
+ * @param {Array<Object>} rows - Archive rows (see collectArchiveRows) with `file` set
+ * @returns {string} CSV with a header row
+ */
+function buildManifestCsv(rows) {
+  const lines = [MANIFEST_COLUMNS.join(',')]
+  for (const row of rows) {
+    lines.push([
+      row.teamId, row.teamName, row.stopId, row.stopTitle, row.done,
+      row.completedAt, row.notes, row.hintsUsed, row.photoUrl, row.file
+    ].map(toCsvCell).join(','))
+  }
+  return `${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * Every progress row of every team in a hunt, ordered by team then completion
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId }
+ * @returns {Promise<{ teamCount: number, rows: Array<Object> }>}
+ * @throws {Error} Supabase errors
+ */
+async function collectArchiveRows(supabase, { orgId, huntId }) {
+  const { data: teams, error: teamsError } = await supabase
+    .from('teams')
+    .select('id, team_id, display_name, name')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+
+  if (teamsError) {
+    throw new Error(`Supabase teams query failed: ${teamsError.message}`)
+  }
+  if (!teams || teams.length === 0) {
+    return { teamCount: 0, rows: [] }
+  }
+
+  // PostgREST caps responses (1000 rows by default), so page through progress
+  const teamIds = teams.map(team => team.id)
+  const progress = []
+  for (let from = 0; ; from += PROGRESS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('hunt_progress')
+      .select('id, team_id, location_id, done, completed_at, notes, revealed_hints, photo_url')
+      .in('team_id', teamIds)
+      .order('id', { ascending: true })
+      .range(from, from + PROGRESS_PAGE_SIZE - 1)
+
+    if (error) {
+      throw new Error(`Supabase progress query failed: ${error.message}`)
+    }
+    progress.push(...(data || []))
+    if (!data || data.length < PROGRESS_PAGE_SIZE) break
+  }
+
+  const stopIds = [...new Set(progress.map(row => row.location_id))]
+  const titles = {}
+  if (stopIds.length > 0) {
+    const { data: stops, error: stopsError } = await supabase
+      .from('hunt_stops')
+      .select('stop_id, title')
+      .in('stop_id', stopIds)
+    if (stopsError) {
+      console.warn('[photoArchive] Stop titles unavailable, using stop IDs:', stopsError.message)
+    }
+    for (const stop of stops || []) {
+      titles[stop.stop_id] = stop.title
+    }
+  }
+
+  const teamsById = new Map(teams.map(team => [team.id, team]))
+  const rows = progress
+    .filter(row => teamsById.has(row.team_id))
+    .map(row => {
+      const team = teamsById.get(row.team_id)
+      return {
+        teamId: team.team_id,
+        teamName: team.display_name || team.name || team.team_id,
+        stopId: row.location_id,
+        stopTitle: titles[row.location_id] || row.location_id,
+        done: !!row.done,
+        completedAt: row.completed_at || null,
+        notes: row.notes || null,
+        hintsUsed: row.revealed_hints || 0,
+        photoUrl: row.photo_url || null
+      }
+    })
+    .sort((a, b) =>
+      a.teamId.localeCompare(b.teamId) ||
+      String(a.completedAt || '\uffff').localeCompare(String(b.completedAt || '\uffff')) ||
+      a.stopId.localeCompare(b.stopId)
+    )
+
+  return { teamCount: teams.length, rows }
+}
+
+/**
+ * Archive entries: each stored photo, then the manifest
+ * Photos that can't be read are left out and listed with an empty `file`.
+ */
+async function* archiveEntries(rows, onProgress) {
+  for (const row of rows) {
+    row.file = null
+    if (!row.photoUrl) continue
+
+    const media = await readMedia(row.photoUrl)
+    if (!media) {
+      console.warn(`[photoArchive] Skipping unreadable photo for ${row.teamId}/${row.stopId}: ${row.photoUrl}`)
+      onProgress?.({ row, included: false })
+      continue
+    }
+
+    const { format } = sniffMediaFormat(media.buffer, media.contentType)
+    row.file = `${toPathSegment(row.teamId)}/${toPathSegment(row.stopId)}.${format}`
+    onProgress?.({ row, included: true })
+    yield { name: row.file, data: media.buffer, date: row.completedAt ? new Date(row.completedAt) : undefined }
+  }
+
+  yield { name: MANIFEST_NAME, data: Buffer.from(buildManifestCsv(rows), 'utf8') }
+}
+
+/**
+ * Build the archive for a hunt
+ * Rows are collected before any bytes are produced, so database errors
+ * surface before a response starts streaming.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, onProgress?: ({ row, included }) => void }
+ * @returns {Promise<{ teamCount: number, photoCount: number, stream: Readable }>}
+ * @throws {Error} Supabase errors
+ */
+async function createPhotoArchive(supabase, { orgId, huntId, onProgress }) {
+  const { teamCount, rows } = await collectArchiveRows(supabase, { orgId, huntId })
+
+  return {
+    teamCount,
+    photoCount: rows.filter(row => row.photoUrl).length,
+    stream: Readable.from(createZipStream(archiveEntries(rows, onProgress)))
+  }
+}
+
+/**
+ * Download file name for a hunt archive
+ */
+function archiveFileName(orgId, huntId) {
+  return `${toPathSegment(orgId)}-${toPathSegment(huntId)}-photos.zip`
+}
+
+module.exports = {
+  crc32,
+  createZipStream,
+  buildManifestCsv,
+  collectArchiveRows,
+  createPhotoArchive,
+  archiveFileName
+}
@@ -0,0 +1,201 @@
+/**
+ * PhotoDuplicates - Near-duplicate detection for stop photos
+ *
+ * Every photo carries a 64-bit difference hash (dHash): the image is scaled to
+ * 9x8 grayscale and each bit records whether a pixel is brighter than its right
+ * neighbour. Re-encoded, resized or lightly cropped copies of a photo land
+ * within a few bits of each other, unlike the SHA-256 idempotency key which
+ * only matches identical bytes. The server hashes the uploaded bytes itself
+ * (see perceptualHash.js) when it can decode them (JPEG, PNG); for other
+ * formats it keeps the hash the client computed while preprocessing
+ * (src/utils/perceptualHash.ts).
+ *
+ * A new photo is compared with the hunt's other submissions (rejected ones
+ * excepted). A retake of the same stop by the same team is not a duplicate;
+ * a match on another stop of the same team has scope 'team', a match from
+ * another team has scope 'cross_team'.
+ *
+ * Each hunt chooses what a match does (hunts.duplicate_photo_mode):
+ *   off   - photos are hashed but never compared
+ *   flag  - the submission is flagged for organizers (default)
+ *   block - the upload is refused and the stop stays open
+ *
+ * A client hash is only as trustworthy as the client that sent it, so a hunt
+ * that blocks duplicates only accepts photos the server hashed: anything else
+ * is refused (PHOTO_UNVERIFIED) instead of being let through unchecked. Chunked
+ * uploads pre-check the client hash before any bytes arrive (preliminary) and
+ * run the full check once the file is assembled.
+ *
+ * Lookups fail open: a database error never blocks an upload.
+ */
+
+const { resolveTeamUuid } = require('./geofence')
+const { hashPhotoBuffer } = require('./perceptualHash')
+
+const DUPLICATE_PHOTO_MODES = ['off', 'flag', 'block']
+const DEFAULT_DUPLICATE_PHOTO_MODE = 'flag'
+// Bits (of 64) two hashes may differ by and still count as the same photo
+const DUPLICATE_DISTANCE_THRESHOLD = 8
+const MAX_COMPARED_SUBMISSIONS = 5000
+const PERCEPTUAL_HASH_PATTERN = /^[a-f0-9]{16}$/
+
+/**
+ * Validate a client-supplied hash
+ * @returns {string|null} Lowercase 16-hex-character hash, or null when missing/invalid
+ */
+function normalizePerceptualHash(value) {
+  const hash = typeof value === 'string' ? value.trim().toLowerCase() : ''
+  return PERCEPTUAL_HASH_PATTERN.test(hash) ? hash : null
+}
+
+/**
+ * Number of differing bits between two 64-bit hex hashes
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`)
+  let count = 0
+  while (diff) {
+    diff &= diff - 1n
+    count++
+  }
+  return count
+}
+
+/**
+ * Load the hunt's duplicate mode
+ * Missing columns or rows fall back to the default.
+ */
+async function getDuplicatePhotoMode(supabase, orgId, huntId) {
+  try {
+    const { data, error } = await supabase
+      .from('hunts')
+      .select('duplicate_photo_mode')
+      .eq('organization_id', orgId)
+      .eq('id', huntId)
+      .single()
+
+    if (error) {
+      console.warn('[photoDuplicates] Could not load duplicate mode:', error.message)
+    }
+
+    return DUPLICATE_PHOTO_MODES.includes(data?.duplicate_photo_mode)
+      ? data.duplicate_photo_mode
+      : DEFAULT_DUPLICATE_PHOTO_MODE
+  } catch (error) {
+    console.warn('[photoDuplicates] Could not load duplicate mode:', error.message)
+    return DEFAULT_DUPLICATE_PHOTO_MODE
+  }
+}
+
+/**
+ * Closest earlier submission within the duplicate threshold
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, teamUuid, stopId, perceptualHash }
+ * @returns {Promise<Object|null>} { submissionId, teamId, locationId, locationTitle, photoUrl, distance, scope }
+ */
+async function findNearDuplicate(supabase, { orgId, huntId, teamUuid, stopId, perceptualHash }) {
+  const { data, error } = await supabase
+    .from('photo_submissions')
+    .select('id, team_id, team_slug, location_id, location_title, photo_url, perceptual_hash')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .neq('status', 'rejected')
+    .not('perceptual_hash', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(MAX_COMPARED_SUBMISSIONS)
+
+  if (error) {
+    console.warn('[photoDuplicates] Submission lookup failed:', error.message)
+    return null
+  }
+
+  let best = null
+  for (const row of data || []) {
+    const sameTeam = row.team_id === teamUuid
+    if (sameTeam && row.location_id === stopId) continue
+
+    const distance = hammingDistance(perceptualHash, row.perceptual_hash)
+    if (distance > DUPLICATE_DISTANCE_THRESHOLD || (best && distance >= best.distance)) continue
+
+    best = {
+      submissionId: row.id,
+      teamId: row.team_slug,
+      locationId: row.location_id,
+      locationTitle: row.location_title || row.location_id,
+      photoUrl: row.photo_url,
+      distance,
+      scope: sameTeam ? 'team' : 'cross_team'
+    }
+  }
+
+  return best
+}
+
+/**
+ * Compare a new stop photo with the hunt's submissions
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, teamId, stopId, perceptualHash, photoBuffer, preliminary }
+ *   perceptualHash: the client's hash; photoBuffer: the uploaded bytes, hashed here when decodable;
+ *   preliminary: bytes not uploaded yet, so an unverified client hash is compared but not refused
+ * @returns {Promise<Object>} { allowed, mode, duplicate, perceptualHash, verified, code?, error? };
+ *   duplicate is null when nothing matched, perceptualHash is the hash to store with the submission
+ */
+async function checkDuplicatePhoto(supabase, { orgId, huntId, teamId, stopId, perceptualHash, photoBuffer, preliminary = false }) {
+  const serverHash = photoBuffer ? hashPhotoBuffer(photoBuffer) : null
+  const hash = serverHash || normalizePerceptualHash(perceptualHash)
+  const verified = Boolean(serverHash)
+  const mode = await getDuplicatePhotoMode(supabase, orgId, huntId)
+  if (mode === 'off') {
+    return { allowed: true, mode, duplicate: null, perceptualHash: hash, verified }
+  }
+
+  if (mode === 'block' && !verified && !preliminary) {
+    return {
+      allowed: false,
+      mode,
+      duplicate: null,
+      perceptualHash: hash,
+      verified,
+      code: 'PHOTO_UNVERIFIED',
+      error: 'This photo could not be checked against other submissions. Take a new photo with your camera and try again.'
+    }
+  }
+
+  if (!hash) {
+    return { allowed: true, mode, duplicate: null, perceptualHash: null, verified }
+  }
+
+  let duplicate = null
+  try {
+    const teamUuid = await resolveTeamUuid(supabase, orgId, huntId, teamId)
+    duplicate = await findNearDuplicate(supabase, { orgId, huntId, teamUuid, stopId, perceptualHash: hash })
+  } catch (error) {
+    console.warn('[photoDuplicates] Duplicate check failed:', error.message)
+  }
+
+  if (duplicate && mode === 'block') {
+    return {
+      allowed: false,
+      mode,
+      duplicate,
+      perceptualHash: hash,
+      verified,
+      code: 'DUPLICATE_PHOTO',
+      error: duplicate.scope === 'team'
+        ? `This photo was already used for ${duplicate.locationTitle}. Take a new photo for this stop.`
+        : 'This photo was already submitted by another team. Take your own photo for this stop.'
+    }
+  }
+
+  return { allowed: true, mode, duplicate, perceptualHash: hash, verified }
+}
+
+module.exports = {
+  DUPLICATE_PHOTO_MODES,
+  DUPLICATE_DISTANCE_THRESHOLD,
+  normalizePerceptualHash,
+  hammingDistance,
+  getDuplicatePhotoMode,
+  findNearDuplicate,
+  checkDuplicatePhoto
+}
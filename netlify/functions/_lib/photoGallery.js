@@ -0,0 +1,193 @@
+/**
+ * PhotoGallery - Hunt-wide gallery of approved stop photos
+ *
+ * Reads photo_submissions with status 'approved' across every team of a hunt,
+ * newest first with the same cursor pagination as the activity feed. Each
+ * photo carries responsive delivery URLs (thumbnail + srcSet) so the gallery
+ * and the projector slideshow never load full-size originals; drivers without
+ * server-side transformations fall back to the stored URL.
+ *
+ * @ai-related-files: /netlify/functions/photo-gallery.js, /netlify/functions/_lib/photoModeration.js, /src/features/views/GalleryView.tsx
+ */
+
+const { encodeCursor, decodeCursor } = require('./activityFeed')
+const { transformMediaUrl } = require('./photoStorage')
+
+const DEFAULT_PAGE_SIZE = 24
+const MAX_PAGE_SIZE = 100
+const MAX_FILTER_ROWS = 5000
+const TEAM_ID_REGEX = /^[A-Za-z0-9_-]+$/
+const VIDEO_URL_PATTERN = /\.(mp4|mov|webm)(\?|$)/i
+
+// Square crop for the grid, width-limited sizes for the lightbox/slideshow
+const THUMBNAIL_TRANSFORM = { width: 480, height: 480, crop: 'fill', quality: 'auto', format: 'auto' }
+const RESPONSIVE_WIDTHS = [640, 1280, 1920]
+
+/**
+ * Responsive delivery URLs for a stored photo
+ * @param {string} url - Stored photo URL
+ * @returns {{ thumbnailUrl: string, displayUrl: string, srcSet: string|null }}
+ */
+function buildResponsiveUrls(url) {
+  const sized = RESPONSIVE_WIDTHS.map(width => ({
+    width,
+    url: transformMediaUrl(url, { width, crop: 'limit', quality: 'auto', format: 'auto' })
+  }))
+  const transformed = sized.some(size => size.url !== url)
+
+  return {
+    thumbnailUrl: transformMediaUrl(url, THUMBNAIL_TRANSFORM),
+    displayUrl: sized[sized.length - 1].url,
+    srcSet: transformed ? sized.map(size => `${size.url} ${size.width}w`).join(', ') : null
+  }
+}
+
+/**
+ * Map a photo_submissions row to the gallery shape
+ * @param {Object} row - photo_submissions row
+ * @param {Object} teamNames - teams.id -> display name
+ */
+function toGalleryPhoto(row, teamNames = {}) {
+  const mediaType = VIDEO_URL_PATTERN.test(row.photo_url) ? 'video' : 'photo'
+  const urls = mediaType === 'video'
+    ? { thumbnailUrl: row.photo_url, displayUrl: row.photo_url, srcSet: null }
+    : buildResponsiveUrls(row.photo_url)
+
+  return {
+    id: row.id,
+    teamId: row.team_slug,
+    teamName: teamNames[row.team_id] || row.team_slug,
+    locationId: row.location_id,
+    locationTitle: row.location_title || row.location_id,
+    mediaType,
+    photoUrl: row.photo_url,
+    ...urls,
+    createdAt: row.created_at
+  }
+}
+
+/**
+ * Display names for a set of team UUIDs (falls back to slugs on failure)
+ */
+async function getTeamNames(supabase, teamUuids) {
+  const ids = [...new Set(teamUuids)]
+  if (ids.length === 0) return {}
+
+  const { data, error } = await supabase
+    .from('teams')
+    .select('id, display_name, name')
+    .in('id', ids)
+
+  if (error) {
+    console.warn('[photoGallery] Team names unavailable:', error.message)
+    return {}
+  }
+
+  const names = {}
+  for (const team of data || []) {
+    names[team.id] = team.display_name || team.name
+  }
+  return names
+}
+
+/**
+ * List approved photos for a hunt, newest first
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params
+ * @param {string} params.orgId - Organization ID
+ * @param {string} params.huntId - Hunt ID
+ * @param {string} [params.stopId] - Only photos of this stop
+ * @param {string} [params.teamId] - Only photos of this team (slug)
+ * @param {string} [params.cursor] - Cursor from a previous page
+ * @param {number} [params.limit] - Page size (default 24, max 100)
+ * @returns {Promise<{ photos: Array, nextCursor: string|null }>}
+ */
+async function listGalleryPhotos(supabase, { orgId, huntId, stopId, teamId, cursor, limit }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+  if (teamId && !TEAM_ID_REGEX.test(teamId)) {
+    throw new Error('Validation failed: invalid teamId')
+  }
+  const position = decodeCursor(cursor)
+  if (cursor && !position) {
+    throw new Error('Validation failed: invalid cursor')
+  }
+
+  let query = supabase
+    .from('photo_submissions')
+    .select('id, team_id, team_slug, location_id, location_title, photo_url, created_at')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .eq('status', 'approved')
+
+  if (stopId) query = query.eq('location_id', stopId)
+  if (teamId) query = query.ilike('team_slug', teamId)
+  if (position) {
+    query = query.or(`created_at.lt."${position.t}",and(created_at.eq."${position.t}",id.lt.${position.id})`)
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(pageSize + 1)
+
+  if (error) {
+    throw new Error(`Supabase gallery query failed: ${error.message}`)
+  }
+
+  const rows = data || []
+  const hasMore = rows.length > pageSize
+  const page = hasMore ? rows.slice(0, pageSize) : rows
+  const teamNames = await getTeamNames(supabase, page.map(row => row.team_id))
+
+  return {
+    photos: page.map(row => toGalleryPhoto(row, teamNames)),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  }
+}
+
+/**
+ * Stops and teams that have approved photos, for the gallery filters
+ * @returns {Promise<{ stops: Array<{ id, title, count }>, teams: Array<{ id, name, count }> }>}
+ */
+async function getGalleryFilters(supabase, { orgId, huntId }) {
+  const { data, error } = await supabase
+    .from('photo_submissions')
+    .select('team_id, team_slug, location_id, location_title')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .eq('status', 'approved')
+    .limit(MAX_FILTER_ROWS)
+
+  if (error) {
+    throw new Error(`Supabase gallery filter query failed: ${error.message}`)
+  }
+
+  const rows = data || []
+  const teamNames = await getTeamNames(supabase, rows.map(row => row.team_id))
+  const stops = new Map()
+  const teams = new Map()
+
+  for (const row of rows) {
+    const stop = stops.get(row.location_id) || { id: row.location_id, title: row.location_title || row.location_id, count: 0 }
+    stop.count++
+    stops.set(row.location_id, stop)
+
+    const team = teams.get(row.team_slug) || { id: row.team_slug, name: teamNames[row.team_id] || row.team_slug, count: 0 }
+    team.count++
+    teams.set(row.team_slug, team)
+  }
+
+  const byLabel = key => (a, b) => a[key].localeCompare(b[key])
+  return {
+    stops: [...stops.values()].sort(byLabel('title')),
+    teams: [...teams.values()].sort(byLabel('name'))
+  }
+}
+
+module.exports = {
+  buildResponsiveUrls,
+  toGalleryPhoto,
+  listGalleryPhotos,
+  getGalleryFilters
+}
@@ -0,0 +1,408 @@
+/**
+ * PhotoModeration - Organizer review of stop photos (photo_submissions table)
+ *
+ * Each photo that completes a stop is recorded as a pending submission. The
+ * stop counts as done while it waits; organizers approve or reject it from
+ * the moderation queue.
+ *
+ * Rejecting a submission:
+ * - reverts the team's hunt_progress row to not-done (only while it still
+ *   holds the rejected photo, so a newer upload is never clobbered), which
+ *   drops the stop from rankings
+ * - hides the photo_uploaded feed event
+ * - notifies the team with a photo_rejected event targeted at it
+ *
+ * Rejections are final: re-sending the same photo keeps it rejected, and the
+ * progress endpoints won't complete the stop (see getRejectedStopIds) until
+ * the team uploads a new one.
+ *
+ * Progress endpoints only store photo URLs that went through an upload: a
+ * photo must match a pending or approved submission for the team and stop
+ * (see filterSubmittedPhotos), so typed-in URLs skip neither review nor the
+ * duplicate check.
+ *
+ * Submissions carry the photo's perceptual hash; one that nearly matches an
+ * earlier photo of the hunt is flagged with duplicate_of (see photoDuplicates).
+ *
+ * Recording a submission is best-effort like the activity feed: failures are
+ * logged and never fail the upload.
+ */
+
+const { recordActivityEvent, expireActivityEvent, resolveTeamName } = require('./activityFeed')
+const { markLeaderboardStale } = require('./leaderboardStream')
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected']
+const MODERATION_ACTIONS = { approve: 'approved', reject: 'rejected' }
+const MAX_REASON_LENGTH = 500
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 200
+
+/**
+ * Map a database row to the API shape
+ */
+function toSubmission(row) {
+  return {
+    id: row.id,
+    orgId: row.organization_id,
+    huntId: row.hunt_id,
+    teamId: row.team_slug,
+    locationId: row.location_id,
+    locationTitle: row.location_title || row.location_id,
+    photoUrl: row.photo_url,
+    status: row.status,
+    reason: row.reason || null,
+    moderatedBy: row.moderated_by || null,
+    moderatedAt: row.moderated_at || null,
+    perceptualHash: row.perceptual_hash || null,
+    duplicate: row.duplicate_of
+      ? { submissionId: row.duplicate_of, distance: row.duplicate_distance, scope: row.duplicate_scope }
+      : null,
+    createdAt: row.created_at
+  }
+}
+
+/**
+ * Validate an approve/reject request
+ * @param {string} action - 'approve' | 'reject'
+ * @param {Object} input - { reason }
+ * @returns {{ status: 'approved'|'rejected', reason: string|null }}
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validateModerationInput(action, input = {}) {
+  const status = MODERATION_ACTIONS[action]
+  if (!status) {
+    throw new Error(`Validation failed: unknown moderation action "${action}"`)
+  }
+
+  const reason = typeof input.reason === 'string' ? input.reason.trim() : ''
+  if (input.reason !== undefined && input.reason !== null && typeof input.reason !== 'string') {
+    throw new Error('Validation failed: reason must be a string')
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new Error(`Validation failed: reason exceeds ${MAX_REASON_LENGTH} characters`)
+  }
+  if (status === 'rejected' && !reason) {
+    throw new Error('Validation failed: a reason is required to reject a photo')
+  }
+
+  return { status, reason: reason || null }
+}
+
+/**
+ * Record a stop photo for review (best-effort)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, teamId, teamUuid, locationId, locationTitle, photoUrl, photoKey,
+ *   perceptualHash?, duplicate? (from checkDuplicatePhoto) }
+ * @returns {Promise<Object|null>} Submission, or null if skipped/failed
+ */
+async function recordPhotoSubmission(supabase, params) {
+  const { orgId, huntId, teamId, teamUuid, locationId, locationTitle, photoUrl, photoKey, perceptualHash, duplicate } = params
+
+  try {
+    const { data: existing, error: lookupError } = await supabase
+      .from('photo_submissions')
+      .select('*')
+      .eq('team_id', teamUuid)
+      .eq('location_id', locationId)
+      .eq('photo_url', photoUrl)
+      .maybeSingle()
+
+    if (lookupError) {
+      console.warn('[photoModeration] Failed to look up submission:', lookupError.message)
+      return null
+    }
+
+    if (existing && existing.status === 'rejected') {
+      // The upload just completed the stop again with the rejected photo
+      if (await revertStopProgress(supabase, existing)) await markLeaderboardStale(supabase, orgId, huntId)
+      return toSubmission(existing)
+    }
+
+    const { data, error } = await supabase
+      .from('photo_submissions')
+      .upsert([{
+        organization_id: orgId,
+        hunt_id: huntId,
+        team_id: teamUuid,
+        team_slug: teamId,
+        location_id: locationId,
+        location_title: locationTitle || null,
+        photo_url: photoUrl,
+        photo_key: photoKey || null,
+        // A retried upload keeps its review
+        ...(existing ? {} : { status: 'pending', reason: null, moderated_by: null, moderated_at: null }),
+        // Only written for hashed photos, so videos keep working before photo-duplicates.sql is applied
+        ...(perceptualHash ? {
+          perceptual_hash: perceptualHash,
+          duplicate_of: duplicate?.submissionId || null,
+          duplicate_distance: duplicate ? duplicate.distance : null,
+          duplicate_scope: duplicate?.scope || null
+        } : {})
+      }], { onConflict: 'team_id,location_id,photo_url' })
+      .select()
+
+    if (error) {
+      console.warn('[photoModeration] Failed to record submission:', error.message)
+      return null
+    }
+
+    return data && data[0] ? toSubmission(data[0]) : null
+  } catch (error) {
+    console.warn('[photoModeration] Failed to record submission:', error.message)
+    return null
+  }
+}
+
+/**
+ * Attach the photo, team and stop each flagged submission duplicates
+ * (best-effort: flags without details still show)
+ */
+async function attachDuplicateDetails(supabase, submissions) {
+  const ids = [...new Set(submissions.filter(item => item.duplicate).map(item => item.duplicate.submissionId))]
+  if (ids.length === 0) return submissions
+
+  const { data, error } = await supabase
+    .from('photo_submissions')
+    .select('id, team_slug, location_id, location_title, photo_url')
+    .in('id', ids)
+
+  if (error) {
+    console.warn('[photoModeration] Duplicate details unavailable:', error.message)
+    return submissions
+  }
+
+  const originals = new Map((data || []).map(row => [row.id, row]))
+  return submissions.map(item => {
+    const original = item.duplicate && originals.get(item.duplicate.submissionId)
+    if (!original) return item
+    return {
+      ...item,
+      duplicate: {
+        ...item.duplicate,
+        teamId: original.team_slug,
+        locationId: original.location_id,
+        locationTitle: original.location_title || original.location_id,
+        photoUrl: original.photo_url
+      }
+    }
+  })
+}
+
+/**
+ * List submissions for a hunt, oldest first (review order)
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, status: 'pending'|'approved'|'rejected'|'all', flagged, limit }
+ *   flagged: only submissions flagged as near-duplicates
+ * @returns {Promise<Array>} Submissions
+ */
+async function listPhotoSubmissions(supabase, { orgId, huntId, status = 'pending', flagged = false, limit }) {
+  if (status !== 'all' && !MODERATION_STATUSES.includes(status)) {
+    throw new Error(`Validation failed: unknown status "${status}"`)
+  }
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+
+  let query = supabase
+    .from('photo_submissions')
+    .select('*')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+
+  if (status !== 'all') {
+    query = query.eq('status', status)
+  }
+  if (flagged) {
+    query = query.not('duplicate_of', 'is', null)
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: status === 'pending' })
+    .limit(pageSize)
+
+  if (error) {
+    throw new Error(`Supabase photo submission query failed: ${error.message}`)
+  }
+
+  return attachDuplicateDetails(supabase, (data || []).map(toSubmission))
+}
+
+/**
+ * Revert the stop a rejected photo completed
+ * Only touches the progress row while it still holds the rejected photo.
+ * @returns {Promise<boolean>} Whether a row was reverted
+ */
+async function revertStopProgress(supabase, row) {
+  const { data, error } = await supabase
+    .from('hunt_progress')
+    .update({
+      done: false,
+      completed_at: null,
+      photo_url: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('team_id', row.team_id)
+    .eq('location_id', row.location_id)
+    .eq('photo_url', row.photo_url)
+    .select('id')
+
+  if (error) {
+    throw new Error(`Supabase progress revert failed: ${error.message}`)
+  }
+  return (data || []).length > 0
+}
+
+/**
+ * Stops whose most recent photo submission was rejected
+ * Progress writes must not complete these until the team uploads a new photo.
+ * @param {Object} supabase - Supabase client
+ * @param {string} teamUuid - teams.id
+ * @param {string[]} stopIds - Stops to check
+ * @returns {Promise<Set<string>>} Empty when the lookup fails (logged), so progress writes keep working
+ */
+async function getRejectedStopIds(supabase, teamUuid, stopIds) {
+  if (stopIds.length === 0) return new Set()
+
+  const { data, error } = await supabase
+    .from('photo_submissions')
+    .select('location_id, status, created_at')
+    .eq('team_id', teamUuid)
+    .in('location_id', stopIds)
+    .order('created_at', { ascending: false })
+
+  if (error) {
+    console.warn('[photoModeration] Rejected stop lookup failed:', error.message)
+    return new Set()
+  }
+
+  const latest = new Map()
+  for (const row of data || []) {
+    if (!latest.has(row.location_id)) latest.set(row.location_id, row.status)
+  }
+  return new Set([...latest].filter(([, status]) => status === 'rejected').map(([stopId]) => stopId))
+}
+
+/**
+ * Drop photos that don't match a pending or approved submission
+ * Used by the progress endpoints, which take photo URLs from the client.
+ * @param {Object} supabase - Supabase client
+ * @param {string} teamUuid - teams.id
+ * @param {Object<string, Object>} stops - Progress by stop id ({ done, photo, ... })
+ * @returns {Promise<{ stops: Object<string, Object>, droppedStopIds: string[] }>}
+ *   stops with unsubmitted photos set to null
+ * @throws {Error} Supabase errors (photos can't be verified)
+ */
+async function filterSubmittedPhotos(supabase, teamUuid, stops) {
+  const photoStopIds = Object.keys(stops).filter(stopId => stops[stopId] && stops[stopId].photo)
+  if (photoStopIds.length === 0) return { stops, droppedStopIds: [] }
+
+  const { data, error } = await supabase
+    .from('photo_submissions')
+    .select('location_id, photo_url')
+    .eq('team_id', teamUuid)
+    .in('location_id', photoStopIds)
+    .in('status', ['pending', 'approved'])
+
+  if (error) {
+    throw new Error(`Supabase photo submission lookup failed: ${error.message}`)
+  }
+
+  const submitted = new Set((data || []).map(row => `${row.location_id}\n${row.photo_url}`))
+  const droppedStopIds = photoStopIds.filter(stopId => !submitted.has(`${stopId}\n${stops[stopId].photo}`))
+  if (droppedStopIds.length === 0) return { stops, droppedStopIds }
+
+  return {
+    stops: Object.fromEntries(Object.entries(stops).map(([stopId, stopProgress]) => [
+      stopId,
+      droppedStopIds.includes(stopId) ? { ...stopProgress, photo: null } : stopProgress
+    ])),
+    droppedStopIds
+  }
+}
+
+/**
+ * Notify the team in its activity feed that a photo was rejected
+ */
+async function notifyTeamOfRejection(supabase, row, reason) {
+  const teamName = await resolveTeamName(supabase, row.team_id, row.team_slug)
+  const stopName = row.location_title || row.location_id
+
+  return recordActivityEvent(supabase, {
+    orgId: row.organization_id,
+    huntId: row.hunt_id,
+    teamId: row.team_slug,
+    teamName,
+    type: 'photo_rejected',
+    locationId: row.location_id,
+    message: `Your photo for ${stopName} was not accepted: ${reason}. Please upload a new one.`,
+    metadata: { stopName, reason, submissionId: row.id },
+    dedupeKey: `photo_rejected:${row.id}`,
+    targetTeamIds: [row.team_slug]
+  })
+}
+
+/**
+ * Approve or reject a submission
+ * Rejected submissions are final: the team uploads a new photo instead.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, id, action: 'approve'|'reject', input: { reason }, moderatedBy }
+ * @returns {Promise<{ submission: Object, progressReverted: boolean }|null>} null if not found
+ * @throws {Error} Validation errors, or Supabase errors
+ */
+async function moderatePhotoSubmission(supabase, { orgId, huntId, id, action, input, moderatedBy }) {
+  const { status, reason } = validateModerationInput(action, input)
+
+  const { data: existing, error: lookupError } = await supabase
+    .from('photo_submissions')
+    .select('*')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .eq('id', id)
+    .maybeSingle()
+
+  if (lookupError) {
+    throw new Error(`Supabase photo submission lookup failed: ${lookupError.message}`)
+  }
+  if (!existing) return null
+
+  if (existing.status === 'rejected') {
+    throw new Error('Validation failed: this photo was already rejected; the team must upload a new one')
+  }
+
+  const { data, error } = await supabase
+    .from('photo_submissions')
+    .update({
+      status,
+      reason,
+      moderated_by: moderatedBy || null,
+      moderated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase photo submission update failed: ${error.message}`)
+  }
+
+  let progressReverted = false
+  if (status === 'rejected') {
+    progressReverted = await revertStopProgress(supabase, data)
+    if (progressReverted) await markLeaderboardStale(supabase, data.organization_id, data.hunt_id)
+    // Same key recordStopProgressEvents used for the upload
+    await expireActivityEvent(supabase, `photo_uploaded:${data.team_id}:${data.location_id}:${data.photo_key || data.photo_url}`)
+    await notifyTeamOfRejection(supabase, data, reason)
+  }
+
+  return { submission: toSubmission(data), progressReverted }
+}
+
+module.exports = {
+  MODERATION_STATUSES,
+  toSubmission,
+  validateModerationInput,
+  recordPhotoSubmission,
+  listPhotoSubmissions,
+  getRejectedStopIds,
+  filterSubmittedPhotos,
+  moderatePhotoSubmission
+}
@@ -0,0 +1,225 @@
+/**
+ * Photo storage provider
+ *
+ * Every upload path stores media through this module instead of calling a
+ * storage SDK directly. The driver is picked by PHOTO_STORAGE_DRIVER:
+ *   cloudinary (default) - Cloudinary, with server-side transformations
+ *   local                - files under PHOTO_STORAGE_LOCAL_DIR, served at /media (dev, e2e)
+ *   s3                   - any S3-compatible bucket (AWS S3, MinIO, R2)
+ *
+ * A driver implements:
+ *   name                                  - also the circuit breaker key
+ *   isConfigured(env)                     - whether the credentials it needs are set
+ *   missingConfigMessage                  - shown in 500 responses when not configured
+ *   upload(buffer, options)               - one attempt; resolves to a StoredMedia
+ *   verify(publicId, resourceType)        - whether the asset exists
+ *   delete(publicId, resourceType)        - remove the asset; may throw
+ *   transformUrl(url, transform)          - delivery URL with resizing applied (or url unchanged)
+ *   ownsUrl(url, env)                     - whether a delivery URL points into this driver's storage
+ *
+ * Upload options: { folder, publicId, resourceType: 'image'|'video'|'auto', contentType,
+ *   tags, context, transform: { width, height, crop, quality, format }, overwrite }
+ * StoredMedia: { publicId, secureUrl, resourceType, format, bytes, width, height, duration }
+ *
+ * @ai-related-files: /netlify/functions/_lib/cloudinaryPhotoStorage.js, /netlify/functions/_lib/localPhotoStorage.js, /netlify/functions/_lib/s3PhotoStorage.js
+ */
+
+const { checkBreaker, recordBreakerFailure, recordBreakerSuccess } = require('./circuitBreaker')
+
+const DRIVERS = {
+  cloudinary: () => require('./cloudinaryPhotoStorage'),
+  local: () => require('./localPhotoStorage'),
+  s3: () => require('./s3PhotoStorage')
+}
+
+const DEFAULT_DRIVER = 'cloudinary'
+const DEFAULT_FOLDER = 'scavenger/entries'
+const RETRY_DELAYS = [500, 1000, 2000]
+const READ_TIMEOUT_MS = 15000
+
+// Incoming limit applied to photos by the completion endpoints
+const PHOTO_UPLOAD_TRANSFORM = { width: 1600, height: 1600, crop: 'limit', quality: 'auto:good', format: 'auto' }
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Name of the configured driver
+ * @throws {Error} When PHOTO_STORAGE_DRIVER names an unknown driver
+ */
+function getStorageDriverName(env = process.env) {
+  const name = (env.PHOTO_STORAGE_DRIVER || DEFAULT_DRIVER).trim().toLowerCase()
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown PHOTO_STORAGE_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(', ')})`)
+  }
+  return name
+}
+
+/**
+ * The configured storage driver
+ */
+function getPhotoStorage(env = process.env) {
+  return DRIVERS[getStorageDriverName(env)]()
+}
+
+function isPhotoStorageConfigured(env = process.env) {
+  return getPhotoStorage(env).isConfigured(env)
+}
+
+/**
+ * Body for the 500 returned when the storage driver is missing credentials
+ */
+function storageNotConfiguredBody(requestId, env = process.env) {
+  return {
+    error: 'Server configuration error',
+    details: getPhotoStorage(env).missingConfigMessage,
+    requestId
+  }
+}
+
+/**
+ * Folder uploads are stored under
+ * CLOUDINARY_UPLOAD_FOLDER is still honoured so existing deploys keep their layout.
+ */
+function getUploadFolder(env = process.env) {
+  return env.PHOTO_STORAGE_FOLDER || env.CLOUDINARY_UPLOAD_FOLDER || DEFAULT_FOLDER
+}
+
+/**
+ * Store a buffer with up to 3 attempts
+ * One breaker failure is recorded per exhausted upload, not per attempt.
+ *
+ * @param {Buffer} fileBuffer
+ * @param {object} options - Upload options (see header)
+ * @returns {Promise<object>} StoredMedia
+ * @throws {Error} "Circuit breaker OPEN for <driver>" or the last upload error
+ */
+async function uploadMedia(fileBuffer, options) {
+  const storage = getPhotoStorage()
+  checkBreaker(storage.name)
+
+  let lastError
+  for (let attempt = 0; attempt < RETRY_DELAYS.length; attempt++) {
+    try {
+      const result = await storage.upload(fileBuffer, {
+        folder: getUploadFolder(),
+        resourceType: 'auto',
+        overwrite: true,
+        ...options
+      })
+      recordBreakerSuccess(storage.name)
+      return result
+    } catch (error) {
+      lastError = error
+      console.log(`[PhotoStorage:${storage.name}] Upload attempt ${attempt + 1} failed:`, error.message)
+
+      if (attempt < RETRY_DELAYS.length - 1) {
+        await sleep(RETRY_DELAYS[attempt])
+      }
+    }
+  }
+
+  recordBreakerFailure(storage.name)
+  throw lastError
+}
+
+/**
+ * Verify a stored asset exists, retrying transient lookup failures
+ * @param {string} publicId
+ * @param {'image'|'video'} resourceType
+ */
+async function verifyMedia(publicId, resourceType = 'image') {
+  const storage = getPhotoStorage()
+
+  for (let attempt = 0; attempt < RETRY_DELAYS.length; attempt++) {
+    try {
+      if (await storage.verify(publicId, resourceType)) return true
+    } catch (error) {
+      console.log(`[PhotoStorage:${storage.name}] Verify attempt ${attempt + 1} failed:`, error.message)
+    }
+
+    if (attempt < RETRY_DELAYS.length - 1) {
+      await sleep(RETRY_DELAYS[attempt])
+    }
+  }
+
+  return false
+}
+
+/**
+ * Delete a stored asset (compensation); never throws
+ * @param {string} publicId
+ * @param {'image'|'video'} resourceType
+ */
+async function deleteMedia(publicId, resourceType = 'image') {
+  const storage = getPhotoStorage()
+  try {
+    console.log(`[Compensation] Deleting ${storage.name} asset: ${publicId}`)
+    await storage.delete(publicId, resourceType)
+    console.log(`[Compensation] Successfully deleted asset: ${publicId}`)
+  } catch (error) {
+    console.error(`[Compensation] Failed to delete asset ${publicId}:`, error.message)
+    // Don't throw - best effort compensation
+  }
+}
+
+/**
+ * Delivery URL for a stored asset with a transform applied
+ * Drivers without server-side transformations return the URL unchanged.
+ *
+ * @param {string} url - secureUrl from uploadMedia
+ * @param {object} transform - { width, height, crop, quality, format }
+ */
+function transformMediaUrl(url, transform) {
+  if (!url) return url
+  return getPhotoStorage().transformUrl(url, transform)
+}
+
+/**
+ * Read a stored asset back by its delivery URL (collages, archives)
+ * Only URLs the configured driver produced are read: photo URLs come from
+ * the database, and anything else would make the server fetch arbitrary
+ * addresses. Local driver URLs are read from disk; the others are fetched.
+ *
+ * @param {string} url - secureUrl (optionally transformed)
+ * @returns {Promise<{ buffer: Buffer, contentType: string } | null>} null when missing, unreadable or foreign
+ */
+async function readMedia(url) {
+  try {
+    const storage = getPhotoStorage()
+    if (typeof url !== 'string' || !storage.ownsUrl(url)) {
+      console.warn(`[PhotoStorage] Refusing to read a URL outside ${storage.name} storage: ${url}`)
+      return null
+    }
+
+    if (storage.name === 'local') {
+      return await storage.readLocalMedia(url.slice(`${storage.getPublicBaseUrl()}/`.length))
+    }
+
+    const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(READ_TIMEOUT_MS) })
+    if (!response.ok) {
+      console.warn(`[PhotoStorage] Read failed (${response.status}): ${url}`)
+      return null
+    }
+    return {
+      buffer: Buffer.from(await response.arrayBuffer()),
+      contentType: (response.headers.get('content-type') || 'application/octet-stream').split(';')[0]
+    }
+  } catch (error) {
+    console.warn(`[PhotoStorage] Read failed: ${url}`, error.message)
+    return null
+  }
+}
+
+module.exports = {
+  PHOTO_UPLOAD_TRANSFORM,
+  getStorageDriverName,
+  getPhotoStorage,
+  isPhotoStorageConfigured,
+  storageNotConfiguredBody,
+  getUploadFolder,
+  uploadMedia,
+  verifyMedia,
+  deleteMedia,
+  transformMediaUrl,
+  readMedia
+}
@@ -9,8 +9,14 @@
  * 2. Teams with same completions are ranked by fastest total time
  * 3. First team to complete ALL stops is the overall winner
  * 4. Total time = time from first completion to last completion
+ * 5. Completed bonus stops break ties between equal completion counts
+ *
+ * When the hunt uses a score-ranked model (see scoringService), teams are
+ * ranked by score first and the rules above break ties.
  */
 
+const { getScoringModel } = require('./scoringService')
+
 /**
  * Calculate total completion time for a team
  * @param {Array} completedStops - Array of stop objects with completed_at timestamps
@@ -88,22 +94,35 @@ function formatDuration(ms) {
 }
 
 /**
- * Rank teams based on completion count and time
+ * Rank teams based on score (if configured), completion count and time
  * @param {Array} teams - Array of team objects with progress data
+ * @param {Object|null} scoringConfig - Normalized scoring config (optional)
  * @returns {Array} Sorted and ranked teams
  */
-function rankTeams(teams) {
+function rankTeams(teams, scoringConfig = null) {
   if (!teams || teams.length === 0) {
     return []
   }
 
+  const ranksByScore = scoringConfig ? getScoringModel(scoringConfig.model).ranksByScore : false
+
   // Sort teams by ranking rules
   const sorted = teams.sort((a, b) => {
+    // Rule 0: Higher score ranks higher for score-ranked models
+    if (ranksByScore && (b.score || 0) !== (a.score || 0)) {
+      return (b.score || 0) - (a.score || 0)
+    }
+
     // Rule 1: More completed stops ranks higher
     if (b.completedStops !== a.completedStops) {
       return b.completedStops - a.completedStops
     }
 
+    // Rule 1b: More completed bonus stops ranks higher
+    if ((b.bonusStops || 0) !== (a.bonusStops || 0)) {
+      return (b.bonusStops || 0) - (a.bonusStops || 0)
+    }
+
     // Rule 2: For same completions, faster total time ranks higher
     // Only compare times if both teams have completed at least one stop
     if (a.completedStops > 0 && b.completedStops > 0) {
@@ -161,10 +180,52 @@ function enrichTeamWithTimeData(team, progressData) {
   }
 }
 
+/**
+ * Compute rank-change deltas between two ranked leaderboards
+ * Only teams that are new, moved, or changed progress/score are returned.
+ * @param {Array} previousTeams - Previously ranked teams (may be empty)
+ * @param {Array} currentTeams - Newly ranked teams
+ * @returns {Array} Deltas: { teamId, rank, previousRank, movement, completedStops, previousCompletedStops, score, previousScore }
+ *   movement is positive when a team moved up (null for newly listed teams)
+ */
+function computeRankChanges(previousTeams, currentTeams) {
+  const previousById = new Map((previousTeams || []).map(team => [team.teamId, team]))
+  const changes = []
+
+  for (const team of currentTeams || []) {
+    const previous = previousById.get(team.teamId)
+    const score = team.score ?? null
+    const previousScore = previous ? (previous.score ?? null) : null
+
+    if (
+      previous &&
+      previous.rank === team.rank &&
+      previous.completedStops === team.completedStops &&
+      previousScore === score
+    ) {
+      continue
+    }
+
+    changes.push({
+      teamId: team.teamId,
+      rank: team.rank,
+      previousRank: previous ? previous.rank : null,
+      movement: previous ? previous.rank - team.rank : null,
+      completedStops: team.completedStops,
+      previousCompletedStops: previous ? previous.completedStops : null,
+      score,
+      previousScore
+    })
+  }
+
+  return changes
+}
+
 module.exports = {
   calculateTotalTime,
   calculateAverageTime,
   formatDuration,
   rankTeams,
-  enrichTeamWithTimeData
+  enrichTeamWithTimeData,
+  computeRankChanges
 }
@@ -0,0 +1,174 @@
+/**
+ * S3-compatible photo storage driver (PHOTO_STORAGE_DRIVER=s3)
+ *
+ * Works with AWS S3 and S3-compatible stores (MinIO, Cloudflare R2, ...)
+ * using path-style requests signed with AWS Signature V4, so no SDK is needed.
+ * Objects are delivered from PHOTO_STORAGE_PUBLIC_URL (a CDN or public bucket
+ * URL), defaulting to the bucket's own path-style URL. Files are kept as
+ * uploaded, so transforms are no-ops.
+ *
+ * Config: PHOTO_STORAGE_S3_BUCKET, PHOTO_STORAGE_S3_ACCESS_KEY_ID,
+ *   PHOTO_STORAGE_S3_SECRET_ACCESS_KEY, PHOTO_STORAGE_S3_REGION (us-east-1),
+ *   PHOTO_STORAGE_S3_ENDPOINT (https://s3.<region>.amazonaws.com)
+ *
+ * @ai-related-files: /netlify/functions/_lib/photoStorage.js
+ */
+
+const crypto = require('crypto')
+const { sniffMediaFormat } = require('./stopMedia')
+const { toStorageKey } = require('./localPhotoStorage')
+
+const name = 's3'
+const missingConfigMessage = 'S3 storage not configured. Please set PHOTO_STORAGE_S3_BUCKET, PHOTO_STORAGE_S3_ACCESS_KEY_ID, and PHOTO_STORAGE_S3_SECRET_ACCESS_KEY environment variables.'
+
+function getS3Config(env = process.env) {
+  const region = env.PHOTO_STORAGE_S3_REGION || 'us-east-1'
+  const endpoint = (env.PHOTO_STORAGE_S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '')
+  const bucket = env.PHOTO_STORAGE_S3_BUCKET || ''
+  return {
+    bucket,
+    region,
+    endpoint,
+    accessKeyId: env.PHOTO_STORAGE_S3_ACCESS_KEY_ID || '',
+    secretAccessKey: env.PHOTO_STORAGE_S3_SECRET_ACCESS_KEY || '',
+    publicBaseUrl: (env.PHOTO_STORAGE_PUBLIC_URL || `${endpoint}/${bucket}`).replace(/\/+$/, '')
+  }
+}
+
+function isConfigured(env = process.env) {
+  const config = getS3Config(env)
+  return Boolean(config.bucket && config.accessKeyId && config.secretAccessKey)
+}
+
+// RFC 3986 encoding per path segment, as SigV4 expects
+function encodeKey(key) {
+  return key.split('/').map(segment =>
+    encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+  ).join('/')
+}
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex')
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+
+/**
+ * Sign a request with AWS Signature V4
+ * @returns {object} Headers to send, including Authorization
+ */
+function signRequest(config, { method, url, headers = {}, body }, now = new Date()) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '')
+  const dateStamp = amzDate.slice(0, 8)
+  const payloadHash = sha256Hex(body || '')
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  }
+  const headerNames = Object.keys(signed).sort()
+  const signedHeaders = headerNames.join(';')
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    headerNames.map(header => `${header}:${signed[header]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n')
+
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n')
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region), 's3'), 'aws4_request')
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+
+  const { host, ...sendHeaders } = signed
+  return {
+    ...sendHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  }
+}
+
+async function s3Request(method, key, { headers, body } = {}) {
+  const config = getS3Config()
+  const url = new URL(`${config.endpoint}/${config.bucket}/${encodeKey(key)}`)
+  return fetch(url, {
+    method,
+    headers: signRequest(config, { method, url, headers, body }),
+    body
+  })
+}
+
+async function upload(fileBuffer, options) {
+  const { format, contentType, resourceType } = sniffMediaFormat(fileBuffer, options.contentType)
+  const baseId = options.publicId || `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`
+  // Ids carry the extension so delivery URLs keep it (the client tells videos apart by it)
+  const publicId = toStorageKey(`${options.folder ? `${options.folder}/` : ''}${baseId}.${format}`)
+
+  const stored = {
+    publicId,
+    secureUrl: `${getS3Config().publicBaseUrl}/${encodeKey(publicId)}`,
+    resourceType,
+    format,
+    bytes: fileBuffer.length,
+    width: null,
+    height: null,
+    duration: null
+  }
+
+  if (options.overwrite === false && await verify(publicId)) {
+    return stored
+  }
+
+  const response = await s3Request('PUT', publicId, {
+    headers: {
+      'content-type': contentType,
+      'cache-control': 'public, max-age=31536000',
+      'x-amz-meta-tags': (options.tags || []).join(','),
+      'x-amz-meta-context': encodeURIComponent(JSON.stringify(options.context || {}))
+    },
+    body: fileBuffer
+  })
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '')
+    throw new Error(`S3 upload failed (${response.status}): ${detail.slice(0, 200)}`)
+  }
+
+  return stored
+}
+
+async function verify(publicId) {
+  const response = await s3Request('HEAD', toStorageKey(publicId))
+  if (response.status === 404) return false
+  if (!response.ok) throw new Error(`S3 HEAD failed (${response.status})`)
+  return true
+}
+
+async function deleteAsset(publicId) {
+  const response = await s3Request('DELETE', toStorageKey(publicId))
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`S3 delete failed (${response.status})`)
+  }
+}
+
+function transformUrl(url) {
+  return url
+}
+
+function ownsUrl(url, env = process.env) {
+  return url.startsWith(`${getS3Config(env).publicBaseUrl}/`)
+}
+
+module.exports = {
+  name,
+  missingConfigMessage,
+  isConfigured,
+  upload,
+  verify,
+  delete: deleteAsset,
+  transformUrl,
+  ownsUrl,
+  getS3Config,
+  signRequest
+}
@@ -0,0 +1,232 @@
+/**
+ * ScoringService - Point-based scoring for team rankings
+ *
+ * Each hunt picks a scoring model through hunts.scoring_config (JSONB).
+ * Hunts without a config use the 'completion' model, which keeps the
+ * original ranking rules (completed stops, then fastest total time).
+ *
+ * Built-in models:
+ * - completion: 1 point per completed stop, ranking unchanged
+ * - points: weighted stops, hint penalties, completion and time bonuses
+ *
+ * Additional models can be plugged in with registerScoringModel().
+ *
+ * Example scoring_config:
+ * {
+ *   "model": "points",
+ *   "pointsPerStop": 100,
+ *   "stopPoints": { "covered-bridge": 150 },
+ *   "hintPenalty": 10,
+ *   "maxHintPenaltyRatio": 0.5,
+ *   "completionBonus": 250,
+ *   "timeBonus": { "targetMinutes": 120, "maxPoints": 200 }
+ * }
+ */
+
+const DEFAULT_SCORING_CONFIG = {
+  model: 'completion',
+  pointsPerStop: 100,
+  stopPoints: {},
+  hintPenalty: 0,
+  maxHintPenaltyRatio: 1,
+  completionBonus: 0,
+  timeBonus: null
+}
+
+/**
+ * Score every completed stop with its weight minus hint penalties
+ * @param {Array} completed - Completed progress records
+ * @param {Object} config - Normalized scoring config
+ * @param {boolean} applyPenalties - Whether hint penalties count
+ * @returns {Array} Per-stop breakdown
+ */
+function scoreStops(completed, config, applyPenalties) {
+  return completed.map(record => {
+    const stopId = record.location_id
+    const base = config.stopPoints[stopId] ?? config.pointsPerStop
+    const hintsUsed = Number(record.revealed_hints) || 0
+    const rawPenalty = applyPenalties ? hintsUsed * config.hintPenalty : 0
+    const hintPenalty = Math.min(rawPenalty, Math.floor(base * config.maxHintPenaltyRatio))
+
+    return {
+      stopId,
+      basePoints: base,
+      hintsUsed,
+      hintPenalty,
+      points: base - hintPenalty
+    }
+  })
+}
+
+/**
+ * Time bonus scales linearly from maxPoints (instant) to 0 (at target time)
+ * @param {Object|null} timeBonus - { targetMinutes, maxPoints }
+ * @param {number|null} totalTimeMs - Team's total time
+ * @param {boolean} isComplete - Whether the team finished every stop
+ * @returns {number} Bonus points
+ */
+function calculateTimeBonus(timeBonus, totalTimeMs, isComplete) {
+  if (!timeBonus || !isComplete || totalTimeMs === null || totalTimeMs === undefined) {
+    return 0
+  }
+
+  const targetMs = (Number(timeBonus.targetMinutes) || 0) * 60 * 1000
+  const maxPoints = Number(timeBonus.maxPoints) || 0
+  if (targetMs <= 0 || maxPoints <= 0) return 0
+
+  const ratio = Math.max(0, 1 - totalTimeMs / targetMs)
+  return Math.round(maxPoints * ratio)
+}
+
+/**
+ * Build the score breakdown shared by the built-in models
+ */
+function buildBreakdown(progressRecords, config, context, { weighted }) {
+  const completed = (progressRecords || []).filter(p => p.done)
+  const effectiveConfig = weighted
+    ? config
+    : { ...config, pointsPerStop: 1, stopPoints: {}, hintPenalty: 0 }
+
+  const stops = scoreStops(completed, effectiveConfig, weighted)
+  const stopPoints = stops.reduce((sum, s) => sum + s.basePoints, 0)
+  const hintPenalty = stops.reduce((sum, s) => sum + s.hintPenalty, 0)
+  const completionBonus = weighted && context.isComplete ? config.completionBonus : 0
+  const timeBonus = weighted
+    ? calculateTimeBonus(config.timeBonus, context.totalTimeMs, context.isComplete)
+    : 0
+
+  return {
+    model: config.model,
+    stops,
+    stopPoints,
+    hintPenalty,
+    completionBonus,
+    timeBonus,
+    total: Math.max(0, stopPoints - hintPenalty + completionBonus + timeBonus)
+  }
+}
+
+const scoringModels = {
+  completion: {
+    ranksByScore: false,
+    score: (progressRecords, config, context) =>
+      buildBreakdown(progressRecords, config, context, { weighted: false })
+  },
+  points: {
+    ranksByScore: true,
+    score: (progressRecords, config, context) =>
+      buildBreakdown(progressRecords, config, context, { weighted: true })
+  }
+}
+
+/**
+ * Register a custom scoring model
+ * @param {string} name - Model name referenced by scoring_config.model
+ * @param {Object} model - { score(progressRecords, config, context), ranksByScore }
+ */
+function registerScoringModel(name, model) {
+  if (!name || !model || typeof model.score !== 'function') {
+    throw new Error('Scoring model requires a name and a score function')
+  }
+  scoringModels[name] = { ranksByScore: true, ...model }
+}
+
+/**
+ * Look up a scoring model, falling back to 'completion'
+ * @param {string} name - Model name
+ * @returns {Object} Scoring model
+ */
+function getScoringModel(name) {
+  return scoringModels[name] || scoringModels.completion
+}
+
+/**
+ * Merge a raw hunts.scoring_config value with defaults
+ * @param {Object|string|null} raw - Stored config (object or JSON string)
+ * @returns {Object} Normalized scoring config
+ */
+function normalizeScoringConfig(raw) {
+  let parsed = raw
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw)
+    } catch {
+      parsed = null
+    }
+  }
+
+  const config = { ...DEFAULT_SCORING_CONFIG, ...(parsed && typeof parsed === 'object' ? parsed : {}) }
+
+  if (!scoringModels[config.model]) {
+    console.warn(`[scoringService] Unknown scoring model "${config.model}", using completion`)
+    config.model = 'completion'
+  }
+
+  config.pointsPerStop = Number(config.pointsPerStop) || 0
+  config.stopPoints = config.stopPoints && typeof config.stopPoints === 'object' ? config.stopPoints : {}
+  config.hintPenalty = Math.max(0, Number(config.hintPenalty) || 0)
+  config.maxHintPenaltyRatio = Math.min(1, Math.max(0, Number(config.maxHintPenaltyRatio ?? 1)))
+  config.completionBonus = Math.max(0, Number(config.completionBonus) || 0)
+
+  return config
+}
+
+/**
+ * Load the scoring config for a hunt
+ * @param {Object} supabase - Supabase client
+ * @param {string} orgId - Organization ID
+ * @param {string} huntId - Hunt ID
+ * @returns {Promise<Object>} Normalized scoring config (defaults on failure)
+ */
+async function getHuntScoringConfig(supabase, orgId, huntId) {
+  try {
+    const { data, error } = await supabase
+      .from('hunts')
+      .select('scoring_config')
+      .eq('organization_id', orgId)
+      .eq('id', huntId)
+      .single()
+
+    if (error) {
+      console.warn('[scoringService] Could not load scoring config:', error.message)
+      return normalizeScoringConfig(null)
+    }
+
+    return normalizeScoringConfig(data?.scoring_config)
+  } catch (error) {
+    console.warn('[scoringService] Could not load scoring config:', error.message)
+    return normalizeScoringConfig(null)
+  }
+}
+
+/**
+ * Score a team and attach score + scoreBreakdown
+ * @param {Object} team - Team enriched by enrichTeamWithTimeData
+ * @param {Array} progressRecords - hunt_progress rows for the team
+ * @param {Object} config - Normalized scoring config
+ * @returns {Object} Team with score and scoreBreakdown
+ */
+function applyScore(team, progressRecords, config) {
+  const model = getScoringModel(config.model)
+  const breakdown = model.score(progressRecords || [], config, {
+    totalStops: team.totalStops,
+    totalTimeMs: team.totalTimeMs ?? null,
+    isComplete: !!team.isComplete
+  })
+
+  return {
+    ...team,
+    score: breakdown.total,
+    scoreBreakdown: breakdown
+  }
+}
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG,
+  calculateTimeBonus,
+  registerScoringModel,
+  getScoringModel,
+  normalizeScoringConfig,
+  getHuntScoringConfig,
+  applyScore
+}
@@ -0,0 +1,308 @@
+/**
+ * SponsorAdmin - Organizer management of sponsor_assets for a hunt
+ *
+ * Sponsors are shown as inline SVG (svg_text) or as an image stored in the
+ * `sponsors` storage bucket (storage_path), the same columns sponsors-get
+ * reads. Images arrive as data URLs and are uploaded here with the
+ * service-role client.
+ */
+
+const { invalidatePattern, CacheKeys } = require('./cache')
+
+const SPONSOR_BUCKET = 'sponsors'
+const IMAGE_TYPES = ['svg', 'png', 'jpeg', 'jpg']
+const MAX_IMAGE_BYTES = 1024 * 1024
+const MAX_SVG_LENGTH = 100000
+const MAX_NAME_LENGTH = 120
+const SIGNED_URL_TTL_SECONDS = 3600
+
+const DATA_URL_REGEX = /^data:image\/(png|jpeg|jpg);base64,([A-Za-z0-9+/=]+)$/
+
+/**
+ * Derive a company ID from its name (e.g. "Alpine Coffee Co." -> "alpine-coffee-co")
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50)
+}
+
+/**
+ * Decode an uploaded image
+ * @param {string} dataUrl - data:image/(png|jpeg);base64,...
+ * @returns {{ type: string, buffer: Buffer }}
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function decodeImage(dataUrl) {
+  const match = typeof dataUrl === 'string' ? DATA_URL_REGEX.exec(dataUrl) : null
+  if (!match) {
+    throw new Error('Validation failed: image must be a PNG or JPEG data URL')
+  }
+
+  const buffer = Buffer.from(match[2], 'base64')
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error(`Validation failed: image exceeds ${MAX_IMAGE_BYTES / 1024} KB`)
+  }
+
+  return { type: match[1] === 'jpg' ? 'jpeg' : match[1], buffer }
+}
+
+/**
+ * Validate and normalize sponsor input
+ * @param {Object} input - { companyName, alt, isActive, svg, image }
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow omitted fields (edits)
+ * @returns {{ values: Object, image: Object|null }} sponsor_assets columns and decoded image
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validateSponsorInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Validation failed: sponsor body required')
+  }
+
+  const values = {}
+
+  if (input.companyName !== undefined || !partial) {
+    if (typeof input.companyName !== 'string' || !input.companyName.trim() || input.companyName.length > MAX_NAME_LENGTH) {
+      throw new Error(`Validation failed: companyName is required (up to ${MAX_NAME_LENGTH} characters)`)
+    }
+    values.company_name = input.companyName.trim()
+    if (!partial) values.company_id = slugify(values.company_name) || 'sponsor'
+  }
+
+  if (input.alt !== undefined || !partial) {
+    const alt = typeof input.alt === 'string' && input.alt.trim() ? input.alt.trim() : values.company_name
+    if (!alt || alt.length > MAX_NAME_LENGTH) {
+      throw new Error(`Validation failed: alt text is required (up to ${MAX_NAME_LENGTH} characters)`)
+    }
+    values.image_alt = alt
+  }
+
+  if (input.isActive !== undefined) {
+    if (typeof input.isActive !== 'boolean') throw new Error('Validation failed: isActive must be a boolean')
+    values.is_active = input.isActive
+  }
+
+  let image = null
+  if (input.svg !== undefined && input.image !== undefined) {
+    throw new Error('Validation failed: send either svg or image, not both')
+  }
+  if (input.svg !== undefined) {
+    if (typeof input.svg !== 'string' || !/^\s*<svg[\s>]/i.test(input.svg) || input.svg.length > MAX_SVG_LENGTH) {
+      throw new Error('Validation failed: svg must be SVG markup')
+    }
+    values.image_type = 'svg'
+    values.svg_text = input.svg.trim()
+    values.storage_path = null
+  } else if (input.image !== undefined) {
+    image = decodeImage(input.image)
+    values.image_type = image.type
+    values.svg_text = null
+  } else if (!partial) {
+    throw new Error('Validation failed: a logo (svg or image) is required')
+  }
+
+  return { values, image }
+}
+
+/**
+ * Map a sponsor_assets row to the admin API shape
+ * @param {Object} row - sponsor_assets row
+ * @param {string|null} src - Signed URL of the stored image
+ */
+function toAdminSponsor(row, src = null) {
+  return {
+    id: row.id,
+    companyId: row.company_id,
+    companyName: row.company_name,
+    alt: row.image_alt,
+    type: IMAGE_TYPES.includes(row.image_type) ? row.image_type : 'png',
+    order: row.order_index,
+    isActive: row.is_active !== false,
+    svg: row.image_type === 'svg' ? row.svg_text || null : null,
+    src
+  }
+}
+
+async function signedImageUrl(supabase, storagePath) {
+  if (!storagePath) return null
+
+  const { data, error } = await supabase.storage
+    .from(SPONSOR_BUCKET)
+    .createSignedUrl(storagePath, SIGNED_URL_TTL_SECONDS)
+
+  if (error) {
+    console.warn(`[sponsorAdmin] Failed to sign ${storagePath}:`, error.message)
+    return null
+  }
+  return data?.signedUrl || null
+}
+
+async function uploadImage(supabase, { orgId, huntId, companyId, image }) {
+  const storagePath = `${orgId}/${huntId}/${companyId}-${Date.now()}.${image.type}`
+
+  const { error } = await supabase.storage
+    .from(SPONSOR_BUCKET)
+    .upload(storagePath, image.buffer, { contentType: `image/${image.type}`, upsert: false })
+
+  if (error) {
+    throw new Error(`Supabase sponsor image upload failed: ${error.message}`)
+  }
+  return storagePath
+}
+
+async function withSignedUrl(supabase, row) {
+  return toAdminSponsor(row, row.image_type === 'svg' ? null : await signedImageUrl(supabase, row.storage_path))
+}
+
+/**
+ * Every sponsor of a hunt, including inactive ones, in display order
+ */
+async function listHuntSponsors(supabase, { orgId, huntId }) {
+  const { data, error } = await supabase
+    .from('sponsor_assets')
+    .select('*')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .order('order_index', { ascending: true })
+
+  if (error) {
+    throw new Error(`Supabase sponsors query failed: ${error.message}`)
+  }
+
+  return Promise.all((data || []).map(row => withSignedUrl(supabase, row)))
+}
+
+/**
+ * Add a sponsor after the existing ones
+ */
+async function createSponsor(supabase, { orgId, huntId, input }) {
+  const { values, image } = validateSponsorInput(input)
+  const existing = await listHuntSponsors(supabase, { orgId, huntId })
+
+  if (image) {
+    values.storage_path = await uploadImage(supabase, { orgId, huntId, companyId: values.company_id, image })
+  }
+
+  const { data, error } = await supabase
+    .from('sponsor_assets')
+    .insert({
+      ...values,
+      organization_id: orgId,
+      hunt_id: huntId,
+      order_index: existing.reduce((max, sponsor) => Math.max(max, sponsor.order || 0), 0) + 1,
+      is_active: values.is_active !== false
+    })
+    .select('*')
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase sponsor insert failed: ${error.message}`)
+  }
+
+  invalidatePattern(CacheKeys.sponsors(orgId, huntId))
+  return withSignedUrl(supabase, data)
+}
+
+/**
+ * Edit a sponsor's name, alt text, logo or active flag
+ * @returns {Promise<Object|null>} Updated sponsor, or null when it isn't part of the hunt
+ */
+async function updateSponsor(supabase, { orgId, huntId, id, input }) {
+  const { values, image } = validateSponsorInput(input, { partial: true })
+
+  if (image) {
+    const { data: row } = await supabase
+      .from('sponsor_assets')
+      .select('company_id')
+      .eq('id', id)
+      .eq('organization_id', orgId)
+      .eq('hunt_id', huntId)
+      .maybeSingle()
+    if (!row) return null
+    values.storage_path = await uploadImage(supabase, { orgId, huntId, companyId: row.company_id, image })
+  }
+
+  const { data, error } = await supabase
+    .from('sponsor_assets')
+    .update(values)
+    .eq('id', id)
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .select('*')
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase sponsor update failed: ${error.message}`)
+  }
+  if (!data) return null
+
+  invalidatePattern(CacheKeys.sponsors(orgId, huntId))
+  return withSignedUrl(supabase, data)
+}
+
+/**
+ * Remove a sponsor (its stored image is kept for history)
+ * @returns {Promise<boolean>} False when it isn't part of the hunt
+ */
+async function deleteSponsor(supabase, { orgId, huntId, id }) {
+  const { data, error } = await supabase
+    .from('sponsor_assets')
+    .delete()
+    .eq('id', id)
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .select('id')
+
+  if (error) {
+    throw new Error(`Supabase sponsor delete failed: ${error.message}`)
+  }
+
+  invalidatePattern(CacheKeys.sponsors(orgId, huntId))
+  return (data || []).length > 0
+}
+
+/**
+ * Set the display order of a hunt's sponsors
+ * @param {string[]} ids - Every sponsor of the hunt, first to last
+ */
+async function reorderSponsors(supabase, { orgId, huntId, ids }) {
+  const existing = await listHuntSponsors(supabase, { orgId, huntId })
+  const known = new Set(existing.map(sponsor => sponsor.id))
+
+  if (
+    !Array.isArray(ids) ||
+    ids.length !== known.size ||
+    new Set(ids).size !== ids.length ||
+    !ids.every(id => known.has(id))
+  ) {
+    throw new Error('Validation failed: ids must list every sponsor of the hunt exactly once')
+  }
+
+  const results = await Promise.all(ids.map((id, index) =>
+    supabase
+      .from('sponsor_assets')
+      .update({ order_index: index + 1 })
+      .eq('id', id)
+      .eq('organization_id', orgId)
+      .eq('hunt_id', huntId)
+  ))
+
+  const failed = results.find(result => result.error)
+  if (failed) {
+    throw new Error(`Supabase sponsor reorder failed: ${failed.error.message}`)
+  }
+
+  invalidatePattern(CacheKeys.sponsors(orgId, huntId))
+  return listHuntSponsors(supabase, { orgId, huntId })
+}
+
+module.exports = {
+  slugify,
+  decodeImage,
+  validateSponsorInput,
+  toAdminSponsor,
+  listHuntSponsors,
+  createSponsor,
+  updateSponsor,
+  deleteSponsor,
+  reorderSponsors
+}
@@ -0,0 +1,131 @@
+/**
+ * Stop media requirements
+ *
+ * hunt_stops.media_type says what a stop's challenge asks for:
+ *   photo           - a photo (default)
+ *   video           - a short video clip
+ *   photo_or_video  - either
+ *
+ * Uploads are classified by content type and rejected with
+ * MEDIA_TYPE_NOT_ALLOWED when the stop doesn't accept them.
+ * sniffMediaFormat identifies stored files for drivers that can't probe them
+ * (see _lib/photoStorage.js).
+ *
+ * @ai-related-files: /scripts/sql/chunked-uploads-video.sql, /netlify/functions/chunked-upload.js, /netlify/functions/photo-upload-complete.js
+ */
+
+const MEDIA_TYPES = ['photo', 'video', 'photo_or_video']
+
+const VIDEO_CONTENT_TYPES = ['video/mp4', 'video/quicktime', 'video/webm']
+
+function normalizeMediaType(value) {
+  return MEDIA_TYPES.includes(value) ? value : 'photo'
+}
+
+/**
+ * Classify an upload by MIME type
+ * @returns {'photo'|'video'|null} null for unsupported types
+ */
+function mediaKindForContentType(contentType) {
+  const type = String(contentType || '').toLowerCase().split(';')[0].trim()
+  if (type.startsWith('image/')) return 'photo'
+  if (VIDEO_CONTENT_TYPES.includes(type)) return 'video'
+  return null
+}
+
+const FORMAT_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  svg: 'image/svg+xml',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm'
+}
+
+/**
+ * Identify a stored file's format from its leading bytes, falling back to the
+ * declared content type (storage drivers without server-side probing)
+ * @returns {{ format: string, contentType: string, resourceType: 'image'|'video'|'raw' }}
+ */
+function sniffMediaFormat(buffer, contentType) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1')
+  let format = null
+
+  if (buffer.length >= 12) {
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) format = 'jpg'
+    else if (buffer[0] === 0x89 && ascii(1, 4) === 'PNG') format = 'png'
+    else if (ascii(0, 3) === 'GIF') format = 'gif'
+    else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') format = 'webp'
+    else if (buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3) format = 'webm'
+    else if (ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12)
+      if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) format = 'heic'
+      else format = brand === 'qt  ' ? 'mov' : 'mp4'
+    }
+  }
+
+  if (!format) {
+    const declared = String(contentType || '').toLowerCase().split(';')[0].trim()
+    format = Object.keys(FORMAT_CONTENT_TYPES).find(key => FORMAT_CONTENT_TYPES[key] === declared) || null
+  }
+  if (!format) {
+    return { format: 'bin', contentType: 'application/octet-stream', resourceType: 'raw' }
+  }
+
+  const resolvedType = FORMAT_CONTENT_TYPES[format]
+  return { format, contentType: resolvedType, resourceType: resolvedType.startsWith('video/') ? 'video' : 'image' }
+}
+
+function isMediaAllowed(mediaType, kind) {
+  const normalized = normalizeMediaType(mediaType)
+  return normalized === 'photo_or_video' || normalized === kind
+}
+
+/**
+ * Read a stop's media type; falls back to 'photo' (e.g. before the migration ran)
+ */
+async function getStopMediaType(supabase, stopId) {
+  const { data, error } = await supabase
+    .from('hunt_stops')
+    .select('media_type')
+    .eq('stop_id', stopId)
+    .maybeSingle()
+
+  if (error) {
+    console.warn('[stopMedia] media_type lookup failed, assuming photo:', error.message)
+    return 'photo'
+  }
+  return normalizeMediaType(data?.media_type)
+}
+
+/**
+ * Check whether a stop accepts this kind of upload
+ * @returns {Promise<{ allowed: boolean, mediaType: string, code?: string, error?: string }>}
+ */
+async function checkMediaAllowed(supabase, stopId, kind) {
+  const mediaType = await getStopMediaType(supabase, stopId)
+  if (isMediaAllowed(mediaType, kind)) {
+    return { allowed: true, mediaType }
+  }
+
+  return {
+    allowed: false,
+    mediaType,
+    code: 'MEDIA_TYPE_NOT_ALLOWED',
+    error: mediaType === 'video' ? 'This stop needs a video clip' : 'This stop needs a photo'
+  }
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  VIDEO_CONTENT_TYPES,
+  normalizeMediaType,
+  mediaKindForContentType,
+  sniffMediaFormat,
+  isMediaAllowed,
+  getStopMediaType,
+  checkMediaAllowed
+}
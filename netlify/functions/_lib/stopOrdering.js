@@ -0,0 +1,253 @@
+/**
+ * Stop Ordering - Which stops a team can see and complete
+ *
+ * hunt_ordering_config.ordering_strategy:
+ *   fixed      - stops in hunt_configurations.default_order, all open
+ *   randomized - per-team order from team_stop_orders, all open
+ *   sequential - default_order, but a required stop stays locked until every
+ *                required stop before it is completed
+ *
+ * On top of the strategy, per-stop unlock rules (see unlockRules.js) hide
+ * branching and bonus stops until their conditions are met.
+ *
+ * Locked stops are redacted and hidden stops removed before they reach the
+ * client, and progress writes that would complete either are rejected.
+ */
+
+const { resolveTeamUuid } = require('./geofence')
+const { getHuntStopConfigs, resolveStopAvailability, hasBranching } = require('./unlockRules')
+
+const ORDERING_STRATEGIES = ['fixed', 'randomized', 'sequential']
+
+/**
+ * Load the hunt's ordering strategy
+ * @returns {Promise<string>} 'fixed' when not configured
+ */
+async function getOrderingStrategy(supabase, orgId, huntId) {
+  const { data, error } = await supabase
+    .from('hunt_ordering_config')
+    .select('ordering_strategy')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .single()
+
+  if (error || !data) {
+    return 'fixed'
+  }
+
+  return ORDERING_STRATEGIES.includes(data.ordering_strategy) ? data.ordering_strategy : 'fixed'
+}
+
+/**
+ * Strip everything that could give away a locked stop
+ * @param {Object} location - Location from getHuntLocations
+ * @returns {Object} Placeholder keeping only id and order
+ */
+function redactLockedStop(location) {
+  return {
+    id: location.id,
+    title: 'Locked stop',
+    clue: '',
+    hints: [],
+    position: undefined,
+    description: '',
+    address: '',
+    originalNumber: location.originalNumber,
+    stopType: location.stopType,
+    isCompleted: false,
+    isLocked: true,
+    pre_populated_image_url: null
+  }
+}
+
+/**
+ * Mark required stops after the first incomplete one as locked (and redact them)
+ * Optional and bonus stops never lock and never block the sequence.
+ * @param {Array} locations - Locations in hunt order
+ * @param {Set<string>} completedIds - Stops the team has completed
+ * @returns {Array} Locations with isLocked set
+ */
+function applySequentialLocks(locations, completedIds) {
+  let reachedOpenStop = false
+
+  return locations.map(location => {
+    if (location.stopType && location.stopType !== 'required') {
+      return { ...location, isLocked: false }
+    }
+    if (completedIds.has(location.id)) {
+      return { ...location, isCompleted: true, isLocked: false }
+    }
+    if (!reachedOpenStop) {
+      reachedOpenStop = true
+      return { ...location, isCompleted: false, isLocked: false }
+    }
+    return redactLockedStop(location)
+  })
+}
+
+/**
+ * Find stops that would be completed while an earlier stop is still open
+ * @param {Array<string>} orderedStopIds - Stop IDs in hunt order
+ * @param {Set<string>} completedIds - Stops already completed
+ * @param {Object} changes - { [stopId]: done } being written
+ * @returns {Array<string>} Stop IDs that are locked for this write
+ */
+function findLockedCompletions(orderedStopIds, completedIds, changes) {
+  const doneAfter = new Set(completedIds)
+  for (const [stopId, done] of Object.entries(changes)) {
+    if (done) doneAfter.add(stopId)
+    else doneAfter.delete(stopId)
+  }
+
+  const locked = []
+  let openStopSeen = false
+  for (const stopId of orderedStopIds) {
+    if (!doneAfter.has(stopId)) {
+      openStopSeen = true
+    } else if (openStopSeen && changes[stopId] && !completedIds.has(stopId)) {
+      locked.push(stopId)
+    }
+  }
+  return locked
+}
+
+/**
+ * Drop stops whose unlock rules don't hold for the team and tag each stop
+ * with its stop type
+ * @param {Array} locations - Locations in hunt order
+ * @param {Map} availability - From resolveStopAvailability
+ * @returns {Array} Visible locations with stopType set
+ */
+function applyUnlockRules(locations, availability) {
+  return locations
+    .filter(location => availability.get(location.id)?.visible !== false)
+    .map(location => ({
+      ...location,
+      stopType: availability.get(location.id)?.stopType || 'required'
+    }))
+}
+
+/**
+ * Stop IDs the team has completed
+ * @param {string} teamUuid - teams.id
+ */
+async function getCompletedStopIds(supabase, teamUuid) {
+  const { data, error } = await supabase
+    .from('hunt_progress')
+    .select('location_id')
+    .eq('team_id', teamUuid)
+    .eq('done', true)
+
+  if (error) {
+    throw new Error(`Supabase error loading progress: ${error.message}`)
+  }
+
+  return new Set((data || []).map(row => row.location_id))
+}
+
+/**
+ * Load what's needed to decide stop access for a team
+ * Missing ordering config or branching columns fall back to "all open".
+ */
+async function loadAccessState(supabase, orgId, huntId) {
+  const [strategy, stopConfigs] = await Promise.all([
+    getOrderingStrategy(supabase, orgId, huntId),
+    getHuntStopConfigs(supabase, orgId, huntId).catch(error => {
+      console.warn('[stopOrdering] Could not load stop rules:', error.message)
+      return []
+    })
+  ])
+
+  return {
+    strategy,
+    stopConfigs,
+    restricted: strategy === 'sequential' || hasBranching(stopConfigs)
+  }
+}
+
+/**
+ * Apply unlock rules and sequential locks for a team
+ * Fails closed: if progress cannot be loaded, the team is treated as having
+ * completed nothing.
+ * @param {Object} supabase - Supabase client
+ * @param {string} orgId
+ * @param {string} huntId
+ * @param {string|null} teamId - Team slug or teams.id UUID; null previews a team that hasn't started
+ * @param {Array} locations - Locations in hunt order
+ * @returns {Promise<Array>} Visible locations, locked ones redacted
+ */
+async function lockStopsForTeam(supabase, orgId, huntId, teamId, locations) {
+  const { strategy, stopConfigs, restricted } = await loadAccessState(supabase, orgId, huntId)
+  if (!restricted) {
+    return locations
+  }
+
+  let completedIds = new Set()
+  try {
+    const teamUuid = teamId ? await resolveTeamUuid(supabase, orgId, huntId, teamId) : null
+    if (teamUuid) {
+      completedIds = await getCompletedStopIds(supabase, teamUuid)
+    }
+  } catch (error) {
+    console.warn('[stopOrdering] Could not load progress, treating team as not started:', error.message)
+  }
+
+  const visible = applyUnlockRules(locations, resolveStopAvailability(stopConfigs, completedIds))
+  return strategy === 'sequential' ? applySequentialLocks(visible, completedIds) : visible
+}
+
+/**
+ * Gate for progress writes
+ * Rejects completing a stop whose unlock rule doesn't hold, or (sequential
+ * hunts) a required stop while an earlier required stop is open.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, teamId (slug or UUID), changes: { [stopId]: done } }
+ * @returns {Promise<Object>} { allowed, lockedStopIds?, code?, error? }
+ */
+async function checkProgressAllowed(supabase, { orgId, huntId, teamId, changes }) {
+  if (!Object.values(changes).some(Boolean)) {
+    return { allowed: true }
+  }
+
+  const { strategy, stopConfigs, restricted } = await loadAccessState(supabase, orgId, huntId)
+  if (!restricted) {
+    return { allowed: true }
+  }
+
+  const teamUuid = await resolveTeamUuid(supabase, orgId, huntId, teamId)
+  const completedIds = teamUuid ? await getCompletedStopIds(supabase, teamUuid) : new Set()
+  const availability = resolveStopAvailability(stopConfigs, completedIds)
+
+  const lockedStopIds = Object.entries(changes)
+    .filter(([stopId, done]) => done && !completedIds.has(stopId) && availability.get(stopId)?.visible === false)
+    .map(([stopId]) => stopId)
+
+  if (strategy === 'sequential') {
+    const orderedRequiredIds = stopConfigs
+      .filter(config => config.stopType === 'required' && availability.get(config.stopId)?.visible)
+      .map(config => config.stopId)
+    lockedStopIds.push(...findLockedCompletions(orderedRequiredIds, completedIds, changes))
+  }
+
+  if (lockedStopIds.length === 0) {
+    return { allowed: true }
+  }
+
+  return {
+    allowed: false,
+    lockedStopIds: [...new Set(lockedStopIds)],
+    code: 'STOP_LOCKED',
+    error: 'This stop is not unlocked yet'
+  }
+}
+
+module.exports = {
+  ORDERING_STRATEGIES,
+  getOrderingStrategy,
+  applySequentialLocks,
+  applyUnlockRules,
+  findLockedCompletions,
+  lockStopsForTeam,
+  getCompletedStopIds,
+  checkProgressAllowed
+}
@@ -5,6 +5,7 @@
 
 const { createClient } = require('@supabase/supabase-js')
 const { serverLogger } = require('./serverLogger.js')
+const { getCodeStatus } = require('./teamCodes')
 
 class SupabaseTeamStorage {
   static getClient(useServiceRole = false) {
@@ -40,6 +41,9 @@ class SupabaseTeamStorage {
           code,
           team_id,
           is_active,
+          expires_at,
+          usage_count,
+          max_uses,
           teams!inner(
             team_id,
             display_name,
@@ -60,9 +64,17 @@ class SupabaseTeamStorage {
         return null
       }
 
+      // Expired or used up codes can't join (see teamCodes.js)
+      const status = getCodeStatus(data)
+      if (status !== 'active') {
+        console.log(`[SupabaseTeamStorage] Team code ${data.code} is ${status}`)
+        return null
+      }
+
       // Transform to blob storage compatible format
       return {
         rowKey: data.code,
+        teamUuid: data.team_id,
         teamId: data.teams.team_id,
         teamName: data.teams.display_name,
         isActive: data.is_active,
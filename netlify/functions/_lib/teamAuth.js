@@ -0,0 +1,174 @@
+/**
+ * Team authorization for write endpoints
+ *
+ * Team devices carry the lock token issued by team-verify (or
+ * login-initialize) in the `X-Team-Lock` header. A write is only accepted
+ * for the organization, hunt and team named in the token's claims.
+ *
+ *   401 INVALID_TOKEN - token missing, malformed, expired, issued before
+ *                       tokens carried org/hunt claims, or its session was
+ *                       deactivated by revoking or rotating the team code
+ *                       (team re-enters its code)
+ *   403 TEAM_MISMATCH - token is valid but the write targets another team or hunt
+ *
+ * The session check reads the sessions row named in the token (see
+ * teamCodes.recordCodeUse) and is cached briefly per instance, so a revoked
+ * code can keep writing for up to SESSION_CHECK_TTL_MS. Tokens without a
+ * session, missing rows and lookup errors are let through: the audit write
+ * never blocks a join, so it can't be required here.
+ *
+ * Public reads that show a team more than everyone else sees (e.g. targeted
+ * announcements) use getTeamClaims and fall back to the public view; they
+ * don't check the session.
+ */
+const { LockUtils } = require('./lockUtils')
+const { TeamLockErrorCode } = require('./teamErrors')
+const { unauthorizedResponse, forbiddenResponse } = require('./errorResponses')
+const { getSupabaseClient } = require('./supabaseClient')
+
+const SESSION_CHECK_TTL_MS = 60 * 1000
+const MAX_CACHED_SESSIONS = 5000
+
+// sessionId -> { active, checkedAt }
+const sessionChecks = new Map()
+
+/**
+ * Read the lock token from request headers (any header casing)
+ * @param {object} headers - Request headers
+ * @returns {string|null} Token or null
+ */
+function getLockToken(headers = {}) {
+  const name = Object.keys(headers || {}).find(key => key.toLowerCase() === 'x-team-lock')
+  const value = name ? headers[name] : null
+  const token = Array.isArray(value) ? value[0] : value
+  return typeof token === 'string' && token.trim() ? token.trim() : null
+}
+
+/**
+ * Verify a lock token and return its claims
+ * @param {string|null} token - Lock token
+ * @returns {{ teamId: string, orgId: string, huntId: string, exp: number }|null} Claims, or null when unusable
+ */
+function verifyTeamClaims(token) {
+  if (!token) return null
+
+  const claims = LockUtils.verifyLockToken(token)
+  if (!claims || !claims.orgId || !claims.huntId || LockUtils.isTokenExpired(claims.exp)) {
+    return null
+  }
+
+  return claims
+}
+
+/**
+ * First scope field the claims don't cover
+ * Team IDs are compared case-insensitively, matching the ilike lookups on teams.team_id.
+ * @param {object} claims - Verified token claims
+ * @param {{ orgId?: string, huntId?: string, teamId?: string }} scope - What the request writes to
+ * @returns {'orgId'|'huntId'|'teamId'|null} Mismatched field or null
+ */
+function findScopeMismatch(claims, scope = {}) {
+  if (scope.orgId !== undefined && String(scope.orgId) !== claims.orgId) return 'orgId'
+  if (scope.huntId !== undefined && String(scope.huntId) !== claims.huntId) return 'huntId'
+  if (scope.teamId !== undefined && String(scope.teamId).toLowerCase() !== String(claims.teamId).toLowerCase()) {
+    return 'teamId'
+  }
+  return null
+}
+
+/**
+ * Whether a lock token's session is still active
+ * @param {object|null} supabase - Supabase client (default: the shared service client)
+ * @param {string} sessionId - sessions.id from the token
+ * @returns {Promise<boolean>} False only when the row says the session was deactivated
+ */
+async function isSessionActive(supabase, sessionId) {
+  const cached = sessionChecks.get(sessionId)
+  if (cached && Date.now() - cached.checkedAt < SESSION_CHECK_TTL_MS) {
+    return cached.active
+  }
+
+  try {
+    const client = supabase || getSupabaseClient()
+    const { data, error } = await client
+      .from('sessions')
+      .select('is_active')
+      .eq('id', sessionId)
+      .maybeSingle()
+
+    if (error) {
+      console.warn('[teamAuth] Session lookup failed:', error.message)
+      return true
+    }
+
+    const active = !data || data.is_active !== false
+    if (sessionChecks.size >= MAX_CACHED_SESSIONS) sessionChecks.clear()
+    sessionChecks.set(sessionId, { active, checkedAt: Date.now() })
+    return active
+  } catch (error) {
+    console.warn('[teamAuth] Session lookup failed:', error.message)
+    return true
+  }
+}
+
+/**
+ * Require a team lock token covering the write
+ * Scope fields that are omitted aren't checked (e.g. uploads without hunt context).
+ * @param {object} event - Netlify function event (only headers are read)
+ * @param {{ orgId?: string, huntId?: string, teamId?: string }} scope - What the request writes to
+ * @param {string|null} requestId - Request correlation ID
+ * @param {object|null} [supabase] - Client for the session check (default: the shared service client)
+ * @returns {Promise<{ team: object }|{ response: object }>} Verified claims or an error response to return
+ */
+async function requireTeamLock(event, scope = {}, requestId = null, supabase = null) {
+  const token = getLockToken(event && event.headers)
+  if (!token) {
+    return {
+      response: unauthorizedResponse('Team lock token required', 'Send the X-Team-Lock header issued by team verification', requestId, TeamLockErrorCode.INVALID_TOKEN)
+    }
+  }
+
+  const claims = verifyTeamClaims(token)
+  if (!claims) {
+    return {
+      response: unauthorizedResponse('Invalid or expired team lock token', 'Please re-enter your team code', requestId, TeamLockErrorCode.INVALID_TOKEN)
+    }
+  }
+
+  const mismatch = findScopeMismatch(claims, scope)
+  if (mismatch) {
+    console.warn(`[teamAuth] Rejected write for ${mismatch}=${scope[mismatch]} with token for ${claims.orgId}/${claims.huntId}/${claims.teamId}`)
+    return {
+      response: forbiddenResponse("You don't have permission to change this team's data", `Team lock does not cover this ${mismatch.replace(/Id$/, '')}`, requestId, TeamLockErrorCode.TEAM_MISMATCH)
+    }
+  }
+
+  if (claims.sessionId && !(await isSessionActive(supabase, claims.sessionId))) {
+    console.warn(`[teamAuth] Rejected write from deactivated session ${claims.sessionId} of ${claims.orgId}/${claims.huntId}/${claims.teamId}`)
+    return {
+      response: unauthorizedResponse('Team code was revoked', "Please enter your team's new code", requestId, TeamLockErrorCode.INVALID_TOKEN)
+    }
+  }
+
+  return { team: claims }
+}
+
+/**
+ * Claims of a lock token covering the scope, for reads that work without one
+ * @param {object} event - Netlify function event (only headers are read)
+ * @param {{ orgId?: string, huntId?: string }} scope - What the request reads
+ * @returns {object|null} Verified claims, or null when the token is missing or doesn't cover the scope
+ */
+function getTeamClaims(event, scope = {}) {
+  const claims = verifyTeamClaims(getLockToken(event && event.headers))
+  return claims && !findScopeMismatch(claims, scope) ? claims : null
+}
+
+module.exports = {
+  getLockToken,
+  verifyTeamClaims,
+  findScopeMismatch,
+  isSessionActive,
+  requireTeamLock,
+  getTeamClaims
+}
@@ -0,0 +1,123 @@
+/**
+ * TeamCodeCards - Printable join cards, one per team
+ *
+ * Each card shows the team name, its code in large type and a QR code, laid
+ * out to print on letter/A4 paper (cut along the dashed lines). The QR code
+ * is a signed join link (see joinLinks.js) when the app URL is known, so
+ * scanning it joins the team without typing. Used by the admin console
+ * (/admin → Teams → Print cards) and scripts/team-codes.ts.
+ */
+
+const QRCode = require('qrcode')
+const { listHuntTeams } = require('./teamCodes')
+const { createJoinLink } = require('./joinLinks')
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+/**
+ * Split a code into groups of three for easier reading (e.g. "K7M QXP")
+ */
+function formatCodeForPrint(code) {
+  return String(code).match(/.{1,3}/g).join(' ')
+}
+
+const CARD_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: system-ui, -apple-system, sans-serif; margin: 0; padding: 12mm; color: #111827; }
+  .cards { display: grid; grid-template-columns: repeat(2, 1fr); gap: 8mm; }
+  .card { border: 1px dashed #9ca3af; border-radius: 4mm; padding: 6mm; text-align: center; break-inside: avoid; page-break-inside: avoid; }
+  .hunt { font-size: 10pt; color: #6b7280; text-transform: uppercase; letter-spacing: 0.08em; }
+  .team { font-size: 16pt; font-weight: 700; margin: 2mm 0 4mm; }
+  .qr svg { width: 42mm; height: 42mm; }
+  .code { font-family: ui-monospace, Menlo, monospace; font-size: 22pt; font-weight: 700; letter-spacing: 0.12em; margin-top: 3mm; }
+  .hint { font-size: 9pt; color: #4b5563; margin-top: 2mm; }
+  @media print { body { padding: 0; } }
+`
+
+/**
+ * Render join cards as a standalone HTML page
+ * @param {Object} options
+ * @param {string} options.huntName - Shown on every card
+ * @param {string|null} options.appUrl - Where teams enter the code (printed as a hint)
+ * @param {Array<{ teamName: string, code: string, joinUrl?: string, expiresAt?: string|null }>} options.teams - One card each
+ * @returns {Promise<string>} HTML document; the QR code encodes joinUrl, or the code without one
+ */
+async function renderTeamCards({ huntName, appUrl = null, teams }) {
+  const cards = await Promise.all(teams.map(async team => {
+    const qr = await QRCode.toString(team.joinUrl || team.code, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 })
+    const hint = team.joinUrl
+      ? `Scan to join${appUrl ? `, or open ${appUrl} and enter your team code` : ''}`
+      : appUrl ? `Open ${appUrl} and enter your team code` : 'Enter your team code to join'
+    const expires = team.expiresAt ? `Valid until ${new Date(team.expiresAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}` : ''
+
+    return `
+    <div class="card">
+      <div class="hunt">${escapeHtml(huntName)}</div>
+      <div class="team">${escapeHtml(team.teamName)}</div>
+      <div class="qr">${qr}</div>
+      <div class="code">${escapeHtml(formatCodeForPrint(team.code))}</div>
+      <div class="hint">${escapeHtml(hint)}</div>
+      ${expires ? `<div class="hint">${escapeHtml(expires)}</div>` : ''}
+    </div>`
+  }))
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(huntName)} - team cards</title>
+  <style>${CARD_STYLES}</style>
+</head>
+<body>
+  <div class="cards">${cards.join('')}
+  </div>
+</body>
+</html>
+`
+}
+
+/**
+ * Cards for every team of a hunt that has an active code
+ * With an appUrl each card gets a fresh join link for its QR code.
+ * @param {Object} options
+ * @param {string[]|null} options.teamIds - Only these teams (e.g. after rotating one code)
+ * @param {Object} options.linkOptions - Join link limits { singleUse?, maxUses?, expiresAt? }
+ * @returns {Promise<{ html: string, count: number }>}
+ */
+async function renderHuntTeamCards(supabase, { orgId, huntId, appUrl = null, teamIds = null, linkOptions = {} }) {
+  const { data: hunt } = await supabase
+    .from('hunts')
+    .select('name')
+    .eq('organization_id', orgId)
+    .eq('id', huntId)
+    .maybeSingle()
+
+  const wanted = teamIds ? new Set(teamIds.map(id => id.toLowerCase())) : null
+  const teams = (await listHuntTeams(supabase, { orgId, huntId }))
+    .filter(team => !wanted || wanted.has(team.teamId.toLowerCase()))
+    .map(team => ({ team, code: team.codes.find(code => code.status === 'active') }))
+    .filter(({ code }) => code)
+    .map(({ team, code }) => ({ teamId: team.teamId, teamName: team.teamName, code: code.code, expiresAt: code.expiresAt }))
+
+  if (appUrl) {
+    for (const team of teams) {
+      const link = await createJoinLink(supabase, { orgId, huntId, teamId: team.teamId, appUrl, input: linkOptions })
+      team.joinUrl = link?.url
+    }
+  }
+
+  const html = await renderTeamCards({ huntName: hunt?.name || huntId, appUrl, teams })
+  return { html, count: teams.length }
+}
+
+module.exports = {
+  escapeHtml,
+  formatCodeForPrint,
+  renderTeamCards,
+  renderHuntTeamCards
+}
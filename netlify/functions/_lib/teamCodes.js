@@ -0,0 +1,448 @@
+/**
+ * TeamCodes - Team code lifecycle: generation, expiry, rotation, revocation
+ *
+ * Codes live in team_codes (one row per code, team_id -> teams.id). A code is
+ * usable while it is active, not past expires_at and under max_uses; revoked
+ * and rotated codes are kept so the sessions audit stays readable.
+ * Requires scripts/sql/team-code-lifecycle.sql.
+ *
+ * Revoking a code stops new joins with it and marks the sessions that joined
+ * with it inactive. Lock tokens name their session, so those devices' writes
+ * are refused from then on (see teamAuth.js) and they must enter a new code.
+ */
+
+const crypto = require('crypto')
+const net = require('net')
+
+// No 0/O, 1/I/L: codes are read off printed cards and typed on phones
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+const DEFAULT_CODE_LENGTH = 6
+const MIN_CODE_LENGTH = 5
+const MAX_CODE_LENGTH = 12
+const MAX_PREFIX_LENGTH = 6
+const MAX_BATCH_SIZE = 200
+const MAX_TEAM_NAME_LENGTH = 60
+const MAX_INSERT_ATTEMPTS = 5
+
+const CODE_COLUMNS = 'code, is_active, created_at, expires_at, usage_count, max_uses, revoked_at, replaced_by, last_used_at'
+
+/**
+ * Normalize a code as typed by a team (case-insensitive, spaces ignored:
+ * cards print codes in groups of three)
+ */
+function normalizeTeamCode(code) {
+  return String(code || '').replace(/\s+/g, '').toUpperCase()
+}
+
+/**
+ * Generate a random code from the unambiguous alphabet
+ * Rejection sampling keeps every character equally likely.
+ * @param {Object} options
+ * @param {number} options.length - Random characters (5-12, default 6)
+ * @param {string} options.prefix - Optional fixed prefix (e.g. 'FALL')
+ * @returns {string} Upper-case code
+ */
+function generateTeamCode({ length = DEFAULT_CODE_LENGTH, prefix = '' } = {}) {
+  const limit = 256 - (256 % CODE_ALPHABET.length)
+  let out = ''
+
+  while (out.length < length) {
+    for (const byte of crypto.randomBytes(length * 2)) {
+      if (byte < limit && out.length < length) out += CODE_ALPHABET[byte % CODE_ALPHABET.length]
+    }
+  }
+
+  return normalizeTeamCode(prefix) + out
+}
+
+/**
+ * Lifecycle status of a team_codes row
+ * @returns {'active'|'revoked'|'expired'|'exhausted'}
+ */
+function getCodeStatus(row, now = Date.now()) {
+  if (!row || row.is_active === false || row.revoked_at) return 'revoked'
+  if (row.expires_at && Date.parse(row.expires_at) <= now) return 'expired'
+  if (row.max_uses != null && (row.usage_count || 0) >= row.max_uses) return 'exhausted'
+  return 'active'
+}
+
+/**
+ * Map a team_codes row to the API shape
+ */
+function toTeamCode(row) {
+  return {
+    code: row.code,
+    status: getCodeStatus(row),
+    createdAt: row.created_at || null,
+    expiresAt: row.expires_at || null,
+    maxUses: row.max_uses ?? null,
+    usageCount: row.usage_count || 0,
+    lastUsedAt: row.last_used_at || null,
+    revokedAt: row.revoked_at || null,
+    replacedBy: row.replaced_by || null
+  }
+}
+
+/**
+ * Derive a team ID from its name (e.g. "Tea Cup" -> "tea-cup")
+ */
+function teamSlug(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)
+}
+
+/**
+ * Validate code options shared by generation and rotation
+ * @returns {{ length: number, prefix: string }}
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validateCodeOptions(input = {}) {
+  const length = input.length === undefined ? DEFAULT_CODE_LENGTH : input.length
+  if (!Number.isInteger(length) || length < MIN_CODE_LENGTH || length > MAX_CODE_LENGTH) {
+    throw new Error(`Validation failed: length must be ${MIN_CODE_LENGTH}-${MAX_CODE_LENGTH}`)
+  }
+
+  const prefix = normalizeTeamCode(input.prefix)
+  if (prefix.length > MAX_PREFIX_LENGTH || /[^A-Z0-9]/.test(prefix)) {
+    throw new Error(`Validation failed: prefix must be up to ${MAX_PREFIX_LENGTH} letters or digits`)
+  }
+
+  return { length, prefix }
+}
+
+/**
+ * Validate a batch generation request
+ * @param {Object} input - { count } or { names }, plus expiresAt, maxUses, length, prefix
+ * @returns {{ names: string[], expiresAt: string|null, maxUses: number|null, length: number, prefix: string }}
+ * @throws {Error} Validation errors (message starts with 'Validation failed')
+ */
+function validateBatchInput(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Validation failed: body required')
+  }
+
+  let names
+  if (input.names !== undefined) {
+    if (!Array.isArray(input.names) || input.names.length === 0 || input.names.length > MAX_BATCH_SIZE) {
+      throw new Error(`Validation failed: names must list 1-${MAX_BATCH_SIZE} team names`)
+    }
+    names = input.names.map((name, index) => {
+      if (typeof name !== 'string' || !name.trim() || name.length > MAX_TEAM_NAME_LENGTH || !teamSlug(name)) {
+        throw new Error(`Validation failed: names[${index}] must be a team name up to ${MAX_TEAM_NAME_LENGTH} characters`)
+      }
+      return name.trim()
+    })
+  } else {
+    if (!Number.isInteger(input.count) || input.count < 1 || input.count > MAX_BATCH_SIZE) {
+      throw new Error(`Validation failed: count must be 1-${MAX_BATCH_SIZE} (or send names)`)
+    }
+    const width = String(input.count).length
+    names = Array.from({ length: input.count }, (_, i) => `Team ${String(i + 1).padStart(width, '0')}`)
+  }
+
+  let expiresAt = null
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const date = new Date(input.expiresAt)
+    if (typeof input.expiresAt !== 'string' || Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+      throw new Error('Validation failed: expiresAt must be a future ISO timestamp')
+    }
+    expiresAt = date.toISOString()
+  }
+
+  const maxUses = input.maxUses === undefined ? null : input.maxUses
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    throw new Error('Validation failed: maxUses must be a positive integer or null')
+  }
+
+  return { names, expiresAt, maxUses, ...validateCodeOptions(input) }
+}
+
+/**
+ * Insert a fresh code for a team, retrying on the (rare) collision
+ */
+async function insertCode(supabase, { teamUuid, orgId, huntId, expiresAt, maxUses, length, prefix }) {
+  for (let attempt = 1; attempt <= MAX_INSERT_ATTEMPTS; attempt++) {
+    const { data, error } = await supabase
+      .from('team_codes')
+      .insert({
+        code: generateTeamCode({ length, prefix }),
+        team_id: teamUuid,
+        organization_id: orgId,
+        hunt_id: huntId,
+        is_active: true,
+        expires_at: expiresAt,
+        max_uses: maxUses,
+        usage_count: 0
+      })
+      .select(CODE_COLUMNS)
+      .single()
+
+    if (!error) return data
+    if (error.code !== '23505') {
+      throw new Error(`Supabase team code insert failed: ${error.message}`)
+    }
+  }
+
+  throw new Error(`Supabase team code insert failed: no unused code after ${MAX_INSERT_ATTEMPTS} attempts`)
+}
+
+/**
+ * Look up a team of the hunt by its team ID
+ */
+async function findTeam(supabase, { orgId, huntId, teamId }) {
+  const { data, error } = await supabase
+    .from('teams')
+    .select('id, team_id, display_name')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .ilike('team_id', String(teamId).replace(/[\\%_]/g, '\\$&'))
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase team query failed: ${error.message}`)
+  }
+  return data
+}
+
+/**
+ * Create teams and give each one a fresh code
+ * Team IDs are derived from the names and made unique within the hunt.
+ * @returns {Promise<Array<{ teamId: string, teamName: string, code: Object }>>}
+ */
+async function createTeamsWithCodes(supabase, { orgId, huntId, input }) {
+  const { names, expiresAt, maxUses, length, prefix } = validateBatchInput(input)
+
+  const { data: existing, error: existingError } = await supabase
+    .from('teams')
+    .select('team_id')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+
+  if (existingError) {
+    throw new Error(`Supabase teams query failed: ${existingError.message}`)
+  }
+
+  const taken = new Set((existing || []).map(team => String(team.team_id).toLowerCase()))
+  const rows = names.map(name => {
+    const base = teamSlug(name)
+    let teamId = base
+    for (let n = 2; taken.has(teamId); n++) teamId = `${base}-${n}`
+    taken.add(teamId)
+    return { team_id: teamId, name: teamId, display_name: name, organization_id: orgId, hunt_id: huntId, score: 0 }
+  })
+
+  const { data: teams, error } = await supabase
+    .from('teams')
+    .insert(rows)
+    .select('id, team_id, display_name')
+
+  if (error) {
+    throw new Error(`Supabase team insert failed: ${error.message}`)
+  }
+
+  const created = []
+  for (const team of teams) {
+    const code = await insertCode(supabase, { teamUuid: team.id, orgId, huntId, expiresAt, maxUses, length, prefix })
+    created.push({ teamId: team.team_id, teamName: team.display_name, code: toTeamCode(code) })
+  }
+  return created
+}
+
+/**
+ * Teams of a hunt with every code they have had, newest first
+ */
+async function listHuntTeams(supabase, { orgId, huntId }) {
+  const { data, error } = await supabase
+    .from('teams')
+    .select(`id, team_id, display_name, team_codes (${CODE_COLUMNS})`)
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .order('team_id', { ascending: true })
+
+  if (error) {
+    throw new Error(`Supabase teams query failed: ${error.message}`)
+  }
+
+  return (data || []).map(team => ({
+    teamId: team.team_id,
+    teamName: team.display_name,
+    codes: (team.team_codes || [])
+      .slice()
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+      .map(toTeamCode)
+  }))
+}
+
+/**
+ * Revoke codes and deactivate the sessions that joined with them
+ */
+async function revokeCodes(supabase, teamUuid, { code = null, replacedBy = null } = {}) {
+  let query = supabase
+    .from('team_codes')
+    .update({ is_active: false, revoked_at: new Date().toISOString(), ...(replacedBy && { replaced_by: replacedBy }) })
+    .eq('team_id', teamUuid)
+    .eq('is_active', true)
+
+  if (code) query = query.eq('code', normalizeTeamCode(code))
+  if (replacedBy) query = query.neq('code', replacedBy)
+
+  const { data, error } = await query.select('code')
+  if (error) {
+    throw new Error(`Supabase team code revoke failed: ${error.message}`)
+  }
+
+  const revoked = (data || []).map(row => row.code)
+  if (revoked.length > 0) {
+    const { error: sessionError } = await supabase
+      .from('sessions')
+      .update({ is_active: false })
+      .in('team_code', revoked)
+
+    if (sessionError) {
+      console.warn('[teamCodes] Failed to deactivate sessions:', sessionError.message)
+    }
+  }
+  return revoked
+}
+
+/**
+ * Replace a team's code (e.g. it leaked): a fresh code is issued with the
+ * same expiry and use limit, and every other active code is revoked
+ * @returns {Promise<Object|null>} { teamId, teamName, code, revoked }, or null when the team isn't in the hunt
+ */
+async function rotateTeamCode(supabase, { orgId, huntId, teamId, input = {} }) {
+  const { length, prefix } = validateCodeOptions(input)
+  const team = await findTeam(supabase, { orgId, huntId, teamId })
+  if (!team) return null
+
+  const { data: latest, error } = await supabase
+    .from('team_codes')
+    .select(CODE_COLUMNS)
+    .eq('team_id', team.id)
+    .order('created_at', { ascending: false })
+    .limit(1)
+
+  if (error) {
+    throw new Error(`Supabase team code query failed: ${error.message}`)
+  }
+
+  const previous = (latest || [])[0]
+  const expiresAt = previous?.expires_at && Date.parse(previous.expires_at) > Date.now() ? previous.expires_at : null
+
+  const code = await insertCode(supabase, {
+    teamUuid: team.id,
+    orgId,
+    huntId,
+    expiresAt,
+    maxUses: previous?.max_uses ?? null,
+    length,
+    prefix
+  })
+  const revoked = await revokeCodes(supabase, team.id, { replacedBy: code.code })
+
+  return { teamId: team.team_id, teamName: team.display_name, code: toTeamCode(code), revoked }
+}
+
+/**
+ * Revoke a team's active codes (or only the given one) without issuing a new code
+ * @returns {Promise<Object|null>} { teamId, revoked }, or null when the team isn't in the hunt
+ */
+async function revokeTeamCodes(supabase, { orgId, huntId, teamId, code = null }) {
+  const team = await findTeam(supabase, { orgId, huntId, teamId })
+  if (!team) return null
+
+  const revoked = await revokeCodes(supabase, team.id, { code })
+  return { teamId: team.team_id, revoked }
+}
+
+/**
+ * Record a successful join in the sessions audit and count the code use
+ * Never throws: a failed audit write must not block a team from joining.
+ * @param {Object} use
+ * @param {string} use.code - Code the device joined with
+ * @param {string} use.teamUuid - teams.id
+ * @param {string} use.userAgent
+ * @param {string} use.deviceHint - Device fingerprint
+ * @param {string} use.ip - Client IP (dropped when not a valid address)
+ * @param {number} use.expiresAt - Lock token expiry (unix seconds)
+ * @param {string} use.joinLinkId - Join link the device came through, if any
+ * @param {string} use.sessionId - sessions.id to use, as carried by the device's lock token
+ */
+async function recordCodeUse(supabase, { code, teamUuid, userAgent = null, deviceHint = null, ip = null, expiresAt = null, joinLinkId = null, sessionId = null }) {
+  // Legacy hash-based team lookups have no team_codes row
+  if (!code || !teamUuid) return
+
+  try {
+    const { error } = await supabase
+      .from('sessions')
+      .insert({
+        ...(sessionId && { id: sessionId }),
+        team_id: teamUuid,
+        team_code: code,
+        user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+        device_hint: deviceHint,
+        ip_address: ip && net.isIP(ip) ? ip : null,
+        ...(expiresAt && { expires_at: new Date(expiresAt * 1000).toISOString() }),
+        ...(joinLinkId && { join_link_id: joinLinkId })
+      })
+
+    if (error) {
+      console.warn('[teamCodes] Failed to record session:', error.message)
+    }
+
+    const { error: usageError } = await supabase.rpc('record_team_code_use', { p_code: code })
+    if (usageError) {
+      console.warn('[teamCodes] Failed to count code use:', usageError.message)
+    }
+  } catch (error) {
+    console.warn('[teamCodes] Failed to record code use:', error.message)
+  }
+}
+
+/**
+ * Devices that joined a team, newest first
+ * @returns {Promise<Object[]|null>} Sessions, or null when the team isn't in the hunt
+ */
+async function listTeamSessions(supabase, { orgId, huntId, teamId, limit = 100 }) {
+  const team = await findTeam(supabase, { orgId, huntId, teamId })
+  if (!team) return null
+
+  const { data, error } = await supabase
+    .from('sessions')
+    // join_link_id only exists once team-join-links.sql has run
+    .select('*')
+    .eq('team_id', team.id)
+    .order('created_at', { ascending: false })
+    .limit(limit)
+
+  if (error) {
+    throw new Error(`Supabase sessions query failed: ${error.message}`)
+  }
+
+  return (data || []).map(row => ({
+    id: row.id,
+    code: row.team_code || null,
+    joinLinkId: row.join_link_id || null,
+    userAgent: row.user_agent || null,
+    deviceHint: row.device_hint || null,
+    ipAddress: row.ip_address || null,
+    joinedAt: row.created_at,
+    expiresAt: row.expires_at || null,
+    isActive: row.is_active !== false
+  }))
+}
+
+module.exports = {
+  CODE_ALPHABET,
+  normalizeTeamCode,
+  generateTeamCode,
+  getCodeStatus,
+  toTeamCode,
+  validateBatchInput,
+  findTeam,
+  createTeamsWithCodes,
+  listHuntTeams,
+  rotateTeamCode,
+  revokeTeamCodes,
+  recordCodeUse,
+  listTeamSessions
+}
@@ -0,0 +1,414 @@
+/**
+ * TeamCollage - Server-side collage of a team's completed stop photos
+ *
+ * Builds the collage from the photo_url values already in hunt_progress, so
+ * the client never re-uploads files. The collage is a self-contained SVG
+ * (photos and sponsor logos embedded as data URIs), which renders the same on
+ * every storage driver without a native image library:
+ *   - header: hunt name and team name
+ *   - grid of photos (layout '<cols>x<rows>' or 'auto'), optionally captioned with stop titles
+ *   - footer: active sponsor_assets logos for the hunt
+ *
+ * Each team has one stored asset (public id = team slug), overwritten on every
+ * generation so regenerating can't pile up files; team_collages points at it
+ * with a ?v=<generated at> suffix so caches pick up the new version.
+ * Cloudinary delivers it rasterized as JPG, other drivers serve the SVG as stored.
+ *
+ * Generated in the background when a team completes the hunt (see
+ * startCollageOnHuntCompletion), on demand through team-collage.js, and by
+ * team-collage.js GET when a finished team's collage is still missing (see
+ * ensureTeamCollage).
+ *
+ * @ai-related-files: /netlify/functions/team-collage.js, /scripts/sql/team-collages.sql, /netlify/functions/_lib/photoStorage.js
+ */
+
+const { uploadMedia, transformMediaUrl, readMedia } = require('./photoStorage')
+
+const MAX_GRID_SIZE = 5
+const TILE_SIZE = 400
+const GUTTER = 12
+const PADDING = 24
+const HEADER_HEIGHT = 96
+const CAPTION_HEIGHT = 44
+const FOOTER_HEIGHT = 112
+const LOGO_WIDTH = 160
+const LOGO_HEIGHT = 64
+const MAX_CAPTION_LENGTH = 36
+
+// Photos are fetched at twice the tile size (sharp on high-density screens)
+const COLLAGE_PHOTO_TRANSFORM = { width: TILE_SIZE * 2, height: TILE_SIZE * 2, crop: 'fill', quality: 'auto:good', format: 'jpg' }
+
+const VIDEO_URL_PATTERN = /\.(mp4|mov|webm)(\?|$)/i
+
+const LOGO_CONTENT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg'
+}
+
+/**
+ * Validate and resolve a grid layout
+ * @param {string} [layout] - 'auto' (default) or '<cols>x<rows>', each 1-5
+ * @param {number} photoCount - Photos available
+ * @returns {{ layout: string, columns: number, rows: number }}
+ * @throws {Error} Validation error for malformed layouts
+ */
+function resolveCollageLayout(layout, photoCount) {
+  if (layout === undefined || layout === null || layout === 'auto') {
+    const count = Math.min(Math.max(photoCount, 1), MAX_GRID_SIZE * MAX_GRID_SIZE)
+    const columns = Math.ceil(Math.sqrt(count))
+    const rows = Math.ceil(count / columns)
+    return { layout: `${columns}x${rows}`, columns, rows }
+  }
+
+  const match = /^([1-9])x([1-9])$/.exec(String(layout))
+  if (!match || Number(match[1]) > MAX_GRID_SIZE || Number(match[2]) > MAX_GRID_SIZE) {
+    throw new Error(`Validation failed: layout must be "auto" or "<columns>x<rows>" up to ${MAX_GRID_SIZE}x${MAX_GRID_SIZE}`)
+  }
+
+  const columns = Number(match[1])
+  const rows = Number(match[2])
+  return { layout: `${columns}x${rows}`, columns, rows }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+function truncate(value, maxLength) {
+  const text = String(value || '').trim()
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text
+}
+
+/**
+ * Render the collage document
+ * @param {Object} params
+ * @param {string} params.title - Hunt name
+ * @param {string} params.subtitle - Team name
+ * @param {Array<{ href: string, caption?: string }>} params.tiles - Photos as data URIs, in grid order
+ * @param {{ columns: number, rows: number }} params.grid
+ * @param {boolean} [params.captions=true] - Draw stop titles over the photos
+ * @param {Array<{ name: string, href: string }>} [params.sponsors] - Sponsor logos as data URIs
+ * @returns {string} SVG markup
+ */
+function renderCollageSvg({ title, subtitle, tiles, grid, captions = true, sponsors = [] }) {
+  const width = PADDING * 2 + grid.columns * TILE_SIZE + (grid.columns - 1) * GUTTER
+  const gridHeight = grid.rows * TILE_SIZE + (grid.rows - 1) * GUTTER
+  const footerHeight = sponsors.length > 0 ? FOOTER_HEIGHT : 0
+  const height = HEADER_HEIGHT + gridHeight + footerHeight + PADDING
+  const parts = []
+
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`)
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`)
+  parts.push(`<text x="${width / 2}" y="46" text-anchor="middle" font-size="30" font-weight="bold" fill="#111827">${escapeXml(truncate(title, 48))}</text>`)
+  parts.push(`<text x="${width / 2}" y="78" text-anchor="middle" font-size="20" fill="#4b5563">${escapeXml(truncate(subtitle, 60))}</text>`)
+
+  tiles.slice(0, grid.columns * grid.rows).forEach((tile, index) => {
+    const x = PADDING + (index % grid.columns) * (TILE_SIZE + GUTTER)
+    const y = HEADER_HEIGHT + Math.floor(index / grid.columns) * (TILE_SIZE + GUTTER)
+
+    parts.push(`<image href="${tile.href}" x="${x}" y="${y}" width="${TILE_SIZE}" height="${TILE_SIZE}" preserveAspectRatio="xMidYMid slice"/>`)
+    if (captions && tile.caption) {
+      parts.push(`<rect x="${x}" y="${y + TILE_SIZE - CAPTION_HEIGHT}" width="${TILE_SIZE}" height="${CAPTION_HEIGHT}" fill="#000000" fill-opacity="0.55"/>`)
+      parts.push(`<text x="${x + 12}" y="${y + TILE_SIZE - 15}" font-size="18" fill="#ffffff">${escapeXml(truncate(tile.caption, MAX_CAPTION_LENGTH))}</text>`)
+    }
+  })
+
+  if (sponsors.length > 0) {
+    const top = HEADER_HEIGHT + gridHeight + 16
+    const logos = sponsors.slice(0, Math.max(1, Math.floor((width - PADDING * 2) / (LOGO_WIDTH + GUTTER))))
+    const rowWidth = logos.length * LOGO_WIDTH + (logos.length - 1) * GUTTER
+
+    parts.push(`<text x="${width / 2}" y="${top + 12}" text-anchor="middle" font-size="14" fill="#6b7280">Sponsored by</text>`)
+    logos.forEach((sponsor, index) => {
+      const x = (width - rowWidth) / 2 + index * (LOGO_WIDTH + GUTTER)
+      parts.push(`<image href="${sponsor.href}" x="${x}" y="${top + 24}" width="${LOGO_WIDTH}" height="${LOGO_HEIGHT}" preserveAspectRatio="xMidYMid meet"><title>${escapeXml(sponsor.name)}</title></image>`)
+    })
+  }
+
+  parts.push('</svg>')
+  return parts.join('\n')
+}
+
+function toDataUri(buffer, contentType) {
+  return `data:${contentType};base64,${Buffer.from(buffer).toString('base64')}`
+}
+
+/**
+ * Load a stored photo as a data URI, or null if it can't be read
+ */
+async function loadPhoto(url) {
+  const media = await readMedia(transformMediaUrl(url, COLLAGE_PHOTO_TRANSFORM))
+  return media ? toDataUri(media.buffer, media.contentType) : null
+}
+
+/**
+ * Completed stops with a photo, in completion order, with their titles
+ * @returns {Promise<Array<{ locationId: string, title: string, photoUrl: string }>>}
+ */
+async function getCollagePhotos(supabase, teamUuid) {
+  const { data, error } = await supabase
+    .from('hunt_progress')
+    .select('location_id, photo_url, completed_at')
+    .eq('team_id', teamUuid)
+    .eq('done', true)
+    .order('completed_at', { ascending: true })
+
+  if (error) {
+    throw new Error(`Supabase progress query failed: ${error.message}`)
+  }
+
+  const rows = (data || []).filter(row => row.photo_url && !VIDEO_URL_PATTERN.test(row.photo_url))
+  if (rows.length === 0) return []
+
+  const titles = {}
+  const { data: stops, error: stopsError } = await supabase
+    .from('hunt_stops')
+    .select('stop_id, title')
+    .in('stop_id', rows.map(row => row.location_id))
+  if (stopsError) {
+    console.warn('[teamCollage] Stop titles unavailable, using stop IDs:', stopsError.message)
+  }
+  for (const stop of stops || []) {
+    titles[stop.stop_id] = stop.title
+  }
+
+  return rows.map(row => ({
+    locationId: row.location_id,
+    title: titles[row.location_id] || row.location_id,
+    photoUrl: row.photo_url
+  }))
+}
+
+/**
+ * Hunt name and active sponsor logos (best-effort; missing branding is left out)
+ * @returns {Promise<{ huntName: string, sponsors: Array<{ name: string, href: string }> }>}
+ */
+async function getCollageBranding(supabase, orgId, huntId) {
+  let huntName = huntId
+  try {
+    const { data } = await supabase
+      .from('hunts')
+      .select('name')
+      .eq('organization_id', orgId)
+      .eq('id', huntId)
+      .maybeSingle()
+    huntName = data?.name || huntId
+  } catch (error) {
+    console.warn('[teamCollage] Hunt name unavailable:', error.message)
+  }
+
+  const sponsors = []
+  try {
+    const { data, error } = await supabase
+      .from('sponsor_assets')
+      .select('company_name, image_type, storage_path, svg_text')
+      .eq('organization_id', orgId)
+      .eq('hunt_id', huntId)
+      .eq('is_active', true)
+      .order('order_index', { ascending: true })
+
+    if (error) throw new Error(error.message)
+
+    for (const asset of data || []) {
+      if (asset.image_type === 'svg' && asset.svg_text) {
+        sponsors.push({ name: asset.company_name, href: toDataUri(Buffer.from(asset.svg_text), 'image/svg+xml') })
+      } else if (asset.storage_path && LOGO_CONTENT_TYPES[asset.image_type]) {
+        const { data: file, error: downloadError } = await supabase.storage.from('sponsors').download(asset.storage_path)
+        if (downloadError || !file) {
+          console.warn(`[teamCollage] Sponsor logo unavailable: ${asset.storage_path}`)
+          continue
+        }
+        sponsors.push({
+          name: asset.company_name,
+          href: toDataUri(Buffer.from(await file.arrayBuffer()), LOGO_CONTENT_TYPES[asset.image_type])
+        })
+      }
+    }
+  } catch (error) {
+    console.warn('[teamCollage] Sponsor branding unavailable:', error.message)
+  }
+
+  return { huntName, sponsors }
+}
+
+/**
+ * Map a team_collages row to the API shape
+ */
+function toCollage(row) {
+  return {
+    orgId: row.organization_id,
+    huntId: row.hunt_id,
+    teamId: row.team_slug,
+    collageUrl: row.collage_url,
+    layout: row.layout,
+    captions: row.captions,
+    photoCount: row.photo_count,
+    createdAt: row.created_at
+  }
+}
+
+/**
+ * Build, store and record a team's collage
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params
+ * @param {string} params.orgId - Organization ID
+ * @param {string} params.huntId - Hunt ID
+ * @param {string} params.teamId - Team slug (teams.team_id)
+ * @param {string} params.teamUuid - Team UUID (teams.id)
+ * @param {string} [params.teamName] - Display name (defaults to the slug)
+ * @param {string} [params.layout='auto'] - '<cols>x<rows>' or 'auto'
+ * @param {boolean} [params.captions=true] - Caption photos with stop titles
+ * @returns {Promise<Object>} Collage
+ * @throws {Error} Validation errors (bad layout, no photos), Supabase or storage errors
+ */
+async function generateTeamCollage(supabase, params) {
+  const { orgId, huntId, teamId, teamUuid, teamName, layout, captions = true } = params
+
+  if (typeof captions !== 'boolean') {
+    throw new Error('Validation failed: captions must be a boolean')
+  }
+  resolveCollageLayout(layout, 1)
+
+  const photos = await getCollagePhotos(supabase, teamUuid)
+  const loaded = await Promise.all(photos.map(async photo => ({ ...photo, href: await loadPhoto(photo.photoUrl) })))
+  const tiles = loaded.filter(photo => photo.href).map(photo => ({ href: photo.href, caption: photo.title }))
+  if (tiles.length === 0) {
+    throw new Error('Validation failed: the team has no completed stop photos to build a collage from')
+  }
+
+  const grid = resolveCollageLayout(layout, tiles.length)
+  const { huntName, sponsors } = await getCollageBranding(supabase, orgId, huntId)
+  const svg = renderCollageSvg({ title: huntName, subtitle: teamName || teamId, tiles, grid, captions, sponsors })
+
+  const createdAt = new Date()
+  const stored = await uploadMedia(Buffer.from(svg), {
+    folder: `collages/${orgId}/${huntId}`,
+    publicId: teamId,
+    overwrite: true,
+    resourceType: 'image',
+    contentType: 'image/svg+xml',
+    tags: ['vail-scavenger', 'collage', `team:${teamId}`],
+    context: { team_name: teamName || teamId, hunt_id: huntId, layout: grid.layout }
+  })
+
+  const { data, error } = await supabase
+    .from('team_collages')
+    .upsert([{
+      team_id: teamUuid,
+      organization_id: orgId,
+      hunt_id: huntId,
+      team_slug: teamId,
+      collage_url: `${transformMediaUrl(stored.secureUrl, { format: 'jpg' })}?v=${createdAt.getTime()}`,
+      public_id: stored.publicId,
+      layout: grid.layout,
+      captions,
+      photo_count: Math.min(tiles.length, grid.columns * grid.rows),
+      created_at: createdAt.toISOString()
+    }], { onConflict: 'team_id' })
+    .select()
+    .single()
+
+  if (error) {
+    throw new Error(`Supabase collage record failed: ${error.message}`)
+  }
+
+  return toCollage(data)
+}
+
+/**
+ * Latest collage for a team
+ * @returns {Promise<Object|null>} Collage, or null if none was generated yet
+ */
+async function getTeamCollage(supabase, teamUuid) {
+  const { data, error } = await supabase
+    .from('team_collages')
+    .select('*')
+    .eq('team_id', teamUuid)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase collage query failed: ${error.message}`)
+  }
+  return data ? toCollage(data) : null
+}
+
+// Generations in flight per team, so a GET retry joins a running one
+const pendingGenerations = new Map()
+
+/**
+ * Generate a team's collage unless one is already being built (best-effort)
+ * @returns {Promise<Object|null>} Collage, or null if generation failed
+ */
+function generateOnce(supabase, params) {
+  const running = pendingGenerations.get(params.teamUuid)
+  if (running) return running
+
+  const generation = generateTeamCollage(supabase, params)
+    .catch(error => {
+      console.warn('[teamCollage] Automatic collage generation failed:', error.message)
+      return null
+    })
+    .finally(() => pendingGenerations.delete(params.teamUuid))
+  pendingGenerations.set(params.teamUuid, generation)
+  return generation
+}
+
+/**
+ * Start the collage when a progress write just completed the hunt
+ * Not awaited by callers: downloading every photo would hold up the upload
+ * response. If the function is frozen before it finishes, ensureTeamCollage
+ * builds the collage on the team's next GET. Never throws.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, teamId, teamUuid }
+ * @param {Array} events - Events returned by recordStopProgressEvents
+ * @returns {Promise<Object|null>|null} The running generation, or null if the hunt wasn't just completed
+ */
+function startCollageOnHuntCompletion(supabase, params, events) {
+  const completion = (events || []).find(event => event.type === 'hunt_completed')
+  if (!completion) return null
+
+  return generateOnce(supabase, { ...params, teamName: completion.teamName })
+}
+
+/**
+ * Latest collage, built now if the team finished the hunt but automatic
+ * generation never completed
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params - { orgId, huntId, teamId, teamUuid }
+ * @returns {Promise<Object|null>} Collage, or null if the team hasn't finished or generation failed
+ * @throws {Error} Supabase errors from the lookups
+ */
+async function ensureTeamCollage(supabase, { orgId, huntId, teamId, teamUuid }) {
+  const collage = await getTeamCollage(supabase, teamUuid)
+  if (collage) return collage
+
+  // Same dedupe key recordHuntCompletionIfFinished uses
+  const { data: completion, error } = await supabase
+    .from('activity_events')
+    .select('team_name')
+    .eq('dedupe_key', `hunt_completed:${teamUuid}`)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Supabase hunt completion lookup failed: ${error.message}`)
+  }
+  if (!completion) return null
+
+  return generateOnce(supabase, { orgId, huntId, teamId, teamUuid, teamName: completion.team_name || teamId })
+}
+
+module.exports = {
+  resolveCollageLayout,
+  renderCollageSvg,
+  generateTeamCollage,
+  getTeamCollage,
+  startCollageOnHuntCompletion,
+  ensureTeamCollage
+}
@@ -1,5 +1,6 @@
 const crypto = require('crypto')
 const { LockUtils } = require('./lockUtils')
+const { getCodeStatus, normalizeTeamCode } = require('./teamCodes')
 
 /**
  * Team verification and lock management utilities
@@ -10,7 +11,7 @@ const { LockUtils } = require('./lockUtils')
  */
 async function verifyTeamCode(supabase, orgId, huntId, teamCode) {
   try {
-    const normalizedCode = teamCode.trim().toUpperCase()
+    const normalizedCode = normalizeTeamCode(teamCode)
 
     // First try the team_codes table (same as team-verify endpoint)
     const { data: codeMapping, error: codeError } = await supabase
@@ -19,6 +20,9 @@ async function verifyTeamCode(supabase, orgId, huntId, teamCode) {
         code,
         team_id,
         is_active,
+        expires_at,
+        usage_count,
+        max_uses,
         teams!inner(
           team_id,
           display_name,
@@ -31,11 +35,26 @@ async function verifyTeamCode(supabase, orgId, huntId, teamCode) {
       .single()
 
     if (!codeError && codeMapping) {
-      // Found in team_codes table
+      // Found in team_codes table; expired or used up codes can't join
+      const status = getCodeStatus(codeMapping)
+      if (status !== 'active') {
+        console.log(`[teamVerification] Team code ${normalizedCode} is ${status}`)
+        return {
+          success: false,
+          error: status === 'expired'
+            ? 'This team code has expired'
+            : status === 'exhausted' ? 'This team code has reached its device limit' : 'Invalid team code'
+        }
+      }
+
       return {
         success: true,
+        code: codeMapping.code,
+        teamUuid: codeMapping.team_id,
         teamId: codeMapping.teams.team_id,
-        teamName: codeMapping.teams.display_name
+        teamName: codeMapping.teams.display_name,
+        orgId: codeMapping.teams.organization_id,
+        huntId: codeMapping.teams.hunt_id
       }
     }
 
@@ -66,7 +85,9 @@ async function verifyTeamCode(supabase, orgId, huntId, teamCode) {
     return {
       success: true,
       teamId: team.id,
-      teamName: team.name
+      teamName: team.name,
+      orgId: team.organization_id,
+      huntId: team.hunt_id
     }
   } catch (error) {
     console.error('[teamVerification] Error verifying team code:', error)
@@ -147,11 +168,13 @@ async function validateTeamLock(supabase, lockToken) {
 
 /**
  * Create a new team lock token
+ * @param {{ orgId: string, huntId: string, sessionId?: string }} scope - Hunt the token may write to,
+ *   and the sessions row it joined as (see teamAuth.js)
  */
-async function createTeamLock(supabase, teamId, sessionId, deviceFingerprint) {
+async function createTeamLock(supabase, teamId, sessionId, deviceFingerprint, scope = {}) {
   try {
     // Generate JWT-based lock token (same as team-verify endpoint)
-    const { token, expiresAt } = LockUtils.generateLockToken(teamId)
+    const { token, expiresAt } = LockUtils.generateLockToken(teamId, scope)
 
     // Optionally store device lock for conflict detection
     // (This is optional since team_locks table doesn't exist)
@@ -0,0 +1,247 @@
+/**
+ * Unlock Rules - Declarative conditions for branching / conditional stops
+ *
+ * Each hunt_configurations row can carry:
+ *   stop_type   - 'required' (default): counts toward completion
+ *                 'optional': side content, never affects rankings
+ *                 'bonus':    extra credit, earns points and breaks ties
+ *   unlock_rule - JSONB rule; the stop is only sent to a team while the rule
+ *                 holds (NULL = always available)
+ *
+ * Rule grammar:
+ *   { "type": "after",    "stops": ["a", "b"], "match": "all" | "any" }
+ *       visible once all (default) / any of the stops are completed
+ *   { "type": "count",    "min": 3, "stops": ["a", "b", ...] }
+ *       visible after `min` completions (of the listed stops, or any stop)
+ *   { "type": "notAfter", "stops": ["a"] }
+ *       hidden once any listed stop is completed
+ *   { "type": "choice",   "group": "fork-1", "option": "A" }
+ *       "choose path A or B": once a team completes a stop of one option,
+ *       stops of the other options in the same group disappear
+ *   { "type": "all" | "any", "rules": [ ...rules ] }
+ *
+ * Example - bonus stop after any 3 completions:
+ *   stop_type 'bonus', unlock_rule { "type": "count", "min": 3 }
+ *
+ * Rules are evaluated server-side against the team's completed stops; a stop
+ * the team has already completed always stays visible.
+ */
+
+const STOP_TYPES = ['required', 'optional', 'bonus']
+const RULE_TYPES = ['after', 'count', 'notAfter', 'choice', 'all', 'any']
+
+/**
+ * Validate a rule tree
+ * @param {Object} rule - Rule object
+ * @param {string} path - Location in the tree, for error messages
+ * @returns {Object} The rule
+ * @throws {Error} 'Validation failed: ...'
+ */
+function validateUnlockRule(rule, path = 'unlock_rule') {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Validation failed: ${path} must be an object`)
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw new Error(`Validation failed: ${path}.type must be one of ${RULE_TYPES.join(', ')}`)
+  }
+
+  const isStopList = (value) => Array.isArray(value) && value.length > 0 && value.every(id => typeof id === 'string' && id)
+
+  switch (rule.type) {
+    case 'after':
+    case 'notAfter':
+      if (!isStopList(rule.stops)) {
+        throw new Error(`Validation failed: ${path}.stops must be a non-empty list of stop IDs`)
+      }
+      if (rule.type === 'after' && rule.match !== undefined && !['all', 'any'].includes(rule.match)) {
+        throw new Error(`Validation failed: ${path}.match must be 'all' or 'any'`)
+      }
+      break
+    case 'count':
+      if (!Number.isInteger(rule.min) || rule.min < 1) {
+        throw new Error(`Validation failed: ${path}.min must be a positive integer`)
+      }
+      if (rule.stops !== undefined && !isStopList(rule.stops)) {
+        throw new Error(`Validation failed: ${path}.stops must be a non-empty list of stop IDs`)
+      }
+      break
+    case 'choice':
+      if (typeof rule.group !== 'string' || !rule.group || typeof rule.option !== 'string' || !rule.option) {
+        throw new Error(`Validation failed: ${path} needs a group and an option`)
+      }
+      break
+    case 'all':
+    case 'any':
+      if (!Array.isArray(rule.rules) || rule.rules.length === 0) {
+        throw new Error(`Validation failed: ${path}.rules must be a non-empty list`)
+      }
+      rule.rules.forEach((child, i) => validateUnlockRule(child, `${path}.rules[${i}]`))
+      break
+  }
+
+  return rule
+}
+
+/**
+ * Collect the choice groups a rule tree places its stop in
+ */
+function collectChoices(rule, out = []) {
+  if (!rule) return out
+  if (rule.type === 'choice') out.push({ group: rule.group, option: rule.option })
+  if (rule.type === 'all' || rule.type === 'any') rule.rules.forEach(child => collectChoices(child, out))
+  return out
+}
+
+/**
+ * Build the evaluation context for a team
+ * @param {Array} stopConfigs - [{ stopId, stopType, unlockRule }]
+ * @param {Set<string>} completedIds - Stops the team has completed
+ */
+function buildRuleContext(stopConfigs, completedIds) {
+  // Options the team has committed to, per choice group
+  const chosenOptions = new Map()
+  for (const config of stopConfigs) {
+    if (!completedIds.has(config.stopId)) continue
+    for (const { group, option } of collectChoices(config.unlockRule)) {
+      if (!chosenOptions.has(group)) chosenOptions.set(group, new Set())
+      chosenOptions.get(group).add(option)
+    }
+  }
+  return { completedIds, chosenOptions }
+}
+
+/**
+ * Evaluate a rule
+ * With optimistic=true, rules that can still become true as the team completes
+ * more stops ('after', 'count') count as satisfied; exclusions ('notAfter',
+ * 'choice') never recover once triggered. Used to tell "not yet" from "never".
+ * @param {Object|null} rule
+ * @param {Object} context - From buildRuleContext
+ * @param {Object} options - { optimistic }
+ * @returns {boolean}
+ */
+function evaluateUnlockRule(rule, context, { optimistic = false } = {}) {
+  if (!rule) return true
+  const { completedIds, chosenOptions } = context
+
+  switch (rule.type) {
+    case 'after': {
+      if (optimistic) return true
+      const check = (id) => completedIds.has(id)
+      return rule.match === 'any' ? rule.stops.some(check) : rule.stops.every(check)
+    }
+    case 'count': {
+      if (optimistic) return true
+      const pool = rule.stops ? rule.stops.filter(id => completedIds.has(id)) : [...completedIds]
+      return pool.length >= rule.min
+    }
+    case 'notAfter':
+      return !rule.stops.some(id => completedIds.has(id))
+    case 'choice': {
+      const chosen = chosenOptions.get(rule.group)
+      return !chosen || chosen.has(rule.option)
+    }
+    case 'all':
+      return rule.rules.every(child => evaluateUnlockRule(child, context, { optimistic }))
+    case 'any':
+      return rule.rules.some(child => evaluateUnlockRule(child, context, { optimistic }))
+    default:
+      return false
+  }
+}
+
+/**
+ * Per-stop availability for a team
+ * @param {Array} stopConfigs - [{ stopId, stopType, unlockRule }]
+ * @param {Set<string>} completedIds
+ * @returns {Map<string, Object>} stopId -> { stopType, visible, reachable }
+ *   visible:   the stop is shown to the team now
+ *   reachable: the stop is visible or can still unlock later
+ */
+function resolveStopAvailability(stopConfigs, completedIds) {
+  const context = buildRuleContext(stopConfigs, completedIds)
+  const availability = new Map()
+
+  for (const config of stopConfigs) {
+    const done = completedIds.has(config.stopId)
+    availability.set(config.stopId, {
+      stopType: config.stopType,
+      visible: done || evaluateUnlockRule(config.unlockRule, context),
+      reachable: done || evaluateUnlockRule(config.unlockRule, context, { optimistic: true })
+    })
+  }
+
+  return availability
+}
+
+/**
+ * Normalize a hunt_configurations row
+ * Invalid rules are logged and treated as "never available" so a typo can't
+ * leak a hidden stop.
+ */
+function normalizeStopConfig(row) {
+  let unlockRule = row.unlock_rule ?? null
+  if (typeof unlockRule === 'string') {
+    try {
+      unlockRule = JSON.parse(unlockRule)
+    } catch {
+      unlockRule = { type: 'any', rules: [] }
+    }
+  }
+
+  if (unlockRule) {
+    try {
+      validateUnlockRule(unlockRule)
+    } catch (error) {
+      console.warn(`[unlockRules] Invalid rule for stop ${row.stop_id}: ${error.message}`)
+      unlockRule = { type: 'any', rules: [] }
+    }
+  }
+
+  return {
+    stopId: row.stop_id,
+    stopType: STOP_TYPES.includes(row.stop_type) ? row.stop_type : 'required',
+    unlockRule
+  }
+}
+
+/**
+ * Load stop types and unlock rules for a hunt, in default order
+ * Selects * so hunts without the branching columns still load (all required).
+ * @returns {Promise<Array>} [{ stopId, stopType, unlockRule }]
+ * @throws {Error} 'Supabase error ...'
+ */
+async function getHuntStopConfigs(supabase, orgId, huntId) {
+  const { data, error } = await supabase
+    .from('hunt_configurations')
+    .select('*')
+    .eq('organization_id', orgId)
+    .eq('hunt_id', huntId)
+    .eq('is_active', true)
+    .order('default_order', { ascending: true })
+
+  if (error) {
+    throw new Error(`Supabase error loading hunt configuration: ${error.message}`)
+  }
+
+  return (data || []).map(normalizeStopConfig)
+}
+
+/**
+ * True when any stop uses a non-default type or an unlock rule
+ */
+function hasBranching(stopConfigs) {
+  return stopConfigs.some(config => config.unlockRule || config.stopType !== 'required')
+}
+
+module.exports = {
+  STOP_TYPES,
+  RULE_TYPES,
+  validateUnlockRule,
+  evaluateUnlockRule,
+  buildRuleContext,
+  resolveStopAvailability,
+  normalizeStopConfig,
+  getHuntStopConfigs,
+  hasBranching
+}
@@ -0,0 +1,94 @@
+/**
+ * GET /api/activity/:orgId/:huntId
+ *
+ * Hunt activity feed (stop completions, photo uploads, hunt completions,
+ * announcements), newest first with cursor pagination.
+ *
+ * Request:  GET with path parameters (orgId, huntId) and query:
+ *   - teamId: Requesting team (required for filter=team|others)
+ * Announcements targeted at a team are only included with that team's
+ * X-Team-Lock header.
+ *   - filter: 'all' (default) | 'team' | 'others'
+ *   - cursor: nextCursor from a previous page
+ *   - limit:  Page size (default 20, max 50)
+ * Response: {
+ *   orgId, huntId,
+ *   events: FeedEvent[],
+ *   nextCursor: string | null
+ * }
+ *
+ * Errors:
+ *   400 - Invalid path, filter or cursor
+ *   502 - Database failure
+ *
+ * @ai-purpose: Backs UpdatesView; events are written by activityFeed.recordStopProgressEvents
+ * @ai-related-files: /netlify/functions/_lib/activityFeed.js, /src/features/views/UpdatesView.tsx
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const { listActivityEvents } = require('./_lib/activityFeed')
+const { getTeamClaims } = require('./_lib/teamAuth')
+const { handleError, successResponse, handleCorsPreflightResponse } = require('./_lib/errorResponses')
+const { withSentry } = require('./_lib/sentry')
+
+/**
+ * Extract orgId/huntId from /api/activity/:orgId/:huntId or the function path
+ */
+function parseActivityPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/activity-feed/', '/api/activity/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  const [orgId, huntId] = pathToProcess.split('/').filter(Boolean).map(decodeURIComponent)
+  if (!orgId || !huntId) {
+    throw new Error(`Invalid path format: expected orgId/huntId, got ${pathToProcess}`)
+  }
+
+  return { orgId, huntId }
+}
+
+exports.handler = withSentry(async (event) => {
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCorsPreflightResponse(event)
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    }
+  }
+
+  try {
+    const { orgId, huntId } = parseActivityPath(event.path)
+    const { teamId, filter = 'all', cursor, limit } = event.queryStringParameters || {}
+
+    console.log(`[activity-feed:${requestId}] Params:`, { orgId, huntId, teamId, filter, hasCursor: !!cursor })
+
+    const team = getTeamClaims(event, { orgId, huntId })
+    const supabase = getSupabaseClient()
+    const { events, nextCursor } = await listActivityEvents(supabase, {
+      orgId,
+      huntId,
+      teamId,
+      viewerTeamId: team ? team.teamId : null,
+      filter,
+      cursor,
+      limit
+    })
+
+    return successResponse({ orgId, huntId, events, nextCursor }, [], 200, requestId)
+  } catch (error) {
+    console.error(`[activity-feed:${requestId}] Error:`, error.message)
+    return handleError(error, requestId)
+  }
+})
@@ -0,0 +1,135 @@
+/**
+ * /api/announcements/:orgId/:huntId[/:id[/expire]]
+ *
+ * Organizer announcements for a hunt.
+ *
+ * Routes:
+ *   GET   /:orgId/:huntId                - Active announcements (public; announcements targeted at a
+ *                                          team only with that team's X-Team-Lock header)
+ *   GET   /:orgId/:huntId?include=all    - All announcements incl. scheduled/expired (organizer)
+ *   POST  /:orgId/:huntId                - Create { message, title?, targetTeamIds?, publishAt?, expiresAt? } (organizer)
+ *   PATCH /:orgId/:huntId/:id            - Edit any of the fields above (organizer)
+ *   POST  /:orgId/:huntId/:id/expire     - Expire immediately (organizer)
+ *
+ * Organizer routes require organizer credentials (`Authorization: Bearer <token>`, see
+ * _lib/organizerAuth.js): viewers can list everything, organizers can create/edit/expire.
+ *
+ * Errors:
+ *   400 - Invalid path or body
+ *   401 - Missing/invalid organizer credentials
+ *   403 - Organizer role in this organization doesn't allow the action
+ *   404 - Announcement not found
+ *   502 - Database failure
+ *
+ * @ai-purpose: Organizer messaging; announcements surface in the activity feed and as toasts
+ * @ai-related-files: /netlify/functions/_lib/announcementsService.js, /src/hooks/useAnnouncementToasts.ts
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const {
+  createAnnouncement,
+  updateAnnouncement,
+  expireAnnouncement,
+  listAnnouncements
+} = require('./_lib/announcementsService')
+const { requireOrganizer } = require('./_lib/organizerAuth')
+const { getTeamClaims } = require('./_lib/teamAuth')
+const {
+  handleError,
+  successResponse,
+  notFoundResponse,
+  badRequestResponse,
+  handleCorsPreflightResponse
+} = require('./_lib/errorResponses')
+const { withSentry } = require('./_lib/sentry')
+
+/**
+ * Parse /api/announcements/:orgId/:huntId[/:id[/action]] or the function path
+ */
+function parseAnnouncementsPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/announcements/', '/api/announcements/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  const [orgId, huntId, id, action] = pathToProcess.split('/').filter(Boolean).map(decodeURIComponent)
+  if (!orgId || !huntId) {
+    throw new Error(`Invalid path format: expected orgId/huntId, got ${pathToProcess}`)
+  }
+
+  return { orgId, huntId, id: id || null, action: action || null }
+}
+
+function parseBody(event) {
+  try {
+    return JSON.parse(event.body || '{}')
+  } catch {
+    throw new Error('Validation failed: body must be valid JSON')
+  }
+}
+
+exports.handler = withSentry(async (event) => {
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCorsPreflightResponse(event)
+  }
+
+  try {
+    const { orgId, huntId, id, action } = parseAnnouncementsPath(event.path)
+    const params = event.queryStringParameters || {}
+    const supabase = getSupabaseClient()
+
+    // Public read: active announcements, plus those targeted at the team holding the lock token
+    if (event.httpMethod === 'GET' && !id && params.include !== 'all') {
+      const team = getTeamClaims(event, { orgId, huntId })
+      const announcements = await listAnnouncements(supabase, { orgId, huntId, teamId: team ? team.teamId : undefined })
+      return successResponse({ orgId, huntId, announcements }, [], 200, requestId)
+    }
+
+    // Everything else is organizer-only
+    const permission = event.httpMethod === 'GET' ? 'hunt:view' : 'announcements:manage'
+    const auth = await requireOrganizer(event, requestId, { orgId, permission })
+    if (auth.response) return auth.response
+
+    if (event.httpMethod === 'GET' && !id) {
+      const announcements = await listAnnouncements(supabase, { orgId, huntId, includeInactive: true })
+      return successResponse({ orgId, huntId, announcements }, [], 200, requestId)
+    }
+
+    if (event.httpMethod === 'POST' && !id) {
+      const announcement = await createAnnouncement(supabase, {
+        orgId,
+        huntId,
+        input: parseBody(event),
+        createdBy: auth.organizer.organizerId
+      })
+      console.log(`[announcements:${requestId}] Created ${announcement.id} (${announcement.status})`)
+      return successResponse({ announcement }, [], 201, requestId)
+    }
+
+    if (event.httpMethod === 'PATCH' && id && !action) {
+      const announcement = await updateAnnouncement(supabase, { orgId, huntId, id, input: parseBody(event) })
+      if (!announcement) return notFoundResponse('Announcement not found', null, requestId)
+      console.log(`[announcements:${requestId}] Updated ${id}`)
+      return successResponse({ announcement }, [], 200, requestId)
+    }
+
+    if (event.httpMethod === 'POST' && id && action === 'expire') {
+      const announcement = await expireAnnouncement(supabase, { orgId, huntId, id })
+      if (!announcement) return notFoundResponse('Announcement not found', null, requestId)
+      console.log(`[announcements:${requestId}] Expired ${id}`)
+      return successResponse({ announcement }, [], 200, requestId)
+    }
+
+    return badRequestResponse('Unsupported announcements route', `${event.httpMethod} ${event.path}`, requestId)
+  } catch (error) {
+    console.error(`[announcements:${requestId}] Error:`, error.message)
+    return handleError(error, requestId)
+  }
+})
@@ -0,0 +1,632 @@
+/**
+ * Chunked, resumable photo and video uploads
+ *
+ *   POST /api/uploads/init                    - start or resume an upload session
+ *   PUT  /api/uploads/:uploadId/chunks/:index - store one chunk (raw bytes)
+ *   GET  /api/uploads/:uploadId               - session status and received chunks
+ *   POST /api/uploads/:uploadId/complete      - assemble, store (see _lib/photoStorage), complete the stop
+ *
+ * Init request: {
+ *   orgId, huntId, teamId, locationId, locationTitle, sessionId,
+ *   idempotencyKey (16 hex, see PhotoUploadService.generateIdempotencyKey),
+ *   contentType, totalBytes, durationSeconds? (video), fileName?,
+ *   teamName?, locationName?, eventName?, notes?, revealedHints?,
+ *   perceptualHash? (photos, see _lib/photoDuplicates; pre-checked at init, the
+ *   assembled file is hashed again on completion)
+ * }
+ * Session response: {
+ *   uploadId, status, mediaType, chunkSize, totalBytes, totalChunks,
+ *   receivedChunks, missingChunks, expiresAt, result? (once completed)
+ * }
+ * Complete response: same shape as /api/photo-upload-complete, plus
+ *   mediaType and durationSeconds
+ *
+ * Init with the key of an interrupted upload returns the chunks already
+ * stored, so the client only sends what is missing. Completing twice returns
+ * the stored result (duplicate: true).
+ *
+ * Every route needs the team's lock token (X-Team-Lock); status, chunks and
+ * completion are checked against the team that started the session.
+ *
+ * Errors:
+ *   400 - Invalid path
+ *   401 - Missing or invalid team lock token (INVALID_TOKEN)
+ *   403 - Hunt closed, stop locked or check-in required (same codes as photo-upload-complete),
+ *         or team lock for another org, hunt or team (TEAM_MISMATCH)
+ *   404 - Team or upload session not found
+ *   409 - Chunks missing (CHUNKS_MISSING), completion already running (UPLOAD_IN_PROGRESS)
+ *         or near-duplicate or unhashed photo in a hunt that blocks duplicates
+ *         (DUPLICATE_PHOTO, PHOTO_UNVERIFIED)
+ *   410 - Session expired (UPLOAD_EXPIRED)
+ *   413 - File too large (FILE_TOO_LARGE)
+ *   422 - Validation failed, MEDIA_TYPE_NOT_ALLOWED, CHUNK_SIZE_MISMATCH or VIDEO_TOO_LONG
+ *   503 - Circuit breaker open (Retry-After: 30)
+ *
+ * @ai-related-files: /netlify/functions/_lib/chunkedUploads.js, /netlify/functions/_lib/stopMedia.js, /src/client/ChunkedUploadService.ts
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const { withSentry } = require('./_lib/sentry')
+const { handleError, notFoundResponse } = require('./_lib/errorResponses')
+const { recordStopProgressEvents } = require('./_lib/activityFeed')
+const { startCollageOnHuntCompletion } = require('./_lib/teamCollage')
+const { recordPhotoSubmission } = require('./_lib/photoModeration')
+const { checkHuntWindow, huntClosedBody } = require('./_lib/huntSchedule')
+const { checkCompletionAllowed, resolveTeamUuid } = require('./_lib/geofence')
+const { checkProgressAllowed } = require('./_lib/stopOrdering')
+const { checkMediaAllowed } = require('./_lib/stopMedia')
+const { checkDuplicatePhoto } = require('./_lib/photoDuplicates')
+const { requireTeamLock } = require('./_lib/teamAuth')
+const { markLeaderboardStale } = require('./_lib/leaderboardStream')
+const { checkBreaker, recordBreakerFailure, recordBreakerSuccess, isBreakerOpenError } = require('./_lib/circuitBreaker')
+const { PHOTO_UPLOAD_TRANSFORM, isPhotoStorageConfigured, storageNotConfiguredBody, uploadMedia, deleteMedia } = require('./_lib/photoStorage')
+const {
+  getUploadLimits,
+  validateInitRequest,
+  checkUploadLimits,
+  chunkCount,
+  expectedChunkBytes,
+  missingChunkIndexes,
+  isSessionExpired,
+  canResumeSession,
+  listReceivedChunks,
+  storeChunk,
+  assembleChunks,
+  deleteChunks,
+  toSessionResponse
+} = require('./_lib/chunkedUploads')
+
+const HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, X-Team-Lock',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+  'Content-Type': 'application/json'
+}
+
+// A completion that hasn't finished after this long is assumed dead and can be retried
+const COMPLETING_STALE_MS = 2 * 60 * 1000
+
+function respond(statusCode, body, extraHeaders = {}) {
+  return { statusCode, headers: { ...HEADERS, ...extraHeaders }, body: JSON.stringify(body) }
+}
+
+function generateSlug(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .trim()
+    .replace(/^-|-$/g, '')
+}
+
+/**
+ * Parse the route from the request path
+ * @returns {{ action: 'init'|'status'|'chunk'|'complete', uploadId?: string, index?: number }}
+ */
+function parseUploadPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/chunked-upload/', '/api/uploads/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  const segments = pathToProcess.split('/').filter(Boolean).map(decodeURIComponent)
+  if (segments.length === 1 && segments[0] === 'init') return { action: 'init' }
+  if (segments.length === 1) return { action: 'status', uploadId: segments[0] }
+  if (segments.length === 2 && segments[1] === 'complete') return { action: 'complete', uploadId: segments[0] }
+  if (segments.length === 3 && segments[1] === 'chunks' && /^\d+$/.test(segments[2])) {
+    return { action: 'chunk', uploadId: segments[0], index: Number(segments[2]) }
+  }
+
+  throw new Error(`Invalid path format: got ${pathToProcess}`)
+}
+
+/**
+ * Hunt window, stop ordering/unlock rules and geofence - the checks
+ * photo-upload-complete runs before marking a stop done
+ * @returns {Promise<Object|null>} 403 response, or null when allowed
+ */
+async function checkStopWritable(supabase, { orgId, huntId, teamId, locationId }, requestId) {
+  const huntWindow = await checkHuntWindow(supabase, orgId, huntId)
+  if (!huntWindow.open) {
+    console.warn(`[${requestId}] Upload rejected: ${huntWindow.code}`)
+    return respond(403, { success: false, ...huntClosedBody(huntWindow, requestId) })
+  }
+
+  const access = await checkProgressAllowed(supabase, { orgId, huntId, teamId, changes: { [locationId]: true } })
+  if (!access.allowed) {
+    console.warn(`[${requestId}] Upload rejected: ${access.code}`)
+    return respond(403, { success: false, error: access.error, code: access.code, requestId })
+  }
+
+  const geofence = await checkCompletionAllowed(supabase, { orgId, huntId, teamId, stopId: locationId })
+  if (!geofence.allowed) {
+    console.warn(`[${requestId}] Upload rejected: ${geofence.code}`)
+    return respond(403, { success: false, error: geofence.error, code: geofence.code, requestId })
+  }
+
+  return null
+}
+
+/**
+ * Near-duplicate check for photos, as photo-upload-complete runs it (video clips are never compared)
+ * Without the file (init) only the client's hash can be pre-checked.
+ * @returns {Promise<{ response: Object|null, duplicate: Object|null, perceptualHash: string|null }>}
+ *   409 response when the hunt blocks duplicates
+ */
+async function checkDuplicate(supabase, { orgId, huntId, teamId, locationId }, mediaKind, { perceptualHash, photoBuffer }, requestId) {
+  if (mediaKind !== 'photo') return { response: null, duplicate: null, perceptualHash: null }
+  const check = await checkDuplicatePhoto(supabase, {
+    orgId, huntId, teamId, stopId: locationId, perceptualHash, photoBuffer, preliminary: !photoBuffer
+  })
+  if (!check.allowed) {
+    console.warn(`[${requestId}] Upload rejected: ${check.code}`)
+    return { response: respond(409, { success: false, error: check.error, code: check.code, requestId }), duplicate: check.duplicate, perceptualHash: check.perceptualHash }
+  }
+  return { response: null, duplicate: check.duplicate, perceptualHash: check.perceptualHash }
+}
+
+/**
+ * Team lock check against the team that started an upload session
+ */
+function authorizeSession(supabase, event, session, requestId) {
+  const metadata = session.metadata || {}
+  return requireTeamLock(event, {
+    orgId: session.organization_id,
+    huntId: session.hunt_id,
+    teamId: metadata.teamId || session.team_id
+  }, requestId, supabase)
+}
+
+async function getSession(supabase, uploadId) {
+  const { data, error } = await supabase
+    .from('upload_sessions')
+    .select('*')
+    .eq('id', uploadId)
+    .maybeSingle()
+
+  if (error) throw new Error(`Supabase error: ${error.message}`)
+  return data
+}
+
+function decodeBody(event) {
+  if (!event.body) return Buffer.alloc(0)
+  return event.isBase64Encoded ? Buffer.from(event.body, 'base64') : Buffer.from(event.body, 'binary')
+}
+
+// ---------------------------------------------------------------------------
+// Actions
+// ---------------------------------------------------------------------------
+
+async function initUpload(supabase, event, requestId) {
+  let body
+  try {
+    body = JSON.parse(event.body || '{}')
+  } catch {
+    throw new Error('Validation failed: body must be JSON')
+  }
+
+  const upload = validateInitRequest(body)
+
+  const auth = await requireTeamLock(event, { orgId: upload.orgId, huntId: upload.huntId, teamId: upload.teamId }, requestId, supabase)
+  if (auth.response) return auth.response
+
+  const limits = getUploadLimits()
+
+  const withinLimits = checkUploadLimits(upload, limits)
+  if (!withinLimits.ok) {
+    return respond(withinLimits.statusCode, { success: false, error: withinLimits.error, code: withinLimits.code, requestId })
+  }
+
+  const teamUuid = await resolveTeamUuid(supabase, upload.orgId, upload.huntId, upload.teamId)
+  if (!teamUuid) {
+    return notFoundResponse('Team not found', null, requestId)
+  }
+
+  const media = await checkMediaAllowed(supabase, upload.locationId, upload.mediaKind)
+  if (!media.allowed) {
+    return respond(422, { success: false, error: media.error, code: media.code, mediaType: media.mediaType, requestId })
+  }
+
+  const { data: existing, error: lookupError } = await supabase
+    .from('upload_sessions')
+    .select('*')
+    .eq('team_id', teamUuid)
+    .eq('idempotency_key', upload.idempotencyKey)
+    .maybeSingle()
+  if (lookupError) throw new Error(`Supabase error: ${lookupError.message}`)
+
+  // Already done: hand back the original result without checking the window again
+  if (existing && existing.status === 'completed') {
+    return respond(200, toSessionResponse(existing, []))
+  }
+
+  const blocked = await checkStopWritable(supabase, upload, requestId)
+  if (blocked) return blocked
+
+  // Refuse a blocked duplicate before the client sends any chunks
+  const duplicateCheck = await checkDuplicate(supabase, upload, upload.mediaKind, { perceptualHash: upload.perceptualHash }, requestId)
+  if (duplicateCheck.response) return duplicateCheck.response
+
+  if (existing && canResumeSession(existing, upload, limits.chunkBytes)) {
+    const receivedChunks = await listReceivedChunks(supabase, existing)
+    console.log(`[${requestId}] Resuming upload ${existing.id}: ${receivedChunks.length}/${existing.total_chunks} chunks stored`)
+    return respond(200, toSessionResponse(existing, receivedChunks))
+  }
+
+  const expiresAt = new Date(Date.now() + limits.sessionTtlHours * 3600 * 1000).toISOString()
+  const row = {
+    organization_id: upload.orgId,
+    hunt_id: upload.huntId,
+    team_id: teamUuid,
+    location_id: upload.locationId,
+    idempotency_key: upload.idempotencyKey,
+    media_type: upload.mediaKind,
+    content_type: upload.contentType,
+    total_bytes: upload.totalBytes,
+    chunk_size: limits.chunkBytes,
+    total_chunks: chunkCount(upload.totalBytes, limits.chunkBytes),
+    metadata: {
+      teamId: upload.teamId,
+      locationTitle: upload.locationTitle,
+      sessionId: upload.sessionId,
+      fileName: upload.fileName,
+      teamName: upload.teamName,
+      locationName: upload.locationName,
+      eventName: upload.eventName,
+      notes: upload.notes,
+      revealedHints: upload.revealedHints,
+      durationSeconds: upload.durationSeconds,
+      perceptualHash: upload.perceptualHash
+    },
+    status: 'pending',
+    result: null,
+    error: null,
+    expires_at: expiresAt,
+    updated_at: new Date().toISOString()
+  }
+
+  let session
+  if (existing) {
+    // Different file under the same key, or an expired/failed session: start over
+    await deleteChunks(supabase, existing)
+    const { data, error } = await supabase
+      .from('upload_sessions')
+      .update(row)
+      .eq('id', existing.id)
+      .select()
+      .single()
+    if (error) throw new Error(`Supabase error: ${error.message}`)
+    session = data
+  } else {
+    const { data, error } = await supabase
+      .from('upload_sessions')
+      .insert(row)
+      .select()
+      .single()
+
+    if (error && error.code === '23505') {
+      // Two inits raced for the same key; the other one created the session
+      const { data: raced } = await supabase
+        .from('upload_sessions')
+        .select('*')
+        .eq('team_id', teamUuid)
+        .eq('idempotency_key', upload.idempotencyKey)
+        .single()
+      session = raced
+    } else if (error) {
+      throw new Error(`Supabase error: ${error.message}`)
+    } else {
+      session = data
+    }
+  }
+
+  console.log(`[${requestId}] Upload session ${session.id} created: ${session.media_type}, ${session.total_bytes} bytes in ${session.total_chunks} chunks`)
+  return respond(201, toSessionResponse(session, []))
+}
+
+async function putChunk(supabase, event, { uploadId, index }, requestId) {
+  const session = await getSession(supabase, uploadId)
+  if (!session) return notFoundResponse('Upload session not found', null, requestId)
+
+  const auth = await authorizeSession(supabase, event, session, requestId)
+  if (auth.response) return auth.response
+
+  if (session.status === 'completed') {
+    return respond(200, { uploadId, index, received: true, status: session.status })
+  }
+  if (isSessionExpired(session)) {
+    return respond(410, { success: false, error: 'Upload session expired', code: 'UPLOAD_EXPIRED', requestId })
+  }
+  if (index >= session.total_chunks) {
+    throw new Error(`Validation failed: chunk index ${index} out of range (0-${session.total_chunks - 1})`)
+  }
+
+  const chunk = decodeBody(event)
+  const expected = expectedChunkBytes(session, index)
+  if (chunk.length !== expected) {
+    return respond(422, {
+      success: false,
+      error: `Chunk ${index} should be ${expected} bytes, got ${chunk.length}`,
+      code: 'CHUNK_SIZE_MISMATCH',
+      requestId
+    })
+  }
+
+  await storeChunk(supabase, session, index, chunk)
+  return respond(200, { uploadId, index, received: true, status: session.status })
+}
+
+async function getStatus(supabase, event, { uploadId }, requestId) {
+  const session = await getSession(supabase, uploadId)
+  if (!session) return notFoundResponse('Upload session not found', null, requestId)
+
+  const auth = await authorizeSession(supabase, event, session, requestId)
+  if (auth.response) return auth.response
+
+  const receivedChunks = session.status === 'completed' ? [] : await listReceivedChunks(supabase, session)
+  return respond(200, toSessionResponse(session, receivedChunks))
+}
+
+async function markSession(supabase, session, changes) {
+  const { error } = await supabase
+    .from('upload_sessions')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', session.id)
+  if (error) console.error(`[chunked-upload] Failed to update session ${session.id}:`, error.message)
+}
+
+async function completeUpload(supabase, event, { uploadId }, requestId) {
+  const session = await getSession(supabase, uploadId)
+  if (!session) return notFoundResponse('Upload session not found', null, requestId)
+
+  const auth = await authorizeSession(supabase, event, session, requestId)
+  if (auth.response) return auth.response
+
+  if (session.status === 'completed') {
+    return respond(200, { ...session.result, duplicate: true })
+  }
+  if (session.status === 'failed') {
+    return respond(422, { success: false, error: session.error || 'Upload failed', code: 'UPLOAD_FAILED', requestId })
+  }
+  if (isSessionExpired(session)) {
+    return respond(410, { success: false, error: 'Upload session expired', code: 'UPLOAD_EXPIRED', requestId })
+  }
+  if (session.status === 'completing' && Date.now() - new Date(session.updated_at).getTime() < COMPLETING_STALE_MS) {
+    return respond(409, { success: false, error: 'Upload is already being completed', code: 'UPLOAD_IN_PROGRESS', requestId }, { 'Retry-After': '5' })
+  }
+
+  const receivedChunks = await listReceivedChunks(supabase, session)
+  const missingChunks = missingChunkIndexes(session.total_chunks, receivedChunks)
+  if (missingChunks.length > 0) {
+    return respond(409, { success: false, error: 'Upload is missing chunks', code: 'CHUNKS_MISSING', missingChunks, requestId })
+  }
+
+  const metadata = session.metadata || {}
+  const target = {
+    orgId: session.organization_id,
+    huntId: session.hunt_id,
+    teamId: metadata.teamId || session.team_id,
+    locationId: session.location_id
+  }
+
+  const blocked = await checkStopWritable(supabase, target, requestId)
+  if (blocked) return blocked
+
+  // Claim the session; only one request gets past this update
+  const { data: claimed, error: claimError } = await supabase
+    .from('upload_sessions')
+    .update({ status: 'completing', updated_at: new Date().toISOString() })
+    .eq('id', session.id)
+    .eq('updated_at', session.updated_at)
+    .select('id')
+  if (claimError) throw new Error(`Supabase error: ${claimError.message}`)
+  if (!claimed || claimed.length === 0) {
+    return respond(409, { success: false, error: 'Upload is already being completed', code: 'UPLOAD_IN_PROGRESS', requestId }, { 'Retry-After': '5' })
+  }
+
+  const isVideo = session.media_type === 'video'
+  const resourceType = isVideo ? 'video' : 'image'
+  const limits = getUploadLimits()
+  let uploadResult
+
+  try {
+    const fileBuffer = await assembleChunks(supabase, session)
+
+    // Checked again on the assembled file: another team may have submitted the same photo since init
+    const duplicateCheck = await checkDuplicate(supabase, target, session.media_type, { perceptualHash: metadata.perceptualHash, photoBuffer: fileBuffer }, requestId)
+    if (duplicateCheck.response) {
+      // Chunks are kept, like any other failed completion
+      await markSession(supabase, session, { status: 'pending', error: 'Refused by the duplicate photo check' })
+      return duplicateCheck.response
+    }
+
+    const locationSlug = generateSlug(metadata.locationTitle || session.location_id)
+    const publicId = `${locationSlug}_${metadata.sessionId}_${session.idempotency_key}`
+    const tags = [
+      'scavenger-hunt',
+      locationSlug,
+      metadata.sessionId,
+      `org:${target.orgId}`,
+      `hunt:${target.huntId}`,
+      `team:${target.teamId}`,
+      `loc:${target.locationId}`,
+      isVideo ? 'video' : null
+    ].filter(Boolean)
+
+    uploadResult = await uploadMedia(fileBuffer, {
+      publicId,
+      resourceType,
+      contentType: session.content_type,
+      context: {
+        idempotency_key: session.idempotency_key,
+        session_id: metadata.sessionId,
+        location_id: target.locationId,
+        team_id: target.teamId,
+        org_id: target.orgId,
+        hunt_id: target.huntId,
+        location_title: metadata.locationTitle || '',
+        team_name: metadata.teamName || '',
+        event_name: metadata.eventName || '',
+        completed_at: new Date().toISOString()
+      },
+      tags,
+      // Videos are stored as sent; photos get the same incoming limit as photo-upload-complete
+      transform: isVideo ? undefined : PHOTO_UPLOAD_TRANSFORM
+    })
+    console.log(`[${requestId}] Upload stored: ${uploadResult.secureUrl}`)
+
+    // The client checks duration before uploading; the storage provider's measurement
+    // (when it probes videos) is authoritative
+    const durationSeconds = isVideo && typeof uploadResult.duration === 'number' ? uploadResult.duration : null
+    if (durationSeconds !== null && durationSeconds > limits.maxVideoSeconds + 1) {
+      await deleteMedia(uploadResult.publicId, resourceType)
+      const error = `Video is too long (${Math.round(durationSeconds)}s, max ${limits.maxVideoSeconds}s)`
+      await markSession(supabase, session, { status: 'failed', error })
+      await deleteChunks(supabase, session)
+      return respond(422, { success: false, error, code: 'VIDEO_TOO_LONG', requestId })
+    }
+
+    const teamUuid = session.team_id
+    const completedAt = new Date().toISOString()
+    const notes = metadata.notes || null
+    const revealedHints = metadata.revealedHints || 0
+
+    checkBreaker('supabase')
+    const { error: progressError } = await supabase
+      .from('hunt_progress')
+      .upsert(
+        {
+          team_id: teamUuid,
+          location_id: target.locationId,
+          photo_url: uploadResult.secureUrl,
+          done: true,
+          completed_at: completedAt,
+          revealed_hints: revealedHints,
+          notes,
+          updated_at: completedAt
+        },
+        { onConflict: 'team_id,location_id' }
+      )
+
+    if (progressError) {
+      recordBreakerFailure('supabase')
+      // Compensation: don't leave an asset no progress row points at
+      await deleteMedia(uploadResult.publicId, resourceType)
+      throw new Error(`Supabase error: ${progressError.message}`)
+    }
+    recordBreakerSuccess('supabase')
+    await markLeaderboardStale(supabase, target.orgId, target.huntId)
+
+    // Activity feed side effect (best-effort, never fails the upload)
+    const progressEvents = await recordStopProgressEvents(supabase, {
+      orgId: target.orgId,
+      huntId: target.huntId,
+      teamId: target.teamId,
+      teamUuid,
+      locationId: target.locationId,
+      locationTitle: metadata.locationTitle,
+      done: true,
+      photoUrl: uploadResult.secureUrl,
+      photoKey: session.idempotency_key
+    })
+
+    // Completing the hunt builds the team's collage in the background (best-effort)
+    startCollageOnHuntCompletion(supabase, {
+      orgId: target.orgId,
+      huntId: target.huntId,
+      teamId: target.teamId,
+      teamUuid
+    }, progressEvents)
+
+    // Queue for organizer review, as photo-upload-complete does (best-effort)
+    await recordPhotoSubmission(supabase, {
+      orgId: target.orgId,
+      huntId: target.huntId,
+      teamId: target.teamId,
+      teamUuid,
+      locationId: target.locationId,
+      locationTitle: metadata.locationTitle,
+      photoUrl: uploadResult.secureUrl,
+      photoKey: session.idempotency_key,
+      perceptualHash: duplicateCheck.perceptualHash,
+      duplicate: duplicateCheck.duplicate
+    })
+
+    const response = {
+      success: true,
+      photoUrl: uploadResult.secureUrl,
+      publicId: uploadResult.publicId,
+      locationSlug,
+      title: metadata.locationTitle || '',
+      uploadedAt: completedAt,
+      mediaType: session.media_type,
+      durationSeconds,
+      progressUpdated: true,
+      stopProgress: {
+        done: true,
+        photo: uploadResult.secureUrl,
+        completedAt,
+        notes,
+        revealedHints
+      },
+      progressError: null
+    }
+
+    await markSession(supabase, session, { status: 'completed', result: response, error: null })
+    await deleteChunks(supabase, session)
+
+    console.log(`[${requestId}] Chunked upload ${session.id} completed`)
+    return respond(200, response)
+  } catch (error) {
+    // Chunks are kept, so the client can call complete again
+    await markSession(supabase, session, { status: 'pending', error: error.message })
+    throw error
+  }
+}
+
+exports.handler = withSentry(async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: HEADERS, body: '' }
+  }
+
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  try {
+    const route = parseUploadPath(event.path)
+    const allowed = { init: 'POST', status: 'GET', chunk: 'PUT', complete: 'POST' }[route.action]
+    if (event.httpMethod !== allowed) {
+      return respond(405, { error: 'Method not allowed' }, { Allow: allowed })
+    }
+
+    if (route.action === 'complete' && !isPhotoStorageConfigured()) {
+      return respond(500, storageNotConfiguredBody(requestId))
+    }
+
+    const supabase = getSupabaseClient()
+
+    switch (route.action) {
+      case 'init': return await initUpload(supabase, event, requestId)
+      case 'chunk': return await putChunk(supabase, event, route, requestId)
+      case 'status': return await getStatus(supabase, event, route, requestId)
+      case 'complete': return await completeUpload(supabase, event, route, requestId)
+    }
+  } catch (error) {
+    console.error(`[${requestId}] chunked-upload error:`, error)
+
+    if (isBreakerOpenError(error)) {
+      return respond(503, {
+        error: 'Service temporarily unavailable',
+        details: 'Please try again in a moment',
+        requestId
+      }, { 'Retry-After': '30' })
+    }
+
+    return handleError(error, requestId)
+  }
+})
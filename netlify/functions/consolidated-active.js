@@ -3,7 +3,8 @@
  *
  * Consolidated endpoint that fetches all active hunt data in a single request.
  *
- * Request:  GET with path parameters (orgId, teamId, huntId)
+ * Request:  GET with path parameters (orgId, teamId, huntId); X-Team-Lock for
+ *           the team unlocks the stops it has reached in restricted hunts
  * Response: {
  *   orgId, teamId, huntId,
  *   settings: TeamSettings,
@@ -26,6 +27,8 @@
 const { getSupabaseClient } = require('./_lib/supabaseClient')
 const { getSettings } = require('./_lib/supabaseSettings')
 const { getHuntLocations } = require('./_lib/locationsHelper')
+const { lockStopsForTeam } = require('./_lib/stopOrdering')
+const { getTeamClaims } = require('./_lib/teamAuth')
 const { getSponsors } = require('./_lib/sponsorsService')
 const { getEnrichedProgress } = require('./_lib/progressService')
 const { getPublicConfig } = require('./_lib/config')
@@ -72,7 +75,7 @@ exports.handler = withSentry(async (event) => {
     const photoMode = huntData?.photo_mode || 'upload' // Default to upload mode
 
     // Fetch all data in parallel (independent requests)
-    const [settings, locations, sponsors, config] = await Promise.all([
+    const [settings, huntLocations, sponsors, config] = await Promise.all([
       // Settings (no cache - may change frequently)
       getSettings(orgId, teamId, huntId),
 
@@ -98,6 +101,16 @@ exports.handler = withSentry(async (event) => {
       withCache(CacheKeys.config(), 60, () => getPublicConfig())
     ])
 
+    // Sequential hunts: redact stops this team hasn't unlocked yet
+    // Applied after the shared cache - locks depend on the team's progress.
+    // The team comes from its lock token, never the URL alone; without a token
+    // for this team, stops are redacted as for a team that hasn't started.
+    const claims = getTeamClaims(event, { orgId, huntId, teamId })
+    const locations = {
+      ...huntLocations,
+      locations: await lockStopsForTeam(supabase, orgId, huntId, claims ? claims.teamId : null, huntLocations?.locations || [])
+    }
+
     // Progress must be fetched AFTER locations (needs location metadata for enrichment)
     // Progress is NOT cached - must be fresh
     const progress = await getEnrichedProgress(
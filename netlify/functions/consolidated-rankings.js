@@ -1,5 +1,9 @@
 const { getSupabaseClient } = require('./_lib/supabaseClient')
 const { withSentry } = require('./_lib/sentry')
+const { rankTeams, enrichTeamWithTimeData } = require('./_lib/rankingService')
+const { getHuntScoringConfig, applyScore } = require('./_lib/scoringService')
+const { countTeamStops } = require('./_lib/leaderboardService')
+const { getHuntStopConfigs } = require('./_lib/unlockRules')
 
 exports.handler = withSentry(async (event, ) => {
   const headers = {
@@ -46,38 +50,48 @@ exports.handler = withSentry(async (event, ) => {
       records = data || []
     }
 
+    const scoringConfig = await getHuntScoringConfig(supabase, orgId, huntId)
+
+    // Stop types and unlock rules (empty for hunts without configurations)
+    const stopConfigs = await getHuntStopConfigs(supabase, orgId, huntId).catch(error => {
+      console.warn('[consolidated-rankings] Could not load stop rules:', error.message)
+      return []
+    })
+
     const teams = records.map(rec => {
       const progress = rec.hunt_progress || {}
-      const values = Object.values(progress)
-      const completedStops = values.filter(p => p && typeof p === 'object' && p.done === true).length
-      const totalStops = Object.keys(progress).length
+      // Normalize the JSON progress map into hunt_progress row shape for scoring
+      const progressRecords = Object.entries(progress)
+        .filter(([, p]) => p && typeof p === 'object')
+        .map(([locationId, p]) => ({
+          location_id: locationId,
+          done: p.done === true,
+          completed_at: p.completedAt || null,
+          revealed_hints: p.revealedHints || 0
+        }))
+      const { completedStops, totalStops, bonusStops, rankedRecords } =
+        countTeamStops(stopConfigs, progressRecords, Object.keys(progress).length)
       let latestCompletionTime = null
-      values.forEach(p => {
-        if (p && typeof p === 'object' && p.done && p.completedAt) {
-          if (!latestCompletionTime || p.completedAt > latestCompletionTime) {
-            latestCompletionTime = p.completedAt
+      rankedRecords.forEach(p => {
+        if (p.done && p.completed_at) {
+          if (!latestCompletionTime || p.completed_at > latestCompletionTime) {
+            latestCompletionTime = p.completed_at
           }
         }
       })
-      return {
+      const team = enrichTeamWithTimeData({
         teamId: rec.team_id,
         name: rec.display_name || rec.name || rec.team_id,
-        score: rec.score || 0,
         completedStops,
         totalStops,
+        bonusStops,
         percentComplete: totalStops > 0 ? Math.round((completedStops / totalStops) * 100) : 0,
         latestActivity: latestCompletionTime || rec.updated_at || null
-      }
-    })
-
-    teams.sort((a, b) => {
-      if (b.percentComplete !== a.percentComplete) return b.percentComplete - a.percentComplete
-      if (b.completedStops !== a.completedStops) return b.completedStops - a.completedStops
-      if (a.latestActivity && b.latestActivity) return a.latestActivity.localeCompare(b.latestActivity)
-      return 0
+      }, rankedRecords)
+      return applyScore(team, rankedRecords, scoringConfig)
     })
 
-    teams.forEach((team, index) => { team.rank = index + 1 })
+    rankTeams(teams, scoringConfig)
 
     const config = {
       API_URL: process.env.API_URL || '',
@@ -87,7 +101,7 @@ exports.handler = withSentry(async (event, ) => {
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({ orgId, huntId, teams, config, lastUpdated: new Date().toISOString() })
+      body: JSON.stringify({ orgId, huntId, teams, scoringModel: scoringConfig.model, config, lastUpdated: new Date().toISOString() })
     }
   } catch (error) {
     console.error('[consolidated-rankings] error', error)
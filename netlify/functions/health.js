@@ -1,4 +1,5 @@
 const { withSentry } = require('./_lib/sentry')
+const { getStorageDriverName, isPhotoStorageConfigured } = require('./_lib/photoStorage')
 // Blobs removed for local/dev. Health will not attempt blob access.
 
 exports.handler = withSentry(async (event, context) => {
@@ -43,12 +44,17 @@ exports.handler = withSentry(async (event, context) => {
       apiSecretPresent: !!process.env.CLOUDINARY_API_SECRET,
       uploadFolderPresent: !!process.env.CLOUDINARY_UPLOAD_FOLDER
     },
+    photoStorage: {
+      driver: null,
+      configured: false
+    },
     blobs: {
       kv: false,
       huntData: false
     },
     checks: {
       cloudinaryConfigured: false,
+      photoStorageConfigured: false,
       blobStoresAccessible: false
     }
   };
@@ -59,6 +65,15 @@ exports.handler = withSentry(async (event, context) => {
     health.cloudinary.apiKeyPresent &&
     health.cloudinary.apiSecretPresent;
 
+  // Check the configured photo storage driver (Cloudinary, local or S3)
+  try {
+    health.photoStorage.driver = getStorageDriverName();
+    health.photoStorage.configured = isPhotoStorageConfigured();
+  } catch (error) {
+    health.photoStorage.error = error.message;
+  }
+  health.checks.photoStorageConfigured = health.photoStorage.configured;
+
   // Blob stores skipped in dev/no-blobs mode
   health.blobs.kv = false;
   health.blobs.huntData = false;
@@ -66,14 +81,14 @@ exports.handler = withSentry(async (event, context) => {
   health.checks.blobStoresAccessible = false;
 
   // Overall health status
-  if (!health.checks.cloudinaryConfigured || !health.checks.blobStoresAccessible) {
+  if (!health.checks.photoStorageConfigured || !health.checks.blobStoresAccessible) {
     health.status = 'degraded';
   }
 
   // Add warnings for missing components
   const warnings = [];
-  if (!health.checks.cloudinaryConfigured) {
-    warnings.push('Cloudinary not fully configured - photo uploads will fail');
+  if (!health.checks.photoStorageConfigured) {
+    warnings.push(`Photo storage (${health.photoStorage.driver || 'unknown driver'}) not fully configured - photo uploads will fail`);
   }
   if (!health.blobs.kv) {
     warnings.push('KV blob store not accessible - state operations may fail');
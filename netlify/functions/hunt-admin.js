@@ -0,0 +1,291 @@
+/**
+ * /api/hunt-admin/:orgId/hunts[/:huntId[/(stops|sponsors|teams|team-cards|preview)[/:id[/:action]]]]
+ *
+ * Organizer management of hunts, stops, sponsors and team codes for the admin console (/admin).
+ *
+ * Routes:
+ *   GET   /:orgId/hunts                          - Hunts of the organization
+ *   POST  /:orgId/hunts                          - Create { id, name, startsAt?, endsAt?, isActive?, orderingStrategy? }
+ *   PATCH /:orgId/hunts/:huntId                  - Edit any hunt field except id
+ *   GET   /:orgId/hunts/:huntId/stops            - Stops incl. inactive, in default order
+ *   POST  /:orgId/hunts/:huntId/stops            - Create and append { stopId, title, clue, description?, hints?, position? }
+ *   PATCH /:orgId/hunts/:huntId/stops/:stopId    - Edit stop content and/or { isActive }
+ *   PUT   /:orgId/hunts/:huntId/stops/order      - Reorder { stopIds } (every stop, first to last)
+ *   GET   /:orgId/hunts/:huntId/sponsors         - Sponsors incl. inactive, in display order
+ *   POST  /:orgId/hunts/:huntId/sponsors         - Add { companyName, alt?, svg | image (data URL) }
+ *   PATCH /:orgId/hunts/:huntId/sponsors/:id     - Edit { companyName?, alt?, isActive?, svg? | image? }
+ *   DELETE /:orgId/hunts/:huntId/sponsors/:id    - Remove a sponsor
+ *   PUT   /:orgId/hunts/:huntId/sponsors/order   - Reorder { ids }
+ *   GET   /:orgId/hunts/:huntId/preview          - What a team that hasn't started sees in ActiveView
+ *   GET   /:orgId/hunts/:huntId/teams            - Teams with every code they have had
+ *   POST  /:orgId/hunts/:huntId/teams            - Create teams with codes { count | names, expiresAt?, maxUses?, length?, prefix? }
+ *   POST  /:orgId/hunts/:huntId/teams/:teamId/rotate   - Replace the team's code { length?, prefix? }
+ *   POST  /:orgId/hunts/:huntId/teams/:teamId/revoke   - Revoke the team's active codes (or { code })
+ *   GET   /:orgId/hunts/:huntId/teams/:teamId/sessions - Devices that joined, with the code each used
+ *   POST  /:orgId/hunts/:huntId/teams/:teamId/join-links - Signed join link { appUrl?, singleUse?, maxUses?, expiresAt? }
+ *   POST  /:orgId/hunts/:huntId/teams/:teamId/revoke-link - Revoke one join link { linkId }; the code keeps working
+ *   GET   /:orgId/hunts/:huntId/team-cards       - Printable QR join cards { html, count } (?appUrl=, ?teamId=, ?linkMaxUses=)
+ *
+ * Reads require the hunt:view permission, writes hunt:manage; team codes are
+ * secrets, so every teams route requires teams:manage (see _lib/organizerAuth.js).
+ *
+ * Errors:
+ *   400 - Invalid path or body
+ *   401 - Missing/invalid organizer credentials
+ *   403 - Organizer role in this organization doesn't allow the action
+ *   404 - Hunt, stop, sponsor, team or join link not found
+ *   502 - Database or storage failure
+ *
+ * @ai-purpose: Admin console backend; HuntConfigService's writes need the service role, so the UI goes through here
+ * @ai-related-files: /netlify/functions/_lib/huntAdmin.js, /netlify/functions/_lib/sponsorAdmin.js, /netlify/functions/_lib/teamCodes.js, /src/features/views/AdminView.tsx
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const {
+  listHunts,
+  createHunt,
+  updateHunt,
+  listHuntStops,
+  createHuntStop,
+  updateHuntStop,
+  reorderHuntStops,
+  getHuntPreview
+} = require('./_lib/huntAdmin')
+const {
+  listHuntSponsors,
+  createSponsor,
+  updateSponsor,
+  deleteSponsor,
+  reorderSponsors
+} = require('./_lib/sponsorAdmin')
+const {
+  listHuntTeams,
+  createTeamsWithCodes,
+  rotateTeamCode,
+  revokeTeamCodes,
+  listTeamSessions
+} = require('./_lib/teamCodes')
+const { renderHuntTeamCards } = require('./_lib/teamCodeCards')
+const { createJoinLink, revokeJoinLink } = require('./_lib/joinLinks')
+const { requireOrganizer } = require('./_lib/organizerAuth')
+const {
+  handleError,
+  successResponse,
+  notFoundResponse,
+  badRequestResponse,
+  handleCorsPreflightResponse
+} = require('./_lib/errorResponses')
+const { withSentry } = require('./_lib/sentry')
+
+/**
+ * Parse /api/hunt-admin/:orgId/hunts[/:huntId[/:resource[/:id[/:action]]]] or the function path
+ */
+function parseHuntAdminPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/hunt-admin/', '/api/hunt-admin/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  const [orgId, collection, huntId, resource, id, action] = pathToProcess.split('/').filter(Boolean).map(decodeURIComponent)
+  if (!orgId || collection !== 'hunts') {
+    throw new Error(`Invalid path format: expected orgId/hunts, got ${pathToProcess}`)
+  }
+
+  return { orgId, huntId: huntId || null, resource: resource || null, id: id || null, action: action || null }
+}
+
+function parseBody(event) {
+  try {
+    return JSON.parse(event.body || '{}') || {}
+  } catch {
+    throw new Error('Validation failed: body must be valid JSON')
+  }
+}
+
+/**
+ * Dispatch a request for one hunt's stops, sponsors or preview
+ */
+async function handleHuntResource(supabase, event, { orgId, huntId, resource, id, action }, requestId) {
+  const method = event.httpMethod
+  if (action && resource !== 'teams') return null
+
+  if (resource === 'preview' && method === 'GET' && !id) {
+    return successResponse(await getHuntPreview(supabase, { orgId, huntId }), [], 200, requestId)
+  }
+
+  if (resource === 'stops') {
+    if (method === 'GET' && !id) {
+      return successResponse({ stops: await listHuntStops(supabase, { orgId, huntId }) }, [], 200, requestId)
+    }
+    if (method === 'POST' && !id) {
+      const stop = await createHuntStop(supabase, { orgId, huntId, input: parseBody(event) })
+      console.log(`[hunt-admin:${requestId}] Created stop ${stop.stopId} in ${orgId}/${huntId}`)
+      return successResponse({ stop }, [], 201, requestId)
+    }
+    if (method === 'PUT' && id === 'order') {
+      const stops = await reorderHuntStops(supabase, { orgId, huntId, stopIds: parseBody(event).stopIds })
+      console.log(`[hunt-admin:${requestId}] Reordered ${stops.length} stops in ${orgId}/${huntId}`)
+      return successResponse({ stops }, [], 200, requestId)
+    }
+    if (method === 'PATCH' && id) {
+      const stop = await updateHuntStop(supabase, { orgId, huntId, stopId: id, input: parseBody(event) })
+      if (!stop) return notFoundResponse('Stop not found in this hunt', null, requestId)
+      console.log(`[hunt-admin:${requestId}] Updated stop ${id} in ${orgId}/${huntId}`)
+      return successResponse({ stop }, [], 200, requestId)
+    }
+  }
+
+  if (resource === 'sponsors') {
+    if (method === 'GET' && !id) {
+      return successResponse({ sponsors: await listHuntSponsors(supabase, { orgId, huntId }) }, [], 200, requestId)
+    }
+    if (method === 'POST' && !id) {
+      const sponsor = await createSponsor(supabase, { orgId, huntId, input: parseBody(event) })
+      console.log(`[hunt-admin:${requestId}] Added sponsor ${sponsor.id} to ${orgId}/${huntId}`)
+      return successResponse({ sponsor }, [], 201, requestId)
+    }
+    if (method === 'PUT' && id === 'order') {
+      const sponsors = await reorderSponsors(supabase, { orgId, huntId, ids: parseBody(event).ids })
+      return successResponse({ sponsors }, [], 200, requestId)
+    }
+    if (method === 'PATCH' && id) {
+      const sponsor = await updateSponsor(supabase, { orgId, huntId, id, input: parseBody(event) })
+      if (!sponsor) return notFoundResponse('Sponsor not found in this hunt', null, requestId)
+      return successResponse({ sponsor }, [], 200, requestId)
+    }
+    if (method === 'DELETE' && id) {
+      const deleted = await deleteSponsor(supabase, { orgId, huntId, id })
+      if (!deleted) return notFoundResponse('Sponsor not found in this hunt', null, requestId)
+      console.log(`[hunt-admin:${requestId}] Removed sponsor ${id} from ${orgId}/${huntId}`)
+      return successResponse({ id }, [], 200, requestId)
+    }
+  }
+
+  if (resource === 'teams') {
+    return handleTeams(supabase, event, { orgId, huntId, teamId: id, action }, requestId)
+  }
+
+  if (resource === 'team-cards' && method === 'GET' && !id) {
+    const query = event.queryStringParameters || {}
+    const cards = await renderHuntTeamCards(supabase, {
+      orgId,
+      huntId,
+      appUrl: query.appUrl || process.env.URL || null,
+      teamIds: query.teamId ? [query.teamId] : null,
+      linkOptions: query.linkMaxUses ? { maxUses: Number(query.linkMaxUses) } : {}
+    })
+    return successResponse(cards, [], 200, requestId)
+  }
+
+  return null
+}
+
+/**
+ * Dispatch a team code request (generation, rotation, revocation, join links, audit)
+ */
+async function handleTeams(supabase, event, { orgId, huntId, teamId, action }, requestId) {
+  const method = event.httpMethod
+
+  if (!teamId) {
+    if (method === 'GET') {
+      return successResponse({ teams: await listHuntTeams(supabase, { orgId, huntId }) }, [], 200, requestId)
+    }
+    if (method === 'POST') {
+      const teams = await createTeamsWithCodes(supabase, { orgId, huntId, input: parseBody(event) })
+      console.log(`[hunt-admin:${requestId}] Created ${teams.length} teams with codes in ${orgId}/${huntId}`)
+      return successResponse({ teams }, [], 201, requestId)
+    }
+    return null
+  }
+
+  if (method === 'POST' && action === 'rotate') {
+    const rotation = await rotateTeamCode(supabase, { orgId, huntId, teamId, input: parseBody(event) })
+    if (!rotation) return notFoundResponse('Team not found in this hunt', null, requestId)
+    console.log(`[hunt-admin:${requestId}] Rotated code of ${orgId}/${huntId}/${rotation.teamId} (revoked ${rotation.revoked.length})`)
+    return successResponse(rotation, [], 200, requestId)
+  }
+
+  if (method === 'POST' && action === 'revoke') {
+    const { code = null } = parseBody(event)
+    const revocation = await revokeTeamCodes(supabase, { orgId, huntId, teamId, code })
+    if (!revocation) return notFoundResponse('Team not found in this hunt', null, requestId)
+    console.log(`[hunt-admin:${requestId}] Revoked ${revocation.revoked.length} code(s) of ${orgId}/${huntId}/${revocation.teamId}`)
+    return successResponse(revocation, [], 200, requestId)
+  }
+
+  if (method === 'POST' && action === 'join-links') {
+    const { appUrl, ...input } = parseBody(event)
+    const link = await createJoinLink(supabase, { orgId, huntId, teamId, appUrl: appUrl || process.env.URL || null, input })
+    if (!link) return notFoundResponse('Team not found in this hunt', null, requestId)
+    console.log(`[hunt-admin:${requestId}] Issued join link for ${orgId}/${huntId}/${link.teamId} (max uses: ${link.maxUses ?? 'unlimited'})`)
+    return successResponse({ link }, [], 201, requestId)
+  }
+
+  if (method === 'POST' && action === 'revoke-link') {
+    const { linkId } = parseBody(event)
+    const revocation = await revokeJoinLink(supabase, { orgId, huntId, teamId, linkId })
+    if (!revocation) return notFoundResponse('Join link not found or already revoked', null, requestId)
+    console.log(`[hunt-admin:${requestId}] Revoked join link ${revocation.linkId} of ${orgId}/${huntId}/${revocation.teamId}`)
+    return successResponse(revocation, [], 200, requestId)
+  }
+
+  if (method === 'GET' && action === 'sessions') {
+    const sessions = await listTeamSessions(supabase, { orgId, huntId, teamId })
+    if (!sessions) return notFoundResponse('Team not found in this hunt', null, requestId)
+    return successResponse({ sessions }, [], 200, requestId)
+  }
+
+  return null
+}
+
+exports.handler = withSentry(async (event) => {
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCorsPreflightResponse(event)
+  }
+
+  try {
+    const route = parseHuntAdminPath(event.path)
+    const { orgId, huntId, resource } = route
+
+    const permission = resource === 'teams' || resource === 'team-cards'
+      ? 'teams:manage'
+      : event.httpMethod === 'GET' ? 'hunt:view' : 'hunt:manage'
+    const auth = await requireOrganizer(event, requestId, { orgId, permission })
+    if (auth.response) return auth.response
+
+    const supabase = getSupabaseClient()
+
+    if (!huntId) {
+      if (event.httpMethod === 'GET') {
+        return successResponse({ orgId, hunts: await listHunts(supabase, orgId) }, [], 200, requestId)
+      }
+      if (event.httpMethod === 'POST') {
+        const hunt = await createHunt(supabase, { orgId, input: parseBody(event) })
+        console.log(`[hunt-admin:${requestId}] Created hunt ${orgId}/${hunt.id} by ${auth.organizer.organizerId}`)
+        return successResponse({ hunt }, [], 201, requestId)
+      }
+    } else if (!resource) {
+      if (event.httpMethod === 'PATCH') {
+        const hunt = await updateHunt(supabase, { orgId, huntId, input: parseBody(event) })
+        if (!hunt) return notFoundResponse('Hunt not found', null, requestId)
+        console.log(`[hunt-admin:${requestId}] Updated hunt ${orgId}/${huntId} by ${auth.organizer.organizerId}`)
+        return successResponse({ hunt }, [], 200, requestId)
+      }
+    } else {
+      const response = await handleHuntResource(supabase, event, route, requestId)
+      if (response) return response
+    }
+
+    return badRequestResponse('Unsupported hunt admin route', `${event.httpMethod} ${event.path}`, requestId)
+  } catch (error) {
+    console.error(`[hunt-admin:${requestId}] Error:`, error.message)
+    return handleError(error, requestId)
+  }
+})
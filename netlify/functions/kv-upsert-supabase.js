@@ -1,10 +1,13 @@
 /**
  * KV Upsert Function - Supabase Version
  * Stores key-value pairs with optional indexes in Supabase
+ * Keys are scoped to a team as {orgId}/{teamId}/{huntId}/{name} (ServerStorageService)
+ * and need a team lock token for that team.
  */
 
 const { getSupabaseClient } = require('./_lib/supabaseClient');
 const { withSentry } = require('./_lib/sentry')
+const { requireTeamLock } = require('./_lib/teamAuth')
 
 exports.handler = withSentry(async (event, context) => {
   try {
@@ -14,7 +17,7 @@ exports.handler = withSentry(async (event, context) => {
         statusCode: 200,
         headers: {
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Headers": "Content-Type, X-Team-Lock",
           "Access-Control-Allow-Methods": "POST, OPTIONS",
         },
         body: "",
@@ -43,6 +46,21 @@ exports.handler = withSentry(async (event, context) => {
       };
     }
 
+    const [orgId, teamId, huntId, ...name] = String(key).split("/");
+    if (!name.length || !orgId || !teamId || !huntId) {
+      return {
+        statusCode: 400,
+        headers: {
+          "Access-Control-Allow-Origin": "*",
+        },
+        body: JSON.stringify({ error: "key must be scoped as orgId/teamId/huntId/name" })
+      };
+    }
+
+    // Writes need a team lock token for the team the key belongs to
+    const auth = await requireTeamLock(event, { orgId, huntId, teamId });
+    if (auth.response) return auth.response;
+
     console.log(`📝 Storing KV pair: ${key} in Supabase`);
 
     // Use Supabase
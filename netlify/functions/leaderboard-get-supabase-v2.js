@@ -1,6 +1,9 @@
 const { createClient } = require('@supabase/supabase-js')
 const { withSentry } = require('./_lib/sentry')
 const { rankTeams, enrichTeamWithTimeData } = require('./_lib/rankingService')
+const { getHuntScoringConfig, applyScore } = require('./_lib/scoringService')
+const { countTeamStops } = require('./_lib/leaderboardService')
+const { getHuntStopConfigs } = require('./_lib/unlockRules')
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -67,8 +70,17 @@ exports.handler = withSentry(async (event) => {
       .eq('key', `${orgId}/${huntId}/stops/index`)
       .single()
 
-    const totalStops = stopsData?.value?.locations?.length || 0
-    console.log(`[leaderboard-v2] Total stops in hunt: ${totalStops}`)
+    const locationCount = stopsData?.value?.locations?.length || 0
+    console.log(`[leaderboard-v2] Total stops in hunt: ${locationCount}`)
+
+    // Stop types and unlock rules (empty for hunts without configurations)
+    const stopConfigs = await getHuntStopConfigs(supabase, orgId, huntId).catch(error => {
+      console.warn('[leaderboard-v2] Could not load stop rules:', error.message)
+      return []
+    })
+
+    // Per-hunt scoring model (defaults to completion-based ranking)
+    const scoringConfig = await getHuntScoringConfig(supabase, orgId, huntId)
 
     // Build leaderboard for each team
     const teams = []
@@ -86,7 +98,8 @@ exports.handler = withSentry(async (event) => {
       }
 
       // Count completed stops
-      const completedStops = progressRecords?.filter(p => p.done).length || 0
+      const { completedStops, totalStops, bonusStops, rankedRecords } =
+        countTeamStops(stopConfigs, progressRecords || [], locationCount)
       const percentComplete = totalStops > 0 ? Math.round((completedStops / totalStops) * 100) : 0
 
       // Build base team object
@@ -94,18 +107,19 @@ exports.handler = withSentry(async (event) => {
         teamId: teamData.team_id,
         completedStops,
         totalStops,
+        bonusStops,
         percentComplete
       }
 
       // Enrich with time data using ranking service
-      const enrichedTeam = enrichTeamWithTimeData(team, progressRecords || [])
-      teams.push(enrichedTeam)
+      const enrichedTeam = enrichTeamWithTimeData(team, rankedRecords)
+      teams.push(applyScore(enrichedTeam, rankedRecords, scoringConfig))
     }
 
     console.log(`[leaderboard-v2] Built leaderboard for ${teams.length} teams`)
 
     // Rank teams using ranking service
-    const rankedTeams = rankTeams(teams)
+    const rankedTeams = rankTeams(teams, scoringConfig)
 
     console.log(`[leaderboard-v2] Ranked ${rankedTeams.length} teams`)
 
@@ -116,6 +130,7 @@ exports.handler = withSentry(async (event) => {
         huntId,
         orgId,
         teams: rankedTeams,
+        scoringModel: scoringConfig.model,
         lastUpdated: new Date().toISOString()
       })
     }
@@ -0,0 +1,83 @@
+/**
+ * Live Leaderboard Stream (Server-Sent Events)
+ * GET /api/leaderboard/:orgId/:huntId/stream
+ *
+ * Uses a streamed Response so the leaderboard is pushed as it changes instead
+ * of being polled. Each invocation stays open for LEADERBOARD_STREAM_MAX_MS
+ * (kept under the function time limit) and then closes; EventSource
+ * reconnects automatically and receives a fresh snapshot.
+ */
+
+import { getSupabaseClient } from './_lib/supabaseClient.js'
+import { streamLeaderboard } from './_lib/leaderboardStream.js'
+
+const DEFAULT_MAX_STREAM_MS = 25000
+const ID_PATTERN = /^[a-z0-9-]{2,50}$/i
+
+export default async (req) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  }
+
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers })
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: { ...headers, 'Content-Type': 'application/json' }
+    })
+  }
+
+  const url = new URL(req.url)
+  const orgId = url.searchParams.get('orgId')
+  const huntId = url.searchParams.get('huntId')
+
+  if (!ID_PATTERN.test(orgId || '') || !ID_PATTERN.test(huntId || '')) {
+    return new Response(JSON.stringify({ error: 'Invalid path parameters' }), {
+      status: 400,
+      headers: { ...headers, 'Content-Type': 'application/json' }
+    })
+  }
+
+  const maxDurationMs = parseInt(process.env.LEADERBOARD_STREAM_MAX_MS || '', 10) || DEFAULT_MAX_STREAM_MS
+  const supabase = getSupabaseClient()
+  const encoder = new TextEncoder()
+  const abortController = new AbortController()
+
+  const body = new ReadableStream({
+    async start(controller) {
+      try {
+        await streamLeaderboard({
+          supabase,
+          orgId,
+          huntId,
+          signal: abortController.signal,
+          maxDurationMs,
+          write: (chunk) => controller.enqueue(encoder.encode(chunk))
+        })
+      } catch (error) {
+        console.error('[leaderboard-stream] Stream failed:', error)
+      } finally {
+        try { controller.close() } catch {}
+      }
+    },
+    cancel() {
+      // Client disconnected
+      abortController.abort()
+    }
+  })
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  })
+}
@@ -1,12 +1,23 @@
+const crypto = require('crypto')
 const { getSupabaseClient } = require('./_lib/supabaseClient')
 const { getSettings, initializeSettings } = require('./_lib/supabaseSettings')
 const { SupabaseTeamStorage } = require('./_lib/supabaseTeamStorage')
 const { verifyTeamCode, validateTeamLock, createTeamLock } = require('./_lib/teamVerification')
+const { recordCodeUse } = require('./_lib/teamCodes')
+const { redeemJoinToken, consumeJoinLink } = require('./_lib/joinLinks')
 const { withSentry } = require('./_lib/sentry')
+const { normalizeHuntSchedule, describeSchedule } = require('./_lib/huntSchedule')
+const { normalizeGeofenceConfig } = require('./_lib/geofence')
+const { getUploadLimits } = require('./_lib/chunkedUploads')
+const { getDuplicatePhotoMode } = require('./_lib/photoDuplicates')
 
 /**
  * Consolidated login/initialization endpoint
  * Handles complete initialization flow in a single request
+ *
+ * Teams join with a typed teamCode or a signed joinToken from a join link /
+ * team card QR code (see _lib/joinLinks.js). A joinToken names its own org
+ * and hunt, so orgId and huntId may be omitted with it.
  */
 exports.handler = withSentry(async (event) => {
   const headers = {
@@ -36,26 +47,36 @@ exports.handler = withSentry(async (event) => {
   try {
     const body = JSON.parse(event.body || '{}')
     const {
-      orgId,
-      huntId,
-      teamCode,
       lockToken,
       sessionId,
-      deviceFingerprint
+      deviceFingerprint,
+      joinToken
     } = body
+    let { orgId, huntId, teamCode } = body
+
+    // Redeem a join link in place of the team code
+    let join = null
+    if (joinToken && !teamCode) {
+      join = await redeemJoinToken(getSupabaseClient(), { joinToken, lockToken })
+      if (join.orgId) {
+        orgId = join.orgId
+        huntId = join.huntId
+      }
+      teamCode = join.code || null
+    }
 
     // Validate required fields
     if (!orgId || !huntId) {
       return {
         statusCode: 400,
         headers,
-        body: JSON.stringify({ error: 'Missing required fields: orgId, huntId' })
+        body: JSON.stringify({ error: join ? join.error : 'Missing required fields: orgId, huntId' })
       }
     }
 
     const supabase = getSupabaseClient()
     const response = {
-      config: getPublicConfig(),
+      config: getPublicConfig(await getDuplicatePhotoMode(supabase, orgId, huntId)),
       organization: await getOrganizationInfo(supabase, orgId),
       hunt: await getHuntInfo(supabase, orgId, huntId),
       features: getFeatures()
@@ -63,7 +84,13 @@ exports.handler = withSentry(async (event) => {
 
     // Handle existing lock token
     let currentTeam = null
-    if (lockToken && !teamCode) {
+    if (join?.currentTeam) {
+      // Join link scanned again on a device that already joined its team
+      currentTeam = join.currentTeam
+      response.currentTeam = { ...currentTeam, lockValid: true }
+    } else if (join && !join.success) {
+      response.teamVerification = { success: false, error: join.error }
+    } else if (lockToken && !teamCode) {
       currentTeam = await validateTeamLock(supabase, lockToken)
       if (currentTeam) {
         response.currentTeam = {
@@ -77,16 +104,34 @@ exports.handler = withSentry(async (event) => {
     // Handle team code verification
     let verifiedTeam = null
     if (teamCode) {
-      const verification = await verifyTeamCode(supabase, orgId, huntId, teamCode)
+      let verification = await verifyTeamCode(supabase, orgId, huntId, teamCode)
+      // A join link is only used up once its code has verified
+      if (verification.success && join?.linkId) {
+        const consumed = await consumeJoinLink(supabase, join.linkId)
+        if (!consumed.success) verification = { success: false, error: consumed.error }
+      }
       if (verification.success) {
-        // Create new lock
+        // Create new lock, naming the sessions row recorded below
+        const auditSessionId = crypto.randomUUID()
         const newLockToken = await createTeamLock(
           supabase,
           verification.teamId,
           sessionId,
-          deviceFingerprint
+          deviceFingerprint,
+          { orgId: verification.orgId || orgId, huntId: verification.huntId || huntId, sessionId: auditSessionId }
         )
 
+        const requestHeaders = event.headers || {}
+        await recordCodeUse(supabase, {
+          code: verification.code,
+          teamUuid: verification.teamUuid,
+          userAgent: requestHeaders['user-agent'] || null,
+          deviceHint: deviceFingerprint || null,
+          ip: requestHeaders['x-forwarded-for']?.split(',')[0].trim() || null,
+          joinLinkId: join?.linkId || null,
+          sessionId: auditSessionId
+        })
+
         response.teamVerification = {
           success: true,
           teamId: verification.teamId,
@@ -155,7 +200,8 @@ exports.handler = withSentry(async (event) => {
 
 // Helper functions
 
-function getPublicConfig() {
+function getPublicConfig(duplicatePhotoMode) {
+  const uploadLimits = getUploadLimits()
   return {
     API_URL: process.env.API_URL || '',
     SUPABASE_URL: process.env.SUPABASE_URL || '',
@@ -169,6 +215,14 @@ function getPublicConfig() {
     ALLOW_LARGE_UPLOADS: process.env.ALLOW_LARGE_UPLOADS === 'true',
     ENABLE_UNSIGNED_UPLOADS: process.env.ENABLE_UNSIGNED_UPLOADS === 'true',
     DISABLE_CLIENT_RESIZE: process.env.DISABLE_CLIENT_RESIZE === 'true',
+    UPLOAD_MAX_DIMENSION: Number(process.env.UPLOAD_MAX_DIMENSION || '1600'),
+    // Hunts that block duplicates only accept photos the server can hash (JPEG, PNG)
+    UPLOAD_IMAGE_FORMAT: process.env.UPLOAD_IMAGE_FORMAT === 'jpeg' || duplicatePhotoMode === 'block' ? 'jpeg' : 'webp',
+    UPLOAD_IMAGE_QUALITY: Number(process.env.UPLOAD_IMAGE_QUALITY || '0.82'),
+    UPLOAD_CHUNK_BYTES: uploadLimits.chunkBytes,
+    CHUNK_UPLOAD_THRESHOLD: Number(process.env.CHUNK_UPLOAD_THRESHOLD || '4194304'),
+    MAX_VIDEO_BYTES: uploadLimits.maxVideoBytes,
+    MAX_VIDEO_SECONDS: uploadLimits.maxVideoSeconds,
     ENABLE_ORCHESTRATED_UPLOAD: process.env.ENABLE_ORCHESTRATED_UPLOAD === 'true',
     CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME || '',
     CLOUDINARY_UNSIGNED_PRESET: process.env.CLOUDINARY_UNSIGNED_PRESET || '',
@@ -225,13 +279,17 @@ async function getHuntInfo(supabase, orgId, huntId) {
         description: null,
         startDate: null,
         endDate: null,
-        isActive: true
+        isActive: true,
+        schedule: describeSchedule(normalizeHuntSchedule(null)),
+        geofence: normalizeGeofenceConfig(null),
+        keepPhotoLocation: false
       }
     }
 
     const now = new Date()
     const startDate = data.start_date ? new Date(data.start_date) : null
     const endDate = data.end_date ? new Date(data.end_date) : null
+    const schedule = describeSchedule(normalizeHuntSchedule(data), now)
 
     return {
       id: data.id,
@@ -239,7 +297,10 @@ async function getHuntInfo(supabase, orgId, huntId) {
       description: data.description,
       startDate: data.start_date,
       endDate: data.end_date,
-      isActive: (!startDate || now >= startDate) && (!endDate || now <= endDate)
+      isActive: (!startDate || now >= startDate) && (!endDate || now <= endDate) && schedule.acceptingSubmissions,
+      schedule,
+      geofence: normalizeGeofenceConfig(data),
+      keepPhotoLocation: data.keep_photo_location === true
     }
   } catch (error) {
     console.warn('[login-initialize] Failed to get hunt info:', error)
@@ -249,7 +310,10 @@ async function getHuntInfo(supabase, orgId, huntId) {
       description: null,
       startDate: null,
       endDate: null,
-      isActive: true
+      isActive: true,
+      schedule: describeSchedule(normalizeHuntSchedule(null)),
+      geofence: normalizeGeofenceConfig(null),
+      keepPhotoLocation: false
     }
   }
 }
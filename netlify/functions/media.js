@@ -0,0 +1,87 @@
+/**
+ * GET /media/*
+ *
+ * Serves files stored by the local photo storage driver
+ * (PHOTO_STORAGE_DRIVER=local). Other drivers deliver from their own URLs,
+ * so this returns 404 unless the local driver is active.
+ *
+ * Response: the stored bytes with their original content type
+ *
+ * Errors:
+ *   400 - Invalid path
+ *   404 - Not found, or local storage not in use
+ *   405 - Method not allowed
+ *
+ * @ai-related-files: /netlify/functions/_lib/localPhotoStorage.js, /src/server/mediaRoute.ts
+ */
+
+const { getStorageDriverName } = require('./_lib/photoStorage')
+const { readLocalMedia, MEDIA_SECURITY_HEADERS } = require('./_lib/localPhotoStorage')
+const { withSentry } = require('./_lib/sentry')
+
+const headers = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS'
+}
+
+/**
+ * Path of the file below the media base URL
+ */
+function parseMediaPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/media/', '/media/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      return pathToProcess.split(prefix)[1]
+    }
+  }
+  return ''
+}
+
+const errorResponse = (statusCode, error) => ({
+  statusCode,
+  headers: { ...headers, 'Content-Type': 'application/json' },
+  body: JSON.stringify({ error })
+})
+
+exports.handler = withSentry(async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers, body: '' }
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return errorResponse(405, 'Method not allowed')
+  }
+
+  if (getStorageDriverName() !== 'local') {
+    return errorResponse(404, 'Not found')
+  }
+
+  let media
+  try {
+    media = await readLocalMedia(parseMediaPath(event.path))
+  } catch (error) {
+    if (error.message.startsWith('Invalid path')) {
+      return errorResponse(400, 'Invalid path')
+    }
+    throw error
+  }
+
+  if (!media) {
+    return errorResponse(404, 'Not found')
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      ...MEDIA_SECURITY_HEADERS,
+      'Content-Type': media.contentType,
+      'Content-Length': String(media.buffer.length),
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    },
+    body: event.httpMethod === 'HEAD' ? '' : media.buffer.toString('base64'),
+    isBase64Encoded: event.httpMethod !== 'HEAD'
+  }
+})
@@ -0,0 +1,99 @@
+/**
+ * /api/organizer/(login|me)
+ *
+ * Organizer sign-in, separate from team codes.
+ *
+ * Routes:
+ *   POST /login  - { email, password } -> { token, expiresAt, organizer }
+ *   GET  /me     - Identity and roles behind the bearer credential
+ *
+ * The token is sent as `Authorization: Bearer <token>` to organizer endpoints
+ * (announcements, moderation, archive), which check the role it carries for
+ * the organization in the request path (see _lib/organizerAuth.js).
+ *
+ * Errors:
+ *   400 - Missing email/password or unsupported route
+ *   401 - Wrong email or password, inactive account, or invalid token
+ *   502 - Database failure
+ *
+ * @ai-purpose: Organizer identity; roles are per organization and copied into the token at login
+ * @ai-related-files: /netlify/functions/_lib/organizerAccounts.js, /netlify/functions/_lib/organizerAuth.js, /src/services/OrganizerAuthService.ts
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const { loginOrganizer } = require('./_lib/organizerAccounts')
+const { requireOrganizer } = require('./_lib/organizerAuth')
+const {
+  handleError,
+  successResponse,
+  badRequestResponse,
+  unauthorizedResponse,
+  handleCorsPreflightResponse
+} = require('./_lib/errorResponses')
+const { withSentry } = require('./_lib/sentry')
+
+/**
+ * Parse /api/organizer/:action or the function path
+ */
+function parseOrganizerPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/organizer-auth/', '/api/organizer/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  return pathToProcess.split('/').filter(Boolean)[0] || null
+}
+
+function parseBody(event) {
+  try {
+    return JSON.parse(event.body || '{}') || {}
+  } catch {
+    throw new Error('Validation failed: body must be valid JSON')
+  }
+}
+
+exports.handler = withSentry(async (event) => {
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCorsPreflightResponse(event)
+  }
+
+  try {
+    const action = parseOrganizerPath(event.path)
+
+    if (event.httpMethod === 'POST' && action === 'login') {
+      const { email, password } = parseBody(event)
+      if (typeof email !== 'string' || !email.trim() || typeof password !== 'string' || !password) {
+        return badRequestResponse('Email and password are required', null, requestId)
+      }
+
+      const session = await loginOrganizer(getSupabaseClient(), { email, password })
+      if (!session) {
+        console.warn(`[organizer-auth:${requestId}] Failed login`)
+        return unauthorizedResponse('Incorrect email or password', null, requestId)
+      }
+
+      console.log(`[organizer-auth:${requestId}] Signed in ${session.organizer.id} (${session.organizer.memberships.length} organizations)`)
+      return successResponse(session, [], 200, requestId)
+    }
+
+    if (event.httpMethod === 'GET' && action === 'me') {
+      const auth = await requireOrganizer(event, requestId)
+      if (auth.response) return auth.response
+
+      const { organizerId, email, roles } = auth.organizer
+      return successResponse({ organizerId, email, roles }, [], 200, requestId)
+    }
+
+    return badRequestResponse('Unsupported organizer route', `${event.httpMethod} ${event.path}`, requestId)
+  } catch (error) {
+    console.error(`[organizer-auth:${requestId}] Error:`, error.message)
+    return handleError(error, requestId)
+  }
+})
@@ -0,0 +1,102 @@
+/**
+ * Hunt Photo Archive (streamed ZIP)
+ * GET /api/archive/:orgId/:huntId
+ *
+ * Streams every team's stop photos as <team>/<stop>.<ext> plus manifest.csv
+ * (completed_at, notes and hints used from hunt_progress). Requires organizer
+ * credentials with the photos:export permission (organizer role or above).
+ *
+ * Streamed function responses are capped in size and duration by the platform,
+ * so very large hunts should be exported with the CLI instead:
+ *   npx tsx scripts/photo-archive.ts --org <id> --hunt <id>
+ *
+ * Errors:
+ *   400 - Invalid path parameters
+ *   401 - Missing/invalid organizer credentials
+ *   403 - Organizer role doesn't allow photo export
+ *   404 - Hunt has no teams
+ *   502 - Database failure
+ */
+
+import { getSupabaseClient } from './_lib/supabaseClient.js'
+import { createPhotoArchive, archiveFileName } from './_lib/photoArchive.js'
+import { requireOrganizer } from './_lib/organizerAuth.js'
+
+const ID_PATTERN = /^[a-z0-9-]{2,50}$/i
+
+export default async (req) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  }
+  const json = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json' }
+  })
+
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers })
+  }
+
+  if (req.method !== 'GET') {
+    return json(405, { error: 'Method not allowed' })
+  }
+
+  const url = new URL(req.url)
+  const orgId = url.searchParams.get('orgId')
+  const huntId = url.searchParams.get('huntId')
+
+  if (!ID_PATTERN.test(orgId || '') || !ID_PATTERN.test(huntId || '')) {
+    return json(400, { error: 'Invalid path parameters' })
+  }
+
+  const auth = await requireOrganizer({ headers: Object.fromEntries(req.headers) }, null, { orgId, permission: 'photos:export' })
+  if (auth.response) {
+    return new Response(auth.response.body, {
+      status: auth.response.statusCode,
+      headers: { ...headers, ...auth.response.headers }
+    })
+  }
+
+  let archive
+  try {
+    archive = await createPhotoArchive(getSupabaseClient(), { orgId, huntId })
+  } catch (error) {
+    console.error('[photo-archive] Failed to collect hunt progress:', error.message)
+    return json(502, { error: 'Failed to load hunt progress' })
+  }
+
+  if (archive.teamCount === 0) {
+    return json(404, { error: `No teams found for ${orgId}/${huntId}` })
+  }
+
+  const iterator = archive.stream[Symbol.asyncIterator]()
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next()
+        if (done) controller.close()
+        else controller.enqueue(new Uint8Array(value))
+      } catch (error) {
+        // Headers are already sent; a truncated download is the only signal left
+        console.error('[photo-archive] Stream failed:', error)
+        controller.error(error)
+      }
+    },
+    cancel() {
+      // Client disconnected
+      archive.stream.destroy()
+    }
+  })
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${archiveFileName(orgId, huntId)}"`,
+      'Cache-Control': 'no-store'
+    }
+  })
+}
@@ -0,0 +1,96 @@
+/**
+ * GET /api/gallery/:orgId/:huntId[/filters]
+ *
+ * Hunt-wide gallery of approved stop photos across all teams, newest first
+ * with cursor pagination. Backs the gallery/slideshow shown at the awards party.
+ *
+ * Routes:
+ *   GET /:orgId/:huntId?stopId=&teamId=&cursor=&limit=  - One page of photos
+ *   GET /:orgId/:huntId/filters                        - Stops and teams that have approved photos
+ *
+ * Response (photos): {
+ *   orgId, huntId,
+ *   photos: [{ id, teamId, teamName, locationId, locationTitle, mediaType,
+ *              photoUrl, thumbnailUrl, displayUrl, srcSet, createdAt }],
+ *   nextCursor: string | null
+ * }
+ * Response (filters): { orgId, huntId, stops: [{ id, title, count }], teams: [{ id, name, count }] }
+ *
+ * Errors:
+ *   400 - Invalid path, teamId or cursor
+ *   502 - Database failure
+ *
+ * @ai-purpose: Public read of moderated photos; only 'approved' submissions are listed
+ * @ai-related-files: /netlify/functions/_lib/photoGallery.js, /src/features/views/GalleryView.tsx
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const { listGalleryPhotos, getGalleryFilters } = require('./_lib/photoGallery')
+const { handleError, successResponse, badRequestResponse, handleCorsPreflightResponse } = require('./_lib/errorResponses')
+const { withSentry } = require('./_lib/sentry')
+
+/**
+ * Extract orgId/huntId[/filters] from /api/gallery/... or the function path
+ */
+function parseGalleryPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/photo-gallery/', '/api/gallery/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  const [orgId, huntId, resource] = pathToProcess.split('/').filter(Boolean).map(decodeURIComponent)
+  if (!orgId || !huntId) {
+    throw new Error(`Invalid path format: expected orgId/huntId, got ${pathToProcess}`)
+  }
+
+  return { orgId, huntId, resource: resource || null }
+}
+
+exports.handler = withSentry(async (event) => {
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCorsPreflightResponse(event)
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    }
+  }
+
+  try {
+    const { orgId, huntId, resource } = parseGalleryPath(event.path)
+    const supabase = getSupabaseClient()
+
+    if (resource === 'filters') {
+      const { stops, teams } = await getGalleryFilters(supabase, { orgId, huntId })
+      return successResponse({ orgId, huntId, stops, teams }, [], 200, requestId)
+    }
+    if (resource) {
+      return badRequestResponse('Unsupported gallery route', event.path, requestId)
+    }
+
+    const { stopId, teamId, cursor, limit } = event.queryStringParameters || {}
+    const { photos, nextCursor } = await listGalleryPhotos(supabase, {
+      orgId,
+      huntId,
+      stopId,
+      teamId,
+      cursor,
+      limit
+    })
+
+    return successResponse({ orgId, huntId, photos, nextCursor }, [], 200, requestId)
+  } catch (error) {
+    console.error(`[photo-gallery:${requestId}] Error:`, error.message)
+    return handleError(error, requestId)
+  }
+})
@@ -0,0 +1,112 @@
+/**
+ * /api/moderation/:orgId/:huntId[/:id/(approve|reject)]
+ *
+ * Organizer review queue for stop photos.
+ *
+ * Routes:
+ *   GET  /:orgId/:huntId?status=&flagged=&limit=  - Submissions by status (pending|approved|rejected|all);
+ *                                                   flagged=true lists near-duplicate photos only
+ *   POST /:orgId/:huntId/:id/approve              - Approve { reason? }
+ *   POST /:orgId/:huntId/:id/reject               - Reject { reason }; reverts the stop and notifies the team
+ *
+ * All routes require organizer credentials (`Authorization: Bearer <token>`, see
+ * _lib/organizerAuth.js): viewers can list the queue, moderators can approve/reject.
+ *
+ * Errors:
+ *   400 - Invalid path or body, or the photo was already rejected
+ *   401 - Missing/invalid organizer credentials
+ *   403 - Organizer role in this organization doesn't allow the action
+ *   404 - Submission not found
+ *   502 - Database failure
+ *
+ * @ai-purpose: Organizer photo moderation; rejected photos stop counting for rankings
+ * @ai-related-files: /netlify/functions/_lib/photoModeration.js, /src/features/views/ModerationView.tsx
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const { listPhotoSubmissions, moderatePhotoSubmission } = require('./_lib/photoModeration')
+const { requireOrganizer } = require('./_lib/organizerAuth')
+const {
+  handleError,
+  successResponse,
+  notFoundResponse,
+  badRequestResponse,
+  handleCorsPreflightResponse
+} = require('./_lib/errorResponses')
+const { withSentry } = require('./_lib/sentry')
+
+/**
+ * Parse /api/moderation/:orgId/:huntId[/:id/:action] or the function path
+ */
+function parseModerationPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/photo-moderation/', '/api/moderation/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  const [orgId, huntId, id, action] = pathToProcess.split('/').filter(Boolean).map(decodeURIComponent)
+  if (!orgId || !huntId) {
+    throw new Error(`Invalid path format: expected orgId/huntId, got ${pathToProcess}`)
+  }
+
+  return { orgId, huntId, id: id || null, action: action || null }
+}
+
+function parseBody(event) {
+  try {
+    return JSON.parse(event.body || '{}') || {}
+  } catch {
+    throw new Error('Validation failed: body must be valid JSON')
+  }
+}
+
+exports.handler = withSentry(async (event) => {
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCorsPreflightResponse(event)
+  }
+
+  try {
+    const { orgId, huntId, id, action } = parseModerationPath(event.path)
+
+    const permission = event.httpMethod === 'GET' ? 'hunt:view' : 'photos:moderate'
+    const auth = await requireOrganizer(event, requestId, { orgId, permission })
+    if (auth.response) return auth.response
+
+    const supabase = getSupabaseClient()
+
+    if (event.httpMethod === 'GET' && !id) {
+      const params = event.queryStringParameters || {}
+      const status = params.status || 'pending'
+      const flagged = params.flagged === 'true'
+      const submissions = await listPhotoSubmissions(supabase, { orgId, huntId, status, flagged, limit: params.limit })
+      return successResponse({ orgId, huntId, status, flagged, submissions }, [], 200, requestId)
+    }
+
+    if (event.httpMethod === 'POST' && id && (action === 'approve' || action === 'reject')) {
+      const result = await moderatePhotoSubmission(supabase, {
+        orgId,
+        huntId,
+        id,
+        action,
+        input: parseBody(event),
+        moderatedBy: auth.organizer.organizerId
+      })
+      if (!result) return notFoundResponse('Photo submission not found', null, requestId)
+
+      console.log(`[photo-moderation:${requestId}] ${result.submission.status} ${id} (progress reverted: ${result.progressReverted})`)
+      return successResponse(result, [], 200, requestId)
+    }
+
+    return badRequestResponse('Unsupported moderation route', `${event.httpMethod} ${event.path}`, requestId)
+  } catch (error) {
+    console.error(`[photo-moderation:${requestId}] Error:`, error.message)
+    return handleError(error, requestId)
+  }
+})
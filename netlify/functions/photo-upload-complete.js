@@ -1,7 +1,7 @@
 /**
  * POST /api/photo-upload-complete
  * 
- * Atomic endpoint that uploads photo to Cloudinary AND updates hunt progress in one transaction.
+ * Atomic endpoint that uploads photo to photo storage AND updates hunt progress in one transaction.
  * This ensures photo upload and progress update succeed or fail together (no partial state).
  * 
  * Request:  multipart/form-data with fields:
@@ -15,10 +15,15 @@
  *   - teamName: (optional) Team name for metadata
  *   - locationName: (optional) Location name for metadata
  *   - eventName: (optional) Event name for metadata
+ *   - idempotencyKey: (optional) Client key from generateIdempotencyKey; replays of
+ *     queued offline uploads send the same key
+ *   - perceptualHash: (optional) 16-hex dHash from the client's preprocessing,
+ *     used for near-duplicate detection when the server can't hash the file
+ *     itself (see _lib/photoDuplicates)
  * 
  * Response: {
  *   success: true,
- *   photoUrl: string (Cloudinary URL),
+ *   photoUrl: string (photo storage URL),
  *   publicId: string,
  *   progress: ProgressItem (updated progress record),
  *   progressUpdated: true
@@ -26,23 +31,42 @@
  * 
  * Errors:
  *   400 - Missing required fields or invalid file
+ *   401 - Missing or invalid team lock token (X-Team-Lock)
+ *   403 - Team lock for another org, hunt or team (TEAM_MISMATCH)
+ *   409 - Near-duplicate of an earlier photo, or a photo the server couldn't hash (not
+ *         JPEG/PNG), in a hunt that blocks duplicates (DUPLICATE_PHOTO, PHOTO_UNVERIFIED)
  *   413 - File too large (>10MB)
- *   500 - Cloudinary upload failed or database update failed
+ *   422 - Stop needs a video clip (MEDIA_TYPE_NOT_ALLOWED; use /api/uploads)
+ *   500 - Photo storage upload failed or database update failed
  * 
  * Side effects:
- *   - Uploads image to Cloudinary (folder: vail-scavenger-hunt/{orgId}/{huntId})
+ *   - Uploads image through _lib/photoStorage (Cloudinary, local or S3; see PHOTO_STORAGE_DRIVER)
  *   - Updates hunt_progress table (sets photo_url, done=true, completed_at)
- *   - Idempotent: Same file+session+location won't duplicate upload
+ *   - Queues the photo for organizer moderation (photo_submissions, status pending),
+ *     flagged when it nearly matches another photo of the hunt
+ *   - Idempotent: Same file+session+location won't duplicate upload. A replay of an
+ *     upload that already completed the stop returns the original result
+ *     (duplicate: true) without re-uploading or moving completed_at
  * 
  * @ai-purpose: Atomic photo upload + progress update; prevents inconsistent state
  * @ai-dont: Don't call this endpoint twice for same photo; use idempotency key (sessionId + locationTitle)
  * @ai-related-files: /src/hooks/usePhotoUpload.ts, /src/client/PhotoUploadService.ts
  */
 const multipart = require('parse-multipart-data');
-const cloudinary = require('cloudinary').v2;
 const crypto = require('crypto');
 const { getSupabaseClient } = require('./_lib/supabaseClient');
 const { withSentry } = require('./_lib/sentry');
+const { recordStopProgressEvents } = require('./_lib/activityFeed');
+const { startCollageOnHuntCompletion } = require('./_lib/teamCollage');
+const { recordPhotoSubmission } = require('./_lib/photoModeration');
+const { checkHuntWindow, huntClosedBody } = require('./_lib/huntSchedule');
+const { checkCompletionAllowed, resolveTeamUuid } = require('./_lib/geofence');
+const { checkProgressAllowed } = require('./_lib/stopOrdering');
+const { checkMediaAllowed } = require('./_lib/stopMedia');
+const { checkDuplicatePhoto } = require('./_lib/photoDuplicates');
+const { requireTeamLock } = require('./_lib/teamAuth');
+const { markLeaderboardStale } = require('./_lib/leaderboardStream');
+const { PHOTO_UPLOAD_TRANSFORM, uploadMedia } = require('./_lib/photoStorage');
 
 // Helper to generate slug from location title
 function generateSlug(title) {
@@ -68,6 +92,28 @@ async function generateIdempotencyKey(fileBuffer, sessionId, locationTitle) {
   }
 }
 
+// Client keys are the first 16 hex chars of a SHA-256 (see PhotoUploadService)
+const IDEMPOTENCY_KEY_PATTERN = /^[a-f0-9]{16}$/;
+
+/**
+ * Find the progress row an earlier request with this key already completed
+ * @returns {Promise<Object|null>} hunt_progress row or null
+ */
+async function findCompletedUpload(supabase, metadata, idempotencyKey) {
+  const teamUuid = await resolveTeamUuid(supabase, metadata.orgId, metadata.huntId, metadata.teamId);
+  if (!teamUuid) return null;
+
+  const { data, error } = await supabase
+    .from('hunt_progress')
+    .select('photo_url, done, completed_at, notes, revealed_hints')
+    .eq('team_id', teamUuid)
+    .eq('location_id', metadata.locationId)
+    .maybeSingle();
+
+  if (error || !data?.done || !data.photo_url) return null;
+  return data.photo_url.includes(`_${idempotencyKey}`) ? data : null;
+}
+
 // Main handler for complete photo upload with progress update
 exports.handler = withSentry(async (event) => {
   const headers = {
@@ -143,31 +189,130 @@ exports.handler = withSentry(async (event) => {
       throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
     }
 
-    // Generate idempotency key
-    const idempotencyKey = await generateIdempotencyKey(
-      fileBuffer,
-      metadata.sessionId,
-      metadata.locationTitle
-    );
-    console.log(`[${requestId}] Generated idempotency key: ${idempotencyKey}`);
+    // Writes need a team lock token for this org, hunt and team
+    const auth = await requireTeamLock(event, { orgId: metadata.orgId, huntId: metadata.huntId, teamId: metadata.teamId }, requestId);
+    if (auth.response) return auth.response;
+
+    // Use the client's key when valid so replayed offline uploads match the original
+    const clientKey = (metadata.idempotencyKey || '').toLowerCase();
+    const idempotencyKey = IDEMPOTENCY_KEY_PATTERN.test(clientKey)
+      ? clientKey
+      : await generateIdempotencyKey(fileBuffer, metadata.sessionId, metadata.locationTitle);
+    console.log(`[${requestId}] Idempotency key: ${idempotencyKey}`);
 
     // Initialize Supabase client
     supabase = await getSupabaseClient();
 
-    // Step 1: Upload to Cloudinary
-    console.log(`[${requestId}] Starting Cloudinary upload...`);
+    // Replay of an upload that already went through: return the original result
+    const previous = await findCompletedUpload(supabase, metadata, idempotencyKey);
+    if (previous) {
+      console.log(`[${requestId}] Duplicate upload ${idempotencyKey}, returning existing progress`);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          duplicate: true,
+          photoUrl: previous.photo_url,
+          publicId: `${generateSlug(metadata.locationTitle)}_${metadata.sessionId}_${idempotencyKey}`,
+          locationSlug: generateSlug(metadata.locationTitle),
+          title: metadata.locationTitle,
+          uploadedAt: previous.completed_at,
+          progressUpdated: true,
+          stopProgress: {
+            done: true,
+            photo: previous.photo_url,
+            completedAt: previous.completed_at,
+            notes: previous.notes,
+            revealedHints: previous.revealed_hints || 0
+          },
+          progressError: null
+        })
+      };
+    }
+
+    // Reject uploads outside the hunt's schedule window (before touching photo storage)
+    const huntWindow = await checkHuntWindow(supabase, metadata.orgId, metadata.huntId);
+    if (!huntWindow.open) {
+      console.warn(`[${requestId}] Upload rejected: ${huntWindow.code}`);
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ success: false, ...huntClosedBody(huntWindow, requestId) })
+      };
+    }
+
+    // Locked or hidden stops (sequential order, unlock rules) can't be completed by uploading
+    const access = await checkProgressAllowed(supabase, {
+      orgId: metadata.orgId,
+      huntId: metadata.huntId,
+      teamId: metadata.teamId,
+      changes: { [metadata.locationId]: true }
+    });
+    if (!access.allowed) {
+      console.warn(`[${requestId}] Upload rejected: ${access.code}`);
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ success: false, error: access.error, code: access.code, requestId })
+      };
+    }
+
+    // Required geofence mode: the upload completes the stop, so a verified check-in is needed
+    const geofence = await checkCompletionAllowed(supabase, {
+      orgId: metadata.orgId,
+      huntId: metadata.huntId,
+      teamId: metadata.teamId,
+      stopId: metadata.locationId
+    });
+    if (!geofence.allowed) {
+      console.warn(`[${requestId}] Upload rejected: ${geofence.code}`);
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ success: false, error: geofence.error, code: geofence.code, requestId })
+      };
+    }
+
+    // Stops whose challenge asks for a video clip can't be completed with a photo
+    const media = await checkMediaAllowed(supabase, metadata.locationId, 'photo');
+    if (!media.allowed) {
+      console.warn(`[${requestId}] Upload rejected: ${media.code}`);
+      return {
+        statusCode: 422,
+        headers,
+        body: JSON.stringify({ success: false, error: media.error, code: media.code, mediaType: media.mediaType, requestId })
+      };
+    }
 
-    cloudinary.config({
-      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-      api_key: process.env.CLOUDINARY_API_KEY,
-      api_secret: process.env.CLOUDINARY_API_SECRET,
+    // Same photo reused for another stop or by another team: flagged, or refused when the hunt blocks duplicates
+    const duplicateCheck = await checkDuplicatePhoto(supabase, {
+      orgId: metadata.orgId,
+      huntId: metadata.huntId,
+      teamId: metadata.teamId,
+      stopId: metadata.locationId,
+      perceptualHash: metadata.perceptualHash,
+      photoBuffer: fileBuffer
     });
+    if (!duplicateCheck.allowed) {
+      console.warn(`[${requestId}] Upload rejected: ${duplicateCheck.code}`);
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ success: false, error: duplicateCheck.error, code: duplicateCheck.code, requestId })
+      };
+    }
+    if (duplicateCheck.duplicate) {
+      console.log(`[${requestId}] Possible duplicate of submission ${duplicateCheck.duplicate.submissionId} (${duplicateCheck.duplicate.scope}, distance ${duplicateCheck.duplicate.distance})`);
+    }
+
+    // Step 1: Upload to photo storage
+    console.log(`[${requestId}] Starting photo storage upload...`);
 
     const locationSlug = generateSlug(metadata.locationTitle);
-    const folder = process.env.CLOUDINARY_UPLOAD_FOLDER || 'scavenger/entries';
     const publicId = `${locationSlug}_${metadata.sessionId}_${idempotencyKey}`;
 
-    // Build context metadata for Cloudinary
+    // Build context metadata stored with the asset
     const contextData = {
       idempotency_key: idempotencyKey,
       session_id: metadata.sessionId,
@@ -192,56 +337,15 @@ exports.handler = withSentry(async (event) => {
       `loc:${metadata.locationId}`
     ].filter(Boolean);
 
-    const uploadOptions = {
-      folder,
-      public_id: publicId,
-      resource_type: 'auto',
+    // Retries live in _lib/photoStorage
+    uploadResult = await uploadMedia(fileBuffer, {
+      publicId,
       context: contextData,
-      tags: tags.slice(0, 20), // Cloudinary tag limit
-      transformation: [
-        {
-          quality: 'auto:good',
-          fetch_format: 'auto',
-          width: 1600,
-          height: 1600,
-          crop: 'limit'
-        }
-      ],
-      overwrite: true, // Allow re-uploading with same public_id
-    };
-
-    // Upload to Cloudinary with retries
-    let lastUploadError;
-    const uploadDelays = [500, 1000, 2000];
-
-    for (let attempt = 0; attempt < 3; attempt++) {
-      try {
-        uploadResult = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            uploadOptions,
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-          uploadStream.end(fileBuffer);
-        });
-
-        console.log(`[${requestId}] Cloudinary upload successful: ${uploadResult.secure_url}`);
-        break;
-      } catch (error) {
-        lastUploadError = error;
-        console.error(`[${requestId}] Cloudinary upload attempt ${attempt + 1} failed:`, error.message);
-
-        if (attempt < 2) {
-          await new Promise(resolve => setTimeout(resolve, uploadDelays[attempt]));
-        }
-      }
-    }
-
-    if (!uploadResult) {
-      throw lastUploadError || new Error('Failed to upload to Cloudinary after 3 attempts');
-    }
+      tags,
+      transform: PHOTO_UPLOAD_TRANSFORM,
+      overwrite: true, // Allow re-uploading with same public id
+    });
+    console.log(`[${requestId}] Photo storage upload successful: ${uploadResult.secureUrl}`);
 
     // Step 2: Update progress in database
     console.log(`[${requestId}] Updating progress in database...`);
@@ -283,7 +387,7 @@ exports.handler = withSentry(async (event) => {
         {
           team_id: actualTeamId,
           location_id: metadata.locationId,
-          photo_url: uploadResult.secure_url,
+          photo_url: uploadResult.secureUrl,
           done: true,
           completed_at: completedAt,
           revealed_hints: revealedHints,
@@ -311,20 +415,56 @@ exports.handler = withSentry(async (event) => {
         data: progressData
       };
       console.log(`[${requestId}] Progress updated successfully`);
+      await markLeaderboardStale(supabase, metadata.orgId, metadata.huntId);
+
+      // Activity feed side effect (best-effort, never fails the upload)
+      const progressEvents = await recordStopProgressEvents(supabase, {
+        orgId: metadata.orgId,
+        huntId: metadata.huntId,
+        teamId: metadata.teamId,
+        teamUuid: actualTeamId,
+        locationId: metadata.locationId,
+        locationTitle: metadata.locationTitle,
+        done: true,
+        photoUrl: uploadResult.secureUrl,
+        photoKey: idempotencyKey
+      });
+
+      // Completing the hunt builds the team's collage in the background (best-effort)
+      startCollageOnHuntCompletion(supabase, {
+        orgId: metadata.orgId,
+        huntId: metadata.huntId,
+        teamId: metadata.teamId,
+        teamUuid: actualTeamId
+      }, progressEvents);
+
+      // Queue the photo for organizer review (best-effort); the stop counts until rejected
+      await recordPhotoSubmission(supabase, {
+        orgId: metadata.orgId,
+        huntId: metadata.huntId,
+        teamId: metadata.teamId,
+        teamUuid: actualTeamId,
+        locationId: metadata.locationId,
+        locationTitle: metadata.locationTitle,
+        photoUrl: uploadResult.secureUrl,
+        photoKey: idempotencyKey,
+        perceptualHash: duplicateCheck.perceptualHash,
+        duplicate: duplicateCheck.duplicate
+      });
     }
 
     // Step 3: Return combined response
     const response = {
       success: true,
-      photoUrl: uploadResult.secure_url,
-      publicId: uploadResult.public_id,
+      photoUrl: uploadResult.secureUrl,
+      publicId: uploadResult.publicId,
       locationSlug,
       title: metadata.locationTitle,
       uploadedAt: completedAt,
       progressUpdated: progressResult.updated,
       stopProgress: progressResult.updated ? {
         done: true,
-        photo: uploadResult.secure_url,
+        photo: uploadResult.secureUrl,
         completedAt: completedAt,
         notes: notes,
         revealedHints: revealedHints
@@ -350,8 +490,8 @@ exports.handler = withSentry(async (event) => {
         headers,
         body: JSON.stringify({
           success: true,
-          photoUrl: uploadResult.secure_url,
-          publicId: uploadResult.public_id,
+          photoUrl: uploadResult.secureUrl,
+          publicId: uploadResult.publicId,
           locationSlug: metadata.locationTitle ? generateSlug(metadata.locationTitle) : '',
           title: metadata.locationTitle || '',
           uploadedAt: new Date().toISOString(),
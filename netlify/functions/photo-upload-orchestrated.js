@@ -1,63 +1,17 @@
 const multipart = require('parse-multipart-data');
-const cloudinary = require('cloudinary').v2;
 const crypto = require('crypto');
 const { getSupabaseClient } = require('./_lib/supabaseClient');
 const { withSentry } = require('./_lib/sentry');
 const { executeWithRetry } = require('./_lib/retryHelpers');
-
-// Circuit breaker state
-const circuitBreaker = {
-  cloudinary: { failures: 0, lastFailure: null, state: 'CLOSED' },
-  supabase: { failures: 0, lastFailure: null, state: 'CLOSED' }
-};
-
-const BREAKER_THRESHOLD = 5;
-const BREAKER_TIMEOUT = 30000; // 30 seconds
-const BREAKER_WINDOW = 60000; // 60 seconds
-
-// Helper to check and update circuit breaker
-function checkBreaker(service) {
-  const breaker = circuitBreaker[service];
-  const now = Date.now();
-
-  // Reset failures if outside window
-  if (breaker.lastFailure && (now - breaker.lastFailure) > BREAKER_WINDOW) {
-    breaker.failures = 0;
-    breaker.state = 'CLOSED';
-  }
-
-  // Check if circuit is open
-  if (breaker.state === 'OPEN') {
-    if ((now - breaker.lastFailure) > BREAKER_TIMEOUT) {
-      breaker.state = 'HALF_OPEN';
-      console.log(`[CircuitBreaker] ${service} entering HALF_OPEN state`);
-    } else {
-      throw new Error(`Circuit breaker OPEN for ${service}`);
-    }
-  }
-
-  return breaker.state;
-}
-
-function recordBreakerFailure(service) {
-  const breaker = circuitBreaker[service];
-  breaker.failures++;
-  breaker.lastFailure = Date.now();
-
-  if (breaker.failures >= BREAKER_THRESHOLD) {
-    breaker.state = 'OPEN';
-    console.log(`[CircuitBreaker] ${service} entering OPEN state after ${breaker.failures} failures`);
-  }
-}
-
-function recordBreakerSuccess(service) {
-  const breaker = circuitBreaker[service];
-  if (breaker.state === 'HALF_OPEN') {
-    breaker.state = 'CLOSED';
-    breaker.failures = 0;
-    console.log(`[CircuitBreaker] ${service} entering CLOSED state`);
-  }
-}
+const { checkHuntWindow, huntClosedBody } = require('./_lib/huntSchedule');
+const { checkCompletionAllowed } = require('./_lib/geofence');
+const { checkProgressAllowed } = require('./_lib/stopOrdering');
+const { checkDuplicatePhoto } = require('./_lib/photoDuplicates');
+const { recordPhotoSubmission } = require('./_lib/photoModeration');
+const { requireTeamLock } = require('./_lib/teamAuth');
+const { markLeaderboardStale } = require('./_lib/leaderboardStream');
+const { checkBreaker, recordBreakerFailure, recordBreakerSuccess, isBreakerOpenError } = require('./_lib/circuitBreaker');
+const { PHOTO_UPLOAD_TRANSFORM, isPhotoStorageConfigured, storageNotConfiguredBody, uploadMedia, verifyMedia, deleteMedia } = require('./_lib/photoStorage');
 
 // Helper to generate slug from location title
 function generateSlug(title) {
@@ -84,17 +38,8 @@ async function generateIdempotencyKey(fileBuffer, sessionId, locationTitle) {
   }
 }
 
-// Upload to Cloudinary with retries
-async function uploadToCloudinary(fileBuffer, locationSlug, sessionId, idempotencyKey, metadata) {
-  checkBreaker('cloudinary');
-
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-  });
-
-  const folder = process.env.CLOUDINARY_UPLOAD_FOLDER || 'scavenger/entries';
+// Upload to photo storage (retries and circuit breaker live in _lib/photoStorage)
+async function uploadToStorage(fileBuffer, locationSlug, sessionId, idempotencyKey, metadata) {
   const publicId = `${locationSlug}_${sessionId}_${idempotencyKey}`;
 
   // Build context metadata
@@ -122,92 +67,13 @@ async function uploadToCloudinary(fileBuffer, locationSlug, sessionId, idempoten
   if (metadata.teamId) tags.push(`team:${metadata.teamId}`);
   if (metadata.locationId) tags.push(`loc:${metadata.locationId}`);
 
-  const uploadOptions = {
-    folder,
-    public_id: publicId,
-    resource_type: 'auto',
+  return uploadMedia(fileBuffer, {
+    publicId,
     context: contextData,
-    tags: tags.slice(0, 20), // Cloudinary tag limit
-    transformation: [
-      {
-        quality: 'auto:good',
-        fetch_format: 'auto',
-        width: 1600,
-        height: 1600,
-        crop: 'limit'
-      }
-    ],
-    overwrite: true, // Allow re-uploading with same public_id (idempotent)
-  };
-
-  // Retry logic for upload
-  let lastError;
-  const delays = [500, 1000, 2000];
-
-  for (let attempt = 0; attempt < 3; attempt++) {
-    try {
-      const result = await new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          uploadOptions,
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        );
-        uploadStream.end(fileBuffer);
-      });
-
-      recordBreakerSuccess('cloudinary');
-      return {
-        publicId: result.public_id,
-        secureUrl: result.secure_url,
-        assetId: result.asset_id,
-        version: result.version
-      };
-    } catch (error) {
-      lastError = error;
-      console.log(`[Cloudinary] Upload attempt ${attempt + 1} failed:`, error.message);
-
-      if (attempt < 2) {
-        await new Promise(resolve => setTimeout(resolve, delays[attempt]));
-      }
-    }
-  }
-
-  recordBreakerFailure('cloudinary');
-  throw lastError;
-}
-
-// Verify Cloudinary asset exists
-async function verifyCloudinaryAsset(publicId) {
-  const delays = [500, 1000, 2000];
-
-  for (let attempt = 0; attempt < 3; attempt++) {
-    try {
-      const result = await cloudinary.api.resource(publicId);
-      return result && result.public_id === publicId;
-    } catch (error) {
-      console.log(`[Cloudinary] Verify attempt ${attempt + 1} failed:`, error.message);
-
-      if (attempt < 2) {
-        await new Promise(resolve => setTimeout(resolve, delays[attempt]));
-      }
-    }
-  }
-
-  return false;
-}
-
-// Delete Cloudinary asset (compensation)
-async function deleteCloudinaryAsset(publicId) {
-  try {
-    console.log(`[Compensation] Deleting Cloudinary asset: ${publicId}`);
-    await cloudinary.uploader.destroy(publicId);
-    console.log(`[Compensation] Successfully deleted asset: ${publicId}`);
-  } catch (error) {
-    console.error(`[Compensation] Failed to delete asset ${publicId}:`, error.message);
-    // Don't throw - best effort compensation
-  }
+    tags,
+    transform: PHOTO_UPLOAD_TRANSFORM,
+    overwrite: true, // Allow re-uploading with same public id (idempotent)
+  });
 }
 
 // Upsert to hunt_progress table
@@ -353,16 +219,12 @@ exports.handler = withSentry(async (event) => {
     event.headers['x-nf-request-id'] ||
     `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-  // Check Cloudinary configuration
-  if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+  // Check photo storage configuration
+  if (!isPhotoStorageConfigured()) {
     return {
       statusCode: 500,
       headers,
-      body: JSON.stringify({
-        error: 'Server configuration error',
-        details: 'Cloudinary credentials not configured',
-        requestId
-      })
+      body: JSON.stringify(storageNotConfiguredBody(requestId))
     };
   }
 
@@ -433,6 +295,7 @@ exports.handler = withSentry(async (event) => {
     let idempotencyKey = '';
     let orgId = '';
     let huntId = '';
+    let perceptualHash = '';
     locationId = ''; // Reset
 
     for (const part of parts) {
@@ -454,6 +317,7 @@ exports.handler = withSentry(async (event) => {
           case 'orgId': orgId = value; break;
           case 'huntId': huntId = value; break;
           case 'teamId': teamId = value; break;
+          case 'perceptualHash': perceptualHash = value; break;
         }
       }
     }
@@ -479,34 +343,17 @@ exports.handler = withSentry(async (event) => {
       };
     }
 
-    // Get team context from headers or determine from session
-    if (!teamId) {
-      // Try to get from team lock header
-      const lockToken = event.headers['x-team-lock'];
-      if (lockToken) {
-        const supabase = getSupabaseClient();
-        const { data: lock } = await supabase
-          .from('device_locks')
-          .select('team_id')
-          .eq('lock_token', lockToken)
-          .single();
-
-        if (lock) {
-          teamId = lock.team_id;
-        }
-      }
-    }
+    // Writes need a team lock token covering whatever team context the form names
+    const auth = await requireTeamLock(event, {
+      orgId: orgId || undefined,
+      huntId: huntId || undefined,
+      teamId: teamId || undefined
+    }, requestId);
+    if (auth.response) return auth.response;
 
+    // Team context defaults to the team the lock was issued to
     if (!teamId) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: 'Team context required',
-          details: 'Unable to determine team ID',
-          requestId
-        })
-      };
+      teamId = auth.team.teamId;
     }
 
     // Use provided locationId or derive from title
@@ -544,14 +391,59 @@ exports.handler = withSentry(async (event) => {
       organizationName: ''
     };
 
+    let duplicateCheck = null;
     if (orgId && huntId) {
+      // Reject uploads outside the hunt's schedule window (before touching photo storage)
+      const huntWindow = await checkHuntWindow(supabase, orgId, huntId);
+      if (!huntWindow.open) {
+        console.warn(`[${requestId}] Upload rejected: ${huntWindow.code}`);
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify(huntClosedBody(huntWindow, requestId))
+        };
+      }
+
+      // Locked or hidden stops (sequential order, unlock rules) can't be completed by uploading
+      const access = await checkProgressAllowed(supabase, { orgId, huntId, teamId, changes: { [locationId]: true } });
+      if (!access.allowed) {
+        console.warn(`[${requestId}] Upload rejected: ${access.code}`);
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: access.error, code: access.code, requestId })
+        };
+      }
+
+      // Required geofence mode: the upload completes the stop, so a verified check-in is needed
+      const geofence = await checkCompletionAllowed(supabase, { orgId, huntId, teamId, stopId: locationId });
+      if (!geofence.allowed) {
+        console.warn(`[${requestId}] Upload rejected: ${geofence.code}`);
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: geofence.error, code: geofence.code, requestId })
+        };
+      }
+
+      // Same duplicate rules as photo-upload-complete
+      duplicateCheck = await checkDuplicatePhoto(supabase, { orgId, huntId, teamId, stopId: locationId, perceptualHash, photoBuffer });
+      if (!duplicateCheck.allowed) {
+        console.warn(`[${requestId}] Upload rejected: ${duplicateCheck.code}`);
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: duplicateCheck.error, code: duplicateCheck.code, requestId })
+        };
+      }
+
       const fetchedMetadata = await fetchMetadata(supabase, orgId, huntId, teamId);
       metadata = { ...metadata, ...fetchedMetadata };
     }
 
-    // Step 1: Upload to Cloudinary
-    console.log(`[${requestId}] Uploading to Cloudinary...`);
-    const uploadResult = await uploadToCloudinary(
+    // Step 1: Upload to photo storage
+    console.log(`[${requestId}] Uploading to photo storage...`);
+    const uploadResult = await uploadToStorage(
       photoBuffer,
       locationSlug,
       sessionId,
@@ -562,14 +454,14 @@ exports.handler = withSentry(async (event) => {
     publicId = uploadResult.publicId;
     const photoUrl = uploadResult.secureUrl;
 
-    console.log(`[${requestId}] Cloudinary upload successful:`, {
+    console.log(`[${requestId}] Upload successful:`, {
       publicId,
       idempotencyKey
     });
 
     // Step 2: Verify asset exists
-    console.log(`[${requestId}] Verifying Cloudinary asset...`);
-    const assetExists = await verifyCloudinaryAsset(publicId);
+    console.log(`[${requestId}] Verifying stored asset...`);
+    const assetExists = await verifyMedia(publicId);
 
     if (!assetExists) {
       throw new Error('Failed to verify uploaded asset');
@@ -577,14 +469,33 @@ exports.handler = withSentry(async (event) => {
 
     // Step 3: Upsert to hunt_progress
     console.log(`[${requestId}] Updating hunt progress...`);
+    let progressRow;
     try {
-      await upsertHuntProgress(supabase, teamId, locationId, photoUrl, requestId, orgId);
+      progressRow = await upsertHuntProgress(supabase, teamId, locationId, photoUrl, requestId, orgId);
     } catch (dbError) {
-      // Compensation: Delete Cloudinary asset
+      // Compensation: Delete stored asset
       console.error(`[${requestId}] Database write failed, compensating...`, dbError);
-      await deleteCloudinaryAsset(publicId);
+      await deleteMedia(publicId);
       throw dbError;
     }
+    if (orgId && huntId) {
+      await markLeaderboardStale(supabase, orgId, huntId);
+
+      // Queue the photo for organizer review (best-effort), as photo-upload-complete does;
+      // progress endpoints only keep photos that have a submission
+      await recordPhotoSubmission(supabase, {
+        orgId,
+        huntId,
+        teamId,
+        teamUuid: progressRow.team_id,
+        locationId,
+        locationTitle,
+        photoUrl,
+        photoKey: idempotencyKey,
+        perceptualHash: duplicateCheck && duplicateCheck.perceptualHash,
+        duplicate: duplicateCheck && duplicateCheck.duplicate
+      });
+    }
 
     // Success response
     const response = {
@@ -608,7 +519,7 @@ exports.handler = withSentry(async (event) => {
     console.error(`[${requestId}] Orchestrated upload error:`, error);
 
     // Check for circuit breaker open
-    if (error.message?.includes('Circuit breaker OPEN')) {
+    if (isBreakerOpenError(error)) {
       return {
         statusCode: 503,
         headers: {
@@ -1,6 +1,7 @@
 const multipart = require('parse-multipart-data');
-const cloudinary = require('cloudinary').v2;
 const { withSentry } = require('./_lib/sentry')
+const { requireTeamLock } = require('./_lib/teamAuth');
+const { getPhotoStorage, isPhotoStorageConfigured, storageNotConfiguredBody, uploadMedia } = require('./_lib/photoStorage');
 
 // Helper function to generate slug from location title
 function generateSlug(title) {
@@ -13,8 +14,8 @@ function generateSlug(title) {
     .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
 }
 
-// Helper function to upload single photo to Cloudinary
-async function uploadPhotoToCloudinary(
+// Helper function to upload single photo to photo storage
+async function uploadPhotoToStorage(
   fileBuffer,
   locationSlug,
   sessionId,
@@ -22,16 +23,7 @@ async function uploadPhotoToCloudinary(
   locationName,
   eventName
 ) {
-
-  // Configure Cloudinary
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-  });
-
   const timestamp = Date.now();
-  const folder = process.env.CLOUDINARY_UPLOAD_FOLDER || 'scavenger/entries';
   const publicId = `${locationSlug}_${sessionId}_${timestamp}`;
 
   // Prepare context metadata
@@ -44,40 +36,25 @@ async function uploadPhotoToCloudinary(
   if (locationName) contextData.locationName = locationName;
   if (eventName) contextData.event = eventName;
 
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder,
-        public_id: publicId,
-        resource_type: 'auto',
-        context: contextData,
-        tags: ['scavenger-hunt', locationSlug, sessionId],
-        transformation: [
-          {
-            quality: 'auto:good',
-            fetch_format: 'auto',
-            width: 1200,
-            height: 1200,
-            crop: 'limit'
-          }
-        ]
-      },
-      (error, result) => {
-        if (error) {
-          console.error('❌ Cloudinary upload error:', error);
-          reject(error);
-        } else {
-          console.log('✅ Cloudinary upload successful:', result.public_id);
-          resolve({
-            publicId: result.public_id,
-            secureUrl: result.secure_url
-          });
-        }
+  try {
+    const result = await uploadMedia(fileBuffer, {
+      publicId,
+      context: contextData,
+      tags: ['scavenger-hunt', locationSlug, sessionId],
+      transform: {
+        quality: 'auto:good',
+        format: 'auto',
+        width: 1200,
+        height: 1200,
+        crop: 'limit'
       }
-    );
-
-    uploadStream.end(fileBuffer);
-  });
+    });
+    console.log('✅ Photo storage upload successful:', result.publicId);
+    return result;
+  } catch (error) {
+    console.error('❌ Photo storage upload error:', error);
+    throw error;
+  }
 }
 
 // Main handler
@@ -85,7 +62,7 @@ exports.handler = withSentry(async (event, context) => {
   // Enable CORS
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Team-Lock',
     'Access-Control-Allow-Methods': 'POST, OPTIONS'
   };
 
@@ -107,21 +84,18 @@ exports.handler = withSentry(async (event, context) => {
     };
   }
 
-  // Check for required Cloudinary environment variables
-  if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-    console.error('❌ Missing Cloudinary configuration:', {
-      hasCloudName: !!process.env.CLOUDINARY_CLOUD_NAME,
-      hasApiKey: !!process.env.CLOUDINARY_API_KEY,
-      hasApiSecret: !!process.env.CLOUDINARY_API_SECRET
-    });
+  // No hunt context in this legacy upload; any valid team lock token may upload
+  const auth = await requireTeamLock(event);
+  if (auth.response) return auth.response;
+
+  // Check the photo storage driver has the credentials it needs
+  if (!isPhotoStorageConfigured()) {
+    console.error('❌ Photo storage not configured:', getPhotoStorage().name);
 
     return {
       statusCode: 500,
       headers: { ...headers, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        error: 'Server configuration error',
-        details: 'Cloudinary credentials not configured. Please set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET environment variables in Netlify.'
-      })
+      body: JSON.stringify(storageNotConfiguredBody())
     };
   }
 
@@ -303,7 +277,7 @@ exports.handler = withSentry(async (event, context) => {
     // Generate location slug
     const locationSlug = generateSlug(locationTitle);
 
-    // Upload to Cloudinary with enhanced logging
+    // Upload to photo storage with enhanced logging
     console.log(`[${requestId}] 📤 Starting upload:`, {
       locationTitle,
       locationSlug,
@@ -314,7 +288,7 @@ exports.handler = withSentry(async (event, context) => {
       photoSize: `${(photoBuffer.length / 1024).toFixed(2)}KB`
     });
 
-    const uploadResult = await uploadPhotoToCloudinary(
+    const uploadResult = await uploadPhotoToStorage(
       photoBuffer,
       locationSlug,
       sessionId,
@@ -347,6 +321,7 @@ exports.handler = withSentry(async (event, context) => {
       sessionId,
       teamName: teamName || 'none',
       locationSlug: locationSlug || 'none',
+      storageDriver: process.env.PHOTO_STORAGE_DRIVER || 'cloudinary',
       cloudinaryConfig: {
         hasCloudName: !!process.env.CLOUDINARY_CLOUD_NAME,
         hasApiKey: !!process.env.CLOUDINARY_API_KEY,
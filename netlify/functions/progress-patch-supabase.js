@@ -5,12 +5,20 @@
 
 const { getSupabaseClient } = require('./_lib/supabaseClient')
 const { withSentry } = require('./_lib/sentry')
+const { recordStopProgressEvents } = require('./_lib/activityFeed')
+const { startCollageOnHuntCompletion } = require('./_lib/teamCollage')
+const { checkHuntWindow, huntClosedBody } = require('./_lib/huntSchedule')
+const { checkCompletionAllowed } = require('./_lib/geofence')
+const { checkProgressAllowed } = require('./_lib/stopOrdering')
+const { getRejectedStopIds, filterSubmittedPhotos } = require('./_lib/photoModeration')
+const { requireTeamLock } = require('./_lib/teamAuth')
+const { markLeaderboardStale } = require('./_lib/leaderboardStream')
 
 exports.handler = withSentry(async (event, context) => {
   const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Team-Lock',
     'Access-Control-Allow-Methods': 'PATCH, OPTIONS',
     // Prevent stale data
     'Cache-Control': 'no-store, no-cache, must-revalidate',
@@ -67,6 +75,10 @@ exports.handler = withSentry(async (event, context) => {
     const huntId = decodeURIComponent(parts[2])
     const stopId = decodeURIComponent(parts[4])
 
+    // Writes need a team lock token for this org, hunt and team
+    const auth = await requireTeamLock(event, { orgId, huntId, teamId })
+    if (auth.response) return auth.response
+
     if (!update || typeof update !== 'object') {
       return {
         statusCode: 400,
@@ -80,6 +92,17 @@ exports.handler = withSentry(async (event, context) => {
     // Initialize Supabase client
     const supabase = getSupabaseClient()
 
+    // Reject writes outside the hunt's schedule window
+    const huntWindow = await checkHuntWindow(supabase, orgId, huntId)
+    if (!huntWindow.open) {
+      console.warn(`[progress-patch] Rejected ${teamId}/${stopId}: ${huntWindow.code}`)
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify(huntClosedBody(huntWindow))
+      }
+    }
+
     // Get team UUID
     const { data: teamData, error: teamError } = await supabase
       .from('teams')
@@ -98,14 +121,46 @@ exports.handler = withSentry(async (event, context) => {
       }
     }
 
+    // A stop whose latest photo was rejected stays open until a new photo is uploaded
+    const rejectedStopIds = await getRejectedStopIds(supabase, teamData.id, [stopId])
+    const reviewed = rejectedStopIds.has(stopId) ? { ...update, done: false, completedAt: null, photo: null } : update
+
+    // Only photos recorded by an upload (pending or approved review) are stored
+    const { stops: { [stopId]: change }, droppedStopIds } = await filterSubmittedPhotos(supabase, teamData.id, { [stopId]: reviewed })
+    if (droppedStopIds.length > 0) {
+      console.warn(`[progress-patch] Dropped unsubmitted photo for ${teamId}/${stopId}`)
+    }
+
+    if (change.done) {
+      // Locked or hidden stops (sequential order, unlock rules) can't be completed
+      const access = await checkProgressAllowed(supabase, { orgId, huntId, teamId: teamData.id, changes: { [stopId]: true } })
+      if (!access.allowed) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: access.error, code: access.code })
+        }
+      }
+
+      // Required geofence mode: completing a stop needs a verified check-in
+      const geofence = await checkCompletionAllowed(supabase, { orgId, huntId, teamId: teamData.id, stopId })
+      if (!geofence.allowed) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: geofence.error, code: geofence.code })
+        }
+      }
+    }
+
     const record = {
       team_id: teamData.id,
       location_id: stopId,
-      done: !!update.done,
-      revealed_hints: update.revealedHints ?? 0,
-      completed_at: update.completedAt || (update.done ? new Date().toISOString() : null),
-      notes: update.notes || null,
-      photo_url: update.photo || null,
+      done: !!change.done,
+      revealed_hints: change.revealedHints ?? 0,
+      completed_at: change.completedAt || (change.done ? new Date().toISOString() : null),
+      notes: change.notes || null,
+      photo_url: change.photo || null,
     }
 
     const { error: upsertError } = await supabase
@@ -126,6 +181,28 @@ exports.handler = withSentry(async (event, context) => {
 
     console.log(`[progress-patch] ✅ Updated ${teamId}/${stopId}`)
 
+    // Live leaderboard streams rebuild on their next poll
+    await markLeaderboardStale(supabase, orgId, huntId)
+
+    // Activity feed side effect (best-effort, never fails the request)
+    const progressEvents = await recordStopProgressEvents(supabase, {
+      orgId,
+      huntId,
+      teamId,
+      teamUuid: teamData.id,
+      locationId: stopId,
+      done: record.done,
+      photoUrl: record.photo_url
+    })
+
+    // Completing the hunt builds the team's collage in the background (best-effort)
+    startCollageOnHuntCompletion(supabase, {
+      orgId,
+      huntId,
+      teamId,
+      teamUuid: teamData.id
+    }, progressEvents)
+
     return {
       statusCode: 200,
       headers,
@@ -5,13 +5,19 @@
 
 const { getSupabaseClient } = require('./_lib/supabaseClient')
 const { withSentry } = require('./_lib/sentry')
+const { checkHuntWindow, huntClosedBody } = require('./_lib/huntSchedule')
+const { checkCompletionAllowed } = require('./_lib/geofence')
+const { checkProgressAllowed, getCompletedStopIds } = require('./_lib/stopOrdering')
+const { getRejectedStopIds, filterSubmittedPhotos } = require('./_lib/photoModeration')
+const { requireTeamLock } = require('./_lib/teamAuth')
+const { markLeaderboardStale } = require('./_lib/leaderboardStream')
 
 exports.handler = withSentry(async (event, context) => {
   // Handle CORS and prevent caching for fresh data
   const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Team-Lock',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     // STORY-023: Add no-store headers to prevent stale progress data
     'Cache-Control': 'no-store, no-cache, must-revalidate',
@@ -63,6 +69,10 @@ exports.handler = withSentry(async (event, context) => {
 
     const [orgId, teamId, huntId] = pathParts
 
+    // Writes need a team lock token for this org, hunt and team
+    const auth = await requireTeamLock(event, { orgId, huntId, teamId })
+    if (auth.response) return auth.response
+
     // Parse request body
     const body = JSON.parse(event.body || '{}')
     const { progress, sessionId, timestamp } = body
@@ -83,6 +93,17 @@ exports.handler = withSentry(async (event, context) => {
     // Initialize Supabase client
     const supabase = getSupabaseClient()
 
+    // Reject writes outside the hunt's schedule window
+    const huntWindow = await checkHuntWindow(supabase, orgId, huntId)
+    if (!huntWindow.open) {
+      console.warn(`[progress-set] Rejected ${teamId}: ${huntWindow.code}`)
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify(huntClosedBody(huntWindow))
+      }
+    }
+
     // Get team UUID from team_id (case-insensitive)
     const { data: teamData, error: teamError } = await supabase
       .from('teams')
@@ -104,9 +125,58 @@ exports.handler = withSentry(async (event, context) => {
       }
     }
 
+    // Stops whose latest photo was rejected stay open until a new photo is uploaded,
+    // so a stale client map can't undo the rejection
+    const rejectedStopIds = await getRejectedStopIds(supabase, teamData.id, Object.keys(progress))
+    const reviewed = Object.fromEntries(Object.entries(progress).map(([stopId, stopProgress]) => [
+      stopId,
+      rejectedStopIds.has(stopId) ? { ...stopProgress, done: false, completedAt: null, photo: null } : stopProgress
+    ]))
+
+    // Only photos recorded by an upload (pending or approved review) are stored
+    const { stops, droppedStopIds } = await filterSubmittedPhotos(supabase, teamData.id, reviewed)
+    if (droppedStopIds.length > 0) {
+      console.warn('[progress-set] Dropped unsubmitted photos:', droppedStopIds)
+    }
+
+    // Locked or hidden stops (sequential order, unlock rules) can't be completed
+    const access = await checkProgressAllowed(supabase, {
+      orgId,
+      huntId,
+      teamId: teamData.id,
+      changes: Object.fromEntries(
+        Object.entries(stops).map(([stopId, stopProgress]) => [stopId, !!stopProgress?.done])
+      )
+    })
+    if (!access.allowed) {
+      console.warn('[progress-set] Rejected locked stops:', access.lockedStopIds)
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: access.error, code: access.code, lockedStopIds: access.lockedStopIds })
+      }
+    }
+
+    // Required geofence mode: every stop being completed needs a verified check-in
+    const doneStopIds = Object.keys(stops).filter(stopId => stops[stopId]?.done)
+    if (doneStopIds.length > 0) {
+      const completedIds = await getCompletedStopIds(supabase, teamData.id)
+      for (const stopId of doneStopIds.filter(id => !completedIds.has(id))) {
+        const geofence = await checkCompletionAllowed(supabase, { orgId, huntId, teamId: teamData.id, stopId })
+        if (!geofence.allowed) {
+          console.warn('[progress-set] Rejected stop without check-in:', stopId)
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: geofence.error, code: geofence.code, stopId })
+          }
+        }
+      }
+    }
+
     // Convert progress data to hunt_progress records
     const updates = []
-    for (const [stopId, stopProgress] of Object.entries(progress)) {
+    for (const [stopId, stopProgress] of Object.entries(stops)) {
       updates.push({
         team_id: teamData.id,
         location_id: stopId,
@@ -140,6 +210,9 @@ exports.handler = withSentry(async (event, context) => {
 
     console.log('[progress-set] Updated progress for team:', teamId, 'stops:', updates.length)
 
+    // Live leaderboard streams rebuild on their next poll
+    await markLeaderboardStale(supabase, orgId, huntId)
+
     return {
       statusCode: 200,
       headers,
@@ -1,11 +1,12 @@
 const { saveSettings } = require('./_lib/supabaseSettings')
 const { withSentry } = require('./_lib/sentry')
+const { requireTeamLock } = require('./_lib/teamAuth')
 
 exports.handler = withSentry(async (event, context) => {
   // Set CORS headers
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Team-Lock',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Content-Type': 'application/json'
   }
@@ -52,6 +53,10 @@ exports.handler = withSentry(async (event, context) => {
 
   const [orgId, teamId, huntId] = pathParts
 
+  // Writes need a team lock token for this org, hunt and team
+  const auth = await requireTeamLock(event, { orgId, huntId, teamId })
+  if (auth.response) return auth.response
+
   // Parse the request body
   let body
   try {
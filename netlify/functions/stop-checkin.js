@@ -0,0 +1,121 @@
+/**
+ * POST /api/checkin/:orgId/:teamId/:huntId/:stopId
+ *
+ * Geofenced stop check-in. The client sends the raw browser position; the
+ * distance to the stop is computed here and the check-in is recorded in
+ * stop_checkins. In 'required' geofence mode a verified check-in is needed
+ * before the stop can be marked done.
+ *
+ * Request:  { lat: number, lng: number, accuracy?: number (meters) }
+ * Response: {
+ *   checkIn: {
+ *     stopId, mode, verified, withinRadius,
+ *     distanceMeters, radiusMeters, checkedInAt
+ *   }
+ * }
+ *
+ * Errors:
+ *   400 - Invalid path
+ *   401 - Missing or invalid team lock token (X-Team-Lock)
+ *   403 - Hunt not started or ended (details: HUNT_NOT_STARTED | HUNT_ENDED),
+ *         or team lock for another team (TEAM_MISMATCH)
+ *   404 - Team or stop not found
+ *   422 - Invalid coordinates
+ *   502 - Database failure
+ *
+ * @ai-related-files: /netlify/functions/_lib/geofence.js, /src/features/app/StopCard.tsx
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const { recordCheckIn, resolveTeamUuid } = require('./_lib/geofence')
+const { checkHuntWindow } = require('./_lib/huntSchedule')
+const { handleError, successResponse, notFoundResponse, forbiddenResponse, handleCorsPreflightResponse } = require('./_lib/errorResponses')
+const { withSentry } = require('./_lib/sentry')
+const { requireTeamLock } = require('./_lib/teamAuth')
+
+/**
+ * Extract orgId/teamId/huntId/stopId from the request path
+ */
+function parseCheckInPath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/stop-checkin/', '/api/checkin/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  const [orgId, teamId, huntId, stopId] = pathToProcess.split('/').filter(Boolean).map(decodeURIComponent)
+  if (!orgId || !teamId || !huntId || !stopId) {
+    throw new Error(`Invalid path format: expected orgId/teamId/huntId/stopId, got ${pathToProcess}`)
+  }
+
+  return { orgId, teamId, huntId, stopId }
+}
+
+exports.handler = withSentry(async (event) => {
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCorsPreflightResponse(event)
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ error: 'Method not allowed' })
+    }
+  }
+
+  try {
+    const { orgId, teamId, huntId, stopId } = parseCheckInPath(event.path)
+
+    const auth = await requireTeamLock(event, { orgId, huntId, teamId }, requestId)
+    if (auth.response) return auth.response
+
+    let coords
+    try {
+      coords = JSON.parse(event.body || '{}')
+    } catch {
+      throw new Error('Validation failed: body must be JSON')
+    }
+
+    const supabase = getSupabaseClient()
+
+    // Check-ins only count while the hunt accepts submissions
+    const huntWindow = await checkHuntWindow(supabase, orgId, huntId)
+    if (!huntWindow.open) {
+      return forbiddenResponse(huntWindow.error, huntWindow.code, requestId)
+    }
+
+    const teamUuid = await resolveTeamUuid(supabase, orgId, huntId, teamId)
+    if (!teamUuid) {
+      return notFoundResponse('Team not found', null, requestId)
+    }
+
+    let checkIn
+    try {
+      checkIn = await recordCheckIn(supabase, { orgId, huntId, teamUuid, stopId, coords })
+    } catch (error) {
+      if (error.message === 'Stop not found') {
+        return notFoundResponse('Stop not found', null, requestId)
+      }
+      throw error
+    }
+
+    console.log(`[stop-checkin:${requestId}] ${teamId}/${stopId}:`, {
+      mode: checkIn.mode,
+      distanceMeters: checkIn.distanceMeters,
+      radiusMeters: checkIn.radiusMeters,
+      verified: checkIn.verified
+    })
+
+    return successResponse({ checkIn }, [], 200, requestId)
+  } catch (error) {
+    console.error(`[stop-checkin:${requestId}] Error:`, error.message)
+    return handleError(error, requestId)
+  }
+})
@@ -0,0 +1,132 @@
+/**
+ * /api/team-collage/:orgId/:teamId/:huntId
+ *
+ * Server-side collage of a team's completed stop photos, built from the
+ * photo URLs already stored in hunt_progress (no re-upload).
+ *
+ * Routes:
+ *   GET  /:orgId/:teamId/:huntId  - Latest collage { collage }
+ *   POST /:orgId/:teamId/:huntId  - (Re)generate { layout?: 'auto'|'<cols>x<rows>', captions?: boolean };
+ *                                   needs the team's X-Team-Lock
+ *
+ * A collage is also generated in the background when the team completes the
+ * hunt; if that never finished, GET builds it for a team that has finished.
+ * Each team has one stored collage: regenerating overwrites it, and
+ * collageUrl carries a version so clients don't show a cached copy.
+ *
+ * Errors:
+ *   400 - Invalid path
+ *   401 - POST without a valid team lock for this team
+ *   404 - Team not found, or no collage generated yet
+ *   422 - Invalid layout/captions, or no completed stop photos
+ *   502 - Database or storage failure
+ *
+ * @ai-purpose: Shareable end-of-hunt collage with stop captions and sponsor branding
+ * @ai-related-files: /netlify/functions/_lib/teamCollage.js, /src/hooks/useCollage.ts
+ */
+
+const { getSupabaseClient } = require('./_lib/supabaseClient')
+const { generateTeamCollage, getTeamCollage, ensureTeamCollage } = require('./_lib/teamCollage')
+const { resolveTeamUuid } = require('./_lib/geofence')
+const { resolveTeamName } = require('./_lib/activityFeed')
+const { requireTeamLock } = require('./_lib/teamAuth')
+const { isPhotoStorageConfigured, storageNotConfiguredBody } = require('./_lib/photoStorage')
+const {
+  handleError,
+  successResponse,
+  notFoundResponse,
+  badRequestResponse,
+  handleCorsPreflightResponse
+} = require('./_lib/errorResponses')
+const { withSentry } = require('./_lib/sentry')
+
+/**
+ * Parse /api/team-collage/:orgId/:teamId/:huntId or the function path
+ */
+function parseCollagePath(path) {
+  let pathToProcess = path || ''
+  const prefixes = ['/.netlify/functions/team-collage/', '/api/team-collage/']
+
+  for (const prefix of prefixes) {
+    if (pathToProcess.includes(prefix)) {
+      pathToProcess = pathToProcess.split(prefix)[1]
+      break
+    }
+  }
+
+  const [orgId, teamId, huntId] = pathToProcess.split('/').filter(Boolean).map(decodeURIComponent)
+  if (!orgId || !teamId || !huntId) {
+    throw new Error(`Invalid path format: expected orgId/teamId/huntId, got ${pathToProcess}`)
+  }
+
+  return { orgId, teamId, huntId }
+}
+
+function parseBody(event) {
+  try {
+    return JSON.parse(event.body || '{}') || {}
+  } catch {
+    throw new Error('Validation failed: body must be valid JSON')
+  }
+}
+
+exports.handler = withSentry(async (event) => {
+  const requestId = crypto.randomUUID().substring(0, 8)
+
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCorsPreflightResponse(event)
+  }
+
+  try {
+    const { orgId, teamId, huntId } = parseCollagePath(event.path)
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+      return badRequestResponse('Unsupported collage route', `${event.httpMethod} ${event.path}`, requestId)
+    }
+
+    // Regenerating stores a file and downloads every photo: only the team may do it
+    if (event.httpMethod === 'POST') {
+      const auth = await requireTeamLock(event, { orgId, huntId, teamId }, requestId)
+      if (auth.response) return auth.response
+    }
+
+    const supabase = getSupabaseClient()
+    const teamUuid = await resolveTeamUuid(supabase, orgId, huntId, teamId)
+    if (!teamUuid) {
+      return notFoundResponse('Team not found', null, requestId)
+    }
+
+    if (event.httpMethod === 'GET') {
+      const collage = isPhotoStorageConfigured()
+        ? await ensureTeamCollage(supabase, { orgId, huntId, teamId, teamUuid })
+        : await getTeamCollage(supabase, teamUuid)
+      if (!collage) return notFoundResponse('No collage generated yet', null, requestId)
+      return successResponse({ collage }, [], 200, requestId)
+    }
+
+    if (!isPhotoStorageConfigured()) {
+      return {
+        statusCode: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(storageNotConfiguredBody(requestId))
+      }
+    }
+
+    const { layout, captions } = parseBody(event)
+    const teamName = await resolveTeamName(supabase, teamUuid, teamId)
+    const collage = await generateTeamCollage(supabase, {
+      orgId,
+      huntId,
+      teamId,
+      teamUuid,
+      teamName,
+      layout,
+      captions: captions === undefined ? true : captions
+    })
+
+    console.log(`[team-collage:${requestId}] Generated ${collage.layout} collage for ${teamId} (${collage.photoCount} photos)`)
+    return successResponse({ collage }, [], 201, requestId)
+  } catch (error) {
+    console.error(`[team-collage:${requestId}] Error:`, error.message)
+    return handleError(error, requestId)
+  }
+})
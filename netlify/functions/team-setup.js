@@ -1,6 +1,10 @@
 /**
  * Team setup utility function for development
  * Creates test team code mappings
+ *
+ * For real events use the admin console (/admin → Teams) or
+ * scripts/team-codes.ts, which generate expiring codes, rotate and revoke
+ * them and print QR join cards (see _lib/teamCodes.js).
  */
 const { SupabaseTeamStorage } = require('./_lib/supabaseTeamStorage')
 const crypto = require('crypto')
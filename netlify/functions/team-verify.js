@@ -26,17 +26,20 @@
  * 
  * Side effects:
  *   - Creates device_locks record (prevents multi-team joining)
- *   - Creates sessions record (tracks team sessions)
+ *   - Creates sessions record with the code used (audit, see _lib/teamCodes.js)
+ *   - Counts the code use (codes may be limited by expiry and max uses)
  *   - Generates JWT token (24h expiration)
  * 
  * @ai-purpose: Team authentication and device locking; gateway to app access
  * @ai-dont: Don't bypass device locking; it prevents data corruption from multi-team participation
  * @ai-related-files: /src/features/teamLock/useTeamLock.ts, /src/services/TeamLockService.ts
  */
+const crypto = require('crypto')
 const { SupabaseTeamStorage } = require('./_lib/supabaseTeamStorage')
 const { LockUtils } = require('./_lib/lockUtils')
 const { TeamErrorHandler } = require('./_lib/teamErrors')
 const { TeamLogger } = require('./_lib/teamLogger')
+const { normalizeTeamCode, recordCodeUse } = require('./_lib/teamCodes')
 const { withSentry } = require('./_lib/sentry')
 
 exports.handler = withSentry(async (event, context) => {
@@ -85,7 +88,7 @@ exports.handler = withSentry(async (event, context) => {
       }
     }
 
-    const normalizedCode = code.trim().toUpperCase()
+    const normalizedCode = normalizeTeamCode(code)
     const userAgent = event.headers['user-agent'] || ''
     const ip = event.headers['x-forwarded-for']?.split(',')[0] || 'unknown'
 
@@ -170,13 +173,29 @@ exports.handler = withSentry(async (event, context) => {
       }
     }
 
-    // Generate lock token
-    const { token, expiresAt } = LockUtils.generateLockToken(mapping.teamId)
+    // Generate lock token, naming the sessions row recorded below
+    const sessionId = crypto.randomUUID()
+    const { token, expiresAt } = LockUtils.generateLockToken(mapping.teamId, {
+      orgId: mapping.organizationId,
+      huntId: mapping.huntId,
+      sessionId
+    })
     const ttlSeconds = Math.floor((expiresAt * 1000 - Date.now()) / 1000)
 
     // Store device lock to prevent conflicts
     await storeDeviceLock(deviceFingerprint, mapping.teamId, expiresAt)
 
+    // Audit which device joined with which code
+    await recordCodeUse(SupabaseTeamStorage.getClient(true), {
+      code: mapping.rowKey,
+      teamUuid: mapping.teamUuid,
+      userAgent,
+      deviceHint: deviceHint || deviceFingerprint,
+      ip,
+      expiresAt,
+      sessionId
+    })
+
     // Fetch organization and hunt data
     let organization = null
     let hunt = null
@@ -0,0 +1,135 @@
+#!/usr/bin/env tsx
+
+/**
+ * Hunt Bundle CLI
+ *
+ * Validate, import and export portable hunt bundles (JSON or YAML).
+ *
+ * Usage:
+ *   npx tsx scripts/hunt-bundle.ts validate <bundle>
+ *   npx tsx scripts/hunt-bundle.ts import <bundle> [--org <id>] [--hunt <id>] [--name <name>] [--stop-prefix <prefix>] [--dry-run]
+ *   npx tsx scripts/hunt-bundle.ts export --org <id> --hunt <id> [--out <file>] [--with-teams]
+ *
+ * Cloning last season's hunt:
+ *   npx tsx scripts/hunt-bundle.ts export --org bhhs --hunt fall-2025 --out hunts/fall-2025.yaml
+ *   npx tsx scripts/hunt-bundle.ts import hunts/fall-2025.yaml --hunt fall-2026 --name "Fall 2026" --stop-prefix f26-
+ *
+ * Stop IDs are global, so a clone needs --stop-prefix to get its own stops.
+ */
+
+import { createClient, type SupabaseClient } from '@supabase/supabase-js';
+import * as dotenv from 'dotenv';
+import { readBundleFile, writeBundleFile, formatBundle } from './hunt-bundle/bundleFile';
+import { parseHuntBundle, retargetBundle } from './hunt-bundle/schema';
+import { exportHuntBundle, importHuntBundle } from './hunt-bundle/supabaseSync';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  hunt-bundle validate <bundle>
+  hunt-bundle import <bundle> [--org <id>] [--hunt <id>] [--name <name>] [--stop-prefix <prefix>] [--dry-run]
+  hunt-bundle export --org <id> --hunt <id> [--out <file>] [--with-teams]`;
+
+/**
+ * Split argv into positionals and --flags (flags without a value are true)
+ */
+function parseArgs(argv: string[]) {
+  const positionals: string[] = [];
+  const flags: Record<string, string | true> = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      flags[name] = next;
+      i++;
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+function stringFlag(flags: Record<string, string | true>, name: string): string | undefined {
+  const value = flags[name];
+  return typeof value === 'string' ? value : undefined;
+}
+
+function getSupabase(): SupabaseClient {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    console.error('❌ Missing required environment variables:');
+    console.error('   SUPABASE_URL');
+    console.error('   SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  return createClient(url, key);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positionals, flags } = parseArgs(rest);
+
+  switch (command) {
+    case 'validate': {
+      if (!positionals[0]) throw new Error(USAGE);
+      const bundle = await readBundleFile(positionals[0]);
+      console.log(`✅ ${positionals[0]} is valid: ${bundle.organization.id}/${bundle.hunt.id}, ${bundle.stops.length} stops, ${bundle.sponsors.length} sponsors, ${bundle.teams.length} teams`);
+      break;
+    }
+
+    case 'import': {
+      if (!positionals[0]) throw new Error(USAGE);
+      // Re-validate so overridden IDs and prefixed stop IDs follow the same rules
+      const bundle = parseHuntBundle(retargetBundle(await readBundleFile(positionals[0]), {
+        orgId: stringFlag(flags, 'org'),
+        huntId: stringFlag(flags, 'hunt'),
+        huntName: stringFlag(flags, 'name'),
+        stopPrefix: stringFlag(flags, 'stop-prefix')
+      }));
+      const summary = await importHuntBundle(getSupabase(), bundle, { dryRun: flags['dry-run'] === true });
+
+      if (summary.deactivatedStops.length > 0) {
+        console.log(`  Deactivated stops no longer in the bundle: ${summary.deactivatedStops.join(', ')}`);
+      }
+      if (summary.deactivatedSponsors.length > 0) {
+        console.log(`  Deactivated sponsors no longer in the bundle: ${summary.deactivatedSponsors.join(', ')}`);
+      }
+      console.log(flags['dry-run'] ? '✅ Dry run complete, nothing written' : '✅ Import complete');
+      break;
+    }
+
+    case 'export': {
+      const orgId = stringFlag(flags, 'org');
+      const huntId = stringFlag(flags, 'hunt');
+      if (!orgId || !huntId) throw new Error(USAGE);
+
+      const bundle = await exportHuntBundle(getSupabase(), orgId, huntId, { includeTeams: flags['with-teams'] === true });
+      const out = stringFlag(flags, 'out');
+      if (out) {
+        await writeBundleFile(out, bundle);
+        console.log(`✅ Exported ${orgId}/${huntId} to ${out}`);
+      } else {
+        process.stdout.write(await formatBundle(bundle));
+      }
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+/**
+ * Read and write hunt bundles as JSON or YAML (picked by file extension)
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import YAML from 'yaml';
+import { parseHuntBundle, type HuntBundle } from './schema';
+
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+function isYaml(filePath: string): boolean {
+  return YAML_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Read and validate a bundle file
+ */
+export async function readBundleFile(filePath: string): Promise<HuntBundle> {
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  let data: unknown;
+  try {
+    data = isYaml(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${(error as Error).message}`);
+  }
+
+  return parseHuntBundle(data);
+}
+
+/**
+ * Serialize a bundle; YAML when the path ends in .yaml/.yml
+ */
+export async function formatBundle(bundle: HuntBundle, filePath = 'bundle.json'): Promise<string> {
+  if (isYaml(filePath)) {
+    return YAML.stringify(bundle, { lineWidth: 0 });
+  }
+  return JSON.stringify(bundle, null, 2) + '\n';
+}
+
+export async function writeBundleFile(filePath: string, bundle: HuntBundle): Promise<void> {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, await formatBundle(bundle, filePath), 'utf8');
+}
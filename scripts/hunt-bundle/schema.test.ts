@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import example from './example-bundle.json'
+import { parseHuntBundle, retargetBundle, toRows, fromRows } from './schema'
+
+describe('hunt bundle schema', () => {
+  it('accepts the example bundle and fills defaults', () => {
+    const bundle = parseHuntBundle(example)
+
+    expect(bundle.stops).toHaveLength(3)
+    expect(bundle.teams[0].codes[0]).toMatchObject({ code: 'ALPHA01', isActive: true })
+  })
+
+  it('reports unlock rules that reference unknown stops', () => {
+    const broken = structuredClone(example) as any
+    broken.stops[2].unlockRule = { type: 'after', stops: ['missing-stop'] }
+
+    expect(() => parseHuntBundle(broken)).toThrow('stops.2.unlockRule: Unlock rule references unknown stop "missing-stop"')
+  })
+
+  it('rejects duplicate stop ids', () => {
+    const broken = structuredClone(example) as any
+    broken.stops[1].id = 'covered-bridge'
+
+    expect(() => parseHuntBundle(broken)).toThrow('Duplicate stop id "covered-bridge"')
+  })
+
+  it('round-trips through table rows', () => {
+    const bundle = parseHuntBundle(example)
+    const rows = toRows(bundle)
+
+    expect(rows.configurations.map(c => c.default_order)).toEqual([1, 2, 3])
+    expect(rows.configurations[2]).toMatchObject({ stop_type: 'bonus', unlock_rule: { type: 'count', min: 2 } })
+
+    const exported = fromRows({
+      organization: rows.organization,
+      hunt: rows.hunt,
+      ordering: rows.ordering,
+      configurations: rows.configurations,
+      stops: rows.stops,
+      sponsors: rows.sponsors,
+      teams: rows.teams.map(({ team, codes }) => ({ team, codes }))
+    })
+    const { exportedAt, ...rest } = exported
+
+    expect(exportedAt).toBeDefined()
+    expect(rest).toEqual({ ...bundle, teams: [{ ...bundle.teams[0], displayName: 'Team Alpha' }] })
+  })
+
+  it('retargets a bundle for cloning', () => {
+    const clone = retargetBundle(parseHuntBundle(example), { huntId: 'fall-2026', huntName: 'Fall 2026' })
+
+    expect(clone.organization.id).toBe('bhhs')
+    expect(clone.hunt).toMatchObject({ id: 'fall-2026', name: 'Fall 2026', startDate: '2025-10-01' })
+    expect(toRows(clone).configurations.every(c => c.hunt_id === 'fall-2026')).toBe(true)
+  })
+
+  it('prefixes stop IDs and unlock rule references for a clone', () => {
+    const bundle = parseHuntBundle(example)
+    const withRule = {
+      ...bundle,
+      stops: bundle.stops.map((stop, i) => (i === 1 ? { ...stop, unlockRule: { type: 'after' as const, stops: [bundle.stops[0].id] } } : stop))
+    }
+
+    const clone = parseHuntBundle(retargetBundle(withRule, { huntId: 'fall-2026', stopPrefix: 'f26-' }))
+
+    expect(clone.stops.every(stop => stop.id.startsWith('f26-'))).toBe(true)
+    expect(clone.stops[1].unlockRule).toEqual({ type: 'after', stops: [`f26-${bundle.stops[0].id}`] })
+    expect(clone.stops[2].unlockRule).toEqual({ type: 'count', min: 2 })
+  })
+})
@@ -0,0 +1,369 @@
+/**
+ * Hunt bundle format
+ *
+ * A portable, versioned description of one hunt: organization, hunt metadata,
+ * stops (clues, hints, unlock rules), ordering, sponsors and optionally teams
+ * with their join codes. Bundles are stored as JSON or YAML and validated
+ * here before anything touches Supabase.
+ *
+ * Field names are camelCase; toRows/fromRows map them to table columns.
+ */
+
+import { z } from 'zod';
+import { StopMediaTypeSchema, StopTypeSchema, UnlockRuleSchema } from '../../src/types/schemas';
+import type { UnlockRule } from '../../src/types/hunt-system';
+
+export const BUNDLE_VERSION = 1;
+
+const IdSchema = z.string().regex(/^[a-zA-Z0-9_-]+$/, 'IDs may only contain letters, numbers, "-" and "_"');
+const DateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD');
+const TimestampSchema = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'Expected an ISO timestamp');
+
+export const BundleStopSchema = z.object({
+  id: IdSchema,
+  title: z.string().min(1),
+  description: z.string().optional(),
+  clue: z.string().min(1),
+  hints: z.array(z.string()).default([]),
+  position: z.object({
+    lat: z.number().min(-90).max(90),
+    lng: z.number().min(-180).max(180)
+  }).optional(),
+  geofenceRadiusM: z.number().int().positive().nullable().optional(),
+  prePopulatedImageUrl: z.string().url().nullable().optional(),
+  mediaType: StopMediaTypeSchema.optional(),
+  stopType: StopTypeSchema.optional(),
+  unlockRule: UnlockRuleSchema.nullable().optional()
+});
+
+export const BundleSponsorSchema = z.object({
+  companyId: z.string().min(1),
+  companyName: z.string().min(1),
+  imageType: z.enum(['svg', 'png', 'jpeg', 'jpg']),
+  imageAlt: z.string().min(1),
+  storagePath: z.string().nullable().optional(),
+  svgText: z.string().nullable().optional(),
+  isActive: z.boolean().default(true)
+}).refine(sponsor => sponsor.svgText || sponsor.storagePath, {
+  message: 'Sponsor needs svgText or storagePath'
+});
+
+export const BundleTeamSchema = z.object({
+  id: IdSchema,
+  name: z.string().min(1),
+  displayName: z.string().optional(),
+  codes: z.array(z.object({
+    code: z.string().min(1),
+    isActive: z.boolean().default(true),
+    maxUses: z.number().int().positive().nullable().optional(),
+    expiresAt: TimestampSchema.nullable().optional()
+  })).default([])
+});
+
+export const HuntBundleSchema = z.object({
+  version: z.literal(BUNDLE_VERSION),
+  exportedAt: TimestampSchema.optional(),
+  organization: z.object({
+    id: IdSchema,
+    name: z.string().min(1)
+  }),
+  hunt: z.object({
+    id: IdSchema,
+    name: z.string().min(1),
+    startDate: DateSchema.nullable().optional(),
+    endDate: DateSchema.nullable().optional(),
+    isActive: z.boolean().optional(),
+    photoMode: z.enum(['upload', 'pre_populated']).optional(),
+    startsAt: TimestampSchema.nullable().optional(),
+    endsAt: TimestampSchema.nullable().optional(),
+    gracePeriodMinutes: z.number().int().min(0).optional(),
+    scoringConfig: z.record(z.string(), z.unknown()).nullable().optional(),
+    geofenceMode: z.enum(['off', 'advisory', 'required']).optional(),
+    geofenceDefaultRadiusM: z.number().int().positive().optional(),
+    keepPhotoLocation: z.boolean().optional(),
+    duplicatePhotoMode: z.enum(['off', 'flag', 'block']).optional()
+  }),
+  ordering: z.object({
+    strategy: z.enum(['fixed', 'randomized', 'sequential']).default('fixed'),
+    seedStrategy: z.enum(['team_based', 'global']).default('team_based')
+  }).default({ strategy: 'fixed', seedStrategy: 'team_based' }),
+  stops: z.array(BundleStopSchema).min(1, 'A hunt needs at least one stop'),
+  sponsors: z.array(BundleSponsorSchema).default([]),
+  teams: z.array(BundleTeamSchema).default([])
+}).superRefine((bundle, ctx) => {
+  const duplicates = (values: string[]) => values.filter((value, i) => values.indexOf(value) !== i);
+
+  for (const id of new Set(duplicates(bundle.stops.map(stop => stop.id)))) {
+    ctx.addIssue({ code: 'custom', path: ['stops'], message: `Duplicate stop id "${id}"` });
+  }
+  for (const id of new Set(duplicates(bundle.teams.map(team => team.id)))) {
+    ctx.addIssue({ code: 'custom', path: ['teams'], message: `Duplicate team id "${id}"` });
+  }
+  const codes = bundle.teams.flatMap(team => team.codes.map(c => c.code));
+  for (const code of new Set(duplicates(codes))) {
+    ctx.addIssue({ code: 'custom', path: ['teams'], message: `Duplicate team code "${code}"` });
+  }
+
+  // Unlock rules may only reference stops in this bundle
+  const stopIds = new Set(bundle.stops.map(stop => stop.id));
+  bundle.stops.forEach((stop, index) => {
+    for (const ref of referencedStops(stop.unlockRule)) {
+      if (!stopIds.has(ref)) {
+        ctx.addIssue({
+          code: 'custom',
+          path: ['stops', index, 'unlockRule'],
+          message: `Unlock rule references unknown stop "${ref}"`
+        });
+      }
+    }
+  });
+});
+
+export type HuntBundle = z.infer<typeof HuntBundleSchema>;
+export type BundleStop = z.infer<typeof BundleStopSchema>;
+
+/**
+ * Stop IDs a rule tree depends on
+ */
+function referencedStops(rule: UnlockRule | null | undefined): string[] {
+  if (!rule) return [];
+  if (rule.type === 'all' || rule.type === 'any') return rule.rules.flatMap(referencedStops);
+  if ('stops' in rule && rule.stops) return rule.stops;
+  return [];
+}
+
+/**
+ * Validate raw bundle data
+ * @throws Error listing every problem as "path: message"
+ */
+export function parseHuntBundle(data: unknown): HuntBundle {
+  const result = HuntBundleSchema.safeParse(data);
+  if (!result.success) {
+    const problems = result.error.issues.map(issue => `  ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw new Error(`Invalid hunt bundle:\n${problems.join('\n')}`);
+  }
+  return result.data;
+}
+
+/**
+ * Rename the stops a rule tree depends on
+ */
+function renameRuleStops(rule: UnlockRule, rename: (stopId: string) => string): UnlockRule {
+  if (rule.type === 'all' || rule.type === 'any') {
+    return { ...rule, rules: rule.rules.map(child => renameRuleStops(child, rename)) };
+  }
+  if ('stops' in rule && rule.stops) {
+    return { ...rule, stops: rule.stops.map(rename) } as UnlockRule;
+  }
+  return rule;
+}
+
+/**
+ * Point a bundle at another organization/hunt (e.g. cloning last season's hunt)
+ * @param stopPrefix - Prepended to every stop ID (and unlock rule reference) so
+ *   a clone gets its own hunt_stops rows instead of sharing the original's
+ */
+export function retargetBundle(
+  bundle: HuntBundle,
+  { orgId, huntId, huntName, stopPrefix }: { orgId?: string; huntId?: string; huntName?: string; stopPrefix?: string }
+): HuntBundle {
+  const rename = (stopId: string) => (stopPrefix ? `${stopPrefix}${stopId}` : stopId);
+
+  return {
+    ...bundle,
+    organization: { ...bundle.organization, id: orgId || bundle.organization.id },
+    hunt: {
+      ...bundle.hunt,
+      id: huntId || bundle.hunt.id,
+      name: huntName || bundle.hunt.name
+    },
+    stops: !stopPrefix ? bundle.stops : bundle.stops.map(stop => ({
+      ...stop,
+      id: rename(stop.id),
+      unlockRule: stop.unlockRule ? renameRuleStops(stop.unlockRule, rename) : stop.unlockRule
+    }))
+  };
+}
+
+/** Drop undefined values so upserts leave unset columns alone */
+function defined<T extends Record<string, unknown>>(row: T): Partial<T> {
+  return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined)) as Partial<T>;
+}
+
+/**
+ * Map a bundle to table rows
+ */
+export function toRows(bundle: HuntBundle) {
+  const organizationId = bundle.organization.id;
+  const huntId = bundle.hunt.id;
+  const { hunt } = bundle;
+
+  return {
+    organization: { id: organizationId, name: bundle.organization.name },
+    hunt: defined({
+      id: huntId,
+      organization_id: organizationId,
+      name: hunt.name,
+      start_date: hunt.startDate,
+      end_date: hunt.endDate,
+      is_active: hunt.isActive,
+      photo_mode: hunt.photoMode,
+      starts_at: hunt.startsAt,
+      ends_at: hunt.endsAt,
+      grace_period_minutes: hunt.gracePeriodMinutes,
+      scoring_config: hunt.scoringConfig,
+      geofence_mode: hunt.geofenceMode,
+      geofence_default_radius_m: hunt.geofenceDefaultRadiusM,
+      keep_photo_location: hunt.keepPhotoLocation,
+      duplicate_photo_mode: hunt.duplicatePhotoMode
+    }),
+    stops: bundle.stops.map(stop => defined({
+      stop_id: stop.id,
+      title: stop.title,
+      description: stop.description,
+      clue: stop.clue,
+      hints: stop.hints,
+      position_lat: stop.position?.lat,
+      position_lng: stop.position?.lng,
+      geofence_radius_m: stop.geofenceRadiusM,
+      pre_populated_image_url: stop.prePopulatedImageUrl,
+      media_type: stop.mediaType
+    })),
+    configurations: bundle.stops.map((stop, index) => defined({
+      organization_id: organizationId,
+      hunt_id: huntId,
+      stop_id: stop.id,
+      is_active: true,
+      default_order: index + 1,
+      stop_type: stop.stopType,
+      unlock_rule: stop.unlockRule
+    })),
+    ordering: {
+      organization_id: organizationId,
+      hunt_id: huntId,
+      ordering_strategy: bundle.ordering.strategy,
+      seed_strategy: bundle.ordering.seedStrategy
+    },
+    sponsors: bundle.sponsors.map((sponsor, index) => defined({
+      organization_id: organizationId,
+      hunt_id: huntId,
+      company_id: sponsor.companyId,
+      company_name: sponsor.companyName,
+      image_type: sponsor.imageType,
+      image_alt: sponsor.imageAlt,
+      order_index: index,
+      is_active: sponsor.isActive,
+      storage_path: sponsor.storagePath,
+      svg_text: sponsor.svgText
+    })),
+    teams: bundle.teams.map(team => ({
+      team: {
+        organization_id: organizationId,
+        hunt_id: huntId,
+        team_id: team.id,
+        name: team.name,
+        display_name: team.displayName || team.name
+      },
+      codes: team.codes.map(code => defined({
+        code: code.code,
+        organization_id: organizationId,
+        hunt_id: huntId,
+        is_active: code.isActive,
+        max_uses: code.maxUses,
+        expires_at: code.expiresAt
+      }))
+    }))
+  };
+}
+
+type Row = Record<string, any>;
+
+/** Null-ish database values become absent bundle fields */
+function optional<T>(value: T | null | undefined): T | undefined {
+  return value === null || value === undefined ? undefined : value;
+}
+
+/**
+ * Build a bundle from table rows (inverse of toRows)
+ */
+export function fromRows(rows: {
+  organization: Row;
+  hunt: Row;
+  ordering: Row | null;
+  configurations: Row[];
+  stops: Row[];
+  sponsors: Row[];
+  teams?: Array<{ team: Row; codes: Row[] }>;
+}): HuntBundle {
+  const stopsById = new Map(rows.stops.map(stop => [stop.stop_id, stop]));
+  const configurations = [...rows.configurations]
+    .filter(config => config.is_active !== false && stopsById.has(config.stop_id))
+    .sort((a, b) => (a.default_order ?? 0) - (b.default_order ?? 0));
+  const { hunt } = rows;
+
+  return parseHuntBundle({
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    organization: { id: rows.organization.id, name: rows.organization.name },
+    hunt: defined({
+      id: hunt.id,
+      name: hunt.name,
+      startDate: optional(hunt.start_date),
+      endDate: optional(hunt.end_date),
+      isActive: optional(hunt.is_active),
+      photoMode: optional(hunt.photo_mode),
+      startsAt: optional(hunt.starts_at),
+      endsAt: optional(hunt.ends_at),
+      gracePeriodMinutes: optional(hunt.grace_period_minutes),
+      scoringConfig: optional(hunt.scoring_config),
+      geofenceMode: optional(hunt.geofence_mode),
+      geofenceDefaultRadiusM: optional(hunt.geofence_default_radius_m),
+      keepPhotoLocation: optional(hunt.keep_photo_location),
+      duplicatePhotoMode: optional(hunt.duplicate_photo_mode)
+    }),
+    ordering: {
+      strategy: rows.ordering?.ordering_strategy || 'fixed',
+      seedStrategy: rows.ordering?.seed_strategy || 'team_based'
+    },
+    stops: configurations.map(config => {
+      const stop = stopsById.get(config.stop_id) as Row;
+      const hasPosition = stop.position_lat !== null && stop.position_lat !== undefined &&
+        stop.position_lng !== null && stop.position_lng !== undefined;
+      return defined({
+        id: stop.stop_id,
+        title: stop.title,
+        description: optional(stop.description),
+        clue: stop.clue,
+        hints: Array.isArray(stop.hints) ? stop.hints : [],
+        position: hasPosition ? { lat: Number(stop.position_lat), lng: Number(stop.position_lng) } : undefined,
+        geofenceRadiusM: optional(stop.geofence_radius_m),
+        prePopulatedImageUrl: optional(stop.pre_populated_image_url),
+        mediaType: stop.media_type && stop.media_type !== 'photo' ? stop.media_type : undefined,
+        stopType: config.stop_type && config.stop_type !== 'required' ? config.stop_type : undefined,
+        unlockRule: optional(config.unlock_rule)
+      });
+    }),
+    sponsors: [...rows.sponsors]
+      .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
+      .map(sponsor => defined({
+        companyId: sponsor.company_id,
+        companyName: sponsor.company_name,
+        imageType: sponsor.image_type,
+        imageAlt: sponsor.image_alt,
+        storagePath: optional(sponsor.storage_path),
+        svgText: optional(sponsor.svg_text),
+        isActive: sponsor.is_active !== false
+      })),
+    teams: (rows.teams || []).map(({ team, codes }) => defined({
+      id: team.team_id,
+      name: team.name,
+      displayName: optional(team.display_name),
+      codes: codes.map(code => defined({
+        code: code.code,
+        isActive: code.is_active !== false,
+        maxUses: optional(code.max_uses),
+        expiresAt: optional(code.expires_at)
+      }))
+    }))
+  });
+}
@@ -0,0 +1,245 @@
+/**
+ * Import/export hunt bundles against Supabase
+ *
+ * Import is idempotent: every row is upserted on its natural key, so running
+ * the same bundle twice leaves the database unchanged. Stops and sponsors
+ * that are no longer in the bundle are deactivated rather than deleted, so
+ * existing team progress and photos keep their references.
+ *
+ * hunt_stops.stop_id and team_codes.code are global, so an import refuses
+ * stop IDs configured in another hunt and codes held by another hunt or team
+ * instead of overwriting them. Clones rename their stops with a stop prefix
+ * (see retargetBundle).
+ */
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { fromRows, toRows, type HuntBundle } from './schema';
+
+export interface ImportSummary {
+  stops: number;
+  deactivatedStops: string[];
+  sponsors: number;
+  deactivatedSponsors: string[];
+  teams: number;
+  teamCodes: number;
+}
+
+type Log = (message: string) => void;
+
+function check<T>(result: { data: T; error: { message: string } | null }, what: string): T {
+  if (result.error) {
+    throw new Error(`Supabase error ${what}: ${result.error.message}`);
+  }
+  return result.data;
+}
+
+/**
+ * Export an existing hunt
+ * @param options.includeTeams - Also export teams and their join codes
+ */
+export async function exportHuntBundle(
+  supabase: SupabaseClient,
+  orgId: string,
+  huntId: string,
+  { includeTeams = false }: { includeTeams?: boolean } = {}
+): Promise<HuntBundle> {
+  const organization = check(
+    await supabase.from('organizations').select('*').eq('id', orgId).maybeSingle(),
+    'loading organization'
+  );
+  const hunt = check(
+    await supabase.from('hunts').select('*').eq('organization_id', orgId).eq('id', huntId).maybeSingle(),
+    'loading hunt'
+  );
+  if (!organization || !hunt) {
+    throw new Error(`Hunt ${orgId}/${huntId} not found`);
+  }
+
+  const configurations = check(
+    await supabase.from('hunt_configurations').select('*').eq('organization_id', orgId).eq('hunt_id', huntId),
+    'loading hunt configuration'
+  ) || [];
+  const stopIds = configurations.map((config: any) => config.stop_id);
+  const stops = stopIds.length === 0 ? [] : check(
+    await supabase.from('hunt_stops').select('*').in('stop_id', stopIds),
+    'loading stops'
+  ) || [];
+  const ordering = check(
+    await supabase.from('hunt_ordering_config').select('*').eq('organization_id', orgId).eq('hunt_id', huntId).maybeSingle(),
+    'loading ordering config'
+  );
+  const sponsors = check(
+    await supabase.from('sponsor_assets').select('*').eq('organization_id', orgId).eq('hunt_id', huntId),
+    'loading sponsors'
+  ) || [];
+
+  let teams: Array<{ team: any; codes: any[] }> | undefined;
+  if (includeTeams) {
+    const teamRows = check(
+      await supabase.from('teams').select('*').eq('organization_id', orgId).eq('hunt_id', huntId).order('team_id'),
+      'loading teams'
+    ) || [];
+    const codeRows = teamRows.length === 0 ? [] : check(
+      await supabase.from('team_codes').select('*').in('team_id', teamRows.map((team: any) => team.id)),
+      'loading team codes'
+    ) || [];
+    teams = teamRows.map((team: any) => ({
+      team,
+      codes: codeRows.filter((code: any) => code.team_id === team.id)
+    }));
+  }
+
+  return fromRows({ organization, hunt, ordering, configurations, stops, sponsors, teams });
+}
+
+/**
+ * Import a validated bundle
+ * @param options.dryRun - Only report what would change
+ */
+export async function importHuntBundle(
+  supabase: SupabaseClient,
+  bundle: HuntBundle,
+  { dryRun = false, log = console.log }: { dryRun?: boolean; log?: Log } = {}
+): Promise<ImportSummary> {
+  const rows = toRows(bundle);
+  const orgId = rows.organization.id;
+  const huntId = rows.hunt.id as string;
+
+  // Team codes are globally unique; refuse to steal one from another hunt or team
+  const bundleCodes = rows.teams.flatMap(({ codes }) => codes.map(code => code.code as string));
+  if (bundleCodes.length > 0) {
+    const existing = check(
+      await supabase.from('team_codes').select('code, organization_id, hunt_id, team_id').in('code', bundleCodes),
+      'checking team codes'
+    ) || [];
+    const taken = existing.filter((row: any) => row.organization_id !== orgId || row.hunt_id !== huntId);
+    if (taken.length > 0) {
+      throw new Error(`Team codes already used by another hunt: ${taken.map((row: any) => row.code).join(', ')}`);
+    }
+
+    const huntTeams = existing.length === 0 ? [] : check(
+      await supabase.from('teams').select('id, team_id').eq('organization_id', orgId).eq('hunt_id', huntId),
+      'loading teams'
+    ) || [];
+    const teamSlugs = new Map(huntTeams.map((team: any) => [team.id, team.team_id]));
+    const codeOwners = new Map(rows.teams.flatMap(({ team, codes }) => codes.map(code => [code.code, team.team_id])));
+    const moved = existing.filter((row: any) => teamSlugs.get(row.team_id) !== codeOwners.get(row.code));
+    if (moved.length > 0) {
+      throw new Error(`Team codes already held by another team: ${moved.map((row: any) => row.code).join(', ')}`);
+    }
+  }
+
+  // hunt_stops.stop_id is global; refuse to overwrite stops another hunt uses
+  const bundleStopIds = new Set(rows.stops.map(stop => stop.stop_id));
+  const stopOwners = check(
+    await supabase.from('hunt_configurations').select('stop_id, organization_id, hunt_id').in('stop_id', [...bundleStopIds]),
+    'checking stop IDs'
+  ) || [];
+  const sharedStops = [...new Set(stopOwners
+    .filter((row: any) => row.organization_id !== orgId || row.hunt_id !== huntId)
+    .map((row: any) => row.stop_id as string))];
+  if (sharedStops.length > 0) {
+    throw new Error(`Stop IDs already used by another hunt: ${sharedStops.join(', ')} (import with --stop-prefix to rename them)`);
+  }
+
+  const currentConfigs = check(
+    await supabase.from('hunt_configurations').select('stop_id, is_active').eq('organization_id', orgId).eq('hunt_id', huntId),
+    'loading hunt configuration'
+  ) || [];
+  const deactivatedStops = currentConfigs
+    .filter((config: any) => config.is_active !== false && !bundleStopIds.has(config.stop_id))
+    .map((config: any) => config.stop_id);
+
+  const bundleSponsorIds = new Set(rows.sponsors.map(sponsor => sponsor.company_id));
+  const currentSponsors = check(
+    await supabase.from('sponsor_assets').select('id, company_id, is_active').eq('organization_id', orgId).eq('hunt_id', huntId),
+    'loading sponsors'
+  ) || [];
+  const deactivatedSponsors = currentSponsors
+    .filter((sponsor: any) => sponsor.is_active && !bundleSponsorIds.has(sponsor.company_id))
+    .map((sponsor: any) => sponsor.company_id);
+
+  const summary: ImportSummary = {
+    stops: rows.stops.length,
+    deactivatedStops,
+    sponsors: rows.sponsors.length,
+    deactivatedSponsors,
+    teams: rows.teams.length,
+    teamCodes: bundleCodes.length
+  };
+
+  if (dryRun) {
+    log(`[dry run] Would import ${orgId}/${huntId}`);
+    return summary;
+  }
+
+  log(`Importing ${orgId}/${huntId}`);
+
+  check(await supabase.from('organizations').upsert(rows.organization, { onConflict: 'id' }), 'saving organization');
+  check(await supabase.from('hunts').upsert(rows.hunt, { onConflict: 'organization_id,id' }), 'saving hunt');
+
+  check(await supabase.from('hunt_stops').upsert(rows.stops, { onConflict: 'stop_id' }), 'saving stops');
+  check(
+    await supabase.from('hunt_configurations').upsert(rows.configurations, { onConflict: 'organization_id,hunt_id,stop_id' }),
+    'saving hunt configuration'
+  );
+  if (deactivatedStops.length > 0) {
+    check(
+      await supabase.from('hunt_configurations')
+        .update({ is_active: false })
+        .eq('organization_id', orgId)
+        .eq('hunt_id', huntId)
+        .in('stop_id', deactivatedStops),
+      'deactivating removed stops'
+    );
+  }
+  log(`  ✓ ${summary.stops} stops`);
+
+  check(
+    await supabase.from('hunt_ordering_config').upsert(rows.ordering, { onConflict: 'organization_id,hunt_id' }),
+    'saving ordering config'
+  );
+  log(`  ✓ ordering: ${rows.ordering.ordering_strategy}`);
+
+  // sponsor_assets has no natural unique key, so match on company_id
+  const sponsorRowIds = new Map(currentSponsors.map((sponsor: any) => [sponsor.company_id, sponsor.id]));
+  for (const sponsor of rows.sponsors) {
+    const id = sponsorRowIds.get(sponsor.company_id);
+    const result = id
+      ? await supabase.from('sponsor_assets').update(sponsor).eq('id', id)
+      : await supabase.from('sponsor_assets').insert(sponsor);
+    check(result, `saving sponsor ${sponsor.company_id}`);
+  }
+  if (deactivatedSponsors.length > 0) {
+    check(
+      await supabase.from('sponsor_assets')
+        .update({ is_active: false })
+        .eq('organization_id', orgId)
+        .eq('hunt_id', huntId)
+        .in('company_id', deactivatedSponsors),
+      'deactivating removed sponsors'
+    );
+  }
+  log(`  ✓ ${summary.sponsors} sponsors`);
+
+  for (const { team, codes } of rows.teams) {
+    const saved = check(
+      await supabase.from('teams')
+        .upsert(team, { onConflict: 'organization_id,team_id,hunt_id' })
+        .select('id')
+        .single(),
+      `saving team ${team.team_id}`
+    );
+    if (codes.length > 0) {
+      check(
+        await supabase.from('team_codes').upsert(codes.map(code => ({ ...code, team_id: saved!.id })), { onConflict: 'code' }),
+        `saving codes for team ${team.team_id}`
+      );
+    }
+  }
+  if (summary.teams > 0) {
+    log(`  ✓ ${summary.teams} teams, ${summary.teamCodes} codes`);
+  }
+
+  return summary;
+}
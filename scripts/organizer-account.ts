@@ -0,0 +1,138 @@
+#!/usr/bin/env tsx
+
+/**
+ * Organizer Account CLI
+ *
+ * Create organizer logins and grant them a role in an organization, so
+ * organizers can sign in at /api/organizer/login instead of sharing the
+ * service-role key. Requires scripts/sql/organizer-accounts.sql.
+ *
+ * Usage:
+ *   npx tsx scripts/organizer-account.ts create --email <email> --org <id> --role <role> [--name <display name>]
+ *   npx tsx scripts/organizer-account.ts grant --email <email> --org <id> --role <role>
+ *   npx tsx scripts/organizer-account.ts show --email <email>
+ *
+ * The password for `create` is read from ORGANIZER_PASSWORD (or --password)
+ * so it stays out of shell history.
+ *
+ * Example:
+ *   ORGANIZER_PASSWORD='correct horse battery' npx tsx scripts/organizer-account.ts create --email host@example.com --org bhhs --role owner
+ */
+
+import { createRequire } from 'module';
+import { createClient, type SupabaseClient } from '@supabase/supabase-js';
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+const requireFn = createRequire(import.meta.url);
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const {
+  ORGANIZER_ROLES,
+  findOrganizerByEmail,
+  createOrganizerAccount,
+  grantOrganizerRole
+} = requireFn('../netlify/functions/_lib/organizerAccounts.js');
+
+const USAGE = `Usage:
+  organizer-account create --email <email> --org <id> --role <${ORGANIZER_ROLES.join('|')}> [--name <display name>]
+  organizer-account grant --email <email> --org <id> --role <${ORGANIZER_ROLES.join('|')}>
+  organizer-account show --email <email>`;
+
+interface Organizer {
+  id: string;
+  email: string;
+  displayName: string | null;
+  memberships: Array<{ orgId: string; role: string }>;
+}
+
+/**
+ * Parse --flag value pairs (flags without a value are true)
+ */
+function parseFlags(argv: string[]): Record<string, string | true> {
+  const flags: Record<string, string | true> = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(USAGE);
+    }
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      flags[arg.slice(2)] = next;
+      i++;
+    } else {
+      flags[arg.slice(2)] = true;
+    }
+  }
+
+  return flags;
+}
+
+function stringFlag(flags: Record<string, string | true>, name: string): string | undefined {
+  const value = flags[name];
+  return typeof value === 'string' ? value : undefined;
+}
+
+function getSupabase(): SupabaseClient {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    console.error('❌ Missing required environment variables:');
+    console.error('   SUPABASE_URL');
+    console.error('   SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  return createClient(url, key);
+}
+
+function printOrganizer(organizer: Organizer) {
+  console.log(`👤 ${organizer.email}${organizer.displayName ? ` (${organizer.displayName})` : ''} - ${organizer.id}`);
+  if (organizer.memberships.length === 0) {
+    console.log('   No organization roles');
+  }
+  for (const { orgId, role } of organizer.memberships) {
+    console.log(`   ${orgId}: ${role}`);
+  }
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const flags = parseFlags(rest);
+  const email = stringFlag(flags, 'email');
+  if (!email) throw new Error(USAGE);
+
+  const supabase = getSupabase();
+
+  if (command === 'show') {
+    const organizer = await findOrganizerByEmail(supabase, email);
+    if (!organizer) throw new Error(`No organizer account for ${email}`);
+    printOrganizer(organizer);
+    return;
+  }
+
+  const orgId = stringFlag(flags, 'org');
+  const role = stringFlag(flags, 'role');
+  if (!orgId || !role || (command !== 'create' && command !== 'grant')) throw new Error(USAGE);
+
+  const organizer: Organizer | null = command === 'create'
+    ? await createOrganizerAccount(supabase, {
+      email,
+      password: stringFlag(flags, 'password') || process.env.ORGANIZER_PASSWORD,
+      displayName: stringFlag(flags, 'name') || null
+    })
+    : await findOrganizerByEmail(supabase, email);
+
+  if (!organizer) throw new Error(`No organizer account for ${email}; use create first`);
+  if (command === 'create') console.log(`✅ Created organizer ${organizer.email}`);
+
+  await grantOrganizerRole(supabase, { organizerId: organizer.id, orgId, role });
+  console.log(`✅ ${email} is now ${role} of ${orgId} (takes effect at next sign-in)`);
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
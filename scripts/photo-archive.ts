@@ -0,0 +1,111 @@
+#!/usr/bin/env tsx
+
+/**
+ * Photo Archive CLI
+ *
+ * Download every team's stop photos for a hunt as a ZIP organized as
+ * <team>/<stop>.<ext>, with manifest.csv listing completed_at, notes and
+ * hints used for each stop. Same archive as GET /api/archive/:orgId/:huntId,
+ * without the function time and size limits.
+ *
+ * Usage:
+ *   npx tsx scripts/photo-archive.ts --org <id> --hunt <id> [--out <file>]
+ *
+ * Example:
+ *   npx tsx scripts/photo-archive.ts --org bhhs --hunt fall-2025 --out archives/fall-2025.zip
+ */
+
+import { createWriteStream } from 'fs';
+import { mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { createRequire } from 'module';
+import { pipeline } from 'stream/promises';
+import { createClient, type SupabaseClient } from '@supabase/supabase-js';
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+const requireFn = createRequire(import.meta.url);
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { createPhotoArchive, archiveFileName } = requireFn('../netlify/functions/_lib/photoArchive.js');
+
+const USAGE = `Usage:
+  photo-archive --org <id> --hunt <id> [--out <file>]`;
+
+/**
+ * Parse --flag value pairs (flags without a value are true)
+ */
+function parseFlags(argv: string[]): Record<string, string | true> {
+  const flags: Record<string, string | true> = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(USAGE);
+    }
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      flags[arg.slice(2)] = next;
+      i++;
+    } else {
+      flags[arg.slice(2)] = true;
+    }
+  }
+
+  return flags;
+}
+
+function stringFlag(flags: Record<string, string | true>, name: string): string | undefined {
+  const value = flags[name];
+  return typeof value === 'string' ? value : undefined;
+}
+
+function getSupabase(): SupabaseClient {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    console.error('❌ Missing required environment variables:');
+    console.error('   SUPABASE_URL');
+    console.error('   SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  return createClient(url, key);
+}
+
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  const orgId = stringFlag(flags, 'org');
+  const huntId = stringFlag(flags, 'hunt');
+  if (!orgId || !huntId) throw new Error(USAGE);
+
+  const out = stringFlag(flags, 'out') || archiveFileName(orgId, huntId);
+  let included = 0;
+  let skipped = 0;
+
+  const archive = await createPhotoArchive(getSupabase(), {
+    orgId,
+    huntId,
+    onProgress: ({ row, included: ok }: { row: { teamId: string; stopId: string }; included: boolean }) => {
+      if (ok) included++;
+      else skipped++;
+      console.log(`  ${ok ? '✓' : '✗ unreadable'} ${row.teamId}/${row.stopId}`);
+    }
+  });
+
+  if (archive.teamCount === 0) {
+    throw new Error(`No teams found for ${orgId}/${huntId}`);
+  }
+
+  console.log(`📦 Archiving ${archive.photoCount} photos from ${archive.teamCount} teams to ${out}`);
+  await mkdir(dirname(out), { recursive: true });
+  await pipeline(archive.stream, createWriteStream(out));
+
+  console.log(`✅ Wrote ${out}: ${included} photos${skipped > 0 ? `, ${skipped} skipped (see manifest.csv)` : ''}`);
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+-- Activity Events Schema
+-- Backs the hunt activity feed (UpdatesView, GET /api/activity/:orgId/:huntId)
+-- Events are written as a side effect of progress updates and photo uploads
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS activity_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id TEXT NOT NULL,
+  hunt_id TEXT NOT NULL,
+  team_id TEXT,                 -- Team slug (teams.team_id, lowercased); NULL for hunt-wide events
+  team_name TEXT,
+  event_type TEXT NOT NULL CHECK (event_type IN ('stop_completed', 'photo_uploaded', 'hunt_completed', 'announcement')),
+  location_id TEXT,
+  message TEXT NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  dedupe_key TEXT UNIQUE,       -- Prevents duplicate events from retried requests
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Feed queries page newest-first by (created_at, id)
+CREATE INDEX IF NOT EXISTS idx_activity_events_feed
+  ON activity_events (organization_id, hunt_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_activity_events_team
+  ON activity_events (organization_id, hunt_id, team_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE activity_events ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for service role (full access)
+CREATE POLICY "Service role has full access to activity_events"
+ON activity_events
+FOR ALL
+TO service_role
+USING (true);
+
+-- Create policy for anonymous users (no access)
+CREATE POLICY "No anonymous access to activity_events"
+ON activity_events
+FOR ALL
+TO anon
+USING (false);
+
+COMMENT ON TABLE activity_events IS 'Hunt activity feed: stop completions, photo uploads, hunt completions and announcements';
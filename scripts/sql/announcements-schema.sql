@@ -0,0 +1,52 @@
+-- Announcements Schema
+-- Organizer announcements scoped to an organization/hunt, optionally targeted to teams
+-- Requires activity-events-schema.sql (announcements are mirrored into the activity feed)
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS announcements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id TEXT NOT NULL,
+  hunt_id TEXT NOT NULL,
+  title TEXT,
+  message TEXT NOT NULL CHECK (char_length(message) BETWEEN 1 AND 1000),
+  target_team_ids TEXT[],       -- NULL = everyone; otherwise lowercased team slugs
+  publish_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT check_announcement_window CHECK (expires_at IS NULL OR expires_at > publish_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_announcements_org_hunt
+  ON announcements (organization_id, hunt_id, publish_at DESC);
+
+-- Feed visibility for scheduled/expiring/targeted events
+ALTER TABLE activity_events
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE activity_events
+  ADD COLUMN IF NOT EXISTS target_team_ids TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_activity_events_target_teams
+  ON activity_events USING GIN (target_team_ids);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE announcements ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for service role (full access)
+CREATE POLICY "Service role has full access to announcements"
+ON announcements
+FOR ALL
+TO service_role
+USING (true);
+
+-- Create policy for anonymous users (no access)
+CREATE POLICY "No anonymous access to announcements"
+ON announcements
+FOR ALL
+TO anon
+USING (false);
+
+COMMENT ON TABLE announcements IS 'Organizer announcements; mirrored into activity_events with dedupe_key announcement:<id>';
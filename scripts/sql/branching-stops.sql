@@ -0,0 +1,169 @@
+-- Branching / Conditional Stops
+-- Per-stop type and declarative unlock rule on hunt_configurations.
+-- Rules are evaluated by the API when locations are fetched for a team
+-- (see netlify/functions/_lib/unlockRules.js for the rule grammar).
+--
+-- stop_type:
+--   required - counts toward completion (default)
+--   optional - side content; never affects rankings
+--   bonus    - extra credit; earns points and breaks ranking ties
+--
+-- unlock_rule examples:
+--   Bonus stop after any 3 completions:  {"type": "count", "min": 3}
+--   Path A of a fork:                    {"type": "choice", "group": "fork-1", "option": "A"}
+--   Second stop on path A:               {"type": "all", "rules": [
+--                                          {"type": "choice", "group": "fork-1", "option": "A"},
+--                                          {"type": "after", "stops": ["path-a-1"]}]}
+
+-- ============================================================================
+-- PART 1: COLUMNS
+-- ============================================================================
+
+ALTER TABLE hunt_configurations
+  ADD COLUMN IF NOT EXISTS stop_type TEXT NOT NULL DEFAULT 'required',
+  ADD COLUMN IF NOT EXISTS unlock_rule JSONB;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'hunt_configurations_stop_type_check'
+  ) THEN
+    ALTER TABLE hunt_configurations
+      ADD CONSTRAINT hunt_configurations_stop_type_check
+      CHECK (stop_type IN ('required', 'optional', 'bonus'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'hunt_configurations_unlock_rule_check'
+  ) THEN
+    ALTER TABLE hunt_configurations
+      ADD CONSTRAINT hunt_configurations_unlock_rule_check
+      CHECK (unlock_rule IS NULL OR jsonb_typeof(unlock_rule) = 'object');
+  END IF;
+END $$;
+
+COMMENT ON COLUMN hunt_configurations.stop_type IS 'required | optional | bonus';
+COMMENT ON COLUMN hunt_configurations.unlock_rule IS 'Declarative unlock rule (NULL = always available); see _lib/unlockRules.js';
+
+-- ============================================================================
+-- PART 2: get_hunt_stops() - SEQUENTIAL LOCKS ONLY APPLY TO REQUIRED STOPS
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS get_hunt_stops(text, text, uuid);
+
+CREATE OR REPLACE FUNCTION get_hunt_stops(
+  p_organization_id TEXT,
+  p_hunt_id TEXT,
+  p_team_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  stop_id TEXT,
+  title TEXT,
+  description TEXT,
+  clue TEXT,
+  hints JSONB,
+  position_lat DECIMAL,
+  position_lng DECIMAL,
+  step_order INTEGER,
+  is_completed BOOLEAN,
+  pre_populated_image_url TEXT,
+  is_locked BOOLEAN,
+  stop_type TEXT
+) AS $$
+DECLARE
+  ordering_strategy TEXT;
+BEGIN
+  -- Get the ordering strategy for this hunt
+  SELECT hoc.ordering_strategy INTO ordering_strategy
+  FROM hunt_ordering_config hoc
+  WHERE hoc.organization_id = p_organization_id AND hoc.hunt_id = p_hunt_id;
+
+  -- If no ordering config found, default to fixed
+  IF ordering_strategy IS NULL THEN
+    ordering_strategy := 'fixed';
+  END IF;
+
+  IF ordering_strategy = 'randomized' THEN
+    -- Use randomized order from team_stop_orders
+    RETURN QUERY
+    SELECT
+      hs.stop_id,
+      hs.title,
+      hs.description,
+      hs.clue,
+      hs.hints,
+      hs.position_lat,
+      hs.position_lng,
+      tso.step_order,
+      COALESCE(hp.done, false) as is_completed,
+      hs.pre_populated_image_url,
+      false as is_locked,
+      COALESCE(hc.stop_type, 'required') as stop_type
+    FROM team_stop_orders tso
+    JOIN hunt_stops hs ON tso.stop_id = hs.stop_id
+    LEFT JOIN hunt_configurations hc
+      ON hc.stop_id = hs.stop_id
+      AND hc.organization_id = p_organization_id
+      AND hc.hunt_id = p_hunt_id
+    LEFT JOIN hunt_progress hp ON hp.team_id = p_team_id AND hp.location_id = hs.stop_id
+    WHERE tso.team_id = p_team_id
+    ORDER BY tso.step_order ASC;
+  ELSE
+    -- 'fixed' and 'sequential' both use default order from hunt_configurations
+    RETURN QUERY
+    WITH ordered AS (
+      SELECT
+        hs.stop_id,
+        hs.title,
+        hs.description,
+        hs.clue,
+        hs.hints,
+        hs.position_lat,
+        hs.position_lng,
+        hc.default_order,
+        COALESCE(hp.done, false) as done,
+        hs.pre_populated_image_url,
+        hc.stop_type,
+        -- Incomplete required stops that come before this one
+        COUNT(*) FILTER (WHERE hc.stop_type = 'required' AND NOT COALESCE(hp.done, false)) OVER (
+          ORDER BY hc.default_order
+          ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+        ) as incomplete_before
+      FROM hunt_configurations hc
+      JOIN hunt_stops hs ON hc.stop_id = hs.stop_id
+      LEFT JOIN hunt_progress hp ON hp.team_id = p_team_id AND hp.location_id = hs.stop_id
+      WHERE hc.organization_id = p_organization_id
+        AND hc.hunt_id = p_hunt_id
+        AND hc.is_active = true
+    ),
+    flagged AS (
+      SELECT
+        o.*,
+        (ordering_strategy = 'sequential'
+          AND p_team_id IS NOT NULL
+          AND o.stop_type = 'required'
+          AND NOT o.done
+          AND o.incomplete_before > 0) as locked
+      FROM ordered o
+    )
+    SELECT
+      f.stop_id,
+      CASE WHEN f.locked THEN NULL ELSE f.title END,
+      CASE WHEN f.locked THEN NULL ELSE f.description END,
+      CASE WHEN f.locked THEN NULL ELSE f.clue END,
+      CASE WHEN f.locked THEN '[]'::jsonb ELSE f.hints END,
+      CASE WHEN f.locked THEN NULL ELSE f.position_lat END,
+      CASE WHEN f.locked THEN NULL ELSE f.position_lng END,
+      f.default_order as step_order,
+      f.done as is_completed,
+      CASE WHEN f.locked THEN NULL ELSE f.pre_populated_image_url END,
+      f.locked as is_locked,
+      f.stop_type
+    FROM flagged f
+    ORDER BY f.default_order ASC;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_hunt_stops(text, text, uuid) IS
+  'Ordered hunt stops with stop_type; in sequential hunts, required stops after the first incomplete one are locked and redacted for the given team. Unlock rules are applied by the API.';
@@ -0,0 +1,213 @@
+-- Chunked Uploads and Video Clips
+-- Resumable upload sessions for large photos and short video clips
+-- (see netlify/functions/chunked-upload.js, _lib/chunkedUploads.js), and a
+-- per-stop media type for stops whose challenge asks for a video.
+--
+-- Media types:
+--   photo           - a photo completes the stop (default)
+--   video           - a video clip completes the stop
+--   photo_or_video  - either
+--
+-- Chunks are stored in the private Storage bucket "upload-chunks" (create it
+-- in the Supabase dashboard: not public, service role access only). They are
+-- deleted when an upload completes; sessions expire after
+-- UPLOAD_SESSION_TTL_HOURS (default 24).
+
+-- ============================================================================
+-- PART 1: STOP MEDIA TYPE
+-- ============================================================================
+
+ALTER TABLE public.hunt_stops
+  ADD COLUMN IF NOT EXISTS media_type TEXT NOT NULL DEFAULT 'photo';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'hunt_stops_media_type_check'
+  ) THEN
+    ALTER TABLE public.hunt_stops
+      ADD CONSTRAINT hunt_stops_media_type_check
+      CHECK (media_type IN ('photo', 'video', 'photo_or_video'));
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.hunt_stops.media_type IS 'What completes the stop: photo | video | photo_or_video';
+
+-- ============================================================================
+-- PART 2: UPLOAD SESSIONS
+-- ============================================================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id TEXT NOT NULL,
+  hunt_id TEXT NOT NULL,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  location_id TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  media_type TEXT NOT NULL CHECK (media_type IN ('photo', 'video')),
+  content_type TEXT NOT NULL,
+  total_bytes BIGINT NOT NULL CHECK (total_bytes > 0),
+  chunk_size INTEGER NOT NULL CHECK (chunk_size > 0),
+  total_chunks INTEGER NOT NULL CHECK (total_chunks > 0),
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completing', 'completed', 'failed')),
+  result JSONB,
+  error TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  -- One session per client idempotency key; init with the same key resumes it
+  UNIQUE (team_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires
+  ON upload_sessions (expires_at)
+  WHERE status <> 'completed';
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE upload_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for service role (full access)
+CREATE POLICY "Service role has full access to upload_sessions"
+ON upload_sessions
+FOR ALL
+TO service_role
+USING (true);
+
+-- Create policy for anonymous users (no access)
+CREATE POLICY "No anonymous access to upload_sessions"
+ON upload_sessions
+FOR ALL
+TO anon
+USING (false);
+
+COMMENT ON TABLE upload_sessions IS 'Chunked, resumable photo/video uploads; chunks live in the upload-chunks bucket';
+
+-- ============================================================================
+-- PART 3: get_hunt_stops() - ADD media_type
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS get_hunt_stops(text, text, uuid);
+
+CREATE OR REPLACE FUNCTION get_hunt_stops(
+  p_organization_id TEXT,
+  p_hunt_id TEXT,
+  p_team_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  stop_id TEXT,
+  title TEXT,
+  description TEXT,
+  clue TEXT,
+  hints JSONB,
+  position_lat DECIMAL,
+  position_lng DECIMAL,
+  step_order INTEGER,
+  is_completed BOOLEAN,
+  pre_populated_image_url TEXT,
+  is_locked BOOLEAN,
+  stop_type TEXT,
+  media_type TEXT
+) AS $$
+DECLARE
+  ordering_strategy TEXT;
+BEGIN
+  -- Get the ordering strategy for this hunt
+  SELECT hoc.ordering_strategy INTO ordering_strategy
+  FROM hunt_ordering_config hoc
+  WHERE hoc.organization_id = p_organization_id AND hoc.hunt_id = p_hunt_id;
+
+  -- If no ordering config found, default to fixed
+  IF ordering_strategy IS NULL THEN
+    ordering_strategy := 'fixed';
+  END IF;
+
+  IF ordering_strategy = 'randomized' THEN
+    -- Use randomized order from team_stop_orders
+    RETURN QUERY
+    SELECT
+      hs.stop_id,
+      hs.title,
+      hs.description,
+      hs.clue,
+      hs.hints,
+      hs.position_lat,
+      hs.position_lng,
+      tso.step_order,
+      COALESCE(hp.done, false) as is_completed,
+      hs.pre_populated_image_url,
+      false as is_locked,
+      COALESCE(hc.stop_type, 'required') as stop_type,
+      hs.media_type
+    FROM team_stop_orders tso
+    JOIN hunt_stops hs ON tso.stop_id = hs.stop_id
+    LEFT JOIN hunt_configurations hc
+      ON hc.stop_id = hs.stop_id
+      AND hc.organization_id = p_organization_id
+      AND hc.hunt_id = p_hunt_id
+    LEFT JOIN hunt_progress hp ON hp.team_id = p_team_id AND hp.location_id = hs.stop_id
+    WHERE tso.team_id = p_team_id
+    ORDER BY tso.step_order ASC;
+  ELSE
+    -- 'fixed' and 'sequential' both use default order from hunt_configurations
+    RETURN QUERY
+    WITH ordered AS (
+      SELECT
+        hs.stop_id,
+        hs.title,
+        hs.description,
+        hs.clue,
+        hs.hints,
+        hs.position_lat,
+        hs.position_lng,
+        hc.default_order,
+        COALESCE(hp.done, false) as done,
+        hs.pre_populated_image_url,
+        hc.stop_type,
+        hs.media_type,
+        -- Incomplete required stops that come before this one
+        COUNT(*) FILTER (WHERE hc.stop_type = 'required' AND NOT COALESCE(hp.done, false)) OVER (
+          ORDER BY hc.default_order
+          ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+        ) as incomplete_before
+      FROM hunt_configurations hc
+      JOIN hunt_stops hs ON hc.stop_id = hs.stop_id
+      LEFT JOIN hunt_progress hp ON hp.team_id = p_team_id AND hp.location_id = hs.stop_id
+      WHERE hc.organization_id = p_organization_id
+        AND hc.hunt_id = p_hunt_id
+        AND hc.is_active = true
+    ),
+    flagged AS (
+      SELECT
+        o.*,
+        (ordering_strategy = 'sequential'
+          AND p_team_id IS NOT NULL
+          AND o.stop_type = 'required'
+          AND NOT o.done
+          AND o.incomplete_before > 0) as locked
+      FROM ordered o
+    )
+    SELECT
+      f.stop_id,
+      CASE WHEN f.locked THEN NULL ELSE f.title END,
+      CASE WHEN f.locked THEN NULL ELSE f.description END,
+      CASE WHEN f.locked THEN NULL ELSE f.clue END,
+      CASE WHEN f.locked THEN '[]'::jsonb ELSE f.hints END,
+      CASE WHEN f.locked THEN NULL ELSE f.position_lat END,
+      CASE WHEN f.locked THEN NULL ELSE f.position_lng END,
+      f.default_order as step_order,
+      f.done as is_completed,
+      CASE WHEN f.locked THEN NULL ELSE f.pre_populated_image_url END,
+      f.locked as is_locked,
+      f.stop_type,
+      f.media_type
+    FROM flagged f
+    ORDER BY f.default_order ASC;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_hunt_stops(text, text, uuid) IS
+  'Ordered hunt stops with stop_type and media_type; in sequential hunts, required stops after the first incomplete one are locked and redacted for the given team. Unlock rules are applied by the API.';
@@ -0,0 +1,73 @@
+-- Geofenced Stop Check-ins
+-- Per-hunt geofence mode, per-stop radius, and the check-in log used to
+-- verify a team was physically at a stop before it can be marked done
+-- (see netlify/functions/_lib/geofence.js, POST /api/checkin/...)
+--
+-- Modes:
+--   off       - no check-in flow (default)
+--   advisory  - teams can check in; completion is never blocked
+--   required  - a stop with coordinates needs a verified check-in before it is marked done
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+ALTER TABLE public.hunts
+  ADD COLUMN IF NOT EXISTS geofence_mode TEXT NOT NULL DEFAULT 'off',
+  ADD COLUMN IF NOT EXISTS geofence_default_radius_m INTEGER NOT NULL DEFAULT 75;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'hunts_geofence_mode_check'
+  ) THEN
+    ALTER TABLE public.hunts
+      ADD CONSTRAINT hunts_geofence_mode_check
+      CHECK (geofence_mode IN ('off', 'advisory', 'required'));
+  END IF;
+END $$;
+
+-- Optional per-stop override; NULL falls back to hunts.geofence_default_radius_m
+ALTER TABLE public.hunt_stops
+  ADD COLUMN IF NOT EXISTS geofence_radius_m INTEGER CHECK (geofence_radius_m IS NULL OR geofence_radius_m > 0);
+
+CREATE TABLE IF NOT EXISTS stop_checkins (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id TEXT NOT NULL,
+  hunt_id TEXT NOT NULL,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  location_id TEXT NOT NULL,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  accuracy_m DOUBLE PRECISION,
+  distance_m DOUBLE PRECISION NOT NULL,
+  radius_m INTEGER NOT NULL,
+  within_radius BOOLEAN NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Completion checks look up the latest verified check-in for a team/stop
+CREATE INDEX IF NOT EXISTS idx_stop_checkins_team_stop
+  ON stop_checkins (team_id, location_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_stop_checkins_hunt
+  ON stop_checkins (organization_id, hunt_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE stop_checkins ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for service role (full access)
+CREATE POLICY "Service role has full access to stop_checkins"
+ON stop_checkins
+FOR ALL
+TO service_role
+USING (true);
+
+-- Create policy for anonymous users (no access)
+CREATE POLICY "No anonymous access to stop_checkins"
+ON stop_checkins
+FOR ALL
+TO anon
+USING (false);
+
+COMMENT ON TABLE stop_checkins IS 'Geolocation check-ins at hunt stops with server-computed distance';
+COMMENT ON COLUMN public.hunts.geofence_mode IS 'Stop check-in enforcement: off | advisory | required';
+COMMENT ON COLUMN public.hunt_stops.geofence_radius_m IS 'Check-in radius in meters (NULL = hunt default)';
@@ -0,0 +1,45 @@
+-- Hunt Schedule Windows
+-- Adds start/end timestamps and an optional grace period to hunts.
+-- Enforced by the photo upload and progress write endpoints
+-- (see netlify/functions/_lib/huntSchedule.js) and exposed to the client
+-- as `hunt.schedule` in login-initialize.
+--
+-- NULL starts_at / ends_at leave the hunt unscheduled (always open).
+-- The existing start_date / end_date columns are informational only.
+
+ALTER TABLE public.hunts
+  ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS grace_period_minutes INTEGER NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'hunts_schedule_window_check'
+  ) THEN
+    ALTER TABLE public.hunts
+      ADD CONSTRAINT hunts_schedule_window_check
+      CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'hunts_grace_period_check'
+  ) THEN
+    ALTER TABLE public.hunts
+      ADD CONSTRAINT hunts_grace_period_check
+      CHECK (grace_period_minutes >= 0);
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.hunts.starts_at IS 'Submissions are rejected before this time (NULL = no start limit)';
+COMMENT ON COLUMN public.hunts.ends_at IS 'Hunt end; submissions close at ends_at + grace_period_minutes (NULL = no end limit)';
+COMMENT ON COLUMN public.hunts.grace_period_minutes IS 'Minutes after ends_at during which late submissions are still accepted';
+
+-- Example: a four hour hunt with a 15 minute grace period
+/*
+UPDATE public.hunts
+SET starts_at = '2025-10-04 10:00:00-06',
+    ends_at = '2025-10-04 14:00:00-06',
+    grace_period_minutes = 15
+WHERE organization_id = 'bhhs' AND id = 'fall-2025';
+*/
@@ -0,0 +1,26 @@
+-- Hunt Scoring Configuration
+-- Adds a per-hunt scoring model used by the leaderboard endpoints
+-- (see netlify/functions/_lib/scoringService.js)
+--
+-- NULL scoring_config keeps the original completion-based ranking.
+
+ALTER TABLE public.hunts
+  ADD COLUMN IF NOT EXISTS scoring_config JSONB;
+
+COMMENT ON COLUMN public.hunts.scoring_config IS
+  'Scoring model: { model, pointsPerStop, stopPoints, hintPenalty, maxHintPenaltyRatio, completionBonus, timeBonus: { targetMinutes, maxPoints } }';
+
+-- Example: weighted points with hint penalties and a 2 hour time bonus
+/*
+UPDATE public.hunts
+SET scoring_config = '{
+  "model": "points",
+  "pointsPerStop": 100,
+  "stopPoints": { "covered-bridge": 150 },
+  "hintPenalty": 10,
+  "maxHintPenaltyRatio": 0.5,
+  "completionBonus": 250,
+  "timeBonus": { "targetMinutes": 120, "maxPoints": 200 }
+}'::jsonb
+WHERE organization_id = 'bhhs' AND id = 'fall-2025';
+*/
@@ -0,0 +1,68 @@
+-- Organizer Accounts Schema
+-- Staff logins separate from team codes, with a role per organization
+-- (see netlify/functions/_lib/organizerAccounts.js and _lib/organizerAuth.js).
+--
+-- Roles, each including the ones below it:
+--   owner      - everything, including managing the organization's organizers
+--   organizer  - manage hunts, announcements and photo exports
+--   moderator  - approve or reject photos
+--   viewer     - read-only access to organizer views
+--
+-- Create the first owner with scripts/organizer-account.ts.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS organizer_accounts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email TEXT NOT NULL UNIQUE CHECK (email = lower(email)),
+  display_name TEXT,
+  password_hash TEXT NOT NULL,   -- scrypt$<salt hex>$<key hex>
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organizer_memberships (
+  organizer_id UUID NOT NULL REFERENCES organizer_accounts(id) ON DELETE CASCADE,
+  organization_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'organizer', 'moderator', 'viewer')),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (organizer_id, organization_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organizer_memberships_org
+  ON organizer_memberships (organization_id, role);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE organizer_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organizer_memberships ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for service role (full access)
+CREATE POLICY "Service role has full access to organizer_accounts"
+ON organizer_accounts
+FOR ALL
+TO service_role
+USING (true);
+
+CREATE POLICY "Service role has full access to organizer_memberships"
+ON organizer_memberships
+FOR ALL
+TO service_role
+USING (true);
+
+-- Create policies for anonymous users (no access; password hashes never leave the server)
+CREATE POLICY "No anonymous access to organizer_accounts"
+ON organizer_accounts
+FOR ALL
+TO anon
+USING (false);
+
+CREATE POLICY "No anonymous access to organizer_memberships"
+ON organizer_memberships
+FOR ALL
+TO anon
+USING (false);
+
+COMMENT ON TABLE organizer_accounts IS 'Organizer staff logins; tokens are issued by /api/organizer/login';
+COMMENT ON TABLE organizer_memberships IS 'Role of an organizer within one organization';
@@ -0,0 +1,47 @@
+-- Duplicate Photo Detection
+-- Perceptual hashes (64-bit dHash, 16 hex characters) on photo submissions
+-- and a per-hunt setting for what a near-duplicate does
+-- (see netlify/functions/_lib/photoDuplicates.js).
+--
+-- Modes:
+--   off    - photos are hashed but never compared
+--   flag   - near-duplicates are flagged in the moderation queue (default)
+--   block  - a near-duplicate upload is refused and the stop stays open
+--
+-- Requires photo-moderation.sql.
+
+ALTER TABLE public.hunts
+  ADD COLUMN IF NOT EXISTS duplicate_photo_mode TEXT NOT NULL DEFAULT 'flag';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'hunts_duplicate_photo_mode_check'
+  ) THEN
+    ALTER TABLE public.hunts
+      ADD CONSTRAINT hunts_duplicate_photo_mode_check
+      CHECK (duplicate_photo_mode IN ('off', 'flag', 'block'));
+  END IF;
+END $$;
+
+COMMENT ON COLUMN public.hunts.duplicate_photo_mode IS 'What a near-duplicate photo does: off | flag | block';
+
+ALTER TABLE public.photo_submissions
+  ADD COLUMN IF NOT EXISTS perceptual_hash TEXT CHECK (perceptual_hash IS NULL OR perceptual_hash ~ '^[0-9a-f]{16}$'),
+  -- Closest earlier submission within the distance threshold
+  ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES photo_submissions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS duplicate_distance SMALLINT CHECK (duplicate_distance IS NULL OR duplicate_distance BETWEEN 0 AND 64),
+  ADD COLUMN IF NOT EXISTS duplicate_scope TEXT CHECK (duplicate_scope IS NULL OR duplicate_scope IN ('team', 'cross_team'));
+
+-- Hashes compared on upload
+CREATE INDEX IF NOT EXISTS idx_photo_submissions_hashes
+  ON photo_submissions (organization_id, hunt_id, created_at DESC)
+  WHERE perceptual_hash IS NOT NULL;
+
+-- Moderation queue filter (?flagged=true)
+CREATE INDEX IF NOT EXISTS idx_photo_submissions_flagged
+  ON photo_submissions (organization_id, hunt_id, status, created_at)
+  WHERE duplicate_of IS NOT NULL;
+
+COMMENT ON COLUMN photo_submissions.perceptual_hash IS '64-bit difference hash computed on the device while preprocessing the photo';
+COMMENT ON COLUMN photo_submissions.duplicate_of IS 'Earlier submission this photo nearly matches (same team on another stop, or another team)';
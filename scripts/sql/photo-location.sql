@@ -0,0 +1,10 @@
+-- Photo Location Opt-in
+-- Client-side upload preprocessing strips GPS EXIF from team photos
+-- (see src/utils/image.ts preprocessImage). Hunts that want photo
+-- locations kept, e.g. to map where each selfie was taken, opt in here.
+
+ALTER TABLE public.hunts
+  ADD COLUMN IF NOT EXISTS keep_photo_location BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.hunts.keep_photo_location IS
+  'Keep GPS EXIF on uploaded photos (default false: stripped on the device before upload)';
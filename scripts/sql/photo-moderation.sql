@@ -0,0 +1,55 @@
+-- Photo Moderation
+-- Every photo that completes a stop is recorded as a submission that
+-- organizers review (see netlify/functions/photo-moderation.js,
+-- _lib/photoModeration.js).
+--
+-- Statuses:
+--   pending   - awaiting review; the stop counts as done in the meantime
+--   approved  - reviewed and kept
+--   rejected  - the stop is reverted to not-done and the team is notified
+--               (activity_events row of type photo_rejected targeted at the team)
+--
+-- Requires activity-events-schema.sql and announcements-schema.sql
+-- (expires_at / target_team_ids on activity_events).
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS photo_submissions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id TEXT NOT NULL,
+  hunt_id TEXT NOT NULL,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  team_slug TEXT NOT NULL,      -- teams.team_id, used to target the rejection notice
+  location_id TEXT NOT NULL,
+  location_title TEXT,
+  photo_url TEXT NOT NULL,
+  photo_key TEXT,               -- upload idempotency key
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  reason TEXT CHECK (reason IS NULL OR char_length(reason) <= 500),
+  moderated_by TEXT,
+  moderated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT unique_photo_submission UNIQUE (team_id, location_id, photo_url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_photo_submissions_queue
+  ON photo_submissions (organization_id, hunt_id, status, created_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE photo_submissions ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for service role (full access)
+CREATE POLICY "Service role has full access to photo_submissions"
+ON photo_submissions
+FOR ALL
+TO service_role
+USING (true);
+
+-- Create policy for anonymous users (no access)
+CREATE POLICY "No anonymous access to photo_submissions"
+ON photo_submissions
+FOR ALL
+TO anon
+USING (false);
+
+COMMENT ON TABLE photo_submissions IS 'Stop photos awaiting or past organizer review; rejection reverts hunt_progress.done';
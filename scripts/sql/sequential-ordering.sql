@@ -0,0 +1,144 @@
+-- Sequential Ordering Strategy
+-- Adds 'sequential' to hunt_ordering_config.ordering_strategy: stops follow
+-- hunt_configurations.default_order (like 'fixed'), but stop N+1 stays locked
+-- until the team completes stop N.
+--
+-- get_hunt_stops() gains an is_locked column. For a team (p_team_id set) in a
+-- sequential hunt, locked stops are returned with their content redacted
+-- (title, description, clue, hints, position and image are NULL) so clues never
+-- reach the client. Called without a team, nothing is locked (server/admin
+-- view), so that mode is refused for the anon and authenticated roles: only
+-- the service role (Netlify functions) may read every clue.
+--
+-- Progress writes enforce the same rule (see netlify/functions/_lib/stopOrdering.js)
+
+-- ============================================================================
+-- PART 1: ALLOW THE NEW STRATEGY
+-- ============================================================================
+
+ALTER TABLE hunt_ordering_config
+  DROP CONSTRAINT IF EXISTS hunt_ordering_config_ordering_strategy_check;
+
+ALTER TABLE hunt_ordering_config
+  ADD CONSTRAINT hunt_ordering_config_ordering_strategy_check
+  CHECK (ordering_strategy IN ('fixed', 'randomized', 'sequential'));
+
+-- ============================================================================
+-- PART 2: get_hunt_stops() WITH LOCKING
+-- ============================================================================
+
+-- Return type changes, so the function must be dropped first
+DROP FUNCTION IF EXISTS get_hunt_stops(text, text, uuid);
+
+CREATE OR REPLACE FUNCTION get_hunt_stops(
+  p_organization_id TEXT,
+  p_hunt_id TEXT,
+  p_team_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  stop_id TEXT,
+  title TEXT,
+  description TEXT,
+  clue TEXT,
+  hints JSONB,
+  position_lat DECIMAL,
+  position_lng DECIMAL,
+  step_order INTEGER,
+  is_completed BOOLEAN,
+  pre_populated_image_url TEXT,
+  is_locked BOOLEAN
+) AS $$
+DECLARE
+  ordering_strategy TEXT;
+BEGIN
+  -- Browser clients (anon key, user JWTs) must name a team
+  IF p_team_id IS NULL AND current_user IN ('anon', 'authenticated') THEN
+    RAISE EXCEPTION 'get_hunt_stops requires p_team_id' USING ERRCODE = '42501';
+  END IF;
+
+  -- Get the ordering strategy for this hunt
+  SELECT hoc.ordering_strategy INTO ordering_strategy
+  FROM hunt_ordering_config hoc
+  WHERE hoc.organization_id = p_organization_id AND hoc.hunt_id = p_hunt_id;
+
+  -- If no ordering config found, default to fixed
+  IF ordering_strategy IS NULL THEN
+    ordering_strategy := 'fixed';
+  END IF;
+
+  IF ordering_strategy = 'randomized' THEN
+    -- Use randomized order from team_stop_orders
+    RETURN QUERY
+    SELECT
+      hs.stop_id,
+      hs.title,
+      hs.description,
+      hs.clue,
+      hs.hints,
+      hs.position_lat,
+      hs.position_lng,
+      tso.step_order,
+      COALESCE(hp.done, false) as is_completed,
+      hs.pre_populated_image_url,
+      false as is_locked
+    FROM team_stop_orders tso
+    JOIN hunt_stops hs ON tso.stop_id = hs.stop_id
+    LEFT JOIN hunt_progress hp ON hp.team_id = p_team_id AND hp.location_id = hs.stop_id
+    WHERE tso.team_id = p_team_id
+    ORDER BY tso.step_order ASC;
+  ELSE
+    -- 'fixed' and 'sequential' both use default order from hunt_configurations
+    RETURN QUERY
+    WITH ordered AS (
+      SELECT
+        hs.stop_id,
+        hs.title,
+        hs.description,
+        hs.clue,
+        hs.hints,
+        hs.position_lat,
+        hs.position_lng,
+        hc.default_order,
+        COALESCE(hp.done, false) as done,
+        hs.pre_populated_image_url,
+        -- Incomplete stops that come before this one
+        COUNT(*) FILTER (WHERE NOT COALESCE(hp.done, false)) OVER (
+          ORDER BY hc.default_order
+          ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+        ) as incomplete_before
+      FROM hunt_configurations hc
+      JOIN hunt_stops hs ON hc.stop_id = hs.stop_id
+      LEFT JOIN hunt_progress hp ON hp.team_id = p_team_id AND hp.location_id = hs.stop_id
+      WHERE hc.organization_id = p_organization_id
+        AND hc.hunt_id = p_hunt_id
+        AND hc.is_active = true
+    ),
+    flagged AS (
+      SELECT
+        o.*,
+        (ordering_strategy = 'sequential'
+          AND p_team_id IS NOT NULL
+          AND NOT o.done
+          AND o.incomplete_before > 0) as locked
+      FROM ordered o
+    )
+    SELECT
+      f.stop_id,
+      CASE WHEN f.locked THEN NULL ELSE f.title END,
+      CASE WHEN f.locked THEN NULL ELSE f.description END,
+      CASE WHEN f.locked THEN NULL ELSE f.clue END,
+      CASE WHEN f.locked THEN '[]'::jsonb ELSE f.hints END,
+      CASE WHEN f.locked THEN NULL ELSE f.position_lat END,
+      CASE WHEN f.locked THEN NULL ELSE f.position_lng END,
+      f.default_order as step_order,
+      f.done as is_completed,
+      CASE WHEN f.locked THEN NULL ELSE f.pre_populated_image_url END,
+      f.locked as is_locked
+    FROM flagged f
+    ORDER BY f.default_order ASC;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION get_hunt_stops(text, text, uuid) IS
+  'Ordered hunt stops; in sequential hunts, stops after the first incomplete one are locked and redacted for the given team';
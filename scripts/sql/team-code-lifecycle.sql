@@ -0,0 +1,42 @@
+-- Team Code Lifecycle
+-- Revocation and rotation history on team codes, and an audit of which code
+-- each device joined with (see netlify/functions/_lib/teamCodes.js).
+--
+-- A code is usable while is_active, not past expires_at and under max_uses.
+-- Rotating a code revokes it and points replaced_by at the new one.
+
+ALTER TABLE public.team_codes
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS replaced_by TEXT REFERENCES team_codes(code) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.team_codes.revoked_at IS 'When the code was revoked or rotated; revoked codes stay for the audit trail';
+COMMENT ON COLUMN public.team_codes.replaced_by IS 'Code issued when this one was rotated';
+
+CREATE INDEX IF NOT EXISTS idx_team_codes_team
+  ON team_codes (team_id, created_at DESC);
+
+-- Each successful join records the code and device that used it
+ALTER TABLE public.sessions
+  ADD COLUMN IF NOT EXISTS team_code TEXT REFERENCES team_codes(code) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_team_created
+  ON sessions (team_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_team_code
+  ON sessions (team_code)
+  WHERE team_code IS NOT NULL;
+
+COMMENT ON COLUMN public.sessions.team_code IS 'Team code the device joined with';
+
+-- Count a join atomically (concurrent joins must not lose increments)
+CREATE OR REPLACE FUNCTION public.record_team_code_use(p_code TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+AS $$
+  UPDATE team_codes
+  SET usage_count = COALESCE(usage_count, 0) + 1,
+      last_used_at = NOW()
+  WHERE code = p_code
+  RETURNING usage_count;
+$$;
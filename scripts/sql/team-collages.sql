@@ -0,0 +1,42 @@
+-- Team Collages
+-- Latest server-generated collage per team (see netlify/functions/team-collage.js,
+-- _lib/teamCollage.js). Built from hunt_progress.photo_url when the team
+-- completes the hunt, or on demand.
+--
+-- Each generation is stored under a new public id, so earlier collage URLs
+-- that were shared keep working; this table only points at the latest one.
+
+CREATE TABLE IF NOT EXISTS team_collages (
+  team_id UUID PRIMARY KEY REFERENCES teams(id) ON DELETE CASCADE,
+  organization_id TEXT NOT NULL,
+  hunt_id TEXT NOT NULL,
+  team_slug TEXT NOT NULL,      -- teams.team_id
+  collage_url TEXT NOT NULL,    -- shareable delivery URL (?v= changes per generation)
+  public_id TEXT NOT NULL,      -- storage driver id of the collage file
+  layout TEXT NOT NULL,         -- '<columns>x<rows>'
+  captions BOOLEAN NOT NULL DEFAULT true,
+  photo_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_collages_hunt
+  ON team_collages (organization_id, hunt_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE team_collages ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for service role (full access)
+CREATE POLICY "Service role has full access to team_collages"
+ON team_collages
+FOR ALL
+TO service_role
+USING (true);
+
+-- Create policy for anonymous users (no access)
+CREATE POLICY "No anonymous access to team_collages"
+ON team_collages
+FOR ALL
+TO anon
+USING (false);
+
+COMMENT ON TABLE team_collages IS 'Latest generated end-of-hunt collage per team';
@@ -0,0 +1,59 @@
+-- Team Join Links
+-- Signed join links (and the QR codes on printed team cards) that stand in
+-- for typing a team code (see netlify/functions/_lib/joinLinks.js).
+-- Requires team-code-lifecycle.sql.
+--
+-- A link belongs to one team code: rotating or revoking the code retires its
+-- links. max_uses limits how many devices can join through the link
+-- (1 = single use), on top of the code's own device limit.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS public.team_join_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  team_code TEXT NOT NULL REFERENCES team_codes(code) ON DELETE CASCADE,
+  organization_id TEXT NOT NULL,
+  hunt_id TEXT NOT NULL,
+  max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_join_links_code
+  ON team_join_links (team_code);
+
+COMMENT ON TABLE public.team_join_links IS 'Signed join links; the link token carries the id, never the team code';
+COMMENT ON COLUMN public.team_join_links.max_uses IS 'Devices that may join through the link; NULL = unlimited, 1 = single use';
+
+-- Enable Row Level Security (RLS); functions use the service role
+ALTER TABLE team_join_links ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to team_join_links"
+ON team_join_links
+FOR ALL
+TO service_role
+USING (true);
+
+-- Which link (if any) each device joined through
+ALTER TABLE public.sessions
+  ADD COLUMN IF NOT EXISTS join_link_id UUID REFERENCES team_join_links(id) ON DELETE SET NULL;
+
+-- Use a link atomically: concurrent scans of a single-use link must not both
+-- join. Returns the link's team code, or NULL when the link is revoked,
+-- expired or used up.
+CREATE OR REPLACE FUNCTION public.consume_team_join_link(p_id UUID)
+RETURNS TEXT
+LANGUAGE sql
+AS $$
+  UPDATE team_join_links
+  SET usage_count = usage_count + 1,
+      last_used_at = NOW()
+  WHERE id = p_id
+    AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW())
+    AND (max_uses IS NULL OR usage_count < max_uses)
+  RETURNING team_code;
+$$;
@@ -0,0 +1,232 @@
+#!/usr/bin/env tsx
+
+/**
+ * Team Codes CLI
+ *
+ * Generate, rotate and revoke the codes teams join a hunt with, issue signed
+ * join links, print QR join cards and audit which devices joined with which
+ * code. Same operations as the admin console's Teams tab. Requires
+ * scripts/sql/team-code-lifecycle.sql and scripts/sql/team-join-links.sql.
+ *
+ * Usage:
+ *   npx tsx scripts/team-codes.ts generate --org <id> --hunt <id> (--count <n> | --names "A,B,C") [--expires <ISO date>] [--max-uses <n>] [--prefix <text>] [--length <n>]
+ *   npx tsx scripts/team-codes.ts list --org <id> --hunt <id>
+ *   npx tsx scripts/team-codes.ts rotate --org <id> --hunt <id> --team <teamId>
+ *   npx tsx scripts/team-codes.ts revoke --org <id> --hunt <id> --team <teamId> [--code <code>]
+ *   npx tsx scripts/team-codes.ts audit --org <id> --hunt <id> --team <teamId>
+ *   npx tsx scripts/team-codes.ts link --org <id> --hunt <id> --team <teamId> --url <app url> [--single-use | --max-uses <n>] [--expires <ISO date>]
+ *   npx tsx scripts/team-codes.ts cards --org <id> --hunt <id> [--team <teamId>] [--url <app url>] [--link-max-uses <n>] [--out <file.html>]
+ *
+ * The app URL defaults to URL from the environment. Without one, cards show
+ * QR codes of the plain team code instead of join links.
+ *
+ * Example:
+ *   npx tsx scripts/team-codes.ts generate --org bhhs --hunt fall-2025 --count 12 --expires 2025-10-02T06:00:00Z --max-uses 4
+ */
+
+import { writeFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { createClient, type SupabaseClient } from '@supabase/supabase-js';
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+const requireFn = createRequire(import.meta.url);
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const {
+  createTeamsWithCodes,
+  listHuntTeams,
+  rotateTeamCode,
+  revokeTeamCodes,
+  listTeamSessions
+} = requireFn('../netlify/functions/_lib/teamCodes.js');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { renderHuntTeamCards } = requireFn('../netlify/functions/_lib/teamCodeCards.js');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { createJoinLink } = requireFn('../netlify/functions/_lib/joinLinks.js');
+
+const USAGE = `Usage:
+  team-codes generate --org <id> --hunt <id> (--count <n> | --names "A,B,C") [--expires <ISO date>] [--max-uses <n>] [--prefix <text>] [--length <n>]
+  team-codes list --org <id> --hunt <id>
+  team-codes rotate --org <id> --hunt <id> --team <teamId>
+  team-codes revoke --org <id> --hunt <id> --team <teamId> [--code <code>]
+  team-codes audit --org <id> --hunt <id> --team <teamId>
+  team-codes link --org <id> --hunt <id> --team <teamId> --url <app url> [--single-use | --max-uses <n>] [--expires <ISO date>]
+  team-codes cards --org <id> --hunt <id> [--team <teamId>] [--url <app url>] [--link-max-uses <n>] [--out <file.html>]`;
+
+interface TeamCode {
+  code: string;
+  status: string;
+  expiresAt: string | null;
+  maxUses: number | null;
+  usageCount: number;
+}
+
+/**
+ * Parse --flag value pairs (flags without a value are true)
+ */
+function parseFlags(argv: string[]): Record<string, string | true> {
+  const flags: Record<string, string | true> = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(USAGE);
+    }
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      flags[arg.slice(2)] = next;
+      i++;
+    } else {
+      flags[arg.slice(2)] = true;
+    }
+  }
+
+  return flags;
+}
+
+function stringFlag(flags: Record<string, string | true>, name: string): string | undefined {
+  const value = flags[name];
+  return typeof value === 'string' ? value : undefined;
+}
+
+function numberFlag(flags: Record<string, string | true>, name: string): number | undefined {
+  const value = stringFlag(flags, name);
+  return value === undefined ? undefined : Number(value);
+}
+
+function getSupabase(): SupabaseClient {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    console.error('❌ Missing required environment variables:');
+    console.error('   SUPABASE_URL');
+    console.error('   SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  return createClient(url, key);
+}
+
+function describeCode(code: TeamCode): string {
+  const uses = `${code.usageCount}${code.maxUses != null ? `/${code.maxUses}` : ''} devices`;
+  const expires = code.expiresAt ? `, expires ${code.expiresAt}` : '';
+  return `${code.code} (${code.status}, ${uses}${expires})`;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const flags = parseFlags(rest);
+  const orgId = stringFlag(flags, 'org');
+  const huntId = stringFlag(flags, 'hunt');
+  const teamId = stringFlag(flags, 'team');
+  const appUrl = stringFlag(flags, 'url') || process.env.URL || null;
+  if (!orgId || !huntId) throw new Error(USAGE);
+
+  const supabase = getSupabase();
+
+  if (command === 'generate') {
+    const names = stringFlag(flags, 'names');
+    const teams = await createTeamsWithCodes(supabase, {
+      orgId,
+      huntId,
+      input: {
+        ...(names ? { names: names.split(',').map(name => name.trim()) } : { count: numberFlag(flags, 'count') }),
+        expiresAt: stringFlag(flags, 'expires') || null,
+        maxUses: numberFlag(flags, 'max-uses') ?? null,
+        length: numberFlag(flags, 'length'),
+        prefix: stringFlag(flags, 'prefix')
+      }
+    });
+    console.log(`✅ Created ${teams.length} teams in ${orgId}/${huntId}`);
+    for (const team of teams) {
+      console.log(`   ${team.teamId.padEnd(24)} ${describeCode(team.code)}  ${team.teamName}`);
+    }
+    console.log(`\nPrint join cards with: npx tsx scripts/team-codes.ts cards --org ${orgId} --hunt ${huntId}`);
+    return;
+  }
+
+  if (command === 'list') {
+    const teams = await listHuntTeams(supabase, { orgId, huntId });
+    if (teams.length === 0) console.log(`No teams in ${orgId}/${huntId}`);
+    for (const team of teams) {
+      console.log(`👥 ${team.teamName} (${team.teamId})`);
+      if (team.codes.length === 0) console.log('   No codes');
+      for (const code of team.codes) console.log(`   ${describeCode(code)}`);
+    }
+    return;
+  }
+
+  if (command === 'cards') {
+    const linkMaxUses = numberFlag(flags, 'link-max-uses');
+    const { html, count } = await renderHuntTeamCards(supabase, {
+      orgId,
+      huntId,
+      appUrl,
+      teamIds: teamId ? [teamId] : null,
+      linkOptions: linkMaxUses ? { maxUses: linkMaxUses } : {}
+    });
+    const out = stringFlag(flags, 'out') || `${orgId}-${huntId}-team-cards.html`;
+    await writeFile(out, html);
+    console.log(`✅ Wrote ${count} team cards to ${out} (open it in a browser and print)`);
+    if (!appUrl) console.log('   No --url (or URL): QR codes contain the plain team codes, not join links');
+    return;
+  }
+
+  if (!teamId) throw new Error(USAGE);
+
+  if (command === 'rotate') {
+    const rotation = await rotateTeamCode(supabase, { orgId, huntId, teamId });
+    if (!rotation) throw new Error(`No team ${teamId} in ${orgId}/${huntId}`);
+    console.log(`✅ ${rotation.teamName} now joins with ${describeCode(rotation.code)}`);
+    console.log(`   Revoked: ${rotation.revoked.join(', ') || 'none'}`);
+    return;
+  }
+
+  if (command === 'revoke') {
+    const revocation = await revokeTeamCodes(supabase, { orgId, huntId, teamId, code: stringFlag(flags, 'code') || null });
+    if (!revocation) throw new Error(`No team ${teamId} in ${orgId}/${huntId}`);
+    console.log(`✅ Revoked ${revocation.revoked.join(', ') || 'no active codes'} of ${revocation.teamId}`);
+    console.log('   Devices that already joined keep access until their lock token expires');
+    return;
+  }
+
+  if (command === 'link') {
+    const link = await createJoinLink(supabase, {
+      orgId,
+      huntId,
+      teamId,
+      appUrl,
+      input: {
+        singleUse: flags['single-use'] === true,
+        maxUses: numberFlag(flags, 'max-uses') ?? null,
+        expiresAt: stringFlag(flags, 'expires') || null
+      }
+    });
+    if (!link) throw new Error(`No team ${teamId} in ${orgId}/${huntId}`);
+    const uses = link.maxUses === 1 ? 'single use' : link.maxUses ? `up to ${link.maxUses} devices` : 'any number of devices';
+    console.log(`✅ Join link for ${link.teamName} (${uses}, valid until ${link.expiresAt}):`);
+    console.log(link.url);
+    return;
+  }
+
+  if (command === 'audit') {
+    const sessions = await listTeamSessions(supabase, { orgId, huntId, teamId });
+    if (!sessions) throw new Error(`No team ${teamId} in ${orgId}/${huntId}`);
+    if (sessions.length === 0) console.log(`No device has joined ${teamId} yet`);
+    for (const session of sessions) {
+      const status = session.isActive ? '' : ' [code revoked]';
+      const via = session.joinLinkId ? ' (link)' : '';
+      console.log(`   ${session.joinedAt}  ${session.code || '-'}${via}  ${session.ipAddress || '-'}  ${session.userAgent || session.deviceHint || '-'}${status}`);
+    }
+    return;
+  }
+
+  throw new Error(USAGE);
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -5,6 +5,7 @@ import { TabContainer } from './features/navigation/TabContainer'
 import { useNavigationStore } from './features/navigation/navigationStore'
 import { useToastActions } from './features/notifications/ToastProvider.tsx'
 import { useAppStore } from './store/appStore'
+import { useAnnouncementToasts } from './hooks/useAnnouncementToasts'
 import { getPathParams, isValidParamSet, normalizeParams } from './utils/url'
 import { TeamLockWrapper } from './features/teamLock/TeamLockWrapper'
 import * as Sentry from '@sentry/react'
@@ -36,37 +37,36 @@ export default function App() {
     huntId,
     isLoading: settingsLoading,
     setLocationName,
-    setTeamName,
     setEventName,
     setOrganizationId,
     setHuntId,
-    lockedByQuery,
-    setLockedByQuery
+    teamId
   } = useAppStore()
 
+  // Organizer announcements appear as toasts once the team is known
+  useAnnouncementToasts(organizationId, huntId, teamId)
+
   const [isMenuOpen, setIsMenuOpen] = useState(false)
   const [showTips, setShowTips] = useState(false)
 
   // Initialize session and load saved settings on app startup
   useEffect(() => {
-    // Phase 2: initialize from path params
+    // Phase 2: initialize location and event from path params
+    // The team is never taken from the URL: teams join with their code or a
+    // signed join link (?join=, handled by TeamLockWrapper)
     const applyFromPath = () => {
       try {
         const params = getPathParams(window.location.pathname)
         if (isValidParamSet(params)) {
-          const { location, event, team } = normalizeParams(params)
+          const { location, event } = normalizeParams(params)
           setLocationName(location)
           setEventName(event)
-          setTeamName(team)
-          setLockedByQuery(true)
-          console.log('[URL] Locked by path params:', { location, event, team })
+          console.log('[URL] Location and event from path params:', { location, event })
         } else {
-          setLockedByQuery(false)
-          console.log('[URL] No valid path params detected; app remains unlocked')
+          console.log('[URL] No valid path params detected')
         }
       } catch (e) {
-        setLockedByQuery(false)
-        console.warn('[URL] Failed to parse path params; defaulting to unlocked mode:', e)
+        console.warn('[URL] Failed to parse path params:', e)
       }
     }
 
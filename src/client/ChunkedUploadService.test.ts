@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { ChunkedUploadService, type UploadSession } from './ChunkedUploadService'
+import { apiClient } from '../services/apiClient'
+import { LoginService } from '../services/LoginService'
+
+vi.mock('../services/apiClient', () => ({
+  apiClient: {
+    post: vi.fn(),
+    get: vi.fn(),
+    requestBinary: vi.fn()
+  }
+}))
+
+vi.mock('../services/LoginService', () => ({
+  LoginService: { getCachedConfig: vi.fn(() => null) }
+}))
+
+const post = vi.mocked(apiClient.post)
+const requestBinary = vi.mocked(apiClient.requestBinary)
+
+const params = {
+  file: new Blob([new Uint8Array(10)], { type: 'video/mp4' }),
+  fileName: 'clip.mp4',
+  idempotencyKey: 'abcdef0123456789',
+  orgId: 'bhhs',
+  huntId: 'fall-2025',
+  teamId: 'berrypicker',
+  locationId: 'covered-bridge',
+  locationTitle: 'Covered Bridge',
+  sessionId: 'session-1',
+  durationSeconds: 8
+}
+
+function session(overrides: Partial<UploadSession> = {}): UploadSession {
+  return {
+    uploadId: 'upload-1',
+    status: 'pending',
+    mediaType: 'video',
+    chunkSize: 4,
+    totalBytes: 10,
+    totalChunks: 3,
+    receivedChunks: [],
+    missingChunks: [0, 1, 2],
+    expiresAt: '2025-10-02T00:00:00Z',
+    ...overrides
+  }
+}
+
+const completed = {
+  photoUrl: 'https://res.cloudinary.com/demo/video/upload/v1/covered-bridge_session-1_abcdef0123456789.mp4',
+  publicId: 'covered-bridge_session-1_abcdef0123456789',
+  locationSlug: 'covered-bridge',
+  title: 'Covered Bridge',
+  uploadedAt: '2025-10-01T12:00:00Z',
+  progressUpdated: true
+}
+
+describe('ChunkedUploadService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  it('sends every chunk and completes a new upload', async () => {
+    post.mockResolvedValueOnce(session()).mockResolvedValueOnce(completed)
+    const progress: number[] = []
+
+    const result = await ChunkedUploadService.upload(params, fraction => progress.push(fraction))
+
+    expect(post).toHaveBeenNthCalledWith(1, '/uploads/init', expect.objectContaining({
+      idempotencyKey: 'abcdef0123456789',
+      contentType: 'video/mp4',
+      totalBytes: 10,
+      durationSeconds: 8
+    }), expect.anything())
+    expect(requestBinary.mock.calls.map(call => [call[0], (call[1] as Blob).size])).toEqual([
+      ['/uploads/upload-1/chunks/0', 4],
+      ['/uploads/upload-1/chunks/1', 4],
+      ['/uploads/upload-1/chunks/2', 2]
+    ])
+    expect(post).toHaveBeenLastCalledWith('/uploads/upload-1/complete', {}, expect.anything())
+    expect(progress[progress.length - 1]).toBe(1)
+    expect(result.photoUrl).toBe(completed.photoUrl)
+  })
+
+  it('resumes with only the chunks the server is missing', async () => {
+    post.mockResolvedValueOnce(session({ receivedChunks: [0, 2], missingChunks: [1] })).mockResolvedValueOnce(completed)
+
+    await ChunkedUploadService.upload(params)
+
+    expect(requestBinary).toHaveBeenCalledTimes(1)
+    expect(requestBinary.mock.calls[0][0]).toBe('/uploads/upload-1/chunks/1')
+  })
+
+  it('returns the stored result when the upload already completed', async () => {
+    post.mockResolvedValueOnce(session({ status: 'completed', missingChunks: [], result: completed }))
+
+    const result = await ChunkedUploadService.upload(params)
+
+    expect(result).toMatchObject({ ...completed, duplicate: true })
+    expect(requestBinary).not.toHaveBeenCalled()
+    expect(post).toHaveBeenCalledTimes(1)
+  })
+
+  it('re-sends chunks the server reports missing at completion', async () => {
+    const missing = Object.assign(new Error('Upload is missing chunks'), {
+      status: 409,
+      body: { code: 'CHUNKS_MISSING', missingChunks: [2] }
+    })
+    post
+      .mockResolvedValueOnce(session({ receivedChunks: [0, 1, 2], missingChunks: [] }))
+      .mockRejectedValueOnce(missing)
+      .mockResolvedValueOnce(completed)
+
+    const result = await ChunkedUploadService.upload(params)
+
+    expect(requestBinary).toHaveBeenCalledTimes(1)
+    expect(requestBinary.mock.calls[0][0]).toBe('/uploads/upload-1/chunks/2')
+    expect(result.photoUrl).toBe(completed.photoUrl)
+  })
+
+  it('chunks every video and photos over the threshold', () => {
+    vi.mocked(LoginService.getCachedConfig).mockReturnValue({ CHUNK_UPLOAD_THRESHOLD: 5 } as any)
+
+    expect(ChunkedUploadService.shouldUseChunkedUpload(new Blob(['x'], { type: 'video/webm' }))).toBe(true)
+    expect(ChunkedUploadService.shouldUseChunkedUpload(new Blob(['1234'], { type: 'image/jpeg' }))).toBe(false)
+    expect(ChunkedUploadService.shouldUseChunkedUpload(new Blob(['123456'], { type: 'image/jpeg' }))).toBe(true)
+  })
+})
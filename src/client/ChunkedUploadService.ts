@@ -0,0 +1,168 @@
+/**
+ * Exports: ChunkedUploadService — resumable chunked uploads for videos and large photos
+ * Runtime: client
+ * Used by: /src/hooks/usePhotoUpload.ts, /src/client/PhotoUploadService.ts (queued replays)
+ *
+ * @ai-purpose: init → put missing chunks → complete against /api/uploads. The session is keyed by
+ *   the upload's idempotency key, so calling upload() again after an interruption only sends the
+ *   chunks the server doesn't have yet.
+ * @ai-related-files: /netlify/functions/chunked-upload.js, /netlify/functions/_lib/chunkedUploads.js
+ */
+import { apiClient, type ApiError } from '../services/apiClient'
+import { LoginService } from '../services/LoginService'
+import { isVideoFile } from '../utils/media'
+import type { UploadResponse } from '../types/schemas'
+
+export interface ChunkedUploadParams {
+  file: Blob
+  fileName?: string
+  idempotencyKey: string
+  orgId: string
+  huntId: string
+  teamId: string
+  locationId: string
+  locationTitle: string
+  sessionId: string
+  teamName?: string
+  locationName?: string
+  eventName?: string
+  notes?: string
+  revealedHints?: number
+  /** Videos: duration read on the device, checked against MAX_VIDEO_SECONDS */
+  durationSeconds?: number | null
+  /** Photos: dHash for duplicate detection */
+  perceptualHash?: string | null
+}
+
+export interface UploadSession {
+  uploadId: string
+  status: 'pending' | 'completing' | 'completed' | 'failed'
+  mediaType: 'photo' | 'video'
+  chunkSize: number
+  totalBytes: number
+  totalChunks: number
+  receivedChunks: number[]
+  missingChunks: number[]
+  expiresAt: string
+  result?: ChunkedUploadResponse
+}
+
+export type ChunkedUploadResponse = UploadResponse & {
+  progressUpdated?: boolean
+  stopProgress?: any
+  duplicate?: boolean
+  mediaType?: 'photo' | 'video'
+  durationSeconds?: number | null
+}
+
+const COMPLETE_ATTEMPTS = 3
+const COMPLETE_RETRY_MS = 5000
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+export class ChunkedUploadService {
+
+  /**
+   * Whether a file goes through chunked upload: every video, and photos
+   * over CHUNK_UPLOAD_THRESHOLD (e.g. with client resizing turned off)
+   */
+  static shouldUseChunkedUpload(file: Blob): boolean {
+    if (isVideoFile(file)) return true
+    const threshold = Number(LoginService.getCachedConfig()?.CHUNK_UPLOAD_THRESHOLD || 4194304)
+    return file.size > threshold
+  }
+
+  /**
+   * Start an upload session, or resume the one with the same idempotency key
+   */
+  static async init(params: ChunkedUploadParams): Promise<UploadSession> {
+    const { file, ...fields } = params
+    return apiClient.post<UploadSession>('/uploads/init', {
+      ...fields,
+      fileName: params.fileName,
+      contentType: file.type,
+      totalBytes: file.size
+    }, { timeout: 30000, retryAttempts: 2 })
+  }
+
+  static async putChunk(uploadId: string, index: number, chunk: Blob): Promise<void> {
+    await apiClient.requestBinary(`/uploads/${encodeURIComponent(uploadId)}/chunks/${index}`, chunk, {
+      timeout: 60000,
+      retryAttempts: 3
+    })
+  }
+
+  static async getStatus(uploadId: string): Promise<UploadSession> {
+    return apiClient.get<UploadSession>(`/uploads/${encodeURIComponent(uploadId)}`)
+  }
+
+  static async complete(uploadId: string): Promise<ChunkedUploadResponse> {
+    return apiClient.post<ChunkedUploadResponse>(`/uploads/${encodeURIComponent(uploadId)}/complete`, {}, {
+      // Assembling and forwarding a video to Cloudinary takes a while
+      timeout: 120000,
+      retryAttempts: 1
+    })
+  }
+
+  private static async sendChunks(
+    file: Blob,
+    session: UploadSession,
+    indexes: number[],
+    onProgress?: (fraction: number) => void
+  ): Promise<void> {
+    let received = session.totalChunks - indexes.length
+    onProgress?.(received / session.totalChunks)
+
+    for (const index of indexes) {
+      const start = index * session.chunkSize
+      const chunk = file.slice(start, Math.min(start + session.chunkSize, file.size))
+      await this.putChunk(session.uploadId, index, chunk)
+      received++
+      onProgress?.(received / session.totalChunks)
+    }
+  }
+
+  /**
+   * Upload a file in chunks and complete the stop
+   * @param params Upload fields (same as the complete endpoint) plus the file
+   * @param onProgress Called with 0..1 as chunks are stored
+   * @returns Promise resolving to the complete response (duplicate: true when it already went through)
+   */
+  static async upload(
+    params: ChunkedUploadParams,
+    onProgress?: (fraction: number) => void
+  ): Promise<ChunkedUploadResponse> {
+    const session = await this.init(params)
+    if (session.status === 'completed' && session.result) {
+      onProgress?.(1)
+      return { ...session.result, duplicate: true }
+    }
+
+    if (session.receivedChunks.length > 0) {
+      console.log(`⏯️ Resuming upload ${session.uploadId}: ${session.receivedChunks.length}/${session.totalChunks} chunks already on the server`)
+    }
+    await this.sendChunks(params.file, session, session.missingChunks, onProgress)
+
+    for (let attempt = 0; attempt < COMPLETE_ATTEMPTS; attempt++) {
+      try {
+        return await this.complete(session.uploadId)
+      } catch (error) {
+        const apiError = error as ApiError
+        const code = apiError.body?.code
+
+        if (apiError.status === 409 && code === 'CHUNKS_MISSING' && Array.isArray(apiError.body?.missingChunks)) {
+          await this.sendChunks(params.file, session, apiError.body.missingChunks, onProgress)
+          continue
+        }
+        if (apiError.status === 409 && code === 'UPLOAD_IN_PROGRESS') {
+          await sleep(COMPLETE_RETRY_MS)
+          continue
+        }
+        throw error
+      }
+    }
+
+    // Another request is still finishing it; a later replay gets the stored result
+    throw new Error('Upload timeout: the server is still finishing this upload')
+  }
+}
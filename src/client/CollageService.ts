@@ -5,6 +5,21 @@ import {
   type CollageResponse
 } from '../types/schemas'
 
+// Collage generated on the server from a team's completed stops
+export interface TeamCollage {
+  orgId: string;
+  huntId: string;
+  teamId: string;
+  collageUrl: string;
+  layout: string;
+  captions: boolean;
+  photoCount: number;
+  createdAt: string;
+}
+
+// 'auto' or '<columns>x<rows>' (up to 5x5)
+export type CollageLayout = 'auto' | `${number}x${number}`;
+
 // Legacy interface for backward compatibility
 export interface CollageUpload {
   publicId: string;
@@ -20,6 +35,9 @@ export interface UploadMetadata {
   sessionId: string;
 }
 
+const teamCollagePath = (orgId: string, teamId: string, huntId: string) =>
+  `/team-collage/${encodeURIComponent(orgId)}/${encodeURIComponent(teamId)}/${encodeURIComponent(huntId)}`
+
 export class CollageService {
   /**
    * Creates a collage from uploaded photos and their titles
@@ -136,6 +154,43 @@ export class CollageService {
     }
   }
 
+
+  /**
+   * Gets the collage the server built from the team's completed stop photos
+   * @returns Promise resolving to the collage, or null if none was generated yet
+   */
+  static async getTeamCollage(orgId: string, teamId: string, huntId: string): Promise<TeamCollage | null> {
+    try {
+      const response = await apiClient.request<{ collage: TeamCollage }>(teamCollagePath(orgId, teamId, huntId), {
+        method: 'GET'
+      });
+      return response.collage;
+    } catch (error) {
+      if ((error as { status?: number }).status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Builds a new collage on the server from the photos already uploaded
+   * (no files are re-sent); replaces the team's previous collage.
+   * Needs the team lock, sent by apiClient.
+   * @param options Grid layout and whether to caption photos with stop titles
+   */
+  static async generateTeamCollage(
+    orgId: string,
+    teamId: string,
+    huntId: string,
+    options: { layout?: CollageLayout; captions?: boolean } = {}
+  ): Promise<TeamCollage> {
+    const response = await apiClient.request<{ collage: TeamCollage }>(teamCollagePath(orgId, teamId, huntId), {
+      method: 'POST',
+      body: options as any
+    }, { timeout: 60000 });
+    return response.collage;
+  }
   
   /**
    * Resizes an image file before upload to reduce file size
@@ -8,6 +8,9 @@ import {
   type UploadResponse,
   type PhotoRecord
 } from '../types/schemas'
+import type { QueuedUpload } from './UploadQueue'
+import { ChunkedUploadService } from './ChunkedUploadService'
+import { preprocessImage, type ImagePreprocessResult } from '../utils/image'
 
 // Re-export types for backward compatibility
 export type PhotoUploadResponse = UploadResponse
@@ -17,12 +20,13 @@ export class PhotoUploadService {
 
   /**
    * Generate an idempotency key for deduplication
+   * Also stored with queued offline uploads so a replay reuses the same key.
    * @param file The image file
    * @param sessionId The session ID
    * @param locationTitle The location title
    * @returns Promise resolving to idempotency key
    */
-  private static async generateIdempotencyKey(
+  static async generateIdempotencyKey(
     file: File,
     sessionId: string,
     locationTitle: string
@@ -51,6 +55,28 @@ export class PhotoUploadService {
     }
   }
 
+  /**
+   * Downscale, orient and re-encode a photo before upload
+   * Settings come from the login-initialize config (UPLOAD_MAX_DIMENSION,
+   * UPLOAD_IMAGE_FORMAT, UPLOAD_IMAGE_QUALITY).
+   * @param file The photo as taken
+   * @param keepLocation Keep GPS EXIF (hunts that opt in to photo locations)
+   * @returns Promise resolving to the processed file and bytes saved
+   */
+  static async preprocessPhoto(file: File, keepLocation = false): Promise<ImagePreprocessResult> {
+    const cfg = LoginService.getCachedConfig()
+    const result = await preprocessImage(file, {
+      maxDimension: cfg?.UPLOAD_MAX_DIMENSION || 1600,
+      format: cfg?.UPLOAD_IMAGE_FORMAT === 'jpeg' ? 'jpeg' : 'webp',
+      quality: cfg?.UPLOAD_IMAGE_QUALITY || 0.82,
+      keepLocation
+    })
+
+    const savedKb = (result.bytesSaved / 1024).toFixed(0)
+    console.log(`📏 Preprocessed ${file.name}: ${result.originalBytes} → ${result.processedBytes} bytes (saved ${savedKb} KB${result.gpsStripped ? ', GPS removed' : ''})`)
+    return result
+  }
+
   /**
    * Upload a photo using the complete endpoint (uploads and updates progress atomically)
    * This is the new preferred method that handles both photo upload and progress update
@@ -66,6 +92,8 @@ export class PhotoUploadService {
    * @param eventName The event name for tagging (optional)
    * @param notes Optional notes about the stop
    * @param revealedHints Number of hints revealed (optional)
+   * @param idempotencyKey Precomputed key, e.g. from a queued upload (optional)
+   * @param perceptualHash dHash from preprocessing, for duplicate detection (optional)
    * @returns Promise resolving to photo upload response with progress update status
    */
   static async uploadPhotoComplete(
@@ -80,8 +108,10 @@ export class PhotoUploadService {
     locationName?: string,
     eventName?: string,
     notes?: string,
-    revealedHints?: number
-  ): Promise<PhotoUploadResponse & { progressUpdated?: boolean; stopProgress?: any }> {
+    revealedHints?: number,
+    idempotencyKey?: string,
+    perceptualHash?: string | null
+  ): Promise<PhotoUploadResponse & { progressUpdated?: boolean; stopProgress?: any; duplicate?: boolean }> {
     console.log('📸 PhotoUploadService.uploadPhotoComplete() called - NEW CONSOLIDATED ENDPOINT')
 
     // Validate inputs
@@ -97,9 +127,11 @@ export class PhotoUploadService {
       throw new Error('Required fields missing: locationTitle, sessionId, locationId, teamId')
     }
 
-    // Generate idempotency key
-    const idempotencyKey = await this.generateIdempotencyKey(file, sessionId, locationTitle)
-    console.log('🔑 Generated idempotency key:', idempotencyKey)
+    // Generate idempotency key (queued uploads bring their own)
+    if (!idempotencyKey) {
+      idempotencyKey = await this.generateIdempotencyKey(file, sessionId, locationTitle)
+      console.log('🔑 Generated idempotency key:', idempotencyKey)
+    }
 
     // Create FormData
     const formData = new FormData()
@@ -116,6 +148,7 @@ export class PhotoUploadService {
     if (eventName) formData.append('eventName', eventName)
     if (notes) formData.append('notes', notes)
     if (revealedHints !== undefined) formData.append('revealedHints', String(revealedHints))
+    if (perceptualHash) formData.append('perceptualHash', perceptualHash)
 
     console.log('📦 FormData created for complete upload (photo + progress)')
 
@@ -140,6 +173,48 @@ export class PhotoUploadService {
     }
   }
 
+  /**
+   * Send an upload from the offline queue with its original idempotency key
+   * Videos and large photos go through the chunked endpoint, which resumes
+   * from the chunks the server already has.
+   * @param entry The queued upload
+   * @returns Promise resolving to the complete endpoint response
+   */
+  static async replayQueuedUpload(entry: QueuedUpload) {
+    const file = new File([entry.file], entry.fileName, { type: entry.file.type || 'image/jpeg' })
+    const { metadata } = entry
+
+    if (ChunkedUploadService.shouldUseChunkedUpload(file)) {
+      return ChunkedUploadService.upload({
+        file,
+        fileName: entry.fileName,
+        idempotencyKey: entry.idempotencyKey,
+        orgId: entry.orgId,
+        huntId: entry.huntId,
+        teamId: entry.teamId,
+        locationId: entry.stopId,
+        ...metadata
+      })
+    }
+
+    return this.uploadPhotoComplete(
+      file,
+      metadata.locationTitle,
+      metadata.sessionId,
+      entry.stopId,
+      entry.teamId,
+      entry.orgId,
+      entry.huntId,
+      metadata.teamName,
+      metadata.locationName,
+      metadata.eventName,
+      metadata.notes,
+      metadata.revealedHints,
+      entry.idempotencyKey,
+      metadata.perceptualHash
+    )
+  }
+
   /**
    * Upload a photo using the orchestrated endpoint (with saga/compensation)
    * @deprecated Use uploadPhotoComplete instead for atomic photo upload + progress update
@@ -620,41 +695,8 @@ export class PhotoUploadService {
     maxWidth = 1600, 
     quality = 0.8
   ): Promise<File> {
-    return new Promise((resolve) => {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d')!;
-      const img = new Image();
-      
-      img.onload = () => {
-        // Calculate new dimensions
-        const ratio = Math.min(maxWidth / img.width, maxWidth / img.height);
-        if (ratio >= 1) {
-          // Image is already small enough
-          resolve(file);
-          return;
-        }
-        
-        canvas.width = img.width * ratio;
-        canvas.height = img.height * ratio;
-        
-        // Draw and compress
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        
-        canvas.toBlob((blob) => {
-          if (blob) {
-            const resizedFile = new File([blob], file.name, {
-              type: 'image/jpeg',
-              lastModified: Date.now()
-            });
-            resolve(resizedFile);
-          } else {
-            resolve(file);
-          }
-        }, 'image/jpeg', quality);
-      };
-      
-      img.src = URL.createObjectURL(file);
-    });
+    const result = await preprocessImage(file, { maxDimension: maxWidth, format: 'jpeg', quality });
+    return result.file;
   }
   
   /**
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { UploadQueue, isRetryableUploadError, type QueuedUpload } from './UploadQueue'
+
+const scope = { orgId: 'bhhs', huntId: 'fall-2025', teamId: 'berrypicker' }
+
+function entry(idempotencyKey: string, stopId: string) {
+  return {
+    ...scope,
+    idempotencyKey,
+    stopId,
+    file: new Blob(['photo'], { type: 'image/jpeg' }),
+    fileName: `${stopId}.jpg`,
+    metadata: { locationTitle: stopId, sessionId: 'session-1' }
+  }
+}
+
+function httpError(status: number) {
+  return Object.assign(new Error(`HTTP ${status}`), { status })
+}
+
+describe('UploadQueue', () => {
+  let queue: UploadQueue
+
+  beforeEach(() => {
+    // jsdom has no IndexedDB, so this exercises the in-memory store
+    queue = new UploadQueue()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.useFakeTimers({ toFake: ['Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  async function enqueueInOrder(...entries: ReturnType<typeof entry>[]) {
+    for (const [i, e] of entries.entries()) {
+      vi.setSystemTime(new Date(Date.UTC(2025, 9, 1, 12, 0, i)))
+      await queue.enqueue(e)
+    }
+  }
+
+  it('lists entries for the team oldest first', async () => {
+    await enqueueInOrder(entry('bbbb', 'stop-2'), entry('aaaa', 'stop-1'))
+    await queue.enqueue({ ...entry('cccc', 'stop-3'), teamId: 'other-team' })
+
+    const listed = await queue.list(scope)
+    expect(listed.map(e => e.stopId)).toEqual(['stop-2', 'stop-1'])
+    expect(listed[0].attempts).toBe(0)
+  })
+
+  it('replays in capture order and removes synced entries', async () => {
+    await enqueueInOrder(entry('aaaa', 'stop-1'), entry('bbbb', 'stop-2'))
+    const sent: string[] = []
+
+    const result = await queue.replay(scope, async (e: QueuedUpload) => { sent.push(e.idempotencyKey) })
+
+    expect(sent).toEqual(['aaaa', 'bbbb'])
+    expect(result.synced).toHaveLength(2)
+    expect(result.remaining).toBe(0)
+    expect(await queue.list(scope)).toEqual([])
+  })
+
+  it('stops at the first retryable failure and keeps the rest queued', async () => {
+    await enqueueInOrder(entry('aaaa', 'stop-1'), entry('bbbb', 'stop-2'))
+    const send = vi.fn().mockRejectedValue(httpError(503))
+
+    const result = await queue.replay(scope, send)
+
+    expect(send).toHaveBeenCalledTimes(1)
+    expect(result.remaining).toBe(2)
+    const listed = await queue.list(scope)
+    expect(listed.map(e => e.attempts)).toEqual([1, 0])
+    expect(listed[0].lastError).toBe('HTTP 503')
+  })
+
+  it('drops uploads the server rejects and carries on', async () => {
+    await enqueueInOrder(entry('aaaa', 'stop-1'), entry('bbbb', 'stop-2'))
+    const send = vi.fn()
+      .mockRejectedValueOnce(httpError(403))
+      .mockResolvedValueOnce({ success: true })
+
+    const result = await queue.replay(scope, send)
+
+    expect(result.rejected.map(r => r.entry.stopId)).toEqual(['stop-1'])
+    expect(result.synced.map(e => e.stopId)).toEqual(['stop-2'])
+    expect(await queue.list(scope)).toEqual([])
+  })
+
+  it('notifies subscribers when the queue changes', async () => {
+    const listener = vi.fn()
+    queue.subscribe(listener)
+
+    await queue.enqueue(entry('aaaa', 'stop-1'))
+    await queue.remove('aaaa')
+
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('isRetryableUploadError', () => {
+  it('retries network failures, timeouts and server errors', () => {
+    expect(isRetryableUploadError(new TypeError('Failed to fetch'))).toBe(true)
+    expect(isRetryableUploadError(new Error('Request timeout after 30000ms'))).toBe(true)
+    expect(isRetryableUploadError(httpError(500))).toBe(true)
+    expect(isRetryableUploadError(httpError(429))).toBe(true)
+  })
+
+  it('does not retry client errors', () => {
+    expect(isRetryableUploadError(httpError(400))).toBe(false)
+    expect(isRetryableUploadError(httpError(403))).toBe(false)
+  })
+})
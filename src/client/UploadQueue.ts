@@ -0,0 +1,222 @@
+/**
+ * UploadQueue - Persistent queue for photo uploads made without signal
+ *
+ * Entries hold the photo, its upload metadata and the idempotency key from
+ * PhotoUploadService.generateIdempotencyKey, and live in IndexedDB so they
+ * survive reloads. replay() sends them through the complete endpoint in the
+ * order they were taken; the server recognises a replayed key and returns the
+ * original result instead of completing the stop twice.
+ *
+ * Browsers without IndexedDB (some private modes) fall back to memory, so
+ * queued uploads still replay within the session.
+ */
+
+const DB_NAME = 'vail-hunt-uploads'
+const DB_VERSION = 1
+const STORE = 'uploads'
+
+export interface QueuedUploadMetadata {
+  locationTitle: string
+  sessionId: string
+  teamName?: string
+  locationName?: string
+  eventName?: string
+  notes?: string
+  revealedHints?: number
+  /** Video clips: duration read on the device */
+  durationSeconds?: number | null
+  /** Photos: dHash for duplicate detection */
+  perceptualHash?: string | null
+}
+
+export interface QueuedUpload {
+  idempotencyKey: string
+  stopId: string
+  orgId: string
+  huntId: string
+  teamId: string
+  file: Blob
+  fileName: string
+  metadata: QueuedUploadMetadata
+  queuedAt: string
+  attempts: number
+  lastError?: string
+}
+
+export type QueueScope = Pick<QueuedUpload, 'orgId' | 'huntId' | 'teamId'>
+
+export interface ReplayResult {
+  synced: QueuedUpload[]
+  rejected: Array<{ entry: QueuedUpload; error: Error }>
+  remaining: number
+}
+
+interface QueueStore {
+  getAll(): Promise<QueuedUpload[]>
+  put(entry: QueuedUpload): Promise<void>
+  delete(key: string): Promise<void>
+}
+
+/**
+ * Whether a failed upload is worth retrying later
+ * Network failures, timeouts, 408/429 and 5xx are; other 4xx (hunt closed,
+ * stop locked, bad file) will fail the same way again.
+ */
+export function isRetryableUploadError(error: unknown): boolean {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true
+
+  const status = (error as { status?: number } | null)?.status
+  if (typeof status === 'number' && status > 0) {
+    return status === 408 || status === 429 || status >= 500
+  }
+
+  // fetch() rejects with a TypeError when there is no connection
+  const message = error instanceof Error ? error.message.toLowerCase() : String(error).toLowerCase()
+  return error instanceof TypeError ||
+    message.includes('network') ||
+    message.includes('failed to fetch') ||
+    message.includes('timeout') ||
+    message.includes('load failed')
+}
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function createIndexedDbStore(): QueueStore {
+  let dbPromise: Promise<IDBDatabase> | null = null
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE)) {
+            request.result.createObjectStore(STORE, { keyPath: 'idempotencyKey' })
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+          dbPromise = null
+          reject(request.error)
+        }
+      })
+    }
+    return dbPromise
+  }
+
+  const withStore = async <T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>) => {
+    const db = await open()
+    return requestToPromise(run(db.transaction(STORE, mode).objectStore(STORE)))
+  }
+
+  return {
+    getAll: () => withStore('readonly', store => store.getAll() as IDBRequest<QueuedUpload[]>),
+    put: async (entry) => { await withStore('readwrite', store => store.put(entry)) },
+    delete: async (key) => { await withStore('readwrite', store => store.delete(key)) }
+  }
+}
+
+function createMemoryStore(): QueueStore {
+  const entries = new Map<string, QueuedUpload>()
+  return {
+    getAll: async () => [...entries.values()],
+    put: async (entry) => { entries.set(entry.idempotencyKey, entry) },
+    delete: async (key) => { entries.delete(key) }
+  }
+}
+
+export class UploadQueue {
+  private listeners = new Set<() => void>()
+  private replaying: Promise<ReplayResult> | null = null
+
+  constructor(private store: QueueStore = typeof indexedDB !== 'undefined' ? createIndexedDbStore() : createMemoryStore()) {}
+
+  /**
+   * Get notified whenever entries are added or removed
+   * @returns Unsubscribe function
+   */
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  private notify() {
+    this.listeners.forEach(listener => listener())
+  }
+
+  /**
+   * Queued uploads for a team, oldest first
+   */
+  async list(scope?: QueueScope): Promise<QueuedUpload[]> {
+    const entries = await this.store.getAll()
+    return entries
+      .filter(entry => !scope || (entry.orgId === scope.orgId && entry.huntId === scope.huntId && entry.teamId === scope.teamId))
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+  }
+
+  /**
+   * Queue an upload; re-queuing the same idempotency key replaces the entry
+   */
+  async enqueue(entry: Omit<QueuedUpload, 'queuedAt' | 'attempts'>): Promise<QueuedUpload> {
+    const queued: QueuedUpload = { ...entry, queuedAt: new Date().toISOString(), attempts: 0 }
+    await this.store.put(queued)
+    console.log(`[UploadQueue] Queued upload for stop ${entry.stopId} (${entry.idempotencyKey})`)
+    this.notify()
+    return queued
+  }
+
+  async remove(idempotencyKey: string): Promise<void> {
+    await this.store.delete(idempotencyKey)
+    this.notify()
+  }
+
+  /**
+   * Send queued uploads for a team, one at a time in capture order
+   * Stops at the first retryable failure (still offline) so later uploads
+   * keep their order; permanently rejected uploads are dropped.
+   * Concurrent calls share the same run.
+   */
+  replay(scope: QueueScope, send: (entry: QueuedUpload) => Promise<unknown>): Promise<ReplayResult> {
+    if (!this.replaying) {
+      this.replaying = this.runReplay(scope, send).finally(() => {
+        this.replaying = null
+      })
+    }
+    return this.replaying
+  }
+
+  private async runReplay(scope: QueueScope, send: (entry: QueuedUpload) => Promise<unknown>): Promise<ReplayResult> {
+    const entries = await this.list(scope)
+    const result: ReplayResult = { synced: [], rejected: [], remaining: entries.length }
+
+    for (const entry of entries) {
+      try {
+        await send(entry)
+        await this.store.delete(entry.idempotencyKey)
+        result.synced.push(entry)
+      } catch (error) {
+        const err = error instanceof Error ? error : new Error(String(error))
+        if (isRetryableUploadError(error)) {
+          await this.store.put({ ...entry, attempts: entry.attempts + 1, lastError: err.message })
+          console.warn(`[UploadQueue] Replay paused at stop ${entry.stopId}: ${err.message}`)
+          break
+        }
+        await this.store.delete(entry.idempotencyKey)
+        result.rejected.push({ entry, error: err })
+        console.error(`[UploadQueue] Upload for stop ${entry.stopId} rejected: ${err.message}`)
+      }
+    }
+
+    result.remaining = entries.length - result.synced.length - result.rejected.length
+    if (result.synced.length > 0 || result.rejected.length > 0) {
+      this.notify()
+    }
+    return result
+  }
+}
+
+export const uploadQueue = new UploadQueue()
@@ -0,0 +1,56 @@
+/**
+ * @file components/HuntScheduleBanner.tsx
+ * @component HuntScheduleBanner
+ * @category UI Components
+ *
+ * @description
+ * Countdown banner for scheduled hunts.
+ * - Before start: "Hunt starts in …"
+ * - While active: "Time remaining …"
+ * - During grace period: "Submissions close in …"
+ * - After close: "Hunt has ended"
+ * Renders nothing for unscheduled hunts.
+ */
+
+import React from 'react'
+import type { HuntScheduleStatus } from '../types/hunt-system'
+import { formatCountdown } from '../utils/huntSchedule'
+
+interface HuntScheduleBannerProps {
+  status: HuntScheduleStatus
+  remainingMs: number | null
+}
+
+const LABELS: Record<Exclude<HuntScheduleStatus, 'unscheduled'>, string> = {
+  upcoming: 'Hunt starts in',
+  active: 'Time remaining',
+  grace: 'Hunt over — submissions close in',
+  ended: 'Hunt has ended. Submissions are closed.'
+}
+
+export function HuntScheduleBanner({ status, remainingMs }: HuntScheduleBannerProps) {
+  if (status === 'unscheduled') return null
+
+  const isUrgent = status === 'grace' || (status === 'active' && remainingMs !== null && remainingMs < 15 * 60 * 1000)
+
+  return (
+    <div
+      role="timer"
+      aria-live="polite"
+      className={`mt-2 mb-1 px-3 py-2 rounded-lg text-sm font-medium flex items-center justify-between ${
+        status === 'ended'
+          ? 'bg-gray-100 text-gray-700'
+          : isUrgent
+          ? 'bg-red-50 text-red-700'
+          : 'bg-blue-50 text-blue-700'
+      }`}
+    >
+      <span>{LABELS[status]}</span>
+      {remainingMs !== null && status !== 'ended' && (
+        <span className="font-mono tabular-nums">{formatCountdown(remainingMs)}</span>
+      )}
+    </div>
+  )
+}
+
+export default HuntScheduleBanner
@@ -0,0 +1,119 @@
+/**
+ * @file components/OrganizerSignIn.tsx
+ * @component OrganizerSignIn
+ * @category UI Components
+ *
+ * @description
+ * Sign-in form for organizer tools (moderation queue, admin console).
+ * - Email and password for organizer accounts (/api/organizer/login)
+ * - Or the shared organizer API key
+ * The resulting credential is handed to onSignedIn; callers keep it with
+ * storeOrganizerCredential so every organizer tool shares one sign-in.
+ */
+
+import React, { useState } from 'react'
+import { useMutation } from '@tanstack/react-query'
+import { OrganizerAuthService } from '../services/OrganizerAuthService'
+
+// Kept for the browser session only; organizer tokens and keys never go to localStorage
+const ORGANIZER_KEY_STORAGE = 'organizerKey'
+
+export const getOrganizerCredential = () => sessionStorage.getItem(ORGANIZER_KEY_STORAGE) || ''
+
+export const storeOrganizerCredential = (credential: string) => {
+  if (credential) sessionStorage.setItem(ORGANIZER_KEY_STORAGE, credential)
+  else sessionStorage.removeItem(ORGANIZER_KEY_STORAGE)
+}
+
+interface OrganizerSignInProps {
+  title: string
+  /** The stored credential was rejected (401) */
+  expired?: boolean
+  onSignedIn: (credential: string) => void
+}
+
+export function OrganizerSignIn({ title, expired = false, onSignedIn }: OrganizerSignInProps) {
+  const [keyInput, setKeyInput] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [useApiKey, setUseApiKey] = useState(false)
+
+  const login = useMutation({
+    mutationFn: () => OrganizerAuthService.login(email.trim(), password),
+    onSuccess: (session) => {
+      setPassword('')
+      onSignedIn(session.token)
+    }
+  })
+
+  const signIn = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!useApiKey) {
+      if (email.trim() && password) login.mutate()
+      return
+    }
+    const key = keyInput.trim()
+    if (!key) return
+    onSignedIn(key)
+    setKeyInput('')
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <form onSubmit={signIn} className="max-w-sm mx-auto mt-16 bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+        <h1 className="text-xl font-bold text-gray-900">{title}</h1>
+        {expired && (
+          <p className="text-sm text-red-600">Your organizer session has expired or was not accepted.</p>
+        )}
+        {login.error && (
+          <p className="text-sm text-red-600">
+            {(login.error as any)?.status === 401 ? 'Incorrect email or password.' : 'Sign-in failed, please try again.'}
+          </p>
+        )}
+        {useApiKey ? (
+          <input
+            type="password"
+            value={keyInput}
+            onChange={(e) => setKeyInput(e.target.value)}
+            placeholder="Organizer key"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+            autoComplete="off"
+          />
+        ) : (
+          <>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              autoComplete="username"
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              autoComplete="current-password"
+            />
+          </>
+        )}
+        <button
+          type="submit"
+          disabled={login.isPending}
+          className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {login.isPending ? 'Signing in...' : 'Sign in'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setUseApiKey(!useApiKey)}
+          className="w-full text-sm text-gray-600 hover:text-gray-900"
+        >
+          {useApiKey ? 'Sign in with email instead' : 'Use an organizer key instead'}
+        </button>
+      </form>
+    </div>
+  )
+}
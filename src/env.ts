@@ -45,6 +45,21 @@ const clientEnvSchema = z.object({
   
   // Force Netlify API usage (true/false) - useful for local dev against deployed functions
   VITE_USE_NETLIFY_API: z.string().optional().default('false'),
+
+  // Map Configuration (Optional)
+  // Tile provider id for the Map tab: 'osm' (default), 'custom' or 'none' (SVG schematic only)
+  VITE_MAP_TILE_PROVIDER: z.string().optional().default('osm'),
+
+  // Self-hosted tile URL template, e.g. https://tiles.example.com/{z}/{x}/{y}.png
+  // Setting this selects the 'custom' provider
+  VITE_MAP_TILE_URL: z.string().optional(),
+
+  // Attribution text shown under the map for the custom provider
+  VITE_MAP_TILE_ATTRIBUTION: z.string().optional(),
+
+  // Offline Support (Optional)
+  // Set to 'true' to unregister the service worker from devices that have it
+  VITE_DISABLE_SERVICE_WORKER: z.string().optional().default('false'),
 })
 
 /**
@@ -168,6 +183,10 @@ export const SENTRY_RELEASE_CLIENT = clientEnv.VITE_SENTRY_RELEASE
 export const SENTRY_TRACES_SAMPLE_RATE_CLIENT = parseFloat(clientEnv.VITE_SENTRY_TRACES_SAMPLE_RATE)
 export const API_BASE_OVERRIDE = clientEnv.VITE_API_BASE
 export const USE_NETLIFY_API = clientEnv.VITE_USE_NETLIFY_API === 'true'
+export const MAP_TILE_PROVIDER = clientEnv.VITE_MAP_TILE_URL ? 'custom' : clientEnv.VITE_MAP_TILE_PROVIDER
+export const MAP_TILE_URL = clientEnv.VITE_MAP_TILE_URL
+export const MAP_TILE_ATTRIBUTION = clientEnv.VITE_MAP_TILE_ATTRIBUTION
+export const DISABLE_SERVICE_WORKER = clientEnv.VITE_DISABLE_SERVICE_WORKER === 'true'
 
 // Server Environment Exports (only available in Netlify Functions)
 export const SUPABASE_URL = serverEnv.SUPABASE_URL
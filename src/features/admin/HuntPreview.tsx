@@ -0,0 +1,99 @@
+import React, { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { HuntAdminService } from '../../services/HuntAdminService'
+import { ProgressCard } from '../../components/ProgressCard'
+import StopsList from '../app/StopsList'
+import { UploadProvider } from '../upload/UploadContext'
+import { SponsorCard } from '../sponsors/SponsorCard'
+import { useStopSelection } from '../../hooks/useStopSelection'
+
+const PREVIEW_TEAM = 'Preview team'
+
+interface HuntPreviewProps {
+  orgId: string
+  huntId: string
+  organizerKey: string
+}
+
+const noop = () => {}
+
+/**
+ * The hunt as a team that hasn't started sees it in ActiveView
+ * Renders ActiveView's own cards from server data (active stops, unlock rules,
+ * sequential locks, active sponsors). Hints can be revealed locally; uploads
+ * and check-ins are disabled.
+ */
+export function HuntPreview({ orgId, huntId, organizerKey }: HuntPreviewProps) {
+  const [progress, setProgress] = useState<Record<string, any>>({})
+  const [expandedStops, setExpandedStops] = useState<Record<string, boolean>>({})
+
+  const { data: preview, isLoading, error, refetch, isFetching } = useQuery({
+    queryKey: ['hunt-admin', orgId, huntId, 'preview'],
+    queryFn: () => HuntAdminService.getPreview(orgId, huntId, organizerKey)
+  })
+
+  const stops = useStopSelection({
+    locations: preview?.locations?.locations,
+    locationName: preview?.locations?.name || huntId,
+    stopCount: 'all'
+  })
+
+  if (isLoading) return <p className="text-center text-gray-500 py-8">Loading preview...</p>
+  if (error || !preview) return <p className="text-center text-red-500 py-8">Failed to load preview</p>
+
+  const hasSponsors = preview.sponsors?.items?.length > 0
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span>Showing what a team sees before its first stop</span>
+        <button
+          onClick={() => { setProgress({}); refetch() }}
+          disabled={isFetching}
+          className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+        >
+          {isFetching ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+
+      <UploadProvider location={orgId} team={PREVIEW_TEAM} eventName={huntId}>
+        <div className="max-w-screen-sm mx-auto border border-gray-200 rounded-lg px-4 py-3" style={{ backgroundColor: 'var(--color-background)' }}>
+          {hasSponsors && (
+            <SponsorCard items={preview.sponsors.items} layout={preview.sponsors.layout} />
+          )}
+
+          <ProgressCard
+            teamName={PREVIEW_TEAM}
+            huntId={huntId}
+            percent={0}
+            completeCount={0}
+            totalStops={stops.length}
+            stops={stops as any}
+            progress={progress}
+            hasSponsors={hasSponsors}
+          />
+
+          {stops.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No active stops - teams would see an empty hunt</p>
+          ) : (
+            <StopsList
+              stops={stops}
+              progress={progress}
+              transitioningStops={new Set()}
+              expandedStops={expandedStops}
+              onToggleExpanded={(stopId) => setExpandedStops(prev => ({ ...prev, [stopId]: !prev[stopId] }))}
+              uploadingStops={new Set()}
+              onPhotoUpload={async () => {}}
+              setProgress={setProgress}
+              seedProgress={setProgress}
+              previewUrls={{}}
+              savingStops={new Set()}
+              onNextStep={noop}
+              isPrePopulatedHunt={preview.photoMode === 'pre_populated'}
+            />
+          )}
+        </div>
+      </UploadProvider>
+    </div>
+  )
+}
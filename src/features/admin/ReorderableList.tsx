@@ -0,0 +1,84 @@
+import React, { useState } from 'react'
+import { moveItem } from '../../utils/reorder'
+
+interface ReorderableListProps<T> {
+  items: T[]
+  getKey: (item: T) => string
+  renderItem: (item: T, index: number) => React.ReactNode
+  /** Called with the full list in its new order */
+  onReorder: (items: T[]) => void
+  disabled?: boolean
+}
+
+/**
+ * List reordered by dragging rows or with up/down buttons (keyboard and touch friendly)
+ * Uses native HTML5 drag events; no drag-and-drop library.
+ */
+export function ReorderableList<T>({ items, getKey, renderItem, onReorder, disabled = false }: ReorderableListProps<T>) {
+  const [dragIndex, setDragIndex] = useState<number | null>(null)
+  const [overIndex, setOverIndex] = useState<number | null>(null)
+
+  const move = (from: number, to: number) => {
+    const next = moveItem(items, from, to)
+    if (next !== items) onReorder(next)
+  }
+
+  const endDrag = () => {
+    setDragIndex(null)
+    setOverIndex(null)
+  }
+
+  return (
+    <ol className="space-y-2">
+      {items.map((item, index) => (
+        <li
+          key={getKey(item)}
+          draggable={!disabled}
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = 'move'
+            setDragIndex(index)
+          }}
+          onDragOver={(e) => {
+            if (dragIndex === null) return
+            e.preventDefault()
+            setOverIndex(index)
+          }}
+          onDrop={(e) => {
+            e.preventDefault()
+            if (dragIndex !== null) move(dragIndex, index)
+            endDrag()
+          }}
+          onDragEnd={endDrag}
+          className={`
+            flex items-start gap-2 bg-white rounded-lg border p-3
+            ${overIndex === index && dragIndex !== index ? 'border-blue-400' : 'border-gray-200'}
+            ${dragIndex === index ? 'opacity-50' : ''}
+          `}
+        >
+          <span className="cursor-grab select-none text-gray-400 pt-1" aria-hidden="true">⠿</span>
+          <div className="flex-1 min-w-0">{renderItem(item, index)}</div>
+          <div className="flex flex-col">
+            <button
+              type="button"
+              onClick={() => move(index, index - 1)}
+              disabled={disabled || index === 0}
+              className="px-2 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+              aria-label="Move up"
+            >
+              ▲
+            </button>
+            <button
+              type="button"
+              onClick={() => move(index, index + 1)}
+              disabled={disabled || index === items.length - 1}
+              className="px-2 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+              aria-label="Move down"
+            >
+              ▼
+            </button>
+          </div>
+        </li>
+      ))}
+    </ol>
+  )
+}
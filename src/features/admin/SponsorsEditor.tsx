@@ -0,0 +1,186 @@
+import React, { useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { HuntAdminService } from '../../services/HuntAdminService'
+import { ReorderableList } from './ReorderableList'
+import type { AdminSponsor, SponsorInput } from '../../types/huntAdmin'
+
+const MAX_IMAGE_BYTES = 1024 * 1024
+
+interface SponsorsEditorProps {
+  orgId: string
+  huntId: string
+  organizerKey: string
+}
+
+/**
+ * Read a logo file as SVG markup or a PNG/JPEG data URL
+ */
+function readLogo(file: File): Promise<Pick<SponsorInput, 'svg' | 'image'>> {
+  if (file.type !== 'image/svg+xml' && file.size > MAX_IMAGE_BYTES) {
+    return Promise.reject(new Error('Logo images must be 1 MB or smaller'))
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onerror = () => reject(new Error('Could not read the logo file'))
+    if (file.type === 'image/svg+xml') {
+      reader.onload = () => resolve({ svg: String(reader.result) })
+      reader.readAsText(file)
+    } else {
+      reader.onload = () => resolve({ image: String(reader.result) })
+      reader.readAsDataURL(file)
+    }
+  })
+}
+
+/**
+ * Logo thumbnail; SVG markup is shown through an <img> so it can't run scripts
+ */
+const SponsorLogo: React.FC<{ sponsor: AdminSponsor }> = ({ sponsor }) => {
+  const src = sponsor.type === 'svg' && sponsor.svg
+    ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(sponsor.svg)}`
+    : sponsor.src
+
+  return src
+    ? <img src={src} alt={sponsor.alt} className="w-16 h-10 object-contain bg-gray-50 rounded" />
+    : <div className="w-16 h-10 bg-gray-100 rounded" />
+}
+
+/**
+ * Sponsors of a hunt: add logos, reorder, toggle active, remove
+ */
+export function SponsorsEditor({ orgId, huntId, organizerKey }: SponsorsEditorProps) {
+  const queryClient = useQueryClient()
+  const queryKey = ['hunt-admin', orgId, huntId, 'sponsors']
+  const [companyName, setCompanyName] = useState('')
+  const [alt, setAlt] = useState('')
+  const [logo, setLogo] = useState<File | null>(null)
+  const [formKey, setFormKey] = useState(0)
+
+  const { data: sponsors = [], isLoading, error } = useQuery({
+    queryKey,
+    queryFn: () => HuntAdminService.listSponsors(orgId, huntId, organizerKey)
+  })
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['hunt-admin', orgId, huntId] })
+
+  const create = useMutation({
+    mutationFn: async () => {
+      if (!logo) throw new Error('Choose a logo file')
+      const input: SponsorInput = { companyName: companyName.trim(), alt: alt.trim() || undefined, ...(await readLogo(logo)) }
+      return HuntAdminService.createSponsor(orgId, huntId, input, organizerKey)
+    },
+    onSuccess: () => {
+      setCompanyName('')
+      setAlt('')
+      setLogo(null)
+      setFormKey(key => key + 1)
+      refresh()
+    }
+  })
+
+  const toggleActive = useMutation({
+    mutationFn: (sponsor: AdminSponsor) =>
+      HuntAdminService.updateSponsor(orgId, huntId, sponsor.id, { isActive: !sponsor.isActive }, organizerKey),
+    onSettled: refresh
+  })
+
+  const remove = useMutation({
+    mutationFn: (sponsor: AdminSponsor) => HuntAdminService.deleteSponsor(orgId, huntId, sponsor.id, organizerKey),
+    onSettled: refresh
+  })
+
+  const reorder = useMutation({
+    mutationFn: (ordered: AdminSponsor[]) =>
+      HuntAdminService.reorderSponsors(orgId, huntId, ordered.map(sponsor => sponsor.id), organizerKey),
+    onMutate: (ordered) => queryClient.setQueryData(queryKey, ordered),
+    onSettled: refresh
+  })
+
+  const mutationError = create.error || toggleActive.error || remove.error || reorder.error
+
+  if (isLoading) return <p className="text-center text-gray-500 py-8">Loading sponsors...</p>
+  if (error) return <p className="text-center text-red-500 py-8">Failed to load sponsors</p>
+
+  return (
+    <div className="space-y-3">
+      {mutationError && (
+        <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          {mutationError instanceof Error ? mutationError.message : 'Saving failed'}
+        </div>
+      )}
+
+      <form
+        key={formKey}
+        onSubmit={(e) => { e.preventDefault(); create.mutate() }}
+        className="bg-white rounded-lg border border-gray-200 p-4 space-y-3"
+      >
+        <h3 className="font-semibold text-gray-900">Add sponsor</h3>
+        <input
+          value={companyName}
+          onChange={(e) => setCompanyName(e.target.value)}
+          placeholder="Company name"
+          required
+          maxLength={120}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          value={alt}
+          onChange={(e) => setAlt(e.target.value)}
+          placeholder="Logo description (defaults to the company name)"
+          maxLength={120}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="file"
+          accept="image/svg+xml,image/png,image/jpeg"
+          onChange={(e) => setLogo(e.target.files?.[0] || null)}
+          required
+          className="w-full text-sm"
+        />
+        <button
+          type="submit"
+          disabled={create.isPending}
+          className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {create.isPending ? 'Uploading...' : 'Add sponsor'}
+        </button>
+      </form>
+
+      {sponsors.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No sponsors for this hunt</p>
+      ) : (
+        <ReorderableList
+          items={sponsors}
+          getKey={(sponsor) => sponsor.id}
+          onReorder={(ordered) => reorder.mutate(ordered)}
+          disabled={reorder.isPending}
+          renderItem={(sponsor) => (
+            <div className={`flex items-center gap-3 ${sponsor.isActive ? '' : 'opacity-60'}`}>
+              <SponsorLogo sponsor={sponsor} />
+              <span className="flex-1 font-medium text-gray-900 truncate">{sponsor.companyName}</span>
+              <label className="flex items-center gap-1 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={sponsor.isActive}
+                  onChange={() => toggleActive.mutate(sponsor)}
+                  disabled={toggleActive.isPending}
+                />
+                Active
+              </label>
+              <button
+                onClick={() => {
+                  if (window.confirm(`Remove ${sponsor.companyName} from this hunt?`)) remove.mutate(sponsor)
+                }}
+                disabled={remove.isPending}
+                className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            </div>
+          )}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,225 @@
+import React, { useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { HuntAdminService } from '../../services/HuntAdminService'
+import { ReorderableList } from './ReorderableList'
+import type { AdminStop, StopInput } from '../../types/huntAdmin'
+
+const MAX_HINTS = 5
+
+interface StopsEditorProps {
+  orgId: string
+  huntId: string
+  organizerKey: string
+}
+
+/**
+ * Stops of a hunt: create and edit clues and hints, reorder, toggle active
+ */
+export function StopsEditor({ orgId, huntId, organizerKey }: StopsEditorProps) {
+  const queryClient = useQueryClient()
+  const queryKey = ['hunt-admin', orgId, huntId, 'stops']
+  const [editing, setEditing] = useState<AdminStop | 'new' | null>(null)
+
+  const { data: stops = [], isLoading, error } = useQuery({
+    queryKey,
+    queryFn: () => HuntAdminService.listStops(orgId, huntId, organizerKey)
+  })
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['hunt-admin', orgId, huntId] })
+
+  const save = useMutation({
+    mutationFn: ({ stopId, input }: { stopId: string | null; input: StopInput }) =>
+      stopId
+        ? HuntAdminService.updateStop(orgId, huntId, stopId, input, organizerKey)
+        : HuntAdminService.createStop(orgId, huntId, input, organizerKey),
+    onSuccess: () => {
+      setEditing(null)
+      refresh()
+    }
+  })
+
+  const toggleActive = useMutation({
+    mutationFn: (stop: AdminStop) =>
+      HuntAdminService.updateStop(orgId, huntId, stop.stopId, { isActive: !stop.isActive }, organizerKey),
+    onSettled: refresh
+  })
+
+  const reorder = useMutation({
+    mutationFn: (ordered: AdminStop[]) =>
+      HuntAdminService.reorderStops(orgId, huntId, ordered.map(stop => stop.stopId), organizerKey),
+    onMutate: (ordered) => queryClient.setQueryData(queryKey, ordered),
+    onSettled: refresh
+  })
+
+  const mutationError = save.error || toggleActive.error || reorder.error
+
+  if (isLoading) return <p className="text-center text-gray-500 py-8">Loading stops...</p>
+  if (error) return <p className="text-center text-red-500 py-8">Failed to load stops</p>
+
+  return (
+    <div className="space-y-3">
+      {mutationError && (
+        <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          {mutationError instanceof Error ? mutationError.message : 'Saving failed'}
+        </div>
+      )}
+
+      {editing ? (
+        <StopForm
+          stop={editing === 'new' ? null : editing}
+          saving={save.isPending}
+          onCancel={() => setEditing(null)}
+          onSave={(input) => save.mutate({ stopId: editing === 'new' ? null : editing.stopId, input })}
+        />
+      ) : (
+        <button
+          onClick={() => setEditing('new')}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700"
+        >
+          Add stop
+        </button>
+      )}
+
+      {stops.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No stops yet</p>
+      ) : (
+        <ReorderableList
+          items={stops}
+          getKey={(stop) => stop.stopId}
+          onReorder={(ordered) => reorder.mutate(ordered)}
+          disabled={reorder.isPending}
+          renderItem={(stop, index) => (
+            <div className={stop.isActive ? '' : 'opacity-60'}>
+              <div className="flex items-center justify-between gap-2">
+                <h3 className="font-semibold text-gray-900 truncate">
+                  {index + 1}. {stop.title}
+                </h3>
+                <div className="flex items-center gap-3 shrink-0">
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={stop.isActive}
+                      onChange={() => toggleActive.mutate(stop)}
+                      disabled={toggleActive.isPending}
+                    />
+                    Active
+                  </label>
+                  <button onClick={() => setEditing(stop)} className="text-sm text-blue-600 hover:text-blue-800">
+                    Edit
+                  </button>
+                </div>
+              </div>
+              <p className="text-sm text-gray-600 line-clamp-2">{stop.clue}</p>
+              <p className="text-xs text-gray-400">
+                {stop.stopId} · {stop.hints.length} {stop.hints.length === 1 ? 'hint' : 'hints'}
+              </p>
+            </div>
+          )}
+        />
+      )}
+    </div>
+  )
+}
+
+interface StopFormProps {
+  stop: AdminStop | null
+  saving: boolean
+  onSave: (input: StopInput) => void
+  onCancel: () => void
+}
+
+/**
+ * Create or edit one stop; stop IDs can't change once created
+ */
+function StopForm({ stop, saving, onSave, onCancel }: StopFormProps) {
+  const [stopId, setStopId] = useState(stop?.stopId || '')
+  const [title, setTitle] = useState(stop?.title || '')
+  const [clue, setClue] = useState(stop?.clue || '')
+  const [description, setDescription] = useState(stop?.description || '')
+  const [hints, setHints] = useState<string[]>(stop?.hints || [])
+  const [lat, setLat] = useState(stop?.position ? String(stop.position.lat) : '')
+  const [lng, setLng] = useState(stop?.position ? String(stop.position.lng) : '')
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault()
+    const input: StopInput = {
+      title: title.trim(),
+      clue: clue.trim(),
+      description: description.trim() || null,
+      hints: hints.map(hint => hint.trim()).filter(Boolean),
+      position: lat.trim() && lng.trim() ? { lat: Number(lat), lng: Number(lng) } : null
+    }
+    onSave(stop ? input : { ...input, stopId: stopId.trim() })
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm'
+
+  return (
+    <form onSubmit={submit} className="bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+      <h3 className="font-semibold text-gray-900">{stop ? `Edit ${stop.title}` : 'New stop'}</h3>
+      {!stop && (
+        <input
+          value={stopId}
+          onChange={(e) => setStopId(e.target.value.toLowerCase())}
+          placeholder="Stop ID (e.g. town-clock)"
+          pattern="[a-z0-9-]{2,50}"
+          required
+          className={inputClass}
+        />
+      )}
+      <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Title" required maxLength={120} className={inputClass} />
+      <textarea value={clue} onChange={(e) => setClue(e.target.value)} placeholder="Clue" required rows={3} className={inputClass} />
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description (optional)"
+        rows={2}
+        className={inputClass}
+      />
+
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-gray-700">Hints (revealed one at a time)</p>
+        {hints.map((hint, index) => (
+          <div key={index} className="flex gap-2">
+            <input
+              value={hint}
+              onChange={(e) => setHints(hints.map((h, i) => (i === index ? e.target.value : h)))}
+              placeholder={`Hint ${index + 1}`}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={() => setHints(hints.filter((_, i) => i !== index))}
+              className="px-2 text-sm text-red-600 hover:text-red-800"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        {hints.length < MAX_HINTS && (
+          <button type="button" onClick={() => setHints([...hints, ''])} className="text-sm text-blue-600 hover:text-blue-800">
+            Add hint
+          </button>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <input value={lat} onChange={(e) => setLat(e.target.value)} placeholder="Latitude (optional)" inputMode="decimal" className={inputClass} />
+        <input value={lng} onChange={(e) => setLng(e.target.value)} placeholder="Longitude (optional)" inputMode="decimal" className={inputClass} />
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save stop'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200">
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,398 @@
+import React, { useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { HuntAdminService } from '../../services/HuntAdminService'
+import type { AdminTeam, JoinLink, TeamBatchInput, TeamCode, TeamCodeStatus } from '../../types/huntAdmin'
+
+interface TeamsEditorProps {
+  orgId: string
+  huntId: string
+  organizerKey: string
+}
+
+const STATUS_CLASSES: Record<TeamCodeStatus, string> = {
+  active: 'bg-green-100 text-green-700',
+  revoked: 'bg-gray-100 text-gray-500',
+  expired: 'bg-yellow-100 text-yellow-700',
+  exhausted: 'bg-orange-100 text-orange-700'
+}
+
+const formatDate = (iso: string | null) =>
+  iso ? new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '-'
+
+/**
+ * Open the card page in a new window and print it
+ * The window is opened before the request so popup blockers allow it.
+ */
+async function printCards(load: () => Promise<{ html: string; count: number }>) {
+  const popup = window.open('', '_blank')
+  if (!popup) throw new Error('Allow popups to print team cards')
+
+  try {
+    const { html, count } = await load()
+    if (count === 0) {
+      popup.close()
+      throw new Error('No team has an active code to print')
+    }
+    popup.document.open()
+    popup.document.write(html)
+    popup.document.close()
+    popup.focus()
+    popup.print()
+  } catch (error) {
+    if (!popup.closed) popup.close()
+    throw error
+  }
+}
+
+/**
+ * Team codes of a hunt: generate teams in bulk, rotate leaked codes, revoke,
+ * share join links, print QR join cards and audit which devices joined with
+ * which code
+ */
+export function TeamsEditor({ orgId, huntId, organizerKey }: TeamsEditorProps) {
+  const queryClient = useQueryClient()
+  const [mode, setMode] = useState<'count' | 'names'>('count')
+  const [count, setCount] = useState('10')
+  const [names, setNames] = useState('')
+  const [expiresAt, setExpiresAt] = useState('')
+  const [maxUses, setMaxUses] = useState('')
+  const [auditTeamId, setAuditTeamId] = useState<string | null>(null)
+  const [linkMaxUses, setLinkMaxUses] = useState('')
+  const [issuedLink, setIssuedLink] = useState<{ link: JoinLink; copied: boolean } | null>(null)
+
+  const { data: teams = [], isLoading, error } = useQuery({
+    queryKey: ['hunt-admin', orgId, huntId, 'teams'],
+    queryFn: () => HuntAdminService.listTeams(orgId, huntId, organizerKey)
+  })
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['hunt-admin', orgId, huntId, 'teams'] })
+
+  const create = useMutation({
+    mutationFn: () => {
+      const input: TeamBatchInput = {
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        maxUses: maxUses ? Number(maxUses) : null
+      }
+      if (mode === 'count') input.count = Number(count)
+      else input.names = names.split('\n').map(name => name.trim()).filter(Boolean)
+      return HuntAdminService.createTeams(orgId, huntId, input, organizerKey)
+    },
+    onSuccess: () => {
+      setNames('')
+      refresh()
+    }
+  })
+
+  const rotate = useMutation({
+    mutationFn: (team: AdminTeam) => HuntAdminService.rotateTeamCode(orgId, huntId, team.teamId, organizerKey),
+    onSettled: refresh
+  })
+
+  const revoke = useMutation({
+    mutationFn: (team: AdminTeam) => HuntAdminService.revokeTeamCodes(orgId, huntId, team.teamId, organizerKey),
+    onSettled: refresh
+  })
+
+  const linkLimit = linkMaxUses ? Number(linkMaxUses) : null
+
+  const print = useMutation({
+    mutationFn: (teamId?: string) =>
+      printCards(() => HuntAdminService.getTeamCards(orgId, huntId, organizerKey, teamId, linkLimit))
+  })
+
+  const shareLink = useMutation({
+    mutationFn: async (team: AdminTeam) => {
+      const link = await HuntAdminService.createJoinLink(orgId, huntId, team.teamId, { maxUses: linkLimit }, organizerKey)
+      const copied = await navigator.clipboard?.writeText(link.url).then(() => true, () => false) ?? false
+      return { link, copied }
+    },
+    onSuccess: setIssuedLink
+  })
+
+  const revokeLink = useMutation({
+    mutationFn: (link: JoinLink) => HuntAdminService.revokeJoinLink(orgId, huntId, link.teamId, link.id, organizerKey),
+    onSuccess: () => setIssuedLink(null)
+  })
+
+  const mutationError = create.error || rotate.error || revoke.error || print.error || shareLink.error || revokeLink.error
+
+  if (isLoading) return <p className="text-center text-gray-500 py-8">Loading teams...</p>
+  if (error) return <p className="text-center text-red-500 py-8">Failed to load teams</p>
+
+  return (
+    <div className="space-y-3">
+      {mutationError && (
+        <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          {mutationError instanceof Error ? mutationError.message : 'Saving failed'}
+        </div>
+      )}
+
+      <form
+        onSubmit={(e) => { e.preventDefault(); create.mutate() }}
+        className="bg-white rounded-lg border border-gray-200 p-4 space-y-3"
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold text-gray-900">Add teams</h3>
+          <div className="flex gap-3 text-sm text-gray-600">
+            <label className="flex items-center gap-1">
+              <input type="radio" checked={mode === 'count'} onChange={() => setMode('count')} />
+              Number
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="radio" checked={mode === 'names'} onChange={() => setMode('names')} />
+              Names
+            </label>
+          </div>
+        </div>
+        {mode === 'count' ? (
+          <input
+            type="number"
+            value={count}
+            onChange={(e) => setCount(e.target.value)}
+            min={1}
+            max={200}
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        ) : (
+          <textarea
+            value={names}
+            onChange={(e) => setNames(e.target.value)}
+            placeholder="One team name per line"
+            rows={4}
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        )}
+        <div className="flex gap-2">
+          <label className="flex-1 text-sm text-gray-600">
+            Codes expire
+            <input
+              type="datetime-local"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </label>
+          <label className="flex-1 text-sm text-gray-600">
+            Devices per code
+            <input
+              type="number"
+              value={maxUses}
+              onChange={(e) => setMaxUses(e.target.value)}
+              min={1}
+              placeholder="Unlimited"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </label>
+        </div>
+        <button
+          type="submit"
+          disabled={create.isPending}
+          className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {create.isPending ? 'Generating...' : 'Generate codes'}
+        </button>
+      </form>
+
+      {teams.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No teams for this hunt</p>
+      ) : (
+        <>
+          {issuedLink && (
+            <div className="p-3 rounded-lg bg-blue-50 border border-blue-200 text-sm text-blue-800">
+              <div className="flex items-center justify-between">
+                <span className="font-medium">
+                  Join link for {issuedLink.link.teamName}{issuedLink.copied ? ' (copied)' : ''}
+                </span>
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => revokeLink.mutate(issuedLink.link)}
+                    disabled={revokeLink.isPending}
+                    className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Revoke
+                  </button>
+                  <button onClick={() => setIssuedLink(null)} className="text-blue-600 hover:text-blue-800">Close</button>
+                </div>
+              </div>
+              <input
+                readOnly
+                value={issuedLink.link.url}
+                onFocus={(e) => e.target.select()}
+                className="w-full mt-2 px-2 py-1 border border-blue-200 rounded bg-white font-mono text-xs"
+              />
+              <div className="mt-1 text-xs">
+                {issuedLink.link.maxUses === 1 ? 'Single use' : issuedLink.link.maxUses ? `Up to ${issuedLink.link.maxUses} devices` : 'Any number of devices'}
+                {` · valid until ${formatDate(issuedLink.link.expiresAt)}`}
+              </div>
+            </div>
+          )}
+          <div className="flex items-center justify-end gap-2">
+            <label className="text-sm text-gray-600">
+              Devices per join link
+              <input
+                type="number"
+                value={linkMaxUses}
+                onChange={(e) => setLinkMaxUses(e.target.value)}
+                min={1}
+                placeholder="Unlimited"
+                className="ml-2 w-28 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+              />
+            </label>
+            <button
+              onClick={() => print.mutate(undefined)}
+              disabled={print.isPending}
+              className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50"
+            >
+              Print all cards
+            </button>
+          </div>
+          <ul className="space-y-2">
+            {teams.map(team => {
+              const current: TeamCode | undefined = team.codes[0]
+              return (
+                <li key={team.teamId} className="bg-white rounded-lg border border-gray-200 p-3">
+                  <div className="flex items-center gap-3">
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-gray-900 truncate">{team.teamName}</div>
+                      <div className="text-xs text-gray-400">{team.teamId}</div>
+                    </div>
+                    {current ? (
+                      <div className="text-right">
+                        <span className="font-mono font-semibold tracking-wider">{current.code}</span>
+                        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${STATUS_CLASSES[current.status]}`}>
+                          {current.status}
+                        </span>
+                        <div className="text-xs text-gray-500">
+                          {current.usageCount}{current.maxUses != null ? `/${current.maxUses}` : ''} devices
+                          {current.expiresAt && ` · expires ${formatDate(current.expiresAt)}`}
+                        </div>
+                      </div>
+                    ) : (
+                      <span className="text-sm text-gray-400">No code</span>
+                    )}
+                  </div>
+                  <div className="flex gap-3 mt-2 text-sm">
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Replace the code of ${team.teamName}? The current code stops working.`)) rotate.mutate(team)
+                      }}
+                      disabled={rotate.isPending}
+                      className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      Rotate
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Revoke every code of ${team.teamName}? New devices can't join until you rotate.`)) revoke.mutate(team)
+                      }}
+                      disabled={revoke.isPending || current?.status !== 'active'}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Revoke
+                    </button>
+                    <button
+                      onClick={() => print.mutate(team.teamId)}
+                      disabled={print.isPending || current?.status !== 'active'}
+                      className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                    >
+                      Print card
+                    </button>
+                    <button
+                      onClick={() => shareLink.mutate(team)}
+                      disabled={shareLink.isPending || current?.status !== 'active'}
+                      className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                    >
+                      Join link
+                    </button>
+                    <button
+                      onClick={() => setAuditTeamId(auditTeamId === team.teamId ? null : team.teamId)}
+                      className="text-gray-600 hover:text-gray-900"
+                    >
+                      {auditTeamId === team.teamId ? 'Hide devices' : 'Devices'}
+                    </button>
+                  </div>
+                  {auditTeamId === team.teamId && (
+                    <TeamSessions orgId={orgId} huntId={huntId} teamId={team.teamId} organizerKey={organizerKey} />
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Devices that joined a team and the code each one used
+ */
+const TeamSessions: React.FC<{ orgId: string; huntId: string; teamId: string; organizerKey: string }> = ({ orgId, huntId, teamId, organizerKey }) => {
+  const [revokedLinks, setRevokedLinks] = useState<string[]>([])
+  const { data: sessions = [], isLoading, error } = useQuery({
+    queryKey: ['hunt-admin', orgId, huntId, 'teams', teamId, 'sessions'],
+    queryFn: () => HuntAdminService.listTeamSessions(orgId, huntId, teamId, organizerKey)
+  })
+
+  // Stops new devices joining through the link; devices that already joined stay
+  const revokeLink = useMutation({
+    mutationFn: (linkId: string) => HuntAdminService.revokeJoinLink(orgId, huntId, teamId, linkId, organizerKey),
+    onSuccess: (_, linkId) => setRevokedLinks(links => [...links, linkId])
+  })
+
+  if (isLoading) return <p className="text-sm text-gray-500 mt-2">Loading devices...</p>
+  if (error) return <p className="text-sm text-red-500 mt-2">Failed to load devices</p>
+  if (sessions.length === 0) return <p className="text-sm text-gray-500 mt-2">No device has joined yet</p>
+
+  return (
+    <div>
+      {revokeLink.error && (
+        <p className="text-xs text-red-600 mt-2">
+          {revokeLink.error instanceof Error ? revokeLink.error.message : 'Revoking the link failed'}
+        </p>
+      )}
+      <table className="w-full mt-2 text-xs text-left">
+        <thead className="text-gray-500">
+          <tr>
+            <th className="py-1 font-medium">Joined</th>
+            <th className="py-1 font-medium">Code</th>
+            <th className="py-1 font-medium">Device</th>
+            <th className="py-1 font-medium">IP</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map(session => (
+            <tr key={session.id} className={`border-t border-gray-100 ${session.isActive ? '' : 'text-gray-400'}`}>
+              <td className="py-1 whitespace-nowrap">{formatDate(session.joinedAt)}</td>
+              <td className="py-1 font-mono">
+                {session.code || '-'}
+                {session.joinLinkId && (
+                  <span className="ml-1 font-sans text-gray-400">
+                    via link{' '}
+                    {revokedLinks.includes(session.joinLinkId) ? '(revoked)' : (
+                      <button
+                        onClick={() => {
+                          if (window.confirm('Revoke this join link? Devices that joined through it stay on the team.')) revokeLink.mutate(session.joinLinkId!)
+                        }}
+                        disabled={revokeLink.isPending}
+                        className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        revoke
+                      </button>
+                    )}
+                  </span>
+                )}
+              </td>
+              <td className="py-1 truncate max-w-[12rem]" title={session.userAgent || undefined}>
+                {session.userAgent || session.deviceHint || '-'}
+              </td>
+              <td className="py-1">{session.ipAddress || '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
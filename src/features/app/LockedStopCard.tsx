@@ -0,0 +1,41 @@
+/**
+ * Exports: LockedStopCard component — Placeholder for a stop that is still locked
+ * Runtime: client
+ * Used by: /src/features/app/StopsList.tsx
+ *
+ * @ai-purpose: Sequential hunts hide a stop's clue until the previous stop is completed;
+ *   the server sends only the stop id and order, so this card shows nothing else
+ */
+import React from 'react'
+
+interface LockedStopCardProps {
+  stepNumber: number
+  index: number
+}
+
+export default function LockedStopCard({ stepNumber, index }: LockedStopCardProps) {
+  return (
+    <div
+      className='mt-3 border border-dashed rounded-lg p-4 flex items-center gap-3'
+      style={{
+        backgroundColor: 'var(--color-background)',
+        borderColor: 'var(--color-border)',
+        color: 'var(--color-text-secondary)',
+        animation: `fadeInSlide 0.4s ease-out ${index * 0.15}s forwards`,
+        opacity: 0
+      }}
+      aria-label={`Stop ${stepNumber} is locked`}
+    >
+      <span
+        className='inline-flex items-center justify-center w-6 h-6 rounded-full text-xs'
+        style={{ border: '1px solid var(--color-border)' }}
+      >
+        🔒
+      </span>
+      <div>
+        <div className='text-sm font-medium'>Stop {stepNumber}</div>
+        <div className='text-xs'>Complete the previous stop to unlock this clue</div>
+      </div>
+    </div>
+  )
+}
@@ -10,6 +10,8 @@
  */
 import React from 'react'
 import ProgressRing from '../../components/ProgressRing'
+import type { GeofenceMode, StopCheckIn } from '../../types/hunt-system'
+import { acceptForMediaType, acceptsFile, isVideoUrl } from '../../utils/media'
 
 const PLACEHOLDER = '/images/selfie-placeholder.svg'
 
@@ -25,7 +27,12 @@ interface StopCardProps {
   index: number
   previewImage?: string
   isSaving?: boolean
+  isPendingSync?: boolean
   onNextStep?: (stopId: string) => void
+  geofenceMode?: GeofenceMode
+  checkIn?: StopCheckIn
+  isCheckingIn?: boolean
+  onCheckIn?: (stopId: string) => void
 }
 
 export default function StopCard({
@@ -40,7 +47,12 @@ export default function StopCard({
   index,
   previewImage,
   isSaving,
-  onNextStep
+  isPendingSync = false,
+  onNextStep,
+  geofenceMode = 'off',
+  checkIn,
+  isCheckingIn = false,
+  onCheckIn
 }: StopCardProps) {
   const state = progress[stop.id] || { done: false, notes: '', photo: null, revealedHints: 0 }
 
@@ -53,12 +65,20 @@ export default function StopCard({
     ? prePopulatedImageUrl
     : (previewImage || state.photo || PLACEHOLDER)
 
+  // Stops whose challenge asks for a video clip (hunt_stops.media_type)
+  const mediaType = stop.mediaType || 'photo'
+  const showVideo = !hasPrePopulatedImage && isVideoUrl(displayImage)
+
   const isTransitioning = transitioningStops.has(stop.id)
   const isUploading = uploadingStops.has(stop.id)
 
+  // Geofenced check-in applies to incomplete stops that have coordinates
+  const showCheckIn = geofenceMode !== 'off' && !!stop.position && !state.done && !isPendingSync && !!onCheckIn
+  const checkInRequired = showCheckIn && geofenceMode === 'required' && !checkIn?.verified
+
   const handlePhotoUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0]
-    if (file && file.type.startsWith('image/')) {
+    if (file && acceptsFile(mediaType, file)) {
       await onUpload(stop.id, file)
     }
   }
@@ -101,6 +121,18 @@ export default function StopCard({
                 />
               )}
               <h3 className={`text-base font-semibold ${!state.photo && !hasPrePopulatedImage ? 'blur-sm' : ''}`} style={{ color: 'var(--color-text-primary)' }}>{stop.title}</h3>
+              {(stop.stopType === 'bonus' || stop.stopType === 'optional') && (
+                <span
+                  className='text-xs px-2 py-0.5 rounded-full'
+                  style={{
+                    backgroundColor: 'var(--color-surface)',
+                    border: '1px solid var(--color-border)',
+                    color: 'var(--color-text-secondary)'
+                  }}
+                >
+                  {stop.stopType === 'bonus' ? 'Bonus' : 'Optional'}
+                </span>
+              )}
             </div>
             {state.done && (
               <span style={{ color: 'var(--color-text-primary)' }}>
@@ -215,14 +247,28 @@ export default function StopCard({
                 <div className='text-xs uppercase tracking-wide flex items-center gap-1' style={{ color: 'var(--color-text-secondary)' }}>
                   📷 Reference Photo
                 </div>
+              ) : isPendingSync ? (
+                <div className='text-xs uppercase tracking-wide' style={{ color: 'var(--color-warm-grey)' }}>
+                  ⏳ Pending sync
+                </div>
               ) : (state.photo || previewImage) ? (
                 <div className={`text-xs uppercase tracking-wide`} style={{ color: 'var(--color-success)' }}>
-                  ✅ Photo Complete
+                  ✅ {showVideo ? 'Video' : 'Photo'} Complete
                 </div>
               ) : null}
 
-              {/* Image display */}
-              {displayImage && (
+              {/* Image or video clip display */}
+              {showVideo ? (
+                <video
+                  src={displayImage}
+                  controls
+                  playsInline
+                  preload='metadata'
+                  className='mt-2 rounded-md object-contain w-full'
+                  style={{ aspectRatio: '1 / 1', maxHeight: '300px', backgroundColor: 'black' }}
+                  onClick={(e) => e.stopPropagation()}
+                />
+              ) : displayImage && (
                 <img
                   src={displayImage}
                   alt={hasPrePopulatedImage ? 'Reference photo' : 'Selfie'}
@@ -241,19 +287,63 @@ export default function StopCard({
               <div className='mt-2 flex items-center gap-2 text-xs' style={{ color: 'var(--color-text-secondary)' }}>
                 {hasPrePopulatedImage
                   ? '🖼️ Location reference image'
-                  : (state.photo || previewImage)
+                  : isPendingSync
+                    ? '📶 Saved on this phone. It will upload when you have signal.'
+                    : showVideo
+                    ? '✨ Your video clip'
+                    : (state.photo || previewImage)
                     ? '✨ Your selected photo'
+                    : mediaType === 'video'
+                    ? '🎬 Record a short video clip together at this location.'
+                    : mediaType === 'photo_or_video'
+                    ? '📷 Capture a creative selfie or a short video clip together at this location.'
                     : '📷 Capture a creative selfie together at this location.'}
               </div>
             </div>
           </div>
 
+          {/* Geofenced check-in */}
+          {showCheckIn && (
+            <div className='mt-3'>
+              <button
+                type='button'
+                disabled={isCheckingIn}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onCheckIn!(stop.id)
+                }}
+                className='w-full px-4 py-3 font-medium rounded-lg flex items-center justify-center gap-2 transition-all duration-200 border'
+                style={{
+                  borderColor: checkIn?.verified ? 'var(--color-success)' : 'var(--color-accent)',
+                  color: checkIn?.verified ? 'var(--color-success)' : 'var(--color-accent)',
+                  backgroundColor: 'var(--color-surface)',
+                  cursor: isCheckingIn ? 'wait' : 'pointer'
+                }}
+              >
+                {isCheckingIn
+                  ? 'Finding your location...'
+                  : checkIn?.verified
+                    ? '✅ Checked in'
+                    : '📍 Check In Here'}
+              </button>
+              <div className='mt-1 text-xs text-center' style={{ color: 'var(--color-text-secondary)' }}>
+                {checkIn && !checkIn.verified && checkIn.distanceMeters !== null
+                  ? `About ${checkIn.distanceMeters} m away. Get within ${checkIn.radiusMeters} m to check in.`
+                  : checkInRequired
+                    ? 'Check in at this stop to unlock the upload.'
+                    : !checkIn
+                      ? 'Optional: confirm you are at this stop.'
+                      : null}
+              </div>
+            </div>
+          )}
+
           {/* Upload button - only show if NOT pre-populated mode and no photo yet */}
-          {!hasPrePopulatedImage && !state.photo && (
+          {!hasPrePopulatedImage && !state.photo && !isPendingSync && !checkInRequired && (
             <div className='mt-3'>
               <input
                 type='file'
-                accept='image/*'
+                accept={acceptForMediaType(mediaType)}
                 onChange={handlePhotoUpload}
                 className='hidden'
                 id={`file-${stop.id}`}
@@ -287,14 +377,14 @@ export default function StopCard({
                     Saving...
                   </>
                 ) : (
-                  <>📸 Upload Photo</>
+                  <>{mediaType === 'video' ? '🎬 Upload Video' : mediaType === 'photo_or_video' ? '📸 Upload Photo or Video' : '📸 Upload Photo'}</>
                 )}
               </label>
             </div>
           )}
 
           {/* Pre-populated mode: Show "Next Step" button */}
-          {hasPrePopulatedImage && !state.done && (
+          {hasPrePopulatedImage && !state.done && !checkInRequired && (
             <div className='mt-3'>
               <button
                 onClick={(e) => {
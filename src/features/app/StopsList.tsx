@@ -1,5 +1,7 @@
 import React from 'react'
 import StopCard from './StopCard'
+import LockedStopCard from './LockedStopCard'
+import type { GeofenceMode, StopCheckIn } from '../../types/hunt-system'
 
 interface StopsListProps {
   stops: any[]
@@ -13,8 +15,13 @@ interface StopsListProps {
   seedProgress: (updateFn: any) => void
   previewUrls: Record<string, string>
   savingStops: Set<string>
+  pendingSyncStops?: Set<string>
   onNextStep?: (stopId: string) => void
   isPrePopulatedHunt?: boolean
+  geofenceMode?: GeofenceMode
+  checkIns?: Record<string, StopCheckIn>
+  checkingInStops?: Set<string>
+  onCheckIn?: (stopId: string) => void
 }
 
 export default function StopsList({
@@ -29,8 +36,13 @@ export default function StopsList({
   seedProgress,
   previewUrls,
   savingStops,
+  pendingSyncStops = new Set(),
   onNextStep,
-  isPrePopulatedHunt = false
+  isPrePopulatedHunt = false,
+  geofenceMode = 'off',
+  checkIns = {},
+  checkingInStops,
+  onCheckIn
 }: StopsListProps) {
   // Get completed stops sorted by completion timestamp (earliest first)
   const completedStops = stops
@@ -71,7 +83,9 @@ export default function StopsList({
   
   // Find the first incomplete stop (excluding transitioning ones)
   // Only show if there are no transitioning stops (wait for completion transition to finish)
-  const firstIncomplete = stopsWithNumbers.find(stop => !(progress[stop.id]?.done))
+  // Stops with an upload waiting for signal are shown separately so the team can move on
+  const firstIncomplete = stopsWithNumbers.find(stop => !(progress[stop.id]?.done) && !pendingSyncStops.has(stop.id))
+  const pendingStops = stopsWithNumbers.filter(stop => !(progress[stop.id]?.done) && pendingSyncStops.has(stop.id))
 
   // Get transitioning stops (keep them in their current position)
   const transitioningStopsArray = stopsWithNumbers
@@ -88,6 +102,11 @@ export default function StopsList({
     activeStops.push(firstIncomplete)
   }
 
+  // Sequential hunts: stops after the current one arrive locked (no clue sent)
+  const lockedStops = stops
+    .map((stop, i) => ({ id: stop.id, stepNumber: i + 1, isLocked: !!stop.isLocked }))
+    .filter(stop => stop.isLocked && !(progress[stop.id]?.done))
+
   const revealNextHint = (stopId: string) => {
     const state = progress[stopId] || { done: false, notes: '', photo: null, revealedHints: 0 }
     const stop = stops.find(s => s.id === stopId)
@@ -102,8 +121,8 @@ export default function StopsList({
 
   return (
     <>
-      {/* Render active stops (current task) */}
-      {activeStops.map((s, i) => (
+      {/* Stops captured offline, waiting to upload */}
+      {pendingStops.map((s, i) => (
         <StopCard
           key={s.id}
           stop={s}
@@ -116,11 +135,38 @@ export default function StopsList({
           revealNextHint={() => revealNextHint(s.id)}
           index={i}
           previewImage={previewUrls[s.id]}
+          isPendingSync
+        />
+      ))}
+
+      {/* Render active stops (current task) */}
+      {activeStops.filter(s => !s.isLocked).map((s, i) => (
+        <StopCard
+          key={s.id}
+          stop={s}
+          progress={progress}
+          onUpload={onPhotoUpload}
+          onToggleExpanded={onToggleExpanded}
+          expanded={expandedStops[s.id] || false}
+          uploadingStops={uploadingStops}
+          transitioningStops={transitioningStops}
+          revealNextHint={() => revealNextHint(s.id)}
+          index={pendingStops.length + i}
+          previewImage={previewUrls[s.id]}
           isSaving={savingStops.has(s.id)}
           onNextStep={onNextStep}
+          geofenceMode={geofenceMode}
+          checkIn={checkIns[s.id]}
+          isCheckingIn={checkingInStops?.has(s.id)}
+          onCheckIn={onCheckIn}
         />
       ))}
 
+      {/* Locked placeholders for the rest of a sequential hunt */}
+      {lockedStops.map((s, i) => (
+        <LockedStopCard key={s.id} stepNumber={s.stepNumber} index={pendingStops.length + activeStops.length + i} />
+      ))}
+
       {/* Completed stops are now shown in the History tab */}
     </>
   )
@@ -0,0 +1,83 @@
+import React from 'react'
+import type { MapStop, Point } from '../../utils/mapGeometry'
+
+interface RouteOverlayProps {
+  width: number
+  height: number
+  stops: MapStop[]
+  /** Screen position for each entry in stops */
+  stopPoints: Point[]
+  /** Screen positions of the completion path, in visit order */
+  pathPoints: Point[]
+  selectedStopId?: string | null
+  onSelectStop?: (stopId: string) => void
+}
+
+/**
+ * SVG layer with the team's completion path and a marker per stop
+ * Shared by the tiled map and the schematic fallback.
+ */
+export const RouteOverlay: React.FC<RouteOverlayProps> = ({
+  width,
+  height,
+  stops,
+  stopPoints,
+  pathPoints,
+  selectedStopId,
+  onSelectStop
+}) => (
+  <svg
+    width={width}
+    height={height}
+    viewBox={`0 0 ${width} ${height}`}
+    className='absolute inset-0'
+    role='img'
+    aria-label='Hunt stops and team route'
+  >
+    {pathPoints.length > 1 && (
+      <polyline
+        points={pathPoints.map(p => `${p.x},${p.y}`).join(' ')}
+        fill='none'
+        stroke='var(--color-accent)'
+        strokeWidth={3}
+        strokeLinecap='round'
+        strokeLinejoin='round'
+        strokeDasharray='6 4'
+      />
+    )}
+
+    {stops.map((stop, i) => {
+      const point = stopPoints[i]
+      const isCompleted = stop.status === 'completed'
+      const isSelected = stop.id === selectedStopId
+
+      return (
+        <g
+          key={stop.id}
+          transform={`translate(${point.x}, ${point.y})`}
+          onClick={() => onSelectStop?.(stop.id)}
+          style={{ cursor: onSelectStop ? 'pointer' : 'default' }}
+        >
+          <title>{`${stop.title}${isCompleted ? ' (completed)' : ''}`}</title>
+          <circle
+            r={isSelected ? 13 : 11}
+            fill={isCompleted ? 'var(--color-success)' : 'var(--color-surface)'}
+            stroke={isCompleted ? 'var(--color-white)' : 'var(--color-text-secondary)'}
+            strokeWidth={2}
+          />
+          <text
+            textAnchor='middle'
+            dominantBaseline='central'
+            fontSize={11}
+            fontWeight={600}
+            fill={isCompleted ? 'var(--color-white)' : 'var(--color-text-secondary)'}
+          >
+            {isCompleted ? stop.visitOrder : '•'}
+          </text>
+        </g>
+      )
+    })}
+  </svg>
+)
+
+export default RouteOverlay
@@ -0,0 +1,68 @@
+import React from 'react'
+import { projectSchematic, type MapRoute } from '../../utils/mapGeometry'
+import RouteOverlay from './RouteOverlay'
+
+interface SchematicMapProps {
+  route: MapRoute
+  width: number
+  height: number
+  selectedStopId?: string | null
+  onSelectStop?: (stopId: string) => void
+}
+
+const GRID_SPACING = 40
+
+/**
+ * Tile-free fallback: stops and route drawn to scale on a plain grid
+ * Used when no tile provider is configured or tiles cannot be loaded (offline).
+ */
+export const SchematicMap: React.FC<SchematicMapProps> = ({
+  route,
+  width,
+  height,
+  selectedStopId,
+  onSelectStop
+}) => {
+  // Project stops and path together so they share one scale
+  const points = projectSchematic(
+    [...route.stops.map(s => s.position), ...route.path],
+    width,
+    height
+  )
+  const stopPoints = points.slice(0, route.stops.length)
+  const pathPoints = points.slice(route.stops.length)
+
+  return (
+    <div
+      className='relative overflow-hidden rounded-lg'
+      style={{ width, height, backgroundColor: 'var(--color-background)', border: '1px solid var(--color-border)' }}
+    >
+      <svg width={width} height={height} className='absolute inset-0' aria-hidden='true'>
+        <defs>
+          <pattern id='schematic-grid' width={GRID_SPACING} height={GRID_SPACING} patternUnits='userSpaceOnUse'>
+            <path
+              d={`M ${GRID_SPACING} 0 L 0 0 0 ${GRID_SPACING}`}
+              fill='none'
+              stroke='var(--color-border)'
+              strokeWidth={1}
+            />
+          </pattern>
+        </defs>
+        <rect width={width} height={height} fill='url(#schematic-grid)' />
+        <text x={width - 8} y={20} textAnchor='end' fontSize={12} fill='var(--color-text-secondary)'>N ↑</text>
+      </svg>
+
+      <RouteOverlay
+        width={width}
+        height={height}
+        stops={route.stops}
+        stopPoints={stopPoints}
+        pathPoints={pathPoints}
+        selectedStopId={selectedStopId}
+        onSelectStop={onSelectStop}
+      />
+    </div>
+  )
+}
+
+export default SchematicMap
@@ -0,0 +1,109 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { fitViewport, projectMercator, visibleTiles, type MapRoute } from '../../utils/mapGeometry'
+import type { TileProvider } from './tileProviders'
+import RouteOverlay from './RouteOverlay'
+
+interface TileMapProps {
+  route: MapRoute
+  provider: TileProvider
+  width: number
+  height: number
+  selectedStopId?: string | null
+  onSelectStop?: (stopId: string) => void
+  /** Called when no tile could be loaded, so the caller can fall back */
+  onTilesUnavailable: () => void
+}
+
+/**
+ * Static tiled map fitted to the hunt's stops, with the route overlay on top
+ */
+export const TileMap: React.FC<TileMapProps> = ({
+  route,
+  provider,
+  width,
+  height,
+  selectedStopId,
+  onSelectStop,
+  onTilesUnavailable
+}) => {
+  const { tileSize } = provider
+
+  const viewport = useMemo(
+    () => fitViewport(route.stops.map(s => s.position), width, height, {
+      tileSize,
+      minZoom: provider.minZoom,
+      maxZoom: Math.min(provider.maxZoom, 18)
+    }),
+    [route.stops, width, height, tileSize, provider.minZoom, provider.maxZoom]
+  )
+
+  const tiles = useMemo(() => visibleTiles(viewport, tileSize), [viewport, tileSize])
+  const [failedTiles, setFailedTiles] = useState<Set<string>>(new Set())
+
+  useEffect(() => {
+    setFailedTiles(new Set())
+  }, [tiles])
+
+  useEffect(() => {
+    if (tiles.length > 0 && failedTiles.size >= tiles.length) {
+      console.warn(`[TileMap] No tiles loaded from provider '${provider.id}', using schematic map`)
+      onTilesUnavailable()
+    }
+  }, [failedTiles, tiles.length, provider.id, onTilesUnavailable])
+
+  const toScreen = (position: { lat: number; lng: number }) => {
+    const world = projectMercator(position, viewport.zoom, tileSize)
+    return { x: world.x - viewport.origin.x, y: world.y - viewport.origin.y }
+  }
+
+  const stopPoints = route.stops.map(s => toScreen(s.position))
+  const pathPoints = route.path.map(toScreen)
+
+  return (
+    <div
+      className='relative overflow-hidden rounded-lg'
+      style={{ width, height, backgroundColor: 'var(--color-light-grey)' }}
+    >
+      {tiles.map(tile => {
+        const key = `${viewport.zoom}/${tile.x}/${tile.y}`
+        return (
+          <img
+            key={key}
+            src={provider.getTileUrl(tile.x, tile.y, viewport.zoom)}
+            alt=''
+            draggable={false}
+            className='absolute select-none'
+            style={{
+              left: tile.x * tileSize - viewport.origin.x,
+              top: tile.y * tileSize - viewport.origin.y,
+              width: tileSize,
+              height: tileSize
+            }}
+            onError={() => setFailedTiles(prev => new Set(prev).add(key))}
+          />
+        )
+      })}
+
+      <RouteOverlay
+        width={width}
+        height={height}
+        stops={route.stops}
+        stopPoints={stopPoints}
+        pathPoints={pathPoints}
+        selectedStopId={selectedStopId}
+        onSelectStop={onSelectStop}
+      />
+
+      {provider.attribution && (
+        <div
+          className='absolute bottom-0 right-0 px-1 text-[10px]'
+          style={{ backgroundColor: 'rgba(255, 255, 255, 0.8)', color: 'var(--color-text-secondary)' }}
+        >
+          {provider.attribution}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TileMap
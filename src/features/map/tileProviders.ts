@@ -0,0 +1,94 @@
+/**
+ * Tile providers for the Map tab
+ *
+ * A provider turns a tile coordinate into an image URL. The active provider is
+ * chosen by VITE_MAP_TILE_PROVIDER, or by VITE_MAP_TILE_URL for self-hosted
+ * tiles. 'none' (or an unknown id) means no tiles: the map renders the SVG
+ * schematic instead.
+ *
+ * @ai-related-files: /src/env.ts, /src/features/map/TileMap.tsx
+ */
+import { MAP_TILE_ATTRIBUTION, MAP_TILE_PROVIDER, MAP_TILE_URL } from '../../env'
+
+export interface TileProvider {
+  id: string
+  attribution: string
+  tileSize: number
+  minZoom: number
+  maxZoom: number
+  getTileUrl: (x: number, y: number, zoom: number) => string
+}
+
+interface TemplateProviderOptions {
+  id: string
+  /** URL with {z}, {x}, {y} and optional {s} placeholders */
+  urlTemplate: string
+  attribution: string
+  subdomains?: string[]
+  tileSize?: number
+  minZoom?: number
+  maxZoom?: number
+}
+
+/**
+ * Build a provider from an XYZ URL template
+ */
+export function createTemplateTileProvider({
+  id,
+  urlTemplate,
+  attribution,
+  subdomains = [],
+  tileSize = 256,
+  minZoom = 0,
+  maxZoom = 19
+}: TemplateProviderOptions): TileProvider {
+  return {
+    id,
+    attribution,
+    tileSize,
+    minZoom,
+    maxZoom,
+    getTileUrl: (x, y, zoom) => {
+      // Wrap x so routes near the antimeridian still get tiles
+      const count = 2 ** zoom
+      const wrappedX = ((x % count) + count) % count
+      const subdomain = subdomains.length > 0 ? subdomains[(wrappedX + y) % subdomains.length] : ''
+      return urlTemplate
+        .replace('{s}', subdomain)
+        .replace('{z}', String(zoom))
+        .replace('{x}', String(wrappedX))
+        .replace('{y}', String(y))
+    }
+  }
+}
+
+const providers = new Map<string, TileProvider>()
+
+/**
+ * Register (or replace) a tile provider
+ */
+export function registerTileProvider(provider: TileProvider): void {
+  providers.set(provider.id, provider)
+}
+
+/**
+ * Look up a provider; defaults to the configured one. Returns null when maps
+ * should use the schematic fallback.
+ */
+export function getTileProvider(id: string = MAP_TILE_PROVIDER): TileProvider | null {
+  return providers.get(id) || null
+}
+
+registerTileProvider(createTemplateTileProvider({
+  id: 'osm',
+  urlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '© OpenStreetMap contributors'
+}))
+
+if (MAP_TILE_URL) {
+  registerTileProvider(createTemplateTileProvider({
+    id: 'custom',
+    urlTemplate: MAP_TILE_URL,
+    attribution: MAP_TILE_ATTRIBUTION || ''
+  }))
+}
@@ -3,6 +3,7 @@ import { useNavigationStore } from './navigationStore'
 
 // Lazy load view components for better performance
 const ActiveView = lazy(() => import('../views/ActiveView'))
+const MapView = lazy(() => import('../views/MapView'))
 const HistoryView = lazy(() => import('../views/HistoryView'))
 const RankingsView = lazy(() => import('../views/RankingsView'))
 const HealthView = lazy(() => import('../views/HealthView'))
@@ -37,6 +38,7 @@ export const TabContainer: React.FC = () => {
     <div style={containerStyle}>
       <Suspense fallback={<LoadingView />}>
         {activeTab === 'active' && <ActiveView />}
+        {activeTab === 'map' && <MapView />}
         {activeTab === 'history' && <HistoryView />}
         {activeTab === 'rankings' && <RankingsView />}
         {activeTab === 'health' && <HealthView />}
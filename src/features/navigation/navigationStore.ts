@@ -1,7 +1,7 @@
 import { create } from 'zustand'
 import { devtools } from 'zustand/middleware'
 
-export type TabId = 'active' | 'history' | 'rankings'
+export type TabId = 'active' | 'map' | 'history' | 'rankings'
 
 interface NavigationState {
   activeTab: TabId
@@ -17,6 +17,7 @@ export const useNavigationStore = create<NavigationState>()(
       activeTab: 'active',
       scrollPositions: {
         active: 0,
+        map: 0,
         history: 0,
         rankings: 0,
       },
@@ -11,12 +11,16 @@ import { useAppStore } from '../../store/appStore'
 interface SplashGateProps {
   onTeamVerified: (teamId: string, teamName: string, fullResponse?: any) => void
   onCancel?: () => void
+  /** Why a join link (?join=) didn't work; teams can still type their code */
+  initialError?: string | null
 }
 
-export function SplashGate({ onTeamVerified, onCancel }: SplashGateProps) {
+export function SplashGate({ onTeamVerified, onCancel, initialError }: SplashGateProps) {
   const [teamCode, setTeamCode] = useState('')
   const [isLoading, setIsLoading] = useState(false)
-  const [error, setError] = useState<{ message: string; canRetry: boolean } | null>(null)
+  const [error, setError] = useState<{ message: string; canRetry: boolean } | null>(
+    initialError ? { message: initialError, canRetry: true } : null
+  )
   const inputRef = useRef<HTMLInputElement>(null)
 
   // Focus input on mount
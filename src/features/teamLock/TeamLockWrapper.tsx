@@ -1,12 +1,14 @@
 /**
  * TeamLockWrapper - Wrapper component for team lock functionality
- * Conditionally shows splash screen based on team lock state
+ * Conditionally shows splash screen based on team lock state, and redeems a
+ * signed join link (?join=, from a team card QR code) on load
  */
 import React, { useCallback, useEffect, useState, useRef } from 'react'
 import { SplashGate } from './SplashGate'
 import { useTeamLock } from './useTeamLock'
 import { useAppStore } from '../../store/appStore'
 import { LoginService } from '../../services/LoginService'
+import { getJoinToken, withoutJoinToken } from '../../utils/url'
 import * as Sentry from '@sentry/react'
 
 interface TeamLockWrapperProps {
@@ -15,7 +17,11 @@ interface TeamLockWrapperProps {
 
 export function TeamLockWrapper({ children }: TeamLockWrapperProps) {
   const { showSplash, isLoading, onTeamVerified, teamId, teamName } = useTeamLock()
-  const { setTeamName, setTeamId, setLocationName, setEventName, setOrganizationId, setHuntId, sessionId } = useAppStore()
+  const { setTeamName, setTeamId, setLocationName, setEventName, setOrganizationId, setHuntId, setHuntSchedule, setHuntGeofence, setKeepPhotoLocation, setLockedByQuery, sessionId } = useAppStore()
+  const [joinToken] = useState(() => getJoinToken(window.location.search))
+  const [isJoining, setIsJoining] = useState(!!joinToken)
+  const [joinError, setJoinError] = useState<string | null>(null)
+  const joinStarted = useRef(false)
   const [isInitializing, setIsInitializing] = useState(false)
   const [hasInitialized, setHasInitialized] = useState(false)
   const [initError, setInitError] = useState<string | null>(null)
@@ -45,6 +51,9 @@ export function TeamLockWrapper({ children }: TeamLockWrapperProps) {
       // Update app store with all data from consolidated response
       setOrganizationId(fullResponse.organization.id)
       setHuntId(fullResponse.hunt.id)
+      setHuntSchedule(fullResponse.hunt.schedule || null)
+      setHuntGeofence(fullResponse.hunt.geofence || null)
+      setKeepPhotoLocation(fullResponse.hunt.keepPhotoLocation === true)
 
       if (fullResponse.activeData?.settings) {
         setLocationName(fullResponse.activeData.settings.locationName)
@@ -58,12 +67,44 @@ export function TeamLockWrapper({ children }: TeamLockWrapperProps) {
     } finally {
       setIsInitializing(false)
     }
-  }, [onTeamVerified, setTeamId, setTeamName, setLocationName, setEventName, setOrganizationId, setHuntId])
+  }, [onTeamVerified, setTeamId, setTeamName, setLocationName, setEventName, setOrganizationId, setHuntId, setHuntSchedule, setHuntGeofence, setKeepPhotoLocation])
+
+  // Join with a signed link (?join=) before anything else
+  useEffect(() => {
+    if (!joinToken || joinStarted.current) return
+    joinStarted.current = true
+
+    // Drop the token from the address bar so it isn't bookmarked, shared or redeemed again on reload
+    window.history.replaceState(window.history.state, '', withoutJoinToken(window.location.href))
+
+    const joinWithLink = async () => {
+      try {
+        const response = await LoginService.joinWithLink(joinToken, sessionId)
+
+        if (response.teamVerification?.success) {
+          setLockedByQuery(true)
+          await handleTeamVerified(response.teamVerification.teamId!, response.teamVerification.teamName!, response)
+        } else if (response.currentTeam) {
+          // This device already belongs to the link's team; its lock stays in use
+          setLockedByQuery(true)
+        } else {
+          setJoinError(response.teamVerification?.error || "That join link didn't work. Enter your team code instead.")
+        }
+      } catch (error) {
+        console.warn('Failed to join with link:', error)
+        setJoinError(error instanceof Error ? error.message : "That join link didn't work. Enter your team code instead.")
+      } finally {
+        setIsJoining(false)
+      }
+    }
+
+    joinWithLink()
+  }, [joinToken, sessionId, handleTeamVerified, setLockedByQuery])
 
   // Initialize settings when we have an existing team lock (e.g., on page refresh)
   useEffect(() => {
     // Only run once when we have a team and haven't initialized yet
-    if (!isLoading && teamId && teamName && !showSplash && !hasInitialized) {
+    if (!isLoading && !isJoining && teamId && teamName && !showSplash && !hasInitialized) {
       const initializeFromExistingLock = async () => {
         console.log('Existing team lock detected, initializing settings for:', teamId)
 
@@ -92,6 +133,9 @@ export function TeamLockWrapper({ children }: TeamLockWrapperProps) {
           // Update app store with all data
           setOrganizationId(response.organization.id)
           setHuntId(response.hunt.id)
+          setHuntSchedule(response.hunt.schedule || null)
+          setHuntGeofence(response.hunt.geofence || null)
+          setKeepPhotoLocation(response.hunt.keepPhotoLocation === true)
 
           if (response.activeData?.settings) {
             setLocationName(response.activeData.settings.locationName)
@@ -168,10 +212,10 @@ export function TeamLockWrapper({ children }: TeamLockWrapperProps) {
         clearTimeout(retryTimeout.current)
       }
     }
-  }, [isLoading, teamId, teamName, showSplash, hasInitialized]) // Reduced dependencies
+  }, [isLoading, isJoining, teamId, teamName, showSplash, hasInitialized]) // Reduced dependencies
 
-  // Show loading state while checking team lock or initializing
-  if (isLoading || isInitializing) {
+  // Show loading state while checking team lock, joining or initializing
+  if (isLoading || isJoining || isInitializing) {
     return (
       <div className="fixed inset-0 bg-white z-50 flex flex-col items-center justify-center">
         <div className="flex items-center space-x-2">
@@ -210,7 +254,7 @@ export function TeamLockWrapper({ children }: TeamLockWrapperProps) {
 
   // Show splash screen when team lock is required and not present
   if (showSplash) {
-    return <SplashGate onTeamVerified={handleTeamVerified} />
+    return <SplashGate onTeamVerified={handleTeamVerified} initialError={joinError} />
   }
 
   // Show main app content
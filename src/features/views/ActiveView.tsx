@@ -27,6 +27,11 @@ import { SponsorCard } from '../sponsors/SponsorCard'
 import { useActiveData } from '../../hooks/useActiveData'
 import { LoginService } from '../../services/LoginService'
 import { TipsModal } from '../../components/TipsModal'
+import { HuntScheduleBanner } from '../../components/HuntScheduleBanner'
+import { useHuntSchedule } from '../../hooks/useHuntSchedule'
+import { useStopCheckIns } from '../../hooks/useStopCheckIns'
+import { useUploadQueue } from '../../hooks/useUploadQueue'
+import { isVideoFile } from '../../utils/media'
 
 const ActiveView: React.FC = () => {
   // const { success, error: showError, warning, info } = useToastActions()
@@ -39,6 +44,7 @@ const ActiveView: React.FC = () => {
     eventName,
     huntId,
     organizationId,
+    keepPhotoLocation,
   } = useAppStore()
 
   // Use consolidated data hook for all data in one request
@@ -48,6 +54,12 @@ const ActiveView: React.FC = () => {
     huntId
   )
 
+  // Hunt schedule window: countdown + lock outside start/end (server enforces too)
+  const { status: scheduleStatus, remainingMs, isLocked: isHuntLocked } = useHuntSchedule()
+
+  // Geofenced check-ins (hunt geofence mode off | advisory | required)
+  const { geofenceMode, checkIns, checkingIn, checkIn } = useStopCheckIns()
+
   // Check if this is a pre-populated image hunt
   const isPrePopulatedHunt = activeData?.photoMode === 'pre_populated'
 
@@ -57,7 +69,7 @@ const ActiveView: React.FC = () => {
     locationName
   })
 
-  const { progress, setProgress, seedProgress, completeCount, percent } = useProgress(stops)
+  const { progress, setProgress, seedProgress, completeCount, totalCount, percent } = useProgress(stops)
   const [fullSizeImageUrl, setFullSizeImageUrl] = useState(null)
 
   // Use UI store for UI state management
@@ -70,8 +82,13 @@ const ActiveView: React.FC = () => {
     setShowTips
   } = useUIStore()
 
-  // Use collage hook for automatic collage creation
-  const { collageUrl } = useCollage({ stops, progress, teamName })
+  // Server-built collage, available once every stop is complete
+  const { collageUrl } = useCollage({
+    orgId: organizationId,
+    teamId,
+    huntId,
+    isComplete: totalCount > 0 && completeCount >= totalCount
+  })
 
   // ⚠️ CRITICAL: Must call useQueryClient at top level, not inside callbacks
   // This fixes React error #321 in production (hook called in callback)
@@ -92,6 +109,7 @@ const ActiveView: React.FC = () => {
     orgId: organizationId,
     huntId,
     useOrchestrated: true, // Always use the complete endpoint now
+    keepPhotoLocation,
     onSuccess: async (stopId, photoUrl, progressUpdated) => {
       console.log(`[PHOTO-FLOW] ✅ Complete upload successful for stop ${stopId}`)
       console.log(`[PHOTO-FLOW] Photo URL:`, photoUrl?.substring(0, 100) + '...')
@@ -124,9 +142,46 @@ const ActiveView: React.FC = () => {
     },
     onError: (stopId, error) => {
       console.error(`Failed to upload photo for stop ${stopId}:`, error)
+    },
+    onQueued: (stopId) => {
+      console.log(`[PHOTO-FLOW] 📶 No signal, queued upload for stop ${stopId}`)
+    }
+  })
+
+  // Uploads taken without signal; replayed automatically when back online
+  const { pendingStops: pendingSyncStops, previewUrls: queuedPreviewUrls } = useUploadQueue({
+    orgId: organizationId,
+    huntId,
+    teamId,
+    onSynced: async (entries) => {
+      console.log(`[PHOTO-FLOW] ✅ Synced ${entries.length} queued upload(s)`)
+      setPreviewUrls(prev => {
+        const next = { ...prev }
+        entries.forEach(entry => {
+          if (next[entry.stopId]?.startsWith('blob:')) URL.revokeObjectURL(next[entry.stopId])
+          delete next[entry.stopId]
+        })
+        return next
+      })
+      await refetchData()
+      queryClient.invalidateQueries({
+        queryKey: ['consolidated-history', organizationId, teamId, huntId]
+      })
+    },
+    onRejected: (entry, error) => {
+      console.error(`[PHOTO-FLOW] Queued upload for stop ${entry.stopId} was rejected:`, error)
+      setPreviewUrls(prev => {
+        const { [entry.stopId]: _omit, ...rest } = prev
+        return rest
+      })
     }
   })
 
+  const stopPreviewUrls = React.useMemo(
+    () => ({ ...queuedPreviewUrls, ...previewUrls }),
+    [queuedPreviewUrls, previewUrls]
+  )
+
   // Sync progress from server data (extracts useEffect logic)
   useProgressSync({
     serverProgress: activeData?.progress,
@@ -171,8 +226,13 @@ const ActiveView: React.FC = () => {
 
   // Simplified photo upload handler using the hook
   const handlePhotoUpload = async (stopId: string, fileOrDataUrl: File | string) => {
-    // Set preview immediately
-    if (fileOrDataUrl instanceof File) {
+    if (isHuntLocked) {
+      console.warn(`[ActiveView] Ignoring upload for ${stopId}: hunt is ${scheduleStatus}`)
+      return
+    }
+
+    // Set preview immediately (video clips show once uploaded)
+    if (fileOrDataUrl instanceof File && !isVideoFile(fileOrDataUrl)) {
       const url = URL.createObjectURL(fileOrDataUrl)
       setPreviewUrls(prev => ({ ...prev, [stopId]: url }))
     } else if (typeof fileOrDataUrl === 'string') {
@@ -226,6 +286,11 @@ const ActiveView: React.FC = () => {
       if (success) {
         console.log(`[ActiveView] ✅ Progress saved for ${stopTitle}`)
 
+        // Sequential hunts: the next stop's clue is only sent once this one is done
+        if (stops.some(s => s.isLocked)) {
+          await refetchData()
+        }
+
         // Invalidate history so the completed stop appears when switching tabs
         queryClient.invalidateQueries({
           queryKey: ['consolidated-history', organizationId, teamId, huntId]
@@ -279,34 +344,55 @@ const ActiveView: React.FC = () => {
           huntId={huntId}
           percent={percent}
           completeCount={completeCount}
-          totalStops={stops.length}
+          totalStops={totalCount}
           stops={stops}
           progress={progress}
           hasSponsors={!!(activeData?.sponsors && activeData.sponsors.items.length > 0)}
         />
 
+        <HuntScheduleBanner status={scheduleStatus} remainingMs={remainingMs} />
+
         {/* Album Viewer Component */}
         <AlbumViewer
           collageUrl={collageUrl}
-          imageUrl={fullSizeImageUrl}
+          imageUrl={fullSizeImageUrl || collageUrl}
           initialExpanded={true}
         />
 
-        <StopsList
-          stops={stops}
-          progress={progress}
-          transitioningStops={transitioningStops}
-          expandedStops={expandedStopsObject}
-          onToggleExpanded={toggleStopExpanded}
-          uploadingStops={uploadingStops}
-          onPhotoUpload={handlePhotoUpload}
-          setProgress={setProgress}
-          seedProgress={seedProgress}
-          previewUrls={previewUrls}
-          savingStops={savingStops}
-          onNextStep={handleNextStep}
-          isPrePopulatedHunt={isPrePopulatedHunt}
-        />
+        {isHuntLocked ? (
+          <div className='mt-3 border rounded-lg p-6 text-center' style={{ backgroundColor: 'var(--color-surface)', borderColor: 'var(--color-border)' }}>
+            <div className='text-3xl mb-2'>{scheduleStatus === 'upcoming' ? '⏳' : '🔒'}</div>
+            <p className='font-semibold' style={{ color: 'var(--color-text-primary)' }}>
+              {scheduleStatus === 'upcoming' ? 'The hunt has not started yet' : 'The hunt is over'}
+            </p>
+            <p className='text-sm text-gray-500 mt-1'>
+              {scheduleStatus === 'upcoming'
+                ? 'Stops unlock when the countdown reaches zero.'
+                : 'Thanks for playing! Check the Rankings tab for final results.'}
+            </p>
+          </div>
+        ) : (
+          <StopsList
+            stops={stops}
+            progress={progress}
+            transitioningStops={transitioningStops}
+            expandedStops={expandedStopsObject}
+            onToggleExpanded={toggleStopExpanded}
+            uploadingStops={uploadingStops}
+            onPhotoUpload={handlePhotoUpload}
+            setProgress={setProgress}
+            seedProgress={seedProgress}
+            previewUrls={stopPreviewUrls}
+            savingStops={savingStops}
+            pendingSyncStops={pendingSyncStops}
+            onNextStep={handleNextStep}
+            isPrePopulatedHunt={isPrePopulatedHunt}
+            geofenceMode={geofenceMode}
+            checkIns={checkIns}
+            checkingInStops={checkingIn}
+            onCheckIn={checkIn}
+          />
+        )}
 
         <TipsModal isOpen={showTips} onClose={() => setShowTips(false)} />
       </div>
@@ -0,0 +1,314 @@
+import React, { useEffect, useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { HuntAdminService } from '../../services/HuntAdminService'
+import { OrganizerSignIn, getOrganizerCredential, storeOrganizerCredential } from '../../components/OrganizerSignIn'
+import { StopsEditor } from '../admin/StopsEditor'
+import { SponsorsEditor } from '../admin/SponsorsEditor'
+import { HuntPreview } from '../admin/HuntPreview'
+import { TeamsEditor } from '../admin/TeamsEditor'
+import type { AdminHunt, HuntInput } from '../../types/huntAdmin'
+import type { OrderingStrategy } from '../../types/hunt-system'
+
+type AdminTab = 'stops' | 'sponsors' | 'teams' | 'preview'
+
+const TABS: { id: AdminTab; label: string }[] = [
+  { id: 'stops', label: 'Stops' },
+  { id: 'sponsors', label: 'Sponsors' },
+  { id: 'teams', label: 'Teams' },
+  { id: 'preview', label: 'Preview' }
+]
+
+const ORDERING_LABELS: Record<OrderingStrategy, string> = {
+  fixed: 'Fixed - every team gets the same order',
+  randomized: 'Randomized - each team gets its own order',
+  sequential: 'Sequential - each stop unlocks after the previous one'
+}
+
+/** ISO timestamp -> value for <input type="datetime-local"> (local time) */
+const toLocalInput = (iso: string | null) => {
+  if (!iso) return ''
+  const date = new Date(iso)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+const fromLocalInput = (value: string) => (value ? new Date(value).toISOString() : null)
+
+/**
+ * Organizer admin console, served at /admin?org=&hunt=
+ * Create and edit hunts, their stops, sponsors and team codes, and preview the
+ * hunt as a team sees it. Rendered outside the team lock with the same organizer sign-in
+ * as the moderation queue; editing requires the organizer role.
+ */
+const AdminView: React.FC = () => {
+  const params = new URLSearchParams(window.location.search)
+  const [orgId, setOrgId] = useState(params.get('org') || '')
+  const [huntId, setHuntId] = useState(params.get('hunt') || '')
+  const [organizerKey, setOrganizerKey] = useState(getOrganizerCredential)
+  const [tab, setTab] = useState<AdminTab>('stops')
+  const [creating, setCreating] = useState(false)
+  const queryClient = useQueryClient()
+
+  const { data: hunts = [], isLoading, error } = useQuery({
+    queryKey: ['hunt-admin', orgId],
+    queryFn: () => HuntAdminService.listHunts(orgId, organizerKey),
+    enabled: !!orgId && !!organizerKey
+  })
+
+  const createHunt = useMutation({
+    mutationFn: (input: HuntInput) => HuntAdminService.createHunt(orgId, input, organizerKey),
+    onSuccess: (hunt) => {
+      setCreating(false)
+      setHuntId(hunt.id)
+      queryClient.invalidateQueries({ queryKey: ['hunt-admin', orgId] })
+    }
+  })
+
+  // Keep the URL shareable (/admin?org=&hunt=)
+  useEffect(() => {
+    const search = new URLSearchParams()
+    if (orgId) search.set('org', orgId)
+    if (huntId) search.set('hunt', huntId)
+    window.history.replaceState(null, '', `${window.location.pathname}?${search}`)
+  }, [orgId, huntId])
+
+  const storeCredential = (credential: string) => {
+    storeOrganizerCredential(credential)
+    setOrganizerKey(credential)
+    queryClient.removeQueries({ queryKey: ['hunt-admin'] })
+  }
+
+  const isUnauthorized = (error as any)?.status === 401
+  const isForbidden = (error as any)?.status === 403
+  const hunt = hunts.find(h => h.id === huntId) || null
+
+  if (!organizerKey || isUnauthorized) {
+    return <OrganizerSignIn title="Hunt admin" expired={isUnauthorized} onSignedIn={storeCredential} />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-2xl font-bold text-gray-900">Hunt admin</h1>
+          <button onClick={() => storeCredential('')} className="text-sm text-gray-600 hover:text-gray-900">
+            Sign out
+          </button>
+        </div>
+
+        {/* Organization and hunt selection */}
+        <div className="flex gap-2 mb-4">
+          <input
+            value={orgId}
+            onChange={(e) => { setOrgId(e.target.value.trim()); setHuntId('') }}
+            placeholder="Organization ID"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <select
+            value={huntId}
+            onChange={(e) => { setHuntId(e.target.value); setCreating(false) }}
+            disabled={hunts.length === 0}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+          >
+            <option value="">Select a hunt</option>
+            {hunts.map(h => (
+              <option key={h.id} value={h.id}>
+                {h.name}{h.isActive ? '' : ' (inactive)'}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setCreating(!creating)}
+            disabled={!orgId}
+            className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+          >
+            New hunt
+          </button>
+        </div>
+
+        {createHunt.error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+            {createHunt.error instanceof Error ? createHunt.error.message : 'Creating the hunt failed'}
+          </div>
+        )}
+
+        {!orgId ? (
+          <p className="text-center text-gray-500 py-12">Enter an organization to manage its hunts</p>
+        ) : isLoading ? (
+          <p className="text-center text-gray-500 py-12">Loading hunts...</p>
+        ) : isForbidden ? (
+          <p className="text-center text-red-500 py-12">Your organizer role doesn't include this organization</p>
+        ) : error ? (
+          <p className="text-center text-red-500 py-12">Failed to load hunts</p>
+        ) : creating ? (
+          <HuntForm
+            hunt={null}
+            saving={createHunt.isPending}
+            onSave={(input) => createHunt.mutate(input)}
+            onCancel={() => setCreating(false)}
+          />
+        ) : !hunt ? (
+          <p className="text-center text-gray-500 py-12">
+            {hunts.length === 0 ? 'No hunts yet - create the first one' : 'Select a hunt to edit'}
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <HuntSettings key={hunt.id} orgId={orgId} hunt={hunt} organizerKey={organizerKey} />
+
+            <div className="flex gap-2">
+              {TABS.map(t => (
+                <button
+                  key={t.id}
+                  onClick={() => setTab(t.id)}
+                  className={`
+                    px-3 py-1 rounded-full text-sm font-medium transition-colors
+                    ${tab === t.id
+                      ? 'bg-blue-100 text-blue-700'
+                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }
+                  `}
+                >
+                  {t.label}
+                </button>
+              ))}
+            </div>
+
+            {tab === 'stops' && <StopsEditor orgId={orgId} huntId={hunt.id} organizerKey={organizerKey} />}
+            {tab === 'sponsors' && <SponsorsEditor orgId={orgId} huntId={hunt.id} organizerKey={organizerKey} />}
+            {tab === 'teams' && <TeamsEditor orgId={orgId} huntId={hunt.id} organizerKey={organizerKey} />}
+            {tab === 'preview' && <HuntPreview orgId={orgId} huntId={hunt.id} organizerKey={organizerKey} />}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Edit the selected hunt's name, schedule, active flag and ordering
+ */
+const HuntSettings: React.FC<{ orgId: string; hunt: AdminHunt; organizerKey: string }> = ({ orgId, hunt, organizerKey }) => {
+  const queryClient = useQueryClient()
+
+  const update = useMutation({
+    mutationFn: (input: HuntInput) => HuntAdminService.updateHunt(orgId, hunt.id, input, organizerKey),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['hunt-admin', orgId] })
+  })
+
+  return (
+    <>
+      {update.error && (
+        <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          {update.error instanceof Error ? update.error.message : 'Saving the hunt failed'}
+        </div>
+      )}
+      <HuntForm hunt={hunt} saving={update.isPending} onSave={(input) => update.mutate(input)} />
+    </>
+  )
+}
+
+interface HuntFormProps {
+  hunt: AdminHunt | null
+  saving: boolean
+  onSave: (input: HuntInput) => void
+  onCancel?: () => void
+}
+
+/**
+ * Create or edit a hunt; hunt IDs can't change once created
+ */
+const HuntForm: React.FC<HuntFormProps> = ({ hunt, saving, onSave, onCancel }) => {
+  const [id, setId] = useState('')
+  const [name, setName] = useState(hunt?.name || '')
+  const [isActive, setIsActive] = useState(hunt?.isActive ?? false)
+  const [startsAt, setStartsAt] = useState(toLocalInput(hunt?.startsAt ?? null))
+  const [endsAt, setEndsAt] = useState(toLocalInput(hunt?.endsAt ?? null))
+  const [orderingStrategy, setOrderingStrategy] = useState<OrderingStrategy>(hunt?.orderingStrategy || 'fixed')
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault()
+    const input: HuntInput = {
+      name: name.trim(),
+      isActive,
+      startsAt: fromLocalInput(startsAt),
+      endsAt: fromLocalInput(endsAt),
+      orderingStrategy
+    }
+    onSave(hunt ? input : { ...input, id: id.trim() })
+  }
+
+  return (
+    <form onSubmit={submit} className="bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="font-semibold text-gray-900">{hunt ? 'Hunt settings' : 'New hunt'}</h2>
+        {hunt && <span className="text-xs text-gray-400">{hunt.id}</span>}
+      </div>
+      {!hunt && (
+        <input
+          value={id}
+          onChange={(e) => setId(e.target.value.toLowerCase())}
+          placeholder="Hunt ID (e.g. fall-2025)"
+          pattern="[a-z0-9-]{2,50}"
+          required
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+      )}
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Hunt name"
+        required
+        maxLength={120}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+      />
+      <div className="flex gap-2">
+        <label className="flex-1 text-sm text-gray-600">
+          Starts
+          <input
+            type="datetime-local"
+            value={startsAt}
+            onChange={(e) => setStartsAt(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <label className="flex-1 text-sm text-gray-600">
+          Ends
+          <input
+            type="datetime-local"
+            value={endsAt}
+            onChange={(e) => setEndsAt(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+      </div>
+      <select
+        value={orderingStrategy}
+        onChange={(e) => setOrderingStrategy(e.target.value as OrderingStrategy)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+      >
+        {(Object.keys(ORDERING_LABELS) as OrderingStrategy[]).map(strategy => (
+          <option key={strategy} value={strategy}>{ORDERING_LABELS[strategy]}</option>
+        ))}
+      </select>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={isActive} onChange={(e) => setIsActive(e.target.checked)} />
+        Active (teams can join and play)
+      </label>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : hunt ? 'Save hunt' : 'Create hunt'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default AdminView
@@ -0,0 +1,290 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { useInfiniteQuery, useQuery } from '@tanstack/react-query'
+import { GalleryService } from '../../services/GalleryService'
+import type { GalleryPhoto } from '../../types/gallery'
+
+const SLIDE_INTERVALS = [5, 8, 12, 20]
+// Start loading the next page this many slides before the end
+const PREFETCH_SLIDES = 3
+
+/**
+ * Hunt-wide gallery of approved photos, served at /gallery?org=&hunt=
+ * Rendered outside the team lock so it can run on a projector at the awards party.
+ */
+const GalleryView: React.FC = () => {
+  const params = new URLSearchParams(window.location.search)
+  const [orgId, setOrgId] = useState(params.get('org') || '')
+  const [huntId, setHuntId] = useState(params.get('hunt') || '')
+  const [stopId, setStopId] = useState('')
+  const [teamId, setTeamId] = useState('')
+  const [slideIndex, setSlideIndex] = useState<number | null>(null)
+
+  const enabled = !!orgId && !!huntId
+
+  const { data: filters } = useQuery({
+    queryKey: ['gallery-filters', orgId, huntId],
+    queryFn: () => GalleryService.getFilters(orgId, huntId),
+    enabled
+  })
+
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['gallery', orgId, huntId, stopId, teamId],
+    queryFn: ({ pageParam }) =>
+      GalleryService.getPhotos({ orgId, huntId, stopId, teamId, cursor: pageParam }),
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor,
+    enabled,
+    // Refreshing reorders slides (newest first), so hold still during a slideshow
+    refetchInterval: slideIndex === null ? 60000 : false
+  })
+
+  const photos = data?.pages.flatMap(page => page.photos) || []
+  const closeSlideshow = useCallback(() => setSlideIndex(null), [])
+  const loadMore = useCallback(() => {
+    if (!isFetchingNextPage) fetchNextPage()
+  }, [isFetchingNextPage, fetchNextPage])
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-5xl mx-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-2xl font-bold text-gray-900">Photo gallery</h1>
+          <button
+            onClick={() => setSlideIndex(0)}
+            disabled={photos.length === 0}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            ▶ Slideshow
+          </button>
+        </div>
+
+        {/* Hunt selection */}
+        <div className="flex gap-2 mb-3">
+          <input
+            value={orgId}
+            onChange={(e) => setOrgId(e.target.value.trim())}
+            placeholder="Organization ID"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            value={huntId}
+            onChange={(e) => setHuntId(e.target.value.trim())}
+            placeholder="Hunt ID"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+
+        {/* Filters */}
+        <div className="flex gap-2 mb-4">
+          <select
+            value={stopId}
+            onChange={(e) => setStopId(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+          >
+            <option value="">All stops</option>
+            {filters?.stops.map(stop => (
+              <option key={stop.id} value={stop.id}>{stop.title} ({stop.count})</option>
+            ))}
+          </select>
+          <select
+            value={teamId}
+            onChange={(e) => setTeamId(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+          >
+            <option value="">All teams</option>
+            {filters?.teams.map(team => (
+              <option key={team.id} value={team.id}>{team.name} ({team.count})</option>
+            ))}
+          </select>
+        </div>
+
+        {!enabled ? (
+          <p className="text-center text-gray-500 py-12">Enter an organization and hunt to load the gallery</p>
+        ) : isLoading ? (
+          <p className="text-center text-gray-500 py-12">Loading photos...</p>
+        ) : error ? (
+          <p className="text-center text-red-500 py-12">Failed to load photos</p>
+        ) : photos.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">No approved photos yet</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+              {photos.map((photo, index) => (
+                <button
+                  key={photo.id}
+                  onClick={() => setSlideIndex(index)}
+                  className="relative aspect-square overflow-hidden rounded-lg bg-gray-200 text-left"
+                >
+                  {photo.mediaType === 'video' ? (
+                    <video src={photo.thumbnailUrl} muted playsInline preload="metadata" className="w-full h-full object-cover" />
+                  ) : (
+                    <img src={photo.thumbnailUrl} alt={`${photo.teamName} at ${photo.locationTitle}`} loading="lazy" className="w-full h-full object-cover" />
+                  )}
+                  <div className="absolute inset-x-0 bottom-0 bg-black/50 px-2 py-1">
+                    <p className="text-xs font-semibold text-white truncate">{photo.teamName}</p>
+                    <p className="text-xs text-gray-200 truncate">{photo.locationTitle}</p>
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            {hasNextPage && (
+              <button
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+                className="w-full mt-4 py-2 text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+              >
+                {isFetchingNextPage ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      {slideIndex !== null && photos.length > 0 && (
+        <Slideshow
+          photos={photos}
+          index={Math.min(slideIndex, photos.length - 1)}
+          onIndexChange={setSlideIndex}
+          onClose={closeSlideshow}
+          hasMore={!!hasNextPage}
+          loadMore={loadMore}
+        />
+      )}
+    </div>
+  )
+}
+
+interface SlideshowProps {
+  photos: GalleryPhoto[]
+  index: number
+  onIndexChange: (index: number) => void
+  onClose: () => void
+  hasMore: boolean
+  loadMore: () => void
+}
+
+/**
+ * Full-screen auto-advancing slideshow; loops once every page is loaded.
+ * Keys: ←/→ step, space pauses, Esc closes.
+ */
+const Slideshow: React.FC<SlideshowProps> = ({ photos, index, onIndexChange, onClose, hasMore, loadMore }) => {
+  const containerRef = useRef<HTMLDivElement>(null)
+  const [intervalSeconds, setIntervalSeconds] = useState(8)
+  const [playing, setPlaying] = useState(true)
+  const photo = photos[index]
+
+  const step = useCallback((delta: number) => {
+    const next = index + delta
+    if (next >= photos.length) {
+      // Wait for the next page rather than looping past photos not loaded yet
+      if (hasMore) loadMore()
+      else onIndexChange(0)
+      return
+    }
+    onIndexChange(next < 0 ? photos.length - 1 : next)
+  }, [index, photos.length, hasMore, loadMore, onIndexChange])
+
+  // Projector mode: go full screen while the slideshow is open
+  useEffect(() => {
+    containerRef.current?.requestFullscreen?.().catch(() => {})
+    const onFullscreenChange = () => {
+      if (!document.fullscreenElement) onClose()
+    }
+    document.addEventListener('fullscreenchange', onFullscreenChange)
+    return () => {
+      document.removeEventListener('fullscreenchange', onFullscreenChange)
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {})
+    }
+  }, [onClose])
+
+  useEffect(() => {
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'ArrowRight') step(1)
+      else if (e.key === 'ArrowLeft') step(-1)
+      else if (e.key === ' ') { e.preventDefault(); setPlaying(p => !p) }
+      else if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [step, onClose])
+
+  // Photos advance on a timer; videos advance when they end
+  useEffect(() => {
+    if (!playing || photo.mediaType === 'video') return
+    const timer = setTimeout(() => step(1), intervalSeconds * 1000)
+    return () => clearTimeout(timer)
+  }, [playing, photo, intervalSeconds, step])
+
+  useEffect(() => {
+    if (hasMore && index >= photos.length - PREFETCH_SLIDES) loadMore()
+
+    // Warm the cache so the next slide appears without a blank frame
+    const next = photos[(index + 1) % photos.length]
+    if (next && next.mediaType === 'photo') {
+      const img = new Image()
+      if (next.srcSet) {
+        img.sizes = '100vw'
+        img.srcset = next.srcSet
+      }
+      img.src = next.displayUrl
+    }
+  }, [index, photos, hasMore, loadMore])
+
+  return (
+    <div ref={containerRef} className="fixed inset-0 z-50 bg-black flex items-center justify-center">
+      {photo.mediaType === 'video' ? (
+        <video
+          key={photo.id}
+          src={photo.displayUrl}
+          autoPlay
+          muted
+          playsInline
+          onEnded={() => playing && step(1)}
+          className="max-w-full max-h-full"
+        />
+      ) : (
+        <img
+          key={photo.id}
+          src={photo.displayUrl}
+          srcSet={photo.srcSet || undefined}
+          sizes="100vw"
+          alt={`${photo.teamName} at ${photo.locationTitle}`}
+          className="max-w-full max-h-full object-contain"
+        />
+      )}
+
+      <div className="absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/80 to-transparent px-8 pt-12 pb-6">
+        <p className="text-3xl font-bold text-white">{photo.teamName}</p>
+        <p className="text-xl text-gray-200">{photo.locationTitle}</p>
+      </div>
+
+      <div className="absolute top-4 right-4 flex items-center gap-2 opacity-60 hover:opacity-100 transition-opacity">
+        <select
+          value={intervalSeconds}
+          onChange={(e) => setIntervalSeconds(Number(e.target.value))}
+          className="px-2 py-1 rounded bg-gray-800 text-white text-sm"
+        >
+          {SLIDE_INTERVALS.map(seconds => (
+            <option key={seconds} value={seconds}>{seconds}s</option>
+          ))}
+        </select>
+        <button onClick={() => setPlaying(p => !p)} className="px-3 py-1 rounded bg-gray-800 text-white text-sm">
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <button onClick={onClose} className="px-3 py-1 rounded bg-gray-800 text-white text-sm">
+          Close
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default GalleryView
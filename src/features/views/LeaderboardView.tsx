@@ -1,6 +1,8 @@
-import React, { useState, useEffect } from 'react'
+import React from 'react'
+import { useQuery } from '@tanstack/react-query'
 import { useAppStore } from '../../store/appStore'
-import { apiClient } from '../../client/api-client'
+import { apiClient } from '../../services/apiClient'
+import { useLeaderboardStream, leaderboardQueryKey } from '../../hooks/useLeaderboardStream'
 
 interface TeamRanking {
   teamId: string
@@ -19,20 +21,14 @@ interface LeaderboardData {
 }
 
 export default function LeaderboardView() {
-  const [leaderboard, setLeaderboard] = useState<LeaderboardData | null>(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState<string | null>(null)
   const { organizationId, huntId, teamName } = useAppStore()
 
-  useEffect(() => {
-    loadLeaderboard()
-  }, [organizationId, huntId])
-
-  const loadLeaderboard = async () => {
-    try {
-      setLoading(true)
-      setError(null)
+  // Live updates are pushed into the shared leaderboard query cache over SSE
+  const { isLive } = useLeaderboardStream(organizationId, huntId)
 
+  const { data: leaderboard, isLoading: loading, error: queryError, refetch } = useQuery<LeaderboardData>({
+    queryKey: leaderboardQueryKey(organizationId, huntId),
+    queryFn: async () => {
       // Safety check: Ensure all required auth context is present
       if (!organizationId || !huntId) {
         console.error('[LeaderboardView] Missing required authentication context', {
@@ -42,16 +38,15 @@ export default function LeaderboardView() {
         throw new Error('Missing required authentication context')
       }
 
-      const response = await apiClient.get(`/api/leaderboard/${organizationId}/${huntId}`)
+      return apiClient.get<LeaderboardData>(`/leaderboard/${organizationId}/${huntId}`)
+    },
+    enabled: !!organizationId && !!huntId,
+    // Poll only while the live stream is unavailable
+    refetchInterval: isLive ? false : 30000,
+  })
 
-      setLeaderboard(response.data)
-    } catch (err) {
-      console.error('Failed to load leaderboard:', err)
-      setError('Failed to load leaderboard')
-    } finally {
-      setLoading(false)
-    }
-  }
+  const error = queryError ? 'Failed to load leaderboard' : null
+  const loadLeaderboard = () => { refetch() }
 
   const formatTime = (timestamp: string | null) => {
     if (!timestamp) return '-'
@@ -186,6 +181,7 @@ export default function LeaderboardView() {
       {/* Last Updated */}
       <div className="mt-4 text-center text-xs text-gray-500">
         Last updated: {formatTime(leaderboard.lastUpdated)}
+        {isLive && <span className="ml-1 text-green-600">• Live</span>}
         <button
           onClick={loadLeaderboard}
           className="ml-2 text-blue-600 hover:underline"
@@ -0,0 +1,143 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useAppStore } from '../../store/appStore'
+import { useNavigationStore } from '../navigation/navigationStore'
+import { useActiveDataQuery } from '../../hooks/useActiveDataQuery'
+import { buildMapRoute } from '../../utils/mapGeometry'
+import { getTileProvider } from '../map/tileProviders'
+import TileMap from '../map/TileMap'
+import SchematicMap from '../map/SchematicMap'
+
+const MAP_HEIGHT = 360
+
+const MapView: React.FC = () => {
+  const { organizationId, teamId, huntId } = useAppStore()
+  const { activeTab } = useNavigationStore()
+
+  const { data, isLoading, error, refetch } = useActiveDataQuery({
+    orgId: organizationId,
+    teamId,
+    huntId
+  })
+
+  // Refetch when tab becomes active so the route includes recent completions
+  useEffect(() => {
+    if (activeTab === 'map') {
+      refetch()
+    }
+  }, [activeTab, refetch])
+
+  const route = useMemo(
+    () => buildMapRoute(data?.locations?.locations || [], data?.progress),
+    [data?.locations, data?.progress]
+  )
+
+  // Size the map to its container
+  const containerRef = useRef<HTMLDivElement>(null)
+  const [width, setWidth] = useState(0)
+  useEffect(() => {
+    const measure = () => setWidth(containerRef.current?.clientWidth || 0)
+    measure()
+    window.addEventListener('resize', measure)
+    return () => window.removeEventListener('resize', measure)
+  }, [isLoading])
+
+  // Tiles when a provider is configured and reachable, otherwise the schematic
+  const provider = useMemo(() => getTileProvider(), [])
+  const [tilesUnavailable, setTilesUnavailable] = useState(
+    () => typeof navigator !== 'undefined' && navigator.onLine === false
+  )
+  const handleTilesUnavailable = useCallback(() => setTilesUnavailable(true), [])
+  const useTiles = !!provider && !tilesUnavailable
+
+  const [selectedStopId, setSelectedStopId] = useState<string | null>(null)
+  const selectedStop = route.stops.find(s => s.id === selectedStopId) || null
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div style={{ color: 'var(--color-text-secondary)' }}>Loading map...</div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-red-500">Failed to load map</div>
+      </div>
+    )
+  }
+
+  const completedCount = route.stops.filter(s => s.status === 'completed').length
+
+  return (
+    <div className="max-w-screen-sm mx-auto px-4 py-4">
+      <div className="flex justify-between items-baseline mb-3">
+        <h2 className="text-lg font-semibold" style={{ color: 'var(--color-text-primary)' }}>
+          Hunt Map
+        </h2>
+        <span className="text-sm" style={{ color: 'var(--color-text-secondary)' }}>
+          {completedCount} of {route.stops.length} stops
+        </span>
+      </div>
+
+      <div ref={containerRef} className="w-full">
+        {route.stops.length === 0 ? (
+          <div className="text-center py-12" style={{ color: 'var(--color-text-secondary)' }}>
+            No stops with map coordinates in this hunt
+          </div>
+        ) : width > 0 && (
+          useTiles ? (
+            <TileMap
+              route={route}
+              provider={provider!}
+              width={width}
+              height={MAP_HEIGHT}
+              selectedStopId={selectedStopId}
+              onSelectStop={setSelectedStopId}
+              onTilesUnavailable={handleTilesUnavailable}
+            />
+          ) : (
+            <SchematicMap
+              route={route}
+              width={width}
+              height={MAP_HEIGHT}
+              selectedStopId={selectedStopId}
+              onSelectStop={setSelectedStopId}
+            />
+          )
+        )}
+      </div>
+
+      {selectedStop && (
+        <div className="mt-3 p-3 rounded-lg" style={{ backgroundColor: 'var(--color-surface)', border: '1px solid var(--color-border)' }}>
+          <div className="font-medium" style={{ color: 'var(--color-text-primary)' }}>{selectedStop.title}</div>
+          <div className="text-sm" style={{ color: 'var(--color-text-secondary)' }}>
+            {selectedStop.status === 'completed'
+              ? `Stop #${selectedStop.visitOrder} on your route${selectedStop.completedAt ? ` · ${new Date(selectedStop.completedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}` : ''}`
+              : 'Not visited yet'}
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-4 mt-3 text-xs" style={{ color: 'var(--color-text-secondary)' }}>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: 'var(--color-success)' }} />
+          Completed
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-full border-2" style={{ borderColor: 'var(--color-text-secondary)' }} />
+          Pending
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-4 border-t-2 border-dashed" style={{ borderColor: 'var(--color-accent)' }} />
+          Your route
+        </span>
+        {!useTiles && <span>Schematic view (map tiles unavailable)</span>}
+        {route.unplottedCount > 0 && <span>{route.unplottedCount} stop(s) have no coordinates</span>}
+      </div>
+    </div>
+  )
+}
+
+export default MapView
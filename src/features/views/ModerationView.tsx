@@ -0,0 +1,240 @@
+import React, { useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { ModerationService } from '../../services/ModerationService'
+import { OrganizerSignIn, getOrganizerCredential, storeOrganizerCredential } from '../../components/OrganizerSignIn'
+import type { DuplicateMatch, ModerationStatus, PhotoSubmission } from '../../types/moderation'
+
+const STATUS_TABS: { id: ModerationStatus; label: string }[] = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' }
+]
+
+/**
+ * Organizer photo moderation queue, served at /moderation?org=&hunt=
+ * Rendered outside the team lock: organizers sign in with their organizer account
+ * (or the shared organizer API key).
+ */
+const ModerationView: React.FC = () => {
+  const params = new URLSearchParams(window.location.search)
+  const [orgId, setOrgId] = useState(params.get('org') || '')
+  const [huntId, setHuntId] = useState(params.get('hunt') || '')
+  const [organizerKey, setOrganizerKey] = useState(getOrganizerCredential)
+  const [status, setStatus] = useState<ModerationStatus>('pending')
+  const [flaggedOnly, setFlaggedOnly] = useState(false)
+  const [rejecting, setRejecting] = useState<string | null>(null)
+  const [reason, setReason] = useState('')
+  const queryClient = useQueryClient()
+
+  const queryKey = ['moderation', orgId, huntId, status, flaggedOnly]
+  const {
+    data: submissions = [],
+    isLoading,
+    error
+  } = useQuery({
+    queryKey,
+    queryFn: () => ModerationService.list(orgId, huntId, status, organizerKey, flaggedOnly),
+    enabled: !!orgId && !!huntId && !!organizerKey,
+    refetchInterval: status === 'pending' ? 30000 : false
+  })
+
+  const moderate = useMutation({
+    mutationFn: ({ submission, action, reason }: { submission: PhotoSubmission; action: 'approve' | 'reject'; reason: string | null }) =>
+      ModerationService.moderate(orgId, huntId, submission.id, action, reason, organizerKey),
+    onSuccess: () => {
+      setRejecting(null)
+      setReason('')
+      queryClient.invalidateQueries({ queryKey: ['moderation', orgId, huntId] })
+    }
+  })
+
+  const storeCredential = (credential: string) => {
+    storeOrganizerCredential(credential)
+    setOrganizerKey(credential)
+    queryClient.removeQueries({ queryKey: ['moderation'] })
+  }
+
+  const isUnauthorized = (error as any)?.status === 401
+  const isForbidden = (error as any)?.status === 403
+
+  if (!organizerKey || isUnauthorized) {
+    return <OrganizerSignIn title="Photo moderation" expired={isUnauthorized} onSignedIn={storeCredential} />
+  }
+
+  const formatTime = (timestamp: string) => new Date(timestamp).toLocaleString()
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-2xl font-bold text-gray-900">Photo moderation</h1>
+          <button onClick={() => storeCredential('')} className="text-sm text-gray-600 hover:text-gray-900">
+            Sign out
+          </button>
+        </div>
+
+        {/* Hunt selection */}
+        <div className="flex gap-2 mb-4">
+          <input
+            value={orgId}
+            onChange={(e) => setOrgId(e.target.value.trim())}
+            placeholder="Organization ID"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            value={huntId}
+            onChange={(e) => setHuntId(e.target.value.trim())}
+            placeholder="Hunt ID"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+
+        {/* Status tabs */}
+        <div className="flex gap-2 mb-4">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setStatus(tab.id)}
+              className={`
+                px-3 py-1 rounded-full text-sm font-medium transition-colors
+                ${status === tab.id
+                  ? 'bg-blue-100 text-blue-700'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }
+              `}
+            >
+              {tab.label}
+            </button>
+          ))}
+          <label className="ml-auto flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={flaggedOnly}
+              onChange={(e) => setFlaggedOnly(e.target.checked)}
+            />
+            Possible duplicates only
+          </label>
+        </div>
+
+        {moderate.error && (
+          <div className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+            {moderate.error instanceof Error ? moderate.error.message : 'Moderation failed'}
+          </div>
+        )}
+
+        {!orgId || !huntId ? (
+          <p className="text-center text-gray-500 py-12">Enter an organization and hunt to load the queue</p>
+        ) : isLoading ? (
+          <p className="text-center text-gray-500 py-12">Loading photos...</p>
+        ) : isForbidden ? (
+          <p className="text-center text-red-500 py-12">Your organizer role doesn't include this organization</p>
+        ) : error ? (
+          <p className="text-center text-red-500 py-12">Failed to load photos</p>
+        ) : submissions.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">
+            {flaggedOnly
+              ? `No ${status} photos flagged as duplicates`
+              : status === 'pending' ? 'No photos waiting for review' : `No ${status} photos`}
+          </p>
+        ) : (
+          <div className="grid gap-4 sm:grid-cols-2">
+            {submissions.map(submission => (
+              <div key={submission.id} className="bg-white rounded-lg border border-gray-200 overflow-hidden shadow-sm">
+                <img
+                  src={submission.photoUrl}
+                  alt={`${submission.teamId} at ${submission.locationTitle}`}
+                  className="w-full h-56 object-cover bg-gray-100"
+                />
+                <div className="p-4 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <h3 className="font-semibold text-gray-900">{submission.teamId}</h3>
+                    <span className="text-xs text-gray-500">{formatTime(submission.createdAt)}</span>
+                  </div>
+                  <p className="text-sm text-gray-700">{submission.locationTitle}</p>
+                  {submission.reason && (
+                    <p className="text-sm text-gray-500">Reason: {submission.reason}</p>
+                  )}
+                  {submission.duplicate && (
+                    <DuplicateNotice duplicate={submission.duplicate} />
+                  )}
+
+                  {rejecting === submission.id ? (
+                    <div className="space-y-2">
+                      <textarea
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        placeholder="Reason shown to the team"
+                        maxLength={500}
+                        rows={2}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => moderate.mutate({ submission, action: 'reject', reason: reason.trim() })}
+                          disabled={!reason.trim() || moderate.isPending}
+                          className="flex-1 px-3 py-2 rounded-lg text-sm font-medium bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                        >
+                          Reject photo
+                        </button>
+                        <button
+                          onClick={() => { setRejecting(null); setReason('') }}
+                          className="px-3 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : submission.status !== 'rejected' && (
+                    <div className="flex gap-2">
+                      {submission.status === 'pending' && (
+                        <button
+                          onClick={() => moderate.mutate({ submission, action: 'approve', reason: null })}
+                          disabled={moderate.isPending}
+                          className="flex-1 px-3 py-2 rounded-lg text-sm font-medium bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                      )}
+                      <button
+                        onClick={() => { setRejecting(submission.id); setReason('') }}
+                        disabled={moderate.isPending}
+                        className="flex-1 px-3 py-2 rounded-lg text-sm font-medium bg-red-50 text-red-700 hover:bg-red-100 disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Near-duplicate flag with a thumbnail of the photo it matches
+ */
+const DuplicateNotice: React.FC<{ duplicate: DuplicateMatch }> = ({ duplicate }) => {
+  const source = duplicate.scope === 'team'
+    ? `this team's photo for ${duplicate.locationTitle || 'another stop'}`
+    : `${duplicate.teamId || 'another team'}'s photo for ${duplicate.locationTitle || 'a stop'}`
+
+  return (
+    <div className="flex items-center gap-3 p-2 rounded-lg bg-amber-50 border border-amber-200">
+      {duplicate.photoUrl && (
+        <a href={duplicate.photoUrl} target="_blank" rel="noreferrer" className="shrink-0">
+          <img src={duplicate.photoUrl} alt="Matching photo" className="w-12 h-12 rounded object-cover bg-gray-100" />
+        </a>
+      )}
+      <p className="text-xs text-amber-800">
+        <span className="font-semibold">Possible duplicate:</span>{' '}
+        {duplicate.distance === 0 ? 'same photo as' : 'looks like'} {source}
+      </p>
+    </div>
+  )
+}
+
+export default ModerationView
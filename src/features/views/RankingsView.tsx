@@ -3,6 +3,8 @@ import { useQuery } from '@tanstack/react-query'
 import { useAppStore } from '../../store/appStore'
 import { useToastActions } from '../notifications/ToastProvider'
 import { useNavigationStore } from '../navigation/navigationStore'
+import { useLeaderboardStream, leaderboardQueryKey } from '../../hooks/useLeaderboardStream'
+import type { ScoreBreakdown } from '../../types/hunt-system'
 
 interface LeaderboardEntry {
   teamId: string
@@ -16,6 +18,8 @@ interface LeaderboardEntry {
   firstCompletedAt?: string | null
   lastCompletedAt?: string | null
   isComplete?: boolean
+  score?: number
+  scoreBreakdown?: ScoreBreakdown
   rank: number
 }
 
@@ -24,9 +28,12 @@ const RankingsView: React.FC = () => {
   const { organizationId, huntId, teamName: currentTeam } = useAppStore()
   const { activeTab } = useNavigationStore()
 
+  // Live updates are pushed into the query cache over SSE
+  const { isLive, rankChanges } = useLeaderboardStream(organizationId, huntId)
+
   // Fetch leaderboard data
   const { data: leaderboardData, isLoading, error, refetch } = useQuery({
-    queryKey: ['leaderboard', organizationId, huntId],
+    queryKey: leaderboardQueryKey(organizationId, huntId),
     queryFn: async () => {
       // Safety check: Ensure all required auth context is present
       if (!organizationId || !huntId) {
@@ -54,17 +61,19 @@ const RankingsView: React.FC = () => {
       }
     },
     enabled: !!organizationId && !!huntId,
-    refetchInterval: 30000, // Refresh every 30 seconds
+    // Poll only while the live stream is unavailable
+    refetchInterval: isLive ? false : 30000,
   })
 
   // Refetch when tab becomes active
   useEffect(() => {
-    if (activeTab === 'rankings') {
+    if (activeTab === 'rankings' && !isLive) {
       refetch()
     }
-  }, [activeTab, refetch])
+  }, [activeTab, isLive, refetch])
 
   const leaderboard = leaderboardData?.teams || []
+  const usesPoints = !!leaderboardData?.scoringModel && leaderboardData.scoringModel !== 'completion'
 
   const getRankIcon = (rank: number) => {
     switch (rank) {
@@ -132,6 +141,7 @@ const RankingsView: React.FC = () => {
             const percentage = entry.percentComplete || getCompletionPercentage(entry.completedStops, entry.totalStops)
             const isCurrentTeam = entry.teamId === currentTeam
             const isWinner = entry.isComplete && entry.rank === 1
+            const movement = rankChanges[entry.teamId]?.movement
 
             return (
               <div
@@ -148,6 +158,14 @@ const RankingsView: React.FC = () => {
                       <span className="text-2xl font-bold">
                         {getRankIcon(entry.rank)}
                       </span>
+                      {!!movement && (
+                        <span
+                          className={`text-xs font-semibold ${movement > 0 ? 'text-green-600' : 'text-red-500'}`}
+                          aria-label={movement > 0 ? `Up ${movement}` : `Down ${-movement}`}
+                        >
+                          {movement > 0 ? `▲${movement}` : `▼${-movement}`}
+                        </span>
+                      )}
                       <div>
                         <div className="flex items-center gap-2">
                           <h3 className={`font-semibold ${isCurrentTeam ? 'text-blue-600' : 'text-gray-900'}`}>
@@ -175,11 +193,19 @@ const RankingsView: React.FC = () => {
                             Avg: {entry.averageTimeFormatted} per stop
                           </p>
                         )}
+                        {usesPoints && entry.scoreBreakdown && (
+                          <p className="text-xs text-gray-400 mt-0.5">
+                            {entry.scoreBreakdown.stopPoints} stop pts
+                            {entry.scoreBreakdown.hintPenalty > 0 && ` − ${entry.scoreBreakdown.hintPenalty} hints`}
+                            {entry.scoreBreakdown.completionBonus > 0 && ` + ${entry.scoreBreakdown.completionBonus} finish`}
+                            {entry.scoreBreakdown.timeBonus > 0 && ` + ${entry.scoreBreakdown.timeBonus} time`}
+                          </p>
+                        )}
                       </div>
                     </div>
                     <div className="text-right">
                       <div className="text-2xl font-bold text-gray-900">
-                        {percentage}%
+                        {usesPoints ? `${entry.score ?? 0} pts` : `${percentage}%`}
                       </div>
                       {entry.isComplete && (
                         <p className="text-xs text-green-600">
@@ -214,11 +240,21 @@ const RankingsView: React.FC = () => {
         <div className="mt-8 p-4 bg-gray-50 rounded-lg">
           <h3 className="font-semibold text-sm text-gray-700 mb-2">How Rankings Work</h3>
           <ul className="text-xs text-gray-600 space-y-1">
-            <li>• Teams with more completed stops rank higher</li>
-            <li>• Teams with same completions are ranked by fastest total time</li>
+            {usesPoints ? (
+              <>
+                <li>• Teams with more points rank higher</li>
+                <li>• Each stop is worth points; revealing hints costs points</li>
+                <li>• Finishing quickly earns bonus points</li>
+              </>
+            ) : (
+              <>
+                <li>• Teams with more completed stops rank higher</li>
+                <li>• Teams with same completions are ranked by fastest total time</li>
+              </>
+            )}
             <li>• First team to complete ALL stops wins overall 🏆</li>
             <li>• Total time = time from first to last completion</li>
-            <li>• Rankings update automatically every 30 seconds</li>
+            <li>• {isLive ? 'Rankings update live as teams progress' : 'Rankings update automatically every 30 seconds'}</li>
           </ul>
         </div>
       )}
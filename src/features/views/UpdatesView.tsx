@@ -1,56 +1,49 @@
 import React, { useState } from 'react'
-import { useQuery } from '@tanstack/react-query'
+import { useInfiniteQuery } from '@tanstack/react-query'
 import { useAppStore } from '../../store/appStore'
-
-interface Update {
-  id: string
-  type: 'team_progress' | 'photo_upload' | 'completion' | 'announcement'
-  teamName: string
-  message: string
-  timestamp: string
-  metadata?: {
-    stopName?: string
-    photoUrl?: string
-    completionTime?: string
-  }
-}
+import { ActivityFeedService } from '../../services/ActivityFeedService'
+import type { FeedEvent, FeedFilter } from '../../types/activity'
 
 const UpdatesView: React.FC = () => {
-  const { organizationId, huntId, teamName: currentTeam } = useAppStore()
-  const [filter, setFilter] = useState<'all' | 'team' | 'others'>('all')
-
-  // Fetch recent updates
-  const { data: updates, isLoading, error } = useQuery({
-    queryKey: ['updates', organizationId, huntId],
-    queryFn: async () => {
-      // For now, return mock data since we don't have a real updates endpoint yet
-      // In production, this would fetch from /api/updates/:orgId/:huntId
-      const mockUpdates: Update[] = [
-        {
-          id: '1',
-          type: 'announcement',
-          teamName: 'System',
-          message: 'Welcome to the Vail Scavenger Hunt! Complete all stops to win prizes.',
-          timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-        },
-      ]
-
-      return mockUpdates
-    },
-    enabled: !!organizationId && !!huntId,
+  const { organizationId, huntId, teamId } = useAppStore()
+  const [filter, setFilter] = useState<FeedFilter>('all')
+
+  // Fetch activity feed pages (filtered server-side)
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage
+  } = useInfiniteQuery({
+    queryKey: ['updates', organizationId, huntId, teamId, filter],
+    queryFn: ({ pageParam }) =>
+      ActivityFeedService.getFeed({
+        orgId: organizationId,
+        huntId,
+        teamId,
+        filter,
+        cursor: pageParam
+      }),
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor,
+    enabled: !!organizationId && !!huntId && (filter === 'all' || !!teamId),
     refetchInterval: 60000, // Refresh every minute
   })
 
-  const getUpdateIcon = (type: Update['type']) => {
+  const getUpdateIcon = (type: FeedEvent['type']) => {
     switch (type) {
-      case 'team_progress':
+      case 'stop_completed':
         return '📍'
-      case 'photo_upload':
+      case 'photo_uploaded':
         return '📸'
-      case 'completion':
+      case 'hunt_completed':
         return '🏆'
       case 'announcement':
         return '📢'
+      case 'photo_rejected':
+        return '🚫'
       default:
         return '📌'
     }
@@ -70,12 +63,10 @@ const UpdatesView: React.FC = () => {
     return `${diffDays}d ago`
   }
 
-  const filteredUpdates = updates?.filter(update => {
-    if (filter === 'all') return true
-    if (filter === 'team') return update.teamName === currentTeam
-    if (filter === 'others') return update.teamName !== currentTeam
-    return true
-  }) || []
+  const isOwnTeamEvent = (update: FeedEvent) =>
+    !!teamId && !!update.teamId && update.teamId.toLowerCase() === teamId.toLowerCase()
+
+  const filteredUpdates = data?.pages.flatMap(page => page.events) || []
 
   if (isLoading) {
     return (
@@ -159,15 +150,16 @@ const UpdatesView: React.FC = () => {
       ) : (
         <div className="space-y-3">
           {filteredUpdates.map((update) => {
-            const isOwnTeam = update.teamName === currentTeam
-            const isSystem = update.teamName === 'System'
+            const isOwnTeam = isOwnTeamEvent(update)
+            const isSystem = update.type === 'announcement'
+            const isRejection = update.type === 'photo_rejected'
 
             return (
               <div
                 key={update.id}
                 className={`
                   bg-white rounded-lg border overflow-hidden shadow-sm
-                  ${isSystem ? 'border-yellow-300 bg-yellow-50' : 'border-gray-200'}
+                  ${isSystem ? 'border-yellow-300 bg-yellow-50' : isRejection ? 'border-red-300 bg-red-50' : 'border-gray-200'}
                 `}
               >
                 <div className="p-4">
@@ -189,7 +181,7 @@ const UpdatesView: React.FC = () => {
                           )}
                         </h3>
                         <span className="text-xs text-gray-500">
-                          {formatTime(update.timestamp)}
+                          {formatTime(update.createdAt)}
                         </span>
                       </div>
                       <p className="text-sm text-gray-700">
@@ -197,17 +189,17 @@ const UpdatesView: React.FC = () => {
                       </p>
 
                       {/* Metadata */}
-                      {update.metadata && (
+                      {(update.type === 'hunt_completed' || update.metadata.photoUrl) && (
                         <div className="mt-2">
-                          {update.metadata.completionTime && (
+                          {update.type === 'hunt_completed' && update.metadata.totalStops && (
                             <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                              Time: {update.metadata.completionTime}
+                              {update.metadata.totalStops} of {update.metadata.totalStops} stops
                             </span>
                           )}
                           {update.metadata.photoUrl && (
                             <img
                               src={update.metadata.photoUrl}
-                              alt="Update"
+                              alt={update.metadata.stopName || 'Update'}
                               className="mt-2 rounded-lg max-h-32 object-cover"
                             />
                           )}
@@ -222,6 +214,18 @@ const UpdatesView: React.FC = () => {
         </div>
       )}
 
+      {hasNextPage && (
+        <div className="mt-4 text-center">
+          <button
+            onClick={() => fetchNextPage()}
+            disabled={isFetchingNextPage}
+            className="px-4 py-2 rounded-full text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+          >
+            {isFetchingNextPage ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+
       {/* Auto-refresh indicator */}
       <div className="mt-6 text-center text-xs text-gray-400">
         Updates refresh automatically every minute
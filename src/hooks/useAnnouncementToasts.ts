@@ -0,0 +1,74 @@
+/**
+ * useAnnouncementToasts Hook
+ * Polls active organizer announcements and shows each new (or edited) one once as a toast
+ */
+
+import { useEffect, useRef } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { AnnouncementsService } from '../services/AnnouncementsService'
+import { useToastActions } from '../features/notifications/ToastProvider'
+import type { Announcement } from '../types/activity'
+
+const POLL_INTERVAL_MS = 60000
+const TOAST_DURATION_MS = 10000
+
+const storageKey = (orgId: string, huntId: string) => `announcements_seen_${orgId}_${huntId}`
+
+// Edits change updatedAt, so an edited announcement is shown again
+const seenKey = (announcement: Announcement) => `${announcement.id}:${announcement.updatedAt}`
+
+function loadSeen(key: string): Set<string> {
+  try {
+    const raw = localStorage.getItem(key)
+    return new Set(raw ? JSON.parse(raw) : [])
+  } catch {
+    return new Set()
+  }
+}
+
+export function useAnnouncementToasts(
+  orgId: string | undefined,
+  huntId: string | undefined,
+  teamId: string | undefined
+) {
+  const { info } = useToastActions()
+  const seenRef = useRef<{ key: string; ids: Set<string> } | null>(null)
+
+  const { data: announcements } = useQuery({
+    queryKey: ['announcements', orgId, huntId, teamId],
+    queryFn: () => AnnouncementsService.getActive(orgId!, huntId!),
+    enabled: !!orgId && !!huntId && !!teamId,
+    refetchInterval: POLL_INTERVAL_MS,
+  })
+
+  useEffect(() => {
+    if (!orgId || !huntId || !announcements?.length) return
+
+    const key = storageKey(orgId, huntId)
+    if (seenRef.current?.key !== key) {
+      seenRef.current = { key, ids: loadSeen(key) }
+    }
+    const seen = seenRef.current.ids
+
+    // Oldest first so toasts stack in publish order
+    const unseen = announcements
+      .filter(announcement => !seen.has(seenKey(announcement)))
+      .reverse()
+
+    if (unseen.length === 0) return
+
+    unseen.forEach(announcement => {
+      const text = announcement.title
+        ? `📢 ${announcement.title}: ${announcement.message}`
+        : `📢 ${announcement.message}`
+      info(text, { duration: TOAST_DURATION_MS })
+      seen.add(seenKey(announcement))
+    })
+
+    try {
+      localStorage.setItem(key, JSON.stringify([...seen]))
+    } catch {
+      // Storage full or unavailable; toasts may repeat after reload
+    }
+  }, [announcements, orgId, huntId, info])
+}
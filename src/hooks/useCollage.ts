@@ -1,23 +1,44 @@
-import { useState } from 'react'
+/**
+ * useCollage Hook
+ * Loads the collage the server builds from the team's completed stop photos.
+ * The server generates it when the last stop is completed, so once the hunt
+ * is complete this polls until it appears; regenerate() rebuilds it with a
+ * different layout or without captions.
+ */
+
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { CollageService, type CollageLayout, type TeamCollage } from '../client/CollageService'
+
+const POLL_MS = 10000
 
 interface UseCollageOptions {
-  stops: any[]
-  progress: any
-  teamName?: string
+  orgId?: string | null
+  teamId?: string | null
+  huntId?: string | null
+  isComplete: boolean
 }
 
-export function useCollage({ stops, progress, teamName }: UseCollageOptions) {
-  const [collageUrl, setCollageUrl] = useState<string | null>(null)
-  const [collageLoading, setCollageLoading] = useState(false)
+export function useCollage({ orgId, teamId, huntId, isComplete }: UseCollageOptions) {
+  const queryClient = useQueryClient()
+  const queryKey = ['team-collage', orgId, teamId, huntId]
 
-  // Note: Automatic collage creation has been removed
-  // The CollageService.createCollage() method expects File objects, not URLs
-  // If collage functionality is needed in the future, it should be triggered
-  // manually with actual File objects from the user
+  const { data: collage = null, isLoading } = useQuery({
+    queryKey,
+    queryFn: () => CollageService.getTeamCollage(orgId!, teamId!, huntId!),
+    enabled: !!orgId && !!teamId && !!huntId && isComplete,
+    refetchInterval: (query) => (query.state.data ? false : POLL_MS)
+  })
+
+  const regenerate = useMutation({
+    mutationFn: (options: { layout?: CollageLayout; captions?: boolean }) =>
+      CollageService.generateTeamCollage(orgId!, teamId!, huntId!, options),
+    onSuccess: (updated: TeamCollage) => queryClient.setQueryData(queryKey, updated)
+  })
 
   return {
-    collageUrl,
-    collageLoading,
-    setCollageUrl
+    collage,
+    collageUrl: collage?.collageUrl ?? null,
+    collageLoading: (isComplete && isLoading) || regenerate.isPending,
+    regenerate: regenerate.mutate
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,42 @@
+/**
+ * useHuntSchedule Hook
+ * Ticks the hunt schedule from the app store once per second and reports
+ * the live status, countdown and whether the hunt UI should be locked.
+ */
+
+import { useEffect, useMemo, useState } from 'react'
+import { useAppStore } from '../store/appStore'
+import { getClockOffset, getCountdownTarget, getScheduleStatus } from '../utils/huntSchedule'
+
+const TICK_MS = 1000
+
+export function useHuntSchedule() {
+  const huntSchedule = useAppStore(state => state.huntSchedule)
+
+  // Measure skew once per schedule payload so countdowns follow the server clock
+  const clockOffset = useMemo(
+    () => getClockOffset(huntSchedule, Date.now()),
+    [huntSchedule]
+  )
+
+  const [now, setNow] = useState(() => Date.now() + clockOffset)
+
+  const status = getScheduleStatus(huntSchedule, now)
+  const target = getCountdownTarget(huntSchedule, status)
+
+  useEffect(() => {
+    setNow(Date.now() + clockOffset)
+    // Nothing left to count down to once the hunt is unscheduled or over
+    if (target === null) return
+
+    const timer = setInterval(() => setNow(Date.now() + clockOffset), TICK_MS)
+    return () => clearInterval(timer)
+  }, [clockOffset, target])
+
+  return {
+    schedule: huntSchedule,
+    status,
+    remainingMs: target !== null ? Math.max(0, target - now) : null,
+    isLocked: status === 'upcoming' || status === 'ended'
+  }
+}
@@ -4,7 +4,7 @@
 
 import { useState, useEffect, useCallback } from 'react'
 import { HuntConfigService } from '../services/HuntConfigService'
-import { HuntStopWithProgress, UseHuntStopsReturn } from '../types/hunt-system'
+import { HuntStopWithProgress, OrderingStrategy, UseHuntStopsReturn } from '../types/hunt-system'
 
 export function useHuntStops(
   supabaseClient: any,
@@ -107,7 +107,7 @@ export function useHuntConfig(
     }
   }, [orgId, huntId, supabaseClient])
 
-  const updateOrderingStrategy = useCallback(async (strategy: 'fixed' | 'randomized') => {
+  const updateOrderingStrategy = useCallback(async (strategy: OrderingStrategy) => {
     try {
       await huntService.updateHuntOrdering({
         organization_id: orgId,
@@ -0,0 +1,71 @@
+/**
+ * useLeaderboardStream Hook
+ * Subscribes to the live leaderboard SSE stream and writes each snapshot into
+ * the ['leaderboard', orgId, huntId] query cache, so views re-render on push
+ * instead of polling.
+ */
+
+import { useEffect, useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import type { RankChange } from '../types/hunt-system'
+
+// How long a rank movement stays highlighted after a push
+const RANK_CHANGE_HIGHLIGHT_MS = 15000
+
+export function leaderboardQueryKey(orgId: string | undefined, huntId: string | undefined) {
+  return ['leaderboard', orgId, huntId] as const
+}
+
+export function useLeaderboardStream(
+  orgId: string | undefined,
+  huntId: string | undefined,
+  enabled = true
+) {
+  const queryClient = useQueryClient()
+  const [isLive, setIsLive] = useState(false)
+  const [rankChanges, setRankChanges] = useState<Record<string, RankChange>>({})
+
+  useEffect(() => {
+    if (!enabled || !orgId || !huntId || typeof EventSource === 'undefined') {
+      setIsLive(false)
+      return
+    }
+
+    const source = new EventSource(
+      `/api/leaderboard/${encodeURIComponent(orgId)}/${encodeURIComponent(huntId)}/stream`
+    )
+    let clearTimer: ReturnType<typeof setTimeout> | undefined
+
+    source.addEventListener('leaderboard', (event) => {
+      try {
+        const data = JSON.parse((event as MessageEvent).data)
+        queryClient.setQueryData(leaderboardQueryKey(orgId, huntId), data)
+        setIsLive(true)
+      } catch (err) {
+        console.warn('[useLeaderboardStream] Ignoring malformed leaderboard event', err)
+      }
+    })
+
+    source.addEventListener('rank-change', (event) => {
+      try {
+        const { changes } = JSON.parse((event as MessageEvent).data) as { changes: RankChange[] }
+        setRankChanges(Object.fromEntries(changes.map(change => [change.teamId, change])))
+        clearTimeout(clearTimer)
+        clearTimer = setTimeout(() => setRankChanges({}), RANK_CHANGE_HIGHLIGHT_MS)
+      } catch (err) {
+        console.warn('[useLeaderboardStream] Ignoring malformed rank-change event', err)
+      }
+    })
+
+    // EventSource reconnects on its own; fall back to polling until it does
+    source.onerror = () => setIsLive(false)
+
+    return () => {
+      clearTimeout(clearTimer)
+      source.close()
+      setIsLive(false)
+    }
+  }, [orgId, huntId, enabled, queryClient])
+
+  return { isLive, rankChanges }
+}
@@ -5,11 +5,23 @@
  * 
  * @ai-purpose: Manages photo upload lifecycle (validation, upload, progress tracking, callbacks)
  * @ai-dont: Don't call PhotoUploadService directly; use this hook. Respects MAX_UPLOAD_BYTES from server config
- * @ai-related-files: /src/client/PhotoUploadService.ts, /netlify/functions/photo-upload-complete.js, /src/utils/image.ts
+ *   (checked after client preprocessing, which DISABLE_CLIENT_RESIZE turns off)
+ * @ai-related-files: /src/client/PhotoUploadService.ts, /src/client/ChunkedUploadService.ts, /src/client/UploadQueue.ts, /netlify/functions/photo-upload-complete.js, /src/utils/image.ts
+ *
+ * Complete-endpoint uploads that fail for lack of signal are queued (see useUploadQueue)
+ * and reported through onQueued instead of onError.
+ *
+ * Video clips (stops with mediaType video/photo_or_video) and photos over
+ * CHUNK_UPLOAD_THRESHOLD use the resumable chunked endpoint (ChunkedUploadService).
+ * Videos skip preprocessing and are limited by MAX_VIDEO_BYTES / MAX_VIDEO_SECONDS.
  */
 import { useState, useCallback } from 'react'
 import { PhotoUploadService } from '../client/PhotoUploadService'
+import { ChunkedUploadService } from '../client/ChunkedUploadService'
+import { uploadQueue, isRetryableUploadError } from '../client/UploadQueue'
 import { base64ToFile } from '../utils/image'
+import { perceptualHashOfFile } from '../utils/perceptualHash'
+import { mediaKindOf, readVideoDuration } from '../utils/media'
 import { useToastActions } from '../features/notifications/ToastProvider'
 import { photoFlowLogger } from '../utils/photoFlowLogger'
 import { LoginService } from '../services/LoginService'
@@ -23,8 +35,10 @@ interface UsePhotoUploadOptions {
   orgId?: string
   huntId?: string
   useOrchestrated?: boolean
+  keepPhotoLocation?: boolean
   onSuccess?: (stopId: string, photoUrl: string, progressUpdated?: boolean) => void
   onError?: (stopId: string, error: Error) => void
+  onQueued?: (stopId: string) => void
 }
 
 export function usePhotoUpload({
@@ -36,8 +50,10 @@ export function usePhotoUpload({
   orgId,
   huntId,
   useOrchestrated = false,
+  keepPhotoLocation = false,
   onSuccess,
-  onError
+  onError,
+  onQueued
 }: UsePhotoUploadOptions) {
   const [uploadingStops, setUploadingStops] = useState<Set<string>>(new Set())
   // const { error: showError } = useToastActions()
@@ -66,81 +82,159 @@ export function usePhotoUpload({
         file = fileOrDataUrl as File
       }
 
-      // File size validation from login-initialize config or env
-      const cfg = LoginService.getCachedConfig()
-      const env: any = (import.meta as any)?.env || {}
-      const maxSizeBytes = Number((cfg?.MAX_UPLOAD_BYTES ?? env.VITE_MAX_UPLOAD_BYTES) || 10485760) // Default 10MB
-      const allowLargeUploads = Boolean(cfg?.ALLOW_LARGE_UPLOADS ?? env.VITE_ALLOW_LARGE_UPLOADS === 'true')
-
-      if (!allowLargeUploads && file.size > maxSizeBytes) {
-        const sizeMB = (file.size / 1024 / 1024).toFixed(2)
-        const maxMB = (maxSizeBytes / 1024 / 1024).toFixed(0)
-        const errorMsg = `Image is too large (${sizeMB}MB). Please choose a smaller photo (max ${maxMB}MB).`
-        // showError(errorMsg)
+      const fail = (message: string) => {
         setUploadingStops(prev => {
           const newSet = new Set(prev)
           newSet.delete(stopId)
           return newSet
         })
-        onError?.(stopId, new Error(errorMsg))
+        onError?.(stopId, new Error(message))
         return null
       }
 
       // Validate file type
-      if (!file.type.startsWith('image/')) {
-        const errorMsg = 'Please select a valid image file (JPEG, PNG, GIF, or WebP)'
-        // showError(errorMsg)
-        setUploadingStops(prev => {
-          const newSet = new Set(prev)
-          newSet.delete(stopId)
-          return newSet
-        })
-        onError?.(stopId, new Error(errorMsg))
-        return null
+      const mediaKind = mediaKindOf(file)
+      if (!mediaKind) {
+        return fail('Please select a valid image file (JPEG, PNG, GIF, or WebP) or video clip (MP4, MOV, or WebM)')
       }
 
-      // Decide which upload method to use
-      const disableResize = Boolean(cfg?.DISABLE_CLIENT_RESIZE ?? env.VITE_DISABLE_CLIENT_RESIZE === 'true')
+      const cfg = LoginService.getCachedConfig()
+      const env: any = (import.meta as any)?.env || {}
+      const hasTeamContext = Boolean(useOrchestrated && teamId && orgId && huntId)
+      let durationSeconds: number | null = null
+      let perceptualHash: string | null = null
+
+      if (mediaKind === 'video') {
+        // Clips are sent as recorded; only size and duration are limited
+        if (!hasTeamContext) {
+          return fail('Video clips can only be uploaded by a signed-in team')
+        }
+
+        const maxVideoBytes = Number(cfg?.MAX_VIDEO_BYTES || 52428800) // Default 50MB
+        const maxVideoSeconds = Number(cfg?.MAX_VIDEO_SECONDS || 30)
+        if (file.size > maxVideoBytes) {
+          const sizeMB = (file.size / 1024 / 1024).toFixed(1)
+          const maxMB = (maxVideoBytes / 1024 / 1024).toFixed(0)
+          return fail(`Video is too large (${sizeMB}MB). Please record a shorter clip (max ${maxMB}MB).`)
+        }
+
+        durationSeconds = await readVideoDuration(file)
+        if (durationSeconds !== null && durationSeconds > maxVideoSeconds) {
+          return fail(`Video is too long (${Math.round(durationSeconds)}s). Please keep clips under ${maxVideoSeconds} seconds.`)
+        }
+      } else {
+        // Downscale, orient and re-encode before the size check so large phone photos fit
+        const disableResize = Boolean(cfg?.DISABLE_CLIENT_RESIZE ?? env.VITE_DISABLE_CLIENT_RESIZE === 'true')
+        if (!disableResize) {
+          const processed = await PhotoUploadService.preprocessPhoto(file, keepPhotoLocation)
+          photoFlowLogger.info('usePhotoUpload', 'preprocessed', {
+            stopId,
+            originalBytes: processed.originalBytes,
+            processedBytes: processed.processedBytes,
+            bytesSaved: processed.bytesSaved,
+            gpsStripped: processed.gpsStripped
+          })
+          file = processed.file
+          // Hunts that block duplicates refuse photos without a hash, so retry on the file itself
+          perceptualHash = processed.perceptualHash ?? await perceptualHashOfFile(file)
+        } else {
+          perceptualHash = await perceptualHashOfFile(file)
+        }
+
+        // File size validation from login-initialize config or env
+        const maxSizeBytes = Number((cfg?.MAX_UPLOAD_BYTES ?? env.VITE_MAX_UPLOAD_BYTES) || 10485760) // Default 10MB
+        const allowLargeUploads = Boolean(cfg?.ALLOW_LARGE_UPLOADS ?? env.VITE_ALLOW_LARGE_UPLOADS === 'true')
+
+        if (!allowLargeUploads && file.size > maxSizeBytes) {
+          const sizeMB = (file.size / 1024 / 1024).toFixed(2)
+          const maxMB = (maxSizeBytes / 1024 / 1024).toFixed(0)
+          return fail(`Image is too large (${sizeMB}MB). Please choose a smaller photo (max ${maxMB}MB).`)
+        }
+      }
 
       let response: Awaited<ReturnType<typeof PhotoUploadService.uploadPhoto>>
 
       // Use complete endpoint if we have all required context (NEW: handles both upload + progress)
-      if (useOrchestrated && teamId && orgId && huntId) {
-        console.log('Using complete upload endpoint (atomic photo + progress update)')
-        response = await PhotoUploadService.uploadPhotoComplete(
-          file,
-          stopTitle,
-          sessionId,
-          stopId, // Use stopId as locationId
-          teamId,
-          orgId,
-          huntId,
-          teamName,
-          locationName,
-          eventName
-        )
-      } else {
-        // Fallback to regular upload
-        console.log('Using signed upload (via Netlify function)')
-        response = disableResize
-          ? await PhotoUploadService.uploadPhoto(
+      if (hasTeamContext && teamId && orgId && huntId) {
+        const idempotencyKey = await PhotoUploadService.generateIdempotencyKey(file, sessionId, stopTitle)
+        const useChunked = ChunkedUploadService.shouldUseChunkedUpload(file)
+        console.log(useChunked
+          ? 'Using chunked upload endpoint (resumable, photo/video + progress)'
+          : 'Using complete upload endpoint (atomic photo + progress update)')
+
+        try {
+          if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            throw new TypeError('Network unavailable')
+          }
+          response = useChunked
+            ? await ChunkedUploadService.upload({
               file,
-              stopTitle,
+              fileName: file.name,
+              idempotencyKey,
+              orgId,
+              huntId,
+              teamId,
+              locationId: stopId,
+              locationTitle: stopTitle,
               sessionId,
               teamName,
               locationName,
-              eventName
-            )
-          : await PhotoUploadService.uploadPhotoWithResize(
+              eventName,
+              durationSeconds,
+              perceptualHash
+            })
+            : await PhotoUploadService.uploadPhotoComplete(
               file,
               stopTitle,
               sessionId,
-              1600,  // maxWidth
-              0.8,   // quality
+              stopId, // Use stopId as locationId
+              teamId,
+              orgId,
+              huntId,
               teamName,
               locationName,
-              eventName
+              eventName,
+              undefined,
+              undefined,
+              idempotencyKey,
+              perceptualHash
             )
+        } catch (error) {
+          if (!isRetryableUploadError(error)) throw error
+
+          // No signal: keep the file and send it when the connection returns
+          // (chunked uploads resume from the chunks the server already has)
+          await uploadQueue.enqueue({
+            idempotencyKey,
+            stopId,
+            orgId,
+            huntId,
+            teamId,
+            file,
+            fileName: file.name,
+            metadata: { locationTitle: stopTitle, sessionId, teamName, locationName, eventName, durationSeconds, perceptualHash }
+          })
+          photoFlowLogger.info('usePhotoUpload', 'upload_queued', { stopId, idempotencyKey, mediaKind })
+
+          setUploadingStops(prev => {
+            const newSet = new Set(prev)
+            newSet.delete(stopId)
+            return newSet
+          })
+          onQueued?.(stopId)
+          return null
+        }
+      } else {
+        // Fallback to regular upload (file is already preprocessed above)
+        console.log('Using signed upload (via Netlify function)')
+        response = await PhotoUploadService.uploadPhoto(
+          file,
+          stopTitle,
+          sessionId,
+          teamName,
+          locationName,
+          eventName
+        )
       }
 
       const photoUrl = response.photoUrl
@@ -182,7 +276,7 @@ export function usePhotoUpload({
 
       return null
     }
-  }, [sessionId, teamName, locationName, eventName, teamId, orgId, huntId, useOrchestrated, onSuccess, onError])
+  }, [sessionId, teamName, locationName, eventName, teamId, orgId, huntId, useOrchestrated, keepPhotoLocation, onSuccess, onError, onQueued])
 
   const isUploading = useCallback((stopId: string) => {
     return uploadingStops.has(stopId)
@@ -11,7 +11,8 @@ import { useAppStore } from '../store/appStore'
  * NOTE: This hook no longer fetches progress data. Progress should be initialized
  * via seedProgress() with data from consolidated/active endpoint.
  * 
- * Returns { progress, setProgress, seedProgress, completeCount, percent }.
+ * Returns { progress, setProgress, seedProgress, completeCount, totalCount, percent }.
+ * Counts cover required stops only; optional and bonus stops don't count toward completion.
  */
 export function useProgress(stops: any[]) {
   // Get org/team/hunt context from app store
@@ -65,21 +66,27 @@ export function useProgress(stops: any[]) {
   }, [])
   
   // Derived values for the progress UI
+  const requiredStops = useMemo(
+    () => stops.filter(s => !s.stopType || s.stopType === 'required'),
+    [stops]
+  )
   const completeCount = useMemo(
-    () => stops.reduce((acc, s) => {
+    () => requiredStops.reduce((acc, s) => {
       const val = (progress as ProgressData)[s.id]
       const isDone = val && typeof val === 'object' && (val as any).done === true
       return acc + (isDone ? 1 : 0)
     }, 0),
-    [progress, stops]
+    [progress, requiredStops]
   )
-  const percent = stops.length === 0 ? 0 : Math.round((completeCount / stops.length) * 100)
+  const totalCount = requiredStops.length
+  const percent = totalCount === 0 ? 0 : Math.round((completeCount / totalCount) * 100)
 
   return {
     progress,
     setProgress,
     seedProgress,
     completeCount,
+    totalCount,
     percent
   }
 }
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * useStopCheckIns Hook
+ * Geofenced stop check-in flow: browser geolocation → server distance check.
+ * Keeps the latest check-in per stop so StopCard can show the result and,
+ * in 'required' mode, unlock the upload once verified.
+ */
+
+import { useCallback, useState } from 'react'
+import { useAppStore } from '../store/appStore'
+import { CheckInService } from '../services/CheckInService'
+import { useToastActions } from '../features/notifications/ToastProvider'
+import { getCurrentPosition } from '../utils/geolocation'
+import type { GeofenceMode, StopCheckIn } from '../types/hunt-system'
+
+export function useStopCheckIns() {
+  const { organizationId, teamId, huntId, huntGeofence } = useAppStore()
+  const { success, warning, error: showError } = useToastActions()
+  const [checkIns, setCheckIns] = useState<Record<string, StopCheckIn>>({})
+  const [checkingIn, setCheckingIn] = useState<Set<string>>(new Set())
+
+  const geofenceMode: GeofenceMode = huntGeofence?.mode || 'off'
+
+  const checkIn = useCallback(async (stopId: string) => {
+    if (!organizationId || !teamId || !huntId) return
+
+    setCheckingIn(prev => new Set(prev).add(stopId))
+    try {
+      const position = await getCurrentPosition()
+      const result = await CheckInService.checkIn(organizationId, teamId, huntId, stopId, position)
+      setCheckIns(prev => ({ ...prev, [stopId]: result }))
+
+      if (result.verified) {
+        success('📍 Checked in!')
+      } else {
+        warning(`You're about ${result.distanceMeters} m away. Get within ${result.radiusMeters} m and try again.`)
+      }
+    } catch (err) {
+      console.error('[useStopCheckIns] Check-in failed:', err)
+      showError(err instanceof Error ? err.message : 'Check-in failed')
+    } finally {
+      setCheckingIn(prev => {
+        const next = new Set(prev)
+        next.delete(stopId)
+        return next
+      })
+    }
+  }, [organizationId, teamId, huntId, success, warning, showError])
+
+  return { geofenceMode, checkIns, checkingIn, checkIn }
+}
@@ -0,0 +1,82 @@
+/**
+ * useUploadQueue Hook
+ * Tracks the team's photo uploads waiting for signal (see UploadQueue) and
+ * replays them on load, when the browser comes back online, and every
+ * REPLAY_INTERVAL_MS while anything is pending.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { uploadQueue, type QueuedUpload } from '../client/UploadQueue'
+import { PhotoUploadService } from '../client/PhotoUploadService'
+import { isVideoFile } from '../utils/media'
+
+const REPLAY_INTERVAL_MS = 30000
+
+interface UseUploadQueueOptions {
+  orgId?: string
+  huntId?: string
+  teamId?: string
+  onSynced?: (entries: QueuedUpload[]) => void
+  onRejected?: (entry: QueuedUpload, error: Error) => void
+}
+
+export function useUploadQueue({ orgId, huntId, teamId, onSynced, onRejected }: UseUploadQueueOptions) {
+  const [entries, setEntries] = useState<QueuedUpload[]>([])
+
+  // Keep callbacks in a ref so replays triggered by timers see the latest ones
+  const callbacks = useRef({ onSynced, onRejected })
+  callbacks.current = { onSynced, onRejected }
+
+  const scope = useMemo(
+    () => (orgId && huntId && teamId ? { orgId, huntId, teamId } : null),
+    [orgId, huntId, teamId]
+  )
+
+  const refresh = useCallback(async () => {
+    setEntries(scope ? await uploadQueue.list(scope) : [])
+  }, [scope])
+
+  const replay = useCallback(async () => {
+    if (!scope || (typeof navigator !== 'undefined' && navigator.onLine === false)) return
+
+    const result = await uploadQueue.replay(scope, entry => PhotoUploadService.replayQueuedUpload(entry))
+    if (result.synced.length > 0) {
+      callbacks.current.onSynced?.(result.synced)
+    }
+    result.rejected.forEach(({ entry, error }) => callbacks.current.onRejected?.(entry, error))
+  }, [scope])
+
+  useEffect(() => {
+    refresh()
+    replay()
+    const unsubscribe = uploadQueue.subscribe(() => { refresh() })
+    window.addEventListener('online', replay)
+    return () => {
+      unsubscribe()
+      window.removeEventListener('online', replay)
+    }
+  }, [refresh, replay])
+
+  // Retry periodically; the 'online' event is unreliable on flaky mobile connections
+  useEffect(() => {
+    if (entries.length === 0) return
+    const interval = setInterval(replay, REPLAY_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [entries.length, replay])
+
+  const pendingStops = useMemo(() => new Set(entries.map(entry => entry.stopId)), [entries])
+
+  // Object URLs so StopCard can show the queued photo
+  const [previewUrls, setPreviewUrls] = useState<Record<string, string>>({})
+  useEffect(() => {
+    const urls: Record<string, string> = {}
+    entries.forEach(entry => {
+      // Stop cards preview photos only; queued clips show the pending caption
+      if (!isVideoFile(entry.file)) urls[entry.stopId] = URL.createObjectURL(entry.file)
+    })
+    setPreviewUrls(urls)
+    return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url))
+  }, [entries])
+
+  return { pendingStops, previewUrls, replay }
+}
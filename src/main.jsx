@@ -3,7 +3,7 @@
  * - Mounts the React app into the DOM element with id="root" defined in `index.html`.
  * - Keeps the boot logic minimal; all app logic resides in `src/App.jsx`.
  */
-import React from 'react'
+import React, { Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import * as Sentry from '@sentry/react'
 import App from './App.jsx'
@@ -12,6 +12,15 @@ import { ToastProvider } from './features/notifications/ToastProvider.tsx'
 import { QueryProvider } from './providers/QueryProvider.tsx'
 import { maybeInitSentryBrowser } from './logging/client'
 import { setupGlobalErrorHandlers } from './utils/globalErrorHandler'
+import { registerServiceWorker } from './sw/registerServiceWorker'
+
+// Organizer tools and the awards-party gallery live outside the team lock
+const STANDALONE_VIEWS = {
+  '/moderation': lazy(() => import('./features/views/ModerationView')),
+  '/admin': lazy(() => import('./features/views/AdminView')),
+  '/gallery': lazy(() => import('./features/views/GalleryView'))
+}
+const StandaloneView = STANDALONE_VIEWS[window.location.pathname]
 
 // Initialize Sentry if enabled
 let sentryInitialized = false
@@ -30,6 +39,9 @@ initialize().then(() => {
   // Setup global error handlers to capture all errors
   setupGlobalErrorHandlers()
 
+  // Offline support: precache the app shell and hunt data (production builds)
+  registerServiceWorker()
+
   // Grab the root container from `index.html`. If this returns null, verify the element id.
   const container = document.getElementById('root')
 
@@ -37,7 +49,13 @@ initialize().then(() => {
   const AppWithProviders = () => (
     <QueryProvider>
       <ToastProvider>
-        <App />
+        {StandaloneView ? (
+          <Suspense fallback={null}>
+            <StandaloneView />
+          </Suspense>
+        ) : (
+          <App />
+        )}
       </ToastProvider>
     </QueryProvider>
   )
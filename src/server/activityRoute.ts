@@ -0,0 +1,83 @@
+/**
+ * Activity feed and announcement routes for Express server
+ * Delegates to the Netlify functions so dev matches production
+ */
+import express from 'express'
+import { createRequire } from 'module'
+
+const router = express.Router()
+
+// GET /api/activity/:orgId/:huntId - Paginated hunt activity feed
+router.get('/activity/:orgId/:huntId', async (req, res) => {
+  try {
+    const { orgId, huntId } = req.params
+
+    // Load the Netlify function with cache-busting
+    const requireFn = createRequire(import.meta.url)
+    const modulePath = '../../netlify/functions/activity-feed.js'
+    try { delete (requireFn as any).cache[(requireFn as any).resolve(modulePath)] } catch {}
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const activityFeed = requireFn(modulePath)
+
+    // Simulate Netlify function event
+    const event = {
+      httpMethod: 'GET',
+      path: `/api/activity/${orgId}/${huntId}`,
+      headers: req.headers,
+      queryStringParameters: req.query
+    }
+
+    const response = await activityFeed.handler(event)
+
+    res.status(response.statusCode)
+    Object.entries(response.headers || {}).forEach(([key, value]) => {
+      res.setHeader(key, value as string)
+    })
+    res.send(response.body)
+
+  } catch (error) {
+    console.error('[activityRoute] feed error:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    })
+  }
+})
+
+// /api/announcements/:orgId/:huntId[/:id[/expire]] - Organizer announcements
+router.all(['/announcements/:orgId/:huntId', '/announcements/:orgId/:huntId/*'], async (req, res) => {
+  try {
+    // Load the Netlify function with cache-busting
+    const requireFn = createRequire(import.meta.url)
+    const modulePath = '../../netlify/functions/announcements.js'
+    try { delete (requireFn as any).cache[(requireFn as any).resolve(modulePath)] } catch {}
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const announcements = requireFn(modulePath)
+
+    // Simulate Netlify function event
+    const event = {
+      httpMethod: req.method,
+      path: `/api${req.path}`,
+      headers: req.headers,
+      queryStringParameters: req.query,
+      body: req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : null
+    }
+
+    const response = await announcements.handler(event)
+
+    res.status(response.statusCode)
+    Object.entries(response.headers || {}).forEach(([key, value]) => {
+      res.setHeader(key, value as string)
+    })
+    res.send(response.body)
+
+  } catch (error) {
+    console.error('[activityRoute] announcements error:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    })
+  }
+})
+
+export default router
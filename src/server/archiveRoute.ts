@@ -0,0 +1,65 @@
+/**
+ * Photo archive route for Express server
+ * Same archive as the photo-archive Netlify function, piped straight to the
+ * response without the platform's streamed-response limits
+ */
+import express from 'express'
+import { createRequire } from 'module'
+
+const router = express.Router()
+
+// Same rule as the photo-archive Netlify function
+const ID_PATTERN = /^[a-z0-9-]{2,50}$/i
+
+// GET /api/archive/:orgId/:huntId - ZIP of every team's stop photos plus manifest.csv
+router.get('/archive/:orgId/:huntId', async (req, res) => {
+  const { orgId, huntId } = req.params
+
+  if (!ID_PATTERN.test(orgId) || !ID_PATTERN.test(huntId)) {
+    return res.status(400).json({ error: 'Invalid path parameters' })
+  }
+
+  // Load the shared archive writer with cache-busting
+  const requireFn = createRequire(import.meta.url)
+  const modulePath = '../../netlify/functions/_lib/photoArchive.js'
+  try { delete (requireFn as any).cache[(requireFn as any).resolve(modulePath)] } catch {}
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { createPhotoArchive, archiveFileName } = requireFn(modulePath)
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { requireOrganizer } = requireFn('../../netlify/functions/_lib/organizerAuth.js')
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { getSupabaseClient } = requireFn('../../netlify/functions/_lib/supabaseClient.js')
+
+  const auth = await requireOrganizer({ headers: req.headers }, null, { orgId, permission: 'photos:export' })
+  if (auth.response) {
+    res.status(auth.response.statusCode)
+    Object.entries(auth.response.headers || {}).forEach(([key, value]) => {
+      res.setHeader(key, value as string)
+    })
+    return res.send(auth.response.body)
+  }
+
+  try {
+    const archive = await createPhotoArchive(getSupabaseClient(), { orgId, huntId })
+    if (archive.teamCount === 0) {
+      return res.status(404).json({ error: `No teams found for ${orgId}/${huntId}` })
+    }
+
+    res.status(200)
+    res.setHeader('Content-Type', 'application/zip')
+    res.setHeader('Content-Disposition', `attachment; filename="${archiveFileName(orgId, huntId)}"`)
+    res.setHeader('Cache-Control', 'no-store')
+
+    req.on('close', () => archive.stream.destroy())
+    archive.stream.on('error', (error: unknown) => {
+      console.error('[archiveRoute] Stream failed:', error)
+      res.destroy()
+    })
+    archive.stream.pipe(res)
+  } catch (error) {
+    console.error('[archiveRoute] Failed to collect hunt progress:', error)
+    res.status(502).json({ error: 'Failed to load hunt progress' })
+  }
+})
+
+export default router
@@ -0,0 +1,46 @@
+/**
+ * Geofenced stop check-in route for Express server
+ * Delegates to the stop-checkin Netlify function so dev matches production
+ */
+import express from 'express'
+import { createRequire } from 'module'
+
+const router = express.Router()
+
+// POST /api/checkin/:orgId/:teamId/:huntId/:stopId - Record a geolocation check-in
+router.post('/checkin/:orgId/:teamId/:huntId/:stopId', async (req, res) => {
+  try {
+    // Load the Netlify function with cache-busting
+    const requireFn = createRequire(import.meta.url)
+    const modulePath = '../../netlify/functions/stop-checkin.js'
+    try { delete (requireFn as any).cache[(requireFn as any).resolve(modulePath)] } catch {}
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const stopCheckin = requireFn(modulePath)
+
+    // Simulate Netlify function event
+    const event = {
+      httpMethod: 'POST',
+      path: `/api${req.path}`,
+      headers: req.headers,
+      queryStringParameters: req.query,
+      body: JSON.stringify(req.body || {})
+    }
+
+    const response = await stopCheckin.handler(event)
+
+    res.status(response.statusCode)
+    Object.entries(response.headers || {}).forEach(([key, value]) => {
+      res.setHeader(key, value as string)
+    })
+    res.send(response.body)
+
+  } catch (error) {
+    console.error('[checkinRoute] check-in error:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    })
+  }
+})
+
+export default router
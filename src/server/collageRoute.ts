@@ -1,9 +1,13 @@
 import express from 'express';
 import multer from 'multer';
-import { v2 as cloudinary } from 'cloudinary';
+import { createRequire } from 'module';
 import { Request, Response } from 'express';
+import { requireTeamLock } from './teamAuth';
 
-// Cloudinary configuration will be done inside the request handler
+// Uploads go through the same storage provider as the Netlify functions
+const requireFn = createRequire(import.meta.url);
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { getStorageDriverName, uploadMedia } = requireFn('../../netlify/functions/_lib/photoStorage.js');
 
 // Configure multer for file uploads
 const upload = multer({ 
@@ -29,32 +33,23 @@ interface CollageResponse {
   uploaded: UploadedImage[];
 }
 
-// Helper function to upload image to Cloudinary
-async function uploadToCloudinary(fileBuffer: Buffer, title: string, index: number): Promise<UploadedImage> {
+// Helper function to upload image to photo storage
+async function uploadToStorage(fileBuffer: Buffer, title: string, index: number): Promise<UploadedImage> {
   const timestamp = Date.now();
   const publicId = `scavenger_${timestamp}_${index}`;
-  
-  return new Promise((resolve, reject) => {
-    cloudinary.uploader.upload_stream(
-      {
-        folder: process.env.CLOUDINARY_UPLOAD_FOLDER || 'scavenger/entries',
-        tags: ['vail-scavenger'],
-        public_id: publicId,
-        context: { caption: title },
-      },
-      (error, result) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve({
-            publicId: result!.public_id,
-            secureUrl: result!.secure_url,
-            title: title
-          });
-        }
-      }
-    ).end(fileBuffer);
+
+  const result = await uploadMedia(fileBuffer, {
+    tags: ['vail-scavenger'],
+    publicId,
+    resourceType: 'image',
+    context: { caption: title },
   });
+
+  return {
+    publicId: result.publicId,
+    secureUrl: result.secureUrl,
+    title: title
+  };
 }
 
 // Helper function to create proper multi-image collage using Cloudinary transformations
@@ -64,6 +59,11 @@ function createCollageUrlNew(uploadedImages: UploadedImage[]): string {
   if (uploadedImages.length === 0) {
     return '';
   }
+
+  // Overlay collages are Cloudinary transformations; other drivers get the first photo
+  if (getStorageDriverName() !== 'cloudinary') {
+    return uploadedImages[0].secureUrl;
+  }
   
   console.log('🔧 Creating collage with images:', uploadedImages.map(img => img.publicId));
   
@@ -113,20 +113,6 @@ function createCollageUrlNew(uploadedImages: UploadedImage[]): string {
 
 // Main collage endpoint
 export const createCollageHandler = async (req: Request, res: Response): Promise<void> => {
-  console.log('🔧 CollageHandler called - Environment check:');
-  console.log('  CLOUDINARY_CLOUD_NAME:', process.env.CLOUDINARY_CLOUD_NAME || 'MISSING');
-  console.log('  CLOUDINARY_API_KEY:', process.env.CLOUDINARY_API_KEY ? 'PRESENT' : 'MISSING');
-  console.log('  CLOUDINARY_API_SECRET:', process.env.CLOUDINARY_API_SECRET ? 'PRESENT' : 'MISSING');
-  
-  // Configure Cloudinary with current environment variables
-  console.log('⚙️  Configuring Cloudinary...');
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-  });
-  console.log('✅ Cloudinary configured');
-  
   try {
     const files = req.files as Express.Multer.File[];
     const titlesParam = req.body.titles;
@@ -154,10 +140,10 @@ export const createCollageHandler = async (req: Request, res: Response): Promise
       return;
     }
     
-    // Upload all files to Cloudinary
-    console.log(`Uploading ${files.length} files to Cloudinary...`);
+    // Upload all files to photo storage
+    console.log(`Uploading ${files.length} files to photo storage...`);
     const uploadPromises = files.map((file, index) => 
-      uploadToCloudinary(file.buffer, titles[index], index)
+      uploadToStorage(file.buffer, titles[index], index)
     );
     
     const uploaded = await Promise.all(uploadPromises);
@@ -190,13 +176,7 @@ export const photoUploadHandler = async (req: Request, res: Response): Promise<v
   console.log('  Headers:', req.headers);
   console.log('  Body keys:', Object.keys(req.body || {}));
   console.log('  Files:', req.file ? 'FILE PRESENT' : 'NO FILE');
-  
-  // Configure Cloudinary
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-  });
+
 
   try {
     const file = req.file;
@@ -240,7 +220,7 @@ export const photoUploadHandler = async (req: Request, res: Response): Promise<v
 
     console.log('🏷️ Generated slug:', locationSlug);
 
-    // Upload to Cloudinary
+    // Upload to photo storage
     const timestamp = Date.now();
     const publicId = `${sessionId}/${locationSlug}_${timestamp}`;
     
@@ -253,43 +233,28 @@ export const photoUploadHandler = async (req: Request, res: Response): Promise<v
       tags.push(`location:${locationName.toLowerCase().replace(/[^a-z0-9]/g, '-')}`);
     }
     
-    console.log('☁️ Uploading to Cloudinary with publicId:', publicId);
+    console.log('☁️ Uploading to photo storage with publicId:', publicId);
     console.log('🏷️ Using tags:', tags);
     
-    const uploadResult = await new Promise<{publicId: string, secureUrl: string}>((resolve, reject) => {
-      cloudinary.uploader.upload_stream(
-        {
-          folder: process.env.CLOUDINARY_UPLOAD_FOLDER || 'scavenger/entries',
-          tags: tags,
-          public_id: publicId,
-          context: { 
-            team_name: teamName || '',
-            company_name: locationName || '',
-            session_id: sessionId,
-            upload_time: new Date().toISOString(),
-            scavenger_hunt_name: locationName || 'Vail Hunt',
-            location_slug: locationSlug,
-            upload_type: 'individual_photo',
-            event_name: eventName || ''
-          },
-          resource_type: 'image',
-          format: 'jpg',
-          quality: 'auto:good',
-        },
-        (error, result) => {
-          if (error) {
-            console.error('☁️ Cloudinary upload error:', error);
-            reject(error);
-          } else {
-            console.log('✅ Cloudinary upload successful:', result?.public_id);
-            resolve({
-              publicId: result!.public_id,
-              secureUrl: result!.secure_url
-            });
-          }
-        }
-      ).end(file.buffer);
+    const uploadResult = await uploadMedia(file.buffer, {
+      tags: tags,
+      publicId,
+      contentType: file.mimetype,
+      context: { 
+        team_name: teamName || '',
+        company_name: locationName || '',
+        session_id: sessionId,
+        upload_time: new Date().toISOString(),
+        scavenger_hunt_name: locationName || 'Vail Hunt',
+        location_slug: locationSlug,
+        upload_type: 'individual_photo',
+        event_name: eventName || ''
+      },
+      resourceType: 'image',
+      format: 'jpg',
+      transform: { quality: 'auto:good' },
     });
+    console.log('✅ Photo storage upload successful:', uploadResult.publicId);
 
     // Prepare response
     const response = {
@@ -315,6 +280,6 @@ export const photoUploadHandler = async (req: Request, res: Response): Promise<v
 // Express router setup
 const router = express.Router();
 router.post('/collage', upload.array('photos[]'), createCollageHandler);
-router.post('/photo-upload', upload.single('photo'), photoUploadHandler);
+router.post('/photo-upload', requireTeamLock(), upload.single('photo'), photoUploadHandler);
 
 export default router;
\ No newline at end of file
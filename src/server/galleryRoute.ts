@@ -0,0 +1,45 @@
+/**
+ * Photo gallery routes for Express server
+ * Delegates to the photo-gallery Netlify function so dev matches production
+ */
+import express from 'express'
+import { createRequire } from 'module'
+
+const router = express.Router()
+
+// /api/gallery/:orgId/:huntId[/filters] - Approved photos across all teams
+router.get(['/gallery/:orgId/:huntId', '/gallery/:orgId/:huntId/filters'], async (req, res) => {
+  try {
+    // Load the Netlify function with cache-busting
+    const requireFn = createRequire(import.meta.url)
+    const modulePath = '../../netlify/functions/photo-gallery.js'
+    try { delete (requireFn as any).cache[(requireFn as any).resolve(modulePath)] } catch {}
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const photoGallery = requireFn(modulePath)
+
+    // Simulate Netlify function event
+    const event = {
+      httpMethod: req.method,
+      path: `/api${req.path}`,
+      headers: req.headers,
+      queryStringParameters: req.query
+    }
+
+    const response = await photoGallery.handler(event)
+
+    res.status(response.statusCode)
+    Object.entries(response.headers || {}).forEach(([key, value]) => {
+      res.setHeader(key, value as string)
+    })
+    res.send(response.body)
+
+  } catch (error) {
+    console.error('[galleryRoute] photo gallery error:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    })
+  }
+})
+
+export default router
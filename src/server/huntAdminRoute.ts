@@ -0,0 +1,46 @@
+/**
+ * Hunt admin routes for Express server
+ * Delegates to the hunt-admin Netlify function so dev matches production
+ */
+import express from 'express'
+import { createRequire } from 'module'
+
+const router = express.Router()
+
+// /api/hunt-admin/:orgId/hunts[/...] - Organizer hunt, stop and sponsor management
+router.all(['/hunt-admin/:orgId/hunts', '/hunt-admin/:orgId/hunts/*'], async (req, res) => {
+  try {
+    // Load the Netlify function with cache-busting
+    const requireFn = createRequire(import.meta.url)
+    const modulePath = '../../netlify/functions/hunt-admin.js'
+    try { delete (requireFn as any).cache[(requireFn as any).resolve(modulePath)] } catch {}
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const huntAdmin = requireFn(modulePath)
+
+    // Simulate Netlify function event
+    const event = {
+      httpMethod: req.method,
+      path: `/api${req.path}`,
+      headers: req.headers,
+      queryStringParameters: req.query,
+      body: req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : null
+    }
+
+    const response = await huntAdmin.handler(event)
+
+    res.status(response.statusCode)
+    Object.entries(response.headers || {}).forEach(([key, value]) => {
+      res.setHeader(key, value as string)
+    })
+    res.send(response.body)
+
+  } catch (error) {
+    console.error('[huntAdminRoute] hunt admin error:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    })
+  }
+})
+
+export default router
@@ -1,5 +1,6 @@
 import express from 'express';
 import { Request, Response } from 'express';
+import { requireTeamLock, scopeFromKey } from './teamAuth';
 
 interface StateGetResponse {
   key: string;
@@ -189,11 +190,13 @@ const router = express.Router();
 // Support both old hyphenated and new slash-based routes for compatibility
 router.get('/kv-get/:key', kvGetHandler);
 router.get('/kv/get/:key', kvGetHandler);
-router.post('/kv-upsert', kvUpsertHandler);
-router.post('/kv/upsert', kvUpsertHandler);
+// Writes need the lock token of the team the key belongs to
+const requireKeyOwner = (getKey: (req: Request) => unknown) => requireTeamLock(req => scopeFromKey(getKey(req)));
+router.post('/kv-upsert', requireKeyOwner(req => req.body?.key), kvUpsertHandler);
+router.post('/kv/upsert', requireKeyOwner(req => req.body?.key), kvUpsertHandler);
 router.get('/kv-list', kvListHandler);
 router.get('/kv/list', kvListHandler);
-router.delete('/kv-delete/:key', kvDeleteHandler);
-router.delete('/kv/delete/:key', kvDeleteHandler);
+router.delete('/kv-delete/:key', requireKeyOwner(req => req.params.key), kvDeleteHandler);
+router.delete('/kv/delete/:key', requireKeyOwner(req => req.params.key), kvDeleteHandler);
 
 export default router;
\ No newline at end of file
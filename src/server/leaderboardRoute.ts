@@ -1,4 +1,5 @@
 import { Router } from 'express'
+import { createRequire } from 'module'
 import { validateOrgId, validateHuntId } from '../utils/validation'
 
 const router = Router()
@@ -91,6 +92,44 @@ router.get('/leaderboard/:orgId/:huntId', async (req, res) => {
   }
 })
 
+// GET live leaderboard stream (SSE) - same loop as the leaderboard-stream Netlify function,
+// but held open for as long as the client stays connected
+router.get('/leaderboard/:orgId/:huntId/stream', (req, res) => {
+  const { orgId, huntId } = req.params
+
+  if (!validateOrgId(orgId) || !validateHuntId(huntId)) {
+    return res.status(400).json({ error: 'Invalid path parameters' })
+  }
+
+  // Load the shared stream loop without cache-busting so every connection
+  // subscribes to the same per-hunt poller
+  const requireFn = createRequire(import.meta.url)
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { streamLeaderboard } = requireFn('../../netlify/functions/_lib/leaderboardStream.js')
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { getSupabaseClient } = requireFn('../../netlify/functions/_lib/supabaseClient.js')
+
+  res.status(200)
+  res.setHeader('Content-Type', 'text/event-stream')
+  res.setHeader('Cache-Control', 'no-cache, no-transform')
+  res.flushHeaders()
+
+  const abortController = new AbortController()
+  req.on('close', () => abortController.abort())
+
+  streamLeaderboard({
+    supabase: getSupabaseClient(),
+    orgId,
+    huntId,
+    signal: abortController.signal,
+    write: (chunk: string) => res.write(chunk)
+  })
+    .catch((error: unknown) => {
+      console.error('Error streaming leaderboard:', error)
+    })
+    .finally(() => res.end())
+})
+
 // GET team export - all data for a team's hunt
 router.get('/export/:orgId/:teamId/:huntId', async (req, res) => {
   const { orgId, teamId, huntId } = req.params
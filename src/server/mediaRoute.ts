@@ -0,0 +1,41 @@
+/**
+ * Local photo storage file route for Express server
+ * Serves /media/* from PHOTO_STORAGE_LOCAL_DIR when PHOTO_STORAGE_DRIVER=local
+ */
+import express from 'express'
+import { createRequire } from 'module'
+
+const router = express.Router()
+
+const requireFn = createRequire(import.meta.url)
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { getStorageDriverName } = requireFn('../../netlify/functions/_lib/photoStorage.js')
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { readLocalMedia, MEDIA_SECURITY_HEADERS } = requireFn('../../netlify/functions/_lib/localPhotoStorage.js')
+
+// GET /media/* - Stored file with its original content type
+router.get('/media/*', async (req, res) => {
+  if (getStorageDriverName() !== 'local') {
+    return res.status(404).json({ error: 'Not found' })
+  }
+
+  try {
+    const media = await readLocalMedia((req.params as Record<string, string>)[0])
+    if (!media) {
+      return res.status(404).json({ error: 'Not found' })
+    }
+
+    res.set(MEDIA_SECURITY_HEADERS)
+    res.setHeader('Content-Type', media.contentType)
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable')
+    res.send(media.buffer)
+  } catch (error) {
+    if (error instanceof Error && error.message.startsWith('Invalid path')) {
+      return res.status(400).json({ error: 'Invalid path' })
+    }
+    console.error('[mediaRoute] read error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+export default router
@@ -0,0 +1,46 @@
+/**
+ * Organizer sign-in routes for Express server
+ * Delegates to the organizer-auth Netlify function so dev matches production
+ */
+import express from 'express'
+import { createRequire } from 'module'
+
+const router = express.Router()
+
+// /api/organizer/(login|me) - Organizer sign-in and identity
+router.all('/organizer/:action', async (req, res) => {
+  try {
+    // Load the Netlify function with cache-busting
+    const requireFn = createRequire(import.meta.url)
+    const modulePath = '../../netlify/functions/organizer-auth.js'
+    try { delete (requireFn as any).cache[(requireFn as any).resolve(modulePath)] } catch {}
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const organizerAuth = requireFn(modulePath)
+
+    // Simulate Netlify function event
+    const event = {
+      httpMethod: req.method,
+      path: `/api${req.path}`,
+      headers: req.headers,
+      queryStringParameters: req.query,
+      body: req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : null
+    }
+
+    const response = await organizerAuth.handler(event)
+
+    res.status(response.statusCode)
+    Object.entries(response.headers || {}).forEach(([key, value]) => {
+      res.setHeader(key, value as string)
+    })
+    res.send(response.body)
+
+  } catch (error) {
+    console.error('[organizerRoute] organizer auth error:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    })
+  }
+})
+
+export default router
@@ -1,19 +1,17 @@
 import express from 'express';
 import multer from 'multer';
-import { v2 as cloudinary } from 'cloudinary';
-import streamifier from 'streamifier';
+import { createRequire } from 'module';
+import { requireTeamLock } from './teamAuth';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// Uploads go through the same storage provider as the Netlify functions
+const requireFn = createRequire(import.meta.url);
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { getUploadFolder, uploadMedia, transformMediaUrl } = requireFn('../../netlify/functions/_lib/photoStorage.js');
 
-router.post('/photo-upload', upload.single('file'), async (req, res) => {
+router.post('/photo-upload', requireTeamLock(), upload.single('file'), async (req, res) => {
   console.log('📸 Photo upload request received');
 
   try {
@@ -41,7 +39,7 @@ router.post('/photo-upload', upload.single('file'), async (req, res) => {
       fileType: req.file.mimetype
     });
 
-    // Build Cloudinary tags
+    // Build storage tags
     const tags = [
       'scavenger-hunt',
       sessionId,
@@ -52,44 +50,23 @@ router.post('/photo-upload', upload.single('file'), async (req, res) => {
     ].filter(Boolean);
 
     // Build folder path
-    const uploadFolder = process.env.CLOUDINARY_UPLOAD_FOLDER || 'scavenger/entries';
-    const folder = `${uploadFolder}/${sessionId}`;
-
-    // Upload to Cloudinary using stream
-    const uploadPromise = new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder,
-          tags,
-          resource_type: 'auto',
-          transformation: [
-            { width: 1920, height: 1920, crop: 'limit' },
-            { quality: 'auto:good' }
-          ]
-        },
-        (error, result) => {
-          if (error) {
-            console.error('❌ Cloudinary upload error:', error);
-            reject(error);
-          } else {
-            console.log('✅ Cloudinary upload success:', result?.public_id);
-            resolve(result);
-          }
-        }
-      );
+    const folder = `${getUploadFolder()}/${sessionId}`;
 
-      streamifier.createReadStream(req.file.buffer).pipe(uploadStream);
+    const result = await uploadMedia(req.file.buffer, {
+      folder,
+      tags,
+      contentType: req.file.mimetype,
+      transform: { width: 1920, height: 1920, crop: 'limit', quality: 'auto:good' }
     });
-
-    const result = await uploadPromise as any;
+    console.log('✅ Photo storage upload success:', result.publicId);
 
     // Return response matching expected schema
     const response = {
       success: true,
       data: {
-        id: result.public_id,
-        url: result.secure_url,
-        thumbnailUrl: result.secure_url.replace('/upload/', '/upload/w_300,h_300,c_fill/'),
+        id: result.publicId,
+        url: result.secureUrl,
+        thumbnailUrl: transformMediaUrl(result.secureUrl, { width: 300, height: 300, crop: 'fill' }),
         locationTitle,
         teamName,
         sessionId,
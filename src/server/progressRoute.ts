@@ -1,5 +1,6 @@
-import { Router } from 'express'
+import { Router, type Request } from 'express'
 import fetch from 'node-fetch'
+import { requireTeamLock } from './teamAuth'
 
 const router = Router()
 
@@ -31,6 +32,12 @@ function getFunctionUrl(path: string): string {
   return `${FUNCTIONS_BASE_URL}/.netlify/functions${path}`
 }
 
+// Writes are checked again by the functions, so pass the team lock token through
+function teamLockHeader(req: Request): Record<string, string> {
+  const lock = req.headers['x-team-lock']
+  return typeof lock === 'string' ? { 'X-Team-Lock': lock } : {}
+}
+
 // Type-safe error message extractor for unknown catch variables
 function getErrorMessage(err: unknown): string {
   if (err instanceof Error) return err.message
@@ -101,7 +108,7 @@ router.get('/progress/:orgId/:teamId/:huntId', async (req, res) => {
 })
 
 // POST progress for a team's hunt - Proxy to Supabase
-router.post('/progress/:orgId/:teamId/:huntId', async (req, res) => {
+router.post('/progress/:orgId/:teamId/:huntId', requireTeamLock(req => req.params), async (req, res) => {
   const { orgId, teamId, huntId } = req.params
 
   // URL decode parameters to handle spaces and special characters
@@ -126,7 +133,8 @@ router.post('/progress/:orgId/:teamId/:huntId', async (req, res) => {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Cache-Control': 'no-store, no-cache, must-revalidate'
+        'Cache-Control': 'no-store, no-cache, must-revalidate',
+        ...teamLockHeader(req)
       },
       body: JSON.stringify({
         orgId: decodedOrgId,
@@ -167,7 +175,7 @@ router.post('/progress/:orgId/:teamId/:huntId', async (req, res) => {
 })
 
 // PATCH progress for a specific stop - Proxy to Supabase
-router.patch('/progress/:orgId/:teamId/:huntId/stop/:stopId', async (req, res) => {
+router.patch('/progress/:orgId/:teamId/:huntId/stop/:stopId', requireTeamLock(req => req.params), async (req, res) => {
   const { orgId, teamId, huntId, stopId } = req.params
 
   // URL decode parameters
@@ -193,7 +201,8 @@ router.patch('/progress/:orgId/:teamId/:huntId/stop/:stopId', async (req, res) =
       method: 'PATCH',
       headers: {
         'Content-Type': 'application/json',
-        'Cache-Control': 'no-store, no-cache, must-revalidate'
+        'Cache-Control': 'no-store, no-cache, must-revalidate',
+        ...teamLockHeader(req)
       },
       body: JSON.stringify({ update, sessionId, timestamp })
     })
@@ -27,6 +27,16 @@ import leaderboardRouter from './leaderboardRoute';
 import teamRouter from './teamRoute';
 import sponsorsRouter from './sponsorsRoute';
 import consolidatedRouter from './consolidatedRoute';
+import activityRouter from './activityRoute';
+import checkinRouter from './checkinRoute';
+import uploadsRouter from './uploadsRoute';
+import mediaRouter from './mediaRoute';
+import moderationRouter from './moderationRoute';
+import organizerRouter from './organizerRoute';
+import huntAdminRouter from './huntAdminRoute';
+import teamCollageRouter from './teamCollageRoute';
+import galleryRouter from './galleryRoute';
+import archiveRouter from './archiveRoute';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -60,6 +70,10 @@ app.use((req, res, next) => {
   if (req.path.includes('/photo-upload')) {
     return next();
   }
+  // Sponsor logos arrive as data URLs in the hunt admin API
+  if (req.path.startsWith('/api/hunt-admin/')) {
+    return express.json({ limit: '2mb' })(req, res, next);
+  }
   return express.json()(req, res, next);
 });
 
@@ -107,6 +121,18 @@ app.use('/api', leaderboardRouter);
 app.use('/api', teamRouter);
 app.use('/api', sponsorsRouter);
 app.use('/api', consolidatedRouter);
+app.use('/api', activityRouter);
+app.use('/api', checkinRouter);
+app.use('/api', uploadsRouter);
+app.use('/api', moderationRouter);
+app.use('/api', organizerRouter);
+app.use('/api', huntAdminRouter);
+app.use('/api', teamCollageRouter);
+app.use('/api', galleryRouter);
+app.use('/api', archiveRouter);
+
+// Files stored by the local photo storage driver
+app.use(mediaRouter);
 
 // Forward specific Netlify function requests to the handler
 app.all('/api/login-initialize', async (req, res, next) => {
@@ -237,7 +263,7 @@ app.all('/api/photo-upload-orchestrated', async (req, res, next) => {
 app.options('/api/photo-upload-complete', (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Team-Lock');
   res.status(204).send();
 });
 
@@ -245,7 +271,7 @@ app.options('/api/photo-upload-complete', (req, res) => {
 app.options('/api/photo-upload-orchestrated', (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, X-Team-Lock');
   res.status(204).send();
 });
 
@@ -382,6 +408,9 @@ app.get('/health', (req, res) => {
     cloudinary: {
       configured: !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY),
       cloudName: process.env.CLOUDINARY_CLOUD_NAME || 'not-set'
+    },
+    photoStorage: {
+      driver: process.env.PHOTO_STORAGE_DRIVER || 'cloudinary'
     }
   });
 });
@@ -438,11 +467,16 @@ app.use((err: Error, req: express.Request, res: express.Response, next: express.
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT} with Supabase sponsors and Sentry integration`);
   console.log(`📁 Static files served from: ${publicPath}`);
-  console.log(`☁️  Cloudinary configured: ${!!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY)}`);
-  console.log(`☁️  Cloudinary cloud: ${process.env.CLOUDINARY_CLOUD_NAME}`);
+  const storageDriver = process.env.PHOTO_STORAGE_DRIVER || 'cloudinary';
+  console.log(`☁️  Photo storage driver: ${storageDriver}`);
+
+  if (storageDriver === 'cloudinary') {
+    console.log(`☁️  Cloudinary configured: ${!!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY)}`);
+    console.log(`☁️  Cloudinary cloud: ${process.env.CLOUDINARY_CLOUD_NAME}`);
 
-  if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY) {
-    console.warn('⚠️  Warning: Cloudinary not configured. Check your .env file.');
+    if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY) {
+      console.warn('⚠️  Warning: Cloudinary not configured. Set PHOTO_STORAGE_DRIVER=local to run without it, or check your .env file.');
+    }
   }
 });
 
@@ -1,5 +1,6 @@
 import { Router } from 'express'
 import { validateSettings, validateOrgId, validateTeamId, validateHuntId, validateSessionId } from '../utils/validation'
+import { requireTeamLock } from './teamAuth'
 
 const router = Router()
 
@@ -27,7 +28,7 @@ router.get('/settings/:orgId/:teamId/:huntId', async (req, res) => {
 })
 
 // POST settings for a team's hunt
-router.post('/settings/:orgId/:teamId/:huntId', async (req, res) => {
+router.post('/settings/:orgId/:teamId/:huntId', requireTeamLock(req => req.params), async (req, res) => {
   const { orgId, teamId, huntId } = req.params
   const key = `${orgId}/${teamId}/${huntId}/settings`
   const metadataKey = `${orgId}/${teamId}/${huntId}/metadata`
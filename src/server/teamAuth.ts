@@ -0,0 +1,47 @@
+/**
+ * Team lock middleware for Express write routes
+ * Uses the same checks as the Netlify functions (netlify/functions/_lib/teamAuth.js)
+ */
+import type { Request, RequestHandler } from 'express'
+import { createRequire } from 'module'
+
+const requireFn = createRequire(import.meta.url)
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const teamAuth = requireFn('../../netlify/functions/_lib/teamAuth.js')
+
+export interface TeamScope {
+  orgId?: string
+  huntId?: string
+  teamId?: string
+}
+
+/**
+ * Scope of a team KV key ({orgId}/{teamId}/{huntId}/{name}, see ServerStorageService)
+ * Unscoped keys get empty parts, which no team lock covers.
+ */
+export function scopeFromKey(key: unknown): TeamScope {
+  const [orgId = '', teamId = '', huntId = '', ...name] = String(key ?? '').split('/')
+  return name.length ? { orgId, teamId, huntId } : { orgId: '', teamId: '', huntId: '' }
+}
+
+/**
+ * Reject the request with the function-style 401/403 unless its X-Team-Lock covers the scope
+ * The verified claims are left in res.locals.team.
+ */
+export function requireTeamLock(getScope: (req: Request) => TeamScope = () => ({})): RequestHandler {
+  return async (req, res, next) => {
+    const { response, team } = await teamAuth.requireTeamLock({ headers: req.headers }, getScope(req))
+
+    if (response) {
+      res.status(response.statusCode)
+      Object.entries(response.headers || {}).forEach(([key, value]) => {
+        res.setHeader(key, value as string)
+      })
+      res.send(response.body)
+      return
+    }
+
+    res.locals.team = team
+    next()
+  }
+}
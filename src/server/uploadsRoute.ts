@@ -0,0 +1,60 @@
+/**
+ * Chunked upload routes for Express server
+ * Delegates to the chunked-upload Netlify function so dev matches production
+ */
+import express from 'express'
+import { createRequire } from 'module'
+
+const router = express.Router()
+
+// Chunk bodies are raw bytes; the global JSON parser ignores application/octet-stream
+const rawChunk = express.raw({ type: () => true, limit: '8mb' })
+
+async function forwardToFunction(req: express.Request, res: express.Response, body: string | undefined, isBase64Encoded: boolean) {
+  try {
+    // Load the Netlify function with cache-busting
+    const requireFn = createRequire(import.meta.url)
+    const modulePath = '../../netlify/functions/chunked-upload.js'
+    try { delete (requireFn as any).cache[(requireFn as any).resolve(modulePath)] } catch {}
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const chunkedUpload = requireFn(modulePath)
+
+    // Simulate Netlify function event
+    const event = {
+      httpMethod: req.method,
+      path: `/api${req.path}`,
+      headers: req.headers,
+      queryStringParameters: req.query,
+      body,
+      isBase64Encoded
+    }
+
+    const response = await chunkedUpload.handler(event)
+
+    res.status(response.statusCode)
+    Object.entries(response.headers || {}).forEach(([key, value]) => {
+      res.setHeader(key, value as string)
+    })
+    res.send(response.body)
+
+  } catch (error) {
+    console.error('[uploadsRoute] chunked upload error:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    })
+  }
+}
+
+// PUT /api/uploads/:uploadId/chunks/:index - Store one chunk
+router.put('/uploads/:uploadId/chunks/:index', rawChunk, async (req, res) => {
+  const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0)
+  await forwardToFunction(req, res, chunk.toString('base64'), true)
+})
+
+// POST /api/uploads/init, GET /api/uploads/:uploadId, POST /api/uploads/:uploadId/complete
+router.all(['/uploads/init', '/uploads/:uploadId', '/uploads/:uploadId/complete'], async (req, res) => {
+  await forwardToFunction(req, res, req.method === 'GET' ? undefined : JSON.stringify(req.body || {}), false)
+})
+
+export default router
@@ -0,0 +1,25 @@
+/**
+ * ActivityFeedService
+ * Client-side access to the hunt activity feed (GET /api/activity/:orgId/:huntId)
+ */
+
+import { apiClient } from './apiClient'
+import type { ActivityFeedRequest, ActivityFeedResponse } from '../types/activity'
+
+export class ActivityFeedService {
+  /**
+   * Fetch one page of feed events, newest first
+   */
+  static async getFeed(request: ActivityFeedRequest): Promise<ActivityFeedResponse> {
+    const { orgId, huntId, teamId, filter = 'all', cursor, limit } = request
+
+    const params = new URLSearchParams({ filter })
+    if (teamId) params.set('teamId', teamId)
+    if (cursor) params.set('cursor', cursor)
+    if (limit) params.set('limit', String(limit))
+
+    return apiClient.get<ActivityFeedResponse>(
+      `/activity/${encodeURIComponent(orgId)}/${encodeURIComponent(huntId)}?${params.toString()}`
+    )
+  }
+}
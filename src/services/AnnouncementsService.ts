@@ -0,0 +1,74 @@
+/**
+ * AnnouncementsService
+ * Client-side access to organizer announcements (/api/announcements/:orgId/:huntId)
+ *
+ * Team devices only read active announcements; the organizer methods require
+ * an organizer credential (session token or organizer API key) and are meant
+ * for staff tooling.
+ */
+
+import { apiClient } from './apiClient'
+import type { Announcement, AnnouncementInput, AnnouncementsResponse } from '../types/activity'
+
+const basePath = (orgId: string, huntId: string) =>
+  `/announcements/${encodeURIComponent(orgId)}/${encodeURIComponent(huntId)}`
+
+const organizerHeaders = (organizerKey: string) => ({
+  'Authorization': `Bearer ${organizerKey}`,
+  'Accept': 'application/json'
+})
+
+export class AnnouncementsService {
+  /**
+   * Active announcements visible to the team
+   * Those targeted at the team need its lock token, which apiClient sends.
+   */
+  static async getActive(orgId: string, huntId: string): Promise<Announcement[]> {
+    const response = await apiClient.get<AnnouncementsResponse>(basePath(orgId, huntId))
+    return response.announcements || []
+  }
+
+  /**
+   * All announcements including scheduled and expired (organizer)
+   */
+  static async listAll(orgId: string, huntId: string, organizerKey: string): Promise<Announcement[]> {
+    const response = await apiClient.request<AnnouncementsResponse>(
+      `${basePath(orgId, huntId)}?include=all`,
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+    return response.announcements || []
+  }
+
+  /**
+   * Create or schedule an announcement (organizer)
+   */
+  static async create(orgId: string, huntId: string, input: AnnouncementInput, organizerKey: string): Promise<Announcement> {
+    const response = await apiClient.request<{ announcement: Announcement }>(
+      basePath(orgId, huntId),
+      { method: 'POST', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.announcement
+  }
+
+  /**
+   * Edit an announcement (organizer)
+   */
+  static async update(orgId: string, huntId: string, id: string, input: AnnouncementInput, organizerKey: string): Promise<Announcement> {
+    const response = await apiClient.request<{ announcement: Announcement }>(
+      `${basePath(orgId, huntId)}/${encodeURIComponent(id)}`,
+      { method: 'PATCH', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.announcement
+  }
+
+  /**
+   * Expire an announcement immediately (organizer)
+   */
+  static async expire(orgId: string, huntId: string, id: string, organizerKey: string): Promise<Announcement> {
+    const response = await apiClient.request<{ announcement: Announcement }>(
+      `${basePath(orgId, huntId)}/${encodeURIComponent(id)}/expire`,
+      { method: 'POST', headers: organizerHeaders(organizerKey) }
+    )
+    return response.announcement
+  }
+}
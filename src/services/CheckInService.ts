@@ -0,0 +1,34 @@
+/**
+ * CheckInService
+ * Client-side access to geofenced stop check-ins
+ * (POST /api/checkin/:orgId/:teamId/:huntId/:stopId)
+ *
+ * Only the raw browser position is sent; the server computes the distance
+ * to the stop and decides whether the check-in is within the geofence.
+ */
+
+import { apiClient } from './apiClient'
+import type { StopCheckIn } from '../types/hunt-system'
+
+export interface CheckInCoordinates {
+  lat: number
+  lng: number
+  accuracy?: number
+}
+
+export class CheckInService {
+  /**
+   * Record a check-in at a stop
+   */
+  static async checkIn(
+    orgId: string,
+    teamId: string,
+    huntId: string,
+    stopId: string,
+    coords: CheckInCoordinates
+  ): Promise<StopCheckIn> {
+    const path = [orgId, teamId, huntId, stopId].map(encodeURIComponent).join('/')
+    const response = await apiClient.post<{ checkIn: StopCheckIn }>(`/checkin/${path}`, coords)
+    return response.checkIn
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * GalleryService
+ * Client-side access to the hunt-wide gallery of approved photos (GET /api/gallery/:orgId/:huntId)
+ */
+
+import { apiClient } from './apiClient'
+import type { GalleryFilters, GalleryPage, GalleryRequest } from '../types/gallery'
+
+const basePath = (orgId: string, huntId: string) =>
+  `/gallery/${encodeURIComponent(orgId)}/${encodeURIComponent(huntId)}`
+
+export class GalleryService {
+  /**
+   * Fetch one page of approved photos, newest first
+   */
+  static async getPhotos(request: GalleryRequest): Promise<GalleryPage> {
+    const { orgId, huntId, stopId, teamId, cursor, limit } = request
+
+    const params = new URLSearchParams()
+    if (stopId) params.set('stopId', stopId)
+    if (teamId) params.set('teamId', teamId)
+    if (cursor) params.set('cursor', cursor)
+    if (limit) params.set('limit', String(limit))
+
+    const query = params.toString()
+    return apiClient.get<GalleryPage>(`${basePath(orgId, huntId)}${query ? `?${query}` : ''}`)
+  }
+
+  /**
+   * Stops and teams that have approved photos
+   */
+  static async getFilters(orgId: string, huntId: string): Promise<GalleryFilters> {
+    return apiClient.get<GalleryFilters>(`${basePath(orgId, huntId)}/filters`)
+  }
+}
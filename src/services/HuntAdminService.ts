@@ -0,0 +1,273 @@
+/**
+ * HuntAdminService
+ * Organizer management of hunts, stops, sponsors and team codes (/api/hunt-admin/:orgId/hunts)
+ *
+ * Every method requires an organizer credential (session token from
+ * OrganizerAuthService.login, or the organizer API key). Reads need the
+ * viewer role, writes and everything touching team codes the organizer role. Used by the admin console (/admin);
+ * HuntConfigService's direct Supabase writes are blocked for browsers by RLS.
+ */
+
+import { apiClient } from './apiClient'
+import type {
+  AdminHunt,
+  AdminSponsor,
+  AdminStop,
+  AdminTeam,
+  HuntInput,
+  HuntPreview,
+  JoinLink,
+  JoinLinkInput,
+  SponsorInput,
+  StopInput,
+  TeamBatchInput,
+  TeamCodeIssue,
+  TeamSession
+} from '../types/huntAdmin'
+
+const huntsPath = (orgId: string) =>
+  `/hunt-admin/${encodeURIComponent(orgId)}/hunts`
+
+const huntPath = (orgId: string, huntId: string) =>
+  `${huntsPath(orgId)}/${encodeURIComponent(huntId)}`
+
+const teamPath = (orgId: string, huntId: string, teamId: string) =>
+  `${huntPath(orgId, huntId)}/teams/${encodeURIComponent(teamId)}`
+
+const organizerHeaders = (organizerKey: string) => ({
+  'Authorization': `Bearer ${organizerKey}`,
+  'Accept': 'application/json'
+})
+
+export class HuntAdminService {
+  /**
+   * Hunts of an organization, including inactive ones
+   */
+  static async listHunts(orgId: string, organizerKey: string): Promise<AdminHunt[]> {
+    const response = await apiClient.request<{ hunts: AdminHunt[] }>(
+      huntsPath(orgId),
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+    return response.hunts || []
+  }
+
+  /**
+   * Create a hunt (inactive unless isActive is set)
+   */
+  static async createHunt(orgId: string, input: HuntInput, organizerKey: string): Promise<AdminHunt> {
+    const response = await apiClient.request<{ hunt: AdminHunt }>(
+      huntsPath(orgId),
+      { method: 'POST', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.hunt
+  }
+
+  /**
+   * Edit a hunt's name, schedule, active flag or ordering strategy
+   */
+  static async updateHunt(orgId: string, huntId: string, input: HuntInput, organizerKey: string): Promise<AdminHunt> {
+    const response = await apiClient.request<{ hunt: AdminHunt }>(
+      huntPath(orgId, huntId),
+      { method: 'PATCH', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.hunt
+  }
+
+  /**
+   * Stops of a hunt in default order, including inactive ones
+   */
+  static async listStops(orgId: string, huntId: string, organizerKey: string): Promise<AdminStop[]> {
+    const response = await apiClient.request<{ stops: AdminStop[] }>(
+      `${huntPath(orgId, huntId)}/stops`,
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+    return response.stops || []
+  }
+
+  /**
+   * Create a stop and append it to the hunt
+   */
+  static async createStop(orgId: string, huntId: string, input: StopInput, organizerKey: string): Promise<AdminStop> {
+    const response = await apiClient.request<{ stop: AdminStop }>(
+      `${huntPath(orgId, huntId)}/stops`,
+      { method: 'POST', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.stop
+  }
+
+  /**
+   * Edit a stop's content or toggle it active
+   */
+  static async updateStop(orgId: string, huntId: string, stopId: string, input: StopInput, organizerKey: string): Promise<AdminStop> {
+    const response = await apiClient.request<{ stop: AdminStop }>(
+      `${huntPath(orgId, huntId)}/stops/${encodeURIComponent(stopId)}`,
+      { method: 'PATCH', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.stop
+  }
+
+  /**
+   * Set the default stop order; stopIds must list every stop of the hunt
+   */
+  static async reorderStops(orgId: string, huntId: string, stopIds: string[], organizerKey: string): Promise<AdminStop[]> {
+    const response = await apiClient.request<{ stops: AdminStop[] }>(
+      `${huntPath(orgId, huntId)}/stops/order`,
+      { method: 'PUT', body: { stopIds } as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.stops || []
+  }
+
+  /**
+   * Sponsors of a hunt in display order, including inactive ones
+   */
+  static async listSponsors(orgId: string, huntId: string, organizerKey: string): Promise<AdminSponsor[]> {
+    const response = await apiClient.request<{ sponsors: AdminSponsor[] }>(
+      `${huntPath(orgId, huntId)}/sponsors`,
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+    return response.sponsors || []
+  }
+
+  /**
+   * Add a sponsor after the existing ones
+   */
+  static async createSponsor(orgId: string, huntId: string, input: SponsorInput, organizerKey: string): Promise<AdminSponsor> {
+    const response = await apiClient.request<{ sponsor: AdminSponsor }>(
+      `${huntPath(orgId, huntId)}/sponsors`,
+      { method: 'POST', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.sponsor
+  }
+
+  /**
+   * Edit a sponsor's name, alt text, logo or active flag
+   */
+  static async updateSponsor(orgId: string, huntId: string, id: string, input: SponsorInput, organizerKey: string): Promise<AdminSponsor> {
+    const response = await apiClient.request<{ sponsor: AdminSponsor }>(
+      `${huntPath(orgId, huntId)}/sponsors/${encodeURIComponent(id)}`,
+      { method: 'PATCH', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.sponsor
+  }
+
+  /**
+   * Remove a sponsor
+   */
+  static async deleteSponsor(orgId: string, huntId: string, id: string, organizerKey: string): Promise<void> {
+    await apiClient.request<{ id: string }>(
+      `${huntPath(orgId, huntId)}/sponsors/${encodeURIComponent(id)}`,
+      { method: 'DELETE', headers: organizerHeaders(organizerKey) }
+    )
+  }
+
+  /**
+   * Set the sponsor display order; ids must list every sponsor of the hunt
+   */
+  static async reorderSponsors(orgId: string, huntId: string, ids: string[], organizerKey: string): Promise<AdminSponsor[]> {
+    const response = await apiClient.request<{ sponsors: AdminSponsor[] }>(
+      `${huntPath(orgId, huntId)}/sponsors/order`,
+      { method: 'PUT', body: { ids } as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.sponsors || []
+  }
+
+  /**
+   * Stops and sponsors exactly as a team that hasn't started sees them
+   */
+  static async getPreview(orgId: string, huntId: string, organizerKey: string): Promise<HuntPreview> {
+    return apiClient.request<HuntPreview>(
+      `${huntPath(orgId, huntId)}/preview`,
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+  }
+
+  /**
+   * Teams of a hunt with every code they have had
+   */
+  static async listTeams(orgId: string, huntId: string, organizerKey: string): Promise<AdminTeam[]> {
+    const response = await apiClient.request<{ teams: AdminTeam[] }>(
+      `${huntPath(orgId, huntId)}/teams`,
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+    return response.teams || []
+  }
+
+  /**
+   * Create teams (by count or by name), each with a fresh code
+   */
+  static async createTeams(orgId: string, huntId: string, input: TeamBatchInput, organizerKey: string): Promise<TeamCodeIssue[]> {
+    const response = await apiClient.request<{ teams: TeamCodeIssue[] }>(
+      `${huntPath(orgId, huntId)}/teams`,
+      { method: 'POST', body: input as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.teams || []
+  }
+
+  /**
+   * Issue a new code for a team and revoke its current one (e.g. it leaked)
+   */
+  static async rotateTeamCode(orgId: string, huntId: string, teamId: string, organizerKey: string): Promise<TeamCodeIssue & { revoked: string[] }> {
+    return apiClient.request<TeamCodeIssue & { revoked: string[] }>(
+      `${teamPath(orgId, huntId, teamId)}/rotate`,
+      { method: 'POST', body: {} as any, headers: organizerHeaders(organizerKey) }
+    )
+  }
+
+  /**
+   * Revoke a team's active codes (or only the given one); no new code is issued
+   */
+  static async revokeTeamCodes(orgId: string, huntId: string, teamId: string, organizerKey: string, code?: string): Promise<string[]> {
+    const response = await apiClient.request<{ teamId: string; revoked: string[] }>(
+      `${teamPath(orgId, huntId, teamId)}/revoke`,
+      { method: 'POST', body: (code ? { code } : {}) as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.revoked || []
+  }
+
+  /**
+   * Issue a signed join link for a team's current code (optionally single use
+   * or limited to a number of devices); it points at this app
+   */
+  static async createJoinLink(orgId: string, huntId: string, teamId: string, input: JoinLinkInput, organizerKey: string): Promise<JoinLink> {
+    const response = await apiClient.request<{ link: JoinLink }>(
+      `${teamPath(orgId, huntId, teamId)}/join-links`,
+      { method: 'POST', body: { ...input, appUrl: window.location.origin } as any, headers: organizerHeaders(organizerKey) }
+    )
+    return response.link
+  }
+
+  /**
+   * Revoke one join link (e.g. a leaked card QR code); the team code keeps working
+   */
+  static async revokeJoinLink(orgId: string, huntId: string, teamId: string, linkId: string, organizerKey: string): Promise<void> {
+    await apiClient.request<{ teamId: string; linkId: string; revokedAt: string }>(
+      `${teamPath(orgId, huntId, teamId)}/revoke-link`,
+      { method: 'POST', body: { linkId } as any, headers: organizerHeaders(organizerKey) }
+    )
+  }
+
+  /**
+   * Devices that joined a team and the code each one used, newest first
+   */
+  static async listTeamSessions(orgId: string, huntId: string, teamId: string, organizerKey: string): Promise<TeamSession[]> {
+    const response = await apiClient.request<{ sessions: TeamSession[] }>(
+      `${teamPath(orgId, huntId, teamId)}/sessions`,
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+    return response.sessions || []
+  }
+
+  /**
+   * Printable HTML page with a QR join card per team with an active code
+   * Every card gets a fresh join link, limited to linkMaxUses devices if set.
+   */
+  static async getTeamCards(orgId: string, huntId: string, organizerKey: string, teamId?: string, linkMaxUses?: number | null): Promise<{ html: string; count: number }> {
+    const search = new URLSearchParams({ appUrl: window.location.origin })
+    if (teamId) search.set('teamId', teamId)
+    if (linkMaxUses) search.set('linkMaxUses', String(linkMaxUses))
+    return apiClient.request<{ html: string; count: number }>(
+      `${huntPath(orgId, huntId)}/team-cards?${search}`,
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+  }
+}
@@ -1,5 +1,8 @@
 /**
  * HuntConfigService - Manages configurable hunt stops and ordering
+ *
+ * Writes need a client allowed past RLS (service role); the organizer admin
+ * console goes through /api/hunt-admin (HuntAdminService) instead.
  */
 
 import { SupabaseClient } from '@supabase/supabase-js'
@@ -9,18 +12,21 @@ import {
   CreateStopRequest,
   UpdateStopRequest,
   AddStopToHuntRequest,
+  UpdateStopRulesRequest,
   UpdateHuntOrderingRequest,
   TeamProgressSummary,
   HuntAdminConfig,
   OrderingStrategy,
   HuntConfigService as IHuntConfigService
 } from '../types/hunt-system'
+import { StopTypeSchema, UnlockRuleSchema, validateSchema } from '../types/schemas'
 
 export class HuntConfigService implements IHuntConfigService {
   constructor(private supabase: SupabaseClient) {}
 
   /**
    * Get ordered stops for a hunt with optional team progress
+   * (the database refuses calls without a team from the browser)
    */
   async getHuntStops(
     orgId: string,
@@ -110,6 +116,51 @@ export class HuntConfigService implements IHuntConfigService {
       console.error('[HuntConfigService] Error adding stop to hunt:', error)
       throw new Error(`Failed to add stop to hunt: ${error.message}`)
     }
+
+    if (request.stop_type !== undefined || request.unlock_rule !== undefined) {
+      await this.updateStopRules(request.organization_id, request.hunt_id, request.stop_id, {
+        stop_type: request.stop_type,
+        unlock_rule: request.unlock_rule
+      })
+    }
+  }
+
+  /**
+   * Set a stop's type and unlock rule within a hunt
+   * Pass unlock_rule: null to make the stop always available.
+   */
+  async updateStopRules(
+    orgId: string,
+    huntId: string,
+    stopId: string,
+    rules: UpdateStopRulesRequest
+  ): Promise<void> {
+    const updateData: any = {}
+
+    if (rules.stop_type !== undefined) {
+      updateData.stop_type = validateSchema(StopTypeSchema, rules.stop_type, 'stop_type')
+    }
+    if (rules.unlock_rule !== undefined) {
+      updateData.unlock_rule = rules.unlock_rule === null
+        ? null
+        : validateSchema(UnlockRuleSchema, rules.unlock_rule, 'unlock_rule')
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return
+    }
+
+    const { error } = await this.supabase
+      .from('hunt_configurations')
+      .update(updateData)
+      .eq('organization_id', orgId)
+      .eq('hunt_id', huntId)
+      .eq('stop_id', stopId)
+
+    if (error) {
+      console.error('[HuntConfigService] Error updating stop rules:', error)
+      throw new Error(`Failed to update stop rules: ${error.message}`)
+    }
   }
 
   /**
@@ -6,12 +6,16 @@
 import { TeamLockService } from './TeamLockService'
 import { apiClient } from './apiClient'
 import * as Sentry from '@sentry/react'
+import type { HuntGeofenceConfig, HuntSchedule } from '../types/hunt-system'
 
 // Types
 export interface LoginInitializeRequest {
-  orgId: string
-  huntId: string
+  /** Optional with joinToken, which names its own org and hunt */
+  orgId?: string
+  huntId?: string
   teamCode?: string
+  /** Signed join link token (?join=), in place of teamCode */
+  joinToken?: string
   lockToken?: string
   sessionId: string
   deviceFingerprint?: string
@@ -32,6 +36,14 @@ export interface LoginInitializeResponse {
     ALLOW_LARGE_UPLOADS: boolean
     ENABLE_UNSIGNED_UPLOADS: boolean
     DISABLE_CLIENT_RESIZE: boolean
+    UPLOAD_MAX_DIMENSION?: number
+    UPLOAD_IMAGE_FORMAT?: 'webp' | 'jpeg'
+    UPLOAD_IMAGE_QUALITY?: number
+    /** Chunked uploads (/api/uploads): chunk size and the file size above which photos use them */
+    UPLOAD_CHUNK_BYTES?: number
+    CHUNK_UPLOAD_THRESHOLD?: number
+    MAX_VIDEO_BYTES?: number
+    MAX_VIDEO_SECONDS?: number
     CLOUDINARY_CLOUD_NAME: string
     CLOUDINARY_UNSIGNED_PRESET: string
     CLOUDINARY_UPLOAD_FOLDER: string
@@ -52,6 +64,9 @@ export interface LoginInitializeResponse {
     startDate?: string
     endDate?: string
     isActive: boolean
+    schedule?: HuntSchedule
+    geofence?: HuntGeofenceConfig
+    keepPhotoLocation?: boolean
   }
 
   // Team verification result
@@ -120,16 +135,18 @@ class LoginServiceClass {
    * Handles team verification, settings, and data loading
    */
   async initialize(request: LoginInitializeRequest): Promise<LoginInitializeResponse> {
+    const isJoining = !!(request.teamCode || request.joinToken)
+
     try {
       // Check cache if we're not doing a new team verification
-      if (!request.teamCode && this.cache && this.isCacheValid()) {
+      if (!isJoining && this.cache && this.isCacheValid()) {
         console.log('[LoginService] Returning cached initialization data')
         return this.cache
       }
 
       // If already initializing with the same request, return existing promise
       // This prevents duplicate requests during rapid refreshes
-      if (this.initPromise && !request.teamCode) {
+      if (this.initPromise && !isJoining) {
         console.log('[LoginService] Returning existing initialization promise')
         return await this.initPromise
       }
@@ -138,6 +155,7 @@ class LoginServiceClass {
         orgId: request.orgId,
         huntId: request.huntId,
         hasTeamCode: !!request.teamCode,
+        hasJoinToken: !!request.joinToken,
         hasLockToken: !!request.lockToken
       })
 
@@ -159,7 +177,7 @@ class LoginServiceClass {
       this.initPromise = null
 
       // Cache the response if successful
-      if (!request.teamCode) {
+      if (!isJoining) {
         this.cache = data
         this.cacheTimestamp = Date.now()
       }
@@ -179,7 +197,9 @@ class LoginServiceClass {
             teamId: resolvedTeamId,
             issuedAt: Date.now(),
             expiresAt: Date.now() + (data.teamVerification.ttlSeconds || 86400) * 1000,
-            lockToken: data.teamVerification.lockToken
+            lockToken: data.teamVerification.lockToken,
+            organizationId: data.organization?.id,
+            huntId: data.hunt?.id
           }
           TeamLockService.storeLock(lock)
         }
@@ -199,7 +219,8 @@ class LoginServiceClass {
             error_type: error?.status ? 'server_error' : 'network_error',
             http_status: error?.status || 'unknown',
             endpoint: 'login_initialize',
-            has_team_code: !!request.teamCode
+            has_team_code: !!request.teamCode,
+            has_join_token: !!request.joinToken
           },
           extra: {
             orgId: request.orgId,
@@ -214,7 +235,8 @@ class LoginServiceClass {
 
       // Provide better error messages
       if (error?.status === 400) {
-        throw new Error('Invalid request parameters')
+        // An unusable join link is reported as a 400 with the reason
+        throw new Error(request.joinToken && error?.body?.error ? error.body.error : 'Invalid request parameters')
       } else if (error?.status === 401) {
         throw new Error('Authentication failed')
       } else if (error?.status === 404) {
@@ -263,6 +285,22 @@ class LoginServiceClass {
     })
   }
 
+  /**
+   * Join with a signed join link (?join=) and initialize
+   * The server takes the org and hunt from the link. A device that already
+   * belongs to the link's team gets currentTeam back instead of a new lock.
+   */
+  async joinWithLink(joinToken: string, sessionId: string): Promise<LoginInitializeResponse> {
+    const deviceFingerprint = await this.generateDeviceFingerprint()
+
+    return this.initialize({
+      joinToken,
+      lockToken: TeamLockService.getLockToken() ?? undefined,
+      sessionId,
+      deviceFingerprint
+    })
+  }
+
   /**
    * Check if initialization is needed
    */
@@ -0,0 +1,56 @@
+/**
+ * ModerationService
+ * Organizer review of stop photos (/api/moderation/:orgId/:huntId)
+ *
+ * Every method requires an organizer credential (session token from
+ * OrganizerAuthService.login, or the organizer API key); these calls are made
+ * from the moderation queue, never from team devices.
+ */
+
+import { apiClient } from './apiClient'
+import type { ModerationAction, ModerationResult, ModerationStatus, PhotoSubmission, PhotoSubmissionsResponse } from '../types/moderation'
+
+const basePath = (orgId: string, huntId: string) =>
+  `/moderation/${encodeURIComponent(orgId)}/${encodeURIComponent(huntId)}`
+
+const organizerHeaders = (organizerKey: string) => ({
+  'Authorization': `Bearer ${organizerKey}`,
+  'Accept': 'application/json'
+})
+
+export class ModerationService {
+  /**
+   * Submissions with the given status (pending ones oldest first);
+   * flagged limits the list to near-duplicate photos
+   */
+  static async list(
+    orgId: string,
+    huntId: string,
+    status: ModerationStatus | 'all',
+    organizerKey: string,
+    flagged = false
+  ): Promise<PhotoSubmission[]> {
+    const response = await apiClient.request<PhotoSubmissionsResponse>(
+      `${basePath(orgId, huntId)}?status=${encodeURIComponent(status)}${flagged ? '&flagged=true' : ''}`,
+      { method: 'GET', headers: organizerHeaders(organizerKey) }
+    )
+    return response.submissions || []
+  }
+
+  /**
+   * Approve or reject a submission; rejecting requires a reason
+   */
+  static async moderate(
+    orgId: string,
+    huntId: string,
+    id: string,
+    action: ModerationAction,
+    reason: string | null,
+    organizerKey: string
+  ): Promise<ModerationResult> {
+    return apiClient.request<ModerationResult>(
+      `${basePath(orgId, huntId)}/${encodeURIComponent(id)}/${action}`,
+      { method: 'POST', body: { reason } as any, headers: organizerHeaders(organizerKey) }
+    )
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * OrganizerAuthService
+ * Organizer sign-in (/api/organizer), separate from team codes
+ *
+ * The returned token is used wherever an organizer credential is expected
+ * (announcements, moderation, archive); the shared organizer API key still
+ * works in the same places.
+ */
+
+import { apiClient } from './apiClient'
+import type { OrganizerIdentity, OrganizerSession } from '../types/organizer'
+
+export class OrganizerAuthService {
+  /**
+   * Exchange email and password for an organizer session token
+   */
+  static async login(email: string, password: string): Promise<OrganizerSession> {
+    return apiClient.request<OrganizerSession>('/organizer/login', {
+      method: 'POST',
+      body: { email, password } as any
+    })
+  }
+
+  /**
+   * Identity and roles behind an organizer credential
+   */
+  static async me(organizerCredential: string): Promise<OrganizerIdentity> {
+    return apiClient.request<OrganizerIdentity>('/organizer/me', {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${organizerCredential}`,
+        'Accept': 'application/json'
+      }
+    })
+  }
+}
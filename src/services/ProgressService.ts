@@ -4,6 +4,7 @@
  */
 import { ProgressDataSchema, StopProgressSchema, validateSchema, type ProgressData, type StopProgress } from '../types/schemas'
 import { photoFlowLogger } from '../utils/photoFlowLogger'
+import { TeamLockService } from './TeamLockService'
 
 // Types now sourced from zod schemas in ../types/schemas
 
@@ -117,6 +118,7 @@ class ProgressService {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            ...TeamLockService.getAuthHeaders()
           },
           body: JSON.stringify(requestBody)
         }
@@ -186,6 +188,7 @@ class ProgressService {
           method: 'PATCH',
           headers: {
             'Content-Type': 'application/json',
+            ...TeamLockService.getAuthHeaders()
           },
           body: JSON.stringify({
             update: data,
@@ -2,6 +2,7 @@
  * ServerSettingsService - Handles server-side storage of app settings
  * Replaces localStorage persistence with API calls
  */
+import { TeamLockService } from './TeamLockService'
 
 interface Settings {
   locationName: string
@@ -96,6 +97,7 @@ class ServerSettingsService {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...TeamLockService.getAuthHeaders()
         },
         body: JSON.stringify({
           settings,
@@ -178,6 +178,16 @@ export class TeamLockService {
     return lock?.lockToken || null
   }
 
+  /**
+   * X-Team-Lock header for write requests; empty when no lock is held
+   */
+  static getAuthHeaders(): Record<string, string> {
+    // Outside the browser (scripts, SSR) there is no stored lock
+    if (typeof localStorage === 'undefined') return {}
+    const lockToken = this.getLockToken()
+    return lockToken ? { 'X-Team-Lock': lockToken } : {}
+  }
+
   /**
    * Get current team ID from lock
    */
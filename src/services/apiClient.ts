@@ -13,6 +13,7 @@
  */
 import { addApiResponseBreadcrumb, addApiErrorBreadcrumb } from '../logging/sentryBreadcrumbUtils'
 import { createLegacyLogger } from '../logging/client'
+import { TeamLockService } from './TeamLockService'
 
 interface RequestOptions {
   timeout?: number
@@ -170,8 +171,8 @@ class ApiClient {
           signal: controller.signal
         }
 
-        // Add JSON headers if body is an object (but not FormData)
-        if (init.body && typeof init.body === 'object' && !(init.body instanceof FormData)) {
+        // Add JSON headers if body is an object (but not FormData or raw bytes)
+        if (init.body && typeof init.body === 'object' && !(init.body instanceof FormData) && !(init.body instanceof Blob)) {
           requestInit.headers = {
             'Content-Type': 'application/json',
             'Accept': 'application/json',
@@ -185,6 +186,12 @@ class ApiClient {
           }
         }
 
+        // Team writes are authorized by the lock token (netlify/functions/_lib/teamAuth.js)
+        requestInit.headers = {
+          ...TeamLockService.getAuthHeaders(),
+          ...(requestInit.headers as Record<string, string>)
+        }
+
         const startTime = Date.now()
         const response = await fetch(url, requestInit)
         const duration = Date.now() - startTime
@@ -319,6 +326,29 @@ class ApiClient {
     )
   }
 
+  /**
+   * Send raw bytes (chunked uploads)
+   */
+  async requestBinary<T>(
+    path: string,
+    data: Blob,
+    options: RequestOptions = {},
+    method: 'PUT' | 'POST' = 'PUT'
+  ): Promise<T> {
+    return this.request<T>(
+      path,
+      {
+        method,
+        body: data,
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Accept': 'application/json'
+        }
+      },
+      options
+    )
+  }
+
   /**
    * Convenience methods for common HTTP verbs
    */
@@ -11,6 +11,7 @@
 import { create } from 'zustand'
 import serverSettingsService from '../services/ServerSettingsService'
 import ConsolidatedDataService from '../services/ConsolidatedDataService'
+import type { HuntGeofenceConfig, HuntSchedule } from '../types/hunt-system'
 
 interface AppState {
   locationName: string
@@ -18,9 +19,13 @@ interface AppState {
   teamId: string  // Actual team ID from team verification
   sessionId: string
   eventName: string
+  /** True once the team joined through a verified join link (?join=) rather than a typed code */
   lockedByQuery: boolean
   organizationId: string
   huntId: string
+  huntSchedule: HuntSchedule | null
+  huntGeofence: HuntGeofenceConfig | null
+  keepPhotoLocation: boolean
   isLoading: boolean
   error: string | null
 }
@@ -34,6 +39,9 @@ interface AppActions {
   setLockedByQuery: (locked: boolean) => void
   setOrganizationId: (orgId: string) => void
   setHuntId: (huntId: string) => void
+  setHuntSchedule: (schedule: HuntSchedule | null) => void
+  setHuntGeofence: (geofence: HuntGeofenceConfig | null) => void
+  setKeepPhotoLocation: (keepPhotoLocation: boolean) => void
   initializeSettings: (orgId: string, teamId: string, huntId: string, teamName?: string) => Promise<void>
   saveSettingsToServer: () => Promise<void>
   resetState: () => void
@@ -61,6 +69,9 @@ export const useAppStore = create<AppStore>((set, get) => ({
   lockedByQuery: false,
   organizationId: '',
   huntId: '',
+  huntSchedule: null,
+  huntGeofence: null,
+  keepPhotoLocation: false,
   isLoading: false,
   error: null,
 
@@ -90,6 +101,11 @@ export const useAppStore = create<AppStore>((set, get) => ({
 
   setHuntId: (huntId: string) => set({ huntId }),
 
+  setHuntSchedule: (huntSchedule: HuntSchedule | null) => set({ huntSchedule }),
+
+  setHuntGeofence: (huntGeofence: HuntGeofenceConfig | null) => set({ huntGeofence }),
+  setKeepPhotoLocation: (keepPhotoLocation: boolean) => set({ keepPhotoLocation }),
+
   // Initialize settings from consolidated data
   initializeSettings: async (orgId: string, teamId: string, huntId: string, teamName?: string) => {
     set({ isLoading: true, error: null })
@@ -205,6 +221,9 @@ export const useAppStore = create<AppStore>((set, get) => ({
       lockedByQuery: false,
       organizationId: '',
       huntId: '',
+      huntSchedule: null,
+      huntGeofence: null,
+      keepPhotoLocation: false,
       isLoading: false,
       error: null
     })
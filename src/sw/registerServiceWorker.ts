@@ -0,0 +1,37 @@
+import { DISABLE_SERVICE_WORKER } from '../env'
+
+/**
+ * Register the offline service worker (production builds only)
+ *
+ * Set VITE_DISABLE_SERVICE_WORKER=true to unregister it from devices that
+ * already have it, e.g. if a bad worker ever ships.
+ */
+export function registerServiceWorker(): void {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return
+
+  if (DISABLE_SERVICE_WORKER) {
+    navigator.serviceWorker.getRegistrations()
+      .then(registrations => registrations.forEach(registration => registration.unregister()))
+      .catch(() => {})
+    return
+  }
+
+  if (!import.meta.env.PROD) return
+
+  const register = () => {
+    navigator.serviceWorker.register('/sw.js')
+      .then(registration => {
+        console.log('[ServiceWorker] Registered with scope:', registration.scope)
+      })
+      .catch(error => {
+        console.warn('[ServiceWorker] Registration failed:', error)
+      })
+  }
+
+  // Wait for the page to finish loading so precaching doesn't compete with it
+  if (document.readyState === 'complete') {
+    register()
+  } else {
+    window.addEventListener('load', register, { once: true })
+  }
+}
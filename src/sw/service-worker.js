@@ -0,0 +1,217 @@
+/**
+ * Service worker - keeps the hunt playable without signal
+ *
+ * Not bundled with the app: serviceWorkerPlugin.js copies this file to
+ * dist/sw.js at build time and fills in BUILD_VERSION and PRECACHE_URLS.
+ *
+ * Caches:
+ *   - shell: the Vite build (index.html + hashed assets), cache-first
+ *   - data:  last login-initialize and consolidated/active payloads, network-first
+ *   - images: stop, sponsor and team photos, cache-first
+ *
+ * Shell and data caches are named after the build version, so a deploy
+ * installs a fresh set and activate() drops the old ones. Images outlive
+ * builds (their URLs are content-addressed) and are trimmed to MAX_IMAGES.
+ */
+
+const BUILD_VERSION = __SW_BUILD_VERSION__
+const PRECACHE_URLS = __SW_PRECACHE_URLS__
+
+const CACHE_PREFIX = 'vail-hunt-'
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${BUILD_VERSION}`
+const DATA_CACHE = `${CACHE_PREFIX}data-${BUILD_VERSION}`
+const IMAGE_CACHE = `${CACHE_PREFIX}images-v1`
+const MAX_IMAGES = 300
+
+const ACTIVE_DATA_PATH = '/api/consolidated/active/'
+const LOGIN_INITIALIZE_PATH = '/api/login-initialize'
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE]
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  const sameOrigin = url.origin === self.location.origin
+
+  if (sameOrigin && url.pathname === LOGIN_INITIALIZE_PATH && request.method === 'POST') {
+    event.respondWith(loginInitialize(event))
+    return
+  }
+  if (request.method !== 'GET') return
+
+  if (sameOrigin) {
+    if (url.pathname.startsWith(ACTIVE_DATA_PATH)) {
+      event.respondWith(activeData(event))
+      return
+    }
+    // Everything else under /api is live data; let it fail normally offline
+    if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/.netlify/')) return
+
+    if (request.mode === 'navigate') {
+      event.respondWith(navigation(request))
+      return
+    }
+    if (PRECACHE_URLS.includes(url.pathname)) {
+      event.respondWith(cacheFirst(request, SHELL_CACHE))
+      return
+    }
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(image(request))
+  }
+})
+
+/**
+ * SPA routes: fresh index.html when online, the precached one otherwise
+ */
+async function navigation(request) {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const cached = await caches.match('/index.html', { cacheName: SHELL_CACHE })
+    if (cached) return cached
+    throw error
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request, { cacheName })
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(cacheName)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+/**
+ * Mark responses served from cache so the app can tell it is offline
+ */
+function offlineCopy(cached) {
+  const headers = new Headers(cached.headers)
+  headers.set('X-Served-By', 'service-worker')
+  return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers })
+}
+
+async function activeData(event) {
+  const { request } = event
+  const cache = await caches.open(DATA_CACHE)
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      await cache.put(request.url, response.clone())
+      event.waitUntil(response.clone().json().then(cacheHuntImages).catch(() => {}))
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match(request.url)
+    if (cached) return offlineCopy(cached)
+    throw error
+  }
+}
+
+/**
+ * The app boots through a POST, so cache it under a synthetic GET key per
+ * org/hunt. Team-code logins are never served from cache.
+ */
+async function loginInitialize(event) {
+  const { request } = event
+  let body = {}
+  try {
+    body = await request.clone().json()
+  } catch {
+    return fetch(request)
+  }
+  if (body.teamCode) return fetch(request)
+
+  const cacheKey = `${LOGIN_INITIALIZE_PATH}?orgId=${encodeURIComponent(body.orgId || '')}&huntId=${encodeURIComponent(body.huntId || '')}`
+  const cache = await caches.open(DATA_CACHE)
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone())
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match(cacheKey)
+    if (cached) return offlineCopy(cached)
+    throw error
+  }
+}
+
+async function image(request) {
+  const cache = await caches.open(IMAGE_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  // Cross-origin images without CORS come back opaque; still worth keeping
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone())
+    await trimImages(cache)
+  }
+  return response
+}
+
+/**
+ * Warm the image cache with everything the active tab will show
+ */
+async function cacheHuntImages(payload) {
+  const urls = new Set()
+  for (const stop of payload?.locations?.locations || []) {
+    if (stop.pre_populated_image_url) urls.add(stop.pre_populated_image_url)
+  }
+  for (const stop of Object.values(payload?.progress || {})) {
+    if (stop && stop.photo) urls.add(stop.photo)
+  }
+  for (const sponsor of payload?.sponsors?.items || []) {
+    if (sponsor.src) urls.add(sponsor.src)
+  }
+
+  const cache = await caches.open(IMAGE_CACHE)
+  for (const url of urls) {
+    if (await cache.match(url)) continue
+    try {
+      const sameOrigin = new URL(url, self.location.origin).origin === self.location.origin
+      const response = await fetch(url, { mode: sameOrigin ? 'same-origin' : 'no-cors' })
+      if (response.ok || response.type === 'opaque') {
+        await cache.put(url, response)
+      }
+    } catch {
+      // Offline again or image gone; the next payload will retry
+    }
+  }
+  await trimImages(cache)
+}
+
+async function trimImages(cache) {
+  const keys = await cache.keys()
+  const excess = keys.length - MAX_IMAGES
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i])
+  }
+}
@@ -0,0 +1,241 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { serviceWorkerPlugin } from './serviceWorkerPlugin.js'
+
+const ORIGIN = 'https://hunt.test'
+const BUNDLE_FILES = ['index.html', 'assets/index-a1b2.js', 'assets/index-a1b2.js.map', 'assets/index-c3d4.css']
+
+/**
+ * Run the plugin the way Vite does and return the emitted sw.js source
+ */
+function buildWorker(files = BUNDLE_FILES) {
+  let source
+  const bundle = Object.fromEntries(files.map(fileName => [fileName, {}]))
+  serviceWorkerPlugin().generateBundle.call({ emitFile: asset => { source = asset.source } }, {}, bundle)
+  return source
+}
+
+const buildVersion = source => JSON.parse(source.match(/const BUILD_VERSION = (".*")/)[1])
+
+/**
+ * In-memory CacheStorage keyed by absolute URL
+ */
+function createCacheStorage() {
+  const stores = new Map()
+  const keyOf = request => new URL(typeof request === 'string' ? request : request.url, ORIGIN).href
+
+  return {
+    stores,
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new Map())
+      const entries = stores.get(name)
+      return {
+        match: async request => entries.get(keyOf(request))?.clone(),
+        put: async (request, response) => { entries.set(keyOf(request), response) },
+        keys: async () => [...entries.keys()],
+        delete: async request => entries.delete(keyOf(request)),
+        addAll: async urls => urls.forEach(url => entries.set(keyOf(url), new Response(`precached ${url}`)))
+      }
+    },
+    keys: async () => [...stores.keys()],
+    delete: async name => stores.delete(name),
+    match: async (request, { cacheName }) => stores.get(cacheName)?.get(keyOf(request))?.clone()
+  }
+}
+
+/**
+ * Evaluate sw.js against a fake worker global
+ */
+function loadWorker(source = buildWorker()) {
+  const listeners = {}
+  const self = {
+    location: new URL(ORIGIN),
+    addEventListener: (type, listener) => { listeners[type] = listener },
+    skipWaiting: vi.fn(),
+    clients: { claim: vi.fn() }
+  }
+  const caches = createCacheStorage()
+  const fetch = vi.fn()
+
+  new Function('self', 'caches', 'fetch', source)(self, caches, fetch)
+
+  const lifecycle = async type => {
+    let pending
+    listeners[type]({ waitUntil: promise => { pending = promise } })
+    await pending
+  }
+
+  /** Dispatch a fetch event; resolves to the worker's response, or null if it passed */
+  const dispatch = async ({ path, method = 'GET', mode = 'cors', destination = '', body }) => {
+    const url = path.startsWith('http') ? path : `${ORIGIN}${path}`
+    const request = {
+      url,
+      method,
+      mode,
+      destination,
+      clone: () => ({ json: async () => JSON.parse(body) })
+    }
+    let responded = null
+    const waits = []
+    listeners.fetch({ request, respondWith: promise => { responded = promise }, waitUntil: promise => waits.push(promise) })
+    const response = responded && await responded
+    await Promise.all(waits)
+    return response
+  }
+
+  return { caches, fetch, lifecycle, dispatch }
+}
+
+describe('service worker build', () => {
+  it('precaches the shell and names caches after the build version', () => {
+    const source = buildWorker()
+    const version = buildVersion(source)
+
+    expect(version).toMatch(/^[0-9a-f]{12}$/)
+    const precache = JSON.parse(source.match(/const PRECACHE_URLS = (\[[\s\S]*?\])/)[1])
+    expect(precache).toEqual(expect.arrayContaining(['/', '/index.html', '/assets/index-a1b2.js', '/assets/index-c3d4.css']))
+    expect(precache).not.toContain('/assets/index-a1b2.js.map')
+  })
+
+  it('changes the build version whenever the bundle changes', () => {
+    expect(buildVersion(buildWorker())).toBe(buildVersion(buildWorker([...BUNDLE_FILES].reverse())))
+    expect(buildVersion(buildWorker())).not.toBe(buildVersion(buildWorker(['index.html', 'assets/index-e5f6.js'])))
+  })
+
+  it('drops caches from older builds on activate', async () => {
+    const worker = loadWorker()
+    const version = buildVersion(buildWorker())
+    for (const name of ['vail-hunt-shell-old', 'vail-hunt-data-old', 'vail-hunt-images-v1', 'someone-else']) {
+      await worker.caches.open(name)
+    }
+
+    await worker.lifecycle('install')
+    await worker.lifecycle('activate')
+
+    expect([...worker.caches.stores.keys()].sort()).toEqual([
+      'someone-else',
+      'vail-hunt-images-v1',
+      `vail-hunt-shell-${version}`
+    ])
+  })
+})
+
+describe('service worker routing', () => {
+  let worker
+
+  beforeEach(async () => {
+    worker = loadWorker()
+    await worker.lifecycle('install')
+  })
+
+  const goOffline = () => worker.fetch.mockRejectedValue(new TypeError('Failed to fetch'))
+
+  it('leaves other API calls and non-GET requests to the network', async () => {
+    expect(await worker.dispatch({ path: '/api/progress/bhhs/tea-cup/fall-2025' })).toBeNull()
+    expect(await worker.dispatch({ path: '/.netlify/functions/leaderboard-get' })).toBeNull()
+    expect(await worker.dispatch({ path: '/api/photo-upload', method: 'POST' })).toBeNull()
+    expect(worker.fetch).not.toHaveBeenCalled()
+  })
+
+  it('serves the precached index.html for navigations when offline', async () => {
+    goOffline()
+
+    const response = await worker.dispatch({ path: '/bhhs/fall-2025', mode: 'navigate' })
+
+    expect(await response.text()).toBe('precached /index.html')
+  })
+
+  it('serves precached assets without the network', async () => {
+    const response = await worker.dispatch({ path: '/assets/index-a1b2.js' })
+
+    expect(await response.text()).toBe('precached /assets/index-a1b2.js')
+    expect(worker.fetch).not.toHaveBeenCalled()
+  })
+
+  it('falls back to the last active payload, marked as served by the worker', async () => {
+    const path = '/api/consolidated/active/bhhs/tea-cup/fall-2025'
+    worker.fetch.mockResolvedValueOnce(new Response(JSON.stringify({ progress: {} }), { status: 200 }))
+    await worker.dispatch({ path })
+
+    goOffline()
+    const response = await worker.dispatch({ path })
+
+    expect(response.headers.get('X-Served-By')).toBe('service-worker')
+    expect(await response.json()).toEqual({ progress: {} })
+  })
+
+  it('caches hunt logins per org/hunt but never team-code logins', async () => {
+    const login = body => worker.dispatch({ path: '/api/login-initialize', method: 'POST', body: JSON.stringify(body) })
+    worker.fetch.mockResolvedValueOnce(new Response('{"ok":true}', { status: 200 }))
+    await login({ orgId: 'bhhs', huntId: 'fall-2025' })
+
+    goOffline()
+    const cached = await login({ orgId: 'bhhs', huntId: 'fall-2025' })
+    expect(await cached.text()).toBe('{"ok":true}')
+    await expect(login({ orgId: 'bhhs', huntId: 'fall-2025', teamCode: 'K7MQXP' })).rejects.toThrow('Failed to fetch')
+    await expect(login({ orgId: 'bhhs', huntId: 'spring-2026' })).rejects.toThrow('Failed to fetch')
+  })
+
+  it('keeps cross-origin images, including opaque responses', async () => {
+    const path = 'https://cdn.example.com/photos/stop-1.jpg'
+    const opaque = { ok: false, type: 'opaque', clone: () => opaque }
+    worker.fetch.mockResolvedValueOnce(opaque)
+    await worker.dispatch({ path, destination: 'image' })
+
+    goOffline()
+    expect(await worker.dispatch({ path, destination: 'image' })).toBe(opaque)
+  })
+})
+
+describe('registerServiceWorker', () => {
+  const serviceWorker = {
+    register: vi.fn(() => Promise.resolve({ scope: '/' })),
+    getRegistrations: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.resetModules()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true })
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+    vi.doUnmock('../env')
+    vi.clearAllMocks()
+    delete navigator.serviceWorker
+  })
+
+  const load = async (disabled) => {
+    vi.doMock('../env', () => ({ DISABLE_SERVICE_WORKER: disabled }))
+    return (await import('./registerServiceWorker')).registerServiceWorker
+  }
+
+  it('registers sw.js in production builds', async () => {
+    vi.stubEnv('PROD', true)
+    const registerServiceWorker = await load(false)
+
+    registerServiceWorker()
+
+    expect(serviceWorker.register).toHaveBeenCalledWith('/sw.js')
+  })
+
+  it('does nothing in development', async () => {
+    vi.stubEnv('PROD', false)
+    const registerServiceWorker = await load(false)
+
+    registerServiceWorker()
+
+    expect(serviceWorker.register).not.toHaveBeenCalled()
+  })
+
+  it('unregisters existing workers when disabled', async () => {
+    const registration = { unregister: vi.fn() }
+    serviceWorker.getRegistrations.mockResolvedValue([registration])
+    const registerServiceWorker = await load(true)
+
+    registerServiceWorker()
+    await vi.waitFor(() => expect(registration.unregister).toHaveBeenCalled())
+
+    expect(serviceWorker.register).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,44 @@
+/**
+ * Vite plugin that emits dist/sw.js from src/sw/service-worker.js
+ *
+ * The precache list is every file in the build output (plus the public
+ * files the shell needs), and the build version is a hash of those hashed
+ * file names, so any change to the app produces a new service worker and
+ * new cache names.
+ */
+import { createHash } from 'crypto'
+import { readFileSync } from 'fs'
+import { dirname, resolve } from 'path'
+import { fileURLToPath } from 'url'
+
+const SOURCE = resolve(dirname(fileURLToPath(import.meta.url)), 'service-worker.js')
+
+// Served from public/, so not part of the Rollup bundle
+const PUBLIC_SHELL_FILES = ['/favicon.svg', '/app-logo.svg', '/images/selfie-placeholder.svg']
+
+export function serviceWorkerPlugin() {
+  return {
+    name: 'vail-hunt-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle)
+        .filter(fileName => !fileName.endsWith('.map') && fileName !== 'sw.js')
+        .sort()
+
+      const version = createHash('sha256')
+        .update(files.join('\n'))
+        .update(process.env.VITE_SENTRY_RELEASE || '')
+        .digest('hex')
+        .substring(0, 12)
+
+      const precacheUrls = [...new Set(['/', '/index.html', ...PUBLIC_SHELL_FILES, ...files.map(fileName => `/${fileName}`)])]
+
+      const source = readFileSync(SOURCE, 'utf8')
+        .replace('__SW_BUILD_VERSION__', JSON.stringify(version))
+        .replace('__SW_PRECACHE_URLS__', JSON.stringify(precacheUrls, null, 2))
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
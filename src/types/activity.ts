@@ -0,0 +1,73 @@
+/**
+ * Type definitions for the hunt activity feed and organizer announcements
+ * Mirrors the /api/activity and /api/announcements responses
+ */
+
+export type FeedEventType = 'stop_completed' | 'photo_uploaded' | 'hunt_completed' | 'announcement' | 'photo_rejected'
+
+export type FeedFilter = 'all' | 'team' | 'others'
+
+export interface FeedEvent {
+  id: string
+  type: FeedEventType
+  teamId: string | null
+  teamName: string
+  locationId: string | null
+  message: string
+  metadata: {
+    stopName?: string
+    photoUrl?: string
+    completedStops?: number
+    totalStops?: number
+    reason?: string
+    [key: string]: unknown
+  }
+  createdAt: string
+}
+
+export interface ActivityFeedResponse {
+  orgId: string
+  huntId: string
+  events: FeedEvent[]
+  nextCursor: string | null
+}
+
+export interface ActivityFeedRequest {
+  orgId: string
+  huntId: string
+  teamId?: string
+  filter?: FeedFilter
+  cursor?: string | null
+  limit?: number
+}
+
+export type AnnouncementStatus = 'scheduled' | 'active' | 'expired'
+
+export interface Announcement {
+  id: string
+  orgId: string
+  huntId: string
+  title: string | null
+  message: string
+  targetTeamIds: string[] | null
+  publishAt: string
+  expiresAt: string | null
+  status: AnnouncementStatus
+  createdBy: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface AnnouncementInput {
+  message?: string
+  title?: string | null
+  targetTeamIds?: string[] | null
+  publishAt?: string | null
+  expiresAt?: string | null
+}
+
+export interface AnnouncementsResponse {
+  orgId: string
+  huntId: string
+  announcements: Announcement[]
+}
@@ -1,6 +1,7 @@
 /**
  * Configuration type definitions for the scavenger hunt application
  */
+import type { StopMediaType, StopType } from './hunt-system'
 
 export interface Position {
   lat: number
@@ -15,6 +16,12 @@ export interface Location {
   position?: Position
   description?: string
   address?: string
+  /** Sequential hunts: content is redacted until the previous stop is completed */
+  isLocked?: boolean
+  /** Branching hunts: optional and bonus stops don't count toward completion */
+  stopType?: StopType
+  /** Stops whose challenge asks for a video clip accept video uploads */
+  mediaType?: StopMediaType
 }
 
 export interface HuntConfig {
@@ -0,0 +1,41 @@
+/**
+ * Type definitions for the hunt-wide photo gallery
+ * Mirrors the /api/gallery responses
+ */
+
+export interface GalleryPhoto {
+  id: string
+  teamId: string
+  teamName: string
+  locationId: string
+  locationTitle: string
+  mediaType: 'photo' | 'video'
+  photoUrl: string
+  thumbnailUrl: string
+  displayUrl: string
+  srcSet: string | null
+  createdAt: string
+}
+
+export interface GalleryPage {
+  orgId: string
+  huntId: string
+  photos: GalleryPhoto[]
+  nextCursor: string | null
+}
+
+export interface GalleryRequest {
+  orgId: string
+  huntId: string
+  stopId?: string | null
+  teamId?: string | null
+  cursor?: string | null
+  limit?: number
+}
+
+export interface GalleryFilters {
+  orgId: string
+  huntId: string
+  stops: { id: string; title: string; count: number }[]
+  teams: { id: string; name: string; count: number }[]
+}
@@ -12,6 +12,8 @@ export interface HuntStop {
   hints: string[]
   position_lat?: number
   position_lng?: number
+  geofence_radius_m?: number | null
+  media_type?: StopMediaType
   created_at: string
   updated_at: string
 }
@@ -23,11 +25,27 @@ export interface HuntConfiguration {
   stop_id: string
   is_active: boolean
   default_order: number
+  stop_type?: StopType
+  unlock_rule?: UnlockRule | null
   created_at: string
   updated_at: string
 }
 
-export type OrderingStrategy = 'fixed' | 'randomized'
+/** required counts toward completion; optional never affects rankings; bonus breaks ties */
+export type StopType = 'required' | 'optional' | 'bonus'
+
+/** What completes a stop (hunt_stops.media_type) */
+export type StopMediaType = 'photo' | 'video' | 'photo_or_video'
+
+/** Declarative unlock rule (see netlify/functions/_lib/unlockRules.js) */
+export type UnlockRule =
+  | { type: 'after'; stops: string[]; match?: 'all' | 'any' }
+  | { type: 'count'; min: number; stops?: string[] }
+  | { type: 'notAfter'; stops: string[] }
+  | { type: 'choice'; group: string; option: string }
+  | { type: 'all' | 'any'; rules: UnlockRule[] }
+
+export type OrderingStrategy = 'fixed' | 'randomized' | 'sequential'
 export type SeedStrategy = 'team_based' | 'global'
 
 export interface HuntOrderingConfig {
@@ -59,6 +77,9 @@ export interface HuntStopWithProgress {
   position_lng?: number
   step_order: number
   is_completed: boolean
+  /** Sequential hunts: clue withheld until the previous stop is completed */
+  is_locked?: boolean
+  stop_type?: StopType
 }
 
 // Configuration interfaces for admin/setup
@@ -108,6 +129,13 @@ export interface AddStopToHuntRequest {
   hunt_id: string
   stop_id: string
   default_order?: number
+  stop_type?: StopType
+  unlock_rule?: UnlockRule | null
+}
+
+export interface UpdateStopRulesRequest {
+  stop_type?: StopType
+  unlock_rule?: UnlockRule | null
 }
 
 export interface UpdateHuntOrderingRequest {
@@ -130,6 +158,83 @@ export interface TeamProgressSummary {
   last_completed_at?: string
 }
 
+// Scoring configuration (hunts.scoring_config)
+export type ScoringModel = 'completion' | 'points'
+
+export interface ScoringConfig {
+  model: ScoringModel | string
+  pointsPerStop?: number
+  stopPoints?: Record<string, number>
+  hintPenalty?: number
+  maxHintPenaltyRatio?: number
+  completionBonus?: number
+  timeBonus?: {
+    targetMinutes: number
+    maxPoints: number
+  } | null
+}
+
+export interface StopScore {
+  stopId: string
+  basePoints: number
+  hintsUsed: number
+  hintPenalty: number
+  points: number
+}
+
+export interface ScoreBreakdown {
+  model: string
+  stops: StopScore[]
+  stopPoints: number
+  hintPenalty: number
+  completionBonus: number
+  timeBonus: number
+  total: number
+}
+
+// Hunt schedule window (login-initialize `hunt.schedule`)
+export type HuntScheduleStatus = 'unscheduled' | 'upcoming' | 'active' | 'grace' | 'ended'
+
+export interface HuntSchedule {
+  startsAt: string | null
+  endsAt: string | null
+  gracePeriodMinutes: number
+  submissionsCloseAt: string | null
+  status: HuntScheduleStatus
+  acceptingSubmissions: boolean
+  serverTime: string
+}
+
+// Geofenced stop check-in (hunts.geofence_mode)
+export type GeofenceMode = 'off' | 'advisory' | 'required'
+
+export interface HuntGeofenceConfig {
+  mode: GeofenceMode
+  defaultRadiusMeters: number
+}
+
+export interface StopCheckIn {
+  stopId: string
+  mode: GeofenceMode
+  verified: boolean
+  withinRadius: boolean
+  distanceMeters: number | null
+  radiusMeters: number | null
+  checkedInAt: string
+}
+
+// Live leaderboard stream (rank-change event)
+export interface RankChange {
+  teamId: string
+  rank: number
+  previousRank: number | null
+  movement: number | null // positive = moved up, null = newly listed
+  completedStops: number
+  previousCompletedStops: number | null
+  score: number | null
+  previousScore: number | null
+}
+
 // Hunt admin interfaces
 export interface HuntAdminConfig {
   organization_id: string
@@ -233,6 +338,7 @@ export interface HuntConfigService {
   updateStop(stopId: string, updates: UpdateStopRequest): Promise<HuntStop>
   addStopToHunt(request: AddStopToHuntRequest): Promise<void>
   removeStopFromHunt(orgId: string, huntId: string, stopId: string): Promise<void>
+  updateStopRules(orgId: string, huntId: string, stopId: string, rules: UpdateStopRulesRequest): Promise<void>
   updateHuntOrdering(request: UpdateHuntOrderingRequest): Promise<void>
   initializeTeamForHunt(teamId: string, orgId: string, huntId: string): Promise<void>
   regenerateTeamOrder(teamId: string, orgId: string, huntId: string): Promise<void>
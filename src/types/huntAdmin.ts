@@ -0,0 +1,150 @@
+/**
+ * Type definitions for the organizer admin console
+ * Mirrors the /api/hunt-admin responses
+ */
+
+import type { HuntConfig } from './config'
+import type { OrderingStrategy } from './hunt-system'
+import type { SponsorAsset, SponsorsResponse } from './sponsors'
+
+export interface AdminHunt {
+  id: string
+  orgId: string
+  name: string
+  isActive: boolean
+  /** ISO timestamps; null = no limit */
+  startsAt: string | null
+  endsAt: string | null
+  orderingStrategy: OrderingStrategy
+}
+
+/** Omit a field to leave it unchanged; id can only be set on create */
+export interface HuntInput {
+  id?: string
+  name?: string
+  isActive?: boolean
+  startsAt?: string | null
+  endsAt?: string | null
+  orderingStrategy?: OrderingStrategy
+}
+
+export interface AdminStop {
+  stopId: string
+  title: string
+  description: string
+  clue: string
+  /** Revealed to teams one at a time */
+  hints: string[]
+  position: { lat: number; lng: number } | null
+  /** Default order within the hunt (1-based) */
+  order: number
+  /** Inactive stops are hidden from teams without losing progress */
+  isActive: boolean
+}
+
+/** Omit a field to leave it unchanged; stopId can only be set on create */
+export interface StopInput {
+  stopId?: string
+  title?: string
+  clue?: string
+  description?: string | null
+  hints?: string[]
+  position?: { lat: number; lng: number } | null
+  isActive?: boolean
+}
+
+export interface AdminSponsor extends SponsorAsset {
+  order: number
+  isActive: boolean
+}
+
+/** Logo is either SVG markup or a PNG/JPEG data URL (max 1 MB) */
+export interface SponsorInput {
+  companyName?: string
+  alt?: string
+  isActive?: boolean
+  svg?: string
+  image?: string
+}
+
+/** What a team that hasn't started sees in ActiveView */
+export interface HuntPreview {
+  orgId: string
+  huntId: string
+  photoMode: 'upload' | 'pre_populated'
+  sponsors: SponsorsResponse
+  locations: HuntConfig | null
+}
+
+export type TeamCodeStatus = 'active' | 'revoked' | 'expired' | 'exhausted'
+
+export interface TeamCode {
+  code: string
+  status: TeamCodeStatus
+  createdAt: string | null
+  /** null = never expires */
+  expiresAt: string | null
+  /** Devices that may join with this code; null = unlimited */
+  maxUses: number | null
+  usageCount: number
+  lastUsedAt: string | null
+  revokedAt: string | null
+  /** Code issued when this one was rotated */
+  replacedBy: string | null
+}
+
+export interface AdminTeam {
+  teamId: string
+  teamName: string
+  /** Newest first; at most one is active */
+  codes: TeamCode[]
+}
+
+/** Either count (teams named "Team 01", ...) or names */
+export interface TeamBatchInput {
+  count?: number
+  names?: string[]
+  expiresAt?: string | null
+  maxUses?: number | null
+  length?: number
+  prefix?: string
+}
+
+export interface TeamCodeIssue {
+  teamId: string
+  teamName: string
+  code: TeamCode
+}
+
+/** A device that joined a team, from the sessions audit */
+export interface TeamSession {
+  id: string
+  code: string | null
+  /** Join link the device came through; null when the code was typed */
+  joinLinkId: string | null
+  userAgent: string | null
+  deviceHint: string | null
+  ipAddress: string | null
+  joinedAt: string
+  expiresAt: string | null
+  /** false once the code it joined with was revoked */
+  isActive: boolean
+}
+
+/** Signed link that joins a team without typing its code */
+export interface JoinLink {
+  id: string
+  teamId: string
+  teamName: string
+  url: string
+  /** Devices that may join through the link; null = unlimited, 1 = single use */
+  maxUses: number | null
+  usageCount: number
+  expiresAt: string
+}
+
+export interface JoinLinkInput {
+  singleUse?: boolean
+  maxUses?: number | null
+  expiresAt?: string | null
+}
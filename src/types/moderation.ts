@@ -0,0 +1,51 @@
+/**
+ * Type definitions for organizer photo moderation
+ * Mirrors the /api/moderation responses
+ */
+
+export type ModerationStatus = 'pending' | 'approved' | 'rejected'
+
+export type ModerationAction = 'approve' | 'reject'
+
+/** Earlier submission a photo nearly matches; team/stop/photo are missing if it was deleted */
+export interface DuplicateMatch {
+  submissionId: string
+  /** Differing bits of the 64-bit perceptual hash (0 = identical) */
+  distance: number
+  /** 'team': same team, another stop; 'cross_team': another team */
+  scope: 'team' | 'cross_team'
+  teamId?: string
+  locationId?: string
+  locationTitle?: string
+  photoUrl?: string
+}
+
+export interface PhotoSubmission {
+  id: string
+  orgId: string
+  huntId: string
+  teamId: string
+  locationId: string
+  locationTitle: string
+  photoUrl: string
+  status: ModerationStatus
+  reason: string | null
+  moderatedBy: string | null
+  moderatedAt: string | null
+  perceptualHash: string | null
+  duplicate: DuplicateMatch | null
+  createdAt: string
+}
+
+export interface PhotoSubmissionsResponse {
+  orgId: string
+  huntId: string
+  status: ModerationStatus | 'all'
+  flagged: boolean
+  submissions: PhotoSubmission[]
+}
+
+export interface ModerationResult {
+  submission: PhotoSubmission
+  progressReverted: boolean
+}
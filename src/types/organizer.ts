@@ -0,0 +1,34 @@
+/**
+ * Type definitions for organizer accounts
+ * Mirrors the /api/organizer responses
+ */
+
+/** Highest to lowest; each role includes the permissions of the ones after it */
+export type OrganizerRole = 'owner' | 'organizer' | 'moderator' | 'viewer'
+
+export interface OrganizerMembership {
+  orgId: string
+  role: OrganizerRole
+}
+
+export interface Organizer {
+  id: string
+  email: string
+  displayName: string | null
+  memberships: OrganizerMembership[]
+}
+
+export interface OrganizerSession {
+  /** Bearer token for organizer endpoints */
+  token: string
+  /** Unix seconds */
+  expiresAt: number
+  organizer: Organizer
+}
+
+export interface OrganizerIdentity {
+  organizerId: string
+  email: string | null
+  /** orgId -> role; '*' applies to every organization (organizer API key) */
+  roles: Record<string, OrganizerRole>
+}
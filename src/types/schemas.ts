@@ -2,6 +2,7 @@
  * Zod schemas for type-safe API request/response validation
  */
 import { z } from 'zod'
+import type { UnlockRule } from './hunt-system'
 
 // Base schemas for common types
 // Updated to accept PostgreSQL timestamps with microseconds (up to 6 digits) and various ISO 8601 formats
@@ -199,6 +200,23 @@ export const TeamErrorResponseSchema = ErrorResponseSchema.extend({
   }).optional()
 })
 
+// Branching stops: stop type and unlock rule (mirrors netlify/functions/_lib/unlockRules.js)
+export const StopTypeSchema = z.enum(['required', 'optional', 'bonus'])
+
+// What completes a stop (mirrors netlify/functions/_lib/stopMedia.js)
+export const StopMediaTypeSchema = z.enum(['photo', 'video', 'photo_or_video'])
+
+const StopIdListSchema = z.array(z.string().min(1)).min(1, 'At least one stop ID required')
+
+export const UnlockRuleSchema: z.ZodType<UnlockRule> = z.lazy(() => z.discriminatedUnion('type', [
+  z.object({ type: z.literal('after'), stops: StopIdListSchema, match: z.enum(['all', 'any']).optional() }),
+  z.object({ type: z.literal('count'), min: z.number().int().min(1), stops: StopIdListSchema.optional() }),
+  z.object({ type: z.literal('notAfter'), stops: StopIdListSchema }),
+  z.object({ type: z.literal('choice'), group: z.string().min(1), option: z.string().min(1) }),
+  z.object({ type: z.literal('all'), rules: z.array(UnlockRuleSchema).min(1) }),
+  z.object({ type: z.literal('any'), rules: z.array(UnlockRuleSchema).min(1) })
+]))
+
 // Export inferred types
 export type UploadMeta = z.infer<typeof UploadMetaSchema>
 export type UploadResponse = z.infer<typeof UploadResponseSchema>
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { buildStorybook } from './canvas'
+import { buildStorybook, orientedCanvas } from './canvas'
 import { mockCanvasContext } from '../../test/setup'
 
 describe('buildStorybook', () => {
@@ -144,4 +144,23 @@ describe('buildStorybook', () => {
     expect(mockCanvasContext.fillText).toHaveBeenCalledWith('1. Clock Tower', expect.any(Number), expect.any(Number))
     expect(mockCanvasContext.fillText).toHaveBeenCalledWith('2. Gore Creek Waterfront', expect.any(Number), expect.any(Number))
   })
-})
\ No newline at end of file
+})
+describe('orientedCanvas', () => {
+  it('keeps upright images as they are', () => {
+    expect(orientedCanvas(1, 400, 300)).toEqual({ width: 400, height: 300, transform: [1, 0, 0, 1, 0, 0] })
+  })
+
+  it('swaps dimensions for rotated orientations', () => {
+    // 6 = camera held in portrait, rotate 90° clockwise
+    expect(orientedCanvas(6, 400, 300)).toEqual({ width: 300, height: 400, transform: [0, 1, -1, 0, 300, 0] })
+    expect(orientedCanvas(8, 400, 300)).toEqual({ width: 300, height: 400, transform: [0, -1, 1, 0, 0, 400] })
+  })
+
+  it('flips upside-down images in place', () => {
+    expect(orientedCanvas(3, 400, 300)).toEqual({ width: 400, height: 300, transform: [-1, 0, 0, -1, 400, 300] })
+  })
+
+  it('treats unknown orientations as upright', () => {
+    expect(orientedCanvas(0, 400, 300).transform).toEqual([1, 0, 0, 1, 0, 0])
+  })
+})
@@ -86,4 +86,31 @@ export const buildStorybook = async (photos: string[], titles: string[]): Promis
   }
 
   return canvas.toDataURL('image/png')
-}
\ No newline at end of file
+}
+
+/**
+ * Canvas size and transform that draw an image upright for its EXIF orientation
+ * @param orientation EXIF orientation 1-8
+ * @param width Width to draw the image at (before rotation)
+ * @param height Height to draw the image at (before rotation)
+ * @returns Canvas dimensions and a setTransform() matrix; draw the image at (0, 0, width, height)
+ */
+export const orientedCanvas = (orientation: number, width: number, height: number) => {
+  const transforms: Record<number, [number, number, number, number, number, number]> = {
+    1: [1, 0, 0, 1, 0, 0],
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, height, 0],
+    7: [0, -1, -1, 0, height, width],
+    8: [0, -1, 1, 0, 0, width]
+  }
+  const swap = orientation >= 5 && orientation <= 8
+
+  return {
+    width: swap ? height : width,
+    height: swap ? width : height,
+    transform: transforms[orientation] || transforms[1]
+  }
+}
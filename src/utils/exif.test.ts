@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest'
+import { readJpegExif, withExifSegment, withoutExifSegment } from './exif'
+
+/**
+ * Build a tiny JPEG: SOI, optional APP0 (JFIF), optional APP1 (EXIF with
+ * orientation and GPS pointer tags), then EOI
+ */
+function buildJpeg({ orientation, gps = false, littleEndian = false, jfif = false }: {
+  orientation?: number
+  gps?: boolean
+  littleEndian?: boolean
+  jfif?: boolean
+}): ArrayBuffer {
+  const bytes: number[] = [0xff, 0xd8]
+
+  if (jfif) {
+    bytes.push(0xff, 0xe0, 0x00, 0x07, 0x4a, 0x46, 0x49, 0x46, 0x00)
+  }
+
+  if (orientation !== undefined || gps) {
+    const tags: Array<[number, number, number]> = [] // tag, type, value
+    if (orientation !== undefined) tags.push([0x0112, 3, orientation])
+    if (gps) tags.push([0x8825, 4, 26])
+
+    const tiff = new DataView(new ArrayBuffer(8 + 2 + tags.length * 12 + 4))
+    tiff.setUint16(0, littleEndian ? 0x4949 : 0x4d4d)
+    tiff.setUint16(2, 42, littleEndian)
+    tiff.setUint32(4, 8, littleEndian)
+    tiff.setUint16(8, tags.length, littleEndian)
+    tags.forEach(([tag, type, value], i) => {
+      const entry = 10 + i * 12
+      tiff.setUint16(entry, tag, littleEndian)
+      tiff.setUint16(entry + 2, type, littleEndian)
+      tiff.setUint32(entry + 4, 1, littleEndian)
+      if (type === 3) tiff.setUint16(entry + 8, value, littleEndian)
+      else tiff.setUint32(entry + 8, value, littleEndian)
+    })
+
+    const payload = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00, ...new Uint8Array(tiff.buffer)]
+    const size = payload.length + 2
+    bytes.push(0xff, 0xe1, size >> 8, size & 0xff, ...payload)
+  }
+
+  bytes.push(0xff, 0xd9)
+  return new Uint8Array(bytes).buffer
+}
+
+describe('readJpegExif', () => {
+  it('returns null for non-JPEG data', () => {
+    expect(readJpegExif(new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer)).toBeNull()
+  })
+
+  it('reports orientation 1 and no GPS when there is no EXIF', () => {
+    const exif = readJpegExif(buildJpeg({ jfif: true }))
+    expect(exif).toMatchObject({ orientation: 1, hasGps: false, segment: null })
+  })
+
+  it('reads orientation and GPS presence (big-endian)', () => {
+    const exif = readJpegExif(buildJpeg({ orientation: 6, gps: true }))
+    expect(exif).toMatchObject({ orientation: 6, hasGps: true, littleEndian: false })
+    expect(exif?.segment?.[0]).toBe(0xff)
+    expect(exif?.segment?.[1]).toBe(0xe1)
+  })
+
+  it('reads little-endian EXIF after a JFIF header', () => {
+    const exif = readJpegExif(buildJpeg({ orientation: 3, littleEndian: true, jfif: true }))
+    expect(exif).toMatchObject({ orientation: 3, hasGps: false, littleEndian: true })
+  })
+
+  it('ignores truncated EXIF', () => {
+    const full = new Uint8Array(buildJpeg({ orientation: 6, gps: true }))
+    expect(readJpegExif(full.slice(0, 20).buffer)).toMatchObject({ orientation: 1, hasGps: false })
+  })
+})
+
+describe('withExifSegment', () => {
+  it('copies EXIF into a re-encoded JPEG with orientation reset to 1', () => {
+    const exif = readJpegExif(buildJpeg({ orientation: 6, gps: true }))!
+    const reencoded = buildJpeg({ jfif: true })
+
+    const output = withExifSegment(reencoded, exif)
+    const reread = readJpegExif(output.buffer as ArrayBuffer)
+
+    expect(reread).toMatchObject({ orientation: 1, hasGps: true })
+    expect(output.length).toBe(reencoded.byteLength + exif.segment!.length)
+    // JFIF header stays first
+    expect([output[2], output[3]]).toEqual([0xff, 0xe0])
+    // Original segment is untouched
+    expect(readJpegExif(buildJpeg({ orientation: 6, gps: true }))?.orientation).toBe(6)
+    expect(exif.orientation).toBe(6)
+  })
+
+  it('returns the JPEG unchanged when there is no EXIF to copy', () => {
+    const reencoded = buildJpeg({})
+    const exif = readJpegExif(reencoded)!
+    expect(withExifSegment(reencoded, exif)).toEqual(new Uint8Array(reencoded))
+  })
+})
+
+describe('withoutExifSegment', () => {
+  it('drops EXIF and keeps the rest of the JPEG', () => {
+    const original = buildJpeg({ orientation: 6, gps: true, jfif: true })
+    const exif = readJpegExif(original)!
+
+    const output = withoutExifSegment(original)
+
+    expect(readJpegExif(output.buffer as ArrayBuffer)).toMatchObject({ hasGps: false, segment: null })
+    expect(output.length).toBe(original.byteLength - exif.segment!.length)
+    expect(output).toEqual(new Uint8Array(buildJpeg({ jfif: true })))
+  })
+
+  it('leaves JPEGs without EXIF and other formats alone', () => {
+    const plain = buildJpeg({ jfif: true })
+    expect(withoutExifSegment(plain)).toEqual(new Uint8Array(plain))
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer
+    expect(withoutExifSegment(png)).toEqual(new Uint8Array(png))
+  })
+})
@@ -0,0 +1,143 @@
+/**
+ * Minimal JPEG EXIF handling for upload preprocessing
+ * Reads only what the pipeline needs (orientation, whether GPS data is
+ * present), can carry the original EXIF block over to a re-encoded JPEG and
+ * can drop it from a JPEG the browser could not decode.
+ */
+
+export interface JpegExif {
+  /** EXIF orientation 1-8 (1 when the tag is missing) */
+  orientation: number
+  hasGps: boolean
+  /** Complete APP1 segment (marker included), null when the JPEG has no EXIF */
+  segment: Uint8Array | null
+  /** Byte offset of the orientation value inside segment */
+  orientationOffset: number | null
+  littleEndian: boolean
+}
+
+const SOI = 0xffd8
+const SOS = 0xffda
+const APP0 = 0xffe0
+const APP1 = 0xffe1
+const TAG_ORIENTATION = 0x0112
+const TAG_GPS_IFD = 0x8825
+
+const NO_EXIF: JpegExif = { orientation: 1, hasGps: false, segment: null, orientationOffset: null, littleEndian: false }
+
+function isExifHeader(view: DataView, offset: number): boolean {
+  // "Exif\0\0"
+  return view.getUint32(offset) === 0x45786966 && view.getUint16(offset + 4) === 0
+}
+
+/**
+ * Read EXIF from a JPEG
+ * @returns null when the buffer is not a JPEG
+ */
+export function readJpegExif(buffer: ArrayBuffer): JpegExif | null {
+  const view = new DataView(buffer)
+  if (view.byteLength < 4 || view.getUint16(0) !== SOI) return null
+
+  try {
+    let offset = 2
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset)
+      if ((marker & 0xff00) !== 0xff00 || marker === SOS) break
+      const size = view.getUint16(offset + 2)
+
+      if (marker === APP1 && isExifHeader(view, offset + 4)) {
+        const tiff = offset + 10
+        const littleEndian = view.getUint16(tiff) === 0x4949
+        if (view.getUint16(tiff + 2, littleEndian) !== 42) return NO_EXIF
+
+        const ifd0 = tiff + view.getUint32(tiff + 4, littleEndian)
+        const entries = view.getUint16(ifd0, littleEndian)
+        const exif: JpegExif = {
+          ...NO_EXIF,
+          segment: new Uint8Array(buffer.slice(offset, offset + 2 + size)),
+          littleEndian
+        }
+
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd0 + 2 + i * 12
+          const tag = view.getUint16(entry, littleEndian)
+          if (tag === TAG_ORIENTATION) {
+            const value = view.getUint16(entry + 8, littleEndian)
+            exif.orientation = value >= 1 && value <= 8 ? value : 1
+            exif.orientationOffset = entry + 8 - offset
+          } else if (tag === TAG_GPS_IFD) {
+            exif.hasGps = view.getUint32(entry + 8, littleEndian) > 0
+          }
+        }
+        return exif
+      }
+
+      offset += 2 + size
+    }
+  } catch {
+    // Truncated or malformed EXIF: treat as none
+  }
+
+  return NO_EXIF
+}
+
+/**
+ * Insert an EXIF segment into a JPEG (after its JFIF header), with the
+ * orientation reset to 1 because the pixels are already upright
+ */
+export function withExifSegment(jpeg: ArrayBuffer, exif: JpegExif): Uint8Array<ArrayBuffer> {
+  const bytes = new Uint8Array(jpeg)
+  if (!exif.segment) return bytes
+
+  const segment = exif.segment.slice()
+  if (exif.orientationOffset !== null) {
+    new DataView(segment.buffer).setUint16(exif.orientationOffset, 1, exif.littleEndian)
+  }
+
+  const view = new DataView(jpeg)
+  let insertAt = 2
+  if (view.byteLength >= 6 && view.getUint16(2) === APP0) {
+    insertAt = 4 + view.getUint16(4)
+  }
+
+  const output = new Uint8Array(bytes.length + segment.length)
+  output.set(bytes.subarray(0, insertAt), 0)
+  output.set(segment, insertAt)
+  output.set(bytes.subarray(insertAt), insertAt + segment.length)
+  return output
+}
+
+/**
+ * Remove EXIF (APP1) segments from a JPEG without touching the image data
+ * @returns the input unchanged when it is not a JPEG or has no EXIF
+ */
+export function withoutExifSegment(jpeg: ArrayBuffer): Uint8Array<ArrayBuffer> {
+  const bytes = new Uint8Array(jpeg)
+  const view = new DataView(jpeg)
+  if (view.byteLength < 4 || view.getUint16(0) !== SOI) return bytes
+
+  const chunks: Uint8Array[] = []
+  let kept = 0
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset)
+    if ((marker & 0xff00) !== 0xff00 || marker === SOS) break
+    const end = offset + 2 + view.getUint16(offset + 2)
+    if (end > view.byteLength) break
+
+    if (marker === APP1 && isExifHeader(view, offset + 4)) {
+      chunks.push(bytes.subarray(kept, offset))
+      kept = end
+    }
+    offset = end
+  }
+  if (chunks.length === 0) return bytes
+  chunks.push(bytes.subarray(kept))
+
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0))
+  chunks.reduce((position, chunk) => {
+    output.set(chunk, position)
+    return position + chunk.length
+  }, 0)
+  return output
+}
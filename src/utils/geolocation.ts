@@ -0,0 +1,44 @@
+/**
+ * Promise wrapper around navigator.geolocation.getCurrentPosition
+ * Resolves with the position needed for a stop check-in, or rejects with a
+ * message suitable for showing to the team.
+ */
+export interface GeoPosition {
+  lat: number
+  lng: number
+  accuracy: number
+}
+
+const POSITION_TIMEOUT_MS = 15000
+
+export function getCurrentPosition(): Promise<GeoPosition> {
+  return new Promise((resolve, reject) => {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      reject(new Error('Location is not available on this device'))
+      return
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        resolve({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          accuracy: position.coords.accuracy
+        })
+      },
+      (error) => {
+        switch (error.code) {
+          case error.PERMISSION_DENIED:
+            reject(new Error('Location permission denied. Enable it in your browser settings to check in.'))
+            break
+          case error.TIMEOUT:
+            reject(new Error('Timed out finding your location. Try again in the open.'))
+            break
+          default:
+            reject(new Error('Could not determine your location'))
+        }
+      },
+      { enableHighAccuracy: true, timeout: POSITION_TIMEOUT_MS, maximumAge: 0 }
+    )
+  })
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { formatCountdown, getCountdownTarget, getScheduleStatus } from './huntSchedule'
+import type { HuntSchedule } from '../types/hunt-system'
+
+const schedule: HuntSchedule = {
+  startsAt: '2025-01-01T10:00:00.000Z',
+  endsAt: '2025-01-01T14:00:00.000Z',
+  gracePeriodMinutes: 15,
+  submissionsCloseAt: '2025-01-01T14:15:00.000Z',
+  status: 'active',
+  acceptingSubmissions: true,
+  serverTime: '2025-01-01T12:00:00.000Z'
+}
+
+describe('getScheduleStatus', () => {
+  it('should follow the window as time passes', () => {
+    expect(getScheduleStatus(schedule, Date.parse('2025-01-01T09:00:00Z'))).toBe('upcoming')
+    expect(getScheduleStatus(schedule, Date.parse('2025-01-01T12:00:00Z'))).toBe('active')
+    expect(getScheduleStatus(schedule, Date.parse('2025-01-01T14:10:00Z'))).toBe('grace')
+    expect(getScheduleStatus(schedule, Date.parse('2025-01-01T14:15:00Z'))).toBe('ended')
+  })
+
+  it('should be unscheduled without a schedule', () => {
+    expect(getScheduleStatus(null, Date.now())).toBe('unscheduled')
+  })
+})
+
+describe('getCountdownTarget', () => {
+  it('should count toward the next boundary', () => {
+    expect(getCountdownTarget(schedule, 'upcoming')).toBe(Date.parse(schedule.startsAt!))
+    expect(getCountdownTarget(schedule, 'grace')).toBe(Date.parse(schedule.submissionsCloseAt!))
+    expect(getCountdownTarget(schedule, 'ended')).toBeNull()
+  })
+})
+
+describe('formatCountdown', () => {
+  it('should format minutes, hours and days', () => {
+    expect(formatCountdown(65_000)).toBe('1:05')
+    expect(formatCountdown(3_909_000)).toBe('1:05:09')
+    expect(formatCountdown(2 * 86_400_000 + 3 * 3_600_000)).toBe('2d 3h')
+    expect(formatCountdown(-1)).toBe('0:00')
+  })
+})
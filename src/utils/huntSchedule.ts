@@ -0,0 +1,68 @@
+import type { HuntSchedule, HuntScheduleStatus } from '../types/hunt-system'
+
+/**
+ * Derive the live schedule status on the client
+ * Mirrors netlify/functions/_lib/huntSchedule.js so the UI locks at the same
+ * moment the server starts rejecting writes. `now` should already be
+ * corrected for clock skew (see getClockOffset).
+ */
+export function getScheduleStatus(schedule: HuntSchedule | null, now: number): HuntScheduleStatus {
+  if (!schedule || (!schedule.startsAt && !schedule.endsAt)) {
+    return 'unscheduled'
+  }
+
+  if (schedule.startsAt && now < Date.parse(schedule.startsAt)) {
+    return 'upcoming'
+  }
+
+  if (schedule.endsAt && now >= Date.parse(schedule.endsAt)) {
+    const closeAt = schedule.submissionsCloseAt ? Date.parse(schedule.submissionsCloseAt) : Date.parse(schedule.endsAt)
+    return now < closeAt ? 'grace' : 'ended'
+  }
+
+  return 'active'
+}
+
+/**
+ * The timestamp the countdown runs toward for a status, or null when none applies
+ */
+export function getCountdownTarget(schedule: HuntSchedule | null, status: HuntScheduleStatus): number | null {
+  if (!schedule) return null
+  switch (status) {
+    case 'upcoming':
+      return schedule.startsAt ? Date.parse(schedule.startsAt) : null
+    case 'active':
+      return schedule.endsAt ? Date.parse(schedule.endsAt) : null
+    case 'grace':
+      return schedule.submissionsCloseAt ? Date.parse(schedule.submissionsCloseAt) : null
+    default:
+      return null
+  }
+}
+
+/**
+ * Difference between server and device clocks in milliseconds
+ */
+export function getClockOffset(schedule: HuntSchedule | null, receivedAt: number): number {
+  if (!schedule?.serverTime) return 0
+  const serverTime = Date.parse(schedule.serverTime)
+  return Number.isNaN(serverTime) ? 0 : serverTime - receivedAt
+}
+
+/**
+ * Format a remaining duration, e.g. "2d 3h", "1:05:09", "4:02"
+ */
+export function formatCountdown(ms: number): string {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+  const days = Math.floor(totalSeconds / 86400)
+  const hours = Math.floor((totalSeconds % 86400) / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+
+  if (days > 0) return `${days}d ${hours}h`
+
+  const pad = (n: number) => n.toString().padStart(2, '0')
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${minutes}:${pad(seconds)}`
+}
@@ -1,5 +1,5 @@
-import { describe, it, expect, vi } from 'vitest'
-import { base64ToFile, compressImage } from './image'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { base64ToFile, compressImage, preprocessImage } from './image'
 
 describe('base64ToFile', () => {
   it('should convert base64 string to File object', () => {
@@ -128,4 +128,110 @@ describe('compressImage', () => {
     
     global.Image = originalImage
   })
-})
\ No newline at end of file
+})
+describe('preprocessImage', () => {
+  const originalToBlob = HTMLCanvasElement.prototype.toBlob
+  const originalCreateImageBitmap = (globalThis as any).createImageBitmap
+
+  const mockDecode = (width: number, height: number) => {
+    (globalThis as any).createImageBitmap = vi.fn(async () => ({ width, height, close: vi.fn() }))
+  }
+
+  // Encoder that returns `size` bytes of the requested type (or PNG if the type is unsupported)
+  const mockEncoder = (size: number, supported = ['image/webp', 'image/jpeg']) => {
+    HTMLCanvasElement.prototype.toBlob = vi.fn(function (callback: BlobCallback, type?: string) {
+      const outType = supported.includes(type || '') ? type! : 'image/png'
+      callback(new Blob([new Uint8Array(size)], { type: outType }))
+    }) as any
+  }
+
+  afterEach(() => {
+    HTMLCanvasElement.prototype.toBlob = originalToBlob
+    ;(globalThis as any).createImageBitmap = originalCreateImageBitmap
+  })
+
+  it('downscales large photos and reports bytes saved', async () => {
+    mockDecode(4000, 3000)
+    mockEncoder(200_000)
+    const file = new File([new Uint8Array(5_000_000)], 'IMG_0001.png', { type: 'image/png' })
+
+    const result = await preprocessImage(file, { maxDimension: 1600 })
+
+    expect(result.reencoded).toBe(true)
+    expect(result.width).toBe(1600)
+    expect(result.height).toBe(1200)
+    expect(result.file.type).toBe('image/webp')
+    expect(result.file.name).toBe('IMG_0001.webp')
+    expect(result.bytesSaved).toBe(5_000_000 - 200_000)
+  })
+
+  it('falls back to JPEG when WebP encoding is unsupported', async () => {
+    mockDecode(4000, 3000)
+    mockEncoder(100_000, ['image/jpeg'])
+    const file = new File([new Uint8Array(1_000_000)], 'photo.png', { type: 'image/png' })
+
+    const result = await preprocessImage(file, { format: 'webp' })
+
+    expect(result.file.type).toBe('image/jpeg')
+    expect(result.file.name).toBe('photo.jpg')
+  })
+
+  it('keeps small originals when re-encoding would not help', async () => {
+    mockDecode(800, 600)
+    mockEncoder(50_000)
+    const file = new File([new Uint8Array(10_000)], 'small.png', { type: 'image/png' })
+
+    const result = await preprocessImage(file)
+
+    expect(result.reencoded).toBe(false)
+    expect(result.file).toBe(file)
+    expect(result.bytesSaved).toBe(0)
+  })
+
+  it('returns the original file when the image cannot be decoded', async () => {
+    (globalThis as any).createImageBitmap = vi.fn(async () => { throw new Error('unsupported') })
+    const originalImage = global.Image
+    global.Image = class {
+      onerror: (() => void) | null = null
+      set src(_value: string) { setTimeout(() => this.onerror?.(), 0) }
+    } as any
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const file = new File([new Uint8Array(100)], 'clip.heic', { type: 'image/heic' })
+    const result = await preprocessImage(file)
+
+    expect(result).toMatchObject({ file, reencoded: false, bytesSaved: 0 })
+    global.Image = originalImage
+  })
+
+  it('strips GPS EXIF from a JPEG it cannot decode', async () => {
+    (globalThis as any).createImageBitmap = vi.fn(async () => { throw new Error('unsupported') })
+    const originalImage = global.Image
+    global.Image = class {
+      onerror: (() => void) | null = null
+      set src(_value: string) { setTimeout(() => this.onerror?.(), 0) }
+    } as any
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    // SOI, APP1 EXIF with a GPS IFD pointer, EOI
+    const exifSegment = [
+      0xff, 0xe1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+      0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, 0x00, 0x01,
+      0x88, 0x25, 0x00, 0x04, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x1a,
+      0x00, 0x00, 0x00, 0x00
+    ]
+    const bytes = new Uint8Array([0xff, 0xd8, ...exifSegment, 0xff, 0xd9])
+    const file = new File([bytes], 'IMG_0002.jpg', { type: 'image/jpeg' })
+    // jsdom's Blob has no arrayBuffer()
+    Object.defineProperty(file, 'arrayBuffer', { value: async () => bytes.slice().buffer })
+
+    const located = await preprocessImage(file, { keepLocation: true })
+    expect(located).toMatchObject({ file, gpsStripped: false })
+
+    const result = await preprocessImage(file)
+    expect(result).toMatchObject({ reencoded: false, gpsStripped: true, bytesSaved: exifSegment.length })
+    expect(result.file.name).toBe('IMG_0002.jpg')
+    expect(result.file.size).toBe(4)
+    global.Image = originalImage
+  })
+})
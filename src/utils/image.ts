@@ -1,3 +1,7 @@
+import { orientedCanvas } from './canvas'
+import { readJpegExif, withExifSegment, withoutExifSegment, type JpegExif } from './exif'
+import { hashImage } from './perceptualHash'
+
 /**
  * Helper function to convert base64 to File object
  * Pure function - doesn't depend on component state
@@ -38,4 +42,184 @@ export const compressImage = (file: File, maxWidth = 800, quality = 0.8): Promis
     
     img.src = URL.createObjectURL(file)
   })
-}
\ No newline at end of file
+}
+
+export type UploadImageFormat = 'webp' | 'jpeg'
+
+export interface ImagePreprocessOptions {
+  /** Longest edge in pixels (default 1600) */
+  maxDimension?: number
+  /** Preferred output format; falls back to JPEG where WebP encoding is unsupported */
+  format?: UploadImageFormat
+  /** Encoder quality 0-1 (default 0.82) */
+  quality?: number
+  /** Keep GPS EXIF (hunts that opt in to photo locations); forces JPEG output */
+  keepLocation?: boolean
+}
+
+export interface ImagePreprocessResult {
+  file: File
+  originalBytes: number
+  processedBytes: number
+  bytesSaved: number
+  width: number | null
+  height: number | null
+  /** False when the original file was kept (decode failed or nothing to gain) */
+  reencoded: boolean
+  gpsStripped: boolean
+  /** dHash of the decoded photo for duplicate detection; null when it couldn't be decoded */
+  perceptualHash: string | null
+}
+
+const MIME_TYPES: Record<UploadImageFormat, string> = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+}
+
+const EXTENSIONS: Record<string, string> = {
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg'
+}
+
+/**
+ * Decode an image; `upright` says whether the browser already applied EXIF orientation
+ */
+const decodeImage = async (file: File): Promise<{ source: CanvasImageSource; width: number; height: number; upright: boolean }> => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, upright: true }
+    } catch {
+      // Fall through to <img> decoding
+    }
+  }
+
+  const url = URL.createObjectURL(file)
+  try {
+    const img = await new Promise<HTMLImageElement>((resolve, reject) => {
+      const image = new Image()
+      image.onload = () => resolve(image)
+      image.onerror = () => reject(new Error('Could not decode image'))
+      image.src = url
+    })
+    const upright = typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('image-orientation', 'from-image')
+    return { source: img, width: img.naturalWidth || img.width, height: img.naturalHeight || img.height, upright }
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+const canvasToBlob = (canvas: HTMLCanvasElement, type: string, quality: number): Promise<Blob | null> =>
+  new Promise(resolve => canvas.toBlob(resolve, type, quality))
+
+const renamed = (name: string, type: string) => {
+  const base = name.replace(/\.[^.]+$/, '') || 'photo'
+  return `${base}.${EXTENSIONS[type] || 'jpg'}`
+}
+
+/**
+ * Fallback when the photo can't be re-encoded: the original file, with its
+ * EXIF block removed if it carries GPS data that has to go
+ */
+const keepOriginal = async (
+  original: ImagePreprocessResult,
+  exif: JpegExif | null,
+  keepLocation: boolean
+): Promise<ImagePreprocessResult> => {
+  if (!exif?.hasGps || keepLocation) return original
+
+  const { file } = original
+  const stripped = new File([withoutExifSegment(await file.arrayBuffer())], file.name, { type: file.type, lastModified: file.lastModified })
+  return {
+    ...original,
+    file: stripped,
+    processedBytes: stripped.size,
+    bytesSaved: file.size - stripped.size,
+    gpsStripped: true
+  }
+}
+
+/**
+ * Prepare a photo for upload: downscale, apply EXIF orientation, re-encode
+ * as WebP/JPEG, drop GPS EXIF unless keepLocation is set and compute the
+ * perceptual hash used for duplicate detection.
+ * Never throws; if the image can't be decoded the original file is returned,
+ * minus any GPS EXIF that should have been stripped.
+ */
+export const preprocessImage = async (
+  file: File,
+  { maxDimension = 1600, format = 'webp', quality = 0.82, keepLocation = false }: ImagePreprocessOptions = {}
+): Promise<ImagePreprocessResult> => {
+  const original: ImagePreprocessResult = {
+    file,
+    originalBytes: file.size,
+    processedBytes: file.size,
+    bytesSaved: 0,
+    width: null,
+    height: null,
+    reencoded: false,
+    gpsStripped: false,
+    perceptualHash: null
+  }
+
+  let exif: JpegExif | null = null
+  try {
+    if (file.type === 'image/jpeg') {
+      exif = readJpegExif(await file.arrayBuffer())
+    }
+
+    const decoded = await decodeImage(file)
+    const scale = Math.min(1, maxDimension / Math.max(decoded.width, decoded.height))
+    const drawWidth = Math.round(decoded.width * scale)
+    const drawHeight = Math.round(decoded.height * scale)
+    const orientation = decoded.upright ? 1 : exif?.orientation || 1
+
+    // Browsers that orient while decoding already report upright dimensions
+    const layout = orientedCanvas(orientation, drawWidth, drawHeight)
+    const canvas = document.createElement('canvas')
+    canvas.width = layout.width
+    canvas.height = layout.height
+    const ctx = canvas.getContext('2d')
+    if (!ctx) return keepOriginal(original, exif, keepLocation)
+    ctx.setTransform(...layout.transform)
+    ctx.drawImage(decoded.source, 0, 0, drawWidth, drawHeight)
+    if ('close' in decoded.source) decoded.source.close()
+    const perceptualHash = hashImage(canvas)
+
+    const keepGps = keepLocation && !!exif?.hasGps
+    let type = keepGps ? MIME_TYPES.jpeg : MIME_TYPES[format]
+    let blob = await canvasToBlob(canvas, type, quality)
+    if (blob && blob.type !== type) {
+      // WebP encoding unsupported (older Safari returns PNG)
+      type = MIME_TYPES.jpeg
+      blob = await canvasToBlob(canvas, type, quality)
+    }
+    if (!blob) return keepOriginal(original, exif, keepLocation)
+
+    if (keepGps && exif) {
+      blob = new Blob([withExifSegment(await blob.arrayBuffer(), exif)], { type })
+    }
+
+    // The original is fine as-is when re-encoding didn't help and it has nothing to strip or rotate
+    const mustReencode = scale < 1 || (exif?.hasGps && !keepLocation) || (exif?.orientation || 1) !== 1
+    if (!mustReencode && blob.size >= file.size) {
+      return { ...original, width: layout.width, height: layout.height, perceptualHash }
+    }
+
+    const processed = new File([blob], renamed(file.name, type), { type, lastModified: Date.now() })
+    return {
+      file: processed,
+      originalBytes: file.size,
+      processedBytes: processed.size,
+      bytesSaved: file.size - processed.size,
+      width: layout.width,
+      height: layout.height,
+      reencoded: true,
+      gpsStripped: !!exif?.hasGps && !keepGps,
+      perceptualHash
+    }
+  } catch (error) {
+    console.warn('[preprocessImage] Keeping original file:', error)
+    return keepOriginal(original, exif, keepLocation).catch(() => original)
+  }
+}
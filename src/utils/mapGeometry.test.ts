@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { buildMapRoute, fitViewport, projectMercator, projectSchematic, visibleTiles } from './mapGeometry'
+import type { Location } from '../types/config'
+
+const locations: Location[] = [
+  { id: 'bridge', title: 'Covered Bridge', clue: '', hints: [], position: { lat: 39.6403, lng: -106.3742 } },
+  { id: 'gondola', title: 'Gondola One', clue: '', hints: [], position: { lat: 39.6391, lng: -106.3727 } },
+  { id: 'clock', title: 'Clock Tower', clue: '', hints: [], position: { lat: 39.6412, lng: -106.3751 } },
+  { id: 'mystery', title: 'Mystery Stop', clue: '', hints: [] }
+]
+
+describe('buildMapRoute', () => {
+  it('should order the path by completion time', () => {
+    const route = buildMapRoute(locations, {
+      bridge: { done: true, completedAt: '2025-01-01T12:30:00.000Z' },
+      clock: { done: true, completedAt: '2025-01-01T12:00:00.000Z' },
+      gondola: { done: false }
+    })
+
+    expect(route.path).toEqual([locations[2].position, locations[0].position])
+    expect(route.stops.find(s => s.id === 'clock')).toMatchObject({ status: 'completed', visitOrder: 1 })
+    expect(route.stops.find(s => s.id === 'gondola')).toMatchObject({ status: 'pending', visitOrder: null })
+    expect(route.unplottedCount).toBe(1)
+  })
+
+  it('should treat missing progress as all pending', () => {
+    const route = buildMapRoute(locations, null)
+    expect(route.path).toEqual([])
+    expect(route.stops.every(s => s.status === 'pending')).toBe(true)
+  })
+})
+
+describe('projectMercator', () => {
+  it('should map the origin to the center of the world', () => {
+    expect(projectMercator({ lat: 0, lng: 0 }, 0)).toEqual({ x: 128, y: 128 })
+    expect(projectMercator({ lat: 0, lng: 0 }, 1)).toEqual({ x: 256, y: 256 })
+  })
+})
+
+describe('fitViewport', () => {
+  it('should zoom in as far as the stops allow and cover them with tiles', () => {
+    const positions = locations.filter(l => l.position).map(l => l.position!)
+    const viewport = fitViewport(positions, 360, 360)
+
+    expect(viewport.zoom).toBeGreaterThanOrEqual(15)
+    for (const p of positions) {
+      const point = projectMercator(p, viewport.zoom)
+      expect(point.x - viewport.origin.x).toBeGreaterThanOrEqual(0)
+      expect(point.x - viewport.origin.x).toBeLessThanOrEqual(360)
+    }
+    expect(visibleTiles(viewport).length).toBeGreaterThan(0)
+  })
+})
+
+describe('projectSchematic', () => {
+  it('should keep points inside the padded box', () => {
+    const points = projectSchematic(locations.filter(l => l.position).map(l => l.position!), 300, 200, 20)
+    for (const p of points) {
+      expect(p.x).toBeGreaterThanOrEqual(20)
+      expect(p.x).toBeLessThanOrEqual(280)
+      expect(p.y).toBeGreaterThanOrEqual(20)
+      expect(p.y).toBeLessThanOrEqual(180)
+    }
+  })
+
+  it('should center a single stop', () => {
+    expect(projectSchematic([{ lat: 1, lng: 2 }], 100, 50)).toEqual([{ x: 50, y: 25 }])
+  })
+})
@@ -0,0 +1,181 @@
+/**
+ * Map geometry helpers for the Map tab
+ * Pure functions: stop/route derivation, Web Mercator projection for tiled
+ * maps and a simple equirectangular projection for the SVG schematic.
+ */
+import type { Location, Position } from '../types/config'
+import type { ProgressData } from '../types/schemas'
+
+export type MapStopStatus = 'completed' | 'pending'
+
+export interface MapStop {
+  id: string
+  title: string
+  position: Position
+  status: MapStopStatus
+  completedAt: string | null
+  /** 1-based completion order, null while pending */
+  visitOrder: number | null
+}
+
+export interface MapRoute {
+  stops: MapStop[]
+  /** Completed stop positions in completed_at order */
+  path: Position[]
+  /** Unlocked stops that have no coordinates and cannot be plotted */
+  unplottedCount: number
+}
+
+export interface Point {
+  x: number
+  y: number
+}
+
+export interface MapViewport {
+  zoom: number
+  /** World pixel coordinate of the viewport's top-left corner */
+  origin: Point
+  width: number
+  height: number
+}
+
+const MAX_MERCATOR_LAT = 85.05112878
+
+/**
+ * Combine hunt locations with team progress into plottable stops and the
+ * team's completion path
+ */
+export function buildMapRoute(locations: Location[], progress: ProgressData | null | undefined): MapRoute {
+  const plottable = locations.filter(
+    loc => loc.position && Number.isFinite(loc.position.lat) && Number.isFinite(loc.position.lng)
+  )
+
+  const completed = plottable
+    .filter(loc => progress?.[loc.id]?.done)
+    .map(loc => ({ loc, completedAt: progress?.[loc.id]?.completedAt || null }))
+    .sort((a, b) => {
+      // Stops without a timestamp go last, keeping their hunt order
+      if (!a.completedAt) return b.completedAt ? 1 : 0
+      if (!b.completedAt) return -1
+      return new Date(a.completedAt).getTime() - new Date(b.completedAt).getTime()
+    })
+
+  const visitOrder = new Map(completed.map(({ loc }, index) => [loc.id, index + 1]))
+
+  const stops: MapStop[] = plottable.map(loc => ({
+    id: loc.id,
+    title: loc.title,
+    position: loc.position as Position,
+    status: visitOrder.has(loc.id) ? 'completed' : 'pending',
+    completedAt: progress?.[loc.id]?.completedAt || null,
+    visitOrder: visitOrder.get(loc.id) ?? null
+  }))
+
+  return {
+    stops,
+    path: completed.map(({ loc }) => loc.position as Position),
+    // Locked stops (sequential hunts) arrive without coordinates by design
+    unplottedCount: locations.filter(loc => !loc.isLocked).length - plottable.length
+  }
+}
+
+/**
+ * Project a coordinate to Web Mercator world pixels at a zoom level
+ */
+export function projectMercator(position: Position, zoom: number, tileSize = 256): Point {
+  const lat = Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, position.lat))
+  const scale = tileSize * 2 ** zoom
+  const sinLat = Math.sin((lat * Math.PI) / 180)
+  return {
+    x: ((position.lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+  }
+}
+
+/**
+ * Choose the highest zoom at which all positions fit inside the viewport,
+ * and center them
+ */
+export function fitViewport(
+  positions: Position[],
+  width: number,
+  height: number,
+  { tileSize = 256, minZoom = 0, maxZoom = 18, padding = 32 } = {}
+): MapViewport {
+  const usableWidth = Math.max(1, width - padding * 2)
+  const usableHeight = Math.max(1, height - padding * 2)
+
+  let zoom = minZoom
+  for (let z = maxZoom; z >= minZoom; z--) {
+    const points = positions.map(p => projectMercator(p, z, tileSize))
+    const spanX = Math.max(...points.map(p => p.x)) - Math.min(...points.map(p => p.x))
+    const spanY = Math.max(...points.map(p => p.y)) - Math.min(...points.map(p => p.y))
+    if (spanX <= usableWidth && spanY <= usableHeight) {
+      zoom = z
+      break
+    }
+  }
+
+  const points = positions.map(p => projectMercator(p, zoom, tileSize))
+  const centerX = (Math.max(...points.map(p => p.x)) + Math.min(...points.map(p => p.x))) / 2
+  const centerY = (Math.max(...points.map(p => p.y)) + Math.min(...points.map(p => p.y))) / 2
+
+  return {
+    zoom,
+    origin: { x: centerX - width / 2, y: centerY - height / 2 },
+    width,
+    height
+  }
+}
+
+/**
+ * Tiles (x, y at the viewport zoom) needed to cover the viewport
+ */
+export function visibleTiles(viewport: MapViewport, tileSize = 256): Point[] {
+  const maxIndex = 2 ** viewport.zoom - 1
+  const firstX = Math.floor(viewport.origin.x / tileSize)
+  const lastX = Math.floor((viewport.origin.x + viewport.width) / tileSize)
+  const firstY = Math.max(0, Math.floor(viewport.origin.y / tileSize))
+  const lastY = Math.min(maxIndex, Math.floor((viewport.origin.y + viewport.height) / tileSize))
+
+  const tiles: Point[] = []
+  for (let y = firstY; y <= lastY; y++) {
+    for (let x = firstX; x <= lastX; x++) {
+      tiles.push({ x, y })
+    }
+  }
+  return tiles
+}
+
+/**
+ * Equirectangular projection into a width x height box for the schematic map
+ * Longitude is scaled by cos(latitude) so short distances keep their shape.
+ */
+export function projectSchematic(positions: Position[], width: number, height: number, padding = 24): Point[] {
+  if (positions.length === 0) return []
+
+  const meanLat = positions.reduce((sum, p) => sum + p.lat, 0) / positions.length
+  const lngScale = Math.cos((meanLat * Math.PI) / 180)
+  const xs = positions.map(p => p.lng * lngScale)
+  const ys = positions.map(p => -p.lat)
+
+  const minX = Math.min(...xs)
+  const minY = Math.min(...ys)
+  const spanX = Math.max(...xs) - minX
+  const spanY = Math.max(...ys) - minY
+  const span = Math.max(spanX, spanY)
+
+  // A single stop (or identical coordinates) sits in the middle
+  if (span === 0) {
+    return positions.map(() => ({ x: width / 2, y: height / 2 }))
+  }
+
+  const scale = Math.min(width - padding * 2, height - padding * 2) / span
+  const offsetX = (width - spanX * scale) / 2
+  const offsetY = (height - spanY * scale) / 2
+
+  return positions.map((_, i) => ({
+    x: offsetX + (xs[i] - minX) * scale,
+    y: offsetY + (ys[i] - minY) * scale
+  }))
+}
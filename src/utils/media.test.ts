@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { mediaKindOf, isVideoUrl, acceptForMediaType, acceptsFile } from './media'
+
+const photo = new Blob(['x'], { type: 'image/jpeg' })
+const clip = new Blob(['x'], { type: 'video/mp4' })
+const pdf = new Blob(['x'], { type: 'application/pdf' })
+
+describe('media', () => {
+  it('classifies files by MIME type', () => {
+    expect(mediaKindOf(photo)).toBe('photo')
+    expect(mediaKindOf(clip)).toBe('video')
+    expect(mediaKindOf(pdf)).toBeNull()
+  })
+
+  it('recognizes uploaded video URLs', () => {
+    expect(isVideoUrl('https://res.cloudinary.com/demo/video/upload/v1/scavenger/entries/bridge_s1_abc.mp4')).toBe(true)
+    expect(isVideoUrl('https://example.com/clip.MOV?x=1')).toBe(true)
+    expect(isVideoUrl('https://res.cloudinary.com/demo/image/upload/v1/bridge.jpg')).toBe(false)
+    expect(isVideoUrl('blob:https://app/123')).toBe(false)
+    expect(isVideoUrl(null)).toBe(false)
+  })
+
+  it('builds the file input accept list per stop', () => {
+    expect(acceptForMediaType(undefined)).toBe('image/*')
+    expect(acceptForMediaType('video')).toBe('video/mp4,video/quicktime,video/webm')
+    expect(acceptForMediaType('photo_or_video')).toBe('image/*,video/mp4,video/quicktime,video/webm')
+  })
+
+  it('accepts only the media a stop asks for', () => {
+    expect(acceptsFile('photo', photo)).toBe(true)
+    expect(acceptsFile(undefined, clip)).toBe(false)
+    expect(acceptsFile('video', clip)).toBe(true)
+    expect(acceptsFile('video', photo)).toBe(false)
+    expect(acceptsFile('photo_or_video', clip)).toBe(true)
+    expect(acceptsFile('photo_or_video', pdf)).toBe(false)
+  })
+})
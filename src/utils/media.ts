@@ -0,0 +1,81 @@
+/**
+ * Stop media helpers: which files a stop accepts and how to tell videos
+ * apart from photos (mirrors netlify/functions/_lib/stopMedia.js)
+ */
+import type { StopMediaType } from '../types/hunt-system'
+
+export const VIDEO_CONTENT_TYPES = ['video/mp4', 'video/quicktime', 'video/webm']
+
+export type MediaKind = 'photo' | 'video'
+
+/**
+ * Classify a file by MIME type
+ * @returns null for unsupported types
+ */
+export function mediaKindOf(file: Blob): MediaKind | null {
+  const type = (file.type || '').toLowerCase()
+  if (type.startsWith('image/')) return 'photo'
+  if (VIDEO_CONTENT_TYPES.includes(type)) return 'video'
+  return null
+}
+
+export function isVideoFile(file: Blob): boolean {
+  return mediaKindOf(file) === 'video'
+}
+
+/**
+ * Whether a stored upload URL points at a video (Cloudinary video delivery or a video extension)
+ */
+export function isVideoUrl(url: string | null | undefined): boolean {
+  if (!url || url.startsWith('blob:') || url.startsWith('data:')) return false
+  return url.includes('/video/upload/') || /\.(mp4|mov|webm)(\?|#|$)/i.test(url)
+}
+
+/**
+ * File input accept attribute for a stop
+ */
+export function acceptForMediaType(mediaType: StopMediaType | undefined): string {
+  if (mediaType === 'video') return VIDEO_CONTENT_TYPES.join(',')
+  if (mediaType === 'photo_or_video') return ['image/*', ...VIDEO_CONTENT_TYPES].join(',')
+  return 'image/*'
+}
+
+export function acceptsFile(mediaType: StopMediaType | undefined, file: Blob): boolean {
+  const kind = mediaKindOf(file)
+  if (!kind) return false
+  if (mediaType === 'photo_or_video') return true
+  return kind === (mediaType || 'photo')
+}
+
+/**
+ * Read a video's duration from its metadata
+ * @returns Duration in seconds, or null when the browser can't read it
+ */
+export function readVideoDuration(file: Blob, timeoutMs = 10000): Promise<number | null> {
+  return new Promise(resolve => {
+    if (typeof document === 'undefined') {
+      resolve(null)
+      return
+    }
+
+    const video = document.createElement('video')
+    const url = URL.createObjectURL(file)
+    let settled = false
+
+    const finish = (duration: number | null) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      video.removeAttribute('src')
+      URL.revokeObjectURL(url)
+      resolve(duration !== null && Number.isFinite(duration) ? duration : null)
+    }
+
+    const timer = setTimeout(() => finish(null), timeoutMs)
+    video.preload = 'metadata'
+    video.muted = true
+    video.onloadedmetadata = () => finish(video.duration)
+    video.onerror = () => finish(null)
+    video.src = url
+  })
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import { differenceHash, downsampleLuma } from './perceptualHash'
+
+// 9x8 grayscale image from a per-pixel function
+const grayImage = (value: (x: number, y: number) => number) =>
+  Array.from({ length: 72 }, (_, i) => value(i % 9, Math.floor(i / 9)))
+
+describe('differenceHash', () => {
+  it('sets a bit wherever a cell is brighter than its right neighbour', () => {
+    expect(differenceHash(grayImage(x => 255 - x * 10))).toBe('ffffffffffffffff')
+    expect(differenceHash(grayImage(x => x * 10))).toBe('0000000000000000')
+  })
+
+  it('reads rows top to bottom, most significant bit first', () => {
+    // Only the first row falls off at its left edge
+    const hash = differenceHash(grayImage((x, y) => (y === 0 && x === 0 ? 200 : 100)))
+    expect(hash).toBe('8000000000000000')
+  })
+
+  it('is unchanged by uniform brightness or contrast changes', () => {
+    const base = grayImage((x, y) => ((x * 37 + y * 11) % 23) * 10)
+    const brighter = base.map(v => v * 0.8 + 40)
+    expect(differenceHash(brighter)).toBe(differenceHash(base))
+  })
+})
+
+describe('downsampleLuma', () => {
+  it('averages each block into one cell using luma weights', () => {
+    const sample = 2
+    const rgba = new Uint8ClampedArray(9 * sample * 8 * sample * 4)
+    // Top-left block: one pure red, one pure green, one pure blue, one white pixel
+    const setPixel = (x: number, y: number, [r, g, b]: number[]) => {
+      const i = (y * 9 * sample + x) * 4
+      rgba.set([r, g, b, 255], i)
+    }
+    setPixel(0, 0, [255, 0, 0])
+    setPixel(1, 0, [0, 255, 0])
+    setPixel(0, 1, [0, 0, 255])
+    setPixel(1, 1, [255, 255, 255])
+
+    const cells = downsampleLuma(rgba, sample)
+
+    expect(cells).toHaveLength(72)
+    expect(cells[0]).toBeCloseTo(255 * 2 / 4)
+    expect(cells.slice(1).every(value => value === 0)).toBe(true)
+  })
+})
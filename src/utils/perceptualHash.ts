@@ -0,0 +1,87 @@
+/**
+ * Perceptual hash (dHash) of a photo for near-duplicate detection
+ * The image is reduced to 9x8 grayscale; each of the 64 bits says whether a
+ * cell is brighter than its right neighbour. Sent with uploads as 16 hex
+ * characters and compared on the server (netlify/functions/_lib/photoDuplicates.js).
+ */
+
+const HASH_WIDTH = 9
+const HASH_HEIGHT = 8
+// Each hash cell averages SAMPLE x SAMPLE pixels; a single drawImage straight to 9x8 aliases badly
+const SAMPLE = 8
+
+/**
+ * dHash of a 9x8 grayscale image (row-major, 72 values)
+ */
+export const differenceHash = (gray: ArrayLike<number>): string => {
+  let hex = ''
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let byte = 0
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x
+      byte = (byte << 1) | (gray[index] > gray[index + 1] ? 1 : 0)
+    }
+    hex += byte.toString(16).padStart(2, '0')
+  }
+  return hex
+}
+
+/**
+ * Average RGBA pixels of a (9*SAMPLE)x(8*SAMPLE) image into 9x8 luma cells
+ */
+export const downsampleLuma = (rgba: ArrayLike<number>, sample = SAMPLE): number[] => {
+  const width = HASH_WIDTH * sample
+  const cells = new Array<number>(HASH_WIDTH * HASH_HEIGHT).fill(0)
+
+  for (let y = 0; y < HASH_HEIGHT * sample; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4
+      const luma = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2]
+      cells[Math.floor(y / sample) * HASH_WIDTH + Math.floor(x / sample)] += luma
+    }
+  }
+
+  return cells.map(total => total / (sample * sample))
+}
+
+/**
+ * Hash an already decoded image
+ * @returns 16 hex characters, or null when the pixels can't be read
+ */
+export const hashImage = (source: CanvasImageSource): string | null => {
+  try {
+    const canvas = document.createElement('canvas')
+    canvas.width = HASH_WIDTH * SAMPLE
+    canvas.height = HASH_HEIGHT * SAMPLE
+    const ctx = canvas.getContext('2d', { willReadFrequently: true }) as CanvasRenderingContext2D | null
+    if (!ctx) return null
+
+    ctx.imageSmoothingQuality = 'high'
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height)
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+    if (data.length !== canvas.width * canvas.height * 4) return null
+
+    return differenceHash(downsampleLuma(data))
+  } catch (error) {
+    console.warn('[perceptualHash] Could not hash image:', error)
+    return null
+  }
+}
+
+/**
+ * Decode and hash a photo file (used when upload preprocessing is turned off)
+ * @returns 16 hex characters, or null when the browser can't decode the file
+ */
+export const perceptualHashOfFile = async (file: Blob): Promise<string | null> => {
+  if (typeof createImageBitmap !== 'function') return null
+  try {
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+    try {
+      return hashImage(bitmap)
+    } finally {
+      bitmap.close()
+    }
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest'
+import { moveItem } from './reorder'
+
+describe('moveItem', () => {
+  it('moves an item down and up without mutating the input', () => {
+    const items = ['a', 'b', 'c', 'd']
+
+    expect(moveItem(items, 0, 2)).toEqual(['b', 'c', 'a', 'd'])
+    expect(moveItem(items, 3, 1)).toEqual(['a', 'd', 'b', 'c'])
+    expect(items).toEqual(['a', 'b', 'c', 'd'])
+  })
+
+  it('returns the list unchanged for no-op or out-of-range moves', () => {
+    const items = ['a', 'b']
+
+    expect(moveItem(items, 1, 1)).toBe(items)
+    expect(moveItem(items, -1, 0)).toBe(items)
+    expect(moveItem(items, 0, 2)).toBe(items)
+  })
+})
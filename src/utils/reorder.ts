@@ -0,0 +1,14 @@
+/**
+ * Move one item of a list to another index (drag-and-drop and up/down reordering)
+ * Returns a new array; out-of-range indexes return the list unchanged.
+ */
+export function moveItem<T>(items: T[], from: number, to: number): T[] {
+  if (from === to || from < 0 || to < 0 || from >= items.length || to >= items.length) {
+    return items
+  }
+
+  const next = [...items]
+  const [moved] = next.splice(from, 1)
+  next.splice(to, 0, moved)
+  return next
+}
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest'
+import { getJoinToken, withoutJoinToken } from './url'
+
+describe('join link tokens', () => {
+  it('reads the join token from the query string', () => {
+    expect(getJoinToken('?join=abc.def.ghi')).toBe('abc.def.ghi')
+    expect(getJoinToken('?org=bhhs&join=abc&hunt=fall-2025')).toBe('abc')
+  })
+
+  it('returns null without a token', () => {
+    expect(getJoinToken('')).toBeNull()
+    expect(getJoinToken('?org=bhhs')).toBeNull()
+    expect(getJoinToken('?join=')).toBeNull()
+  })
+
+  it('strips only the join token from the URL', () => {
+    expect(withoutJoinToken('https://hunt.example.com/?join=abc')).toBe('/')
+    expect(withoutJoinToken('https://hunt.example.com/bhhs/fall-2025?org=bhhs&join=abc#top')).toBe('/bhhs/fall-2025?org=bhhs#top')
+  })
+})
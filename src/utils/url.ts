@@ -67,3 +67,26 @@ export function normalizeParams(params: PathParams): PathParams {
     team,
   }
 }
+
+/**
+ * Signed team join link token from `?join=` (team card QR codes).
+ * Returns null when the URL has none.
+ */
+export function getJoinToken(search: string): string | null {
+  try {
+    const token = new URLSearchParams(search || '').get('join')
+    return token && token.trim() ? token.trim() : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * The URL without its join token, so the link isn't bookmarked, shared or
+ * redeemed again on reload.
+ */
+export function withoutJoinToken(href: string): string {
+  const url = new URL(href)
+  url.searchParams.delete('join')
+  return url.pathname + url.search + url.hash
+}
@@ -26,6 +26,7 @@ const mockCanvasContext = {
     height: 1
   })),
   putImageData: vi.fn(),
+  setTransform: vi.fn(),
   canvas: {
     width: 100,
     height: 100
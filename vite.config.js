@@ -1,11 +1,14 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import { sentryVitePlugin } from '@sentry/vite-plugin'
+import { serviceWorkerPlugin } from './src/sw/serviceWorkerPlugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(),
+    // Offline support: emits dist/sw.js with the build's precache list
+    serviceWorkerPlugin(),
     // Add Sentry plugin for source maps and release tracking
     process.env.SENTRY_AUTH_TOKEN && sentryVitePlugin({
       org: process.env.SENTRY_ORG,
@@ -132,6 +135,12 @@ export default defineConfig({
         changeOrigin: true,
         secure: false
       },
+      // Live leaderboard stream is served by the Express dev server
+      '^/api/leaderboard/[^/]+/[^/]+/stream': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
+        secure: false
+      },
       '/api/leaderboard': {
         target: 'http://localhost:8888',
         changeOrigin: true,
@@ -188,6 +197,12 @@ export default defineConfig({
         changeOrigin: true,
         secure: false
       },
+      // Files stored by the local photo storage driver
+      '/media': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
+        secure: false
+      },
       '/api': {
         target: 'http://localhost:8889/.netlify/functions',
         changeOrigin: true,